@@ -8,6 +8,9 @@ const { logger } = require('firebase-functions');
 const { initializeApp } = require('firebase-admin/app');
 const { getAuth } = require('firebase-admin/auth');
 const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { validateXML } = require('xmllint-wasm');
+const fs = require('fs');
+const path = require('path');
 
 // Initialize Firebase Admin
 initializeApp();
@@ -35,6 +38,25 @@ const ADMIN_EMAILS = [
   'lippa@trialog-makler.de',
 ];
 
+// Official Factur-X 1.07.3 EN 16931 schema set (CII D16B subset)
+const CII_SCHEMA_DIR = path.join(__dirname, 'schemas', 'factur-x-en16931');
+const CII_SCHEMA_MAIN = 'Factur-X_1.07.3_EN16931.xsd';
+const CII_SCHEMA_IMPORTS = [
+  'Factur-X_1.07.3_EN16931_urn_un_unece_uncefact_data_standard_QualifiedDataType_100.xsd',
+  'Factur-X_1.07.3_EN16931_urn_un_unece_uncefact_data_standard_ReusableAggregateBusinessInformationEntity_100.xsd',
+  'Factur-X_1.07.3_EN16931_urn_un_unece_uncefact_data_standard_UnqualifiedDataType_100.xsd',
+];
+
+/**
+ * Helper: Read a schema file in the shape xmllint-wasm expects
+ */
+function loadSchema(fileName) {
+  return {
+    fileName,
+    contents: fs.readFileSync(path.join(CII_SCHEMA_DIR, fileName), 'utf8'),
+  };
+}
+
 /**
  * Helper: Check if user is admin via Custom Claims
  * This replaces hardcoded email checks
@@ -431,3 +453,127 @@ exports.resolveUserUid = onCall({
     throw new HttpsError('internal', 'Fehler beim Auflösen: ' + error.message);
   }
 });
+
+/**
+ * Issue Billing Report Number
+ * Hands out the next number of the year ("2026-00042") for an exported
+ * billing report. The counter is only written here, and the archive record
+ * in billing_reports is created in the same transaction, so every number
+ * has a record and the sequence has no gaps. A record that stays "issued"
+ * documents an export that did not complete.
+ */
+exports.issueBillingReportNumber = onCall({
+  cors: true,
+}, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Must be authenticated');
+  }
+
+  if (!isUserAdmin(request.auth.token) && !isAdminEmail(request.auth.token.email)) {
+    throw new HttpsError('permission-denied', 'Only admins can issue billing report numbers');
+  }
+
+  const { reportId, employeeId, employeeName, periodLabel, reportType } = request.data;
+
+  if (!reportId || !employeeId) {
+    throw new HttpsError('invalid-argument', 'reportId and employeeId are required');
+  }
+
+  // Numbering year follows the company's calendar, not the server's UTC clock
+  const year = Number(new Intl.DateTimeFormat('de-DE', { timeZone: 'Europe/Berlin', year: 'numeric' }).format(new Date()));
+  const counterRef = db.collection('counters').doc(`billing_reports_${year}`);
+  const recordRef = db.collection('billing_reports').doc(reportId);
+
+  try {
+    const record = await db.runTransaction(async (transaction) => {
+      const [counterSnap, recordSnap] = await Promise.all([
+        transaction.get(counterRef),
+        transaction.get(recordRef),
+      ]);
+
+      // A retried call for the same report keeps its number
+      if (recordSnap.exists) {
+        return recordSnap.data();
+      }
+
+      const sequence = (counterSnap.exists ? counterSnap.data().value : 0) + 1;
+      const newRecord = {
+        id: reportId,
+        reportNumber: `${year}-${String(sequence).padStart(5, '0')}`,
+        year,
+        sequence,
+        status: 'issued',
+        employeeId,
+        employeeName: employeeName || null,
+        periodLabel: periodLabel || null,
+        reportType: reportType || 'standard',
+        issuedAt: new Date().toISOString(),
+        issuedBy: request.auth.uid,
+      };
+
+      transaction.set(counterRef, { value: sequence });
+      transaction.set(recordRef, newRecord);
+      return newRecord;
+    });
+
+    Logger.log(`✓ Billing report number issued: ${record.reportNumber} (report ${reportId})`);
+
+    return {
+      success: true,
+      record,
+    };
+  } catch (error) {
+    Logger.error('Error issuing billing report number:', error);
+    throw new HttpsError('internal', 'Fehler beim Vergeben der Berichtsnummer: ' + error.message);
+  }
+});
+
+/**
+ * Validate E-Invoice
+ * Checks the CII XML of an e-invoice against the Factur-X 1.07.3 EN 16931
+ * XSD (functions/schemas) before the client offers it for download. This is
+ * the schema check only; the EN 16931 / XRechnung Schematron rules are not
+ * run here.
+ */
+exports.validateEInvoice = onCall({
+  cors: true,
+}, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Must be authenticated');
+  }
+
+  if (!isUserAdmin(request.auth.token) && !isAdminEmail(request.auth.token.email)) {
+    throw new HttpsError('permission-denied', 'Only admins can validate e-invoices');
+  }
+
+  const { xml } = request.data;
+
+  if (!xml || typeof xml !== 'string') {
+    throw new HttpsError('invalid-argument', 'xml is required');
+  }
+
+  try {
+    const result = await validateXML({
+      xml: [{ fileName: 'invoice.xml', contents: xml }],
+      schema: [loadSchema(CII_SCHEMA_MAIN)],
+      preload: CII_SCHEMA_IMPORTS.map(loadSchema),
+    });
+
+    const errors = result.errors.map((error) => ({
+      line: error.loc?.lineNumber ?? null,
+      message: error.message,
+    }));
+
+    Logger.log(`✓ E-invoice schema check: ${result.valid ? 'valid' : `${errors.length} error(s)`}`);
+
+    return {
+      success: true,
+      valid: result.valid,
+      schema: CII_SCHEMA_MAIN,
+      errors,
+    };
+  } catch (error) {
+    Logger.error('Error validating e-invoice:', error);
+    throw new HttpsError('internal', 'Fehler bei der Schemaprüfung: ' + error.message);
+  }
+});
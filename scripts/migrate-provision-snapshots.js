@@ -18,7 +18,8 @@
  *
  * Safety:
  * - Only updates entries that don't have snapshots yet (idempotent)
- * - Captures CURRENT provision values (best we can do for historical data)
+ * - Captures the provision values effective on each entry's date (node rate history),
+ *   which are the current values for nodes without a recorded history
  * - Does not modify provision amounts or other entry data
  * - Can be run multiple times safely
  */
@@ -213,8 +214,8 @@ const provisionSnapshotMigration = {
     const provisionType = entry.provisionType || this.#inferProvisionType(entry.category.type);
 
     // Get provision rates
-    const ownerProvision = this.#getProvisionByType(owner, provisionType);
-    const managerProvision = manager ? this.#getProvisionByType(manager, provisionType) : null;
+    const ownerProvision = this.#getProvisionByType(owner, provisionType, entry.entryDate);
+    const managerProvision = manager ? this.#getProvisionByType(manager, provisionType, entry.entryDate) : null;
 
     // Create hierarchy snapshot
     const hierarchySnapshot = {
@@ -236,14 +237,15 @@ const provisionSnapshotMigration = {
   /**
    * Get provision by type from employee/node
    */
-  #getProvisionByType(employee, provisionType) {
+  #getProvisionByType(employee, provisionType, date = null) {
+    const rates = employee.getProvisionRatesAt?.(date) ?? employee;
     switch (provisionType) {
       case 'bank':
-        return employee.bankProvision || 0;
+        return rates.bankProvision || 0;
       case 'insurance':
-        return employee.insuranceProvision || 0;
+        return rates.insuranceProvision || 0;
       case 'realEstate':
-        return employee.realEstateProvision || 0;
+        return rates.realEstateProvision || 0;
       default:
         return 0;
     }
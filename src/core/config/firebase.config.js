@@ -19,6 +19,36 @@ export const FIRESTORE_COLLECTIONS = {
   TRACKING_EVENTS: 'tracking_events',
   REVENUE_ENTRIES: 'revenue_entries',
   PRODUCT_CATALOG: 'product_catalog',
+  STORNORESERVE_ACCOUNTS: 'stornoreserve_accounts',
+  LEDGER_POSTINGS: 'ledger_postings',
+  ADVANCE_AGREEMENTS: 'advance_agreements',
+  RECURRING_REVENUE_TEMPLATES: 'recurring_revenue_templates',
+  REVENUE_AUDIT_LOG: 'revenue_audit_log',
+  CUSTOMERS: 'customers',
+  COUNTERS: 'counters',
+  CONTRACTS: 'contracts',
+  SALES_TARGETS: 'sales_targets',
+  CAREER_CRITERIA: 'career_criteria',
+  CAREER_PROMOTIONS: 'career_promotions',
+  PROVISION_TIERS: 'provision_tiers',
+  TEAM_BONUS_RULES: 'team_bonus_rules',
+  PERIOD_CLOSINGS: 'period_closings',
+  BILLING_REPORTS: 'billing_reports',
+};
+
+export const STORAGE_PATHS = {
+  REVENUE_ATTACHMENTS: 'revenue_attachments',
+  BILLING_REPORTS: 'billing_reports',
+};
+
+/**
+ * Local Storage emulator (firebase emulators:start --only storage).
+ * Only used on localhost and when enabled here.
+ */
+export const STORAGE_EMULATOR_CONFIG = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 9199,
 };
 
 export const AUTH_CONFIG = {
@@ -3,7 +3,7 @@
  * Singleton pattern for Firebase app instance
  */
 
-import { FIREBASE_CONFIG, AUTH_CONFIG } from '../config/firebase.config.js';
+import { FIREBASE_CONFIG, AUTH_CONFIG, STORAGE_EMULATOR_CONFIG } from '../config/firebase.config.js';
 import { Logger } from './../../core/utils/logger.js';
 
 class FirebaseApp {
@@ -11,6 +11,7 @@ class FirebaseApp {
   #auth = null;
   #firestore = null;
   #analytics = null;
+  #storage = null;
   #initialized = false;
 
   async initialize() {
@@ -102,6 +103,27 @@ class FirebaseApp {
     return this.#firestore;
   }
 
+  /**
+   * Cloud Storage instance, loaded on first use (only needed for attachments)
+   */
+  async getStorage() {
+    if (this.#storage) {
+      return this.#storage;
+    }
+
+    const { getStorage, connectStorageEmulator } = await import(
+      'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js'
+    );
+    this.#storage = getStorage(this.app);
+
+    if (STORAGE_EMULATOR_CONFIG.enabled && window.location.hostname === 'localhost') {
+      connectStorageEmulator(this.#storage, STORAGE_EMULATOR_CONFIG.host, STORAGE_EMULATOR_CONFIG.port);
+      Logger.log(`✓ Storage emulator connected (${STORAGE_EMULATOR_CONFIG.host}:${STORAGE_EMULATOR_CONFIG.port})`);
+    }
+
+    return this.#storage;
+  }
+
   get analytics() {
     return this.#analytics;
   }
@@ -8,6 +8,7 @@ import { ReportLineItem, LINE_ITEM_SOURCES } from '../../domain/entities/ReportL
 import { BillingReport } from '../../domain/entities/BillingReport.js';
 import { REVENUE_STATUS_TYPES } from '../../../revenue-tracking/domain/value-objects/RevenueStatus.js';
 import { BillingExclusionRule } from '../../domain/value-objects/BillingExclusionRule.js';
+import { TEAM_BONUS_SOURCE } from '../../../team-bonus/domain/services/TeamBonusService.js';
 import { roundCurrency } from '../../../../core/utils/index.js';
 
 export class BillingReportAssembler {
@@ -81,6 +82,7 @@ export class BillingReportAssembler {
       subordinateName: hierarchicalEntry.owner?.name || '',
       subordinateId: hierarchicalEntry.owner?.id || '',
       status: entry.status?.type || entry.status,
+      billedBefore: entry.isBilledForHierarchyManager?.(employeeDetails.id) ?? false,
     });
   }
 
@@ -132,6 +134,40 @@ export class BillingReportAssembler {
       subordinateName: ownerName,
       subordinateId: entry.employeeId,
       status: entry.status?.type || entry.status,
+      billedBefore: entry.isBilledForTipProvider?.(tipProviderId) ?? false,
+    });
+  }
+
+  /**
+   * Create a line item for a team bonus booked on the leader. The entry
+   * already holds the bonus as the leader's provision, so it is paid in full.
+   * A bonus is no revenue, the revenue amounts stay 0 in the report totals.
+   */
+  static createTeamBonusLineItem(entry, employeeDetails) {
+    const provisionAmount = roundCurrency(entry.provisionAmount || 0);
+    const { provisionVatRate, provisionVatAmount, provisionGrossAmount } =
+      BillingReportAssembler.#calculateProvisionVat(provisionAmount, employeeDetails, false, 0);
+
+    return new ReportLineItem({
+      originalEntryId: entry.id,
+      date: entry.entryDate || entry.createdAt,
+      customerName: entry.customerName,
+      categoryType: entry.category?.type || entry.category,
+      categoryDisplayName: entry.category?.displayName || entry.category?.toString() || '',
+      productName: entry.notes || entry.product?.name || '',
+      providerName: '',
+      contractNumber: '',
+      netAmount: 0,
+      grossAmount: 0,
+      provisionPercentage: 100,
+      provisionAmount,
+      provisionVatRate,
+      provisionVatAmount,
+      provisionGrossAmount,
+      source: LINE_ITEM_SOURCES.TEAM_BONUS,
+      subordinateName: null,
+      subordinateId: null,
+      status: entry.status?.type || entry.status,
     });
   }
 
@@ -201,7 +237,10 @@ export class BillingReportAssembler {
       );
     };
 
-    const eligibleOwnEntries = filterOwnByStatusAndPeriod(ownEntries);
+    // Team bonus entries are the leader's own entries but get a section of their own
+    const isTeamBonus = (entry) => entry.source === TEAM_BONUS_SOURCE;
+    const eligibleOwnEntries = filterOwnByStatusAndPeriod(ownEntries.filter((entry) => !isTeamBonus(entry)));
+    const eligibleTeamBonusEntries = filterOwnByStatusAndPeriod(ownEntries.filter(isTeamBonus));
     const eligibleHierarchyEntries = filterRelatedByStatusAndPeriod(
       hierarchyEntries,
       (entry) => entry.isBilledForHierarchyManager?.(recipientId) ?? false,
@@ -212,7 +251,7 @@ export class BillingReportAssembler {
     );
 
     // BillingExclusionRule only applies to OWN entries.
-    // Tip provider and hierarchy provisions are paid by Trialog regardless of
+    // Tip provider, hierarchy and team bonus provisions are paid by Trialog regardless of
     // the entry's direct-payment status or the recipient's GewO qualifications.
     const activeOwnEntries = filterByExclusionRule(eligibleOwnEntries);
     const activeHierarchyEntries = eligibleHierarchyEntries;
@@ -233,12 +272,17 @@ export class BillingReportAssembler {
       BillingReportAssembler.createTipProviderLineItem(entry, employeeDetails.id, employeeDetails)
     );
 
+    const teamBonusLineItems = eligibleTeamBonusEntries.map(entry =>
+      BillingReportAssembler.createTeamBonusLineItem(entry, employeeDetails)
+    );
+
     return BillingReport.create({
       employeeDetails,
       period,
       ownLineItems,
       hierarchyLineItems,
       tipProviderLineItems,
+      teamBonusLineItems,
       excludedEntryCount,
       generatedBy,
       generatedByName,
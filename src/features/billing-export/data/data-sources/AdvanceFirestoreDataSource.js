@@ -0,0 +1,57 @@
+/**
+ * Data Source: AdvanceFirestoreDataSource
+ * Handles persistence of advance agreements to Firebase Firestore
+ * (one document per agreement, offsets embedded)
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from '../../../../core/utils/logger.js';
+
+export class AdvanceFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findByEmployeeId(employeeId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, getDocs } = await this.#importFirestoreHelpers();
+
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.ADVANCE_AGREEMENTS),
+        where('employeeId', '==', employeeId)
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load advance agreements: ${error.message}`);
+    }
+  }
+
+  async save(agreementData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      const docRef = doc(firestore, FIRESTORE_COLLECTIONS.ADVANCE_AGREEMENTS, agreementData.id);
+      await setDoc(docRef, agreementData);
+
+      Logger.log(`✓ Advance agreement saved: ${agreementData.id}`);
+      return agreementData;
+    } catch (error) {
+      throw new StorageError(`Failed to save advance agreement: ${error.message}`);
+    }
+  }
+}
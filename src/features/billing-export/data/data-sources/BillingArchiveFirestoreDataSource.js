@@ -0,0 +1,117 @@
+/**
+ * Data Source: BillingArchiveFirestoreDataSource
+ * Handles the billing report archive in Firebase Firestore. Records are
+ * created by the issueBillingReportNumber Cloud Function, the client only
+ * reads them, attaches the exported report once and marks payouts as paid.
+ * The validateEInvoice Cloud Function checks e-invoice XML against the CII
+ * schema before it is handed out.
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from '../../../../core/utils/logger.js';
+
+export class BillingArchiveFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findAll() {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, getDocs } = await this.#importFirestoreHelpers();
+
+      const querySnapshot = await getDocs(collection(firestore, FIRESTORE_COLLECTIONS.BILLING_REPORTS));
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load billing report archive: ${error.message}`);
+    }
+  }
+
+  async findByEmployeeId(employeeId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, getDocs } = await this.#importFirestoreHelpers();
+
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.BILLING_REPORTS),
+        where('employeeId', '==', employeeId)
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load billing reports of employee: ${error.message}`);
+    }
+  }
+
+  async findById(reportId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, getDoc } = await this.#importFirestoreHelpers();
+
+      const docSnap = await getDoc(doc(firestore, FIRESTORE_COLLECTIONS.BILLING_REPORTS, reportId));
+      return docSnap.exists() ? docSnap.data() : null;
+    } catch (error) {
+      throw new StorageError(`Failed to load billing report: ${error.message}`);
+    }
+  }
+
+  /**
+   * The number comes from a counter only the Cloud Function may write, so
+   * it is gap-free across all clients
+   */
+  async issueNumber(params) {
+    try {
+      const { getFunctions, httpsCallable } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js');
+
+      const functions = getFunctions(firebaseApp.app);
+      const issueBillingReportNumber = httpsCallable(functions, 'issueBillingReportNumber');
+      const result = await issueBillingReportNumber(params);
+
+      Logger.log(`✓ Billing report number issued: ${result.data.record.reportNumber}`);
+      return result.data.record;
+    } catch (error) {
+      throw new StorageError(`Failed to issue billing report number: ${error.message}`);
+    }
+  }
+
+  async validateEInvoice(xml) {
+    try {
+      const { getFunctions, httpsCallable } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js');
+
+      const functions = getFunctions(firebaseApp.app);
+      const validateEInvoice = httpsCallable(functions, 'validateEInvoice');
+      const result = await validateEInvoice({ xml });
+
+      Logger.log(`✓ E-invoice schema check against ${result.data.schema}: ${result.data.valid ? 'valid' : 'invalid'}`);
+      return { valid: result.data.valid, errors: result.data.errors };
+    } catch (error) {
+      throw new StorageError(`Failed to validate e-invoice: ${error.message}`);
+    }
+  }
+
+  async update(recordData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      await setDoc(doc(firestore, FIRESTORE_COLLECTIONS.BILLING_REPORTS, recordData.id), recordData, { merge: true });
+
+      Logger.log(`✓ Billing report saved: ${recordData.reportNumber}`);
+      return recordData;
+    } catch (error) {
+      throw new StorageError(`Failed to save billing report: ${error.message}`);
+    }
+  }
+}
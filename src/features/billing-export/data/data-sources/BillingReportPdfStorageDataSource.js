@@ -0,0 +1,41 @@
+/**
+ * Data Source: BillingReportPdfStorageDataSource
+ * Handles the archived billing report PDFs (and XRechnung XMLs) in Firebase Cloud Storage
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from '../../../../core/utils/logger.js';
+
+export class BillingReportPdfStorageDataSource {
+  async #importStorageHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js');
+  }
+
+  async upload(storagePath, blob, customMetadata = {}, contentType = 'application/pdf') {
+    try {
+      const storage = await firebaseApp.getStorage();
+      const { ref, uploadBytes } = await this.#importStorageHelpers();
+
+      await uploadBytes(ref(storage, storagePath), blob, {
+        contentType,
+        customMetadata,
+      });
+
+      Logger.log(`✓ Billing report file uploaded: ${storagePath}`);
+    } catch (error) {
+      throw new StorageError(`Failed to upload billing report file: ${error.message}`);
+    }
+  }
+
+  async download(storagePath) {
+    try {
+      const storage = await firebaseApp.getStorage();
+      const { ref, getBlob } = await this.#importStorageHelpers();
+
+      return await getBlob(ref(storage, storagePath));
+    } catch (error) {
+      throw new StorageError(`Failed to load billing report file: ${error.message}`);
+    }
+  }
+}
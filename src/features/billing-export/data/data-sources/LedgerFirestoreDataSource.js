@@ -0,0 +1,68 @@
+/**
+ * Data Source: LedgerFirestoreDataSource
+ * Handles persistence of provision ledger postings to Firebase Firestore
+ * (one immutable document per posting, queried by employee)
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from '../../../../core/utils/logger.js';
+
+export class LedgerFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findByEmployeeId(employeeId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, getDocs } = await this.#importFirestoreHelpers();
+
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.LEDGER_POSTINGS),
+        where('employeeId', '==', employeeId)
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load ledger postings: ${error.message}`);
+    }
+  }
+
+  async saveAll(postingsData) {
+    if (postingsData.length === 0) return postingsData;
+
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, writeBatch } = await this.#importFirestoreHelpers();
+
+      const BATCH_LIMIT = 500;
+      for (let i = 0; i < postingsData.length; i += BATCH_LIMIT) {
+        const chunk = postingsData.slice(i, i + BATCH_LIMIT);
+        const batch = writeBatch(firestore);
+
+        for (const posting of chunk) {
+          batch.set(doc(firestore, FIRESTORE_COLLECTIONS.LEDGER_POSTINGS, posting.id), posting);
+        }
+
+        await batch.commit();
+      }
+
+      Logger.log(`✓ ${postingsData.length} ledger postings saved`);
+      return postingsData;
+    } catch (error) {
+      throw new StorageError(`Failed to save ledger postings: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Data Source: StornoreserveFirestoreDataSource
+ * Handles persistence of cancellation reserve accounts to Firebase Firestore
+ * (one document per employee, keyed by employee/node id)
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from '../../../../core/utils/logger.js';
+
+export class StornoreserveFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findByEmployeeId(employeeId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, getDoc } = await this.#importFirestoreHelpers();
+
+      const docRef = doc(firestore, FIRESTORE_COLLECTIONS.STORNORESERVE_ACCOUNTS, employeeId);
+      const docSnap = await getDoc(docRef);
+
+      return docSnap.exists() ? docSnap.data() : null;
+    } catch (error) {
+      throw new StorageError(`Failed to load Stornoreserve account: ${error.message}`);
+    }
+  }
+
+  async save(accountData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      const docRef = doc(firestore, FIRESTORE_COLLECTIONS.STORNORESERVE_ACCOUNTS, accountData.employeeId);
+      await setDoc(docRef, accountData);
+
+      Logger.log(`✓ Stornoreserve account saved: ${accountData.employeeId}`);
+      return accountData;
+    } catch (error) {
+      throw new StorageError(`Failed to save Stornoreserve account: ${error.message}`);
+    }
+  }
+}
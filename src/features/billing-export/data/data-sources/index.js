@@ -0,0 +1,10 @@
+/**
+ * Data Sources Index
+ * Billing Export Feature
+ */
+
+export { StornoreserveFirestoreDataSource } from './StornoreserveFirestoreDataSource.js';
+export { LedgerFirestoreDataSource } from './LedgerFirestoreDataSource.js';
+export { AdvanceFirestoreDataSource } from './AdvanceFirestoreDataSource.js';
+export { BillingArchiveFirestoreDataSource } from './BillingArchiveFirestoreDataSource.js';
+export { BillingReportPdfStorageDataSource } from './BillingReportPdfStorageDataSource.js';
@@ -3,3 +3,9 @@
  */
 
 export { BillingReportAssembler } from './assemblers/BillingReportAssembler.js';
+export { StornoreserveFirestoreDataSource } from './data-sources/StornoreserveFirestoreDataSource.js';
+export { FirebaseStornoreserveRepository } from './repositories/FirebaseStornoreserveRepository.js';
+export { LedgerFirestoreDataSource } from './data-sources/LedgerFirestoreDataSource.js';
+export { FirebaseLedgerRepository } from './repositories/FirebaseLedgerRepository.js';
+export { AdvanceFirestoreDataSource } from './data-sources/AdvanceFirestoreDataSource.js';
+export { FirebaseAdvanceRepository } from './repositories/FirebaseAdvanceRepository.js';
@@ -0,0 +1,26 @@
+/**
+ * Repository Implementation: FirebaseAdvanceRepository
+ * Implements IAdvanceRepository using Firebase Firestore
+ */
+
+import { IAdvanceRepository } from '../../domain/repositories/IAdvanceRepository.js';
+import { AdvanceAgreement } from '../../domain/entities/AdvanceAgreement.js';
+
+export class FirebaseAdvanceRepository extends IAdvanceRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async findByEmployeeId(employeeId) {
+    const data = await this.#dataSource.findByEmployeeId(employeeId);
+    return data.map((json) => AdvanceAgreement.fromJSON(json));
+  }
+
+  async save(agreement) {
+    await this.#dataSource.save(agreement.toJSON());
+    return agreement;
+  }
+}
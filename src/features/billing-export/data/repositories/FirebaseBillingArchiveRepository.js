@@ -0,0 +1,64 @@
+/**
+ * Repository Implementation: FirebaseBillingArchiveRepository
+ * Implements IBillingArchiveRepository using Firestore for the archive
+ * records and Cloud Storage for the PDFs and XRechnung files
+ */
+
+import { IBillingArchiveRepository } from '../../domain/repositories/IBillingArchiveRepository.js';
+import { ArchivedBillingReport } from '../../domain/entities/ArchivedBillingReport.js';
+
+export class FirebaseBillingArchiveRepository extends IBillingArchiveRepository {
+  #dataSource;
+  #pdfDataSource;
+
+  constructor(dataSource, pdfDataSource) {
+    super();
+    this.#dataSource = dataSource;
+    this.#pdfDataSource = pdfDataSource;
+  }
+
+  async findAll() {
+    const data = await this.#dataSource.findAll();
+    return data.map((json) => ArchivedBillingReport.fromJSON(json));
+  }
+
+  async findByEmployeeId(employeeId) {
+    const data = await this.#dataSource.findByEmployeeId(employeeId);
+    return data.map((json) => ArchivedBillingReport.fromJSON(json));
+  }
+
+  async findById(reportId) {
+    const data = await this.#dataSource.findById(reportId);
+    return data ? ArchivedBillingReport.fromJSON(data) : null;
+  }
+
+  async issueNumber(params) {
+    const data = await this.#dataSource.issueNumber(params);
+    return ArchivedBillingReport.fromJSON(data);
+  }
+
+  async validateEInvoice(xml) {
+    return await this.#dataSource.validateEInvoice(xml);
+  }
+
+  async save(archivedReport) {
+    await this.#dataSource.update(archivedReport.toJSON());
+    return archivedReport;
+  }
+
+  async uploadPdf(storagePath, blob, metadata = {}) {
+    await this.#pdfDataSource.upload(storagePath, blob, metadata);
+  }
+
+  async downloadPdf(storagePath) {
+    return await this.#pdfDataSource.download(storagePath);
+  }
+
+  async uploadEInvoice(storagePath, blob, metadata = {}) {
+    await this.#pdfDataSource.upload(storagePath, blob, metadata, 'application/xml');
+  }
+
+  async downloadEInvoice(storagePath) {
+    return await this.#pdfDataSource.download(storagePath);
+  }
+}
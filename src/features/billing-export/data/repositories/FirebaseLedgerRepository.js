@@ -0,0 +1,26 @@
+/**
+ * Repository Implementation: FirebaseLedgerRepository
+ * Implements ILedgerRepository using Firebase Firestore
+ */
+
+import { ILedgerRepository } from '../../domain/repositories/ILedgerRepository.js';
+import { LedgerAccount } from '../../domain/entities/LedgerAccount.js';
+
+export class FirebaseLedgerRepository extends ILedgerRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async findByEmployeeId(employeeId) {
+    const data = await this.#dataSource.findByEmployeeId(employeeId);
+    return LedgerAccount.create(employeeId, data);
+  }
+
+  async saveAll(postings) {
+    await this.#dataSource.saveAll(postings.map((p) => p.toJSON()));
+    return postings;
+  }
+}
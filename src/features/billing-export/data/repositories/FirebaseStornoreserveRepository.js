@@ -0,0 +1,26 @@
+/**
+ * Repository Implementation: FirebaseStornoreserveRepository
+ * Implements IStornoreserveRepository using Firebase Firestore
+ */
+
+import { IStornoreserveRepository } from '../../domain/repositories/IStornoreserveRepository.js';
+import { StornoreserveAccount } from '../../domain/entities/StornoreserveAccount.js';
+
+export class FirebaseStornoreserveRepository extends IStornoreserveRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async findByEmployeeId(employeeId) {
+    const data = await this.#dataSource.findByEmployeeId(employeeId);
+    return data ? StornoreserveAccount.fromJSON(data) : null;
+  }
+
+  async save(account) {
+    await this.#dataSource.save(account.toJSON());
+    return account;
+  }
+}
@@ -0,0 +1,9 @@
+/**
+ * Repositories Index
+ * Billing Export Feature - Data Layer
+ */
+
+export { FirebaseStornoreserveRepository } from './FirebaseStornoreserveRepository.js';
+export { FirebaseLedgerRepository } from './FirebaseLedgerRepository.js';
+export { FirebaseAdvanceRepository } from './FirebaseAdvanceRepository.js';
+export { FirebaseBillingArchiveRepository } from './FirebaseBillingArchiveRepository.js';
@@ -0,0 +1,211 @@
+/**
+ * Entity: AdvanceAgreement
+ * Monthly advance payments (Vorschuss) to an employee between a start and end
+ * month. Paid advances are offset against earned provisions in later billing
+ * reports, limited to a percentage of the provisions earned per report.
+ */
+
+import { generateUUID, roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+
+export class AdvanceAgreement {
+  #id;
+  #employeeId;
+  #monthlyAmount;
+  #startDate;
+  #endDate;
+  #maxOffsetPercentage;
+  #offsets;
+  #notes;
+  #createdBy;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * @param {Object} params
+   * @param {number} params.monthlyAmount - Advance paid at the start of every month
+   * @param {Date} params.startDate - First month with an advance
+   * @param {Date} params.endDate - Last month with an advance
+   * @param {number} params.maxOffsetPercentage - Max share of a report's provisions used for offsetting
+   * @param {Array<{reportNumber: string, amount: number, date: Date, settledLines: Array<{entryId: string, source: string}>}>} params.offsets
+   *   settledLines are the report lines whose provisions the offset was based on
+   */
+  constructor({
+    id = null,
+    employeeId,
+    monthlyAmount,
+    startDate,
+    endDate,
+    maxOffsetPercentage = 50,
+    offsets = [],
+    notes = '',
+    createdBy = null,
+    createdAt = null,
+    updatedAt = null,
+  }) {
+    if (!employeeId) {
+      throw new ValidationError('Advance agreement requires an employee', 'employeeId');
+    }
+    if (typeof monthlyAmount !== 'number' || isNaN(monthlyAmount) || monthlyAmount <= 0) {
+      throw new ValidationError('Monatlicher Vorschuss muss größer als 0 sein', 'monthlyAmount');
+    }
+    if (!startDate || !endDate || new Date(endDate) < new Date(startDate)) {
+      throw new ValidationError('Ende muss nach dem Beginn liegen', 'endDate');
+    }
+    if (typeof maxOffsetPercentage !== 'number' || maxOffsetPercentage <= 0 || maxOffsetPercentage > 100) {
+      throw new ValidationError('Verrechnungssatz muss zwischen 1 und 100 liegen', 'maxOffsetPercentage');
+    }
+
+    this.#id = id || generateUUID();
+    this.#employeeId = employeeId;
+    this.#monthlyAmount = roundCurrency(monthlyAmount);
+    this.#startDate = this.#toMonthStart(startDate);
+    this.#endDate = this.#toMonthStart(endDate);
+    this.#maxOffsetPercentage = maxOffsetPercentage;
+    this.#offsets = offsets.map((o) => ({
+      reportNumber: o.reportNumber,
+      amount: roundCurrency(o.amount),
+      date: new Date(o.date),
+      settledLines: (o.settledLines || []).map((line) => ({ entryId: line.entryId, source: line.source })),
+    }));
+    this.#notes = notes;
+    this.#createdBy = createdBy;
+    this.#createdAt = createdAt ? new Date(createdAt) : new Date();
+    this.#updatedAt = updatedAt ? new Date(updatedAt) : new Date();
+  }
+
+  #toMonthStart(date) {
+    const d = new Date(date);
+    return new Date(d.getFullYear(), d.getMonth(), 1);
+  }
+
+  get id() { return this.#id; }
+  get employeeId() { return this.#employeeId; }
+  get monthlyAmount() { return this.#monthlyAmount; }
+  get startDate() { return this.#startDate; }
+  get endDate() { return this.#endDate; }
+  get maxOffsetPercentage() { return this.#maxOffsetPercentage; }
+  get offsets() { return this.#offsets.map((o) => ({ ...o, settledLines: o.settledLines.map((line) => ({ ...line })) })); }
+  get notes() { return this.#notes; }
+  get createdBy() { return this.#createdBy; }
+  get createdAt() { return this.#createdAt; }
+  get updatedAt() { return this.#updatedAt; }
+
+  get monthCount() {
+    return this.#monthsBetween(this.#startDate, this.#endDate) + 1;
+  }
+
+  get totalAmount() {
+    return roundCurrency(this.#monthlyAmount * this.monthCount);
+  }
+
+  get offsetAmount() {
+    return roundCurrency(this.#offsets.reduce((sum, o) => sum + o.amount, 0));
+  }
+
+  /**
+   * Advances paid out up to the given date (one per started month)
+   */
+  getDisbursedAmount(asOf = new Date()) {
+    if (asOf < this.#startDate) {
+      return 0;
+    }
+    const months = Math.min(this.#monthsBetween(this.#startDate, asOf) + 1, this.monthCount);
+    return roundCurrency(this.#monthlyAmount * months);
+  }
+
+  /**
+   * Paid advances not yet offset against provisions
+   */
+  getOutstandingBalance(asOf = new Date()) {
+    return roundCurrency(Math.max(0, this.getDisbursedAmount(asOf) - this.offsetAmount));
+  }
+
+  /**
+   * Offset for a report: the outstanding balance, capped at the agreed
+   * share of the provisions earned in the report
+   */
+  calculateOffset(earnings, asOf = new Date()) {
+    if (earnings <= 0) {
+      return 0;
+    }
+    const cap = roundCurrency(earnings * this.#maxOffsetPercentage / 100);
+    return Math.min(this.getOutstandingBalance(asOf), cap);
+  }
+
+  isRunning(asOf = new Date()) {
+    return asOf >= this.#startDate && this.#monthsBetween(this.#endDate, asOf) <= 0;
+  }
+
+  isSettled(asOf = new Date()) {
+    return !this.isRunning(asOf) && asOf >= this.#startDate && this.getOutstandingBalance(asOf) === 0;
+  }
+
+  hasOffsetForReport(reportNumber) {
+    return Boolean(reportNumber) && this.#offsets.some((o) => o.reportNumber === reportNumber);
+  }
+
+  /**
+   * Whether the provision of this line already served as the basis of an
+   * offset, so it is not counted again when the entry shows up in a reprint
+   */
+  hasOffsetForLine(entryId, source) {
+    return this.#offsets.some((o) =>
+      o.settledLines.some((line) => line.entryId === entryId && line.source === source));
+  }
+
+  addOffset({ reportNumber, amount, settledLines = [], date = new Date() }) {
+    if (amount <= 0 || this.hasOffsetForReport(reportNumber)) {
+      return this;
+    }
+    this.#offsets.push({
+      reportNumber,
+      amount: roundCurrency(amount),
+      date: new Date(date),
+      settledLines: settledLines.map((line) => ({ entryId: line.entryId, source: line.source })),
+    });
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  #monthsBetween(from, to) {
+    return (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      employeeId: this.#employeeId,
+      monthlyAmount: this.#monthlyAmount,
+      startDate: this.#startDate.toISOString(),
+      endDate: this.#endDate.toISOString(),
+      maxOffsetPercentage: this.#maxOffsetPercentage,
+      offsets: this.#offsets.map((o) => ({
+        reportNumber: o.reportNumber,
+        amount: o.amount,
+        date: o.date.toISOString(),
+        settledLines: o.settledLines.map((line) => ({ ...line })),
+      })),
+      notes: this.#notes,
+      createdBy: this.#createdBy,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString(),
+    };
+  }
+
+  static fromJSON(json) {
+    return new AdvanceAgreement(json);
+  }
+
+  static create({ employeeId, monthlyAmount, startDate, endDate, maxOffsetPercentage, notes, createdBy }) {
+    return new AdvanceAgreement({
+      employeeId,
+      monthlyAmount,
+      startDate,
+      endDate,
+      maxOffsetPercentage,
+      notes,
+      createdBy,
+    });
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Entity: ArchivedBillingReport
+ * Archive record of an exported billing report. The record is opened
+ * server-side together with the report number (status "issued"); the
+ * export then attaches the report data and the stored PDF with its
+ * SHA-256 hash (status "archived"), for an XRechnung also the XML with
+ * its own hash. A record left at "issued" documents
+ * a number whose export did not complete. Once its payout is put into a
+ * SEPA transfer file, the record keeps the message ID of that file.
+ */
+
+import { ValidationError } from '../../../../core/errors/index.js';
+import { BillingReport } from './BillingReport.js';
+
+export const ARCHIVE_STATUS = {
+  ISSUED: 'issued',
+  ARCHIVED: 'archived',
+};
+
+export class ArchivedBillingReport {
+  #id;
+  #reportNumber;
+  #year;
+  #sequence;
+  #status;
+  #employeeId;
+  #employeeName;
+  #periodLabel;
+  #reportType;
+  #issuedAt;
+  #issuedBy;
+  #archivedAt;
+  #pdfPath;
+  #pdfFileName;
+  #pdfHash;
+  #eInvoicePath;
+  #eInvoiceFileName;
+  #eInvoiceHash;
+  #totalProvision;
+  #payoutAmount;
+  #report;
+  #paidAt;
+  #paidBy;
+  #sepaMessageId;
+
+  constructor({
+    id,
+    reportNumber,
+    year,
+    sequence,
+    status = ARCHIVE_STATUS.ISSUED,
+    employeeId,
+    employeeName = null,
+    periodLabel = null,
+    reportType = 'standard',
+    issuedAt = null,
+    issuedBy = null,
+    archivedAt = null,
+    pdfPath = null,
+    pdfFileName = null,
+    pdfHash = null,
+    eInvoicePath = null,
+    eInvoiceFileName = null,
+    eInvoiceHash = null,
+    totalProvision = null,
+    payoutAmount = null,
+    report = null,
+    paidAt = null,
+    paidBy = null,
+    sepaMessageId = null,
+  }) {
+    this.#id = id;
+    this.#reportNumber = reportNumber;
+    this.#year = year;
+    this.#sequence = sequence;
+    this.#status = status;
+    this.#employeeId = employeeId;
+    this.#employeeName = employeeName;
+    this.#periodLabel = periodLabel;
+    this.#reportType = reportType;
+    this.#issuedAt = issuedAt ? new Date(issuedAt) : null;
+    this.#issuedBy = issuedBy;
+    this.#archivedAt = archivedAt ? new Date(archivedAt) : null;
+    this.#pdfPath = pdfPath;
+    this.#pdfFileName = pdfFileName;
+    this.#pdfHash = pdfHash;
+    this.#eInvoicePath = eInvoicePath;
+    this.#eInvoiceFileName = eInvoiceFileName;
+    this.#eInvoiceHash = eInvoiceHash;
+    this.#totalProvision = totalProvision;
+    this.#payoutAmount = payoutAmount;
+    this.#report = report;
+    this.#paidAt = paidAt ? new Date(paidAt) : null;
+    this.#paidBy = paidBy;
+    this.#sepaMessageId = sepaMessageId;
+  }
+
+  get id() { return this.#id; }
+  get reportNumber() { return this.#reportNumber; }
+  get year() { return this.#year; }
+  get sequence() { return this.#sequence; }
+  get status() { return this.#status; }
+  get isArchived() { return this.#status === ARCHIVE_STATUS.ARCHIVED; }
+  get employeeId() { return this.#employeeId; }
+  get employeeName() { return this.#employeeName; }
+  get periodLabel() { return this.#periodLabel; }
+  get reportType() { return this.#reportType; }
+  get isExtraordinary() { return this.#reportType === 'extraordinary'; }
+  get issuedAt() { return this.#issuedAt; }
+  get issuedBy() { return this.#issuedBy; }
+  get archivedAt() { return this.#archivedAt; }
+  get pdfPath() { return this.#pdfPath; }
+  get pdfFileName() { return this.#pdfFileName; }
+  get pdfHash() { return this.#pdfHash; }
+  get eInvoicePath() { return this.#eInvoicePath; }
+  get eInvoiceFileName() { return this.#eInvoiceFileName; }
+  get eInvoiceHash() { return this.#eInvoiceHash; }
+  get hasEInvoice() { return Boolean(this.#eInvoicePath); }
+  get totalProvision() { return this.#totalProvision; }
+  get payoutAmount() { return this.#payoutAmount; }
+  get paidAt() { return this.#paidAt; }
+  get paidBy() { return this.#paidBy; }
+  get sepaMessageId() { return this.#sepaMessageId; }
+  get isPaid() { return this.#paidAt !== null; }
+
+  /**
+   * The billing report as it was exported
+   * @returns {BillingReport|null}
+   */
+  toReport() {
+    return this.#report ? BillingReport.fromJSON(this.#report) : null;
+  }
+
+  /**
+   * Attach the exported report, its PDF and the XRechnung XML if one was
+   * issued. Happens once: an archived record is never overwritten.
+   */
+  archive(report, { pdfPath, pdfFileName, pdfHash, eInvoicePath = null, eInvoiceFileName = null, eInvoiceHash = null }) {
+    if (this.isArchived) {
+      throw new ValidationError(`Abrechnung ${this.#reportNumber} ist bereits archiviert`, 'status');
+    }
+    if (report.metadata.reportNumber !== this.#reportNumber) {
+      throw new ValidationError('Die Berichtsnummer der Abrechnung passt nicht zum Archiveintrag', 'reportNumber');
+    }
+
+    this.#status = ARCHIVE_STATUS.ARCHIVED;
+    this.#archivedAt = new Date();
+    this.#pdfPath = pdfPath;
+    this.#pdfFileName = pdfFileName;
+    this.#pdfHash = pdfHash;
+    this.#eInvoicePath = eInvoicePath;
+    this.#eInvoiceFileName = eInvoiceFileName;
+    this.#eInvoiceHash = eInvoiceHash;
+    this.#totalProvision = report.totalProvision;
+    this.#payoutAmount = report.payoutAmount;
+    this.#report = report.toJSON();
+    return this;
+  }
+
+  /**
+   * Record the SEPA transfer file the payout was put into. A repeated
+   * transfer replaces the earlier message ID.
+   *
+   * @param {string} messageId - MsgId of the pain.001 file
+   * @param {{id: string, name: string}|null} paidBy
+   */
+  markPaid(messageId, paidBy = null) {
+    if (!this.isArchived) {
+      throw new ValidationError(`Abrechnung ${this.#reportNumber} ist nicht archiviert`, 'status');
+    }
+
+    this.#paidAt = new Date();
+    this.#paidBy = paidBy;
+    this.#sepaMessageId = messageId;
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      reportNumber: this.#reportNumber,
+      year: this.#year,
+      sequence: this.#sequence,
+      status: this.#status,
+      employeeId: this.#employeeId,
+      employeeName: this.#employeeName,
+      periodLabel: this.#periodLabel,
+      reportType: this.#reportType,
+      issuedAt: this.#issuedAt?.toISOString() ?? null,
+      issuedBy: this.#issuedBy,
+      archivedAt: this.#archivedAt?.toISOString() ?? null,
+      pdfPath: this.#pdfPath,
+      pdfFileName: this.#pdfFileName,
+      pdfHash: this.#pdfHash,
+      eInvoicePath: this.#eInvoicePath,
+      eInvoiceFileName: this.#eInvoiceFileName,
+      eInvoiceHash: this.#eInvoiceHash,
+      totalProvision: this.#totalProvision,
+      payoutAmount: this.#payoutAmount,
+      report: this.#report,
+      paidAt: this.#paidAt?.toISOString() ?? null,
+      paidBy: this.#paidBy,
+      sepaMessageId: this.#sepaMessageId,
+    };
+  }
+
+  static fromJSON(json) {
+    return new ArchivedBillingReport({ ...json });
+  }
+}
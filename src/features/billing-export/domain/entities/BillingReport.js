@@ -5,8 +5,14 @@
 
 import { generateUUID } from '../../../../core/utils/index.js';
 import { ReportMetadata } from '../value-objects/ReportMetadata.js';
+import { ReportPeriod } from '../value-objects/ReportPeriod.js';
+import { EmployeeDetails } from '../value-objects/EmployeeDetails.js';
 import { ProvisionSummary } from '../value-objects/ProvisionSummary.js';
-import { LINE_ITEM_SOURCES } from './ReportLineItem.js';
+import { StornoreserveSummary } from '../value-objects/StornoreserveSummary.js';
+import { AdvanceSummary } from '../value-objects/AdvanceSummary.js';
+import { REVENUE_STATUS_TYPES } from '../../../revenue-tracking/domain/value-objects/RevenueStatus.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { ReportLineItem, LINE_ITEM_SOURCES } from './ReportLineItem.js';
 
 export class BillingReport {
   #id;
@@ -16,11 +22,16 @@ export class BillingReport {
   #ownLineItems;
   #hierarchyLineItems;
   #tipProviderLineItems;
+  #teamBonusLineItems;
   #ownSummary;
   #hierarchySummary;
   #tipProviderSummary;
+  #teamBonusSummary;
   #excludedEntryCount;
   #reportType;
+  #stornoreserve;
+  #ledgerBalance;
+  #advance;
 
   constructor({
     id = null,
@@ -30,8 +41,12 @@ export class BillingReport {
     ownLineItems = [],
     hierarchyLineItems = [],
     tipProviderLineItems = [],
+    teamBonusLineItems = [],
     excludedEntryCount = 0,
     reportType = 'standard',
+    stornoreserve = null,
+    ledgerBalance = 0,
+    advance = null,
   }) {
     this.#id = id || generateUUID();
     this.#employeeDetails = employeeDetails;
@@ -42,12 +57,21 @@ export class BillingReport {
     this.#ownLineItems = [...ownLineItems];
     this.#hierarchyLineItems = [...hierarchyLineItems];
     this.#tipProviderLineItems = [...tipProviderLineItems];
+    this.#teamBonusLineItems = [...teamBonusLineItems];
 
     this.#ownSummary = ProvisionSummary.fromLineItems(ownLineItems);
     this.#hierarchySummary = ProvisionSummary.fromLineItems(hierarchyLineItems);
     this.#tipProviderSummary = ProvisionSummary.fromLineItems(tipProviderLineItems);
+    this.#teamBonusSummary = ProvisionSummary.fromLineItems(teamBonusLineItems);
     this.#excludedEntryCount = excludedEntryCount;
     this.#reportType = reportType;
+    this.#stornoreserve = stornoreserve instanceof StornoreserveSummary
+      ? stornoreserve
+      : StornoreserveSummary.fromJSON(stornoreserve);
+    this.#ledgerBalance = roundCurrency(ledgerBalance || 0);
+    this.#advance = advance instanceof AdvanceSummary
+      ? advance
+      : AdvanceSummary.fromJSON(advance);
   }
 
   get id() { return this.#id; }
@@ -61,47 +85,144 @@ export class BillingReport {
   get ownLineItems() { return [...this.#ownLineItems]; }
   get hierarchyLineItems() { return [...this.#hierarchyLineItems]; }
   get tipProviderLineItems() { return [...this.#tipProviderLineItems]; }
+  get teamBonusLineItems() { return [...this.#teamBonusLineItems]; }
 
   get ownSummary() { return this.#ownSummary; }
   get hierarchySummary() { return this.#hierarchySummary; }
   get tipProviderSummary() { return this.#tipProviderSummary; }
+  get teamBonusSummary() { return this.#teamBonusSummary; }
 
   get allLineItems() {
     return [
       ...this.#ownLineItems,
       ...this.#hierarchyLineItems,
       ...this.#tipProviderLineItems,
+      ...this.#teamBonusLineItems,
     ];
   }
 
+  /**
+   * Lines settled for the first time by this report. In a reprint, own
+   * entries and team bonuses that are already PROVISIONED and hierarchy or
+   * tip provider lines already billed to this recipient were settled by an
+   * earlier report.
+   */
+  get settledLineItems() {
+    const settledByStatus = [LINE_ITEM_SOURCES.OWN, LINE_ITEM_SOURCES.TEAM_BONUS];
+    return this.allLineItems.filter((item) => (settledByStatus.includes(item.source)
+      ? item.status === REVENUE_STATUS_TYPES.TRANSFERRED
+      : !item.billedBefore));
+  }
+
+  /**
+   * Provision of the lines this report settles, the basis of the payout
+   */
+  get settledProvision() {
+    return roundCurrency(this.settledLineItems.reduce((sum, item) => sum + item.provisionAmount, 0));
+  }
+
+  /**
+   * Provision of lines shown again in a reprint but paid out by an earlier report
+   */
+  get previouslySettledProvision() {
+    return roundCurrency(this.totalProvision - this.settledProvision);
+  }
+
   get totalLineItemCount() {
     return this.#ownLineItems.length +
            this.#hierarchyLineItems.length +
-           this.#tipProviderLineItems.length;
+           this.#tipProviderLineItems.length +
+           this.#teamBonusLineItems.length;
   }
 
   get totalSummary() {
     return this.#ownSummary
       .add(this.#hierarchySummary)
-      .add(this.#tipProviderSummary);
+      .add(this.#tipProviderSummary)
+      .add(this.#teamBonusSummary);
   }
 
   get totalProvision() {
     return this.#ownSummary.totalProvision +
            this.#hierarchySummary.totalProvision +
-           this.#tipProviderSummary.totalProvision;
+           this.#tipProviderSummary.totalProvision +
+           this.#teamBonusSummary.totalProvision;
   }
 
   get totalProvisionVat() {
     return this.#ownSummary.totalProvisionVat +
            this.#hierarchySummary.totalProvisionVat +
-           this.#tipProviderSummary.totalProvisionVat;
+           this.#tipProviderSummary.totalProvisionVat +
+           this.#teamBonusSummary.totalProvisionVat;
   }
 
   get totalProvisionGross() {
     return this.#ownSummary.totalProvisionGross +
            this.#hierarchySummary.totalProvisionGross +
-           this.#tipProviderSummary.totalProvisionGross;
+           this.#tipProviderSummary.totalProvisionGross +
+           this.#teamBonusSummary.totalProvisionGross;
+  }
+
+  get stornoreserve() { return this.#stornoreserve; }
+
+  get hasStornoreserve() {
+    return this.#stornoreserve !== null &&
+      (this.#stornoreserve.hasActivity || this.#stornoreserve.openingBalance > 0);
+  }
+
+  /**
+   * Provision ledger balance carried forward from previous reports
+   * (negative = Sollsaldo that is offset against this report)
+   */
+  get ledgerBalance() { return this.#ledgerBalance; }
+
+  get hasLedgerBalance() {
+    return this.#ledgerBalance !== 0;
+  }
+
+  get advance() { return this.#advance; }
+
+  get hasAdvance() {
+    return this.#advance !== null && this.#advance.openingBalance > 0;
+  }
+
+  /**
+   * Amount actually paid out: provisions settled by this report minus newly
+   * withheld reserve, plus reserve released after the liability period and
+   * the ledger balance carried forward, minus advances offset.
+   * Negative = Sollsaldo.
+   */
+  get payoutAmount() {
+    const withheld = this.#stornoreserve?.withheldAmount ?? 0;
+    const released = this.#stornoreserve?.releasedAmount ?? 0;
+    const advanceOffset = this.#advance?.offsetAmount ?? 0;
+    return roundCurrency(this.settledProvision - withheld + released + this.#ledgerBalance - advanceOffset);
+  }
+
+  /**
+   * Attach the reserve movements calculated for this report's line items
+   */
+  applyStornoreserve(summary) {
+    this.#stornoreserve = summary;
+    return this;
+  }
+
+  applyLedgerBalance(balance) {
+    this.#ledgerBalance = roundCurrency(balance || 0);
+    return this;
+  }
+
+  applyAdvance(summary) {
+    this.#advance = summary;
+    return this;
+  }
+
+  /**
+   * Stamp the number issued for this report before its PDF is generated
+   */
+  applyReportNumber(reportNumber) {
+    this.#metadata = this.#metadata.withReportNumber(reportNumber);
+    return this;
   }
 
   get isSmallBusiness() {
@@ -124,6 +245,10 @@ export class BillingReport {
     return this.#tipProviderLineItems.length > 0;
   }
 
+  get hasTeamBonus() {
+    return this.#teamBonusLineItems.length > 0;
+  }
+
   get isEmpty() {
     return this.totalLineItemCount === 0;
   }
@@ -146,6 +271,8 @@ export class BillingReport {
         return this.#hierarchyLineItems;
       case LINE_ITEM_SOURCES.TIP_PROVIDER:
         return this.#tipProviderLineItems;
+      case LINE_ITEM_SOURCES.TEAM_BONUS:
+        return this.#teamBonusLineItems;
       default:
         return [];
     }
@@ -159,6 +286,8 @@ export class BillingReport {
         return this.#hierarchySummary;
       case LINE_ITEM_SOURCES.TIP_PROVIDER:
         return this.#tipProviderSummary;
+      case LINE_ITEM_SOURCES.TEAM_BONUS:
+        return this.#teamBonusSummary;
       default:
         return new ProvisionSummary();
     }
@@ -185,22 +314,24 @@ export class BillingReport {
       ownLineItems: this.#ownLineItems.map(item => item.toJSON()),
       hierarchyLineItems: this.#hierarchyLineItems.map(item => item.toJSON()),
       tipProviderLineItems: this.#tipProviderLineItems.map(item => item.toJSON()),
+      teamBonusLineItems: this.#teamBonusLineItems.map(item => item.toJSON()),
       ownSummary: this.#ownSummary.toJSON(),
       hierarchySummary: this.#hierarchySummary.toJSON(),
       tipProviderSummary: this.#tipProviderSummary.toJSON(),
+      teamBonusSummary: this.#teamBonusSummary.toJSON(),
       totalProvision: this.totalProvision,
       excludedEntryCount: this.#excludedEntryCount,
       reportType: this.#reportType,
+      stornoreserve: this.#stornoreserve?.toJSON() ?? null,
+      ledgerBalance: this.#ledgerBalance,
+      advance: this.#advance?.toJSON() ?? null,
+      payoutAmount: this.payoutAmount,
     };
   }
 
   static fromJSON(json) {
     if (!json) return null;
 
-    const { EmployeeDetails } = require('../value-objects/EmployeeDetails.js');
-    const { ReportPeriod } = require('../value-objects/ReportPeriod.js');
-    const { ReportLineItem } = require('./ReportLineItem.js');
-
     return new BillingReport({
       id: json.id,
       employeeDetails: EmployeeDetails.fromJSON(json.employeeDetails),
@@ -209,8 +340,12 @@ export class BillingReport {
       ownLineItems: (json.ownLineItems || []).map(item => ReportLineItem.fromJSON(item)),
       hierarchyLineItems: (json.hierarchyLineItems || []).map(item => ReportLineItem.fromJSON(item)),
       tipProviderLineItems: (json.tipProviderLineItems || []).map(item => ReportLineItem.fromJSON(item)),
+      teamBonusLineItems: (json.teamBonusLineItems || []).map(item => ReportLineItem.fromJSON(item)),
       excludedEntryCount: json.excludedEntryCount || 0,
       reportType: json.reportType || 'standard',
+      stornoreserve: json.stornoreserve ?? null,
+      ledgerBalance: json.ledgerBalance || 0,
+      advance: json.advance ?? null,
     });
   }
 
@@ -220,6 +355,7 @@ export class BillingReport {
     ownLineItems = [],
     hierarchyLineItems = [],
     tipProviderLineItems = [],
+    teamBonusLineItems = [],
     excludedEntryCount = 0,
     generatedBy = null,
     generatedByName = null,
@@ -232,6 +368,7 @@ export class BillingReport {
       ownLineItems,
       hierarchyLineItems,
       tipProviderLineItems,
+      teamBonusLineItems,
       excludedEntryCount,
       reportType,
     });
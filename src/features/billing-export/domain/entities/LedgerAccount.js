@@ -0,0 +1,101 @@
+/**
+ * Entity: LedgerAccount
+ * Provision ledger (Provisionskonto) of one employee, built from its postings.
+ * The balance is what the company owes the employee; a negative balance is
+ * carried forward and offset against the next billing report.
+ */
+
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { LedgerPosting } from '../value-objects/LedgerPosting.js';
+
+const MONTH_NAMES = [
+  'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+  'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember',
+];
+
+export class LedgerAccount {
+  #employeeId;
+  #postings;
+
+  constructor({ employeeId, postings = [] }) {
+    if (!employeeId) {
+      throw new ValidationError('Ledger account requires an employee', 'employeeId');
+    }
+
+    this.#employeeId = employeeId;
+    this.#postings = postings
+      .map((p) => (p instanceof LedgerPosting ? p : LedgerPosting.fromJSON(p)))
+      .sort((a, b) => a.date - b.date || a.createdAt - b.createdAt);
+  }
+
+  get employeeId() { return this.#employeeId; }
+  get postings() { return [...this.#postings]; }
+
+  get balance() {
+    return this.#sum(this.#postings);
+  }
+
+  /**
+   * Balance of all postings booked before the given date
+   */
+  getBalanceBefore(date) {
+    return this.#sum(this.#postings.filter((p) => p.date < date));
+  }
+
+  hasPostingsForReport(reportNumber) {
+    return this.#postings.some((p) => p.reportNumber === reportNumber);
+  }
+
+  /**
+   * Whether the entry was already credited or clawed back for this employee
+   * in the given role (own, hierarchy, tip provider, ...) by any report
+   */
+  hasBookedLine(entryId, source) {
+    return this.#postings.some((p) => p.covers(entryId, source));
+  }
+
+  /**
+   * Monthly statements (opening balance, credits, debits, closing balance)
+   * for every month touched by the given range, newest month first
+   * @param {Date} startDate
+   * @param {Date} endDate
+   */
+  getMonthlyStatements(startDate, endDate) {
+    const statements = [];
+    const cursor = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+    const last = new Date(endDate.getFullYear(), endDate.getMonth(), 1);
+
+    while (cursor <= last) {
+      const monthStart = new Date(cursor);
+      const monthEnd = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+      const postings = this.#postings.filter((p) => p.date >= monthStart && p.date < monthEnd);
+      const openingBalance = this.getBalanceBefore(monthStart);
+      const credits = this.#sum(postings.filter((p) => p.isCredit));
+      const debits = this.#sum(postings.filter((p) => p.isDebit));
+
+      statements.push({
+        year: monthStart.getFullYear(),
+        month: monthStart.getMonth() + 1,
+        label: `${MONTH_NAMES[monthStart.getMonth()]} ${monthStart.getFullYear()}`,
+        openingBalance,
+        credits,
+        debits,
+        closingBalance: roundCurrency(openingBalance + credits + debits),
+        postings,
+      });
+
+      cursor.setMonth(cursor.getMonth() + 1);
+    }
+
+    return statements.reverse();
+  }
+
+  #sum(postings) {
+    return roundCurrency(postings.reduce((sum, p) => sum + p.amount, 0));
+  }
+
+  static create(employeeId, postings = []) {
+    return new LedgerAccount({ employeeId, postings });
+  }
+}
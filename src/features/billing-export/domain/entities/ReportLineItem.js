@@ -10,6 +10,7 @@ export const LINE_ITEM_SOURCES = {
   HIERARCHY: 'hierarchy',
   TIP_PROVIDER: 'tipProvider',
   EXTRAORDINARY: 'extraordinary',
+  TEAM_BONUS: 'teamBonus',
 };
 
 export class ReportLineItem {
@@ -36,6 +37,7 @@ export class ReportLineItem {
   #subordinateName;
   #subordinateId;
   #status;
+  #billedBefore;
 
   constructor({
     id = null,
@@ -61,6 +63,7 @@ export class ReportLineItem {
     subordinateName = null,
     subordinateId = null,
     status = null,
+    billedBefore = false,
   }) {
     this.#id = id || generateUUID();
     this.#originalEntryId = originalEntryId;
@@ -88,6 +91,7 @@ export class ReportLineItem {
     this.#subordinateName = subordinateName;
     this.#subordinateId = subordinateId;
     this.#status = status;
+    this.#billedBefore = billedBefore;
   }
 
   get id() { return this.#id; }
@@ -115,6 +119,12 @@ export class ReportLineItem {
   get subordinateId() { return this.#subordinateId; }
   get status() { return this.#status; }
 
+  /**
+   * Hierarchy or tip provider line already billed to this recipient by an
+   * earlier report (shown again in a reprint)
+   */
+  get billedBefore() { return this.#billedBefore; }
+
   get dateFormatted() {
     const d = this.#date;
     const day = d.getDate().toString().padStart(2, '0');
@@ -143,6 +153,10 @@ export class ReportLineItem {
     return this.#source === LINE_ITEM_SOURCES.TIP_PROVIDER;
   }
 
+  get isTeamBonus() {
+    return this.#source === LINE_ITEM_SOURCES.TEAM_BONUS;
+  }
+
   get sourceDisplayName() {
     switch (this.#source) {
       case LINE_ITEM_SOURCES.OWN:
@@ -153,6 +167,8 @@ export class ReportLineItem {
         return 'Tippgeber-Umsätze';
       case LINE_ITEM_SOURCES.EXTRAORDINARY:
         return 'Durchlaufposten';
+      case LINE_ITEM_SOURCES.TEAM_BONUS:
+        return 'Teambonus';
       default:
         return 'Sonstige';
     }
@@ -183,6 +199,7 @@ export class ReportLineItem {
       subordinateName: this.#subordinateName,
       subordinateId: this.#subordinateId,
       status: this.#status,
+      billedBefore: this.#billedBefore,
     };
   }
 
@@ -0,0 +1,92 @@
+/**
+ * Entity: StornoreserveAccount
+ * Per-employee cancellation reserve account. Every withholding is kept as a
+ * posting so it can be released individually when its liability period ends.
+ */
+
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { StornoreservePosting } from '../value-objects/StornoreservePosting.js';
+
+export class StornoreserveAccount {
+  #employeeId;
+  #postings;
+  #updatedAt;
+
+  constructor({ employeeId, postings = [], updatedAt = null }) {
+    if (!employeeId) {
+      throw new ValidationError('Stornoreserve account requires an employee', 'employeeId');
+    }
+
+    this.#employeeId = employeeId;
+    this.#postings = postings.map((p) =>
+      p instanceof StornoreservePosting ? p : StornoreservePosting.fromJSON(p)
+    );
+    this.#updatedAt = updatedAt ? new Date(updatedAt) : null;
+  }
+
+  get employeeId() { return this.#employeeId; }
+  get postings() { return [...this.#postings]; }
+  get updatedAt() { return this.#updatedAt; }
+
+  get openPostings() {
+    return this.#postings.filter((p) => !p.isReleased);
+  }
+
+  /**
+   * Amount currently held back (withheld and not yet released)
+   */
+  get balance() {
+    return roundCurrency(this.openPostings.reduce((sum, p) => sum + p.amount, 0));
+  }
+
+  /**
+   * Open postings whose liability period has ended by the given date
+   */
+  getDuePostings(date) {
+    return this.#postings.filter((p) => p.isDueOn(date));
+  }
+
+  /**
+   * Check if a line (entry + source) was already subject to a withholding,
+   * e.g. when a provisioned report is printed again
+   */
+  hasWithholding(entryId, source) {
+    return this.#postings.some((p) => p.entryId === entryId && p.source === source);
+  }
+
+  addPosting(posting) {
+    if (this.hasWithholding(posting.entryId, posting.source)) {
+      return this;
+    }
+    this.#postings.push(posting);
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  releasePostings(postingIds, reportNumber, releasedAt = new Date()) {
+    const ids = new Set(postingIds);
+    this.#postings = this.#postings.map((p) =>
+      ids.has(p.id) && !p.isReleased ? p.withRelease(reportNumber, releasedAt) : p
+    );
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  toJSON() {
+    return {
+      employeeId: this.#employeeId,
+      postings: this.#postings.map((p) => p.toJSON()),
+      balance: this.balance,
+      updatedAt: this.#updatedAt ? this.#updatedAt.toISOString() : null,
+    };
+  }
+
+  static fromJSON(json) {
+    return new StornoreserveAccount(json);
+  }
+
+  static create(employeeId) {
+    return new StornoreserveAccount({ employeeId });
+  }
+}
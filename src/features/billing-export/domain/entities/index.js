@@ -4,3 +4,7 @@
 
 export { BillingReport } from './BillingReport.js';
 export { ReportLineItem, LINE_ITEM_SOURCES } from './ReportLineItem.js';
+export { StornoreserveAccount } from './StornoreserveAccount.js';
+export { LedgerAccount } from './LedgerAccount.js';
+export { AdvanceAgreement } from './AdvanceAgreement.js';
+export { ArchivedBillingReport, ARCHIVE_STATUS } from './ArchivedBillingReport.js';
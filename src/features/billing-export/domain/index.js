@@ -4,4 +4,5 @@
 
 export * from './entities/index.js';
 export * from './value-objects/index.js';
+export * from './repositories/index.js';
 export * from './services/index.js';
@@ -0,0 +1,14 @@
+/**
+ * Repository Interface: IAdvanceRepository
+ * Contract for persisting advance agreements (Vorschussvereinbarungen)
+ */
+
+export class IAdvanceRepository {
+  async findByEmployeeId(employeeId) {
+    throw new Error('Method not implemented');
+  }
+
+  async save(agreement) {
+    throw new Error('Method not implemented');
+  }
+}
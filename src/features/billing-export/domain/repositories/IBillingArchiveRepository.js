@@ -0,0 +1,55 @@
+/**
+ * Repository Interface: IBillingArchiveRepository
+ * Contract for the billing report archive: numbered archive records and
+ * the stored PDF and XRechnung files
+ */
+
+export class IBillingArchiveRepository {
+  async findAll() {
+    throw new Error('Method not implemented');
+  }
+
+  async findByEmployeeId(employeeId) {
+    throw new Error('Method not implemented');
+  }
+
+  async findById(reportId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Issue the next report number and open the archive record for it
+   * @returns {Promise<ArchivedBillingReport>}
+   */
+  async issueNumber(params) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Check e-invoice XML against the CII schema (XSD)
+   * @returns {Promise<{valid: boolean, errors: Array<{line: number|null, message: string}>}>}
+   */
+  async validateEInvoice(xml) {
+    throw new Error('Method not implemented');
+  }
+
+  async save(archivedReport) {
+    throw new Error('Method not implemented');
+  }
+
+  async uploadPdf(storagePath, blob, metadata = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  async downloadPdf(storagePath) {
+    throw new Error('Method not implemented');
+  }
+
+  async uploadEInvoice(storagePath, blob, metadata = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  async downloadEInvoice(storagePath) {
+    throw new Error('Method not implemented');
+  }
+}
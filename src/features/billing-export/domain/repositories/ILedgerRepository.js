@@ -0,0 +1,14 @@
+/**
+ * Repository Interface: ILedgerRepository
+ * Contract for persisting provision ledger postings (Provisionskonto)
+ */
+
+export class ILedgerRepository {
+  async findByEmployeeId(employeeId) {
+    throw new Error('Method not implemented');
+  }
+
+  async saveAll(postings) {
+    throw new Error('Method not implemented');
+  }
+}
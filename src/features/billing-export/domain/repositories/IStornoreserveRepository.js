@@ -0,0 +1,14 @@
+/**
+ * Repository Interface: IStornoreserveRepository
+ * Contract for persisting per-employee cancellation reserve accounts
+ */
+
+export class IStornoreserveRepository {
+  async findByEmployeeId(employeeId) {
+    throw new Error('Method not implemented');
+  }
+
+  async save(account) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,8 @@
+/**
+ * Barrel export for billing-export repository interfaces
+ */
+
+export { IStornoreserveRepository } from './IStornoreserveRepository.js';
+export { ILedgerRepository } from './ILedgerRepository.js';
+export { IAdvanceRepository } from './IAdvanceRepository.js';
+export { IBillingArchiveRepository } from './IBillingArchiveRepository.js';
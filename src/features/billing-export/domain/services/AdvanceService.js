@@ -0,0 +1,113 @@
+/**
+ * Domain Service: AdvanceService
+ * Manages advance agreements (Vorschuss) and offsets paid advances against
+ * the provisions of billing reports
+ */
+
+import { Logger } from '../../../../core/utils/logger.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { AdvanceAgreement } from '../entities/AdvanceAgreement.js';
+import { AdvanceSummary } from '../value-objects/AdvanceSummary.js';
+
+export class AdvanceService {
+  #repository;
+
+  constructor(advanceRepository) {
+    this.#repository = advanceRepository;
+  }
+
+  /**
+   * All agreements of an employee, oldest first
+   */
+  async getAgreements(employeeId) {
+    const agreements = await this.#repository.findByEmployeeId(employeeId);
+    return agreements.sort((a, b) => a.startDate - b.startDate);
+  }
+
+  async getOutstandingBalance(employeeId, asOf = new Date()) {
+    const agreements = await this.getAgreements(employeeId);
+    return roundCurrency(agreements.reduce((sum, a) => sum + a.getOutstandingBalance(asOf), 0));
+  }
+
+  async createAgreement(params) {
+    const agreement = AdvanceAgreement.create(params);
+    await this.#repository.save(agreement);
+    Logger.log(`Advance agreement created for ${agreement.employeeId}: ${agreement.monthlyAmount.toFixed(2)}/month`);
+    return agreement;
+  }
+
+  /**
+   * Determine the advance offsets of a report without persisting them.
+   * Earnings are the provisions settled for the first time by the report,
+   * without lines an agreement already offset against (the report has no
+   * number yet, so repeats are recognised by entry); the offset never
+   * exceeds what would otherwise be paid out, so an advance cannot turn a
+   * report into a Sollsaldo.
+   *
+   * @param {BillingReport} report - With reserve and ledger balance already applied
+   * @returns {Promise<AdvanceSummary>}
+   */
+  async calculateForReport(report) {
+    const asOf = report.period.endDate;
+    const agreements = await this.getAgreements(report.employeeDetails.id);
+
+    let available = Math.max(0, report.payoutAmount);
+    const offsets = [];
+
+    for (const agreement of agreements) {
+      if (available <= 0) break;
+
+      const lines = report.settledLineItems.filter((item) =>
+        !item.originalEntryId || !agreement.hasOffsetForLine(item.originalEntryId, item.source)
+      );
+      const earnings = roundCurrency(lines.reduce((sum, item) => sum + item.provisionAmount, 0));
+      const amount = Math.min(agreement.calculateOffset(earnings, asOf), available);
+      if (amount <= 0) continue;
+
+      offsets.push({
+        agreementId: agreement.id,
+        amount,
+        maxOffsetPercentage: agreement.maxOffsetPercentage,
+        settledLines: lines
+          .filter((item) => item.originalEntryId)
+          .map((item) => ({ entryId: item.originalEntryId, source: item.source })),
+      });
+      available = roundCurrency(available - amount);
+    }
+
+    return new AdvanceSummary({
+      openingBalance: agreements.reduce((sum, a) => sum + a.getOutstandingBalance(asOf), 0),
+      offsets,
+    });
+  }
+
+  /**
+   * Book the offsets of a finalized report on the agreements
+   * @returns {Promise<number|null>} Outstanding advance balance (null if nothing to book)
+   */
+  async applyReport(report) {
+    const summary = report.advance;
+    if (!summary?.hasActivity) {
+      return null;
+    }
+
+    const reportNumber = report.metadata.reportNumber;
+    const agreements = await this.getAgreements(report.employeeDetails.id);
+
+    for (const offset of summary.offsets) {
+      const agreement = agreements.find((a) => a.id === offset.agreementId);
+      if (!agreement) {
+        Logger.warn(`Advance agreement ${offset.agreementId} not found, offset skipped`);
+        continue;
+      }
+      agreement.addOffset({ reportNumber, amount: offset.amount, settledLines: offset.settledLines });
+      await this.#repository.save(agreement);
+    }
+
+    const balance = roundCurrency(agreements.reduce((sum, a) => sum + a.getOutstandingBalance(), 0));
+    Logger.log(`Advance offset booked for ${report.employeeDetails.id}: ` +
+      `${summary.offsetAmount.toFixed(2)} (offen ${balance.toFixed(2)})`);
+
+    return balance;
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Domain Service: BillingArchiveService
+ * Numbers and archives exported billing reports. The number is issued
+ * server-side before the PDF is generated, so it is printed on the PDF;
+ * the exported PDF is then stored unchanged with its SHA-256 hash, and a
+ * re-download from the archive returns exactly that file. An XRechnung XML
+ * is stored next to the PDF with a hash of its own.
+ */
+
+import { Logger } from '../../../../core/utils/logger.js';
+import { STORAGE_PATHS } from '../../../../core/config/firebase.config.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+
+async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export class BillingArchiveService {
+  #repository;
+
+  constructor(billingArchiveRepository) {
+    this.#repository = billingArchiveRepository;
+  }
+
+  /**
+   * Archive records, newest number first. Without an employee the whole
+   * archive is loaded (admins).
+   *
+   * @param {string|null} employeeId
+   * @returns {Promise<ArchivedBillingReport[]>}
+   */
+  async getArchive(employeeId = null) {
+    const records = employeeId
+      ? await this.#repository.findByEmployeeId(employeeId)
+      : await this.#repository.findAll();
+    return records.sort((a, b) => b.year - a.year || b.sequence - a.sequence);
+  }
+
+  /**
+   * Issue the next report number and stamp it on the report
+   *
+   * @param {BillingReport} report
+   * @returns {Promise<ArchivedBillingReport>}
+   */
+  async issueNumber(report) {
+    if (report.metadata.hasReportNumber) {
+      throw new ValidationError(`Abrechnung ${report.metadata.reportNumber} hat bereits eine Nummer`, 'reportNumber');
+    }
+
+    const record = await this.#repository.issueNumber({
+      reportId: report.id,
+      employeeId: report.employeeDetails.id,
+      employeeName: report.employeeDetails.name,
+      periodLabel: report.period.displayName,
+      reportType: report.reportType,
+    });
+    report.applyReportNumber(record.reportNumber);
+    return record;
+  }
+
+  /**
+   * Check e-invoice XML against the official CII schema (XSD) on the server
+   *
+   * @param {string} xml
+   * @returns {Promise<{valid: boolean, errors: Array<{line: number|null, message: string}>}>}
+   */
+  async validateEInvoiceSchema(xml) {
+    return await this.#repository.validateEInvoice(xml);
+  }
+
+  /**
+   * Store the exported PDF and the report data under the issued number
+   *
+   * @param {BillingReport} report - Numbered via issueNumber
+   * @param {{blob: Blob, fileName: string}} pdf
+   * @param {{blob: Blob, fileName: string}|null} eInvoice - XRechnung XML issued with the PDF
+   * @returns {Promise<ArchivedBillingReport>}
+   */
+  async archive(report, { blob, fileName }, eInvoice = null) {
+    const record = await this.#repository.findById(report.id);
+    if (!record) {
+      throw new ValidationError('Für diese Abrechnung wurde keine Berichtsnummer vergeben', 'reportNumber');
+    }
+
+    const pdfHash = await sha256Hex(blob);
+    const pdfPath = `${STORAGE_PATHS.BILLING_REPORTS}/${report.id}/${fileName}`;
+    await this.#repository.uploadPdf(pdfPath, blob, { reportNumber: record.reportNumber, sha256: pdfHash });
+
+    const files = { pdfPath, pdfFileName: fileName, pdfHash };
+    if (eInvoice) {
+      files.eInvoiceHash = await sha256Hex(eInvoice.blob);
+      files.eInvoicePath = `${STORAGE_PATHS.BILLING_REPORTS}/${report.id}/${eInvoice.fileName}`;
+      files.eInvoiceFileName = eInvoice.fileName;
+      await this.#repository.uploadEInvoice(files.eInvoicePath, eInvoice.blob, {
+        reportNumber: record.reportNumber,
+        sha256: files.eInvoiceHash,
+      });
+    }
+
+    record.archive(report, files);
+    await this.#repository.save(record);
+    Logger.log(`✓ Billing report ${record.reportNumber} archived (sha256 ${pdfHash})`);
+    return record;
+  }
+
+  /**
+   * Mark the reports whose payouts went into a SEPA transfer file
+   *
+   * @param {ArchivedBillingReport[]} records
+   * @param {string} messageId - MsgId of the pain.001 file
+   * @param {{id: string, name: string}|null} paidBy
+   */
+  async markPaid(records, messageId, paidBy = null) {
+    for (const record of records) {
+      record.markPaid(messageId, paidBy);
+      await this.#repository.save(record);
+    }
+    Logger.log(`✓ ${records.length} billing reports marked as paid (${messageId})`);
+  }
+
+  /**
+   * The archived PDF, checked against the hash recorded at export
+   *
+   * @param {ArchivedBillingReport} record
+   * @returns {Promise<{blob: Blob, fileName: string}>}
+   */
+  async downloadPdf(record) {
+    if (!record.isArchived) {
+      throw new ValidationError(`Zu Abrechnung ${record.reportNumber} wurde kein PDF archiviert`, 'pdfPath');
+    }
+
+    const blob = await this.#repository.downloadPdf(record.pdfPath);
+    const hash = await sha256Hex(blob);
+    if (hash !== record.pdfHash) {
+      Logger.error(`Archived PDF of ${record.reportNumber} does not match its hash`);
+      throw new ValidationError(`Das archivierte PDF zu Abrechnung ${record.reportNumber} wurde verändert`, 'pdfHash');
+    }
+
+    return { blob, fileName: record.pdfFileName };
+  }
+
+  /**
+   * The archived XRechnung XML, checked against its hash
+   *
+   * @param {ArchivedBillingReport} record
+   * @returns {Promise<{blob: Blob, fileName: string}>}
+   */
+  async downloadEInvoice(record) {
+    if (!record.hasEInvoice) {
+      throw new ValidationError(`Zu Abrechnung ${record.reportNumber} wurde keine XRechnung archiviert`, 'eInvoicePath');
+    }
+
+    const blob = await this.#repository.downloadEInvoice(record.eInvoicePath);
+    const hash = await sha256Hex(blob);
+    if (hash !== record.eInvoiceHash) {
+      Logger.error(`Archived XRechnung of ${record.reportNumber} does not match its hash`);
+      throw new ValidationError(`Die archivierte XRechnung zu Abrechnung ${record.reportNumber} wurde verändert`, 'eInvoiceHash');
+    }
+
+    return { blob, fileName: record.eInvoiceFileName };
+  }
+}
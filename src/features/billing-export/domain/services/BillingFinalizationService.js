@@ -8,33 +8,43 @@ import { Logger } from '../../../../core/utils/logger.js';
 
 export class BillingFinalizationService {
   #revenueService;
+  #stornoreserveService;
+  #ledgerService;
+  #advanceService;
 
-  constructor(revenueService) {
+  constructor(revenueService, stornoreserveService = null, ledgerService = null, advanceService = null) {
     this.#revenueService = revenueService;
+    this.#stornoreserveService = stornoreserveService;
+    this.#ledgerService = ledgerService;
+    this.#advanceService = advanceService;
   }
 
   /**
    * Finalize a billing report:
-   * 1. Own TRANSFERRED entries → PROVISIONED
+   * 1. Own and team bonus TRANSFERRED entries → PROVISIONED
    * 2. Tip provider entries → mark recipientId in billedTipProviderIds
    * 3. Hierarchy entries → mark recipientId in billedHierarchyManagerIds
+   * 4. Stornoreserve → book withheld and released amounts on the reserve account
+   * 5. Vorschuss → offset paid advances against the agreements
+   * 6. Provisionskonto → book provisions, clawbacks and payout on the ledger
    * @param {BillingReport} report - The completed billing report
-   * @returns {Promise<{ownCount: number, tipProviderCount: number, hierarchyCount: number}>}
+   * @returns {Promise<{ownCount: number, tipProviderCount: number, hierarchyCount: number, stornoreserveBalance: number|null, advanceBalance: number|null, ledgerBalance: number|null}>}
    */
   async finalizeReport(report) {
     const employeeId = report.employeeDetails?.id;
 
-    // 1. Own entries: TRANSFERRED → PROVISIONED (as before)
-    const transferredEntryIds = report.ownLineItems
+    // 1. Own entries and team bonuses: TRANSFERRED → PROVISIONED (as before)
+    const transferredEntryIds = [...report.ownLineItems, ...report.teamBonusLineItems]
       .filter(item => item.status === REVENUE_STATUS_TYPES.TRANSFERRED)
       .map(item => item.originalEntryId);
 
+    let ownCount = 0;
     if (transferredEntryIds.length > 0) {
-      await this.#revenueService.batchUpdateEntryStatus(
-        transferredEntryIds,
-        REVENUE_STATUS_TYPES.PROVISIONED,
-      );
-      Logger.log(`Finalized ${transferredEntryIds.length} own entries (TRANSFERRED -> PROVISIONED)`);
+      ownCount = await this.#revenueService.markEntriesAsProvisioned(transferredEntryIds, {
+        actor: { id: report.metadata.generatedBy, name: report.metadata.generatedByName },
+        comment: `Abrechnung ${report.metadata.reportNumber}`,
+      });
+      Logger.log(`Finalized ${ownCount} own entries (TRANSFERRED -> PROVISIONED)`);
     }
 
     // 2. Tip provider entries: mark this employee as billed
@@ -61,10 +71,33 @@ export class BillingFinalizationService {
       Logger.log(`Marked ${hierarchyEntryIds.length} entries as billed for hierarchy manager: ${employeeId}`);
     }
 
+    // 4. Stornoreserve: persist the movements shown on the report
+    let stornoreserveBalance = null;
+    if (this.#stornoreserveService && report.stornoreserve) {
+      const account = await this.#stornoreserveService.applyReport(report);
+      stornoreserveBalance = account ? account.balance : null;
+    }
+
+    // 5. Advances: persist the offsets shown on the report
+    let advanceBalance = null;
+    if (this.#advanceService && report.advance) {
+      advanceBalance = await this.#advanceService.applyReport(report);
+    }
+
+    // 6. Ledger: book the report and carry a negative result forward
+    let ledgerBalance = null;
+    if (this.#ledgerService) {
+      const result = await this.#ledgerService.bookReport(report);
+      ledgerBalance = result.balance;
+    }
+
     return {
-      ownCount: transferredEntryIds.length,
+      ownCount,
       tipProviderCount: tipProviderEntryIds.length,
       hierarchyCount: hierarchyEntryIds.length,
+      stornoreserveBalance,
+      advanceBalance,
+      ledgerBalance,
     };
   }
 }
@@ -12,11 +12,24 @@ export class BillingReportService {
   #revenueService;
   #profileService;
   #hierarchyService;
-
-  constructor(revenueService, profileService, hierarchyService) {
+  #stornoreserveService;
+  #ledgerService;
+  #advanceService;
+
+  constructor(
+    revenueService,
+    profileService,
+    hierarchyService,
+    stornoreserveService = null,
+    ledgerService = null,
+    advanceService = null,
+  ) {
     this.#revenueService = revenueService;
     this.#profileService = profileService;
     this.#hierarchyService = hierarchyService;
+    this.#stornoreserveService = stornoreserveService;
+    this.#ledgerService = ledgerService;
+    this.#advanceService = advanceService;
   }
 
   async generateReport(employeeId, period, options = {}) {
@@ -73,6 +86,27 @@ export class BillingReportService {
         includeProvisioned,
       });
 
+      if (this.#stornoreserveService) {
+        const stornoreserve = await this.#stornoreserveService.calculateForReport(report);
+        report.applyStornoreserve(stornoreserve);
+        Logger.log('Stornoreserve withheld:', stornoreserve.withheldAmount.toFixed(2),
+          'released:', stornoreserve.releasedAmount.toFixed(2));
+      }
+
+      if (this.#ledgerService) {
+        const ledgerBalance = await this.#ledgerService.getBalance(employeeId);
+        report.applyLedgerBalance(ledgerBalance);
+        Logger.log('Ledger balance carried forward:', ledgerBalance.toFixed(2));
+      }
+
+      // Advances are offset last: the cap depends on what would be paid out
+      if (this.#advanceService) {
+        const advance = await this.#advanceService.calculateForReport(report);
+        report.applyAdvance(advance);
+        Logger.log('Advance offset:', advance.offsetAmount.toFixed(2),
+          'outstanding:', advance.closingBalance.toFixed(2));
+      }
+
       Logger.log('Report generated successfully');
       Logger.log('Total provisions:', report.totalProvision.toFixed(2));
 
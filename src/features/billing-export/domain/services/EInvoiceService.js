@@ -0,0 +1,465 @@
+/**
+ * Domain Service: EInvoiceService
+ * Creates the e-invoice for a billing report issued as Gutschrift: an
+ * invoice in UN/CEFACT CII syntax following the EN 16931 data model, with
+ * document type 389 (self-billed invoice). The advisor is the seller,
+ * Trialog the buyer.
+ *
+ * Two outputs:
+ * - XRechnung: the XML alone, with the XRechnung 3.0 specification ID
+ * - ZUGFeRD / Factur-X: a PDF/A-3b with the XML (profile EN 16931)
+ *   embedded as factur-x.xml. The PDF has to be generated with embedded
+ *   fonts; this service adds the sRGB output intent, the PDF/A and
+ *   Factur-X XMP metadata and the document ID.
+ *
+ * Every XML passes the structural pre-check of EInvoiceValidator and the
+ * official CII schema (XSD, checked server-side) before it is handed out.
+ * The EN 16931 and XRechnung Schematron rules are not run, so the output
+ * is not verified as conformant; ZUGFeRD is not offered until the
+ * Schematron and a PDF/A check (veraPDF) are in place.
+ */
+
+import { Logger } from '../../../../core/utils/logger.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { PDF_CONFIG } from './PdfGeneratorService.js';
+import { EInvoiceValidator, XRECHNUNG_GUIDELINE_ID, EN16931_GUIDELINE_ID } from './EInvoiceValidator.js';
+import { ProvisionVatBreakdown } from '../value-objects/ProvisionVatBreakdown.js';
+import { createSrgbIccProfile } from './SrgbIccProfile.js';
+
+export const E_INVOICE_FORMATS = {
+  XRECHNUNG: 'xrechnung',
+  ZUGFERD: 'zugferd',
+};
+
+// Formats offered for export; ZUGFeRD stays hidden until its PDF/A-3 and
+// the embedded XML can be validated
+export const AVAILABLE_E_INVOICE_FORMATS = [E_INVOICE_FORMATS.XRECHNUNG];
+
+const SELF_BILLED_INVOICE = '389';
+const SEPA_CREDIT_TRANSFER = '58';
+const FACTUR_X_FILE_NAME = 'factur-x.xml';
+const FACTUR_X_NAMESPACE = 'urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#';
+const SRGB_OUTPUT_CONDITION = 'sRGB IEC61966-2.1';
+const PDF_PRODUCER = 'pdf-lib';
+const PDF_CREATOR = 'jsPDF';
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function formatDate102(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+}
+
+const formatAmount = (amount) => roundCurrency(amount).toFixed(2);
+
+/**
+ * Minimal XML writer: element(name, content, attributes) where content is
+ * a string or an array of child elements; empty optional parts are null
+ */
+function element(name, content, attributes = {}) {
+  const attrs = Object.entries(attributes).map(([key, value]) => ` ${key}="${escapeXml(value)}"`).join('');
+  if (Array.isArray(content)) {
+    const inner = content.filter(Boolean).join('');
+    return `<${name}${attrs}>${inner}</${name}>`;
+  }
+  return `<${name}${attrs}>${escapeXml(content)}</${name}>`;
+}
+
+const optional = (condition, build) => (condition ? build() : null);
+
+export class EInvoiceService {
+  #schemaValidator;
+
+  /**
+   * @param {{validateEInvoiceSchema: function(string): Promise<{valid: boolean, errors: Array}>}|null} schemaValidator
+   *   XSD check, usually the BillingArchiveService; without it no e-invoice is created
+   */
+  constructor(schemaValidator = null) {
+    this.#schemaValidator = schemaValidator;
+  }
+
+  /**
+   * Check before the report number is issued that the e-invoice can be
+   * created, so a rejected export does not use up a number
+   *
+   * @param {BillingReport} report
+   * @param {string} format - E_INVOICE_FORMATS
+   * @throws {ValidationError}
+   */
+  async assertReady(report, format) {
+    await this.#validate(this.#buildXml(report, format, 'ENTWURF'), format);
+  }
+
+  /**
+   * @param {BillingReport} report - Numbered Gutschrift
+   * @returns {Promise<{blob: Blob, fileName: string, xml: string}>}
+   */
+  async createXRechnung(report) {
+    const xml = this.#buildXml(report, E_INVOICE_FORMATS.XRECHNUNG);
+    await this.#validate(xml, E_INVOICE_FORMATS.XRECHNUNG);
+
+    const fileName = `XRechnung_${report.metadata.reportNumber}.xml`;
+    Logger.log('XRechnung created:', fileName);
+    return { blob: new Blob([xml], { type: 'application/xml' }), fileName, xml };
+  }
+
+  /**
+   * Embed the validated CII XML into the Gutschrift PDF and make it PDF/A-3
+   *
+   * @param {BillingReport} report - Numbered Gutschrift
+   * @param {{blob: Blob, fileName: string}} pdf - Output of PdfGeneratorService with embedFonts
+   * @returns {Promise<{blob: Blob, fileName: string}>}
+   */
+  async createZugferdPdf(report, { blob, fileName }) {
+    if (typeof window.PDFLib === 'undefined') {
+      throw new Error('pdf-lib library not loaded. Please ensure pdf-lib CDN is included.');
+    }
+
+    const xml = this.#buildXml(report, E_INVOICE_FORMATS.ZUGFERD);
+    await this.#validate(xml, E_INVOICE_FORMATS.ZUGFERD);
+
+    const { PDFDocument, PDFName, PDFString, PDFHexString, AFRelationship } = window.PDFLib;
+    const pdfDoc = await PDFDocument.load(await blob.arrayBuffer(), { updateMetadata: false });
+    const issuedAt = report.metadata.generatedAt;
+
+    await pdfDoc.attach(new TextEncoder().encode(xml), FACTUR_X_FILE_NAME, {
+      mimeType: 'text/xml',
+      description: `Gutschrift ${report.metadata.reportNumber} (EN 16931)`,
+      creationDate: issuedAt,
+      modificationDate: issuedAt,
+      afRelationship: AFRelationship.Alternative,
+    });
+
+    pdfDoc.setTitle(`Gutschrift ${report.metadata.reportNumber}`);
+    pdfDoc.setAuthor(PDF_CONFIG.legal.company);
+    pdfDoc.setProducer(PDF_PRODUCER);
+    pdfDoc.setCreator(PDF_CREATOR);
+    pdfDoc.setCreationDate(issuedAt);
+    pdfDoc.setModificationDate(issuedAt);
+
+    const iccProfile = pdfDoc.context.flateStream(createSrgbIccProfile(), { N: 3 });
+    const outputIntent = pdfDoc.context.obj({
+      Type: 'OutputIntent',
+      S: 'GTS_PDFA1',
+      OutputConditionIdentifier: PDFString.of(SRGB_OUTPUT_CONDITION),
+      Info: PDFString.of(SRGB_OUTPUT_CONDITION),
+      RegistryName: PDFString.of('http://www.color.org'),
+      DestOutputProfile: pdfDoc.context.register(iccProfile),
+    });
+    pdfDoc.catalog.set(PDFName.of('OutputIntents'), pdfDoc.context.obj([outputIntent]));
+
+    // PDF/A requires a file identifier; the report ID keeps it stable
+    const documentId = PDFHexString.of(report.id.replace(/[^0-9a-f]/gi, ''));
+    pdfDoc.context.trailerInfo.ID = pdfDoc.context.obj([documentId, documentId]);
+
+    const metadata = pdfDoc.context.stream(this.#buildXmpMetadata(report), {
+      Type: 'Metadata',
+      Subtype: 'XML',
+    });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(metadata));
+
+    const bytes = await pdfDoc.save({ useObjectStreams: false });
+    Logger.log('ZUGFeRD PDF created:', fileName);
+    return { blob: new Blob([bytes], { type: 'application/pdf' }), fileName };
+  }
+
+  async #validate(xml, format) {
+    if (!AVAILABLE_E_INVOICE_FORMATS.includes(format)) {
+      throw new ValidationError('Dieses E-Rechnungsformat kann noch nicht geprüft werden und wird nicht erstellt', 'eInvoiceFormat');
+    }
+
+    const { valid, errors } = EInvoiceValidator.validate(xml, {
+      xrechnung: format === E_INVOICE_FORMATS.XRECHNUNG,
+    });
+    if (!valid) {
+      Logger.warn('E-invoice pre-check failed:', errors);
+      const details = errors.map((error) => `${error.rule}: ${error.message}`).join('\n');
+      throw new ValidationError(
+        `Die E-Rechnung hat die Vorprüfung nicht bestanden (Verkäufer = Vertriebspartner, Käufer = Trialog):\n${details}`,
+        'eInvoice',
+      );
+    }
+
+    if (!this.#schemaValidator) {
+      throw new ValidationError('Die E-Rechnung kann ohne Schemaprüfung (XSD) nicht erstellt werden', 'eInvoice');
+    }
+    const schemaResult = await this.#schemaValidator.validateEInvoiceSchema(xml);
+    if (!schemaResult.valid) {
+      Logger.warn('E-invoice schema check failed:', schemaResult.errors);
+      const details = schemaResult.errors.map((error) => `Zeile ${error.line ?? '?'}: ${error.message}`).join('\n');
+      throw new ValidationError(`Die E-Rechnung entspricht nicht dem CII-Schema (XSD):\n${details}`, 'eInvoice');
+    }
+  }
+
+  #buildXml(report, format, fallbackNumber = null) {
+    if (report.isExtraordinary) {
+      throw new ValidationError('Für Durchlaufposten-Abrechnungen wird keine E-Rechnung erstellt', 'reportType');
+    }
+    const number = report.metadata.reportNumber ?? fallbackNumber;
+    if (!number) {
+      throw new ValidationError('Eine E-Rechnung erfordert eine fortlaufende Gutschriftsnummer', 'reportNumber');
+    }
+
+    const guidelineId = format === E_INVOICE_FORMATS.XRECHNUNG ? XRECHNUNG_GUIDELINE_ID : EN16931_GUIDELINE_ID;
+    const vatBreakdown = ProvisionVatBreakdown.fromReport(report);
+    vatBreakdown.assertExemptionBasis();
+    const lines = report.allLineItems.map((item, index) => this.#toLine(item, index + 1));
+    const taxes = this.#groupTaxes(lines, vatBreakdown);
+
+    const lineTotal = roundCurrency(lines.reduce((sum, line) => sum + line.net, 0));
+    const taxTotal = roundCurrency(taxes.reduce((sum, tax) => sum + tax.vat, 0));
+    const grandTotal = roundCurrency(lineTotal + taxTotal);
+
+    const notes = [
+      'Gutschrift im Sinne von § 14 Abs. 2 Satz 2 UStG.',
+      ...vatBreakdown.exempt.map((exempt) => exempt.note),
+    ];
+
+    const xml = element('rsm:CrossIndustryInvoice', [
+      element('rsm:ExchangedDocumentContext', [
+        element('ram:GuidelineSpecifiedDocumentContextParameter', [element('ram:ID', guidelineId)]),
+      ]),
+      element('rsm:ExchangedDocument', [
+        element('ram:ID', number),
+        element('ram:TypeCode', SELF_BILLED_INVOICE),
+        element('ram:IssueDateTime', [this.#date(report.metadata.generatedAt)]),
+        ...notes.map((note) => element('ram:IncludedNote', [element('ram:Content', note)])),
+      ]),
+      element('rsm:SupplyChainTradeTransaction', [
+        ...lines.map((line) => line.xml),
+        element('ram:ApplicableHeaderTradeAgreement', [
+          element('ram:BuyerReference', report.employeeDetails.id),
+          this.#sellerParty(report.employeeDetails),
+          this.#buyerParty(),
+        ]),
+        element('ram:ApplicableHeaderTradeDelivery', []),
+        element('ram:ApplicableHeaderTradeSettlement', [
+          element('ram:InvoiceCurrencyCode', 'EUR'),
+          this.#paymentMeans(report.employeeDetails),
+          ...taxes.map((tax) => element('ram:ApplicableTradeTax', [
+            element('ram:CalculatedAmount', formatAmount(tax.vat)),
+            element('ram:TypeCode', 'VAT'),
+            optional(tax.exemptionReason, () => element('ram:ExemptionReason', tax.exemptionReason)),
+            element('ram:BasisAmount', formatAmount(tax.basis)),
+            element('ram:CategoryCode', tax.category),
+            element('ram:RateApplicablePercent', String(tax.rate)),
+          ])),
+          element('ram:BillingSpecifiedPeriod', [
+            element('ram:StartDateTime', [this.#date(report.period.startDate)]),
+            element('ram:EndDateTime', [this.#date(report.period.endDate)]),
+          ]),
+          element('ram:SpecifiedTradePaymentTerms', [
+            element('ram:Description', 'Auszahlung per Überweisung nach Verrechnung mit Stornoreserve, '
+              + `Vorschüssen und Saldovortrag laut Provisionsabrechnung: ${formatAmount(report.payoutAmount)} EUR`),
+          ]),
+          element('ram:SpecifiedTradeSettlementHeaderMonetarySummation', [
+            element('ram:LineTotalAmount', formatAmount(lineTotal)),
+            element('ram:TaxBasisTotalAmount', formatAmount(lineTotal)),
+            element('ram:TaxTotalAmount', formatAmount(taxTotal), { currencyID: 'EUR' }),
+            element('ram:GrandTotalAmount', formatAmount(grandTotal)),
+            element('ram:DuePayableAmount', formatAmount(grandTotal)),
+          ]),
+        ]),
+      ]),
+    ], {
+      'xmlns:rsm': 'urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100',
+      'xmlns:ram': 'urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100',
+      'xmlns:qdt': 'urn:un:unece:uncefact:data:standard:QualifiedDataType:100',
+      'xmlns:udt': 'urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100',
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${xml}`;
+  }
+
+  /**
+   * One invoice line per report line item. Taxed provisions are invoiced
+   * net (category S), untaxed ones in full (category E). Negative lines
+   * (cancellations) get quantity -1 since the net price must not be negative.
+   */
+  #toLine(item, lineNumber) {
+    const isTaxed = item.provisionVatRate > 0;
+    const category = isTaxed ? 'S' : 'E';
+    const rate = isTaxed ? item.provisionVatRate : 0;
+    const net = isTaxed ? item.provisionNetAmount : roundCurrency(item.provisionAmount || 0);
+    const product = item.productName || item.providerName || item.categoryDisplayName;
+    const description = [
+      item.contractNumber && `Vertrag ${item.contractNumber}`,
+      item.customerName && `Kunde ${item.customerName}`,
+      item.dateFormatted,
+      item.sourceDisplayName,
+    ].filter(Boolean).join(', ');
+
+    const xml = element('ram:IncludedSupplyChainTradeLineItem', [
+      element('ram:AssociatedDocumentLineDocument', [element('ram:LineID', String(lineNumber))]),
+      element('ram:SpecifiedTradeProduct', [
+        element('ram:Name', `Provision ${item.categoryDisplayName}: ${product}`),
+        optional(description, () => element('ram:Description', description)),
+      ]),
+      element('ram:SpecifiedLineTradeAgreement', [
+        element('ram:NetPriceProductTradePrice', [element('ram:ChargeAmount', formatAmount(Math.abs(net)))]),
+      ]),
+      element('ram:SpecifiedLineTradeDelivery', [
+        element('ram:BilledQuantity', net < 0 ? '-1' : '1', { unitCode: 'C62' }),
+      ]),
+      element('ram:SpecifiedLineTradeSettlement', [
+        element('ram:ApplicableTradeTax', [
+          element('ram:TypeCode', 'VAT'),
+          element('ram:CategoryCode', category),
+          element('ram:RateApplicablePercent', String(rate)),
+        ]),
+        element('ram:SpecifiedTradeSettlementLineMonetarySummation', [
+          element('ram:LineTotalAmount', formatAmount(net)),
+        ]),
+      ]),
+    ]);
+
+    return { category, rate, net, xml };
+  }
+
+  /**
+   * VAT breakdown per category and rate. The VAT is calculated on the
+   * basis as EN 16931 requires, so it can differ by a cent from the sum
+   * of the amounts extracted per line on the PDF.
+   */
+  #groupTaxes(lines, vatBreakdown) {
+    const groups = new Map();
+    for (const line of lines) {
+      const key = `${line.category}|${line.rate}`;
+      const group = groups.get(key) || { category: line.category, rate: line.rate, basis: 0 };
+      group.basis = roundCurrency(group.basis + line.net);
+      groups.set(key, group);
+    }
+
+    const exemptionReason = vatBreakdown.exempt.map((exempt) => exempt.note).join(' ');
+    return [...groups.values()].map((group) => ({
+      ...group,
+      vat: roundCurrency(group.basis * group.rate / 100),
+      exemptionReason: group.category === 'E' ? exemptionReason : null,
+    }));
+  }
+
+  #date(date) {
+    return element('udt:DateTimeString', formatDate102(date), { format: '102' });
+  }
+
+  #sellerParty(employeeDetails) {
+    const street = [employeeDetails.street, employeeDetails.houseNumber].filter(Boolean).join(' ');
+    return element('ram:SellerTradeParty', [
+      element('ram:Name', employeeDetails.name),
+      element('ram:DefinedTradeContact', [
+        element('ram:PersonName', employeeDetails.name),
+        optional(employeeDetails.phone, () => element('ram:TelephoneUniversalCommunication', [
+          element('ram:CompleteNumber', employeeDetails.phone),
+        ])),
+        optional(employeeDetails.email, () => element('ram:EmailURIUniversalCommunication', [
+          element('ram:URIID', employeeDetails.email),
+        ])),
+      ]),
+      element('ram:PostalTradeAddress', [
+        optional(employeeDetails.postalCode, () => element('ram:PostcodeCode', employeeDetails.postalCode)),
+        optional(street, () => element('ram:LineOne', street)),
+        optional(employeeDetails.city, () => element('ram:CityName', employeeDetails.city)),
+        element('ram:CountryID', 'DE'),
+      ]),
+      optional(employeeDetails.email, () => element('ram:URIUniversalCommunication', [
+        element('ram:URIID', employeeDetails.email, { schemeID: 'EM' }),
+      ])),
+      optional(employeeDetails.vatNumber, () => element('ram:SpecifiedTaxRegistration', [
+        element('ram:ID', employeeDetails.vatNumber, { schemeID: 'VA' }),
+      ])),
+      optional(employeeDetails.taxNumber, () => element('ram:SpecifiedTaxRegistration', [
+        element('ram:ID', employeeDetails.taxNumber, { schemeID: 'FC' }),
+      ])),
+    ]);
+  }
+
+  #buyerParty() {
+    const { legal } = PDF_CONFIG;
+    return element('ram:BuyerTradeParty', [
+      element('ram:Name', legal.company),
+      element('ram:PostalTradeAddress', [
+        element('ram:PostcodeCode', legal.postalCode),
+        element('ram:LineOne', legal.street),
+        element('ram:CityName', legal.city),
+        element('ram:CountryID', legal.countryCode),
+      ]),
+      element('ram:URIUniversalCommunication', [element('ram:URIID', legal.email, { schemeID: 'EM' })]),
+      element('ram:SpecifiedTaxRegistration', [element('ram:ID', legal.vatId, { schemeID: 'VA' })]),
+    ]);
+  }
+
+  // Trialog pays the advisor, so the payee account is the advisor's
+  #paymentMeans(employeeDetails) {
+    return element('ram:SpecifiedTradeSettlementPaymentMeans', [
+      element('ram:TypeCode', SEPA_CREDIT_TRANSFER),
+      optional(employeeDetails.iban, () => element('ram:PayeePartyCreditorFinancialAccount', [
+        element('ram:IBANID', employeeDetails.iban.replace(/\s+/g, '')),
+        optional(employeeDetails.accountHolder, () => element('ram:AccountName', employeeDetails.accountHolder)),
+      ])),
+    ]);
+  }
+
+  #buildXmpMetadata(report) {
+    const issuedAt = report.metadata.generatedAt.toISOString();
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">Gutschrift ${escapeXml(report.metadata.reportNumber)}</rdf:li></rdf:Alt></dc:title>
+      <dc:creator><rdf:Seq><rdf:li>${escapeXml(PDF_CONFIG.legal.company)}</rdf:li></rdf:Seq></dc:creator>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+      <pdfaid:part>3</pdfaid:part>
+      <pdfaid:conformance>B</pdfaid:conformance>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+      <xmp:CreatorTool>${PDF_CREATOR}</xmp:CreatorTool>
+      <xmp:CreateDate>${issuedAt}</xmp:CreateDate>
+      <xmp:ModifyDate>${issuedAt}</xmp:ModifyDate>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+      <pdf:Producer>${PDF_PRODUCER}</pdf:Producer>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:fx="${FACTUR_X_NAMESPACE}">
+      <fx:DocumentType>INVOICE</fx:DocumentType>
+      <fx:DocumentFileName>${FACTUR_X_FILE_NAME}</fx:DocumentFileName>
+      <fx:Version>1.0</fx:Version>
+      <fx:ConformanceLevel>EN 16931</fx:ConformanceLevel>
+    </rdf:Description>
+    <rdf:Description rdf:about=""
+        xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+        xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"
+        xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+      <pdfaExtension:schemas>
+        <rdf:Bag>
+          <rdf:li rdf:parseType="Resource">
+            <pdfaSchema:schema>Factur-X PDFA Extension Schema</pdfaSchema:schema>
+            <pdfaSchema:namespaceURI>${FACTUR_X_NAMESPACE}</pdfaSchema:namespaceURI>
+            <pdfaSchema:prefix>fx</pdfaSchema:prefix>
+            <pdfaSchema:property>
+              <rdf:Seq>
+                ${['DocumentFileName', 'DocumentType', 'Version', 'ConformanceLevel'].map((name) => `<rdf:li rdf:parseType="Resource">
+                  <pdfaProperty:name>${name}</pdfaProperty:name>
+                  <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+                  <pdfaProperty:category>external</pdfaProperty:category>
+                  <pdfaProperty:description>Factur-X ${name}</pdfaProperty:description>
+                </rdf:li>`).join('\n                ')}
+              </rdf:Seq>
+            </pdfaSchema:property>
+          </rdf:li>
+        </rdf:Bag>
+      </pdfaExtension:schemas>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+  }
+}
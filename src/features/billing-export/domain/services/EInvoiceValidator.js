@@ -0,0 +1,410 @@
+/**
+ * Domain Service: EInvoiceValidator
+ * Structural pre-check of a generated CII e-invoice before it leaves the
+ * app: first the element sequence, cardinality and data types of the
+ * UN/CEFACT CII D16B schema for the elements we generate, then a selection
+ * of the EN 16931 business rules and, for XRechnung, the German BR-DE rules.
+ *
+ * Only the part of the schema this app produces is described here; any
+ * other element is reported, so a change to the generator cannot slip
+ * past unchecked. This is not a conformance validation: it does not run
+ * the official XSD and Schematron of the KoSIT validator.
+ */
+
+const NAMESPACES = {
+  'urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100': 'rsm',
+  'urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100': 'ram',
+  'urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100': 'udt',
+  'urn:un:unece:uncefact:data:standard:QualifiedDataType:100': 'qdt',
+};
+
+export const XRECHNUNG_GUIDELINE_ID = 'urn:cen.eu:en16931:2017#compliant#urn:xeinkauf.de:kosit:xrechnung_3.0';
+export const EN16931_GUIDELINE_ID = 'urn:cen.eu:en16931:2017';
+
+const DATA_TYPES = {
+  text: (value) => value.trim().length > 0,
+  amount: (value) => /^-?\d+(\.\d{1,2})?$/.test(value),
+  decimal: (value) => /^-?\d+(\.\d+)?$/.test(value),
+  date: (value) => /^\d{4}(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])$/.test(value),
+};
+
+const node = (name, min, max, spec = {}) => ({ name, min, max, ...spec });
+
+const DATE_TIME = [node('udt:DateTimeString', 1, 1, { type: 'date', attributes: { format: ['102'] } })];
+
+const TRADE_PARTY = [
+  node('ram:ID', 0, Infinity, { type: 'text' }),
+  node('ram:Name', 1, 1, { type: 'text' }),
+  node('ram:DefinedTradeContact', 0, 1, {
+    children: [
+      node('ram:PersonName', 0, 1, { type: 'text' }),
+      node('ram:TelephoneUniversalCommunication', 0, 1, {
+        children: [node('ram:CompleteNumber', 1, 1, { type: 'text' })],
+      }),
+      node('ram:EmailURIUniversalCommunication', 0, 1, {
+        children: [node('ram:URIID', 1, 1, { type: 'text' })],
+      }),
+    ],
+  }),
+  node('ram:PostalTradeAddress', 0, 1, {
+    children: [
+      node('ram:PostcodeCode', 0, 1, { type: 'text' }),
+      node('ram:LineOne', 0, 1, { type: 'text' }),
+      node('ram:CityName', 0, 1, { type: 'text' }),
+      node('ram:CountryID', 1, 1, { pattern: /^[A-Z]{2}$/ }),
+    ],
+  }),
+  node('ram:URIUniversalCommunication', 0, 1, {
+    children: [node('ram:URIID', 1, 1, { type: 'text', attributes: { schemeID: null } })],
+  }),
+  node('ram:SpecifiedTaxRegistration', 0, 2, {
+    children: [node('ram:ID', 1, 1, { type: 'text', attributes: { schemeID: ['VA', 'FC'] } })],
+  }),
+];
+
+const TAX_CATEGORY_CODES = ['S', 'Z', 'E', 'AE', 'K', 'G', 'O', 'L', 'M'];
+
+const SCHEMA = node('rsm:CrossIndustryInvoice', 1, 1, {
+  children: [
+    node('rsm:ExchangedDocumentContext', 1, 1, {
+      children: [
+        node('ram:BusinessProcessSpecifiedDocumentContextParameter', 0, 1, {
+          children: [node('ram:ID', 1, 1, { type: 'text' })],
+        }),
+        node('ram:GuidelineSpecifiedDocumentContextParameter', 1, 1, {
+          children: [node('ram:ID', 1, 1, { type: 'text' })],
+        }),
+      ],
+    }),
+    node('rsm:ExchangedDocument', 1, 1, {
+      children: [
+        node('ram:ID', 1, 1, { type: 'text' }),
+        node('ram:TypeCode', 1, 1, { values: ['380', '381', '384', '389', '751'] }),
+        node('ram:IssueDateTime', 1, 1, { children: DATE_TIME }),
+        node('ram:IncludedNote', 0, Infinity, {
+          children: [node('ram:Content', 1, 1, { type: 'text' })],
+        }),
+      ],
+    }),
+    node('rsm:SupplyChainTradeTransaction', 1, 1, {
+      children: [
+        node('ram:IncludedSupplyChainTradeLineItem', 1, Infinity, {
+          children: [
+            node('ram:AssociatedDocumentLineDocument', 1, 1, {
+              children: [node('ram:LineID', 1, 1, { type: 'text' })],
+            }),
+            node('ram:SpecifiedTradeProduct', 1, 1, {
+              children: [
+                node('ram:SellerAssignedID', 0, 1, { type: 'text' }),
+                node('ram:Name', 1, 1, { type: 'text' }),
+                node('ram:Description', 0, 1, { type: 'text' }),
+              ],
+            }),
+            node('ram:SpecifiedLineTradeAgreement', 1, 1, {
+              children: [
+                node('ram:NetPriceProductTradePrice', 1, 1, {
+                  children: [node('ram:ChargeAmount', 1, 1, { type: 'decimal' })],
+                }),
+              ],
+            }),
+            node('ram:SpecifiedLineTradeDelivery', 1, 1, {
+              children: [node('ram:BilledQuantity', 1, 1, { type: 'decimal', attributes: { unitCode: null } })],
+            }),
+            node('ram:SpecifiedLineTradeSettlement', 1, 1, {
+              children: [
+                node('ram:ApplicableTradeTax', 1, 1, {
+                  children: [
+                    node('ram:TypeCode', 1, 1, { values: ['VAT'] }),
+                    node('ram:CategoryCode', 1, 1, { values: TAX_CATEGORY_CODES }),
+                    node('ram:RateApplicablePercent', 0, 1, { type: 'decimal' }),
+                  ],
+                }),
+                node('ram:SpecifiedTradeSettlementLineMonetarySummation', 1, 1, {
+                  children: [node('ram:LineTotalAmount', 1, 1, { type: 'amount' })],
+                }),
+              ],
+            }),
+          ],
+        }),
+        node('ram:ApplicableHeaderTradeAgreement', 1, 1, {
+          children: [
+            node('ram:BuyerReference', 0, 1, { type: 'text' }),
+            node('ram:SellerTradeParty', 1, 1, { children: TRADE_PARTY }),
+            node('ram:BuyerTradeParty', 1, 1, { children: TRADE_PARTY }),
+          ],
+        }),
+        node('ram:ApplicableHeaderTradeDelivery', 1, 1, { children: [] }),
+        node('ram:ApplicableHeaderTradeSettlement', 1, 1, {
+          children: [
+            node('ram:InvoiceCurrencyCode', 1, 1, { pattern: /^[A-Z]{3}$/ }),
+            node('ram:SpecifiedTradeSettlementPaymentMeans', 0, Infinity, {
+              children: [
+                node('ram:TypeCode', 1, 1, { type: 'text' }),
+                node('ram:PayeePartyCreditorFinancialAccount', 0, 1, {
+                  children: [
+                    node('ram:IBANID', 0, 1, { type: 'text' }),
+                    node('ram:AccountName', 0, 1, { type: 'text' }),
+                  ],
+                }),
+              ],
+            }),
+            node('ram:ApplicableTradeTax', 1, Infinity, {
+              children: [
+                node('ram:CalculatedAmount', 1, 1, { type: 'amount' }),
+                node('ram:TypeCode', 1, 1, { values: ['VAT'] }),
+                node('ram:ExemptionReason', 0, 1, { type: 'text' }),
+                node('ram:BasisAmount', 1, 1, { type: 'amount' }),
+                node('ram:CategoryCode', 1, 1, { values: TAX_CATEGORY_CODES }),
+                node('ram:RateApplicablePercent', 0, 1, { type: 'decimal' }),
+              ],
+            }),
+            node('ram:BillingSpecifiedPeriod', 0, 1, {
+              children: [
+                node('ram:StartDateTime', 0, 1, { children: DATE_TIME }),
+                node('ram:EndDateTime', 0, 1, { children: DATE_TIME }),
+              ],
+            }),
+            node('ram:SpecifiedTradePaymentTerms', 0, Infinity, {
+              children: [node('ram:Description', 0, 1, { type: 'text' })],
+            }),
+            node('ram:SpecifiedTradeSettlementHeaderMonetarySummation', 1, 1, {
+              children: [
+                node('ram:LineTotalAmount', 1, 1, { type: 'amount' }),
+                node('ram:TaxBasisTotalAmount', 1, 1, { type: 'amount' }),
+                node('ram:TaxTotalAmount', 0, 2, { type: 'amount', attributes: { currencyID: null } }),
+                node('ram:GrandTotalAmount', 1, 1, { type: 'amount' }),
+                node('ram:TotalPrepaidAmount', 0, 1, { type: 'amount' }),
+                node('ram:DuePayableAmount', 1, 1, { type: 'amount' }),
+              ],
+            }),
+          ],
+        }),
+      ],
+    }),
+  ],
+});
+
+function qualifiedName(element) {
+  return `${NAMESPACES[element.namespaceURI] || element.namespaceURI}:${element.localName}`;
+}
+
+function childElements(element, name = null) {
+  return Array.from(element.children).filter((child) => !name || qualifiedName(child) === name);
+}
+
+/**
+ * First element along a path of qualified names, e.g.
+ * find(root, 'rsm:ExchangedDocument', 'ram:ID')
+ */
+function find(element, ...path) {
+  return path.reduce((current, name) => (current ? childElements(current, name)[0] || null : null), element);
+}
+
+function textOf(element, ...path) {
+  return find(element, ...path)?.textContent.trim() ?? '';
+}
+
+const toCents = (value) => Math.round(Number(value) * 100);
+
+export class EInvoiceValidator {
+  /**
+   * @param {string} xml
+   * @param {Object} [options]
+   * @param {boolean} [options.xrechnung=true] - Also apply the XRechnung (BR-DE) rules
+   * @returns {{valid: boolean, errors: Array<{rule: string, message: string}>}}
+   */
+  static validate(xml, { xrechnung = true } = {}) {
+    const document = new DOMParser().parseFromString(xml, 'application/xml');
+    const parserError = document.getElementsByTagName('parsererror')[0];
+    if (parserError) {
+      return { valid: false, errors: [{ rule: 'XML', message: `Kein wohlgeformtes XML: ${parserError.textContent.trim()}` }] };
+    }
+
+    const errors = [];
+    const root = document.documentElement;
+    if (qualifiedName(root) !== SCHEMA.name) {
+      errors.push({ rule: 'Schema', message: `Unerwartetes Wurzelelement ${qualifiedName(root)}` });
+    } else {
+      EInvoiceValidator.#checkStructure(root, SCHEMA, SCHEMA.name, errors);
+    }
+
+    // Business rules rely on the structure, so they only run on a valid tree
+    if (errors.length === 0) {
+      EInvoiceValidator.#checkBusinessRules(root, errors);
+      if (xrechnung) {
+        EInvoiceValidator.#checkXRechnungRules(root, errors);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  static #checkStructure(element, definition, path, errors) {
+    if (definition.type && !DATA_TYPES[definition.type](element.textContent.trim())) {
+      errors.push({ rule: 'Schema', message: `${path}: ungültiger Wert "${element.textContent.trim()}"` });
+    }
+    if (definition.values && !definition.values.includes(element.textContent.trim())) {
+      errors.push({ rule: 'Schema', message: `${path}: Code "${element.textContent.trim()}" nicht zulässig` });
+    }
+    if (definition.pattern && !definition.pattern.test(element.textContent.trim())) {
+      errors.push({ rule: 'Schema', message: `${path}: ungültiges Format "${element.textContent.trim()}"` });
+    }
+    for (const [attribute, allowed] of Object.entries(definition.attributes || {})) {
+      const value = element.getAttribute(attribute);
+      if (!value || (allowed && !allowed.includes(value))) {
+        errors.push({ rule: 'Schema', message: `${path}: Attribut ${attribute} fehlt oder ist ungültig` });
+      }
+    }
+
+    if (!definition.children) return;
+
+    // Walk the children in schema order; each definition consumes its run of elements
+    const children = childElements(element);
+    let index = 0;
+    for (const childDefinition of definition.children) {
+      let count = 0;
+      while (index < children.length && qualifiedName(children[index]) === childDefinition.name) {
+        const childPath = `${path}/${childDefinition.name}`;
+        EInvoiceValidator.#checkStructure(children[index], childDefinition, childPath, errors);
+        count++;
+        index++;
+      }
+      if (count < childDefinition.min) {
+        errors.push({ rule: 'Schema', message: `${path}: Pflichtelement ${childDefinition.name} fehlt` });
+      }
+      if (count > childDefinition.max) {
+        errors.push({ rule: 'Schema', message: `${path}: ${childDefinition.name} darf höchstens ${childDefinition.max}-mal vorkommen` });
+      }
+    }
+    for (const unexpected of children.slice(index)) {
+      errors.push({ rule: 'Schema', message: `${path}: Element ${qualifiedName(unexpected)} an dieser Stelle nicht erlaubt` });
+    }
+  }
+
+  static #checkBusinessRules(root, errors) {
+    const fail = (rule, message) => errors.push({ rule, message });
+    const transaction = find(root, 'rsm:SupplyChainTradeTransaction');
+    const agreement = find(transaction, 'ram:ApplicableHeaderTradeAgreement');
+    const settlement = find(transaction, 'ram:ApplicableHeaderTradeSettlement');
+    const seller = find(agreement, 'ram:SellerTradeParty');
+    const buyer = find(agreement, 'ram:BuyerTradeParty');
+    const totals = find(settlement, 'ram:SpecifiedTradeSettlementHeaderMonetarySummation');
+
+    if (!find(seller, 'ram:PostalTradeAddress')) fail('BR-08', 'Anschrift des Verkäufers fehlt');
+    if (!find(buyer, 'ram:PostalTradeAddress')) fail('BR-10', 'Anschrift des Käufers fehlt');
+
+    // BR-CO-26: the seller must be identifiable for tax purposes
+    if (childElements(seller, 'ram:SpecifiedTaxRegistration').length === 0 && childElements(seller, 'ram:ID').length === 0) {
+      fail('BR-CO-26', 'Steuernummer oder USt-IdNr. des Verkäufers fehlt');
+    }
+
+    const lines = childElements(transaction, 'ram:IncludedSupplyChainTradeLineItem');
+    const lineSums = new Map();
+    let lineTotal = 0;
+    for (const line of lines) {
+      const lineId = textOf(line, 'ram:AssociatedDocumentLineDocument', 'ram:LineID');
+      const tax = find(line, 'ram:SpecifiedLineTradeSettlement', 'ram:ApplicableTradeTax');
+      const category = textOf(tax, 'ram:CategoryCode');
+      const rate = Number(textOf(tax, 'ram:RateApplicablePercent') || 0);
+      const amount = toCents(textOf(line, 'ram:SpecifiedLineTradeSettlement', 'ram:SpecifiedTradeSettlementLineMonetarySummation', 'ram:LineTotalAmount'));
+      const price = Number(textOf(line, 'ram:SpecifiedLineTradeAgreement', 'ram:NetPriceProductTradePrice', 'ram:ChargeAmount'));
+
+      if (price < 0) fail('BR-27', `Position ${lineId}: Nettopreis darf nicht negativ sein`);
+      if (category === 'S' && rate <= 0) fail('BR-S-05', `Position ${lineId}: Steuersatz muss größer 0 sein`);
+      if (category === 'E' && rate !== 0) fail('BR-E-05', `Position ${lineId}: Steuersatz muss 0 sein`);
+
+      const key = `${category}|${rate}`;
+      lineSums.set(key, (lineSums.get(key) || 0) + amount);
+      lineTotal += amount;
+    }
+
+    if (toCents(textOf(totals, 'ram:LineTotalAmount')) !== lineTotal) {
+      fail('BR-CO-10', 'Summe der Positionen stimmt nicht mit den Positionsbeträgen überein');
+    }
+    if (toCents(textOf(totals, 'ram:TaxBasisTotalAmount')) !== lineTotal) {
+      fail('BR-CO-13', 'Steuerbasis stimmt nicht mit der Summe der Positionen überein');
+    }
+
+    const breakdowns = childElements(settlement, 'ram:ApplicableTradeTax');
+    let taxTotal = 0;
+    for (const breakdown of breakdowns) {
+      const category = textOf(breakdown, 'ram:CategoryCode');
+      const rate = Number(textOf(breakdown, 'ram:RateApplicablePercent') || 0);
+      const basis = toCents(textOf(breakdown, 'ram:BasisAmount'));
+      const calculated = toCents(textOf(breakdown, 'ram:CalculatedAmount'));
+      const key = `${category}|${rate}`;
+
+      if (lineSums.get(key) !== basis) {
+        fail(`BR-${category}-08`, `Steuerbasis für Kategorie ${category} (${rate}%) stimmt nicht mit den Positionen überein`);
+      }
+      lineSums.delete(key);
+      if (calculated !== Math.round(basis * rate / 100)) {
+        fail('BR-CO-17', `Steuerbetrag für Kategorie ${category} (${rate}%) ist falsch berechnet`);
+      }
+      if (category === 'E' && !textOf(breakdown, 'ram:ExemptionReason')) {
+        fail('BR-E-10', 'Befreiungsgrund für steuerfreie Umsätze fehlt');
+      }
+      taxTotal += calculated;
+    }
+    for (const key of lineSums.keys()) {
+      fail('BR-CO-18', `Umsatzsteueraufschlüsselung für Kategorie ${key.replace('|', ' / ')}% fehlt`);
+    }
+
+    const taxTotalElement = childElements(totals, 'ram:TaxTotalAmount')
+      .find((element) => element.getAttribute('currencyID') === textOf(settlement, 'ram:InvoiceCurrencyCode'));
+    if (toCents(taxTotalElement?.textContent ?? 0) !== taxTotal) {
+      fail('BR-CO-14', 'Umsatzsteuergesamtbetrag stimmt nicht mit der Aufschlüsselung überein');
+    }
+
+    const grandTotal = toCents(textOf(totals, 'ram:GrandTotalAmount'));
+    if (grandTotal !== lineTotal + taxTotal) {
+      fail('BR-CO-15', 'Bruttobetrag ist nicht Steuerbasis zuzüglich Umsatzsteuer');
+    }
+    const duePayable = toCents(textOf(totals, 'ram:DuePayableAmount'));
+    if (duePayable !== grandTotal - toCents(textOf(totals, 'ram:TotalPrepaidAmount') || 0)) {
+      fail('BR-CO-16', 'Zahlbetrag ist nicht Bruttobetrag abzüglich Vorauszahlungen');
+    }
+    if (duePayable > 0 && childElements(settlement, 'ram:SpecifiedTradePaymentTerms').length === 0) {
+      fail('BR-CO-25', 'Zahlungsbedingungen fehlen');
+    }
+  }
+
+  static #checkXRechnungRules(root, errors) {
+    const fail = (rule, message) => errors.push({ rule, message });
+    const agreement = find(root, 'rsm:SupplyChainTradeTransaction', 'ram:ApplicableHeaderTradeAgreement');
+    const settlement = find(root, 'rsm:SupplyChainTradeTransaction', 'ram:ApplicableHeaderTradeSettlement');
+    const seller = find(agreement, 'ram:SellerTradeParty');
+    const buyer = find(agreement, 'ram:BuyerTradeParty');
+    const contact = find(seller, 'ram:DefinedTradeContact');
+
+    if (textOf(root, 'rsm:ExchangedDocumentContext', 'ram:GuidelineSpecifiedDocumentContextParameter', 'ram:ID') !== XRECHNUNG_GUIDELINE_ID) {
+      fail('BR-DE-21', 'Spezifikationskennung ist nicht XRechnung 3.0');
+    }
+
+    const paymentMeans = childElements(settlement, 'ram:SpecifiedTradeSettlementPaymentMeans');
+    if (paymentMeans.length === 0) fail('BR-DE-1', 'Zahlungsanweisungen fehlen');
+    for (const means of paymentMeans) {
+      if (textOf(means, 'ram:TypeCode') === '58' && !textOf(means, 'ram:PayeePartyCreditorFinancialAccount', 'ram:IBANID')) {
+        fail('BR-DE-23-a', 'IBAN des Zahlungsempfängers fehlt');
+      }
+    }
+
+    if (!contact) fail('BR-DE-2', 'Kontaktdaten des Verkäufers fehlen');
+    if (!textOf(seller, 'ram:PostalTradeAddress', 'ram:CityName')) fail('BR-DE-3', 'Ort des Verkäufers fehlt');
+    if (!textOf(seller, 'ram:PostalTradeAddress', 'ram:PostcodeCode')) fail('BR-DE-4', 'Postleitzahl des Verkäufers fehlt');
+    if (contact && !textOf(contact, 'ram:PersonName')) fail('BR-DE-5', 'Ansprechpartner des Verkäufers fehlt');
+    if (contact && !textOf(contact, 'ram:TelephoneUniversalCommunication', 'ram:CompleteNumber')) {
+      fail('BR-DE-6', 'Telefonnummer des Verkäufers fehlt');
+    }
+    if (contact && !textOf(contact, 'ram:EmailURIUniversalCommunication', 'ram:URIID')) {
+      fail('BR-DE-7', 'E-Mail-Adresse des Verkäufers fehlt');
+    }
+    if (!textOf(buyer, 'ram:PostalTradeAddress', 'ram:CityName')) fail('BR-DE-8', 'Ort des Käufers fehlt');
+    if (!textOf(buyer, 'ram:PostalTradeAddress', 'ram:PostcodeCode')) fail('BR-DE-9', 'Postleitzahl des Käufers fehlt');
+    if (!textOf(agreement, 'ram:BuyerReference')) fail('BR-DE-15', 'Käuferreferenz (Leitweg-ID) fehlt');
+
+    // XRechnung 3.0 makes the electronic addresses mandatory
+    if (!textOf(seller, 'ram:URIUniversalCommunication', 'ram:URIID')) fail('BT-34', 'Elektronische Adresse des Verkäufers fehlt');
+    if (!textOf(buyer, 'ram:URIUniversalCommunication', 'ram:URIID')) fail('BT-49', 'Elektronische Adresse des Käufers fehlt');
+  }
+}
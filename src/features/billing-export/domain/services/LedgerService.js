@@ -0,0 +1,175 @@
+/**
+ * Domain Service: LedgerService
+ * Books finalized billing reports, clawbacks and manual bookings on the
+ * employee's provision ledger (Provisionskonto) and provides the balance
+ * carried forward into the next billing report
+ */
+
+import { Logger } from '../../../../core/utils/logger.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { LedgerPosting, LEDGER_POSTING_TYPES } from '../value-objects/LedgerPosting.js';
+
+export class LedgerService {
+  #repository;
+
+  constructor(ledgerRepository) {
+    this.#repository = ledgerRepository;
+  }
+
+  async getAccount(employeeId) {
+    return await this.#repository.findByEmployeeId(employeeId);
+  }
+
+  /**
+   * Current balance (positive = credit of the employee, negative = Sollsaldo)
+   */
+  async getBalance(employeeId) {
+    const account = await this.getAccount(employeeId);
+    return account.balance;
+  }
+
+  /**
+   * Book a finalized billing report: credits for provisions, one debit per
+   * clawback line, reserve movements, advance offsets and the payout itself.
+   * If the report (including the balance carried forward) ends negative, no
+   * payout is booked and the Sollsaldo stays on the account for the next report.
+   *
+   * Each entry is booked once per role of the employee on it (own,
+   * hierarchy, tip provider, ...). Lines already on the ledger are skipped
+   * whatever report number they came with, so a reprint under a new number
+   * credits nothing again and books no second payout.
+   *
+   * @param {BillingReport} report
+   * @returns {Promise<{postings: LedgerPosting[], balance: number}>}
+   */
+  async bookReport(report) {
+    const employeeId = report.employeeDetails.id;
+    const reportNumber = report.metadata.reportNumber;
+    const account = await this.getAccount(employeeId);
+
+    if (account.hasPostingsForReport(reportNumber)) {
+      Logger.warn(`Report ${reportNumber} already booked on ledger of ${employeeId}`);
+      return { postings: [], balance: account.balance };
+    }
+
+    const base = {
+      employeeId,
+      reportNumber,
+      createdBy: report.metadata.generatedBy,
+    };
+    const reportLabel = `Abrechnung ${report.period.displayName} (Nr. ${reportNumber})`;
+    const postings = [];
+
+    const settledItems = report.settledLineItems.filter((item) =>
+      !item.originalEntryId || !account.hasBookedLine(item.originalEntryId, item.source)
+    );
+    const creditedItems = settledItems.filter((item) => item.provisionAmount > 0);
+    const provisionTotal = roundCurrency(
+      creditedItems.reduce((sum, item) => sum + item.provisionAmount, 0)
+    );
+
+    if (provisionTotal > 0) {
+      postings.push(new LedgerPosting({
+        ...base,
+        type: LEDGER_POSTING_TYPES.PROVISION,
+        amount: provisionTotal,
+        description: reportLabel,
+        settledLines: creditedItems
+          .filter((item) => item.originalEntryId)
+          .map((item) => ({ entryId: item.originalEntryId, source: item.source })),
+      }));
+    }
+
+    settledItems
+      .filter((item) => item.provisionAmount < 0)
+      .forEach((item) => {
+        postings.push(new LedgerPosting({
+          ...base,
+          type: LEDGER_POSTING_TYPES.CLAWBACK,
+          amount: item.provisionAmount,
+          entryId: item.originalEntryId,
+          source: item.source,
+          description: `${item.customerName}${item.contractNumber ? ` (${item.contractNumber})` : ''} – ${reportLabel}`,
+        }));
+      });
+
+    const reserve = report.stornoreserve;
+    if (reserve?.withheldAmount > 0) {
+      postings.push(new LedgerPosting({
+        ...base,
+        type: LEDGER_POSTING_TYPES.RESERVE_WITHHOLDING,
+        amount: -reserve.withheldAmount,
+        description: reportLabel,
+      }));
+    }
+    if (reserve?.releasedAmount > 0) {
+      postings.push(new LedgerPosting({
+        ...base,
+        type: LEDGER_POSTING_TYPES.RESERVE_RELEASE,
+        amount: reserve.releasedAmount,
+        description: reportLabel,
+      }));
+    }
+
+    if (report.advance?.offsetAmount > 0) {
+      postings.push(new LedgerPosting({
+        ...base,
+        type: LEDGER_POSTING_TYPES.ADVANCE_OFFSET,
+        amount: -report.advance.offsetAmount,
+        description: reportLabel,
+      }));
+    }
+
+    const balanceBeforePayout = roundCurrency(
+      account.balance + postings.reduce((sum, p) => sum + p.amount, 0)
+    );
+    if (balanceBeforePayout > 0) {
+      postings.push(new LedgerPosting({
+        ...base,
+        type: LEDGER_POSTING_TYPES.PAYOUT,
+        amount: -balanceBeforePayout,
+        description: reportLabel,
+      }));
+    }
+
+    await this.#repository.saveAll(postings);
+
+    const balance = roundCurrency(balanceBeforePayout > 0 ? 0 : balanceBeforePayout);
+    Logger.log(`Ledger booked for ${employeeId}: ${postings.length} postings (Saldo ${balance.toFixed(2)})`);
+
+    return { postings, balance };
+  }
+
+  /**
+   * Book a manual correction, advance or deduction (admin only)
+   * @param {Object} params
+   * @param {string} params.employeeId
+   * @param {number} params.amount - Positive = credit, negative = debit
+   * @param {string} params.description
+   * @param {Date} [params.date]
+   * @param {string} [params.createdBy]
+   */
+  async bookManualPosting({ employeeId, amount, description, date = null, createdBy = null }) {
+    if (!amount || isNaN(amount)) {
+      throw new ValidationError('Betrag darf nicht 0 sein', 'amount');
+    }
+    if (!description?.trim()) {
+      throw new ValidationError('Buchungstext ist erforderlich', 'description');
+    }
+
+    const posting = new LedgerPosting({
+      employeeId,
+      type: LEDGER_POSTING_TYPES.MANUAL,
+      amount,
+      date,
+      description: description.trim(),
+      createdBy,
+    });
+
+    await this.#repository.saveAll([posting]);
+    Logger.log(`Manual ledger posting for ${employeeId}: ${posting.amount.toFixed(2)}`);
+
+    return posting;
+  }
+}
@@ -4,13 +4,21 @@
  *
  * Uses A4 landscape orientation for better table display.
  * No text truncation - all information is displayed in full.
+ *
+ * In Gutschrift mode the report is issued as a credit note in the sense of
+ * §14 Abs. 2 Satz 2 UStG and carries the mandatory invoice fields.
+ *
+ * jsPDF references its standard fonts without embedding them. PDFs that
+ * must be PDF/A (ZUGFeRD) are set in an embedded TrueType font instead.
  */
 
 import { Logger } from '../../../../core/utils/logger.js';
 import { roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
 import { LINE_ITEM_SOURCES } from '../entities/ReportLineItem.js';
+import { ProvisionVatBreakdown } from '../value-objects/ProvisionVatBreakdown.js';
 
-const PDF_CONFIG = {
+export const PDF_CONFIG = {
   // A4 Landscape dimensions
   pageWidth: 297,
   pageHeight: 210,
@@ -30,14 +38,27 @@ const PDF_CONFIG = {
   },
   lineHeight: 4.5,
   rowPadding: 2,
-  // Legally required imprint shown in the footer of every page
+  // Legally required imprint shown in the footer of every page; the
+  // structured address and email are used for the e-invoice
   legal: {
     company: 'Trialog Makler Gruppe GmbH',
     address: 'Barkeystraße 30 · 33330 Gütersloh',
+    street: 'Barkeystraße 30',
+    postalCode: '33330',
+    city: 'Gütersloh',
+    countryCode: 'DE',
+    email: 'buchhaltung@trialog-makler.de',
     taxNumber: '351/5778/2989',
     vatId: 'DE452574140',
     hrb: '13900',
   },
+  // Company account: payments to Trialog and the account debited for payouts
+  bank: {
+    name: 'Volksbank im Münsterland eG',
+    iban: 'DE17403619065318851000',
+    ibanFormatted: 'DE17 4036 1906 5318 8510 00',
+    bic: 'GENODEM1IBB',
+  },
   colors: {
     primary: [16, 39, 76],
     secondary: [100, 100, 100],
@@ -51,21 +72,98 @@ const PDF_CONFIG = {
   },
 };
 
+// DejaVu Sans Condensed: free license, metrics close to Helvetica, covers € and umlauts
+const EMBEDDED_FONT = {
+  name: 'DejaVuSansCondensed',
+  files: {
+    normal: 'https://unpkg.com/dejavu-fonts-ttf@2.37.3/ttf/DejaVuSansCondensed.ttf',
+    bold: 'https://unpkg.com/dejavu-fonts-ttf@2.37.3/ttf/DejaVuSansCondensed-Bold.ttf',
+    italic: 'https://unpkg.com/dejavu-fonts-ttf@2.37.3/ttf/DejaVuSansCondensed-Oblique.ttf',
+  },
+};
+const STANDARD_FONT = 'helvetica';
+
+let embeddedFontFiles = null;
+
+/**
+ * The font files as base64, loaded once per session
+ * @returns {Promise<Array<{style: string, fileName: string, data: string}>>}
+ */
+function loadEmbeddedFontFiles() {
+  if (!embeddedFontFiles) {
+    embeddedFontFiles = Promise.all(Object.entries(EMBEDDED_FONT.files).map(async ([style, url]) => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Schrift für das PDF/A konnte nicht geladen werden (${response.status})`);
+      }
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      }
+      return { style, fileName: url.split('/').pop(), data: btoa(binary) };
+    })).catch((error) => {
+      // Retry on the next export
+      embeddedFontFiles = null;
+      throw error;
+    });
+  }
+  return embeddedFontFiles;
+}
+
 export class PdfGeneratorService {
   #doc;
+  #fontName = STANDARD_FONT;
   #currentY;
   #pageNumber;
   #contentWidth;
+  #asCreditNote;
   constructor() {
     this.#doc = null;
+    this.#asCreditNote = false;
     this.#currentY = PDF_CONFIG.margin.top;
     this.#pageNumber = 1;
     this.#contentWidth = PDF_CONFIG.pageWidth - PDF_CONFIG.margin.left - PDF_CONFIG.margin.right;
   }
 
-  async generatePdf(report) {
+  /**
+   * Check that a report can be issued as Gutschrift. Called before the
+   * number is issued, so a rejected export does not use up a number.
+   *
+   * @param {BillingReport} report
+   * @throws {ValidationError}
+   */
+  assertCreditNoteReady(report) {
+    if (report.isExtraordinary) {
+      throw new ValidationError('Durchlaufposten-Abrechnungen können nicht als Gutschrift ausgestellt werden', 'reportType');
+    }
+    if (!report.employeeDetails?.hasTaxIdentification) {
+      throw new ValidationError(
+        `Für eine Gutschrift an ${report.employeeDetails?.name ?? 'den Empfänger'} ist die Steuernummer oder USt-IdNr. erforderlich`,
+        'taxNumber',
+      );
+    }
+    ProvisionVatBreakdown.fromReport(report).assertExemptionBasis();
+  }
+
+  /**
+   * @param {BillingReport} report
+   * @param {Object} [options]
+   * @param {boolean} [options.asCreditNote=false] - Issue as Gutschrift; the report must be numbered
+   * @param {boolean} [options.embedFonts=false] - Embed the font, as PDF/A requires
+   * @returns {Promise<{blob: Blob, fileName: string}>}
+   */
+  async generatePdf(report, { asCreditNote = false, embedFonts = false } = {}) {
     Logger.log('Generating PDF for report:', report.metadata.reportNumber);
 
+    if (asCreditNote) {
+      this.assertCreditNoteReady(report);
+      if (!report.metadata.hasReportNumber) {
+        throw new ValidationError('Eine Gutschrift erfordert eine fortlaufende Gutschriftsnummer', 'reportNumber');
+      }
+    }
+    this.#asCreditNote = asCreditNote;
+
     if (typeof window.jspdf === 'undefined') {
       throw new Error('jsPDF library not loaded. Please ensure jsPDF CDN is included.');
     }
@@ -75,8 +173,19 @@ export class PdfGeneratorService {
       orientation: 'landscape',
       unit: 'mm',
       format: 'a4',
+      // Otherwise all standard fonts are written, embedded or not
+      putOnlyUsedFonts: embedFonts,
     });
 
+    this.#fontName = STANDARD_FONT;
+    if (embedFonts) {
+      for (const { style, fileName, data } of await loadEmbeddedFontFiles()) {
+        this.#doc.addFileToVFS(fileName, data);
+        this.#doc.addFont(fileName, EMBEDDED_FONT.name, style);
+      }
+      this.#fontName = EMBEDDED_FONT.name;
+    }
+
     this.#currentY = PDF_CONFIG.margin.top;
     this.#pageNumber = 1;
     this.#contentWidth = PDF_CONFIG.pageWidth - PDF_CONFIG.margin.left - PDF_CONFIG.margin.right;
@@ -121,12 +230,31 @@ export class PdfGeneratorService {
           LINE_ITEM_SOURCES.TIP_PROVIDER
         );
       }
+
+      if (report.hasTeamBonus) {
+        this.#renderRevenueTable(
+          'Teambonus',
+          report.teamBonusLineItems,
+          report.teamBonusSummary,
+          LINE_ITEM_SOURCES.TEAM_BONUS
+        );
+      }
     }
 
     if (!report.isExtraordinary) {
       this.#renderMissingSectionNotes(report);
     }
     this.#renderTotalSummary(report);
+    if (this.#asCreditNote) {
+      this.#renderCreditNoteNotes(report);
+    }
+    if (!report.isExtraordinary && report.hasAdvance) {
+      this.#renderAdvanceSection(report);
+    }
+    if (!report.isExtraordinary && (report.hasStornoreserve || report.hasLedgerBalance || report.hasAdvance
+      || report.previouslySettledProvision !== 0)) {
+      this.#renderSettlementSection(report);
+    }
     this.#renderPaymentInfo(report);
     this.#renderFooter(report);
 
@@ -154,8 +282,10 @@ export class PdfGeneratorService {
       .replace(/\s+/g, '_')
       .replace(/[^a-zA-Z0-9_äöüÄÖÜß]/g, '');
     const period = report.period.shortDisplayName.replace(/\//g, '_');
-    const prefix = report.isExtraordinary ? 'Durchlaufposten' : 'Abrechnung';
-    return `${period}_${prefix}_${employeeName}.pdf`;
+    let prefix = report.isExtraordinary ? 'Durchlaufposten' : 'Abrechnung';
+    if (this.#asCreditNote) prefix = 'Gutschrift';
+    const number = report.metadata.hasReportNumber ? `_${report.metadata.reportNumber}` : '';
+    return `${period}_${prefix}_${employeeName}${number}.pdf`;
   }
 
   #renderHeader(report) {
@@ -168,24 +298,36 @@ export class PdfGeneratorService {
     // Title
     this.#doc.setTextColor(...colors.white);
     this.#doc.setFontSize(fontSize.title);
-    this.#doc.setFont('helvetica', 'bold');
-    const reportTitle = report.isExtraordinary
+    this.#doc.setFont(this.#fontName, 'bold');
+    let reportTitle = report.isExtraordinary
       ? 'DURCHLAUFPOSTEN-ABRECHNUNG'
       : 'PROVISIONSABRECHNUNG';
+    if (this.#asCreditNote) reportTitle = 'GUTSCHRIFT';
     this.#doc.text(reportTitle, margin.left, 14);
 
     // Report info
     this.#doc.setFontSize(fontSize.small);
-    this.#doc.setFont('helvetica', 'normal');
-    this.#doc.text(`Berichtsnr: ${report.metadata.reportNumber}`, margin.left, 22);
-
-    // Company info (right side)
+    this.#doc.setFont(this.#fontName, 'normal');
+    const numberLabel = this.#asCreditNote
+      ? `Gutschrift-Nr.: ${report.metadata.reportNumber} · Provisionsabrechnung`
+      : `Berichtsnr: ${report.metadata.reportNumber ?? 'Entwurf'}`;
+    this.#doc.text(numberLabel, margin.left, 22);
+
+    // Company info (right side); on a Gutschrift the issuer is the recipient
+    // of the service and must be identified with its address and tax numbers
+    const { legal } = PDF_CONFIG;
     this.#doc.setFontSize(fontSize.normal);
-    this.#doc.setFont('helvetica', 'bold');
-    this.#doc.text('Trialog Makler Gruppe GmbH', PDF_CONFIG.pageWidth - margin.right, 12, { align: 'right' });
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.text(legal.company, PDF_CONFIG.pageWidth - margin.right, this.#asCreditNote ? 8 : 12, { align: 'right' });
     this.#doc.setFontSize(fontSize.small);
-    this.#doc.setFont('helvetica', 'normal');
-    this.#doc.text(`Erstellt am: ${report.metadata.generatedAtFormatted}`, PDF_CONFIG.pageWidth - margin.right, 18, { align: 'right' });
+    this.#doc.setFont(this.#fontName, 'normal');
+    if (this.#asCreditNote) {
+      this.#doc.text(legal.address, PDF_CONFIG.pageWidth - margin.right, 13, { align: 'right' });
+      this.#doc.text(`Steuernr.: ${legal.taxNumber} · USt-IdNr.: ${legal.vatId}`, PDF_CONFIG.pageWidth - margin.right, 17, { align: 'right' });
+      this.#doc.text(`Gutschriftsdatum: ${report.metadata.generatedAtFormatted}`, PDF_CONFIG.pageWidth - margin.right, 22, { align: 'right' });
+    } else {
+      this.#doc.text(`Erstellt am: ${report.metadata.generatedAtFormatted}`, PDF_CONFIG.pageWidth - margin.right, 18, { align: 'right' });
+    }
 
     this.#currentY = 35;
     this.#doc.setTextColor(...colors.black);
@@ -208,47 +350,47 @@ export class PdfGeneratorService {
     if (isExtraordinary) {
       // Left column: GF as payer (Zahlungspflichtiger)
       this.#doc.setFontSize(fontSize.sectionTitle);
-      this.#doc.setFont('helvetica', 'bold');
+      this.#doc.setFont(this.#fontName, 'bold');
       this.#doc.setTextColor(...colors.primary);
       this.#doc.text('Zahlungspflichtiger', leftColX + 4, boxY + 4);
 
       this.#doc.setFontSize(fontSize.normal);
-      this.#doc.setFont('helvetica', 'bold');
+      this.#doc.setFont(this.#fontName, 'bold');
       this.#doc.setTextColor(...colors.black);
       this.#doc.text(employeeDetails.name, leftColX + 4, boxY + 11);
 
-      this.#doc.setFont('helvetica', 'normal');
+      this.#doc.setFont(this.#fontName, 'normal');
       this.#doc.setFontSize(fontSize.small);
       this.#doc.text('Geschäftsführer', leftColX + 4, boxY + 16);
 
       // Middle column: Trialog as recipient (Zahlungsempfänger)
       this.#doc.setFontSize(fontSize.sectionTitle);
-      this.#doc.setFont('helvetica', 'bold');
+      this.#doc.setFont(this.#fontName, 'bold');
       this.#doc.setTextColor(...colors.primary);
       this.#doc.text('Zahlungsempfänger', midColX, boxY + 4);
 
       this.#doc.setFontSize(fontSize.normal);
-      this.#doc.setFont('helvetica', 'bold');
+      this.#doc.setFont(this.#fontName, 'bold');
       this.#doc.setTextColor(...colors.black);
       this.#doc.text('Trialog Makler Gruppe GmbH', midColX, boxY + 11);
 
-      this.#doc.setFont('helvetica', 'normal');
+      this.#doc.setFont(this.#fontName, 'normal');
       this.#doc.setFontSize(fontSize.small);
-      this.#doc.text('Volksbank im Münsterland eG', midColX, boxY + 16);
-      this.#doc.text('IBAN: DE17 4036 1906 5318 8510 00', midColX, boxY + 20);
+      this.#doc.text(PDF_CONFIG.bank.name, midColX, boxY + 16);
+      this.#doc.text(`IBAN: ${PDF_CONFIG.bank.ibanFormatted}`, midColX, boxY + 20);
     } else {
       // Left column: Recipient name and address
       this.#doc.setFontSize(fontSize.sectionTitle);
-      this.#doc.setFont('helvetica', 'bold');
+      this.#doc.setFont(this.#fontName, 'bold');
       this.#doc.setTextColor(...colors.primary);
-      this.#doc.text('Zahlungsempfänger', leftColX + 4, boxY + 4);
+      this.#doc.text(this.#asCreditNote ? 'Leistender Unternehmer' : 'Zahlungsempfänger', leftColX + 4, boxY + 4);
 
       this.#doc.setFontSize(fontSize.normal);
-      this.#doc.setFont('helvetica', 'bold');
+      this.#doc.setFont(this.#fontName, 'bold');
       this.#doc.setTextColor(...colors.black);
       this.#doc.text(employeeDetails.name, leftColX + 4, boxY + 11);
 
-      this.#doc.setFont('helvetica', 'normal');
+      this.#doc.setFont(this.#fontName, 'normal');
       this.#doc.setFontSize(fontSize.small);
       let addressY = boxY + 16;
       if (employeeDetails.hasAddress) {
@@ -264,12 +406,12 @@ export class PdfGeneratorService {
 
       // Middle column: Tax info
       this.#doc.setFontSize(fontSize.sectionTitle);
-      this.#doc.setFont('helvetica', 'bold');
+      this.#doc.setFont(this.#fontName, 'bold');
       this.#doc.setTextColor(...colors.primary);
       this.#doc.text('Steuerdaten', midColX, boxY + 4);
 
       this.#doc.setFontSize(fontSize.small);
-      this.#doc.setFont('helvetica', 'normal');
+      this.#doc.setFont(this.#fontName, 'normal');
       this.#doc.setTextColor(...colors.black);
       let taxY = boxY + 11;
       if (employeeDetails.taxNumber) {
@@ -287,17 +429,17 @@ export class PdfGeneratorService {
 
     // Right column: Period (same for both modes)
     this.#doc.setFontSize(fontSize.sectionTitle);
-    this.#doc.setFont('helvetica', 'bold');
+    this.#doc.setFont(this.#fontName, 'bold');
     this.#doc.setTextColor(...colors.primary);
-    this.#doc.text('Abrechnungszeitraum', rightColX, boxY + 4);
+    this.#doc.text(this.#asCreditNote ? 'Leistungszeitraum' : 'Abrechnungszeitraum', rightColX, boxY + 4);
 
     this.#doc.setFontSize(fontSize.normal);
-    this.#doc.setFont('helvetica', 'bold');
+    this.#doc.setFont(this.#fontName, 'bold');
     this.#doc.setTextColor(...colors.accent);
     this.#doc.text(period.displayName, rightColX, boxY + 12);
 
     this.#doc.setFontSize(fontSize.small);
-    this.#doc.setFont('helvetica', 'normal');
+    this.#doc.setFont(this.#fontName, 'normal');
     this.#doc.setTextColor(...colors.secondary);
     this.#doc.text(`${period.startDate.toLocaleDateString('de-DE')} - ${period.endDate.toLocaleDateString('de-DE')}`, rightColX, boxY + 18);
 
@@ -312,7 +454,7 @@ export class PdfGeneratorService {
 
     // Section title
     this.#doc.setFontSize(fontSize.sectionTitle);
-    this.#doc.setFont('helvetica', 'bold');
+    this.#doc.setFont(this.#fontName, 'bold');
     this.#doc.setTextColor(...colors.primary);
     this.#doc.text(title.toUpperCase(), margin.left, this.#currentY);
     this.#currentY += lineHeight + 3;
@@ -326,7 +468,7 @@ export class PdfGeneratorService {
     this.#doc.rect(margin.left, this.#currentY - 4, this.#contentWidth, 8, 'F');
 
     this.#doc.setFontSize(fontSize.tableHeader);
-    this.#doc.setFont('helvetica', 'bold');
+    this.#doc.setFont(this.#fontName, 'bold');
     this.#doc.setTextColor(...colors.white);
 
     let x = margin.left;
@@ -363,7 +505,7 @@ export class PdfGeneratorService {
 
       // Draw cell contents
       x = margin.left;
-      this.#doc.setFont('helvetica', 'normal');
+      this.#doc.setFont(this.#fontName, 'normal');
 
       rowValues.forEach((value, i) => {
         const col = columns[i];
@@ -403,14 +545,16 @@ export class PdfGeneratorService {
     this.#doc.rect(margin.left, this.#currentY - 3, this.#contentWidth, 8, 'F');
 
     this.#doc.setFontSize(fontSize.small);
-    this.#doc.setFont('helvetica', 'bold');
+    this.#doc.setFont(this.#fontName, 'bold');
     this.#doc.setTextColor(...colors.white);
 
     const summaryY = this.#currentY + 1;
     const provVat = summary.totalProvisionVat || 0;
     const provNetto = roundCurrency(summary.totalProvision - provVat);
     this.#doc.text(`${summary.entryCount} Einträge`, margin.left + 3, summaryY);
-    this.#doc.text(`Umsatz Brutto: ${this.#formatCurrency(summary.totalGross)}`, margin.left + 40, summaryY);
+    if (source !== LINE_ITEM_SOURCES.TEAM_BONUS) {
+      this.#doc.text(`Umsatz Brutto: ${this.#formatCurrency(summary.totalGross)}`, margin.left + 40, summaryY);
+    }
 
     if (source === LINE_ITEM_SOURCES.EXTRAORDINARY) {
       // Durchlaufposten: full pass-through, no provision concept
@@ -433,7 +577,7 @@ export class PdfGeneratorService {
 
     // Section title
     this.#doc.setFontSize(fontSize.sectionTitle);
-    this.#doc.setFont('helvetica', 'bold');
+    this.#doc.setFont(this.#fontName, 'bold');
     this.#doc.setTextColor(...colors.primary);
     this.#doc.text('ZUSAMMENFASSUNG', margin.left, this.#currentY);
     this.#currentY += lineHeight + 3;
@@ -452,11 +596,11 @@ export class PdfGeneratorService {
     this.#doc.roundedRect(leftBoxX, this.#currentY - 3, leftBoxWidth, leftBoxHeight, 2, 2, 'F');
 
     this.#doc.setFontSize(fontSize.small);
-    this.#doc.setFont('helvetica', 'bold');
+    this.#doc.setFont(this.#fontName, 'bold');
     this.#doc.setTextColor(...colors.primary);
     this.#doc.text('UMSATZ-ÜBERSICHT', leftBoxX + 5, this.#currentY + 3);
 
-    this.#doc.setFont('helvetica', 'normal');
+    this.#doc.setFont(this.#fontName, 'normal');
     this.#doc.setTextColor(...colors.black);
     const leftLabelX = leftBoxX + 5;
     const leftValueX = leftBoxX + leftBoxWidth - 5;
@@ -470,7 +614,7 @@ export class PdfGeneratorService {
     this.#doc.text(this.#formatCurrency(totalSummary.totalVat), leftValueX, leftY, { align: 'right' });
     leftY += 6;
 
-    this.#doc.setFont('helvetica', 'bold');
+    this.#doc.setFont(this.#fontName, 'bold');
     this.#doc.text('Brutto gesamt:', leftLabelX, leftY);
     this.#doc.text(this.#formatCurrency(totalSummary.totalGross), leftValueX, leftY, { align: 'right' });
 
@@ -482,18 +626,23 @@ export class PdfGeneratorService {
     if (report.hasOwnRevenue) rightProvisionRows++;
     if (!isExtraordinary && report.hasHierarchyRevenue) rightProvisionRows++;
     if (!isExtraordinary && report.hasTipProviderRevenue) rightProvisionRows++;
-    const rightBoxHeight = (rightProvisionRows * 6) + 8 + 4 + 24 + 8;
+    if (!isExtraordinary && report.hasTeamBonus) rightProvisionRows++;
+    // Untaxed amounts are not broken down for Durchlaufposten
+    const vatBreakdown = ProvisionVatBreakdown.fromReport(report);
+    const vatExemptRows = isExtraordinary ? [] : vatBreakdown.exempt;
+    const vatRowCount = vatBreakdown.taxed.length * 2 + vatExemptRows.length;
+    const rightBoxHeight = (rightProvisionRows * 6) + 8 + 4 + 14 + Math.max(vatRowCount, 2) * 5 + 8;
 
     this.#doc.setFillColor(...colors.lightGray);
     this.#doc.roundedRect(rightBoxX, this.#currentY - 3, rightBoxWidth, rightBoxHeight, 2, 2, 'F');
 
     this.#doc.setFontSize(fontSize.small);
-    this.#doc.setFont('helvetica', 'bold');
+    this.#doc.setFont(this.#fontName, 'bold');
     this.#doc.setTextColor(...colors.primary);
     this.#doc.text(rightBoxTitle, rightBoxX + 5, this.#currentY + 3);
 
     this.#doc.setFontSize(fontSize.normal);
-    this.#doc.setFont('helvetica', 'normal');
+    this.#doc.setFont(this.#fontName, 'normal');
     this.#doc.setTextColor(...colors.black);
 
     const rightLabelX = rightBoxX + 5;
@@ -526,6 +675,12 @@ export class PdfGeneratorService {
         this.#doc.text(this.#formatCurrency(report.tipProviderSummary.totalProvision), rightValueX, rightY, { align: 'right' });
         rightY += 6;
       }
+
+      if (report.hasTeamBonus) {
+        this.#doc.text('Teambonus:', rightLabelX, rightY);
+        this.#doc.text(this.#formatCurrency(report.teamBonusSummary.totalProvision), rightValueX, rightY, { align: 'right' });
+        rightY += 6;
+      }
     }
 
     // Separator line
@@ -535,45 +690,251 @@ export class PdfGeneratorService {
     this.#doc.line(rightLabelX, rightY - 3, rightValueX, rightY - 3);
 
     const totalProv = report.totalProvision || 0;
-    const totalProvVat = (report.ownSummary?.totalProvisionVat || 0)
-      + (report.hierarchySummary?.totalProvisionVat || 0)
-      + (report.tipProviderSummary?.totalProvisionVat || 0);
-    const totalProvNetto = roundCurrency(totalProv - totalProvVat);
-    const isVatExempt = report.employeeDetails?.isVatExempt ?? false;
 
-    this.#doc.setFont('helvetica', 'bold');
+    this.#doc.setFont(this.#fontName, 'bold');
     this.#doc.setFontSize(fontSize.sectionTitle);
     this.#doc.setTextColor(...colors.primary);
-    const totalLabel = isExtraordinary
+    let totalLabel = isExtraordinary
       ? 'GESAMTBETRAG ZUR ÜBERWEISUNG:'
       : 'GESAMTPROVISION:';
+    if (this.#asCreditNote) totalLabel = 'GUTSCHRIFTSBETRAG:';
     this.#doc.text(totalLabel, rightLabelX, rightY + 2);
     this.#doc.setTextColor(...colors.accent);
     this.#doc.text(this.#formatCurrency(totalProv), rightValueX, rightY + 2, { align: 'right' });
     rightY += 8;
 
     this.#doc.setFontSize(fontSize.normal);
-    this.#doc.setFont('helvetica', 'normal');
+    this.#doc.setFont(this.#fontName, 'normal');
     this.#doc.setTextColor(...colors.black);
 
-    if (!isVatExempt) {
-      this.#doc.text('darin enth. Netto:', rightLabelX, rightY + 2);
-      this.#doc.text(this.#formatCurrency(totalProvNetto), rightValueX, rightY + 2, { align: 'right' });
+    // Net and VAT per rate actually applied, then the untaxed amounts with
+    // their legal basis (§19 for Kleinunternehmer, §4 for exempt brokerage)
+    for (const taxed of vatBreakdown.taxed) {
+      this.#doc.text(`darin enth. Netto (${taxed.rate}%):`, rightLabelX, rightY + 2);
+      this.#doc.text(this.#formatCurrency(taxed.net), rightValueX, rightY + 2, { align: 'right' });
       rightY += 5;
 
-      this.#doc.text('darin enth. 19% MwSt:', rightLabelX, rightY + 2);
-      this.#doc.text(this.#formatCurrency(totalProvVat), rightValueX, rightY + 2, { align: 'right' });
-    } else {
-      this.#doc.setFont('helvetica', 'italic');
-      this.#doc.setFontSize(fontSize.small);
-      this.#doc.setTextColor(...colors.secondary);
-      this.#doc.text('Gem. §19 UStG keine USt', rightLabelX, rightY + 2);
+      this.#doc.text(`darin enth. ${taxed.rate}% MwSt:`, rightLabelX, rightY + 2);
+      this.#doc.text(this.#formatCurrency(taxed.vat), rightValueX, rightY + 2, { align: 'right' });
+      rightY += 5;
+    }
+
+    for (const exempt of vatExemptRows) {
+      this.#doc.text(`darin ${exempt.label}:`, rightLabelX, rightY + 2);
+      this.#doc.text(this.#formatCurrency(exempt.amount), rightValueX, rightY + 2, { align: 'right' });
+      rightY += 5;
     }
 
     this.#currentY += Math.max(leftBoxHeight, rightBoxHeight) + 8;
     this.#doc.setLineWidth(0.2);
   }
 
+  #renderSettlementSection(report) {
+    const { colors, fontSize, margin, lineHeight } = PDF_CONFIG;
+    const reserve = report.hasStornoreserve ? report.stornoreserve : null;
+
+    // Payout rows: provisions, reserve movements, ledger balance carried forward
+    const payoutRows = [['Gesamtprovision:', this.#formatCurrency(report.totalProvision)]];
+    if (report.previouslySettledProvision !== 0) {
+      payoutRows.push([
+        'abzgl. bereits ausgezahlt (Nachdruck):',
+        `- ${this.#formatCurrency(report.previouslySettledProvision)}`,
+      ]);
+    }
+    if (reserve) {
+      payoutRows.push(['abzgl. Einbehalt Stornoreserve:', `- ${this.#formatCurrency(reserve.withheldAmount)}`]);
+      payoutRows.push(['zzgl. freigegebene Stornoreserve:', `+ ${this.#formatCurrency(reserve.releasedAmount)}`]);
+    }
+    if (report.hasAdvance) {
+      payoutRows.push(['abzgl. Vorschussverrechnung:', `- ${this.#formatCurrency(report.advance.offsetAmount)}`]);
+    }
+    if (report.hasLedgerBalance) {
+      const sign = report.ledgerBalance < 0 ? '-' : '+';
+      payoutRows.push([
+        'Saldovortrag Provisionskonto:',
+        `${sign} ${this.#formatCurrency(Math.abs(report.ledgerBalance))}`,
+      ]);
+    }
+
+    const boxHeight = Math.max(reserve ? 36 : 0, 21 + payoutRows.length * 5);
+
+    this.#checkPageBreak(boxHeight + lineHeight + 8);
+
+    this.#doc.setFontSize(fontSize.sectionTitle);
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.setTextColor(...colors.primary);
+    this.#doc.text(reserve ? 'STORNORESERVE' : 'ABRECHNUNGSSALDO', margin.left, this.#currentY);
+    this.#currentY += lineHeight + 3;
+
+    const rightBoxWidth = 120;
+    const rightBoxX = PDF_CONFIG.pageWidth - margin.right - rightBoxWidth;
+
+    if (reserve) {
+      this.#renderReserveAccountBox(reserve, margin.left, 130, boxHeight);
+    }
+
+    // Right box: effect on the payout of this report
+    this.#doc.setFillColor(...colors.lightGray);
+    this.#doc.roundedRect(rightBoxX, this.#currentY - 3, rightBoxWidth, boxHeight, 2, 2, 'F');
+
+    this.#doc.setFontSize(fontSize.small);
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.setTextColor(...colors.primary);
+    this.#doc.text('AUSZAHLUNG', rightBoxX + 5, this.#currentY + 3);
+
+    this.#doc.setFont(this.#fontName, 'normal');
+    this.#doc.setTextColor(...colors.black);
+    const rightLabelX = rightBoxX + 5;
+    const rightValueX = rightBoxX + rightBoxWidth - 5;
+    let rightY = this.#currentY + 10;
+
+    payoutRows.forEach(([label, value], index) => {
+      this.#doc.text(label, rightLabelX, rightY);
+      this.#doc.text(value, rightValueX, rightY, { align: 'right' });
+      rightY += index === payoutRows.length - 1 ? 3 : 5;
+    });
+
+    this.#doc.setDrawColor(...colors.primary);
+    this.#doc.setLineWidth(0.3);
+    this.#doc.line(rightLabelX, rightY, rightValueX, rightY);
+    rightY += 5;
+
+    const isDebitBalance = report.payoutAmount < 0;
+    this.#doc.setFontSize(fontSize.normal);
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.setTextColor(...colors.primary);
+    this.#doc.text(isDebitBalance ? 'SOLLSALDO (VORTRAG):' : 'AUSZAHLUNGSBETRAG:', rightLabelX, rightY);
+    this.#doc.setTextColor(...colors.accent);
+    this.#doc.text(this.#formatCurrency(report.payoutAmount), rightValueX, rightY, { align: 'right' });
+
+    this.#currentY += boxHeight + 2;
+
+    const notes = [];
+    if (reserve) {
+      notes.push('Einbehaltene Beträge werden nach Ablauf der Stornohaftungszeit mit der folgenden Abrechnung ausgezahlt.');
+    }
+    if (isDebitBalance) {
+      notes.push('Der Sollsaldo wird auf dem Provisionskonto vorgetragen und mit der folgenden Abrechnung verrechnet.');
+    }
+
+    this.#doc.setFontSize(fontSize.small);
+    this.#doc.setFont(this.#fontName, 'italic');
+    this.#doc.setTextColor(...colors.secondary);
+    notes.forEach((note) => {
+      this.#doc.text(note, margin.left, this.#currentY);
+      this.#currentY += lineHeight;
+    });
+
+    this.#currentY += 4;
+    this.#doc.setTextColor(...colors.black);
+    this.#doc.setFont(this.#fontName, 'normal');
+    this.#doc.setLineWidth(0.2);
+  }
+
+  #renderAdvanceSection(report) {
+    const { colors, fontSize, margin, lineHeight } = PDF_CONFIG;
+    const advance = report.advance;
+    const boxWidth = 130;
+    const boxHeight = 31;
+    const percentages = [...new Set(advance.offsets.map((o) => o.maxOffsetPercentage))];
+
+    this.#checkPageBreak(boxHeight + lineHeight * 2 + 8);
+
+    this.#doc.setFontSize(fontSize.sectionTitle);
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.setTextColor(...colors.primary);
+    this.#doc.text('VORSCHUSS', margin.left, this.#currentY);
+    this.#currentY += lineHeight + 3;
+
+    this.#doc.setFillColor(...colors.lightGray);
+    this.#doc.roundedRect(margin.left, this.#currentY - 3, boxWidth, boxHeight, 2, 2, 'F');
+
+    this.#doc.setFontSize(fontSize.small);
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.text('VORSCHUSSKONTO', margin.left + 5, this.#currentY + 3);
+
+    this.#doc.setFont(this.#fontName, 'normal');
+    this.#doc.setTextColor(...colors.black);
+    const labelX = margin.left + 5;
+    const valueX = margin.left + boxWidth - 5;
+    let y = this.#currentY + 10;
+
+    this.#doc.text('Offene Vorschüsse (Vortrag):', labelX, y);
+    this.#doc.text(this.#formatCurrency(advance.openingBalance), valueX, y, { align: 'right' });
+    y += 5;
+
+    const offsetLabel = percentages.length > 0
+      ? `Verrechnung (max. ${percentages.join(' / ')} % der Provisionen):`
+      : 'Verrechnung:';
+    this.#doc.text(offsetLabel, labelX, y);
+    this.#doc.text(`- ${this.#formatCurrency(advance.offsetAmount)}`, valueX, y, { align: 'right' });
+    y += 3;
+
+    this.#doc.setDrawColor(...colors.primary);
+    this.#doc.setLineWidth(0.3);
+    this.#doc.line(labelX, y, valueX, y);
+    y += 5;
+
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.text('Restsaldo Vorschuss:', labelX, y);
+    this.#doc.text(this.#formatCurrency(advance.closingBalance), valueX, y, { align: 'right' });
+
+    this.#currentY += boxHeight + 2;
+
+    this.#doc.setFontSize(fontSize.small);
+    this.#doc.setFont(this.#fontName, 'italic');
+    this.#doc.setTextColor(...colors.secondary);
+    this.#doc.text(
+      'Der Restsaldo wird gemäß Vorschussvereinbarung mit den folgenden Abrechnungen verrechnet.',
+      margin.left,
+      this.#currentY
+    );
+
+    this.#currentY += lineHeight + 4;
+    this.#doc.setTextColor(...colors.black);
+    this.#doc.setFont(this.#fontName, 'normal');
+    this.#doc.setLineWidth(0.2);
+  }
+
+  #renderReserveAccountBox(reserve, boxX, boxWidth, boxHeight) {
+    const { colors, fontSize } = PDF_CONFIG;
+
+    this.#doc.setFillColor(...colors.lightGray);
+    this.#doc.roundedRect(boxX, this.#currentY - 3, boxWidth, boxHeight, 2, 2, 'F');
+
+    this.#doc.setFontSize(fontSize.small);
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.setTextColor(...colors.primary);
+    this.#doc.text('RESERVEKONTO', boxX + 5, this.#currentY + 3);
+
+    this.#doc.setFont(this.#fontName, 'normal');
+    this.#doc.setTextColor(...colors.black);
+    const labelX = boxX + 5;
+    const valueX = boxX + boxWidth - 5;
+    let y = this.#currentY + 10;
+
+    this.#doc.text('Saldo Vortrag:', labelX, y);
+    this.#doc.text(this.#formatCurrency(reserve.openingBalance), valueX, y, { align: 'right' });
+    y += 5;
+
+    this.#doc.text(`Einbehalt (${reserve.withheldPostings.length} Posten):`, labelX, y);
+    this.#doc.text(`+ ${this.#formatCurrency(reserve.withheldAmount)}`, valueX, y, { align: 'right' });
+    y += 5;
+
+    this.#doc.text(`Freigabe nach Haftungszeit (${reserve.releasedPostings.length} Posten):`, labelX, y);
+    this.#doc.text(`- ${this.#formatCurrency(reserve.releasedAmount)}`, valueX, y, { align: 'right' });
+    y += 3;
+
+    this.#doc.setDrawColor(...colors.primary);
+    this.#doc.setLineWidth(0.3);
+    this.#doc.line(labelX, y, valueX, y);
+    y += 5;
+
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.text('Aktueller Reservesaldo:', labelX, y);
+    this.#doc.text(this.#formatCurrency(reserve.closingBalance), valueX, y, { align: 'right' });
+  }
+
   #renderMissingSectionNotes(report) {
     const notes = [];
 
@@ -597,7 +958,7 @@ export class PdfGeneratorService {
     this.#checkPageBreak(noteBlockHeight + 4);
 
     this.#doc.setFontSize(fontSize.small);
-    this.#doc.setFont('helvetica', 'italic');
+    this.#doc.setFont(this.#fontName, 'italic');
     this.#doc.setTextColor(...colors.secondary);
 
     notes.forEach((note) => {
@@ -607,7 +968,38 @@ export class PdfGeneratorService {
 
     this.#currentY += 4;
     this.#doc.setTextColor(...colors.black);
-    this.#doc.setFont('helvetica', 'normal');
+    this.#doc.setFont(this.#fontName, 'normal');
+  }
+
+  #renderCreditNoteNotes(report) {
+    const { colors, fontSize, margin, lineHeight } = PDF_CONFIG;
+    const { startDate, endDate } = report.period;
+    const notes = [
+      'Abrechnung im Gutschriftsverfahren gemäß § 14 Abs. 2 Satz 2 UStG. Die Gutschrift gilt als Rechnung '
+        + 'des leistenden Unternehmers, sofern dieser ihr nicht widerspricht.',
+      `Leistung: Vermittlungsleistungen laut den aufgeführten Positionen, erbracht im Zeitraum `
+        + `${startDate.toLocaleDateString('de-DE')} bis ${endDate.toLocaleDateString('de-DE')}.`,
+      ...ProvisionVatBreakdown.fromReport(report).exempt.map((exempt) => exempt.note).filter(Boolean),
+    ];
+
+    this.#doc.setFontSize(fontSize.small);
+    const lines = notes.flatMap((note) => this.#wrapText(note, this.#contentWidth));
+
+    this.#checkPageBreak(8 + lines.length * lineHeight);
+
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.setTextColor(...colors.primary);
+    this.#doc.text('HINWEISE ZUR GUTSCHRIFT', margin.left, this.#currentY);
+    this.#currentY += 5;
+
+    this.#doc.setFont(this.#fontName, 'normal');
+    this.#doc.setTextColor(...colors.black);
+    lines.forEach((line) => {
+      this.#doc.text(line, margin.left, this.#currentY);
+      this.#currentY += lineHeight;
+    });
+
+    this.#currentY += 4;
   }
 
   #renderPaymentInfo(report = null) {
@@ -625,14 +1017,14 @@ export class PdfGeneratorService {
 
     // Section title
     this.#doc.setFontSize(fontSize.small);
-    this.#doc.setFont('helvetica', 'bold');
+    this.#doc.setFont(this.#fontName, 'bold');
     this.#doc.setTextColor(...colors.primary);
     this.#doc.text('ZAHLUNGSHINWEIS', margin.left, this.#currentY);
     this.#currentY += 5;
 
     // Payment instruction text — reversed for extraordinary
     this.#doc.setFontSize(fontSize.small);
-    this.#doc.setFont('helvetica', 'normal');
+    this.#doc.setFont(this.#fontName, 'normal');
     this.#doc.setTextColor(...colors.black);
 
     const paymentText = isExtraordinary
@@ -642,23 +1034,23 @@ export class PdfGeneratorService {
     this.#currentY += 6;
 
     // Bank details
-    this.#doc.setFont('helvetica', 'bold');
-    this.#doc.text('Volksbank im Münsterland eG', margin.left, this.#currentY);
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.text(PDF_CONFIG.bank.name, margin.left, this.#currentY);
     this.#currentY += 5;
 
-    this.#doc.setFont('helvetica', 'normal');
+    this.#doc.setFont(this.#fontName, 'normal');
     this.#doc.text('IBAN:', margin.left, this.#currentY);
-    this.#doc.setFont('helvetica', 'bold');
-    this.#doc.text('DE17 4036 1906 5318 8510 00', margin.left + 14, this.#currentY);
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.text(PDF_CONFIG.bank.ibanFormatted, margin.left + 14, this.#currentY);
     this.#currentY += 4;
 
-    this.#doc.setFont('helvetica', 'normal');
+    this.#doc.setFont(this.#fontName, 'normal');
     this.#doc.text('BIC:', margin.left, this.#currentY);
-    this.#doc.setFont('helvetica', 'bold');
-    this.#doc.text('GENODEM1IBB', margin.left + 14, this.#currentY);
+    this.#doc.setFont(this.#fontName, 'bold');
+    this.#doc.text(PDF_CONFIG.bank.bic, margin.left + 14, this.#currentY);
 
     this.#currentY += 8;
-    this.#doc.setFont('helvetica', 'normal');
+    this.#doc.setFont(this.#fontName, 'normal');
   }
 
   #renderFooter(report) {
@@ -685,7 +1077,7 @@ export class PdfGeneratorService {
 
       // Legally required imprint, centered across the page
       this.#doc.setFontSize(fontSize.small);
-      this.#doc.setFont('helvetica', 'normal');
+      this.#doc.setFont(this.#fontName, 'normal');
       this.#doc.setTextColor(...colors.secondary);
       this.#doc.text(legalLine, centerX, legalY, { align: 'center' });
 
@@ -747,6 +1139,17 @@ export class PdfGeneratorService {
       ];
     }
 
+    if (source === LINE_ITEM_SOURCES.TEAM_BONUS) {
+      return [
+        { header: 'Datum', key: 'date', align: 'left', wrap: false },
+        { header: 'Zeitraum', key: 'customer', align: 'left', wrap: true },
+        { header: 'Berechnung', key: 'product', align: 'left', wrap: true },
+        { header: 'Prov. Netto', key: 'provNet', align: 'right', wrap: false },
+        { header: 'Prov. MwSt', key: 'provVat', align: 'right', wrap: false },
+        { header: 'Prov. Brutto', key: 'provGross', align: 'right', wrap: false },
+      ];
+    }
+
     if (source === LINE_ITEM_SOURCES.HIERARCHY || source === LINE_ITEM_SOURCES.TIP_PROVIDER) {
       return [
         { header: 'Datum', key: 'date', align: 'left', wrap: false },
@@ -774,6 +1177,11 @@ export class PdfGeneratorService {
       return [20, 32, 32, 24, 32, 32, 28, 24, 43];
     }
 
+    if (source === LINE_ITEM_SOURCES.TEAM_BONUS) {
+      // 6 columns: Date(18) + Period(45) + Calculation(125) + P.Netto(27) + P.MwSt(22) + P.Brutto(30) = 267
+      return [18, 45, 125, 27, 22, 30];
+    }
+
     if (source === LINE_ITEM_SOURCES.HIERARCHY || source === LINE_ITEM_SOURCES.TIP_PROVIDER) {
       // 12 columns: Date(18) + Employee(28) + Customer(28) + Category(20) + Product(30) + Net(19) + MwSt(17) + Brutto(19) + %(13) + P.Netto(24) + P.MwSt(22) + P.Brutto(29) = 267
       return [18, 28, 28, 20, 30, 19, 17, 19, 13, 24, 22, 29];
@@ -800,6 +1208,17 @@ export class PdfGeneratorService {
       ];
     }
 
+    if (source === LINE_ITEM_SOURCES.TEAM_BONUS) {
+      return [
+        formattedDate,
+        item.customerName || '',
+        item.productName || '',
+        this.#formatCurrency(item.provisionNetAmount),
+        this.#formatCurrency(item.provisionVatAmount),
+        this.#formatCurrency(item.provisionAmount),
+      ];
+    }
+
     if (source === LINE_ITEM_SOURCES.HIERARCHY || source === LINE_ITEM_SOURCES.TIP_PROVIDER) {
       return [
         formattedDate,
@@ -0,0 +1,187 @@
+/**
+ * Domain Service: SepaTransferService
+ * Creates a SEPA credit transfer file (pain.001.001.09) for the payouts
+ * of archived billing reports, to be uploaded to online banking instead
+ * of typing each transfer by hand.
+ *
+ * One transfer per report: the payout amount to the employee's current
+ * bank account from the profile, with the report number as end-to-end ID
+ * and remittance reference. Reports that cannot be paid this way are left
+ * out and returned with the reason. Reports already put into an earlier
+ * file are left out as well unless a repeated transfer is requested.
+ */
+
+import { Logger } from '../../../../core/utils/logger.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { BankInfo } from '../../../user-profile/domain/value-objects/BankInfo.js';
+import { PDF_CONFIG } from './PdfGeneratorService.js';
+
+const PAIN_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.09';
+const BIC_PATTERN = /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+const TRANSLITERATIONS = { ä: 'ae', ö: 'oe', ü: 'ue', Ä: 'Ae', Ö: 'Oe', Ü: 'Ue', ß: 'ss', '&': '+' };
+
+/**
+ * Reduce text to the SEPA character set (Latin letters, digits and
+ * / - ? : ( ) . , ' +) and cut it to the field length
+ */
+function toSepaText(value, maxLength) {
+  return String(value ?? '')
+    .replace(/[äöüÄÖÜß&]/g, (char) => TRANSLITERATIONS[char])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength)
+    .trim();
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+const isoDate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const isoDateTime = (d) => `${isoDate(d)}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+const formatAmount = (amount) => roundCurrency(amount).toFixed(2);
+const formatEuro = (amount) => (amount ?? 0).toLocaleString('de-DE', { style: 'currency', currency: 'EUR' });
+
+export class SepaTransferService {
+  #profileService;
+
+  constructor(profileService) {
+    this.#profileService = profileService;
+  }
+
+  /**
+   * @param {ArchivedBillingReport[]} records - Reports selected for payout
+   * @param {Object} [options]
+   * @param {Date} [options.executionDate] - Requested execution date, default today
+   * @param {Date} [options.createdAt]
+   * @param {boolean} [options.includePaid] - Transfer reports marked as paid again
+   * @returns {Promise<{
+   *   xml: string|null,
+   *   fileName: string|null,
+   *   messageId: string|null,
+   *   payments: Array<{record: ArchivedBillingReport, amount: number, name: string, iban: string, bic: string, reference: string}>,
+   *   excluded: Array<{record: ArchivedBillingReport, reason: string}>,
+   *   totalAmount: number
+   * }>} xml is null if no report can be paid out
+   */
+  async createCreditTransfer(records, { executionDate = new Date(), createdAt = new Date(), includePaid = false } = {}) {
+    const users = this.#profileService ? await this.#profileService.getAllUsers() : [];
+    const payments = [];
+    const excluded = [];
+    const seen = new Set();
+
+    for (const record of records) {
+      if (seen.has(record.id)) continue;
+      seen.add(record.id);
+
+      const result = this.#toPayment(record, users, { includePaid });
+      if (result.reason) {
+        excluded.push({ record, reason: result.reason });
+      } else {
+        payments.push(result);
+      }
+    }
+
+    const totalAmount = roundCurrency(payments.reduce((sum, payment) => sum + payment.amount, 0));
+    if (payments.length === 0) {
+      return { xml: null, fileName: null, messageId: null, payments, excluded, totalAmount };
+    }
+
+    const messageId = `TRIALOG-${isoDateTime(createdAt).replace(/\D/g, '')}`;
+    const xml = this.#buildXml(payments, { messageId, executionDate, createdAt, totalAmount });
+    Logger.log(`✓ SEPA credit transfer ${messageId}: ${payments.length} payments, ${excluded.length} excluded`);
+
+    return {
+      xml,
+      fileName: `SEPA_Auszahlungen_${isoDate(createdAt)}.xml`,
+      messageId,
+      payments,
+      excluded,
+      totalAmount,
+    };
+  }
+
+  /**
+   * A payment for the record, or {reason} why it is left out
+   */
+  #toPayment(record, users, { includePaid }) {
+    if (!record.isArchived) {
+      return { reason: 'Export nicht abgeschlossen' };
+    }
+    if (record.isPaid && !includePaid) {
+      return { reason: `Bereits überwiesen (${record.sepaMessageId})` };
+    }
+    if (record.isExtraordinary) {
+      return { reason: 'Durchlaufposten werden an Trialog gezahlt, nicht ausgezahlt' };
+    }
+
+    const amount = roundCurrency(record.payoutAmount ?? 0);
+    if (amount === 0) {
+      return { reason: 'Auszahlungsbetrag 0,00 €' };
+    }
+    if (amount < 0) {
+      return { reason: `Sollsaldo ${formatEuro(amount)}` };
+    }
+
+    // Current bank account from the profile; the data printed on the
+    // report is used for employees without a linked profile
+    const user = users.find((u) => u.linkedNodeId === record.employeeId || u.uid === record.employeeId);
+    const bank = user?.bankInfo ?? record.toReport()?.employeeDetails ?? {};
+
+    const iban = (bank.iban || '').replace(/\s/g, '').toUpperCase();
+    const bic = (bank.bic || '').replace(/\s/g, '').toUpperCase();
+    const name = toSepaText(bank.accountHolder, 70);
+
+    if (!iban) return { reason: 'IBAN fehlt' };
+    if (!BankInfo.hasValidIbanChecksum(iban)) return { reason: 'IBAN-Prüfsumme ungültig' };
+    if (bic && !BIC_PATTERN.test(bic)) return { reason: 'BIC ungültig' };
+    if (!name) return { reason: 'Kontoinhaber fehlt' };
+
+    const reference = toSepaText(`Provisionsabrechnung ${record.reportNumber} ${record.periodLabel || ''}`, 140);
+    return { record, amount, name, iban, bic, reference };
+  }
+
+  #buildXml(payments, { messageId, executionDate, createdAt, totalAmount }) {
+    const { legal, bank } = PDF_CONFIG;
+    const debtorName = toSepaText(legal.company, 70);
+
+    const transactions = payments.map((payment) => `
+      <CdtTrfTxInf>
+        <PmtId><EndToEndId>${toSepaText(payment.record.reportNumber, 35)}</EndToEndId></PmtId>
+        <Amt><InstdAmt Ccy="EUR">${formatAmount(payment.amount)}</InstdAmt></Amt>${payment.bic ? `
+        <CdtrAgt><FinInstnId><BICFI>${payment.bic}</BICFI></FinInstnId></CdtrAgt>` : ''}
+        <Cdtr><Nm>${payment.name}</Nm></Cdtr>
+        <CdtrAcct><Id><IBAN>${payment.iban}</IBAN></Id></CdtrAcct>
+        <RmtInf><Ustrd>${payment.reference}</Ustrd></RmtInf>
+      </CdtTrfTxInf>`).join('');
+
+    // Free text passes through toSepaText, which leaves no XML markup characters
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="${PAIN_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${messageId}</MsgId>
+      <CreDtTm>${isoDateTime(createdAt)}</CreDtTm>
+      <NbOfTxs>${payments.length}</NbOfTxs>
+      <CtrlSum>${formatAmount(totalAmount)}</CtrlSum>
+      <InitgPty><Nm>${debtorName}</Nm></InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${messageId}-1</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <BtchBookg>true</BtchBookg>
+      <NbOfTxs>${payments.length}</NbOfTxs>
+      <CtrlSum>${formatAmount(totalAmount)}</CtrlSum>
+      <PmtTpInf><SvcLvl><Cd>SEPA</Cd></SvcLvl></PmtTpInf>
+      <ReqdExctnDt><Dt>${isoDate(executionDate)}</Dt></ReqdExctnDt>
+      <Dbtr><Nm>${debtorName}</Nm></Dbtr>
+      <DbtrAcct><Id><IBAN>${bank.iban}</IBAN></Id></DbtrAcct>
+      <DbtrAgt><FinInstnId><BICFI>${bank.bic}</BICFI></FinInstnId></DbtrAgt>
+      <ChrgBr>SLEV</ChrgBr>${transactions}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+  }
+}
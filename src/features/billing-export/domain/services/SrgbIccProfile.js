@@ -0,0 +1,133 @@
+/**
+ * sRGB ICC profile (IEC 61966-2.1) for the output intent of PDF/A files.
+ * Built here rather than shipped as a binary: an ICC v2 display profile
+ * with the D50-adapted sRGB primaries and the sRGB tone curve sampled at
+ * 1024 points, shared by the three channels.
+ */
+
+const PROFILE_DESCRIPTION = 'sRGB IEC61966-2.1';
+const COPYRIGHT = 'No copyright, use freely';
+const CURVE_POINTS = 1024;
+
+const D50 = [0.9642, 1.0, 0.8249];
+const D65 = [0.9505, 1.0, 1.089];
+const PRIMARIES = {
+  rXYZ: [0.436066, 0.222488, 0.013916],
+  gXYZ: [0.385147, 0.716873, 0.097076],
+  bXYZ: [0.143066, 0.060608, 0.714096],
+};
+
+function writeSignature(view, offset, signature) {
+  for (let i = 0; i < 4; i++) {
+    view.setUint8(offset + i, signature.charCodeAt(i));
+  }
+}
+
+function writeXyz(view, offset, [x, y, z]) {
+  view.setInt32(offset, Math.round(x * 65536));
+  view.setInt32(offset + 4, Math.round(y * 65536));
+  view.setInt32(offset + 8, Math.round(z * 65536));
+}
+
+/**
+ * A tag element: type signature, four reserved bytes, then the content
+ */
+function tagData(type, contentLength, writeContent) {
+  const bytes = new Uint8Array(8 + contentLength);
+  const view = new DataView(bytes.buffer);
+  writeSignature(view, 0, type);
+  writeContent(view, 8);
+  return bytes;
+}
+
+function descriptionTag(text) {
+  // ASCII part with its terminator, empty Unicode and ScriptCode parts
+  return tagData('desc', 4 + text.length + 1 + 8 + 3 + 67, (view, offset) => {
+    view.setUint32(offset, text.length + 1);
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + 4 + i, text.charCodeAt(i));
+    }
+  });
+}
+
+function textTag(text) {
+  return tagData('text', text.length + 1, (view, offset) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  });
+}
+
+function xyzTag(xyz) {
+  return tagData('XYZ ', 12, (view, offset) => writeXyz(view, offset, xyz));
+}
+
+function srgbCurveTag() {
+  return tagData('curv', 4 + CURVE_POINTS * 2, (view, offset) => {
+    view.setUint32(offset, CURVE_POINTS);
+    for (let i = 0; i < CURVE_POINTS; i++) {
+      const x = i / (CURVE_POINTS - 1);
+      const y = x <= 0.04045 ? x / 12.92 : ((x + 0.055) / 1.055) ** 2.4;
+      view.setUint16(offset + 4 + i * 2, Math.round(y * 65535));
+    }
+  });
+}
+
+let profile = null;
+
+/**
+ * @returns {Uint8Array} The profile bytes, built once
+ */
+export function createSrgbIccProfile() {
+  if (profile) return profile;
+
+  const curve = srgbCurveTag();
+  const tags = [
+    ['desc', descriptionTag(PROFILE_DESCRIPTION)],
+    ['cprt', textTag(COPYRIGHT)],
+    ['wtpt', xyzTag(D65)],
+    ...Object.entries(PRIMARIES).map(([signature, xyz]) => [signature, xyzTag(xyz)]),
+    ['rTRC', curve],
+    ['gTRC', curve],
+    ['bTRC', curve],
+  ];
+
+  const align = (value) => Math.ceil(value / 4) * 4;
+  const tableEnd = 128 + 4 + tags.length * 12;
+
+  // Tags sharing one element (the three curves) point to the same offset
+  const offsets = new Map();
+  let size = align(tableEnd);
+  for (const [, data] of tags) {
+    if (!offsets.has(data)) {
+      offsets.set(data, size);
+      size = align(size + data.length);
+    }
+  }
+
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+
+  view.setUint32(0, size);
+  view.setUint32(8, 0x02100000); // version 2.1
+  writeSignature(view, 12, 'mntr');
+  writeSignature(view, 16, 'RGB ');
+  writeSignature(view, 20, 'XYZ ');
+  [2026, 1, 1, 0, 0, 0].forEach((value, i) => view.setUint16(24 + i * 2, value));
+  writeSignature(view, 36, 'acsp');
+  writeXyz(view, 68, D50);
+
+  view.setUint32(128, tags.length);
+  tags.forEach(([signature, data], i) => {
+    const entry = 132 + i * 12;
+    writeSignature(view, entry, signature);
+    view.setUint32(entry + 4, offsets.get(data));
+    view.setUint32(entry + 8, data.length);
+  });
+  for (const [data, offset] of offsets) {
+    bytes.set(data, offset);
+  }
+
+  profile = bytes;
+  return profile;
+}
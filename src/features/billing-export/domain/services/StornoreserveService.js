@@ -0,0 +1,114 @@
+/**
+ * Domain Service: StornoreserveService
+ * Calculates cancellation reserve withholdings/releases for billing reports
+ * and books them on the recipient's reserve account
+ */
+
+import { Logger } from '../../../../core/utils/logger.js';
+import { StornoreserveAccount } from '../entities/StornoreserveAccount.js';
+import { StornoreservePosting } from '../value-objects/StornoreservePosting.js';
+import { StornoreserveSummary } from '../value-objects/StornoreserveSummary.js';
+
+export class StornoreserveService {
+  #repository;
+  #catalogService;
+
+  constructor(stornoreserveRepository, catalogService) {
+    this.#repository = stornoreserveRepository;
+    this.#catalogService = catalogService;
+  }
+
+  async getAccount(employeeId) {
+    const account = await this.#repository.findByEmployeeId(employeeId);
+    return account || StornoreserveAccount.create(employeeId);
+  }
+
+  /**
+   * Determine the reserve movements of a report without persisting them.
+   * Every line (own, hierarchy, tip provider) is withheld from individually,
+   * so each cascade recipient builds up their own reserve. Only lines this
+   * report settles are withheld from; lines that were already withheld from
+   * and lines whose liability period has already ended are skipped.
+   *
+   * @param {BillingReport} report
+   * @returns {Promise<StornoreserveSummary>}
+   */
+  async calculateForReport(report) {
+    const account = await this.getAccount(report.employeeDetails.id);
+    const periodEnd = report.period.endDate;
+    const ruleCache = new Map();
+    const withheldPostings = [];
+
+    for (const item of report.settledLineItems) {
+      if (!item.originalEntryId || item.provisionAmount <= 0) continue;
+      if (account.hasWithholding(item.originalEntryId, item.source)) continue;
+
+      const rule = await this.#findRule(item, ruleCache);
+      if (!rule) continue;
+
+      const releaseDate = rule.getReleaseDate(item.date);
+      if (releaseDate <= periodEnd) continue;
+
+      const amount = rule.calculateReserve(item.provisionAmount);
+      if (amount <= 0) continue;
+
+      withheldPostings.push(new StornoreservePosting({
+        entryId: item.originalEntryId,
+        source: item.source,
+        amount,
+        percentage: rule.percentage,
+        releaseDate,
+      }));
+    }
+
+    return new StornoreserveSummary({
+      openingBalance: account.balance,
+      withheldPostings,
+      releasedPostings: account.getDuePostings(periodEnd),
+    });
+  }
+
+  /**
+   * Book the reserve movements of a finalized report on the account
+   * @returns {Promise<StornoreserveAccount|null>} Updated account (null if nothing to book)
+   */
+  async applyReport(report) {
+    const summary = report.stornoreserve;
+    if (!summary?.hasActivity) {
+      return null;
+    }
+
+    const reportNumber = report.metadata.reportNumber;
+    const account = await this.getAccount(report.employeeDetails.id);
+
+    summary.withheldPostings.forEach((posting) => account.addPosting(posting.withWithheldInReport(reportNumber)));
+    account.releasePostings(summary.releasedPostings.map((p) => p.id), reportNumber);
+
+    await this.#repository.save(account);
+    Logger.log(
+      `Stornoreserve booked for ${account.employeeId}: ` +
+      `+${summary.withheldAmount.toFixed(2)} / -${summary.releasedAmount.toFixed(2)} ` +
+      `(Saldo ${account.balance.toFixed(2)})`
+    );
+
+    return account;
+  }
+
+  async #findRule(item, cache) {
+    const key = `${item.categoryType}|${item.productName || ''}`;
+    if (!cache.has(key)) {
+      let rule = null;
+      try {
+        const match = await this.#catalogService?.findStornoreserveRule({
+          categoryType: item.categoryType,
+          productName: item.productName,
+        });
+        rule = match?.rule ?? null;
+      } catch (error) {
+        Logger.warn('Failed to resolve Stornoreserve rule:', error);
+      }
+      cache.set(key, rule);
+    }
+    return cache.get(key);
+  }
+}
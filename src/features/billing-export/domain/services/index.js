@@ -5,3 +5,10 @@
 export { BillingReportService } from './BillingReportService.js';
 export { PdfGeneratorService } from './PdfGeneratorService.js';
 export { BillingFinalizationService } from './BillingFinalizationService.js';
+export { StornoreserveService } from './StornoreserveService.js';
+export { LedgerService } from './LedgerService.js';
+export { AdvanceService } from './AdvanceService.js';
+export { BillingArchiveService } from './BillingArchiveService.js';
+export { EInvoiceService, E_INVOICE_FORMATS, AVAILABLE_E_INVOICE_FORMATS } from './EInvoiceService.js';
+export { EInvoiceValidator } from './EInvoiceValidator.js';
+export { SepaTransferService } from './SepaTransferService.js';
@@ -0,0 +1,63 @@
+/**
+ * Value Object: AdvanceSummary
+ * Advance (Vorschuss) offsetting of a single billing report: outstanding
+ * advances before the report and the amounts offset per agreement
+ */
+
+import { roundCurrency } from '../../../../core/utils/index.js';
+
+export class AdvanceSummary {
+  #openingBalance;
+  #offsets;
+
+  /**
+   * @param {Object} params
+   * @param {number} params.openingBalance - Outstanding advances before this report
+   * @param {Array<{agreementId: string, amount: number, maxOffsetPercentage: number, settledLines: Array<{entryId: string, source: string}>}>} params.offsets
+   */
+  constructor({ openingBalance = 0, offsets = [] } = {}) {
+    this.#openingBalance = roundCurrency(openingBalance);
+    this.#offsets = offsets.map((o) => Object.freeze({
+      agreementId: o.agreementId,
+      amount: roundCurrency(o.amount),
+      maxOffsetPercentage: o.maxOffsetPercentage,
+      settledLines: Object.freeze((o.settledLines || [])
+        .map((line) => ({ entryId: line.entryId, source: line.source }))),
+    }));
+    Object.freeze(this);
+  }
+
+  get openingBalance() {
+    return this.#openingBalance;
+  }
+
+  get offsets() {
+    return [...this.#offsets];
+  }
+
+  get offsetAmount() {
+    return roundCurrency(this.#offsets.reduce((sum, o) => sum + o.amount, 0));
+  }
+
+  get closingBalance() {
+    return roundCurrency(this.#openingBalance - this.offsetAmount);
+  }
+
+  get hasActivity() {
+    return this.offsetAmount > 0;
+  }
+
+  toJSON() {
+    return {
+      openingBalance: this.#openingBalance,
+      offsets: this.offsets,
+      offsetAmount: this.offsetAmount,
+      closingBalance: this.closingBalance,
+    };
+  }
+
+  static fromJSON(json) {
+    if (!json) return null;
+    return new AdvanceSummary(json);
+  }
+}
@@ -151,6 +151,13 @@ export class EmployeeDetails {
     return Boolean(this.#taxNumber);
   }
 
+  /**
+   * Tax number or VAT ID present, one of which a Gutschrift must state
+   */
+  get hasTaxIdentification() {
+    return Boolean(this.#taxNumber || this.#vatNumber);
+  }
+
   get careerLevelName() { return this.#careerLevelName; }
   get bankProvision() { return this.#bankProvision; }
   get insuranceProvision() { return this.#insuranceProvision; }
@@ -0,0 +1,141 @@
+/**
+ * Value Object: LedgerPosting
+ * Single booking on an employee's provision ledger (Provisionskonto).
+ * Positive amounts are owed to the employee, negative amounts are owed by them.
+ */
+
+import { generateUUID, roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+
+export const LEDGER_POSTING_TYPES = {
+  PROVISION: 'provision',
+  CLAWBACK: 'clawback',
+  RESERVE_WITHHOLDING: 'reserveWithholding',
+  RESERVE_RELEASE: 'reserveRelease',
+  ADVANCE_OFFSET: 'advanceOffset',
+  PAYOUT: 'payout',
+  MANUAL: 'manual',
+};
+
+const TYPE_LABELS = {
+  [LEDGER_POSTING_TYPES.PROVISION]: 'Provisionsgutschrift',
+  [LEDGER_POSTING_TYPES.CLAWBACK]: 'Rückforderung (Storno)',
+  [LEDGER_POSTING_TYPES.RESERVE_WITHHOLDING]: 'Einbehalt Stornoreserve',
+  [LEDGER_POSTING_TYPES.RESERVE_RELEASE]: 'Freigabe Stornoreserve',
+  [LEDGER_POSTING_TYPES.ADVANCE_OFFSET]: 'Vorschussverrechnung',
+  [LEDGER_POSTING_TYPES.PAYOUT]: 'Auszahlung',
+  [LEDGER_POSTING_TYPES.MANUAL]: 'Manuelle Buchung',
+};
+
+export class LedgerPosting {
+  #id;
+  #employeeId;
+  #type;
+  #amount;
+  #date;
+  #description;
+  #reportNumber;
+  #entryId;
+  #source;
+  #settledLines;
+  #createdBy;
+  #createdAt;
+
+  constructor({
+    id = null,
+    employeeId,
+    type,
+    amount,
+    date = null,
+    description = '',
+    reportNumber = null,
+    entryId = null,
+    source = null,
+    settledLines = [],
+    createdBy = null,
+    createdAt = null,
+  }) {
+    if (!employeeId) {
+      throw new ValidationError('Ledger posting requires an employee', 'employeeId');
+    }
+    if (!Object.values(LEDGER_POSTING_TYPES).includes(type)) {
+      throw new ValidationError(`Invalid ledger posting type: ${type}`, 'type');
+    }
+    if (typeof amount !== 'number' || isNaN(amount)) {
+      throw new ValidationError('Betrag muss eine Zahl sein', 'amount');
+    }
+
+    this.#id = id || generateUUID();
+    this.#employeeId = employeeId;
+    this.#type = type;
+    this.#amount = roundCurrency(amount);
+    this.#date = date ? new Date(date) : new Date();
+    this.#description = description;
+    this.#reportNumber = reportNumber;
+    this.#entryId = entryId;
+    this.#source = source;
+    this.#settledLines = Object.freeze((settledLines || []).map((line) =>
+      Object.freeze({ entryId: line.entryId, source: line.source })));
+    this.#createdBy = createdBy;
+    this.#createdAt = createdAt ? new Date(createdAt) : new Date();
+    Object.freeze(this);
+  }
+
+  get id() { return this.#id; }
+  get employeeId() { return this.#employeeId; }
+  get type() { return this.#type; }
+  get amount() { return this.#amount; }
+  get date() { return this.#date; }
+  get description() { return this.#description; }
+  get reportNumber() { return this.#reportNumber; }
+  get entryId() { return this.#entryId; }
+
+  /** Role of the employee on the entry (line item source) for single-entry postings */
+  get source() { return this.#source; }
+
+  /** Lines credited by an aggregated provision posting, as {entryId, source} */
+  get settledLines() { return this.#settledLines; }
+
+  /**
+   * Whether this posting books the given entry for the employee in the given role
+   */
+  covers(entryId, source) {
+    return (this.#entryId === entryId && this.#source === source) ||
+      this.#settledLines.some((line) => line.entryId === entryId && line.source === source);
+  }
+  get createdBy() { return this.#createdBy; }
+  get createdAt() { return this.#createdAt; }
+
+  get typeLabel() {
+    return TYPE_LABELS[this.#type] || this.#type;
+  }
+
+  get isCredit() {
+    return this.#amount > 0;
+  }
+
+  get isDebit() {
+    return this.#amount < 0;
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      employeeId: this.#employeeId,
+      type: this.#type,
+      amount: this.#amount,
+      date: this.#date.toISOString(),
+      description: this.#description,
+      reportNumber: this.#reportNumber,
+      entryId: this.#entryId,
+      source: this.#source,
+      settledLines: this.#settledLines.map((line) => ({ ...line })),
+      createdBy: this.#createdBy,
+      createdAt: this.#createdAt.toISOString(),
+    };
+  }
+
+  static fromJSON(json) {
+    return new LedgerPosting(json);
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Value Object: ProvisionVatBreakdown
+ * Provision of a billing report split by VAT treatment: net and VAT per
+ * rate for taxed line items, and the untaxed amounts per legal basis.
+ * A Gutschrift has to state both (§14 Abs. 4 Nr. 7 and 8 UStG).
+ */
+
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { REVENUE_CATEGORY_TYPES } from '../../../revenue-tracking/domain/value-objects/RevenueCategory.js';
+
+export const VAT_EXEMPTION_TYPES = {
+  SMALL_BUSINESS: 'smallBusiness',
+  INSURANCE_BROKERAGE: 'insuranceBrokerage',
+  FINANCIAL_BROKERAGE: 'financialBrokerage',
+  // Untaxed line of a category without an exemption; no legal basis to print
+  UNDETERMINED: 'undetermined',
+};
+
+const EXEMPTION_LABELS = {
+  [VAT_EXEMPTION_TYPES.SMALL_BUSINESS]: 'Ohne USt (§ 19 UStG)',
+  [VAT_EXEMPTION_TYPES.INSURANCE_BROKERAGE]: 'Steuerfrei (§ 4 Nr. 11 UStG)',
+  [VAT_EXEMPTION_TYPES.FINANCIAL_BROKERAGE]: 'Steuerfrei (§ 4 Nr. 8 UStG)',
+  [VAT_EXEMPTION_TYPES.UNDETERMINED]: 'Ohne USt-Ausweis',
+};
+
+// Only brokerage of insurance and of loans/financial products is exempt;
+// real estate, property management, energy contracts and bonuses are not
+const EXEMPTION_TYPES_BY_CATEGORY = {
+  [REVENUE_CATEGORY_TYPES.INSURANCE]: VAT_EXEMPTION_TYPES.INSURANCE_BROKERAGE,
+  [REVENUE_CATEGORY_TYPES.BANK]: VAT_EXEMPTION_TYPES.FINANCIAL_BROKERAGE,
+};
+
+const EXEMPTION_NOTES = {
+  [VAT_EXEMPTION_TYPES.SMALL_BUSINESS]:
+    'Der leistende Unternehmer ist Kleinunternehmer im Sinne von § 19 UStG, Umsatzsteuer wird daher nicht ausgewiesen.',
+  [VAT_EXEMPTION_TYPES.INSURANCE_BROKERAGE]:
+    'Steuerfreie Leistungen als Versicherungsvermittler gemäß § 4 Nr. 11 UStG.',
+  [VAT_EXEMPTION_TYPES.FINANCIAL_BROKERAGE]:
+    'Steuerfreie Vermittlung von Krediten und Finanzprodukten gemäß § 4 Nr. 8 UStG.',
+  [VAT_EXEMPTION_TYPES.UNDETERMINED]: null,
+};
+
+export class ProvisionVatBreakdown {
+  #taxed;
+  #exempt;
+  #undeterminedCategories;
+
+  /**
+   * @param {Object} params
+   * @param {Array<{rate: number, net: number, vat: number}>} params.taxed
+   * @param {Array<{type: string, amount: number}>} params.exempt
+   * @param {string[]} params.undeterminedCategories - Display names of categories with untaxed lines but no exemption
+   */
+  constructor({ taxed = [], exempt = [], undeterminedCategories = [] } = {}) {
+    this.#taxed = taxed
+      .map((t) => Object.freeze({ rate: t.rate, net: roundCurrency(t.net), vat: roundCurrency(t.vat) }))
+      .sort((a, b) => b.rate - a.rate);
+    this.#exempt = exempt.map((e) => Object.freeze({
+      type: e.type,
+      amount: roundCurrency(e.amount),
+      label: EXEMPTION_LABELS[e.type],
+      note: EXEMPTION_NOTES[e.type],
+    }));
+    this.#undeterminedCategories = Object.freeze([...undeterminedCategories]);
+    Object.freeze(this);
+  }
+
+  /** Net and VAT per rate, highest rate first */
+  get taxed() {
+    return [...this.#taxed];
+  }
+
+  /** Untaxed amounts with their label and the note printed on the PDF */
+  get exempt() {
+    return [...this.#exempt];
+  }
+
+  get hasTaxed() {
+    return this.#taxed.length > 0;
+  }
+
+  get hasExempt() {
+    return this.#exempt.length > 0;
+  }
+
+  get undeterminedCategories() {
+    return this.#undeterminedCategories;
+  }
+
+  /**
+   * A Gutschrift has to state why an amount carries no VAT. Untaxed lines of
+   * categories that are not exempt have no such reason.
+   * @throws {ValidationError}
+   */
+  assertExemptionBasis() {
+    if (this.#undeterminedCategories.length === 0) return;
+    throw new ValidationError(
+      `Umsätze der Kategorie ${this.#undeterminedCategories.join(', ')} sind ohne Umsatzsteuer abgerechnet, ` +
+      'aber nicht steuerbefreit. Bitte Umsatzsteuer der Einträge und den USt-Status des Vertriebspartners prüfen.',
+      'vat',
+    );
+  }
+
+  get totalNet() {
+    return roundCurrency(this.#taxed.reduce((sum, t) => sum + t.net, 0)
+      + this.#exempt.reduce((sum, e) => sum + e.amount, 0));
+  }
+
+  get totalVat() {
+    return roundCurrency(this.#taxed.reduce((sum, t) => sum + t.vat, 0));
+  }
+
+  /**
+   * Group the report's line items by VAT treatment. Line items without
+   * provision VAT are untaxed because the recipient is a Kleinunternehmer
+   * or because the brokerage itself is exempt; for other categories the
+   * reason is undetermined.
+   *
+   * @param {BillingReport} report
+   * @returns {ProvisionVatBreakdown}
+   */
+  static fromReport(report) {
+    const isSmallBusiness = report.employeeDetails?.isSmallBusiness ?? false;
+    const taxed = new Map();
+    const exempt = new Map();
+    const undeterminedCategories = new Set();
+
+    for (const item of report.allLineItems) {
+      // By rate, not hasProvisionVat: cancellations carry negative VAT
+      if (item.provisionVatRate > 0) {
+        const group = taxed.get(item.provisionVatRate) || { rate: item.provisionVatRate, net: 0, vat: 0 };
+        group.net += item.provisionNetAmount;
+        group.vat += item.provisionVatAmount;
+        taxed.set(item.provisionVatRate, group);
+        continue;
+      }
+
+      const type = ProvisionVatBreakdown.#exemptionTypeFor(item, isSmallBusiness);
+      if (type === VAT_EXEMPTION_TYPES.UNDETERMINED && roundCurrency(item.provisionAmount || 0) !== 0) {
+        undeterminedCategories.add(item.categoryDisplayName || item.categoryType);
+      }
+      const group = exempt.get(type) || { type, amount: 0 };
+      group.amount += item.provisionAmount || 0;
+      exempt.set(type, group);
+    }
+
+    return new ProvisionVatBreakdown({
+      taxed: [...taxed.values()],
+      exempt: [...exempt.values()].filter((e) => roundCurrency(e.amount) !== 0),
+      undeterminedCategories: [...undeterminedCategories],
+    });
+  }
+
+  static #exemptionTypeFor(item, isSmallBusiness) {
+    if (isSmallBusiness) {
+      return VAT_EXEMPTION_TYPES.SMALL_BUSINESS;
+    }
+    return EXEMPTION_TYPES_BY_CATEGORY[item.categoryType] ?? VAT_EXEMPTION_TYPES.UNDETERMINED;
+  }
+}
@@ -1,10 +1,10 @@
 /**
  * Value Object: ReportMetadata
- * Metadata about report generation (timestamp, version, generator info)
+ * Metadata about report generation (timestamp, version, generator info).
+ * The report number is issued server-side when the report is exported
+ * (BillingArchiveService); until then it is null.
  */
 
-import { generateUUID } from '../../../../core/utils/index.js';
-
 export class ReportMetadata {
   #reportNumber;
   #generatedAt;
@@ -19,25 +19,21 @@ export class ReportMetadata {
     generatedByName = null,
     version = '1.0',
   } = {}) {
-    this.#reportNumber = reportNumber || this.#generateReportNumber();
+    this.#reportNumber = reportNumber;
     this.#generatedAt = generatedAt ? new Date(generatedAt) : new Date();
     this.#generatedBy = generatedBy;
     this.#generatedByName = generatedByName;
     this.#version = version;
   }
 
-  #generateReportNumber() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = (now.getMonth() + 1).toString().padStart(2, '0');
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `${year}-${month}-${random}`;
-  }
-
   get reportNumber() {
     return this.#reportNumber;
   }
 
+  get hasReportNumber() {
+    return Boolean(this.#reportNumber);
+  }
+
   get generatedAt() {
     return this.#generatedAt;
   }
@@ -72,6 +68,16 @@ export class ReportMetadata {
     return this.#version;
   }
 
+  withReportNumber(reportNumber) {
+    return new ReportMetadata({
+      reportNumber,
+      generatedAt: this.#generatedAt,
+      generatedBy: this.#generatedBy,
+      generatedByName: this.#generatedByName,
+      version: this.#version,
+    });
+  }
+
   toJSON() {
     return {
       reportNumber: this.#reportNumber,
@@ -0,0 +1,102 @@
+/**
+ * Value Object: StornoreservePosting
+ * Amount withheld from one provision line on an employee's reserve account,
+ * released once the liability period of the underlying contract has passed
+ */
+
+import { generateUUID, roundCurrency } from '../../../../core/utils/index.js';
+
+export class StornoreservePosting {
+  #id;
+  #entryId;
+  #source;
+  #amount;
+  #percentage;
+  #releaseDate;
+  #withheldAt;
+  #withheldInReport;
+  #releasedAt;
+  #releasedInReport;
+
+  constructor({
+    id = null,
+    entryId,
+    source,
+    amount,
+    percentage = 0,
+    releaseDate,
+    withheldAt = null,
+    withheldInReport = null,
+    releasedAt = null,
+    releasedInReport = null,
+  }) {
+    this.#id = id || generateUUID();
+    this.#entryId = entryId;
+    this.#source = source;
+    this.#amount = roundCurrency(amount || 0);
+    this.#percentage = percentage;
+    this.#releaseDate = new Date(releaseDate);
+    this.#withheldAt = withheldAt ? new Date(withheldAt) : new Date();
+    this.#withheldInReport = withheldInReport;
+    this.#releasedAt = releasedAt ? new Date(releasedAt) : null;
+    this.#releasedInReport = releasedInReport;
+    Object.freeze(this);
+  }
+
+  get id() { return this.#id; }
+  get entryId() { return this.#entryId; }
+  get source() { return this.#source; }
+  get amount() { return this.#amount; }
+  get percentage() { return this.#percentage; }
+  get releaseDate() { return this.#releaseDate; }
+  get withheldAt() { return this.#withheldAt; }
+  get withheldInReport() { return this.#withheldInReport; }
+  get releasedAt() { return this.#releasedAt; }
+  get releasedInReport() { return this.#releasedInReport; }
+
+  get isReleased() {
+    return this.#releasedAt !== null;
+  }
+
+  /**
+   * Check if the liability period has ended by the given date
+   */
+  isDueOn(date) {
+    return !this.isReleased && this.#releaseDate <= date;
+  }
+
+  /**
+   * Reserve postings are calculated before the report has a number; the
+   * number is stamped when the report is finalized
+   */
+  withWithheldInReport(reportNumber) {
+    return new StornoreservePosting({ ...this.toJSON(), withheldInReport: reportNumber });
+  }
+
+  withRelease(reportNumber, releasedAt = new Date()) {
+    return new StornoreservePosting({
+      ...this.toJSON(),
+      releasedAt,
+      releasedInReport: reportNumber,
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      entryId: this.#entryId,
+      source: this.#source,
+      amount: this.#amount,
+      percentage: this.#percentage,
+      releaseDate: this.#releaseDate.toISOString(),
+      withheldAt: this.#withheldAt.toISOString(),
+      withheldInReport: this.#withheldInReport,
+      releasedAt: this.#releasedAt ? this.#releasedAt.toISOString() : null,
+      releasedInReport: this.#releasedInReport,
+    };
+  }
+
+  static fromJSON(json) {
+    return new StornoreservePosting(json);
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Value Object: StornoreserveSummary
+ * Reserve movements of a single billing report: amounts withheld from the
+ * report's line items and postings whose liability period ended in the period
+ */
+
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { StornoreservePosting } from './StornoreservePosting.js';
+
+export class StornoreserveSummary {
+  #openingBalance;
+  #withheldPostings;
+  #releasedPostings;
+
+  /**
+   * @param {Object} params
+   * @param {number} params.openingBalance - Account balance before this report
+   * @param {StornoreservePosting[]} params.withheldPostings - New postings created by this report
+   * @param {StornoreservePosting[]} params.releasedPostings - Open postings paid out with this report
+   */
+  constructor({ openingBalance = 0, withheldPostings = [], releasedPostings = [] } = {}) {
+    this.#openingBalance = roundCurrency(openingBalance);
+    this.#withheldPostings = withheldPostings.map((p) =>
+      p instanceof StornoreservePosting ? p : StornoreservePosting.fromJSON(p)
+    );
+    this.#releasedPostings = releasedPostings.map((p) =>
+      p instanceof StornoreservePosting ? p : StornoreservePosting.fromJSON(p)
+    );
+  }
+
+  get openingBalance() {
+    return this.#openingBalance;
+  }
+
+  get withheldPostings() {
+    return [...this.#withheldPostings];
+  }
+
+  get releasedPostings() {
+    return [...this.#releasedPostings];
+  }
+
+  get withheldAmount() {
+    return roundCurrency(this.#withheldPostings.reduce((sum, p) => sum + p.amount, 0));
+  }
+
+  get releasedAmount() {
+    return roundCurrency(this.#releasedPostings.reduce((sum, p) => sum + p.amount, 0));
+  }
+
+  get closingBalance() {
+    return roundCurrency(this.#openingBalance + this.withheldAmount - this.releasedAmount);
+  }
+
+  get hasActivity() {
+    return this.#withheldPostings.length > 0 || this.#releasedPostings.length > 0;
+  }
+
+  /**
+   * Reserve withheld from a specific line of the report
+   */
+  getWithheldAmountForEntry(entryId, source) {
+    const posting = this.#withheldPostings.find((p) => p.entryId === entryId && p.source === source);
+    return posting ? posting.amount : 0;
+  }
+
+  toJSON() {
+    return {
+      openingBalance: this.#openingBalance,
+      withheldPostings: this.#withheldPostings.map((p) => p.toJSON()),
+      releasedPostings: this.#releasedPostings.map((p) => p.toJSON()),
+      withheldAmount: this.withheldAmount,
+      releasedAmount: this.releasedAmount,
+      closingBalance: this.closingBalance,
+    };
+  }
+
+  static fromJSON(json) {
+    if (!json) return null;
+    return new StornoreserveSummary(json);
+  }
+}
@@ -7,3 +7,8 @@ export { ReportMetadata } from './ReportMetadata.js';
 export { ProvisionSummary } from './ProvisionSummary.js';
 export { EmployeeDetails } from './EmployeeDetails.js';
 export { BillingExclusionRule } from './BillingExclusionRule.js';
+export { StornoreservePosting } from './StornoreservePosting.js';
+export { StornoreserveSummary } from './StornoreserveSummary.js';
+export { LedgerPosting, LEDGER_POSTING_TYPES } from './LedgerPosting.js';
+export { AdvanceSummary } from './AdvanceSummary.js';
+export { ProvisionVatBreakdown, VAT_EXEMPTION_TYPES } from './ProvisionVatBreakdown.js';
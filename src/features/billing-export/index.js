@@ -6,6 +6,9 @@
  * - BillingReportService: Data orchestration for billing reports
  * - PdfGeneratorService: PDF generation using jsPDF
  * - BillingExportDialog: UI for configuring and exporting reports
+ * - LedgerService / LedgerView: Provision ledger (Provisionskonto) per employee
+ * - BillingArchiveService / BillingArchiveScreen: Numbered archive of exported reports and their PDFs
+ * - EInvoiceService / EInvoiceValidator: XRechnung e-invoices for Gutschriften (pre-check and CII XSD)
  * - Domain entities and value objects for billing data
  */
 
@@ -0,0 +1,211 @@
+/**
+ * Molecule: AdvanceAgreementDialog
+ * Dialog for viewing and creating advance agreements (Vorschuss) of an employee
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Logger } from '../../../../../core/utils/logger.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
+
+export class AdvanceAgreementDialog {
+  #element;
+  #props;
+  #listContainer;
+  #monthlyAmountInput;
+  #startInput;
+  #endInput;
+  #percentageInput;
+  #notesInput;
+  #saveButton;
+
+  constructor(props = {}) {
+    this.#props = {
+      employeeId: props.employeeId,
+      employeeName: props.employeeName || 'Mitarbeiter',
+      advanceService: props.advanceService,
+      createdBy: props.createdBy || null,
+      onSaved: props.onSaved || null,
+    };
+
+    this.#element = this.#render();
+    this.#loadAgreements();
+  }
+
+  #render() {
+    const overlay = createElement('div', { className: 'dialog-overlay billing-export-dialog-overlay' });
+
+    this.#listContainer = createElement('div', { className: 'advance-agreement-list' }, [
+      createElement('p', { className: 'billing-export-note' }, ['Vereinbarungen werden geladen...']),
+    ]);
+
+    const dialogContent = createElement('div', { className: 'dialog-content billing-export-dialog advance-agreement-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, ['Vorschussvereinbarungen']),
+        createElement('p', { className: 'dialog-subtitle' }, [`Vertriebspartner: ${this.#props.employeeName}`]),
+      ]),
+      createElement('div', { className: 'dialog-body-scroll billing-export-body' }, [
+        createElement('div', { className: 'billing-export-section' }, [
+          createElement('h3', { className: 'billing-export-section-title' }, ['Bestehende Vereinbarungen']),
+          this.#listContainer,
+        ]),
+        this.#renderForm(),
+      ]),
+      this.#renderFooter(),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.hide();
+      }
+    });
+
+    return overlay;
+  }
+
+  #renderForm() {
+    const now = new Date();
+    const toMonthValue = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+    this.#monthlyAmountInput = new Input({ label: 'Monatlicher Vorschuss (€)', type: 'number', placeholder: 'z.B. 1500' });
+    this.#startInput = new Input({ label: 'Erster Monat', type: 'month', value: toMonthValue(now) });
+    this.#endInput = new Input({
+      label: 'Letzter Monat',
+      type: 'month',
+      value: toMonthValue(new Date(now.getFullYear(), now.getMonth() + 5, 1)),
+    });
+    this.#percentageInput = new Input({ label: 'Verrechnung max. (% der Provisionen)', type: 'number', value: '50' });
+    this.#notesInput = new Input({ label: 'Notiz', placeholder: 'optional' });
+
+    return createElement('div', { className: 'billing-export-section' }, [
+      createElement('h3', { className: 'billing-export-section-title' }, ['Neue Vereinbarung']),
+      createElement('div', { className: 'advance-agreement-form' }, [
+        this.#monthlyAmountInput.element,
+        this.#percentageInput.element,
+        this.#startInput.element,
+        this.#endInput.element,
+        this.#notesInput.element,
+      ]),
+    ]);
+  }
+
+  #renderFooter() {
+    this.#saveButton = new Button({
+      label: 'Vereinbarung anlegen',
+      variant: 'primary',
+      onClick: () => this.#handleSave(),
+    });
+
+    return createElement('div', { className: 'dialog-actions billing-export-actions' }, [
+      new Button({ label: 'Schließen', variant: 'ghost', onClick: () => this.hide() }).element,
+      this.#saveButton.element,
+    ]);
+  }
+
+  async #loadAgreements() {
+    try {
+      const agreements = await this.#props.advanceService.getAgreements(this.#props.employeeId);
+      this.#listContainer.replaceChildren(...this.#renderAgreements(agreements));
+    } catch (error) {
+      Logger.error('Failed to load advance agreements:', error);
+      this.#listContainer.replaceChildren(
+        createElement('p', { className: 'billing-export-note' }, [`Fehler: ${error.message}`]),
+      );
+    }
+  }
+
+  #renderAgreements(agreements) {
+    if (agreements.length === 0) {
+      return [createElement('p', { className: 'billing-export-note' }, ['Keine Vorschussvereinbarungen vorhanden.'])];
+    }
+
+    return agreements.map((agreement) =>
+      createElement('div', { className: 'advance-agreement-item' }, [
+        createElement('div', { className: 'advance-agreement-period' }, [
+          `${this.#formatMonth(agreement.startDate)} – ${this.#formatMonth(agreement.endDate)}`,
+        ]),
+        createElement('div', { className: 'advance-agreement-details' }, [
+          `${this.#formatCurrency(agreement.monthlyAmount)} / Monat · ` +
+          `Verrechnung max. ${agreement.maxOffsetPercentage} % · ` +
+          `verrechnet ${this.#formatCurrency(agreement.offsetAmount)}`,
+        ]),
+        createElement('div', { className: 'advance-agreement-balance' }, [
+          `Offen: ${this.#formatCurrency(agreement.getOutstandingBalance())}`,
+        ]),
+      ]),
+    );
+  }
+
+  async #handleSave() {
+    const monthlyAmount = Number(this.#monthlyAmountInput.value);
+    const maxOffsetPercentage = Number(this.#percentageInput.value);
+    const start = this.#startInput.value;
+    const end = this.#endInput.value;
+
+    const isAmountValid = monthlyAmount > 0;
+    const isPercentageValid = maxOffsetPercentage > 0 && maxOffsetPercentage <= 100;
+    const isRangeValid = Boolean(start && end && end >= start);
+
+    this.#monthlyAmountInput.setError(isAmountValid ? null : 'Betrag größer 0 angeben');
+    this.#percentageInput.setError(isPercentageValid ? null : 'Wert zwischen 1 und 100 angeben');
+    this.#endInput.setError(isRangeValid ? null : 'Letzter Monat muss nach dem ersten liegen');
+    if (!isAmountValid || !isPercentageValid || !isRangeValid) {
+      return;
+    }
+
+    this.#saveButton.element.disabled = true;
+    try {
+      await this.#props.advanceService.createAgreement({
+        employeeId: this.#props.employeeId,
+        monthlyAmount,
+        startDate: new Date(`${start}-01T00:00:00`),
+        endDate: new Date(`${end}-01T00:00:00`),
+        maxOffsetPercentage,
+        notes: this.#notesInput.value.trim(),
+        createdBy: this.#props.createdBy,
+      });
+      this.#monthlyAmountInput.clear();
+      this.#notesInput.clear();
+      await this.#loadAgreements();
+      if (this.#props.onSaved) {
+        this.#props.onSaved();
+      }
+    } catch (error) {
+      Logger.error('Failed to create advance agreement:', error);
+      alert(`Speichern fehlgeschlagen: ${error.message}`);
+    } finally {
+      this.#saveButton.element.disabled = false;
+    }
+  }
+
+  #formatMonth(date) {
+    return date.toLocaleDateString('de-DE', { month: '2-digit', year: 'numeric' });
+  }
+
+  #formatCurrency(amount) {
+    return new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR' }).format(amount);
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -10,6 +10,12 @@ import { PeriodSelector } from './PeriodSelector.js';
 import { BillingReportService } from '../../../domain/services/BillingReportService.js';
 import { PdfGeneratorService } from '../../../domain/services/PdfGeneratorService.js';
 import { BillingFinalizationService } from '../../../domain/services/BillingFinalizationService.js';
+import { EInvoiceService, E_INVOICE_FORMATS, AVAILABLE_E_INVOICE_FORMATS } from '../../../domain/services/EInvoiceService.js';
+
+const E_INVOICE_FORMAT_LABELS = {
+  [E_INVOICE_FORMATS.XRECHNUNG]: 'XRechnung (XML zusätzlich zum PDF)',
+  [E_INVOICE_FORMATS.ZUGFERD]: 'ZUGFeRD (XML im PDF eingebettet)',
+};
 
 export class BillingExportDialog {
   #element;
@@ -18,6 +24,8 @@ export class BillingExportDialog {
   #includeHierarchyCheckbox;
   #includeTipProviderCheckbox;
   #includeProvisionedCheckbox;
+  #creditNoteCheckbox;
+  #eInvoiceSelect;
   #exportButton;
   #cancelButton;
   #isLoading;
@@ -25,6 +33,7 @@ export class BillingExportDialog {
   #billingReportService;
   #pdfGeneratorService;
   #billingFinalizationService;
+  #eInvoiceService;
 
   constructor(props = {}) {
     this.#props = {
@@ -33,6 +42,10 @@ export class BillingExportDialog {
       revenueService: props.revenueService,
       profileService: props.profileService,
       hierarchyService: props.hierarchyService,
+      stornoreserveService: props.stornoreserveService || null,
+      ledgerService: props.ledgerService || null,
+      advanceService: props.advanceService || null,
+      billingArchiveService: props.billingArchiveService || null,
       generatedBy: props.generatedBy || null,
       generatedByName: props.generatedByName || null,
       onExportComplete: props.onExportComplete || null,
@@ -48,10 +61,20 @@ export class BillingExportDialog {
     this.#billingReportService = new BillingReportService(
       this.#props.revenueService,
       this.#props.profileService,
-      this.#props.hierarchyService
+      this.#props.hierarchyService,
+      this.#props.stornoreserveService,
+      this.#props.ledgerService,
+      this.#props.advanceService,
     );
     this.#pdfGeneratorService = new PdfGeneratorService();
-    this.#billingFinalizationService = new BillingFinalizationService(this.#props.revenueService);
+    // The archive service runs the server-side schema check of the e-invoice
+    this.#eInvoiceService = new EInvoiceService(this.#props.billingArchiveService);
+    this.#billingFinalizationService = new BillingFinalizationService(
+      this.#props.revenueService,
+      this.#props.stornoreserveService,
+      this.#props.ledgerService,
+      this.#props.advanceService,
+    );
 
     this.#element = this.#render();
   }
@@ -183,10 +206,55 @@ export class BillingExportDialog {
       'Mit: Vollständiger Reprint inkl. historischer Daten.',
     ]);
 
+    // A Gutschrift needs a sequential number, which only the archive issues
+    const canIssueCreditNote = Boolean(this.#props.billingArchiveService);
+    const creditNoteLabel = createElement('label', { className: 'billing-export-checkbox-label' });
+    this.#creditNoteCheckbox = createElement('input', {
+      type: 'checkbox',
+      checked: canIssueCreditNote,
+      disabled: !canIssueCreditNote,
+      className: 'billing-export-checkbox',
+    });
+    creditNoteLabel.appendChild(this.#creditNoteCheckbox);
+    creditNoteLabel.appendChild(
+      createElement('span', {}, ['Als Gutschrift ausstellen (§ 14 Abs. 2 UStG)']),
+    );
+
+    const creditNoteNote = createElement('p', { className: 'billing-export-note' }, [
+      'Die Gutschrift enthält die Pflichtangaben einer Rechnung. ' +
+      'Steuernummer oder USt-IdNr. des Empfängers müssen im Profil hinterlegt sein.',
+    ]);
+
+    // The e-invoice is the electronic form of the Gutschrift
+    this.#eInvoiceSelect = createElement('select', {
+      className: 'period-select',
+      disabled: !canIssueCreditNote,
+    }, [
+      createElement('option', { value: '' }, ['Keine']),
+      ...AVAILABLE_E_INVOICE_FORMATS.map((format) => createElement('option', { value: format }, [E_INVOICE_FORMAT_LABELS[format]])),
+    ]);
+    this.#creditNoteCheckbox.addEventListener('change', () => {
+      this.#eInvoiceSelect.disabled = !this.#creditNoteCheckbox.checked;
+      if (!this.#creditNoteCheckbox.checked) this.#eInvoiceSelect.value = '';
+    });
+
+    const eInvoiceWrapper = createElement('div', { className: 'period-select-wrapper' }, [
+      createElement('label', { className: 'period-select-label' }, ['E-Rechnung']),
+      this.#eInvoiceSelect,
+    ]);
+    const eInvoiceNote = createElement('p', { className: 'billing-export-note' }, [
+      'Die XRechnung wird vor dem Download gegen das CII-Schema (XSD) geprüft. ' +
+      'Die Schematron-Prüfung (KoSIT) ist noch nicht angebunden.',
+    ]);
+
     modeCheckboxesWrapper.appendChild(provisionedLabel);
+    modeCheckboxesWrapper.appendChild(creditNoteLabel);
     modeSection.appendChild(modeTitle);
     modeSection.appendChild(modeCheckboxesWrapper);
     modeSection.appendChild(modeNote);
+    modeSection.appendChild(creditNoteNote);
+    modeSection.appendChild(eInvoiceWrapper);
+    modeSection.appendChild(eInvoiceNote);
 
     body.appendChild(periodSection);
 
@@ -248,6 +316,8 @@ export class BillingExportDialog {
       const includeHierarchy = this.#includeHierarchyCheckbox.checked;
       const includeTipProvider = this.#includeTipProviderCheckbox.checked;
       const includeProvisioned = this.#includeProvisionedCheckbox.checked;
+      const asCreditNote = !this.#props.isExtraordinary && this.#creditNoteCheckbox.checked;
+      const eInvoiceFormat = asCreditNote ? this.#eInvoiceSelect.value : '';
 
       let report;
 
@@ -306,12 +376,44 @@ export class BillingExportDialog {
         return;
       }
 
+      // The number is printed on the PDF, so it is issued first; the PDF is
+      // archived before anything is finalized
+      if (asCreditNote) {
+        this.#pdfGeneratorService.assertCreditNoteReady(report);
+      }
+      if (eInvoiceFormat) {
+        await this.#eInvoiceService.assertReady(report, eInvoiceFormat);
+      }
+
+      const archiveService = this.#props.billingArchiveService;
+      if (archiveService) {
+        await archiveService.issueNumber(report);
+      }
+
       Logger.log('Report generated, creating PDF...');
 
-      const { blob, fileName } = await this.#pdfGeneratorService.generatePdf(report);
+      // PDF/A-3 for ZUGFeRD requires embedded fonts
+      let pdf = await this.#pdfGeneratorService.generatePdf(report, {
+        asCreditNote,
+        embedFonts: eInvoiceFormat === E_INVOICE_FORMATS.ZUGFERD,
+      });
+      let xRechnung = null;
+      if (eInvoiceFormat === E_INVOICE_FORMATS.ZUGFERD) {
+        pdf = await this.#eInvoiceService.createZugferdPdf(report, pdf);
+      } else if (eInvoiceFormat === E_INVOICE_FORMATS.XRECHNUNG) {
+        xRechnung = await this.#eInvoiceService.createXRechnung(report);
+      }
+      const { blob, fileName } = pdf;
+
+      if (archiveService) {
+        await archiveService.archive(report, { blob, fileName }, xRechnung);
+      }
 
       Logger.log('PDF created, downloading:', fileName);
       this.#pdfGeneratorService.downloadPdf(blob, fileName);
+      if (xRechnung) {
+        this.#pdfGeneratorService.downloadPdf(xRechnung.blob, xRechnung.fileName);
+      }
 
       // Finalize: transition own entries + mark tip provider/hierarchy as billed
       // Skip finalization for extraordinary — status transition happens in target employee's billing
@@ -326,6 +428,15 @@ export class BillingExportDialog {
         if (result.hierarchyCount > 0) {
           Logger.log(`${result.hierarchyCount} hierarchy entries marked as billed`);
         }
+        if (result.stornoreserveBalance !== null) {
+          Logger.log(`Stornoreserve balance: ${result.stornoreserveBalance.toFixed(2)}`);
+        }
+        if (result.advanceBalance !== null) {
+          Logger.log(`Outstanding advances: ${result.advanceBalance.toFixed(2)}`);
+        }
+        if (result.ledgerBalance !== null) {
+          Logger.log(`Ledger balance after payout: ${result.ledgerBalance.toFixed(2)}`);
+        }
       }
 
       this.#setLoading(false);
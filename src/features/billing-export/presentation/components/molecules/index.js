@@ -4,3 +4,4 @@
 
 export { BillingExportDialog } from './BillingExportDialog.js';
 export { PeriodSelector } from './PeriodSelector.js';
+export { AdvanceAgreementDialog } from './AdvanceAgreementDialog.js';
@@ -0,0 +1,218 @@
+/**
+ * Organism: LedgerView
+ * Provision ledger (Provisionskonto) of one employee with opening and
+ * closing balance per month and a form for manual bookings (admins)
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Logger } from '../../../../../core/utils/logger.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
+
+export class LedgerView {
+  #element;
+  #props;
+  #account;
+  #amountInput;
+  #descriptionInput;
+  #dateInput;
+
+  /**
+   * @param {Object} props
+   * @param {LedgerService} props.ledgerService
+   * @param {string} props.employeeId
+   * @param {string} props.employeeName
+   * @param {Date} props.startDate
+   * @param {Date} props.endDate
+   * @param {boolean} props.canBook - Show the manual booking form (admins)
+   * @param {string} props.bookedBy - UID recorded on manual bookings
+   */
+  constructor(props = {}) {
+    this.#props = {
+      ledgerService: props.ledgerService,
+      employeeId: props.employeeId,
+      employeeName: props.employeeName || '',
+      startDate: props.startDate || new Date(new Date().getFullYear(), 0, 1),
+      endDate: props.endDate || new Date(),
+      canBook: props.canBook || false,
+      bookedBy: props.bookedBy || null,
+    };
+    this.#account = null;
+
+    this.#element = createElement('div', { className: 'ledger-view' }, [
+      createElement('div', { className: 'revenue-loading' }, [
+        createElement('div', { className: 'loading-spinner' }),
+        createElement('p', {}, ['Provisionskonto wird geladen...']),
+      ]),
+    ]);
+
+    this.#load();
+  }
+
+  get element() {
+    return this.#element;
+  }
+
+  async #load() {
+    try {
+      this.#account = await this.#props.ledgerService.getAccount(this.#props.employeeId);
+      this.#rerender();
+    } catch (error) {
+      Logger.error('Failed to load ledger:', error);
+      this.#element.replaceChildren(
+        createElement('div', { className: 'revenue-error' }, [
+          createElement('p', {}, [`Fehler: ${error.message}`]),
+        ]),
+      );
+    }
+  }
+
+  #rerender() {
+    const children = [this.#renderHeader()];
+    if (this.#props.canBook) {
+      children.push(this.#renderBookingForm());
+    }
+    children.push(this.#renderStatements());
+    this.#element.replaceChildren(...children);
+  }
+
+  #renderHeader() {
+    const balance = this.#account.balance;
+
+    return createElement('div', { className: 'ledger-header' }, [
+      createElement('div', { className: 'ledger-title-group' }, [
+        createElement('h2', { className: 'ledger-title' }, ['Provisionskonto']),
+        createElement('p', { className: 'ledger-subtitle' }, [this.#props.employeeName]),
+      ]),
+      createElement('div', { className: `ledger-balance ${balance < 0 ? 'negative' : ''}` }, [
+        createElement('span', { className: 'ledger-balance-label' }, [
+          balance < 0 ? 'Sollsaldo' : 'Aktueller Saldo',
+        ]),
+        createElement('span', { className: 'ledger-balance-value' }, [this.#formatCurrency(balance)]),
+      ]),
+    ]);
+  }
+
+  #renderStatements() {
+    const statements = this.#account.getMonthlyStatements(this.#props.startDate, this.#props.endDate);
+
+    if (statements.length === 0) {
+      return createElement('div', { className: 'revenue-empty-state' }, [
+        createElement('p', { className: 'empty-state-text' }, ['Keine Buchungen im Zeitraum']),
+      ]);
+    }
+
+    return createElement('div', { className: 'ledger-statements' },
+      statements.map((statement) => this.#renderStatement(statement)),
+    );
+  }
+
+  #renderStatement(statement) {
+    const summary = createElement('div', { className: 'ledger-statement-summary' }, [
+      createElement('span', { className: 'ledger-statement-period' }, [statement.label]),
+      this.#renderFigure('Anfangssaldo', statement.openingBalance),
+      this.#renderFigure('Gutschriften', statement.credits),
+      this.#renderFigure('Belastungen', statement.debits),
+      this.#renderFigure('Endsaldo', statement.closingBalance, 'closing'),
+    ]);
+
+    const postings = statement.postings.length > 0
+      ? createElement('table', { className: 'ledger-postings' }, [
+        createElement('thead', {}, [
+          createElement('tr', {}, [
+            createElement('th', {}, ['Datum']),
+            createElement('th', {}, ['Art']),
+            createElement('th', {}, ['Buchungstext']),
+            createElement('th', { className: 'amount' }, ['Betrag']),
+          ]),
+        ]),
+        createElement('tbody', {}, statement.postings.map((posting) =>
+          createElement('tr', {}, [
+            createElement('td', {}, [posting.date.toLocaleDateString('de-DE')]),
+            createElement('td', {}, [posting.typeLabel]),
+            createElement('td', {}, [posting.description || '-']),
+            createElement('td', {
+              className: `amount ${posting.isDebit ? 'negative' : 'positive'}`,
+            }, [this.#formatCurrency(posting.amount)]),
+          ]),
+        )),
+      ])
+      : createElement('p', { className: 'ledger-no-postings' }, ['Keine Buchungen in diesem Monat']);
+
+    return createElement('div', { className: 'ledger-statement' }, [summary, postings]);
+  }
+
+  #renderFigure(label, amount, modifier = '') {
+    return createElement('div', { className: `ledger-figure ${modifier}`.trim() }, [
+      createElement('span', { className: 'ledger-figure-label' }, [label]),
+      createElement('span', {
+        className: `ledger-figure-value ${amount < 0 ? 'negative' : ''}`.trim(),
+      }, [this.#formatCurrency(amount)]),
+    ]);
+  }
+
+  #renderBookingForm() {
+    this.#amountInput = new Input({
+      label: 'Betrag (€, negativ = Belastung)',
+      type: 'number',
+      placeholder: 'z.B. -250',
+    });
+
+    this.#descriptionInput = new Input({
+      label: 'Buchungstext',
+      placeholder: 'z.B. Verrechnung Schulungskosten',
+    });
+
+    this.#dateInput = new Input({
+      label: 'Buchungsdatum',
+      type: 'date',
+      value: new Date().toISOString().split('T')[0],
+    });
+
+    const submitBtn = new Button({
+      label: 'Buchen',
+      variant: 'primary',
+      onClick: () => this.#handleManualBooking(),
+    });
+
+    return createElement('div', { className: 'ledger-booking-form' }, [
+      createElement('h4', { className: 'ledger-booking-title' }, ['Manuelle Buchung']),
+      createElement('div', { className: 'ledger-booking-fields' }, [
+        this.#amountInput.element,
+        this.#descriptionInput.element,
+        this.#dateInput.element,
+        submitBtn.element,
+      ]),
+    ]);
+  }
+
+  async #handleManualBooking() {
+    const amount = Number(this.#amountInput.value);
+    const description = this.#descriptionInput.value;
+
+    this.#amountInput.setError(!amount ? 'Betrag angeben' : null);
+    this.#descriptionInput.setError(!description.trim() ? 'Buchungstext angeben' : null);
+    if (!amount || !description.trim()) return;
+
+    try {
+      await this.#props.ledgerService.bookManualPosting({
+        employeeId: this.#props.employeeId,
+        amount,
+        description,
+        date: this.#dateInput.value ? new Date(this.#dateInput.value) : null,
+        createdBy: this.#props.bookedBy,
+      });
+      await this.#load();
+    } catch (error) {
+      Logger.error('Manual ledger booking failed:', error);
+      alert(`Buchung fehlgeschlagen: ${error.message}`);
+    }
+  }
+
+  #formatCurrency(amount) {
+    return new Intl.NumberFormat('de-DE', {
+      style: 'currency',
+      currency: 'EUR',
+    }).format(amount);
+  }
+}
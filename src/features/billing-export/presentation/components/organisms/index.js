@@ -0,0 +1,5 @@
+/**
+ * Barrel export for billing-export organisms
+ */
+
+export { LedgerView } from './LedgerView.js';
@@ -3,3 +3,5 @@
  */
 
 export * from './components/molecules/index.js';
+export * from './components/organisms/index.js';
+export * from './screens/index.js';
@@ -0,0 +1,334 @@
+/**
+ * Screen: BillingArchiveScreen
+ * Archive of exported billing reports in number order. The archived PDF and
+ * XRechnung can be downloaded again unchanged. Employees see their own reports;
+ * admins can select reports and create a SEPA transfer file for the payouts.
+ * Reports in such a file are marked as paid and only transferred again on request.
+ */
+
+import { createElement, clearElement, getElement, formatDate } from '../../../../core/utils/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+import { authService } from '../../../../core/auth/index.js';
+import { Button } from '../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { PdfGeneratorService } from '../../domain/services/PdfGeneratorService.js';
+
+export class BillingArchiveScreen {
+  #element;
+  #container;
+  #billingArchiveService;
+  #sepaTransferService;
+  #pdfGeneratorService;
+  #records = [];
+  #searchQuery = '';
+  #listBody = null;
+  #selectedIds = new Set();
+  #sepaButton = null;
+
+  constructor(container, billingArchiveService, sepaTransferService = null) {
+    this.#container = typeof container === 'string' ? getElement(container) : container;
+    this.#billingArchiveService = billingArchiveService;
+    this.#sepaTransferService = sepaTransferService;
+    this.#pdfGeneratorService = new PdfGeneratorService();
+  }
+
+  get #canSelect() {
+    return authService.isAdmin() && Boolean(this.#sepaTransferService);
+  }
+
+  get #employeeFilter() {
+    return authService.isAdmin() ? null : authService.getLinkedNodeId();
+  }
+
+  #filterRecords() {
+    const query = this.#searchQuery.trim().toLowerCase();
+    if (!query) return this.#records;
+    return this.#records.filter((record) =>
+      [record.reportNumber, record.employeeName, record.periodLabel]
+        .some((value) => (value || '').toLowerCase().includes(query)),
+    );
+  }
+
+  // ========================================
+  // RENDERING
+  // ========================================
+
+  #render() {
+    this.#listBody = createElement('tbody');
+    this.#renderRows();
+
+    return createElement('div', { className: 'revenue-screen billing-archive-screen' }, [
+      this.#createHeader(),
+      this.#createToolbar(),
+      createElement('div', { className: 'billing-archive-content' }, [
+        createElement('table', { className: 'billing-archive-table' }, [
+          createElement('thead', {}, [
+            createElement('tr', {}, [
+              this.#canSelect ? createElement('th', { className: 'billing-archive-select' }, [this.#createSelectAllCheckbox()]) : null,
+              createElement('th', {}, ['Berichtsnr.']),
+              createElement('th', {}, ['Begünstigter']),
+              createElement('th', {}, ['Zeitraum']),
+              createElement('th', {}, ['Art']),
+              createElement('th', {}, ['Erstellt']),
+              createElement('th', { className: 'billing-archive-amount' }, ['Provision']),
+              createElement('th', { className: 'billing-archive-amount' }, ['Auszahlung']),
+              createElement('th', {}, ['Überwiesen']),
+              createElement('th', {}, ['Dokumente']),
+            ]),
+          ]),
+          this.#listBody,
+        ]),
+      ]),
+    ]);
+  }
+
+  #createHeader() {
+    const backButton = createElement('button', {
+      className: 'btn-back-to-org',
+      onclick: () => {
+        window.location.hash = '';
+      },
+      'aria-label': 'Zurück zum Organigramm',
+    }, [
+      createElement('svg', {
+        width: '20',
+        height: '20',
+        viewBox: '0 0 20 20',
+        fill: 'none',
+        stroke: 'currentColor',
+        'stroke-width': '2.5',
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+        style: 'display: block;',
+      }, [
+        createElement('path', { d: 'M13 5L7 10L13 15' }),
+      ]),
+    ]);
+
+    return createElement('header', { className: 'revenue-header' }, [
+      createElement('div', { className: 'header-left' }, [
+        backButton,
+        createElement('div', { className: 'header-title-group header-title-group--inline' }, [
+          createElement('h1', { className: 'header-title' }, ['Abrechnungsarchiv']),
+          createElement('span', { className: 'header-separator' }, ['·']),
+          createElement('span', { className: 'header-employee-name' }, [`${this.#records.length} Abrechnungen`]),
+        ]),
+      ]),
+    ]);
+  }
+
+  #createToolbar() {
+    const searchInput = createElement('input', {
+      type: 'search',
+      className: 'input-field billing-archive-search-input',
+      placeholder: 'Berichtsnummer, Name oder Zeitraum',
+      value: this.#searchQuery,
+    });
+    searchInput.addEventListener('input', () => {
+      this.#searchQuery = searchInput.value;
+      this.#renderRows();
+    });
+
+    if (!this.#canSelect) {
+      return createElement('div', { className: 'revenue-toolbar billing-archive-toolbar' }, [searchInput]);
+    }
+
+    this.#sepaButton = new Button({
+      label: 'SEPA-Überweisung erstellen',
+      variant: 'primary',
+      size: 'sm',
+      onClick: () => this.#handleSepaExport(),
+    });
+    this.#updateSepaButton();
+
+    return createElement('div', { className: 'revenue-toolbar billing-archive-toolbar' }, [
+      searchInput,
+      this.#sepaButton.element,
+    ]);
+  }
+
+  #createSelectAllCheckbox() {
+    const checkbox = createElement('input', {
+      type: 'checkbox',
+      'aria-label': 'Alle angezeigten Abrechnungen auswählen',
+    });
+    checkbox.addEventListener('change', () => {
+      for (const record of this.#filterRecords()) {
+        if (checkbox.checked) this.#selectedIds.add(record.id);
+        else this.#selectedIds.delete(record.id);
+      }
+      this.#renderRows();
+    });
+    return checkbox;
+  }
+
+  #createSelectCell(record) {
+    const checkbox = createElement('input', {
+      type: 'checkbox',
+      checked: this.#selectedIds.has(record.id),
+      'aria-label': `Abrechnung ${record.reportNumber} auswählen`,
+    });
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) this.#selectedIds.add(record.id);
+      else this.#selectedIds.delete(record.id);
+      this.#updateSepaButton();
+    });
+    return createElement('td', { className: 'billing-archive-select' }, [checkbox]);
+  }
+
+  #updateSepaButton() {
+    if (!this.#sepaButton) return;
+    this.#sepaButton.setDisabled(this.#selectedIds.size === 0);
+    this.#sepaButton.setLabel(this.#selectedIds.size > 0
+      ? `SEPA-Überweisung erstellen (${this.#selectedIds.size})`
+      : 'SEPA-Überweisung erstellen');
+  }
+
+  async #handleSepaExport() {
+    const selected = this.#records.filter((record) => this.#selectedIds.has(record.id));
+    if (selected.length === 0) return;
+
+    // Paid reports are left out unless the admin explicitly transfers them again
+    const paidCount = selected.filter((record) => record.isPaid).length;
+    const includePaid = paidCount > 0 && confirm(
+      `${paidCount} der ausgewählten Abrechnungen wurden bereits überwiesen.\n\n` +
+      'OK: erneut überweisen\nAbbrechen: bereits überwiesene weglassen'
+    );
+
+    this.#sepaButton.setDisabled(true);
+    try {
+      const result = await this.#sepaTransferService.createCreditTransfer(selected, { includePaid });
+      const excludedLines = result.excluded.map(({ record, reason }) =>
+        `• ${record.reportNumber} ${record.employeeName || ''}: ${reason}`);
+
+      if (!result.xml) {
+        alert(`Keine der ausgewählten Abrechnungen kann überwiesen werden:\n\n${excludedLines.join('\n')}`);
+        return;
+      }
+
+      const summary = [
+        `${result.payments.length} Überweisungen über ${this.#formatCurrency(result.totalAmount)} erstellen?`,
+        ...(excludedLines.length > 0 ? ['', 'Nicht enthalten:', ...excludedLines] : []),
+      ];
+      if (!confirm(summary.join('\n'))) return;
+
+      const user = authService.getCurrentUser();
+      await this.#billingArchiveService.markPaid(
+        result.payments.map((payment) => payment.record),
+        result.messageId,
+        { id: user?.uid || null, name: user?.displayName || user?.email || null },
+      );
+
+      const blob = new Blob([result.xml], { type: 'application/xml' });
+      this.#pdfGeneratorService.downloadPdf(blob, result.fileName);
+      this.#selectedIds.clear();
+      this.#renderRows();
+    } catch (error) {
+      Logger.error('Failed to create SEPA credit transfer:', error);
+      alert(`SEPA-Datei konnte nicht erstellt werden: ${error.message}`);
+    } finally {
+      this.#updateSepaButton();
+    }
+  }
+
+  #renderRows() {
+    const records = this.#filterRecords();
+
+    this.#updateSepaButton();
+
+    if (records.length === 0) {
+      this.#listBody.replaceChildren(createElement('tr', {}, [
+        createElement('td', { className: 'billing-archive-empty', colspan: this.#canSelect ? '10' : '9' }, [
+          this.#records.length === 0 ? 'Noch keine Abrechnungen archiviert' : 'Keine Abrechnungen gefunden',
+        ]),
+      ]));
+      return;
+    }
+
+    this.#listBody.replaceChildren(...records.map((record) => createElement('tr', {}, [
+      this.#canSelect ? this.#createSelectCell(record) : null,
+      createElement('td', { className: 'billing-archive-number' }, [record.reportNumber]),
+      createElement('td', {}, [record.employeeName || '—']),
+      createElement('td', {}, [record.periodLabel || '—']),
+      createElement('td', {}, [record.isExtraordinary ? 'Durchlaufposten' : 'Abrechnung']),
+      createElement('td', {}, [record.issuedAt ? formatDate(record.issuedAt) : '—']),
+      createElement('td', { className: 'billing-archive-amount' }, [this.#formatCurrency(record.totalProvision)]),
+      createElement('td', { className: 'billing-archive-amount' }, [this.#formatCurrency(record.payoutAmount)]),
+      createElement('td', {}, [this.#createPaidCell(record)]),
+      createElement('td', {}, [this.#createDownloadCell(record)]),
+    ])));
+  }
+
+  #createPaidCell(record) {
+    if (!record.isPaid) return '—';
+    return createElement('span', {
+      className: 'billing-archive-paid',
+      title: `SEPA-Datei ${record.sepaMessageId}${record.paidBy?.name ? `, erstellt von ${record.paidBy.name}` : ''}`,
+    }, [formatDate(record.paidAt)]);
+  }
+
+  #createDownloadCell(record) {
+    // Number issued, but the export stopped before the PDF was stored
+    if (!record.isArchived) {
+      return createElement('span', {
+        className: 'billing-archive-incomplete',
+        title: 'Die Nummer wurde vergeben, der Export aber nicht abgeschlossen',
+      }, ['Nicht abgeschlossen']);
+    }
+
+    const pdfButton = this.#createDownloadButton('Herunterladen', () => this.#billingArchiveService.downloadPdf(record));
+    if (!record.hasEInvoice) {
+      return pdfButton;
+    }
+
+    return createElement('div', { className: 'billing-archive-downloads' }, [
+      pdfButton,
+      this.#createDownloadButton('XRechnung', () => this.#billingArchiveService.downloadEInvoice(record)),
+    ]);
+  }
+
+  #createDownloadButton(label, load) {
+    const button = new Button({
+      label,
+      variant: 'outline',
+      size: 'sm',
+      onClick: async () => {
+        button.element.disabled = true;
+        try {
+          const { blob, fileName } = await load();
+          this.#pdfGeneratorService.downloadPdf(blob, fileName);
+        } catch (error) {
+          Logger.error('Failed to download archived billing report:', error);
+          alert(`Download fehlgeschlagen: ${error.message}`);
+        } finally {
+          button.element.disabled = false;
+        }
+      },
+    });
+    return button.element;
+  }
+
+  #formatCurrency(amount) {
+    if (amount === null || amount === undefined) return '—';
+    return amount.toLocaleString('de-DE', { style: 'currency', currency: 'EUR' });
+  }
+
+  async mount() {
+    clearElement(this.#container);
+    try {
+      const employeeId = this.#employeeFilter;
+      // Employees without a linked node have no reports of their own
+      this.#records = authService.isAdmin() || employeeId
+        ? await this.#billingArchiveService.getArchive(employeeId)
+        : [];
+    } catch (error) {
+      Logger.error('Failed to load billing report archive:', error);
+      this.#records = [];
+    }
+    this.#element = this.#render();
+    this.#container.appendChild(this.#element);
+  }
+
+  unmount() {
+    clearElement(this.#container);
+  }
+}
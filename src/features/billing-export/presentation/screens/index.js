@@ -0,0 +1,5 @@
+/**
+ * Screens Barrel Export
+ */
+
+export { BillingArchiveScreen } from './BillingArchiveScreen.js';
@@ -0,0 +1,77 @@
+/**
+ * Data Source: CareerPromotionFirestoreDataSource
+ * Handles persistence of promotion criteria (one document per career level)
+ * and approved promotions to Firebase Firestore
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+
+export class CareerPromotionFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findAllCriteria() {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, getDocs } = await this.#importFirestoreHelpers();
+
+      const querySnapshot = await getDocs(collection(firestore, FIRESTORE_COLLECTIONS.CAREER_CRITERIA));
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load promotion criteria: ${error.message}`);
+    }
+  }
+
+  async saveCriteria(criteriaData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      await setDoc(doc(firestore, FIRESTORE_COLLECTIONS.CAREER_CRITERIA, criteriaData.id), criteriaData);
+
+      Logger.log(`✓ Promotion criteria saved: ${criteriaData.id}`);
+      return criteriaData;
+    } catch (error) {
+      throw new StorageError(`Failed to save promotion criteria: ${error.message}`);
+    }
+  }
+
+  async findAllPromotions() {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, getDocs } = await this.#importFirestoreHelpers();
+
+      const querySnapshot = await getDocs(collection(firestore, FIRESTORE_COLLECTIONS.CAREER_PROMOTIONS));
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load promotions: ${error.message}`);
+    }
+  }
+
+  async savePromotion(promotionData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      await setDoc(doc(firestore, FIRESTORE_COLLECTIONS.CAREER_PROMOTIONS, promotionData.id), promotionData);
+
+      Logger.log(`✓ Promotion saved: ${promotionData.id}`);
+      return promotionData;
+    } catch (error) {
+      throw new StorageError(`Failed to save promotion: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * Repository Implementation: FirebaseCareerPromotionRepository
+ * Implements ICareerPromotionRepository using Firebase Firestore
+ */
+
+import { ICareerPromotionRepository } from '../../domain/repositories/ICareerPromotionRepository.js';
+import { PromotionCriteria } from '../../domain/entities/PromotionCriteria.js';
+import { Promotion } from '../../domain/entities/Promotion.js';
+
+export class FirebaseCareerPromotionRepository extends ICareerPromotionRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async findAllCriteria() {
+    const data = await this.#dataSource.findAllCriteria();
+    return data.map((json) => PromotionCriteria.fromJSON(json));
+  }
+
+  async saveCriteria(criteria) {
+    await this.#dataSource.saveCriteria(criteria.toJSON());
+    return criteria;
+  }
+
+  async findAllPromotions() {
+    const data = await this.#dataSource.findAllPromotions();
+    return data.map((json) => Promotion.fromJSON(json));
+  }
+
+  async savePromotion(promotion) {
+    await this.#dataSource.savePromotion(promotion.toJSON());
+    return promotion;
+  }
+}
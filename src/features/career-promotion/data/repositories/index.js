@@ -0,0 +1,5 @@
+/**
+ * Repositories Barrel Export
+ */
+
+export { FirebaseCareerPromotionRepository } from './FirebaseCareerPromotionRepository.js';
@@ -0,0 +1,137 @@
+/**
+ * Entity: Promotion (Beförderung)
+ * A promotion approved by an admin. The node's provision rates change on
+ * the effective date through its rate history; the career level on the
+ * profile is switched once that date is reached (status scheduled → applied).
+ */
+
+import { generateUUID } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { CareerLevel, CAREER_LEVELS } from '../../../user-profile/domain/value-objects/CareerLevel.js';
+import { ProvisionRatePeriod } from '../../../hierarchy-tracking/domain/value-objects/ProvisionRatePeriod.js';
+
+export const PROMOTION_STATUS = {
+  SCHEDULED: 'scheduled',
+  APPLIED: 'applied',
+};
+
+export class Promotion {
+  #id;
+  #nodeId;
+  #userId;
+  #nodeName;
+  #fromRankName;
+  #toLevelKey;
+  #careerLevel;
+  #effectiveDate;
+  #metrics;
+  #status;
+  #approvedBy;
+  #approvedAt;
+  #appliedAt;
+
+  /**
+   * @param {Object} params
+   * @param {string} params.nodeId
+   * @param {string} params.userId - Profile whose career level changes
+   * @param {string} params.toLevelKey - Key of CAREER_LEVELS
+   * @param {CareerLevel|Object} params.careerLevel - New level incl. rates, as configured at approval
+   * @param {string|Date} params.effectiveDate - First day of the new level (YYYY-MM-DD)
+   * @param {Object} params.metrics - Figures the approval was based on
+   */
+  constructor({
+    id = null,
+    nodeId,
+    userId,
+    nodeName = '',
+    fromRankName = '',
+    toLevelKey,
+    careerLevel,
+    effectiveDate,
+    metrics = {},
+    status = PROMOTION_STATUS.SCHEDULED,
+    approvedBy = null,
+    approvedAt = null,
+    appliedAt = null,
+  }) {
+    if (!nodeId || !userId) {
+      throw new ValidationError('Mitarbeiter ist erforderlich', 'nodeId');
+    }
+    if (!CAREER_LEVELS[toLevelKey]) {
+      throw new ValidationError('Karrierestufe ist ungültig', 'toLevelKey');
+    }
+    if (!effectiveDate) {
+      throw new ValidationError('Wirksam ab ist erforderlich', 'effectiveDate');
+    }
+    if (!Object.values(PROMOTION_STATUS).includes(status)) {
+      throw new ValidationError('Status ist ungültig', 'status');
+    }
+
+    this.#id = id || generateUUID();
+    this.#nodeId = nodeId;
+    this.#userId = userId;
+    this.#nodeName = nodeName;
+    this.#fromRankName = fromRankName;
+    this.#toLevelKey = toLevelKey;
+    this.#careerLevel = careerLevel instanceof CareerLevel ? careerLevel : CareerLevel.fromJSON(careerLevel);
+    this.#effectiveDate = ProvisionRatePeriod.toDateKey(effectiveDate);
+    this.#metrics = { ...metrics };
+    this.#status = status;
+    this.#approvedBy = approvedBy;
+    this.#approvedAt = approvedAt ? new Date(approvedAt) : new Date();
+    this.#appliedAt = appliedAt ? new Date(appliedAt) : null;
+  }
+
+  get id() { return this.#id; }
+  get nodeId() { return this.#nodeId; }
+  get userId() { return this.#userId; }
+  get nodeName() { return this.#nodeName; }
+  get fromRankName() { return this.#fromRankName; }
+  get toLevelKey() { return this.#toLevelKey; }
+  get careerLevel() { return this.#careerLevel; }
+  get effectiveDate() { return this.#effectiveDate; }
+  get metrics() { return { ...this.#metrics }; }
+  get status() { return this.#status; }
+  get approvedBy() { return this.#approvedBy; }
+  get approvedAt() { return this.#approvedAt; }
+  get appliedAt() { return this.#appliedAt; }
+
+  get isScheduled() {
+    return this.#status === PROMOTION_STATUS.SCHEDULED;
+  }
+
+  /**
+   * @param {string} todayKey - YYYY-MM-DD
+   */
+  isDueOn(todayKey) {
+    return this.isScheduled && this.#effectiveDate <= todayKey;
+  }
+
+  markApplied() {
+    this.#status = PROMOTION_STATUS.APPLIED;
+    this.#appliedAt = new Date();
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      nodeId: this.#nodeId,
+      userId: this.#userId,
+      nodeName: this.#nodeName,
+      fromRankName: this.#fromRankName,
+      toLevelKey: this.#toLevelKey,
+      careerLevel: this.#careerLevel.toJSON(),
+      effectiveDate: this.#effectiveDate,
+      metrics: { ...this.#metrics },
+      status: this.#status,
+      approvedBy: this.#approvedBy,
+      approvedAt: this.#approvedAt.toISOString(),
+      appliedAt: this.#appliedAt ? this.#appliedAt.toISOString() : null,
+    };
+  }
+
+  static fromJSON(json) {
+    return new Promotion(json);
+  }
+}
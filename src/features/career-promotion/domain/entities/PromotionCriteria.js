@@ -0,0 +1,199 @@
+/**
+ * Entity: PromotionCriteria (Beförderungskriterien)
+ * Thresholds an employee has to reach for one career level, and the
+ * provision rates that come with the level. A threshold of 0 is not
+ * checked; a level without any threshold is never suggested.
+ */
+
+import { ValidationError } from '../../../../core/errors/index.js';
+import { CareerLevel, CAREER_LEVELS } from '../../../user-profile/domain/value-objects/CareerLevel.js';
+
+export const PROMOTION_METRICS = {
+  OWN_REVENUE: 'ownRevenue',
+  TEAM_REVENUE: 'teamRevenue',
+  DIRECT_REPORTS: 'directReports',
+};
+
+const METRIC_DISPLAY_NAMES = {
+  [PROMOTION_METRICS.OWN_REVENUE]: 'Eigenumsatz (12 Monate)',
+  [PROMOTION_METRICS.TEAM_REVENUE]: 'Teamumsatz (12 Monate)',
+  [PROMOTION_METRICS.DIRECT_REPORTS]: 'Direkte Mitarbeiter',
+};
+
+const THRESHOLD_FIELDS = {
+  [PROMOTION_METRICS.OWN_REVENUE]: 'minOwnRevenue',
+  [PROMOTION_METRICS.TEAM_REVENUE]: 'minTeamRevenue',
+  [PROMOTION_METRICS.DIRECT_REPORTS]: 'minDirectReports',
+};
+
+const toNonNegative = (value, field, label) => {
+  const num = Number(value || 0);
+  if (!Number.isFinite(num) || num < 0) {
+    throw new ValidationError(`${label} darf nicht negativ sein`, field);
+  }
+  return num;
+};
+
+export class PromotionCriteria {
+  #levelKey;
+  #minOwnRevenue;
+  #minTeamRevenue;
+  #minDirectReports;
+  #bankProvisionRate;
+  #insuranceProvisionRate;
+  #realEstateProvisionRate;
+  #updatedBy;
+  #updatedAt;
+
+  /**
+   * @param {Object} params
+   * @param {string} params.levelKey - Key of CAREER_LEVELS
+   * @param {number} params.minOwnRevenue - EUR of own postings over the last 12 months
+   * @param {number} params.minTeamRevenue - EUR of the whole subtree over the last 12 months
+   * @param {number} params.minDirectReports
+   * @param {number} params.bankProvisionRate - Rates in percent that apply from the promotion on
+   */
+  constructor({
+    levelKey,
+    minOwnRevenue = 0,
+    minTeamRevenue = 0,
+    minDirectReports = 0,
+    bankProvisionRate = 0,
+    insuranceProvisionRate = 0,
+    realEstateProvisionRate = 0,
+    updatedBy = null,
+    updatedAt = null,
+  }) {
+    if (!CAREER_LEVELS[levelKey]) {
+      throw new ValidationError('Karrierestufe ist ungültig', 'levelKey');
+    }
+
+    this.#levelKey = levelKey;
+    this.#minOwnRevenue = toNonNegative(minOwnRevenue, 'minOwnRevenue', 'Eigenumsatz');
+    this.#minTeamRevenue = toNonNegative(minTeamRevenue, 'minTeamRevenue', 'Teamumsatz');
+    this.#minDirectReports = Math.floor(toNonNegative(minDirectReports, 'minDirectReports', 'Anzahl Mitarbeiter'));
+    this.#bankProvisionRate = this.#validateRate(bankProvisionRate, 'bankProvisionRate');
+    this.#insuranceProvisionRate = this.#validateRate(insuranceProvisionRate, 'insuranceProvisionRate');
+    this.#realEstateProvisionRate = this.#validateRate(realEstateProvisionRate, 'realEstateProvisionRate');
+    this.#updatedBy = updatedBy;
+    this.#updatedAt = updatedAt ? new Date(updatedAt) : null;
+  }
+
+  #validateRate(value, field) {
+    const num = Number(value || 0);
+    if (!Number.isFinite(num) || num < 0 || num > 100) {
+      throw new ValidationError('Provisionssatz muss zwischen 0 und 100 liegen', field);
+    }
+    return num;
+  }
+
+  static empty(levelKey) {
+    return new PromotionCriteria({ levelKey });
+  }
+
+  get id() { return this.#levelKey; }
+  get levelKey() { return this.#levelKey; }
+  get minOwnRevenue() { return this.#minOwnRevenue; }
+  get minTeamRevenue() { return this.#minTeamRevenue; }
+  get minDirectReports() { return this.#minDirectReports; }
+  get bankProvisionRate() { return this.#bankProvisionRate; }
+  get insuranceProvisionRate() { return this.#insuranceProvisionRate; }
+  get realEstateProvisionRate() { return this.#realEstateProvisionRate; }
+  get updatedBy() { return this.#updatedBy; }
+  get updatedAt() { return this.#updatedAt; }
+
+  get level() {
+    return CAREER_LEVELS[this.#levelKey].level;
+  }
+
+  get rankName() {
+    return CAREER_LEVELS[this.#levelKey].rankName;
+  }
+
+  /**
+   * Only levels with at least one threshold take part in the evaluation
+   */
+  get hasRequirements() {
+    return Object.values(THRESHOLD_FIELDS).some((field) => this[field] > 0);
+  }
+
+  /**
+   * @typedef {Object} CriterionCheck
+   * @property {string} metric - PROMOTION_METRICS
+   * @property {string} label
+   * @property {number} actual
+   * @property {number} required
+   * @property {boolean} met
+   */
+
+  /**
+   * Compare an employee's figures with the thresholds that are set
+   * @param {{ownRevenue: number, teamRevenue: number, directReports: number}} metrics
+   * @returns {CriterionCheck[]}
+   */
+  check(metrics) {
+    return Object.entries(THRESHOLD_FIELDS)
+      .filter(([, field]) => this[field] > 0)
+      .map(([metric, field]) => {
+        const required = this[field];
+        const actual = metrics[metric] || 0;
+        return { metric, label: METRIC_DISPLAY_NAMES[metric], actual, required, met: actual >= required };
+      });
+  }
+
+  isMetBy(metrics) {
+    return this.hasRequirements && this.check(metrics).every((check) => check.met);
+  }
+
+  /**
+   * Career level as stored on the user profile after the promotion
+   */
+  toCareerLevel() {
+    return new CareerLevel({
+      ...CAREER_LEVELS[this.#levelKey],
+      bankProvisionRate: this.#bankProvisionRate,
+      insuranceProvisionRate: this.#insuranceProvisionRate,
+      realEstateProvisionRate: this.#realEstateProvisionRate,
+    });
+  }
+
+  /**
+   * Rates in the shape of the hierarchy node's provision fields
+   */
+  toNodeRates() {
+    return {
+      bankProvision: this.#bankProvisionRate,
+      insuranceProvision: this.#insuranceProvisionRate,
+      realEstateProvision: this.#realEstateProvisionRate,
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.#levelKey,
+      levelKey: this.#levelKey,
+      minOwnRevenue: this.#minOwnRevenue,
+      minTeamRevenue: this.#minTeamRevenue,
+      minDirectReports: this.#minDirectReports,
+      bankProvisionRate: this.#bankProvisionRate,
+      insuranceProvisionRate: this.#insuranceProvisionRate,
+      realEstateProvisionRate: this.#realEstateProvisionRate,
+      updatedBy: this.#updatedBy,
+      updatedAt: this.#updatedAt ? this.#updatedAt.toISOString() : null,
+    };
+  }
+
+  static fromJSON(json) {
+    return new PromotionCriteria({
+      levelKey: json.levelKey || json.id,
+      minOwnRevenue: json.minOwnRevenue,
+      minTeamRevenue: json.minTeamRevenue,
+      minDirectReports: json.minDirectReports,
+      bankProvisionRate: json.bankProvisionRate,
+      insuranceProvisionRate: json.insuranceProvisionRate,
+      realEstateProvisionRate: json.realEstateProvisionRate,
+      updatedBy: json.updatedBy || null,
+      updatedAt: json.updatedAt || null,
+    });
+  }
+}
@@ -0,0 +1,6 @@
+/**
+ * Entities Barrel Export
+ */
+
+export { PromotionCriteria, PROMOTION_METRICS } from './PromotionCriteria.js';
+export { Promotion, PROMOTION_STATUS } from './Promotion.js';
@@ -0,0 +1,23 @@
+/**
+ * Repository Interface: ICareerPromotionRepository
+ * Defines the contract for persisting promotion criteria per career level
+ * and approved promotions
+ */
+
+export class ICareerPromotionRepository {
+  async findAllCriteria() {
+    throw new Error('Method not implemented');
+  }
+
+  async saveCriteria(criteria) {
+    throw new Error('Method not implemented');
+  }
+
+  async findAllPromotions() {
+    throw new Error('Method not implemented');
+  }
+
+  async savePromotion(promotion) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Repositories Barrel Export
+ */
+
+export { ICareerPromotionRepository } from './ICareerPromotionRepository.js';
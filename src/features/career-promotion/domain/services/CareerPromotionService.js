@@ -0,0 +1,226 @@
+/**
+ * Domain Service: CareerPromotionService
+ * Evaluates employees against the promotion criteria of the career levels
+ * and carries out promotions approved by an admin: new provision rates on
+ * the node from the effective date, new career level on the profile.
+ */
+
+import { Logger } from './../../../../core/utils/logger.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { CAREER_LEVELS } from '../../../user-profile/domain/value-objects/CareerLevel.js';
+import { ProvisionRatePeriod } from '../../../hierarchy-tracking/domain/value-objects/ProvisionRatePeriod.js';
+import { TargetMetric, TARGET_METRIC_TYPES } from '../../../sales-targets/domain/value-objects/TargetMetric.js';
+import { PromotionCriteria } from '../entities/PromotionCriteria.js';
+import { Promotion } from '../entities/Promotion.js';
+
+const ROLLING_MONTHS = 12;
+
+export class CareerPromotionService {
+  #repository;
+  #revenueService;
+  #hierarchyService;
+  #profileService;
+
+  constructor(careerPromotionRepository, revenueService, hierarchyService, profileService) {
+    this.#repository = careerPromotionRepository;
+    this.#revenueService = revenueService;
+    this.#hierarchyService = hierarchyService;
+    this.#profileService = profileService;
+  }
+
+  /**
+   * Criteria of every predefined career level, lowest level first.
+   * Levels that were never configured come back empty.
+   * @returns {Promise<PromotionCriteria[]>}
+   */
+  async getCriteria() {
+    const saved = new Map((await this.#repository.findAllCriteria()).map((criteria) => [criteria.levelKey, criteria]));
+    return Object.keys(CAREER_LEVELS)
+      .map((levelKey) => saved.get(levelKey) ?? PromotionCriteria.empty(levelKey))
+      .sort((a, b) => a.level - b.level);
+  }
+
+  async saveCriteria(params, updatedBy = null) {
+    const criteria = new PromotionCriteria({ ...params, updatedBy, updatedAt: new Date() });
+    await this.#repository.saveCriteria(criteria);
+    Logger.log(`Promotion criteria saved for ${criteria.levelKey}`);
+    return criteria;
+  }
+
+  /**
+   * @typedef {Object} PromotionMetrics
+   * @property {number} ownRevenue - Own postings of the last 12 months
+   * @property {number} teamRevenue - Postings of the node and everyone below it, last 12 months
+   * @property {number} directReports
+   */
+
+  /**
+   * @typedef {Object} PromotionCandidate
+   * @property {Object} node - HierarchyNode
+   * @property {User} user
+   * @property {string} currentRankName
+   * @property {PromotionCriteria} criteria - Highest level above the current one whose thresholds are met
+   * @property {PromotionMetrics} metrics
+   * @property {CriterionCheck[]} checks
+   */
+
+  /**
+   * Everyone who qualifies for a higher career level on the given day.
+   * Employees with a promotion that is already scheduled are left out.
+   *
+   * @param {string} treeId
+   * @param {Date} at - Reference date, end of the rolling 12-month window
+   * @returns {Promise<{candidates: PromotionCandidate[], scheduled: Promotion[]}>}
+   */
+  async evaluate(treeId, at = new Date()) {
+    const [criteriaList, promotions, tree, users, allEntries] = await Promise.all([
+      this.getCriteria(),
+      this.#repository.findAllPromotions(),
+      this.#hierarchyService.getTree(treeId),
+      this.#profileService.getAllUsers(),
+      this.#revenueService.getAllEntries(),
+    ]);
+
+    const scheduled = promotions
+      .filter((promotion) => promotion.isScheduled)
+      .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+    const scheduledNodeIds = new Set(scheduled.map((promotion) => promotion.nodeId));
+    const reachable = criteriaList.filter((criteria) => criteria.hasRequirements);
+    if (!tree || reachable.length === 0) {
+      return { candidates: [], scheduled };
+    }
+
+    const entries = this.#entriesInWindow(allEntries, at);
+    const candidates = [];
+    for (const user of users) {
+      const nodeId = user.linkedNodeId;
+      if (!user.isActive || !nodeId || !tree.hasNode(nodeId) || scheduledNodeIds.has(nodeId)) continue;
+
+      const currentLevel = CAREER_LEVELS[user.careerLevel.levelKey]?.level ?? user.careerLevel.level;
+      const metrics = this.#measure(nodeId, tree, entries);
+      const criteria = reachable
+        .filter((candidate) => candidate.level > currentLevel && candidate.isMetBy(metrics))
+        .pop();
+      if (!criteria) continue;
+
+      candidates.push({
+        node: tree.getNode(nodeId),
+        user,
+        currentRankName: user.careerLevel.rankName,
+        criteria,
+        metrics,
+        checks: criteria.check(metrics),
+      });
+    }
+
+    candidates.sort((a, b) => a.node.name.localeCompare(b.node.name, 'de'));
+    return { candidates, scheduled };
+  }
+
+  /**
+   * Carry out a promotion an admin has approved
+   *
+   * @param {Object} params
+   * @param {string} params.treeId
+   * @param {PromotionCandidate} params.candidate
+   * @param {string|Date} params.effectiveDate - Today or later; the rate history cannot be rewritten backwards
+   * @param {string} params.approvedBy - UID of the admin
+   * @returns {Promise<Promotion>}
+   */
+  async approvePromotion({ treeId, candidate, effectiveDate, approvedBy = null }) {
+    const dateKey = ProvisionRatePeriod.toDateKey(effectiveDate);
+    const todayKey = ProvisionRatePeriod.todayKey();
+    if (dateKey < todayKey) {
+      throw new ValidationError('Wirksam ab darf nicht in der Vergangenheit liegen', 'effectiveDate');
+    }
+
+    const { node, user, criteria, metrics } = candidate;
+    const promotion = new Promotion({
+      nodeId: node.id,
+      userId: user.uid,
+      nodeName: node.name,
+      fromRankName: user.careerLevel.rankName,
+      toLevelKey: criteria.levelKey,
+      careerLevel: criteria.toCareerLevel(),
+      effectiveDate: dateKey,
+      metrics,
+      approvedBy,
+    });
+
+    await this.#hierarchyService.updateNode(treeId, node.id, this.#rateUpdates(node, criteria, dateKey, todayKey));
+    if (promotion.isDueOn(todayKey)) {
+      await this.#applyCareerLevel(promotion);
+    }
+    await this.#repository.savePromotion(promotion);
+
+    Logger.log(`Promotion approved: ${node.name} → ${criteria.rankName} from ${dateKey}`);
+    return promotion;
+  }
+
+  /**
+   * Switch the career level of scheduled promotions whose effective date
+   * has been reached. Runs with every evaluation.
+   * @returns {Promise<Promotion[]>} Promotions applied now
+   */
+  async applyDuePromotions() {
+    const todayKey = ProvisionRatePeriod.todayKey();
+    const due = (await this.#repository.findAllPromotions()).filter((promotion) => promotion.isDueOn(todayKey));
+
+    const applied = [];
+    for (const promotion of due) {
+      try {
+        await this.#applyCareerLevel(promotion);
+        await this.#repository.savePromotion(promotion);
+        applied.push(promotion);
+      } catch (error) {
+        Logger.warn(`Failed to apply promotion ${promotion.id}:`, error.message);
+      }
+    }
+    return applied;
+  }
+
+  async #applyCareerLevel(promotion) {
+    await this.#profileService.updateCareerLevel(promotion.userId, promotion.careerLevel);
+    promotion.markApplied();
+  }
+
+  /**
+   * Node update for the new rates: today's rates directly, a later date as
+   * an additional scheduled change next to the ones already planned
+   */
+  #rateUpdates(node, criteria, dateKey, todayKey) {
+    const rates = criteria.toNodeRates();
+    if (dateKey === todayKey) {
+      return rates;
+    }
+
+    const planned = node.scheduledProvisionChanges
+      .filter((period) => period.validFrom !== dateKey)
+      .map((period) => period.toJSON());
+    return { scheduledProvisionChanges: [...planned, { validFrom: dateKey, ...rates }] };
+  }
+
+  #entriesInWindow(allEntries, at) {
+    const from = new Date(at);
+    from.setMonth(from.getMonth() - ROLLING_MONTHS);
+    // Rejected and cancelled postings do not count, as on the organigramm cards
+    return allEntries.filter((entry) =>
+      !entry.status.isRejected &&
+      !entry.status.isCancelled &&
+      entry.entryDate > from &&
+      entry.entryDate <= at,
+    );
+  }
+
+  #measure(nodeId, tree, entries) {
+    const revenue = new TargetMetric(TARGET_METRIC_TYPES.REVENUE);
+    const teamIds = new Set([nodeId, ...tree.getDescendants(nodeId).map((node) => node.id)]);
+
+    return {
+      ownRevenue: roundCurrency(revenue.measure(entries.filter((entry) => entry.employeeId === nodeId))),
+      teamRevenue: roundCurrency(revenue.measure(entries.filter((entry) => teamIds.has(entry.employeeId)))),
+      directReports: tree.getChildren(nodeId).length,
+    };
+  }
+}
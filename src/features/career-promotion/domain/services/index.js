@@ -0,0 +1,5 @@
+/**
+ * Services Barrel Export
+ */
+
+export { CareerPromotionService } from './CareerPromotionService.js';
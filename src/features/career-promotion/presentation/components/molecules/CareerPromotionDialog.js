@@ -0,0 +1,358 @@
+/**
+ * Molecule: CareerPromotionDialog
+ * Admin tool for the career levels: promotion criteria and rates per level,
+ * the current evaluation (who qualifies) with approval, and the promotions
+ * that are scheduled for a later date
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Logger } from '../../../../../core/utils/logger.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { PROMOTION_METRICS } from '../../../domain/entities/PromotionCriteria.js';
+
+const CRITERIA_COLUMNS = [
+  { field: 'minOwnRevenue', label: 'Eigenumsatz €', step: '1000' },
+  { field: 'minTeamRevenue', label: 'Teamumsatz €', step: '1000' },
+  { field: 'minDirectReports', label: 'Direkte MA', step: '1' },
+  { field: 'bankProvisionRate', label: 'Bank %', step: '0.1' },
+  { field: 'insuranceProvisionRate', label: 'Versicherung %', step: '0.1' },
+  { field: 'realEstateProvisionRate', label: 'Immobilien %', step: '0.1' },
+];
+
+const formatEuro = (value) => new Intl.NumberFormat('de-DE', {
+  style: 'currency',
+  currency: 'EUR',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0,
+}).format(value);
+
+const formatDateKey = (dateKey) => dateKey.split('-').reverse().join('.');
+
+const toDateKey = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+export class CareerPromotionDialog {
+  #element;
+  #props;
+  #evaluationContainer;
+  #scheduledContainer;
+  #criteriaContainer;
+  #criteriaInputs = new Map();
+  #saveCriteriaButton;
+
+  /**
+   * @param {Object} props
+   * @param {string} props.treeId
+   * @param {CareerPromotionService} props.careerPromotionService
+   * @param {string} props.approvedBy - UID recorded on approvals and criteria changes
+   * @param {Function} props.onPromoted - Called after a promotion changed node rates
+   */
+  constructor(props = {}) {
+    this.#props = {
+      treeId: props.treeId,
+      careerPromotionService: props.careerPromotionService,
+      approvedBy: props.approvedBy || null,
+      onPromoted: props.onPromoted || null,
+    };
+
+    this.#element = this.#render();
+    this.#loadCriteria();
+    this.#loadEvaluation();
+  }
+
+  #render() {
+    const overlay = createElement('div', { className: 'dialog-overlay career-promotion-dialog-overlay' });
+    const loading = (text) => createElement('p', { className: 'career-promotion-note' }, [text]);
+
+    this.#evaluationContainer = createElement('div', { className: 'career-promotion-list' }, [loading('Auswertung läuft...')]);
+    this.#scheduledContainer = createElement('div', { className: 'career-promotion-list' });
+    this.#criteriaContainer = createElement('div', { className: 'career-criteria-table-wrapper' }, [loading('Kriterien werden geladen...')]);
+
+    const dialogContent = createElement('div', { className: 'dialog-content career-promotion-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, ['Karrierestufen']),
+        createElement('p', { className: 'dialog-subtitle' }, [
+          'Beförderungen nach Umsatz der letzten 12 Monate und Teamgröße',
+        ]),
+      ]),
+      createElement('div', { className: 'dialog-body-scroll career-promotion-body' }, [
+        this.#section('Beförderungsvorschläge', this.#evaluationContainer),
+        this.#section('Geplante Beförderungen', this.#scheduledContainer),
+        this.#section('Kriterien je Karrierestufe', this.#criteriaContainer, [
+          'Schwellen mit 0 werden nicht geprüft. Stufen ohne Schwelle werden nicht vorgeschlagen. ',
+          'Die Provisionssätze gelten ab dem Beförderungsdatum.',
+        ].join('')),
+      ]),
+      this.#renderFooter(),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.hide();
+      }
+    });
+
+    return overlay;
+  }
+
+  #section(title, content, note = null) {
+    return createElement('div', { className: 'career-promotion-section' }, [
+      createElement('h3', { className: 'career-promotion-section-title' }, [title]),
+      note ? createElement('p', { className: 'career-promotion-note' }, [note]) : null,
+      content,
+    ].filter(Boolean));
+  }
+
+  #renderFooter() {
+    this.#saveCriteriaButton = new Button({
+      label: 'Kriterien speichern',
+      variant: 'primary',
+      onClick: () => this.#handleSaveCriteria(),
+    });
+
+    return createElement('div', { className: 'dialog-actions' }, [
+      new Button({ label: 'Schließen', variant: 'ghost', onClick: () => this.hide() }).element,
+      this.#saveCriteriaButton.element,
+    ]);
+  }
+
+  // ========================================
+  // EVALUATION
+  // ========================================
+
+  async #loadEvaluation() {
+    const service = this.#props.careerPromotionService;
+    try {
+      const applied = await service.applyDuePromotions();
+      if (applied.length > 0) {
+        Logger.log(`✓ ${applied.length} scheduled promotion(s) applied`);
+      }
+
+      const { candidates, scheduled } = await service.evaluate(this.#props.treeId);
+      this.#evaluationContainer.replaceChildren(...this.#renderCandidates(candidates));
+      this.#scheduledContainer.replaceChildren(...this.#renderScheduled(scheduled));
+    } catch (error) {
+      Logger.error('Failed to evaluate promotions:', error);
+      this.#evaluationContainer.replaceChildren(
+        createElement('p', { className: 'career-promotion-note' }, [`Fehler: ${error.message}`]),
+      );
+    }
+  }
+
+  #formatMetric(metric, value) {
+    return metric === PROMOTION_METRICS.DIRECT_REPORTS ? String(value) : formatEuro(value);
+  }
+
+  #renderCandidates(candidates) {
+    if (candidates.length === 0) {
+      return [createElement('p', { className: 'career-promotion-note' }, ['Aktuell erfüllt niemand die Kriterien einer höheren Stufe.'])];
+    }
+
+    // Promotions usually start on the 1st of the following month
+    const now = new Date();
+    const defaultDate = toDateKey(new Date(now.getFullYear(), now.getMonth() + 1, 1));
+
+    return candidates.map((candidate) => {
+      const dateInput = createElement('input', {
+        type: 'date',
+        className: 'input-field career-promotion-date',
+        value: defaultDate,
+        min: toDateKey(now),
+      });
+
+      const approveButton = new Button({
+        label: 'Freigeben',
+        variant: 'primary',
+        size: 'sm',
+        onClick: () => this.#handleApprove(candidate, dateInput.value, approveButton),
+      });
+
+      return createElement('div', { className: 'career-promotion-item' }, [
+        createElement('div', { className: 'career-promotion-item-info' }, [
+          createElement('span', { className: 'career-promotion-item-title' }, [candidate.node.name]),
+          createElement('span', { className: 'career-promotion-item-levels' }, [
+            `${candidate.currentRankName || '–'} → ${candidate.criteria.rankName}`,
+          ]),
+          createElement('ul', { className: 'career-promotion-checks' }, candidate.checks.map((check) =>
+            createElement('li', {}, [
+              `${check.label}: ${this.#formatMetric(check.metric, check.actual)} `,
+              createElement('span', { className: 'career-promotion-required' }, [
+                `(mind. ${this.#formatMetric(check.metric, check.required)})`,
+              ]),
+            ]),
+          )),
+        ]),
+        createElement('div', { className: 'career-promotion-item-actions' }, [
+          createElement('label', { className: 'input-label' }, ['Wirksam ab']),
+          dateInput,
+          approveButton.element,
+        ]),
+      ]);
+    });
+  }
+
+  #renderScheduled(scheduled) {
+    if (scheduled.length === 0) {
+      return [createElement('p', { className: 'career-promotion-note' }, ['Keine geplanten Beförderungen.'])];
+    }
+
+    return scheduled.map((promotion) =>
+      createElement('div', { className: 'career-promotion-item' }, [
+        createElement('div', { className: 'career-promotion-item-info' }, [
+          createElement('span', { className: 'career-promotion-item-title' }, [promotion.nodeName]),
+          createElement('span', { className: 'career-promotion-item-levels' }, [
+            `${promotion.fromRankName || '–'} → ${promotion.careerLevel.rankName}`,
+          ]),
+        ]),
+        createElement('span', { className: 'career-promotion-item-date' }, [
+          `ab ${formatDateKey(promotion.effectiveDate)}`,
+        ]),
+      ]),
+    );
+  }
+
+  async #handleApprove(candidate, effectiveDate, button) {
+    if (!effectiveDate) {
+      alert('Bitte ein Datum für "Wirksam ab" angeben.');
+      return;
+    }
+
+    const { criteria } = candidate;
+    const confirmed = window.confirm(
+      `${candidate.node.name} ab ${formatDateKey(effectiveDate)} zum ${criteria.rankName} befördern?\n\n` +
+      `Neue Provisionssätze: Bank ${criteria.bankProvisionRate} %, ` +
+      `Versicherung ${criteria.insuranceProvisionRate} %, Immobilien ${criteria.realEstateProvisionRate} %`,
+    );
+    if (!confirmed) return;
+
+    button.element.disabled = true;
+    try {
+      await this.#props.careerPromotionService.approvePromotion({
+        treeId: this.#props.treeId,
+        candidate,
+        effectiveDate,
+        approvedBy: this.#props.approvedBy,
+      });
+      await this.#loadEvaluation();
+      if (this.#props.onPromoted) {
+        this.#props.onPromoted();
+      }
+    } catch (error) {
+      Logger.error('Failed to approve promotion:', error);
+      alert(`Beförderung fehlgeschlagen: ${error.message}`);
+      button.element.disabled = false;
+    }
+  }
+
+  // ========================================
+  // CRITERIA
+  // ========================================
+
+  async #loadCriteria() {
+    try {
+      const criteriaList = await this.#props.careerPromotionService.getCriteria();
+      this.#criteriaContainer.replaceChildren(this.#renderCriteriaTable(criteriaList));
+    } catch (error) {
+      Logger.error('Failed to load promotion criteria:', error);
+      this.#criteriaContainer.replaceChildren(
+        createElement('p', { className: 'career-promotion-note' }, [`Fehler: ${error.message}`]),
+      );
+    }
+  }
+
+  #renderCriteriaTable(criteriaList) {
+    this.#criteriaInputs.clear();
+
+    const rows = criteriaList.map((criteria) => {
+      const inputs = {};
+      const cells = CRITERIA_COLUMNS.map(({ field, step }) => {
+        inputs[field] = createElement('input', {
+          type: 'number',
+          className: 'input-field career-criteria-input',
+          min: '0',
+          step,
+          value: String(criteria[field] || 0),
+        });
+        return createElement('td', {}, [inputs[field]]);
+      });
+      this.#criteriaInputs.set(criteria.levelKey, { criteria, inputs });
+
+      return createElement('tr', {}, [
+        createElement('th', { scope: 'row' }, [
+          criteria.rankName,
+          createElement('span', { className: 'career-criteria-level' }, [`Stufe ${criteria.level}`]),
+        ]),
+        ...cells,
+      ]);
+    });
+
+    return createElement('table', { className: 'career-criteria-table' }, [
+      createElement('thead', {}, [
+        createElement('tr', {}, [
+          createElement('th', {}, ['Stufe']),
+          ...CRITERIA_COLUMNS.map(({ label }) => createElement('th', {}, [label])),
+        ]),
+      ]),
+      createElement('tbody', {}, rows),
+    ]);
+  }
+
+  async #handleSaveCriteria() {
+    const service = this.#props.careerPromotionService;
+    const changed = [];
+    for (const [levelKey, { criteria, inputs }] of this.#criteriaInputs) {
+      const params = { levelKey };
+      for (const { field } of CRITERIA_COLUMNS) {
+        params[field] = Number(inputs[field].value) || 0;
+      }
+      if (CRITERIA_COLUMNS.some(({ field }) => params[field] !== criteria[field])) {
+        changed.push(params);
+      }
+    }
+
+    if (changed.length === 0) {
+      alert('Keine Änderungen an den Kriterien.');
+      return;
+    }
+
+    this.#saveCriteriaButton.element.disabled = true;
+    try {
+      for (const params of changed) {
+        await service.saveCriteria(params, this.#props.approvedBy);
+      }
+      await this.#loadCriteria();
+      await this.#loadEvaluation();
+    } catch (error) {
+      Logger.error('Failed to save promotion criteria:', error);
+      alert(`Speichern fehlgeschlagen: ${error.message}`);
+    } finally {
+      this.#saveCriteriaButton.element.disabled = false;
+    }
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
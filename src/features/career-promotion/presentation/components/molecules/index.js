@@ -0,0 +1,5 @@
+/**
+ * Molecules Barrel Export
+ */
+
+export { CareerPromotionDialog } from './CareerPromotionDialog.js';
@@ -0,0 +1,111 @@
+/**
+ * Data Source: ContractFirestoreDataSource
+ * Handles persistence of contracts to Firebase Firestore
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+
+export class ContractFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findAll() {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, getDocs } = await this.#importFirestoreHelpers();
+
+      const querySnapshot = await getDocs(collection(firestore, FIRESTORE_COLLECTIONS.CONTRACTS));
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load contracts: ${error.message}`);
+    }
+  }
+
+  async findById(contractId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, getDoc } = await this.#importFirestoreHelpers();
+
+      const docSnap = await getDoc(doc(firestore, FIRESTORE_COLLECTIONS.CONTRACTS, contractId));
+      return docSnap.exists() ? docSnap.data() : null;
+    } catch (error) {
+      throw new StorageError(`Failed to load contract: ${error.message}`);
+    }
+  }
+
+  async findByKey(key) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, limit, getDocs } = await this.#importFirestoreHelpers();
+
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.CONTRACTS),
+        where('key', '==', key),
+        limit(1)
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.empty ? null : querySnapshot.docs[0].data();
+    } catch (error) {
+      throw new StorageError(`Failed to look up contract: ${error.message}`);
+    }
+  }
+
+  async findByCustomerId(customerId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, getDocs } = await this.#importFirestoreHelpers();
+
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.CONTRACTS),
+        where('customerId', '==', customerId)
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load contracts of customer: ${error.message}`);
+    }
+  }
+
+  async save(contractData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      await setDoc(doc(firestore, FIRESTORE_COLLECTIONS.CONTRACTS, contractData.id), contractData);
+
+      Logger.log(`✓ Contract saved: ${contractData.providerName} ${contractData.contractNumber}`);
+      return contractData;
+    } catch (error) {
+      throw new StorageError(`Failed to save contract: ${error.message}`);
+    }
+  }
+
+  async update(contractData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      await setDoc(doc(firestore, FIRESTORE_COLLECTIONS.CONTRACTS, contractData.id), contractData, { merge: true });
+
+      Logger.log(`✓ Contract updated: ${contractData.contractNumber}`);
+      return contractData;
+    } catch (error) {
+      throw new StorageError(`Failed to update contract: ${error.message}`);
+    }
+  }
+}
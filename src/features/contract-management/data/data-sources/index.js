@@ -0,0 +1,5 @@
+/**
+ * Data Sources Barrel Export
+ */
+
+export { ContractFirestoreDataSource } from './ContractFirestoreDataSource.js';
@@ -0,0 +1,46 @@
+/**
+ * Repository Implementation: FirebaseContractRepository
+ * Implements IContractRepository using Firebase Firestore
+ */
+
+import { IContractRepository } from '../../domain/repositories/IContractRepository.js';
+import { Contract } from '../../domain/entities/Contract.js';
+
+export class FirebaseContractRepository extends IContractRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async findAll() {
+    const data = await this.#dataSource.findAll();
+    return data.map((json) => Contract.fromJSON(json));
+  }
+
+  async findById(contractId) {
+    const data = await this.#dataSource.findById(contractId);
+    return data ? Contract.fromJSON(data) : null;
+  }
+
+  async findByKey(key) {
+    const data = await this.#dataSource.findByKey(key);
+    return data ? Contract.fromJSON(data) : null;
+  }
+
+  async findByCustomerId(customerId) {
+    const data = await this.#dataSource.findByCustomerId(customerId);
+    return data.map((json) => Contract.fromJSON(json));
+  }
+
+  async save(contract) {
+    await this.#dataSource.save(contract.toJSON());
+    return contract;
+  }
+
+  async update(contract) {
+    await this.#dataSource.update(contract.toJSON());
+    return contract;
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Repositories Barrel Export
+ */
+
+export { FirebaseContractRepository } from './FirebaseContractRepository.js';
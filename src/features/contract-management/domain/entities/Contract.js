@@ -0,0 +1,130 @@
+/**
+ * Entity: Contract
+ * One contract at a product provider (Versicherungsvertrag, Darlehen, ...).
+ * All postings for it - Abschlussprovision, Bestandsprovision, Stornos and
+ * clawbacks - are revenue entries that reference the contract by id. The
+ * contract is identified by its number at the provider.
+ */
+
+import { generateUUID } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+
+export class Contract {
+  #id;
+  #contractNumber;
+  #providerName;
+  #externalId;
+  #customerId;
+  #customerName;
+  #categoryType;
+  #productName;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * @param {Object} params
+   * @param {string} params.contractNumber - Number at the provider (WIFO "Vertrag")
+   * @param {string} params.providerName - Product provider (WIFO "Gesellschaft")
+   * @param {string|null} params.externalId - Provider's internal id (WIFO "Vertrag ID")
+   */
+  constructor({
+    id = null,
+    contractNumber,
+    providerName = '',
+    externalId = null,
+    customerId = null,
+    customerName = '',
+    categoryType = null,
+    productName = '',
+    createdAt = null,
+    updatedAt = null,
+  }) {
+    if (typeof contractNumber !== 'string' || contractNumber.trim().length === 0) {
+      throw new ValidationError('Vertragsnummer ist erforderlich', 'contractNumber');
+    }
+
+    this.#id = id || generateUUID();
+    this.#contractNumber = contractNumber.trim();
+    this.#providerName = (providerName || '').trim();
+    this.#externalId = externalId || null;
+    this.#customerId = customerId || null;
+    this.#customerName = customerName || '';
+    this.#categoryType = categoryType || null;
+    this.#productName = productName || '';
+    this.#createdAt = createdAt ? new Date(createdAt) : new Date();
+    this.#updatedAt = updatedAt ? new Date(updatedAt) : new Date();
+  }
+
+  /**
+   * Lookup key of a contract: number and provider, ignoring case and blanks.
+   * The same number can exist at two providers.
+   */
+  static buildKey(contractNumber, providerName) {
+    const normalize = (value) => String(value || '').toLowerCase().replace(/\s+/g, '');
+    return `${normalize(providerName)}|${normalize(contractNumber)}`;
+  }
+
+  get id() { return this.#id; }
+  get contractNumber() { return this.#contractNumber; }
+  get providerName() { return this.#providerName; }
+  get externalId() { return this.#externalId; }
+  get customerId() { return this.#customerId; }
+  get customerName() { return this.#customerName; }
+  get categoryType() { return this.#categoryType; }
+  get productName() { return this.#productName; }
+  get createdAt() { return this.#createdAt; }
+  get updatedAt() { return this.#updatedAt; }
+
+  get key() {
+    return Contract.buildKey(this.#contractNumber, this.#providerName);
+  }
+
+  /**
+   * Fill in what earlier postings did not carry (provider id, customer link).
+   * Known values are kept.
+   * @returns {boolean} Whether anything changed
+   */
+  complete({ externalId = null, customerId = null, customerName = '', productName = '' } = {}) {
+    let changed = false;
+    if (externalId && !this.#externalId) {
+      this.#externalId = externalId;
+      changed = true;
+    }
+    if (customerId && !this.#customerId) {
+      this.#customerId = customerId;
+      changed = true;
+    }
+    if (customerName && !this.#customerName) {
+      this.#customerName = customerName;
+      changed = true;
+    }
+    if (productName && !this.#productName) {
+      this.#productName = productName;
+      changed = true;
+    }
+    if (changed) {
+      this.#updatedAt = new Date();
+    }
+    return changed;
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      key: this.key,
+      contractNumber: this.#contractNumber,
+      providerName: this.#providerName,
+      externalId: this.#externalId,
+      customerId: this.#customerId,
+      customerName: this.#customerName,
+      categoryType: this.#categoryType,
+      productName: this.#productName,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString(),
+    };
+  }
+
+  static fromJSON(json) {
+    return new Contract(json);
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Entities Barrel Export
+ */
+
+export { Contract } from './Contract.js';
@@ -0,0 +1,34 @@
+/**
+ * Repository Interface: IContractRepository
+ * Defines the contract for persisting contracts (Verträge)
+ */
+
+export class IContractRepository {
+  async findAll() {
+    throw new Error('Method not implemented');
+  }
+
+  async findById(contractId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {string} key - See Contract.buildKey
+   * @returns {Promise<Contract|null>}
+   */
+  async findByKey(key) {
+    throw new Error('Method not implemented');
+  }
+
+  async findByCustomerId(customerId) {
+    throw new Error('Method not implemented');
+  }
+
+  async save(contract) {
+    throw new Error('Method not implemented');
+  }
+
+  async update(contract) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Repositories Barrel Export
+ */
+
+export { IContractRepository } from './IContractRepository.js';
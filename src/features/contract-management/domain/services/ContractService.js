@@ -0,0 +1,224 @@
+/**
+ * Domain Service: ContractService
+ * Contracts as aggregates of their revenue postings: finds or opens the
+ * contract a new posting belongs to and sums up lifetime provision, open
+ * liability and status from the postings.
+ */
+
+import { Logger } from './../../../../core/utils/logger.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { Contract } from '../entities/Contract.js';
+import { ContractStatus } from '../value-objects/ContractStatus.js';
+import { ContractPostingKind } from '../value-objects/ContractPostingKind.js';
+
+export class ContractService {
+  #repository;
+  #revenueService;
+  #contractsByKey = null; // Map<key, Contract>
+
+  constructor(contractRepository, revenueService) {
+    this.#repository = contractRepository;
+    this.#revenueService = revenueService;
+  }
+
+  /**
+   * All contracts, keyed by Contract.buildKey. Cached: a WIFO import resolves
+   * the contract of every imported line.
+   */
+  async #getContractsByKey() {
+    if (!this.#contractsByKey) {
+      const contracts = await this.#repository.findAll();
+      this.#contractsByKey = new Map(contracts.map((contract) => [contract.key, contract]));
+    }
+    return this.#contractsByKey;
+  }
+
+  async getContracts() {
+    return [...(await this.#getContractsByKey()).values()];
+  }
+
+  async getContract(contractId) {
+    return await this.#repository.findById(contractId);
+  }
+
+  /**
+   * The contract a revenue posting belongs to, matched by contract number
+   * and provider. Opens a new contract for the first posting.
+   *
+   * @param {Object} entryData - { contractNumber, productProvider, contractExternalId, customerId, customerName, product, category }
+   * @returns {Promise<Contract|null>} null for entries without contract number
+   */
+  async resolveForEntry(entryData) {
+    const contractNumber = String(entryData.contractNumber || '').trim();
+    if (!contractNumber) return null;
+
+    const providerName = entryData.productProvider?.name || '';
+    const contracts = await this.#getContractsByKey();
+    const key = Contract.buildKey(contractNumber, providerName);
+    const details = {
+      externalId: entryData.contractExternalId || null,
+      customerId: entryData.customerId || null,
+      customerName: entryData.customerName || '',
+      productName: entryData.product?.name || '',
+    };
+
+    const existing = contracts.get(key);
+    if (existing) {
+      if (existing.complete(details)) {
+        await this.#repository.update(existing);
+      }
+      return existing;
+    }
+
+    const contract = new Contract({
+      ...details,
+      contractNumber,
+      providerName,
+      categoryType: entryData.category?.type || entryData.category || null,
+    });
+    await this.#repository.save(contract);
+    contracts.set(key, contract);
+    Logger.log(`Contract opened: ${providerName} ${contractNumber}`);
+    return contract;
+  }
+
+  /**
+   * Link entries recorded before contracts existed, see RevenueService.assignContracts
+   * @returns {Promise<number>} Number of linked entries
+   */
+  async assignExistingEntries() {
+    return await this.#revenueService.assignContracts();
+  }
+
+  /**
+   * Contracts with their key figures
+   *
+   * @param {Object} filter
+   * @param {string|null} filter.employeeId - Only this employee's postings (employee view)
+   * @param {string|null} filter.customerId - Only contracts of this customer
+   * @returns {Promise<Array<ContractSummary>>} Newest posting first
+   */
+  async getContractSummaries({ employeeId = null, customerId = null } = {}) {
+    let entries;
+    if (customerId) {
+      entries = await this.#revenueService.getEntriesByCustomer(customerId);
+      if (employeeId) entries = entries.filter((entry) => entry.employeeId === employeeId);
+    } else if (employeeId) {
+      entries = await this.#revenueService.getEntriesByEmployee(employeeId);
+    } else {
+      entries = await this.#revenueService.getAllEntries();
+    }
+
+    const postingsByContract = new Map();
+    for (const entry of entries) {
+      if (!entry.contractId) continue;
+      if (!postingsByContract.has(entry.contractId)) {
+        postingsByContract.set(entry.contractId, []);
+      }
+      postingsByContract.get(entry.contractId).push(entry);
+    }
+
+    const contractsById = new Map((await this.getContracts()).map((contract) => [contract.id, contract]));
+    const summaries = [];
+    for (const [contractId, postings] of postingsByContract) {
+      const contract = contractsById.get(contractId) ?? await this.#repository.findById(contractId);
+      if (!contract) {
+        Logger.warn(`Postings reference a missing contract: ${contractId}`);
+        continue;
+      }
+      summaries.push(await this.#summarize(contract, postings));
+    }
+
+    return summaries.sort((a, b) => b.lastPostingDate - a.lastPostingDate);
+  }
+
+  /**
+   * One contract with all its postings, oldest first
+   *
+   * @param {string} contractId
+   * @param {Object} options
+   * @param {string|null} options.employeeId - Only this employee's postings (employee view)
+   * @returns {Promise<{contract: Contract, summary: ContractSummary, postings: Array<{entry: RevenueEntry, kind: ContractPostingKind}>}|null>}
+   */
+  async getContractOverview(contractId, { employeeId = null } = {}) {
+    const contract = await this.#repository.findById(contractId);
+    if (!contract) return null;
+
+    let entries = await this.#revenueService.getEntriesByContract(contractId);
+    if (employeeId) {
+      entries = entries.filter((entry) => entry.employeeId === employeeId);
+    }
+    const sorted = this.#sortByDate(entries);
+    const kinds = ContractPostingKind.classify(sorted);
+
+    return {
+      contract,
+      summary: await this.#summarize(contract, sorted),
+      postings: sorted.map((entry, i) => ({ entry, kind: kinds[i] })),
+    };
+  }
+
+  /**
+   * @typedef {Object} ContractSummary
+   * @property {Contract} contract
+   * @property {ContractStatus} status
+   * @property {number} postingCount
+   * @property {number} lifetimeProvision - Provision booked over the contract's life, net of stornos and clawbacks
+   * @property {number} pendingProvision - Submitted postings not yet approved
+   * @property {number} openLiability - Provision reclaimed if the contract were cancelled today
+   * @property {Date|null} liabilityEndsAt - When the last liability period ends (null: no period configured)
+   * @property {string|null} employeeId - Employee of the latest posting
+   * @property {Date|null} firstPostingDate
+   * @property {Date|null} lastPostingDate
+   */
+  async #summarize(contract, entries, at = new Date()) {
+    const postings = this.#sortByDate(entries);
+    const status = ContractStatus.fromPostings(postings);
+    const reclaimedIds = new Set(postings.map((entry) => entry.reversalOfEntryId).filter(Boolean));
+
+    // A cancelled posting was paid out if a clawback reverses it
+    const booked = postings.filter((entry) => !entry.status.isRejected && (
+      entry.isClawback ||
+      entry.status.isTransferred ||
+      entry.status.isProvisioned ||
+      (entry.status.isCancelled && reclaimedIds.has(entry.id))
+    ));
+    const pending = postings.filter((entry) => !entry.isClawback && entry.status.isSubmitted);
+
+    let openLiability = 0;
+    let liabilityEndsAt = null;
+    let openEnded = false;
+    if (!status.isCancelled) {
+      for (const entry of postings) {
+        const exposure = await this.#revenueService.getClawbackExposure(entry, at);
+        if (exposure.amount <= 0) continue;
+        openLiability += exposure.amount;
+        if (!exposure.endsAt) {
+          openEnded = true;
+        } else if (!liabilityEndsAt || exposure.endsAt > liabilityEndsAt) {
+          liabilityEndsAt = exposure.endsAt;
+        }
+      }
+    }
+
+    const sum = (list) => roundCurrency(list.reduce((total, entry) => total + entry.provisionAmount, 0));
+    const latest = postings[postings.length - 1] ?? null;
+
+    return {
+      contract,
+      status,
+      postingCount: postings.length,
+      lifetimeProvision: sum(booked),
+      pendingProvision: sum(pending),
+      openLiability: roundCurrency(openLiability),
+      liabilityEndsAt: openEnded ? null : liabilityEndsAt,
+      employeeId: latest?.employeeId ?? null,
+      firstPostingDate: postings[0] ? new Date(postings[0].entryDate) : null,
+      lastPostingDate: latest ? new Date(latest.entryDate) : null,
+    };
+  }
+
+  #sortByDate(entries) {
+    return [...entries].sort((a, b) => new Date(a.entryDate) - new Date(b.entryDate));
+  }
+}
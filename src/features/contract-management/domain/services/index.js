@@ -0,0 +1,5 @@
+/**
+ * Services Barrel Export
+ */
+
+export { ContractService } from './ContractService.js';
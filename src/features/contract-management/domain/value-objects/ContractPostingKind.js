@@ -0,0 +1,70 @@
+/**
+ * Value Object: ContractPostingKind
+ * Role of one revenue entry within its contract. Entries carry no such
+ * field; the kind follows from the sign, the clawback reference and the
+ * order of the postings.
+ */
+
+export const CONTRACT_POSTING_KINDS = {
+  INITIAL: 'initial',
+  FOLLOW_UP: 'followUp',
+  CANCELLATION: 'cancellation',
+  CLAWBACK: 'clawback',
+};
+
+const KIND_DISPLAY_NAMES = {
+  [CONTRACT_POSTING_KINDS.INITIAL]: 'Abschlussprovision',
+  [CONTRACT_POSTING_KINDS.FOLLOW_UP]: 'Folgeprovision',
+  [CONTRACT_POSTING_KINDS.CANCELLATION]: 'Storno',
+  [CONTRACT_POSTING_KINDS.CLAWBACK]: 'Rückforderung',
+};
+
+export class ContractPostingKind {
+  #type;
+
+  constructor(type) {
+    if (!Object.values(CONTRACT_POSTING_KINDS).includes(type)) {
+      throw new Error(`Invalid posting kind: ${type}`);
+    }
+    this.#type = type;
+  }
+
+  /**
+   * Kind of every posting, in the order given
+   * @param {RevenueEntry[]} postings - Sorted by entry date, oldest first
+   * @returns {ContractPostingKind[]}
+   */
+  static classify(postings) {
+    let hasInitial = false;
+
+    return postings.map((entry) => {
+      if (entry.isClawback) {
+        return new ContractPostingKind(entry.reversalOfEntryId
+          ? CONTRACT_POSTING_KINDS.CLAWBACK
+          : CONTRACT_POSTING_KINDS.CANCELLATION);
+      }
+      // A rejected first posting does not open the contract
+      if (!hasInitial && !entry.status.isRejected) {
+        hasInitial = true;
+        return new ContractPostingKind(CONTRACT_POSTING_KINDS.INITIAL);
+      }
+      return new ContractPostingKind(hasInitial ? CONTRACT_POSTING_KINDS.FOLLOW_UP : CONTRACT_POSTING_KINDS.INITIAL);
+    });
+  }
+
+  get type() {
+    return this.#type;
+  }
+
+  get displayName() {
+    return KIND_DISPLAY_NAMES[this.#type] || this.#type;
+  }
+
+  toJSON() {
+    return this.#type;
+  }
+
+  toString() {
+    return this.displayName;
+  }
+}
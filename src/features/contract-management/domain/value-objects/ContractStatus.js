@@ -0,0 +1,73 @@
+/**
+ * Value Object: ContractStatus
+ * State of a contract, derived from its postings so it always matches
+ * what has been booked: a contract is cancelled as soon as one posting
+ * is (an in-app cancellation or an imported storno line).
+ */
+
+export const CONTRACT_STATUS_TYPES = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled',
+  REJECTED: 'rejected',
+};
+
+const STATUS_DISPLAY_NAMES = {
+  [CONTRACT_STATUS_TYPES.PENDING]: 'In Bearbeitung',
+  [CONTRACT_STATUS_TYPES.ACTIVE]: 'Aktiv',
+  [CONTRACT_STATUS_TYPES.CANCELLED]: 'Storniert',
+  [CONTRACT_STATUS_TYPES.REJECTED]: 'Abgelehnt',
+};
+
+export class ContractStatus {
+  #type;
+
+  constructor(type = CONTRACT_STATUS_TYPES.PENDING) {
+    if (!Object.values(CONTRACT_STATUS_TYPES).includes(type)) {
+      throw new Error(`Invalid contract status: ${type}`);
+    }
+    this.#type = type;
+  }
+
+  /**
+   * @param {RevenueEntry[]} postings - All revenue entries of the contract
+   */
+  static fromPostings(postings) {
+    if (postings.some((entry) => entry.status.isCancelled)) {
+      return new ContractStatus(CONTRACT_STATUS_TYPES.CANCELLED);
+    }
+
+    const provisions = postings.filter((entry) => !entry.isClawback);
+    if (provisions.length > 0 && provisions.every((entry) => entry.status.isRejected)) {
+      return new ContractStatus(CONTRACT_STATUS_TYPES.REJECTED);
+    }
+    if (provisions.some((entry) => entry.status.isTransferred || entry.status.isProvisioned)) {
+      return new ContractStatus(CONTRACT_STATUS_TYPES.ACTIVE);
+    }
+    return new ContractStatus(CONTRACT_STATUS_TYPES.PENDING);
+  }
+
+  get type() {
+    return this.#type;
+  }
+
+  get displayName() {
+    return STATUS_DISPLAY_NAMES[this.#type] || this.#type;
+  }
+
+  get isActive() {
+    return this.#type === CONTRACT_STATUS_TYPES.ACTIVE;
+  }
+
+  get isCancelled() {
+    return this.#type === CONTRACT_STATUS_TYPES.CANCELLED;
+  }
+
+  toJSON() {
+    return this.#type;
+  }
+
+  toString() {
+    return this.displayName;
+  }
+}
@@ -0,0 +1,6 @@
+/**
+ * Value Objects Barrel Export
+ */
+
+export { ContractStatus, CONTRACT_STATUS_TYPES } from './ContractStatus.js';
+export { ContractPostingKind, CONTRACT_POSTING_KINDS } from './ContractPostingKind.js';
@@ -0,0 +1,131 @@
+/**
+ * Organism: ContractDetailView
+ * One contract with its key figures and the timeline of all postings:
+ * Abschlussprovision, follow-up provisions, stornos and clawbacks.
+ */
+
+import { createElement, formatDate } from '../../../../../core/utils/index.js';
+
+export class ContractDetailView {
+  #element;
+  #props;
+
+  /**
+   * @param {Object} props
+   * @param {Object} props.overview - Result of ContractService.getContractOverview
+   * @param {Function} props.getEmployeeName - (employeeId) => string
+   */
+  constructor(props = {}) {
+    this.#props = {
+      overview: props.overview,
+      getEmployeeName: props.getEmployeeName || ((id) => id),
+    };
+    this.#element = this.#render();
+  }
+
+  #render() {
+    return createElement('div', { className: 'contract-detail' }, [
+      this.#renderMasterData(),
+      this.#renderKeyFigures(),
+      this.#renderPostings(),
+    ]);
+  }
+
+  #renderMasterData() {
+    const { contract, summary } = this.#props.overview;
+    const field = (label, value) => createElement('div', { className: 'contract-field' }, [
+      createElement('span', { className: 'contract-field-label' }, [label]),
+      createElement('span', { className: 'contract-field-value' }, [value || '—']),
+    ]);
+
+    const customer = contract.customerId
+      ? createElement('a', { href: `#customers/${contract.customerId}` }, [contract.customerName || 'Kunde öffnen'])
+      : contract.customerName;
+
+    return createElement('section', { className: 'contract-card' }, [
+      createElement('div', { className: 'contract-card-header' }, [
+        createElement('h2', { className: 'contract-title' }, [contract.contractNumber]),
+        createElement('span', { className: 'contract-provider' }, [contract.providerName]),
+        this.#renderStatus(summary.status),
+      ]),
+      createElement('div', { className: 'contract-fields' }, [
+        field('Kunde', customer),
+        field('Produkt', contract.productName),
+        field('Vertrags-ID', contract.externalId),
+        field('Mitarbeiter', summary.employeeId ? this.#props.getEmployeeName(summary.employeeId) : ''),
+        field('Erste Buchung', summary.firstPostingDate ? formatDate(summary.firstPostingDate) : ''),
+      ]),
+    ]);
+  }
+
+  #renderKeyFigures() {
+    const { summary } = this.#props.overview;
+    const figure = (label, value, detail) => createElement('div', { className: 'contract-figure' }, [
+      createElement('span', { className: 'contract-figure-value' }, [value]),
+      createElement('span', { className: 'contract-figure-label' }, [label]),
+      detail ? createElement('span', { className: 'contract-figure-detail' }, [detail]) : null,
+    ].filter(Boolean));
+
+    let liabilityDetail = 'keine Haftung offen';
+    if (summary.openLiability > 0) {
+      liabilityDetail = summary.liabilityEndsAt
+        ? `bis ${formatDate(summary.liabilityEndsAt)}`
+        : 'ohne Haftungszeit';
+    }
+
+    return createElement('section', { className: 'contract-figures' }, [
+      figure('Provision gesamt', this.#formatCurrency(summary.lifetimeProvision), `${summary.postingCount} Buchungen`),
+      figure('Offene Haftung', this.#formatCurrency(summary.openLiability), liabilityDetail),
+      figure('Eingereicht', this.#formatCurrency(summary.pendingProvision), 'noch nicht freigegeben'),
+    ]);
+  }
+
+  #renderPostings() {
+    const { postings } = this.#props.overview;
+    const numberCell = 'contract-number-cell';
+
+    const rows = postings.map(({ entry, kind }) => createElement('tr', {
+      className: entry.isClawback ? 'contract-posting-negative' : '',
+    }, [
+      createElement('td', {}, [formatDate(entry.entryDate)]),
+      createElement('td', {}, [kind.displayName]),
+      createElement('td', {}, [entry.hierarchySnapshot?.ownerName || this.#props.getEmployeeName(entry.employeeId)]),
+      createElement('td', {}, [entry.product?.name || '—']),
+      createElement('td', { className: numberCell }, [this.#formatCurrency(entry.provisionAmount)]),
+      createElement('td', {}, [
+        createElement('span', { className: `status-badge status-${entry.status.type}` }, [entry.status.displayName]),
+      ]),
+    ]));
+
+    return createElement('section', { className: 'contract-card' }, [
+      createElement('h3', { className: 'contract-section-title' }, [`Buchungen (${postings.length})`]),
+      postings.length === 0
+        ? createElement('p', { className: 'contract-empty' }, ['Keine Buchungen'])
+        : createElement('table', { className: 'contract-table' }, [
+          createElement('thead', {}, [
+            createElement('tr', {}, [
+              createElement('th', {}, ['Datum']),
+              createElement('th', {}, ['Buchung']),
+              createElement('th', {}, ['Mitarbeiter']),
+              createElement('th', {}, ['Produkt']),
+              createElement('th', { className: numberCell }, ['Provision']),
+              createElement('th', {}, ['Status']),
+            ]),
+          ]),
+          createElement('tbody', {}, rows),
+        ]),
+    ]);
+  }
+
+  #renderStatus(status) {
+    return createElement('span', { className: `contract-status contract-status-${status.type}` }, [status.displayName]);
+  }
+
+  #formatCurrency(amount) {
+    return amount.toLocaleString('de-DE', { style: 'currency', currency: 'EUR' });
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Organisms Barrel Export
+ */
+
+export { ContractDetailView } from './ContractDetailView.js';
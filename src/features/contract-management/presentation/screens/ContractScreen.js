@@ -0,0 +1,282 @@
+/**
+ * Screen: ContractScreen
+ * Contract list with lifetime provision, open liability and status, and the
+ * detail view of a single contract. Employees see the contracts they have
+ * postings on.
+ */
+
+import { createElement, clearElement, getElement, formatDate } from '../../../../core/utils/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+import { authService } from '../../../../core/auth/index.js';
+import { APP_CONFIG } from '../../../../core/config/index.js';
+import { Button } from '../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { CONTRACT_STATUS_TYPES } from '../../domain/value-objects/ContractStatus.js';
+import { ContractDetailView } from '../components/organisms/ContractDetailView.js';
+
+const STATUS_FILTER_OPTIONS = [
+  { value: '', label: 'Alle Status' },
+  { value: CONTRACT_STATUS_TYPES.ACTIVE, label: 'Aktiv' },
+  { value: CONTRACT_STATUS_TYPES.PENDING, label: 'In Bearbeitung' },
+  { value: CONTRACT_STATUS_TYPES.CANCELLED, label: 'Storniert' },
+  { value: CONTRACT_STATUS_TYPES.REJECTED, label: 'Abgelehnt' },
+];
+
+export class ContractScreen {
+  #element;
+  #container;
+  #contractService;
+  #hierarchyService;
+  #contractId;
+  #treeId;
+  #tree = null;
+  #summaries = [];
+  #overview = null;
+  #searchQuery = '';
+  #statusFilter = '';
+  #listBody = null;
+
+  constructor(container, contractService, hierarchyService, contractId = null, treeId = null) {
+    this.#container = typeof container === 'string' ? getElement(container) : container;
+    this.#contractService = contractService;
+    this.#hierarchyService = hierarchyService;
+    this.#contractId = contractId;
+    this.#treeId = treeId || APP_CONFIG.mainTreeId;
+  }
+
+  get #isAdmin() {
+    return authService.isAdmin();
+  }
+
+  get #employeeFilter() {
+    return this.#isAdmin ? null : authService.getLinkedNodeId();
+  }
+
+  #getEmployeeName(employeeId) {
+    return this.#tree?.hasNode(employeeId) ? this.#tree.getNode(employeeId).name : employeeId;
+  }
+
+  // ========================================
+  // DATA
+  // ========================================
+
+  async #loadData() {
+    if (this.#contractId) {
+      const overview = await this.#contractService.getContractOverview(this.#contractId, {
+        employeeId: this.#employeeFilter,
+      });
+      // Employees only get contracts they have postings on
+      this.#overview = overview && overview.postings.length > 0 ? overview : null;
+      if (!this.#overview) {
+        Logger.warn(`Contract not available: ${this.#contractId}`);
+      }
+      return;
+    }
+
+    this.#summaries = await this.#contractService.getContractSummaries({ employeeId: this.#employeeFilter });
+  }
+
+  #filterSummaries() {
+    const query = this.#searchQuery.trim().toLowerCase();
+    return this.#summaries.filter(({ contract, status }) => {
+      if (this.#statusFilter && status.type !== this.#statusFilter) return false;
+      if (!query) return true;
+      return [contract.contractNumber, contract.providerName, contract.customerName, contract.externalId]
+        .some((value) => (value || '').toLowerCase().includes(query));
+    });
+  }
+
+  // ========================================
+  // RENDERING
+  // ========================================
+
+  #render() {
+    if (this.#contractId) {
+      const contract = this.#overview?.contract;
+      return createElement('div', { className: 'revenue-screen contract-screen' }, [
+        this.#createHeader(contract ? `Vertrag ${contract.contractNumber}` : 'Vertrag', contract?.providerName ?? ''),
+        createElement('div', { className: 'contract-content' }, [
+          this.#overview
+            ? new ContractDetailView({
+              overview: this.#overview,
+              getEmployeeName: (id) => this.#getEmployeeName(id),
+            }).element
+            : createElement('p', { className: 'contract-empty' }, ['Vertrag nicht gefunden']),
+        ]),
+      ]);
+    }
+
+    this.#listBody = createElement('tbody');
+    this.#renderRows();
+
+    return createElement('div', { className: 'revenue-screen contract-screen' }, [
+      this.#createHeader('Verträge', `${this.#summaries.length} Verträge`),
+      this.#createToolbar(),
+      createElement('div', { className: 'contract-content' }, [
+        createElement('table', { className: 'contract-table contract-list-table' }, [
+          createElement('thead', {}, [
+            createElement('tr', {}, [
+              createElement('th', {}, ['Vertragsnr.']),
+              createElement('th', {}, ['Gesellschaft']),
+              createElement('th', {}, ['Kunde']),
+              createElement('th', {}, ['Mitarbeiter']),
+              createElement('th', {}, ['Status']),
+              createElement('th', { className: 'contract-number-cell' }, ['Provision gesamt']),
+              createElement('th', { className: 'contract-number-cell' }, ['Offene Haftung']),
+              createElement('th', {}, ['Letzte Buchung']),
+            ]),
+          ]),
+          this.#listBody,
+        ]),
+      ]),
+    ]);
+  }
+
+  #createHeader(title, subtitle) {
+    const backButton = createElement('button', {
+      className: 'btn-back-to-org',
+      onclick: () => {
+        window.location.hash = this.#contractId ? 'contracts' : '';
+      },
+      'aria-label': this.#contractId ? 'Zurück zur Vertragsliste' : 'Zurück zum Organigramm',
+    }, [
+      createElement('svg', {
+        width: '20',
+        height: '20',
+        viewBox: '0 0 20 20',
+        fill: 'none',
+        stroke: 'currentColor',
+        'stroke-width': '2.5',
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+        style: 'display: block;',
+      }, [
+        createElement('path', { d: 'M13 5L7 10L13 15' }),
+      ]),
+    ]);
+
+    return createElement('header', { className: 'revenue-header' }, [
+      createElement('div', { className: 'header-left' }, [
+        backButton,
+        createElement('div', { className: 'header-title-group header-title-group--inline' }, [
+          createElement('h1', { className: 'header-title' }, [title]),
+          subtitle ? createElement('span', { className: 'header-separator' }, ['·']) : null,
+          subtitle ? createElement('span', { className: 'header-employee-name' }, [subtitle]) : null,
+        ]),
+      ]),
+    ]);
+  }
+
+  #createToolbar() {
+    const searchInput = createElement('input', {
+      type: 'search',
+      className: 'input-field contract-search-input',
+      placeholder: 'Vertragsnummer, Gesellschaft oder Kunde',
+      value: this.#searchQuery,
+    });
+    searchInput.addEventListener('input', () => {
+      this.#searchQuery = searchInput.value;
+      this.#renderRows();
+    });
+
+    const statusSelect = createElement('select', { className: 'input-field contract-status-filter' },
+      STATUS_FILTER_OPTIONS.map((option) => createElement('option', {
+        value: option.value,
+        selected: option.value === this.#statusFilter,
+      }, [option.label])),
+    );
+    statusSelect.addEventListener('change', () => {
+      this.#statusFilter = statusSelect.value;
+      this.#renderRows();
+    });
+
+    return createElement('div', { className: 'revenue-toolbar contract-toolbar' }, [
+      searchInput,
+      statusSelect,
+      this.#isAdmin ? this.#createAssignButton() : null,
+    ]);
+  }
+
+  /** Admins attach entries recorded before contracts existed */
+  #createAssignButton() {
+    const button = new Button({
+      label: 'Bestand zuordnen',
+      variant: 'outline',
+      size: 'sm',
+      onClick: async () => {
+        if (!window.confirm('Alle Umsätze mit Vertragsnummer, die noch keinem Vertrag zugeordnet sind, jetzt zuordnen?')) {
+          return;
+        }
+        button.element.disabled = true;
+        try {
+          const linked = await this.#contractService.assignExistingEntries();
+          alert(`${linked} Umsätze wurden ihren Verträgen zugeordnet.`);
+          await this.mount();
+        } catch (error) {
+          Logger.error('Failed to assign entries to contracts:', error);
+          alert(`Zuordnung fehlgeschlagen: ${error.message}`);
+          button.element.disabled = false;
+        }
+      },
+    });
+    return button.element;
+  }
+
+  #renderRows() {
+    const summaries = this.#filterSummaries();
+
+    if (summaries.length === 0) {
+      this.#listBody.replaceChildren(createElement('tr', {}, [
+        createElement('td', { className: 'contract-empty', colspan: '8' }, [
+          this.#summaries.length === 0 ? 'Noch keine Verträge vorhanden' : 'Keine Verträge gefunden',
+        ]),
+      ]));
+      return;
+    }
+
+    this.#listBody.replaceChildren(...summaries.map((summary) => createElement('tr', {
+      className: 'contract-list-row',
+      onclick: () => {
+        window.location.hash = `contracts/${summary.contract.id}`;
+      },
+    }, [
+      createElement('td', { className: 'contract-list-number' }, [summary.contract.contractNumber]),
+      createElement('td', {}, [summary.contract.providerName || '—']),
+      createElement('td', {}, [summary.contract.customerName || '—']),
+      createElement('td', {}, [summary.employeeId ? this.#getEmployeeName(summary.employeeId) : '—']),
+      createElement('td', {}, [
+        createElement('span', { className: `contract-status contract-status-${summary.status.type}` }, [
+          summary.status.displayName,
+        ]),
+      ]),
+      createElement('td', { className: 'contract-number-cell' }, [this.#formatCurrency(summary.lifetimeProvision)]),
+      createElement('td', { className: 'contract-number-cell' }, [this.#formatCurrency(summary.openLiability)]),
+      createElement('td', {}, [summary.lastPostingDate ? formatDate(summary.lastPostingDate) : '—']),
+    ])));
+  }
+
+  #formatCurrency(amount) {
+    return amount.toLocaleString('de-DE', { style: 'currency', currency: 'EUR' });
+  }
+
+  async mount() {
+    clearElement(this.#container);
+    try {
+      this.#tree = await this.#hierarchyService.getTree(this.#treeId);
+    } catch (error) {
+      Logger.warn('Failed to load tree for contract screen:', error);
+      this.#tree = null;
+    }
+
+    try {
+      await this.#loadData();
+    } catch (error) {
+      Logger.error('Failed to load contracts:', error);
+    }
+    this.#element = this.#render();
+    this.#container.appendChild(this.#element);
+  }
+
+  unmount() {
+    clearElement(this.#container);
+  }
+}
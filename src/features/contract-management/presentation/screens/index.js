@@ -0,0 +1,5 @@
+/**
+ * Screens Barrel Export
+ */
+
+export { ContractScreen } from './ContractScreen.js';
@@ -0,0 +1,121 @@
+/**
+ * Data Source: CustomerFirestoreDataSource
+ * Handles persistence of customer master data to Firebase Firestore
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+
+// Counter document holding the last issued customer number
+const CUSTOMER_COUNTER_ID = 'customers';
+
+// Per-employee numbering used small numbers; master data numbers start above
+// them so a customer number never collides with one on an older entry
+const FIRST_CUSTOMER_NUMBER = 10001;
+
+export class CustomerFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findAll() {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, getDocs } = await this.#importFirestoreHelpers();
+
+      const querySnapshot = await getDocs(collection(firestore, FIRESTORE_COLLECTIONS.CUSTOMERS));
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load customers: ${error.message}`);
+    }
+  }
+
+  async findById(customerId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, getDoc } = await this.#importFirestoreHelpers();
+
+      const docSnap = await getDoc(doc(firestore, FIRESTORE_COLLECTIONS.CUSTOMERS, customerId));
+      return docSnap.exists() ? docSnap.data() : null;
+    } catch (error) {
+      throw new StorageError(`Failed to load customer: ${error.message}`);
+    }
+  }
+
+  async findByAdvisorId(advisorId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, getDocs } = await this.#importFirestoreHelpers();
+
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.CUSTOMERS),
+        where('advisorId', '==', advisorId)
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load customers of advisor: ${error.message}`);
+    }
+  }
+
+  async save(customerData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      await setDoc(doc(firestore, FIRESTORE_COLLECTIONS.CUSTOMERS, customerData.id), customerData);
+
+      Logger.log(`✓ Customer saved: ${customerData.customerNumber} ${customerData.name}`);
+      return customerData;
+    } catch (error) {
+      throw new StorageError(`Failed to save customer: ${error.message}`);
+    }
+  }
+
+  async update(customerData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      await setDoc(doc(firestore, FIRESTORE_COLLECTIONS.CUSTOMERS, customerData.id), customerData, { merge: true });
+
+      Logger.log(`✓ Customer updated: ${customerData.customerNumber}`);
+      return customerData;
+    } catch (error) {
+      throw new StorageError(`Failed to update customer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Increments the counter in a transaction, so two advisors creating a
+   * customer at the same time still get different numbers
+   */
+  async getNextCustomerNumber() {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, runTransaction } = await this.#importFirestoreHelpers();
+
+      const counterRef = doc(firestore, FIRESTORE_COLLECTIONS.COUNTERS, CUSTOMER_COUNTER_ID);
+      return await runTransaction(firestore, async (transaction) => {
+        const counterSnap = await transaction.get(counterRef);
+        const next = counterSnap.exists() ? counterSnap.data().value + 1 : FIRST_CUSTOMER_NUMBER;
+        transaction.set(counterRef, { value: next });
+        return next;
+      });
+    } catch (error) {
+      throw new StorageError(`Failed to reserve customer number: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Repository Implementation: FirebaseCustomerRepository
+ * Implements ICustomerRepository using Firebase Firestore
+ */
+
+import { ICustomerRepository } from '../../domain/repositories/ICustomerRepository.js';
+import { Customer } from '../../domain/entities/Customer.js';
+
+export class FirebaseCustomerRepository extends ICustomerRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async findAll() {
+    const data = await this.#dataSource.findAll();
+    return data.map((json) => Customer.fromJSON(json));
+  }
+
+  async findById(customerId) {
+    const data = await this.#dataSource.findById(customerId);
+    return data ? Customer.fromJSON(data) : null;
+  }
+
+  async findByAdvisorId(advisorId) {
+    const data = await this.#dataSource.findByAdvisorId(advisorId);
+    return data.map((json) => Customer.fromJSON(json));
+  }
+
+  async save(customer) {
+    await this.#dataSource.save(customer.toJSON());
+    return customer;
+  }
+
+  async update(customer) {
+    await this.#dataSource.update(customer.toJSON());
+    return customer;
+  }
+
+  async getNextCustomerNumber() {
+    return await this.#dataSource.getNextCustomerNumber();
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Repositories Barrel Export
+ */
+
+export { FirebaseCustomerRepository } from './FirebaseCustomerRepository.js';
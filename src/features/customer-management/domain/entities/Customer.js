@@ -0,0 +1,155 @@
+/**
+ * Entity: Customer
+ * Customer master data record (Kundenstamm). Revenue entries and recurring
+ * contracts reference the customer by id and carry its number; the advisor
+ * is the employee currently in charge of the customer.
+ */
+
+import { generateUUID } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { CustomerAddress } from '../../../revenue-tracking/domain/value-objects/CustomerAddress.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class Customer {
+  #id;
+  #customerNumber;
+  #name;
+  #email;
+  #phone;
+  #address;
+  #advisorId;
+  #notes;
+  #createdBy;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * @param {Object} params
+   * @param {number} params.customerNumber - Unique across all employees
+   * @param {string|null} params.advisorId - Employee (hierarchy node) in charge
+   */
+  constructor({
+    id = null,
+    customerNumber,
+    name,
+    email = '',
+    phone = '',
+    address = null,
+    advisorId = null,
+    notes = '',
+    createdBy = null,
+    createdAt = null,
+    updatedAt = null,
+  }) {
+    if (!Number.isInteger(customerNumber) || customerNumber <= 0) {
+      throw new ValidationError('Customer number must be a positive integer', 'customerNumber');
+    }
+    this.#validateName(name);
+    this.#validateEmail(email);
+
+    this.#id = id || generateUUID();
+    this.#customerNumber = customerNumber;
+    this.#name = name.trim();
+    this.#email = (email || '').trim();
+    this.#phone = (phone || '').trim();
+    this.#address = address instanceof CustomerAddress ? address : new CustomerAddress(address || {});
+    this.#advisorId = advisorId;
+    this.#notes = notes || '';
+    this.#createdBy = createdBy;
+    this.#createdAt = createdAt ? new Date(createdAt) : new Date();
+    this.#updatedAt = updatedAt ? new Date(updatedAt) : new Date();
+  }
+
+  #validateName(name) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      throw new ValidationError('Kundenname ist erforderlich', 'name');
+    }
+    if (name.length > 200) {
+      throw new ValidationError('Kundenname darf höchstens 200 Zeichen lang sein', 'name');
+    }
+  }
+
+  #validateEmail(email) {
+    if (email && !EMAIL_PATTERN.test(email.trim())) {
+      throw new ValidationError('Ungültige E-Mail-Adresse', 'email');
+    }
+  }
+
+  get id() { return this.#id; }
+  get customerNumber() { return this.#customerNumber; }
+  get name() { return this.#name; }
+  get email() { return this.#email; }
+  get phone() { return this.#phone; }
+  get address() { return this.#address; }
+  get advisorId() { return this.#advisorId; }
+  get notes() { return this.#notes; }
+  get createdBy() { return this.#createdBy; }
+  get createdAt() { return this.#createdAt; }
+  get updatedAt() { return this.#updatedAt; }
+
+  /** Kd-Nr. as shown in lists, e.g. "K-10001" */
+  get displayNumber() {
+    return `K-${this.#customerNumber}`;
+  }
+
+  /**
+   * Update contact data. The number and the advisor are not editable here,
+   * see assignAdvisor.
+   */
+  update(updates) {
+    if (updates.name !== undefined) {
+      this.#validateName(updates.name);
+      this.#name = updates.name.trim();
+    }
+    if (updates.email !== undefined) {
+      this.#validateEmail(updates.email);
+      this.#email = (updates.email || '').trim();
+    }
+    if (updates.phone !== undefined) {
+      this.#phone = (updates.phone || '').trim();
+    }
+    if (updates.address !== undefined) {
+      this.#address = updates.address instanceof CustomerAddress
+        ? updates.address
+        : new CustomerAddress(updates.address || {});
+    }
+    if (updates.notes !== undefined) {
+      this.#notes = updates.notes || '';
+    }
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  assignAdvisor(advisorId) {
+    if (!advisorId) {
+      throw new ValidationError('Advisor is required', 'advisorId');
+    }
+    this.#advisorId = advisorId;
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      customerNumber: this.#customerNumber,
+      name: this.#name,
+      email: this.#email,
+      phone: this.#phone,
+      address: this.#address.toJSON(),
+      advisorId: this.#advisorId,
+      notes: this.#notes,
+      createdBy: this.#createdBy,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString(),
+    };
+  }
+
+  static fromJSON(json) {
+    return new Customer({
+      ...json,
+      address: json.address ? CustomerAddress.fromJSON(json.address) : null,
+    });
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Entities Barrel Export
+ */
+
+export { Customer } from './Customer.js';
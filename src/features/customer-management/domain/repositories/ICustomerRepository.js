@@ -0,0 +1,34 @@
+/**
+ * Repository Interface: ICustomerRepository
+ * Defines the contract for customer master data persistence
+ */
+
+export class ICustomerRepository {
+  async findAll() {
+    throw new Error('Method not implemented');
+  }
+
+  async findById(customerId) {
+    throw new Error('Method not implemented');
+  }
+
+  async findByAdvisorId(advisorId) {
+    throw new Error('Method not implemented');
+  }
+
+  async save(customer) {
+    throw new Error('Method not implemented');
+  }
+
+  async update(customer) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Reserve the next customer number; numbers are unique across all employees
+   * @returns {Promise<number>}
+   */
+  async getNextCustomerNumber() {
+    throw new Error('Method not implemented');
+  }
+}
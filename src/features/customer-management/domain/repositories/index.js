@@ -0,0 +1,5 @@
+/**
+ * Repositories Barrel Export
+ */
+
+export { ICustomerRepository } from './ICustomerRepository.js';
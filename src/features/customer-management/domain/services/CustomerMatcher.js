@@ -0,0 +1,118 @@
+/**
+ * Domain Service: CustomerMatcher
+ * Scores how likely entered customer data describes an existing customer.
+ * Each matching attribute adds weight; candidates at or above the threshold
+ * are reported as possible duplicates together with the reasons.
+ */
+
+import { FuzzyMatcher } from '../../../wifo-import/domain/services/FuzzyMatcher.js';
+
+export const DUPLICATE_THRESHOLD = 0.5;
+
+const WEIGHTS = {
+  exactName: 0.7,
+  similarName: 0.5,
+  email: 0.5,
+  phone: 0.4,
+  address: 0.3,
+};
+
+// Minimum FuzzyMatcher score for "Ähnlicher Name"
+const SIMILAR_NAME_SCORE = 0.85;
+
+// Legal forms are left out when comparing company names
+const LEGAL_FORMS = new Set(['gmbh', 'co', 'kg', 'ag', 'ug', 'ohg', 'gbr', 'ek', 'e', 'k', 'mbh', 'haftungsbeschrankt']);
+
+export class CustomerMatcher {
+  /**
+   * "Müller & Söhne GmbH" and "Mueller + Soehne" both become "mueller soehne"
+   * @param {string} name
+   * @returns {string}
+   */
+  static normalizeName(name) {
+    const folded = (name || '')
+      .toLowerCase()
+      .replace(/ä/g, 'ae')
+      .replace(/ö/g, 'oe')
+      .replace(/ü/g, 'ue')
+      .replace(/ß/g, 'ss');
+
+    return FuzzyMatcher.normalizeName(folded)
+      .split(' ')
+      .filter((part) => part && !LEGAL_FORMS.has(part))
+      .join(' ');
+  }
+
+  /**
+   * Compare the last nine digits so "+49 171 ..." and "0171 ..." match
+   */
+  static normalizePhone(phone) {
+    return (phone || '').replace(/\D/g, '').slice(-9);
+  }
+
+  static #normalizeStreet(address) {
+    return CustomerMatcher.normalizeName(`${address?.street || ''} ${address?.houseNumber || ''}`)
+      .replace(/strasse\b/g, 'str')
+      .replace(/\s+/g, '');
+  }
+
+  /**
+   * @param {Object} data - { name, email, phone, address }
+   * @param {Customer} customer
+   * @returns {{score: number, reasons: string[]}}
+   */
+  static score(data, customer) {
+    let score = 0;
+    const reasons = [];
+
+    const name = CustomerMatcher.normalizeName(data.name);
+    const candidateName = CustomerMatcher.normalizeName(customer.name);
+    if (name && name === candidateName) {
+      score += WEIGHTS.exactName;
+      reasons.push('Gleicher Name');
+    } else if (name && candidateName && FuzzyMatcher.matchNames(name, candidateName).score >= SIMILAR_NAME_SCORE) {
+      score += WEIGHTS.similarName;
+      reasons.push('Ähnlicher Name');
+    }
+
+    const email = (data.email || '').trim().toLowerCase();
+    if (email && email === customer.email.toLowerCase()) {
+      score += WEIGHTS.email;
+      reasons.push('Gleiche E-Mail');
+    }
+
+    const phone = CustomerMatcher.normalizePhone(data.phone);
+    if (phone.length >= 6 && phone === CustomerMatcher.normalizePhone(customer.phone)) {
+      score += WEIGHTS.phone;
+      reasons.push('Gleiche Telefonnummer');
+    }
+
+    const street = CustomerMatcher.#normalizeStreet(data.address);
+    if (
+      street &&
+      data.address?.postalCode &&
+      data.address.postalCode.trim() === customer.address.postalCode.trim() &&
+      street === CustomerMatcher.#normalizeStreet(customer.address)
+    ) {
+      score += WEIGHTS.address;
+      reasons.push('Gleiche Anschrift');
+    }
+
+    return { score: Math.min(1, score), reasons };
+  }
+
+  /**
+   * @param {Object} data - { name, email, phone, address }
+   * @param {Customer[]} customers
+   * @param {Object} options
+   * @param {string|null} options.excludeId - The customer being edited
+   * @returns {Array<{customer: Customer, score: number, reasons: string[]}>} Best match first
+   */
+  static findDuplicates(data, customers, { excludeId = null } = {}) {
+    return customers
+      .filter((customer) => customer.id !== excludeId)
+      .map((customer) => ({ customer, ...CustomerMatcher.score(data, customer) }))
+      .filter((match) => match.score >= DUPLICATE_THRESHOLD)
+      .sort((a, b) => b.score - a.score);
+  }
+}
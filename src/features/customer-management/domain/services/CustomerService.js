@@ -0,0 +1,241 @@
+/**
+ * Domain Service: CustomerService
+ * Customer master data: creation with a company-wide customer number,
+ * duplicate detection, linking revenue entries and the customer-360 overview
+ */
+
+import { Logger } from './../../../../core/utils/logger.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { Customer } from '../entities/Customer.js';
+import { CustomerMatcher } from './CustomerMatcher.js';
+
+export class CustomerService {
+  #repository;
+  #revenueService;
+  #recurringRevenueService;
+  #customersCache = null;
+
+  constructor(customerRepository, revenueService, recurringRevenueService = null) {
+    this.#repository = customerRepository;
+    this.#revenueService = revenueService;
+    this.#recurringRevenueService = recurringRevenueService;
+  }
+
+  /**
+   * All customers sorted by number. Cached, since duplicate detection runs
+   * on every keystroke in the revenue dialog.
+   */
+  async getCustomers() {
+    if (!this.#customersCache) {
+      const customers = await this.#repository.findAll();
+      this.#customersCache = customers.sort((a, b) => a.customerNumber - b.customerNumber);
+    }
+    return this.#customersCache;
+  }
+
+  async getCustomersByAdvisor(advisorId) {
+    const customers = await this.#repository.findByAdvisorId(advisorId);
+    return customers.sort((a, b) => a.customerNumber - b.customerNumber);
+  }
+
+  async getCustomer(customerId) {
+    return await this.#repository.findById(customerId);
+  }
+
+  /**
+   * Search by name, customer number, e-mail or city
+   * @param {string} query
+   * @param {Customer[]|null} customers - Limit the search (e.g. to an advisor's customers)
+   */
+  async search(query, customers = null) {
+    const list = customers ?? await this.getCustomers();
+    const terms = CustomerMatcher.normalizeName(query).split(' ').filter(Boolean);
+    const digits = (query || '').replace(/\D/g, '');
+    if (terms.length === 0) return list;
+
+    return list.filter((customer) => {
+      if (digits && String(customer.customerNumber).includes(digits)) return true;
+      const haystack = CustomerMatcher.normalizeName(
+        `${customer.name} ${customer.email} ${customer.address.city}`,
+      );
+      return terms.every((term) => haystack.includes(term));
+    });
+  }
+
+  /**
+   * Possible duplicates of entered customer data
+   * @param {Object} data - { name, email, phone, address }
+   * @param {Object} options
+   * @param {string|null} options.excludeId - Customer being edited
+   * @returns {Promise<Array<{customer: Customer, score: number, reasons: string[]}>>}
+   */
+  async findDuplicates(data, { excludeId = null } = {}) {
+    if (!data?.name?.trim() && !data?.email && !data?.phone) return [];
+    return CustomerMatcher.findDuplicates(data, await this.getCustomers(), { excludeId });
+  }
+
+  /**
+   * @param {Object} data - { name, email, phone, address, notes, advisorId }
+   * @param {Object} options
+   * @param {string|null} options.createdBy
+   */
+  async createCustomer(data, { createdBy = null } = {}) {
+    // Validate before a number is reserved, so invalid input does not use one up
+    new Customer({ ...data, customerNumber: 1 });
+
+    const customerNumber = await this.#repository.getNextCustomerNumber();
+    const customer = new Customer({ ...data, id: null, customerNumber, createdBy });
+    await this.#repository.save(customer);
+    // Keep the cache instead of reloading: imports create many customers in a row
+    this.#customersCache?.push(customer);
+
+    Logger.log(`Customer created: ${customer.displayNumber} ${customer.name}`);
+    return customer;
+  }
+
+  /**
+   * Changes the master data only; revenue entries keep the name and address
+   * they were recorded with
+   */
+  async updateCustomer(customerId, updates) {
+    const customer = await this.#getExisting(customerId);
+    customer.update(updates);
+    if (updates.advisorId && updates.advisorId !== customer.advisorId) {
+      customer.assignAdvisor(updates.advisorId);
+    }
+    await this.#repository.update(customer);
+    this.#customersCache = null;
+    return customer;
+  }
+
+  /**
+   * Hand the customers of an advisor over to another employee
+   * @param {string} fromAdvisorId
+   * @param {string} toAdvisorId
+   * @param {Object} options
+   * @param {string[]|null} options.customerIds - Only these customers (null = all of the advisor)
+   * @returns {Promise<Customer[]>} The reassigned customers
+   */
+  async reassignAdvisor(fromAdvisorId, toAdvisorId, { customerIds = null } = {}) {
+    const customers = (await this.#repository.findByAdvisorId(fromAdvisorId))
+      .filter((customer) => !customerIds || customerIds.includes(customer.id));
+    for (const customer of customers) {
+      customer.assignAdvisor(toAdvisorId);
+      await this.#repository.update(customer);
+    }
+    this.#customersCache = null;
+    Logger.log(`Customers reassigned from ${fromAdvisorId} to ${toAdvisorId}: ${customers.length}`);
+    return customers;
+  }
+
+  /**
+   * The customer a new revenue entry belongs to. An explicitly chosen
+   * customer wins; otherwise a customer with the same name and postal code
+   * is reused if it is unambiguous, else a new customer is created with the
+   * entry's employee as advisor.
+   *
+   * @param {string} employeeId
+   * @param {Object} entryData - { customerId, customerName, customerAddress }
+   * @returns {Promise<Customer>}
+   */
+  async resolveForEntry(employeeId, entryData) {
+    if (entryData.customerId) {
+      return await this.#getExisting(entryData.customerId);
+    }
+
+    const name = CustomerMatcher.normalizeName(entryData.customerName);
+    const postalCode = (entryData.customerAddress?.postalCode || '').trim();
+    const matches = (await this.getCustomers()).filter((customer) =>
+      CustomerMatcher.normalizeName(customer.name) === name &&
+      customer.address.postalCode.trim() === postalCode
+    );
+    if (matches.length === 1) {
+      return matches[0];
+    }
+
+    return await this.createCustomer({
+      name: entryData.customerName,
+      address: entryData.customerAddress,
+      advisorId: employeeId,
+    });
+  }
+
+  /**
+   * Customer-360: everything recorded for the customer
+   *
+   * @param {string} customerId
+   * @param {Object} options
+   * @param {string|null} options.employeeId - Only this employee's entries and contracts (employee view)
+   * @returns {Promise<{
+   *   customer: Customer,
+   *   entries: RevenueEntry[],
+   *   contracts: RecurringRevenueTemplate[],
+   *   totals: {count: number, netAmount: number, grossAmount: number, provisionAmount: number},
+   *   byCategory: Array<{type: string, displayName: string, count: number, netAmount: number}>,
+   *   cancellations: {count: number, netAmount: number, rate: number},
+   *   clawbacks: {count: number, amount: number},
+   * }>}
+   */
+  async getCustomerOverview(customerId, { employeeId = null } = {}) {
+    const customer = await this.#getExisting(customerId);
+    let [entries, contracts] = await Promise.all([
+      this.#revenueService.getEntriesByCustomer(customerId),
+      this.#recurringRevenueService?.getTemplatesByCustomer(customerId) ?? [],
+    ]);
+    if (employeeId) {
+      entries = entries.filter((e) => e.employeeId === employeeId);
+      contracts = contracts.filter((t) => t.employeeId === employeeId);
+    }
+    entries.sort((a, b) => new Date(b.entryDate) - new Date(a.entryDate));
+
+    const revenues = entries.filter((e) => !e.isClawback && !e.status.isRejected);
+    const active = revenues.filter((e) => !e.status.isCancelled);
+    const cancelled = revenues.filter((e) => e.status.isCancelled);
+    const clawbacks = entries.filter((e) => e.isClawback);
+    const sum = (list, field) => roundCurrency(list.reduce((total, e) => total + e[field], 0));
+
+    const byCategory = new Map();
+    for (const entry of active) {
+      const row = byCategory.get(entry.category.type) || {
+        type: entry.category.type,
+        displayName: entry.category.displayName,
+        count: 0,
+        netAmount: 0,
+      };
+      row.count += 1;
+      row.netAmount = roundCurrency(row.netAmount + entry.netAmount);
+      byCategory.set(entry.category.type, row);
+    }
+
+    return {
+      customer,
+      entries,
+      contracts,
+      totals: {
+        count: active.length,
+        netAmount: sum(active, 'netAmount'),
+        grossAmount: sum(active, 'grossAmount'),
+        provisionAmount: sum(active, 'provisionAmount'),
+      },
+      byCategory: [...byCategory.values()].sort((a, b) => b.netAmount - a.netAmount),
+      cancellations: {
+        count: cancelled.length,
+        netAmount: sum(cancelled, 'netAmount'),
+        rate: revenues.length > 0 ? cancelled.length / revenues.length : 0,
+      },
+      clawbacks: {
+        count: clawbacks.length,
+        amount: sum(clawbacks, 'provisionAmount'),
+      },
+    };
+  }
+
+  async #getExisting(customerId) {
+    const customer = await this.#repository.findById(customerId);
+    if (!customer) {
+      throw new ValidationError(`Customer not found: ${customerId}`, 'customerId');
+    }
+    return customer;
+  }
+}
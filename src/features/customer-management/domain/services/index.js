@@ -0,0 +1,6 @@
+/**
+ * Services Barrel Export
+ */
+
+export { CustomerService } from './CustomerService.js';
+export { CustomerMatcher, DUPLICATE_THRESHOLD } from './CustomerMatcher.js';
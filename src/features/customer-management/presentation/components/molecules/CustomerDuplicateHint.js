@@ -0,0 +1,106 @@
+/**
+ * Molecule: CustomerDuplicateHint
+ * Shown below the customer name in the revenue dialog: either the linked
+ * customer of the master data, or existing customers that look like the
+ * entered one, each with the reasons and a button to take it over.
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+
+// Keep the hint short; the best matches come first
+const MAX_MATCHES = 3;
+
+export class CustomerDuplicateHint {
+  #element;
+  #props;
+
+  /**
+   * @param {Object} props
+   * @param {Function} props.onSelect - (customer) => void
+   * @param {Function} props.onUnlink - () => void
+   * @param {string} props.selectLabel - Label of the button next to each match
+   */
+  constructor(props = {}) {
+    this.#props = {
+      onSelect: props.onSelect || null,
+      selectLabel: props.selectLabel || 'Übernehmen',
+      onUnlink: props.onUnlink || null,
+    };
+    this.#element = createElement('div', { className: 'customer-duplicate-hint hidden' });
+  }
+
+  /**
+   * @param {Object} state
+   * @param {Array<{customer: Customer, reasons: string[]}>} state.matches
+   * @param {Customer|null} state.linkedCustomer
+   */
+  update({ matches = [], linkedCustomer = null } = {}) {
+    if (linkedCustomer) {
+      this.#element.classList.remove('hidden', 'has-duplicates');
+      this.#element.replaceChildren(this.#renderLinked(linkedCustomer));
+      return;
+    }
+
+    if (matches.length === 0) {
+      this.#element.classList.add('hidden');
+      this.#element.replaceChildren();
+      return;
+    }
+
+    this.#element.classList.remove('hidden');
+    this.#element.classList.add('has-duplicates');
+    this.#element.replaceChildren(
+      createElement('p', { className: 'customer-duplicate-title' }, [
+        matches.length === 1
+          ? 'Dieser Kunde ist möglicherweise schon angelegt:'
+          : 'Diese Kunden sind möglicherweise schon angelegt:',
+      ]),
+      createElement('ul', { className: 'customer-duplicate-list' },
+        matches.slice(0, MAX_MATCHES).map((match) => this.#renderMatch(match)),
+      ),
+    );
+  }
+
+  #renderMatch({ customer, reasons }) {
+    return createElement('li', { className: 'customer-duplicate-item' }, [
+      createElement('div', { className: 'customer-duplicate-info' }, [
+        createElement('span', { className: 'customer-duplicate-name' }, [
+          `${customer.displayNumber} · ${customer.name}`,
+        ]),
+        createElement('span', { className: 'customer-duplicate-meta' }, [
+          [customer.address.formatted, reasons.join(', ')].filter(Boolean).join(' — '),
+        ]),
+      ]),
+      new Button({
+        label: this.#props.selectLabel,
+        variant: 'outline',
+        size: 'sm',
+        onClick: () => this.#props.onSelect?.(customer),
+      }).element,
+    ]);
+  }
+
+  #renderLinked(customer) {
+    return createElement('div', { className: 'customer-duplicate-item customer-linked' }, [
+      createElement('div', { className: 'customer-duplicate-info' }, [
+        createElement('span', { className: 'customer-duplicate-name' }, [
+          `Kundenstamm: ${customer.displayNumber} · ${customer.name}`,
+        ]),
+        customer.address.formatted
+          ? createElement('span', { className: 'customer-duplicate-meta' }, [customer.address.formatted])
+          : null,
+      ].filter(Boolean)),
+      new Button({
+        label: 'Lösen',
+        variant: 'ghost',
+        size: 'sm',
+        onClick: () => this.#props.onUnlink?.(),
+      }).element,
+    ]);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
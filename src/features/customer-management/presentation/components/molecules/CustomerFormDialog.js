@@ -0,0 +1,238 @@
+/**
+ * Molecule: CustomerFormDialog
+ * Create or edit a customer of the master data. While a new customer is
+ * typed, similar existing customers are listed so they can be opened
+ * instead of creating a duplicate.
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Logger } from './../../../../../core/utils/logger.js';
+import { ValidationError } from '../../../../../core/errors/index.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
+import { CustomerDuplicateHint } from './CustomerDuplicateHint.js';
+
+export class CustomerFormDialog {
+  #element;
+  #props;
+  #inputs = {};
+  #advisorSelect = null;
+  #notesInput;
+  #duplicateHint;
+  #lookupTimer = null;
+  #errorText;
+  #saveButton;
+
+  /**
+   * @param {Object} props
+   * @param {CustomerService} props.customerService
+   * @param {Customer|null} props.customer - Customer to edit, null to create one
+   * @param {Array<{id: string, name: string}>} props.advisors - Selectable advisors (admins only)
+   * @param {string|null} props.defaultAdvisorId - Advisor of a new customer
+   * @param {string|null} props.createdBy - User id of the current user
+   * @param {Function} props.onSaved - (customer) => void
+   * @param {Function} props.onOpenExisting - (customer) => void, for a listed duplicate
+   */
+  constructor(props = {}) {
+    this.#props = {
+      customerService: props.customerService,
+      customer: props.customer || null,
+      advisors: props.advisors || [],
+      defaultAdvisorId: props.defaultAdvisorId || null,
+      createdBy: props.createdBy || null,
+      onSaved: props.onSaved || null,
+      onOpenExisting: props.onOpenExisting || null,
+    };
+    this.#element = this.#render();
+  }
+
+  #render() {
+    const { customer } = this.#props;
+    const overlay = createElement('div', { className: 'dialog-overlay customer-form-dialog-overlay' });
+
+    const onContactInput = () => this.#scheduleDuplicateLookup();
+    this.#inputs = {
+      name: new Input({ label: 'Name', placeholder: 'Max Mustermann', required: true, onChange: onContactInput }),
+      email: new Input({ label: 'E-Mail', type: 'email', placeholder: 'kunde@example.de', onChange: onContactInput }),
+      phone: new Input({ label: 'Telefon', type: 'tel', placeholder: '0171 1234567', onChange: onContactInput }),
+      street: new Input({ label: 'Strasse', placeholder: 'Musterstrasse', onChange: onContactInput }),
+      houseNumber: new Input({ label: 'Hausnr.', placeholder: '123' }),
+      postalCode: new Input({ label: 'PLZ', placeholder: '12345', onChange: onContactInput }),
+      city: new Input({ label: 'Stadt', placeholder: 'Musterstadt' }),
+    };
+    this.#notesInput = createElement('textarea', { className: 'input-field customer-notes', rows: '3' });
+    this.#duplicateHint = new CustomerDuplicateHint({
+      selectLabel: 'Öffnen',
+      onSelect: (existing) => {
+        this.hide();
+        this.#props.onOpenExisting?.(existing);
+      },
+    });
+    this.#errorText = createElement('p', { className: 'customer-form-error' });
+
+    if (customer) {
+      this.#inputs.name.setValue(customer.name);
+      this.#inputs.email.setValue(customer.email);
+      this.#inputs.phone.setValue(customer.phone);
+      this.#inputs.street.setValue(customer.address.street);
+      this.#inputs.houseNumber.setValue(customer.address.houseNumber);
+      this.#inputs.postalCode.setValue(customer.address.postalCode);
+      this.#inputs.city.setValue(customer.address.city);
+      this.#notesInput.value = customer.notes;
+    }
+
+    this.#saveButton = new Button({
+      label: customer ? 'Speichern' : 'Kunde anlegen',
+      variant: 'primary',
+      onClick: () => this.#handleSave(),
+    });
+
+    const dialogContent = createElement('div', { className: 'dialog-content customer-form-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, [customer ? 'Kunde bearbeiten' : 'Neuer Kunde']),
+        customer
+          ? createElement('p', { className: 'dialog-subtitle' }, [`Kundennummer ${customer.displayNumber}`])
+          : null,
+      ].filter(Boolean)),
+      createElement('div', { className: 'dialog-form customer-form' }, [
+        this.#inputs.name.element,
+        this.#duplicateHint.element,
+        this.#row([this.#inputs.email, 2], [this.#inputs.phone, 2]),
+        this.#row([this.#inputs.street, 3], [this.#inputs.houseNumber, 1]),
+        this.#row([this.#inputs.postalCode, 1], [this.#inputs.city, 2]),
+        this.#renderAdvisorSelect(),
+        createElement('div', { className: 'input-wrapper' }, [
+          createElement('label', { className: 'input-label' }, ['Notizen']),
+          this.#notesInput,
+        ]),
+        this.#errorText,
+      ].filter(Boolean)),
+      createElement('div', { className: 'dialog-actions' }, [
+        new Button({ label: 'Abbrechen', variant: 'ghost', onClick: () => this.hide() }).element,
+        this.#saveButton.element,
+      ]),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.hide();
+      }
+    });
+
+    return overlay;
+  }
+
+  /** Row of inputs, each as [input, column width] */
+  #row(...columns) {
+    return createElement('div', { className: 'dialog-form-row' }, columns.map(([input, width]) =>
+      createElement('div', { className: `dialog-form-col-${width}` }, [input.element])
+    ));
+  }
+
+  #renderAdvisorSelect() {
+    const { advisors, customer, defaultAdvisorId } = this.#props;
+    if (advisors.length === 0) return null;
+
+    const selectedId = customer?.advisorId ?? defaultAdvisorId;
+    this.#advisorSelect = createElement('select', { className: 'input-field' }, [
+      createElement('option', { value: '' }, ['Betreuer wählen...']),
+      ...advisors.map((advisor) => createElement('option', {
+        value: advisor.id,
+        selected: advisor.id === selectedId,
+      }, [advisor.name])),
+    ]);
+
+    return createElement('div', { className: 'input-wrapper' }, [
+      createElement('label', { className: 'input-label' }, ['Betreuer']),
+      this.#advisorSelect,
+    ]);
+  }
+
+  #collectData() {
+    const value = (key) => this.#inputs[key].value.trim();
+    return {
+      name: value('name'),
+      email: value('email'),
+      phone: value('phone'),
+      address: {
+        street: value('street'),
+        houseNumber: value('houseNumber'),
+        postalCode: value('postalCode'),
+        city: value('city'),
+      },
+      notes: this.#notesInput.value.trim(),
+      advisorId: this.#advisorSelect?.value || this.#props.customer?.advisorId || this.#props.defaultAdvisorId,
+    };
+  }
+
+  #scheduleDuplicateLookup() {
+    clearTimeout(this.#lookupTimer);
+    this.#lookupTimer = setTimeout(async () => {
+      try {
+        const matches = await this.#props.customerService.findDuplicates(this.#collectData(), {
+          excludeId: this.#props.customer?.id ?? null,
+        });
+        this.#duplicateHint.update({ matches });
+      } catch (error) {
+        Logger.warn('Duplicate lookup failed:', error);
+      }
+    }, 300);
+  }
+
+  async #handleSave() {
+    const data = this.#collectData();
+    Object.values(this.#inputs).forEach((input) => input.setError(null));
+    this.#errorText.textContent = '';
+
+    if (!data.name) {
+      this.#inputs.name.setError('Name ist erforderlich');
+      return;
+    }
+    if (!data.advisorId) {
+      this.#errorText.textContent = 'Bitte einen Betreuer wählen';
+      return;
+    }
+
+    this.#saveButton.element.disabled = true;
+    try {
+      const { customerService, customer } = this.#props;
+      const saved = customer
+        ? await customerService.updateCustomer(customer.id, data)
+        : await customerService.createCustomer(data, { createdBy: this.#props.createdBy });
+      this.hide();
+      this.#props.onSaved?.(saved);
+    } catch (error) {
+      if (error instanceof ValidationError && this.#inputs[error.field]) {
+        this.#inputs[error.field].setError(error.message);
+      } else {
+        this.#errorText.textContent = error.message;
+      }
+      this.#saveButton.element.disabled = false;
+    }
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+      this.#inputs.name.focus();
+    });
+  }
+
+  hide() {
+    clearTimeout(this.#lookupTimer);
+    this.#element.classList.remove('visible');
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
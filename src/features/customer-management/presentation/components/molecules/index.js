@@ -0,0 +1,6 @@
+/**
+ * Molecules Barrel Export
+ */
+
+export { CustomerDuplicateHint } from './CustomerDuplicateHint.js';
+export { CustomerFormDialog } from './CustomerFormDialog.js';
@@ -0,0 +1,213 @@
+/**
+ * Organism: Customer360View
+ * Everything about one customer on a single page: master data and advisor,
+ * key figures, revenue per category, cancellations, contracts, recurring
+ * contracts and all revenue entries.
+ */
+
+import { createElement, formatDate } from '../../../../../core/utils/index.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+
+export class Customer360View {
+  #element;
+  #props;
+
+  /**
+   * @param {Object} props
+   * @param {Object} props.overview - Result of CustomerService.getCustomerOverview
+   * @param {Array<ContractSummary>} props.contractSummaries - Result of ContractService.getContractSummaries
+   * @param {Function} props.getEmployeeName - (employeeId) => string
+   * @param {boolean} props.canEdit
+   * @param {Function} props.onEdit - () => void
+   */
+  constructor(props = {}) {
+    this.#props = {
+      overview: props.overview,
+      contractSummaries: props.contractSummaries || [],
+      getEmployeeName: props.getEmployeeName || ((id) => id),
+      canEdit: props.canEdit || false,
+      onEdit: props.onEdit || null,
+    };
+    this.#element = this.#render();
+  }
+
+  #render() {
+    return createElement('div', { className: 'customer-360' }, [
+      this.#renderMasterData(),
+      this.#renderKeyFigures(),
+      createElement('div', { className: 'customer-360-columns' }, [
+        this.#renderCategories(),
+        this.#renderRecurringContracts(),
+      ]),
+      this.#renderContracts(),
+      this.#renderEntries(),
+    ]);
+  }
+
+  #renderMasterData() {
+    const { customer } = this.#props.overview;
+    const field = (label, value) => createElement('div', { className: 'customer-360-field' }, [
+      createElement('span', { className: 'customer-360-label' }, [label]),
+      createElement('span', { className: 'customer-360-value' }, [value || '—']),
+    ]);
+
+    return createElement('section', { className: 'customer-360-card customer-360-master' }, [
+      createElement('div', { className: 'customer-360-card-header' }, [
+        createElement('h2', { className: 'customer-360-name' }, [customer.name]),
+        createElement('span', { className: 'customer-360-number' }, [customer.displayNumber]),
+        this.#props.canEdit
+          ? new Button({ label: 'Bearbeiten', variant: 'outline', size: 'sm', onClick: () => this.#props.onEdit?.() }).element
+          : null,
+      ].filter(Boolean)),
+      createElement('div', { className: 'customer-360-fields' }, [
+        field('Betreuer', customer.advisorId ? this.#props.getEmployeeName(customer.advisorId) : ''),
+        field('E-Mail', customer.email),
+        field('Telefon', customer.phone),
+        field('Anschrift', customer.address.formatted),
+        field('Kunde seit', formatDate(customer.createdAt)),
+      ]),
+      customer.notes
+        ? createElement('p', { className: 'customer-360-notes' }, [customer.notes])
+        : null,
+    ].filter(Boolean));
+  }
+
+  #renderKeyFigures() {
+    const { totals, cancellations, clawbacks } = this.#props.overview;
+    const { contractSummaries } = this.#props;
+    const activeContracts = contractSummaries.filter((summary) => summary.status.isActive).length;
+    const openLiability = contractSummaries.reduce((total, summary) => total + summary.openLiability, 0);
+    const figure = (label, value, detail) => createElement('div', { className: 'customer-360-figure' }, [
+      createElement('span', { className: 'customer-360-figure-value' }, [value]),
+      createElement('span', { className: 'customer-360-figure-label' }, [label]),
+      detail ? createElement('span', { className: 'customer-360-figure-detail' }, [detail]) : null,
+    ].filter(Boolean));
+
+    return createElement('section', { className: 'customer-360-figures' }, [
+      figure('Umsatz netto', this.#formatCurrency(totals.netAmount), `${totals.count} Umsätze`),
+      figure('Provision', this.#formatCurrency(totals.provisionAmount)),
+      figure(
+        'Stornoquote',
+        this.#formatPercent(cancellations.rate),
+        `${cancellations.count} storniert · ${this.#formatCurrency(cancellations.netAmount)}`,
+      ),
+      figure('Rückforderungen', this.#formatCurrency(clawbacks.amount), `${clawbacks.count} Buchungen`),
+      figure('Verträge', String(contractSummaries.length), `${activeContracts} aktiv`),
+      figure('Offene Haftung', this.#formatCurrency(openLiability), 'bei Storno zurückzuzahlen'),
+    ]);
+  }
+
+  #renderCategories() {
+    const { byCategory } = this.#props.overview;
+
+    return this.#renderSection('Umsatz nach Kategorie', byCategory.length === 0
+      ? this.#renderEmpty('Noch keine Umsätze')
+      : this.#renderTable(
+        ['Kategorie', 'Anzahl', 'Netto'],
+        byCategory.map((row) => [row.displayName, String(row.count), this.#formatCurrency(row.netAmount)]),
+        [1, 2],
+      ));
+  }
+
+  #renderContracts() {
+    const { contractSummaries } = this.#props;
+
+    const rows = contractSummaries.map((summary) => [
+      createElement('a', { href: `#contracts/${summary.contract.id}` }, [summary.contract.contractNumber]),
+      summary.contract.providerName || '—',
+      summary.contract.productName || '—',
+      createElement('span', { className: `contract-status contract-status-${summary.status.type}` }, [
+        summary.status.displayName,
+      ]),
+      this.#formatCurrency(summary.lifetimeProvision),
+      this.#formatCurrency(summary.openLiability),
+    ]);
+
+    return this.#renderSection(`Verträge (${contractSummaries.length})`, contractSummaries.length === 0
+      ? this.#renderEmpty('Keine Verträge mit Vertragsnummer')
+      : this.#renderTable(
+        ['Vertragsnr.', 'Gesellschaft', 'Produkt', 'Status', 'Provision gesamt', 'Offene Haftung'],
+        rows,
+        [4, 5],
+      ));
+  }
+
+  #renderRecurringContracts() {
+    const { contracts } = this.#props.overview;
+
+    return this.#renderSection('Wiederkehrende Verträge', contracts.length === 0
+      ? this.#renderEmpty('Keine wiederkehrenden Verträge')
+      : this.#renderTable(
+        ['Vertragsnr.', 'Intervall', 'Beginn', 'Betrag', 'Status'],
+        contracts.map((template) => [
+          template.contractNumber || '—',
+          template.interval.displayName,
+          formatDate(template.startDate),
+          this.#formatCurrency(template.provisionAmount),
+          template.getStatusDisplayName(),
+        ]),
+        [3],
+      ));
+  }
+
+  #renderEntries() {
+    const { entries } = this.#props.overview;
+
+    const rows = entries.map((entry) => [
+      formatDate(entry.entryDate),
+      entry.hierarchySnapshot?.ownerName || this.#props.getEmployeeName(entry.employeeId),
+      entry.category.displayName,
+      entry.product?.name || '—',
+      entry.contractNumber || '—',
+      this.#formatCurrency(entry.netAmount),
+      createElement('span', { className: `status-badge status-${entry.status.type}` }, [
+        entry.isClawback ? 'Rückforderung' : entry.status.displayName,
+      ]),
+    ]);
+
+    return this.#renderSection(`Umsätze (${entries.length})`, entries.length === 0
+      ? this.#renderEmpty('Für diesen Kunden wurden noch keine Umsätze erfasst')
+      : this.#renderTable(['Datum', 'Mitarbeiter', 'Kategorie', 'Produkt', 'Vertragsnr.', 'Netto', 'Status'], rows, [5]));
+  }
+
+  #renderSection(title, content) {
+    return createElement('section', { className: 'customer-360-card' }, [
+      createElement('h3', { className: 'customer-360-section-title' }, [title]),
+      content,
+    ]);
+  }
+
+  #renderEmpty(text) {
+    return createElement('p', { className: 'customer-360-empty' }, [text]);
+  }
+
+  /**
+   * @param {string[]} headers
+   * @param {Array<Array<string|HTMLElement>>} rows
+   * @param {number[]} numberColumns - Right-aligned column indexes
+   */
+  #renderTable(headers, rows, numberColumns = []) {
+    const cellClass = (index) => (numberColumns.includes(index) ? 'customer-360-number-cell' : '');
+
+    return createElement('table', { className: 'customer-360-table' }, [
+      createElement('thead', {}, [
+        createElement('tr', {}, headers.map((header, i) => createElement('th', { className: cellClass(i) }, [header]))),
+      ]),
+      createElement('tbody', {}, rows.map((row) =>
+        createElement('tr', {}, row.map((cell, i) => createElement('td', { className: cellClass(i) }, [cell])))
+      )),
+    ]);
+  }
+
+  #formatCurrency(amount) {
+    return amount.toLocaleString('de-DE', { style: 'currency', currency: 'EUR' });
+  }
+
+  #formatPercent(rate) {
+    return rate.toLocaleString('de-DE', { style: 'percent', maximumFractionDigits: 1 });
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Organisms Barrel Export
+ */
+
+export { Customer360View } from './Customer360View.js';
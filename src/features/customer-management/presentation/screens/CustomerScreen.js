@@ -0,0 +1,253 @@
+/**
+ * Screen: CustomerScreen
+ * Customer master data (Kundenstamm): searchable customer list and the
+ * customer-360 view of a single customer. Admins see all customers,
+ * employees the customers they advise.
+ */
+
+import { createElement, clearElement, getElement } from '../../../../core/utils/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+import { authService } from '../../../../core/auth/index.js';
+import { APP_CONFIG } from '../../../../core/config/index.js';
+import { Button } from '../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { CustomerFormDialog } from '../components/molecules/CustomerFormDialog.js';
+import { Customer360View } from '../components/organisms/Customer360View.js';
+
+export class CustomerScreen {
+  #element;
+  #container;
+  #customerService;
+  #hierarchyService;
+  #customerId;
+  #treeId;
+  #contractService;
+  #tree = null;
+  #customers = [];
+  #overview = null;
+  #contractSummaries = [];
+  #searchQuery = '';
+  #listBody = null;
+
+  constructor(container, customerService, hierarchyService, customerId = null, treeId = null, contractService = null) {
+    this.#container = typeof container === 'string' ? getElement(container) : container;
+    this.#customerService = customerService;
+    this.#hierarchyService = hierarchyService;
+    this.#customerId = customerId;
+    this.#treeId = treeId || APP_CONFIG.mainTreeId;
+    this.#contractService = contractService;
+  }
+
+  get #isAdmin() {
+    return authService.isAdmin();
+  }
+
+  /** Employees only work with the customers they advise */
+  #canAccess(customer) {
+    return this.#isAdmin || customer.advisorId === authService.getLinkedNodeId();
+  }
+
+  #getEmployeeName(employeeId) {
+    return this.#tree?.hasNode(employeeId) ? this.#tree.getNode(employeeId).name : employeeId;
+  }
+
+  #getAdvisors() {
+    if (!this.#isAdmin || !this.#tree) return [];
+    return this.#tree.getAllNodes()
+      .filter((node) => node.id !== this.#tree.rootId)
+      .map((node) => ({ id: node.id, name: node.name }))
+      .sort((a, b) => a.name.localeCompare(b.name, 'de'));
+  }
+
+  // ========================================
+  // DATA
+  // ========================================
+
+  async #loadData() {
+    if (this.#customerId) {
+      const customer = await this.#customerService.getCustomer(this.#customerId);
+      if (!customer || !this.#canAccess(customer)) {
+        Logger.warn(`Customer not available: ${this.#customerId}`);
+        this.#overview = null;
+        return;
+      }
+      const employeeId = this.#isAdmin ? null : authService.getLinkedNodeId();
+      [this.#overview, this.#contractSummaries] = await Promise.all([
+        this.#customerService.getCustomerOverview(this.#customerId, { employeeId }),
+        this.#contractService?.getContractSummaries({ customerId: this.#customerId, employeeId }) ?? [],
+      ]);
+      return;
+    }
+
+    this.#customers = this.#isAdmin
+      ? await this.#customerService.getCustomers()
+      : await this.#customerService.getCustomersByAdvisor(authService.getLinkedNodeId());
+  }
+
+  // ========================================
+  // RENDERING
+  // ========================================
+
+  #render() {
+    if (this.#customerId) {
+      return createElement('div', { className: 'revenue-screen customer-screen' }, [
+        this.#createHeader(this.#overview?.customer.name ?? 'Kunde', this.#overview?.customer.displayNumber ?? ''),
+        createElement('div', { className: 'customer-content' }, [
+          this.#overview
+            ? new Customer360View({
+              overview: this.#overview,
+              contractSummaries: this.#contractSummaries,
+              getEmployeeName: (id) => this.#getEmployeeName(id),
+              canEdit: true,
+              onEdit: () => this.#showCustomerDialog(this.#overview.customer),
+            }).element
+            : createElement('p', { className: 'customer-360-empty' }, ['Kunde nicht gefunden']),
+        ]),
+      ]);
+    }
+
+    this.#listBody = createElement('tbody');
+    this.#renderRows();
+
+    return createElement('div', { className: 'revenue-screen customer-screen' }, [
+      this.#createHeader('Kunden', `${this.#customers.length} im Kundenstamm`),
+      this.#createToolbar(),
+      createElement('div', { className: 'customer-content' }, [
+        createElement('table', { className: 'customer-list-table' }, [
+          createElement('thead', {}, [
+            createElement('tr', {}, ['Kd-Nr.', 'Name', 'Anschrift', 'Betreuer', 'Kontakt'].map((label) =>
+              createElement('th', {}, [label])
+            )),
+          ]),
+          this.#listBody,
+        ]),
+      ]),
+    ]);
+  }
+
+  #createHeader(title, subtitle) {
+    const backButton = createElement('button', {
+      className: 'btn-back-to-org',
+      onclick: () => {
+        window.location.hash = this.#customerId ? 'customers' : '';
+      },
+      'aria-label': this.#customerId ? 'Zurück zur Kundenliste' : 'Zurück zum Organigramm',
+    }, [
+      createElement('svg', {
+        width: '20',
+        height: '20',
+        viewBox: '0 0 20 20',
+        fill: 'none',
+        stroke: 'currentColor',
+        'stroke-width': '2.5',
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+        style: 'display: block;',
+      }, [
+        createElement('path', { d: 'M13 5L7 10L13 15' }),
+      ]),
+    ]);
+
+    return createElement('header', { className: 'revenue-header' }, [
+      createElement('div', { className: 'header-left' }, [
+        backButton,
+        createElement('div', { className: 'header-title-group header-title-group--inline' }, [
+          createElement('h1', { className: 'header-title' }, [title]),
+          subtitle ? createElement('span', { className: 'header-separator' }, ['·']) : null,
+          subtitle ? createElement('span', { className: 'header-employee-name' }, [subtitle]) : null,
+        ]),
+      ]),
+    ]);
+  }
+
+  #createToolbar() {
+    const searchInput = createElement('input', {
+      type: 'search',
+      className: 'input-field customer-search-input',
+      placeholder: 'Name, Kundennummer, E-Mail oder Ort',
+      value: this.#searchQuery,
+    });
+    searchInput.addEventListener('input', async () => {
+      this.#searchQuery = searchInput.value;
+      await this.#renderRows();
+    });
+
+    return createElement('div', { className: 'revenue-toolbar customer-toolbar' }, [
+      searchInput,
+      new Button({
+        label: 'Neuer Kunde',
+        variant: 'primary',
+        size: 'sm',
+        onClick: () => this.#showCustomerDialog(null),
+      }).element,
+    ]);
+  }
+
+  async #renderRows() {
+    const customers = await this.#customerService.search(this.#searchQuery, this.#customers);
+
+    if (customers.length === 0) {
+      this.#listBody.replaceChildren(createElement('tr', {}, [
+        createElement('td', { className: 'customer-360-empty', colspan: '5' }, [
+          this.#customers.length === 0 ? 'Noch keine Kunden angelegt' : 'Keine Kunden gefunden',
+        ]),
+      ]));
+      return;
+    }
+
+    this.#listBody.replaceChildren(...customers.map((customer) => createElement('tr', {
+      className: 'customer-list-row',
+      onclick: () => {
+        window.location.hash = `customers/${customer.id}`;
+      },
+    }, [
+      createElement('td', {}, [customer.displayNumber]),
+      createElement('td', { className: 'customer-list-name' }, [customer.name]),
+      createElement('td', {}, [customer.address.formatted]),
+      createElement('td', {}, [customer.advisorId ? this.#getEmployeeName(customer.advisorId) : '—']),
+      createElement('td', {}, [[customer.email, customer.phone].filter(Boolean).join(' · ')]),
+    ])));
+  }
+
+  #showCustomerDialog(customer) {
+    const dialog = new CustomerFormDialog({
+      customerService: this.#customerService,
+      customer,
+      advisors: this.#getAdvisors(),
+      defaultAdvisorId: authService.getLinkedNodeId(),
+      createdBy: authService.getCurrentUser()?.uid ?? null,
+      onSaved: async (saved) => {
+        if (this.#customerId === saved.id) {
+          await this.mount();
+        } else {
+          window.location.hash = `customers/${saved.id}`;
+        }
+      },
+      onOpenExisting: (existing) => {
+        window.location.hash = `customers/${existing.id}`;
+      },
+    });
+    dialog.show();
+  }
+
+  async mount() {
+    clearElement(this.#container);
+    try {
+      this.#tree = await this.#hierarchyService.getTree(this.#treeId);
+    } catch (error) {
+      Logger.warn('Failed to load tree for customer screen:', error);
+      this.#tree = null;
+    }
+
+    try {
+      await this.#loadData();
+    } catch (error) {
+      Logger.error('Failed to load customers:', error);
+    }
+    this.#element = this.#render();
+    this.#container.appendChild(this.#element);
+  }
+
+  unmount() {
+    clearElement(this.#container);
+  }
+}
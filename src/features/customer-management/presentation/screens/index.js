@@ -0,0 +1,5 @@
+/**
+ * Screens Barrel Export
+ */
+
+export { CustomerScreen } from './CustomerScreen.js';
@@ -8,6 +8,7 @@ import { ValidationError, HierarchyError } from '../../../../core/errors/index.j
 import { NodePosition } from '../value-objects/NodePosition.js';
 import { NodeMetadata } from '../value-objects/NodeMetadata.js';
 import { NodeType, NODE_TYPES } from '../value-objects/NodeType.js';
+import { ProvisionRatePeriod } from '../value-objects/ProvisionRatePeriod.js';
 
 export class HierarchyNode {
   #id;
@@ -23,9 +24,7 @@ export class HierarchyNode {
   #order;
   #email;
   #phone;
-  #bankProvision;
-  #realEstateProvision;
-  #insuranceProvision;
+  #provisionHistory; // ProvisionRatePeriod[], sorted by validFrom (open start first)
 
   constructor({
     id = null,
@@ -44,6 +43,7 @@ export class HierarchyNode {
     bankProvision = 0,
     realEstateProvision = 0,
     insuranceProvision = 0,
+    provisionHistory = null,
   }) {
     this.#id = id || generateUUID();
     this.#validateId(this.#id);
@@ -61,14 +61,67 @@ export class HierarchyNode {
     this.#order = order;
     this.#email = email;
     this.#phone = phone;
-    this.#bankProvision = this.#validateProvision(bankProvision);
-    this.#realEstateProvision = this.#validateProvision(realEstateProvision);
-    this.#insuranceProvision = this.#validateProvision(insuranceProvision);
+
+    // Nodes without a rate history (legacy) get one open period from their flat rates
+    this.#provisionHistory = provisionHistory?.length
+      ? this.#normalizeProvisionHistory(provisionHistory)
+      : [new ProvisionRatePeriod({ bankProvision, realEstateProvision, insuranceProvision })];
+  }
+
+  #normalizeProvisionHistory(periods) {
+    const sorted = periods
+      .map((period) => (period instanceof ProvisionRatePeriod ? period : ProvisionRatePeriod.fromJSON(period)))
+      .sort((a, b) => {
+        if (a.validFrom === b.validFrom) return 0;
+        if (a.validFrom === null) return -1;
+        if (b.validFrom === null) return 1;
+        return a.validFrom < b.validFrom ? -1 : 1;
+      });
+
+    // The earliest period always applies since the beginning, so entries dated
+    // before the first recorded change still resolve to a rate
+    sorted[0] = sorted[0].withValidFrom(null);
+
+    // Drop duplicate start dates (last one wins)
+    const unique = [];
+    for (const period of sorted) {
+      if (unique.length > 0 && unique[unique.length - 1].validFrom === period.validFrom) {
+        unique[unique.length - 1] = period;
+      } else {
+        unique.push(period);
+      }
+    }
+
+    // Drop periods that don't change any rate
+    return unique.filter((period, index) => index === 0 || !unique[index - 1].hasSameRates(period));
   }
 
-  #validateProvision(value) {
-    const num = parseFloat(value) || 0;
-    return Math.max(0, Math.min(100, num));
+  #getPeriodAt(dateKey) {
+    let effective = this.#provisionHistory[0];
+    for (const period of this.#provisionHistory) {
+      if (period.isEffectiveOn(dateKey)) {
+        effective = period;
+      }
+    }
+    return effective;
+  }
+
+  /**
+   * Change rates from a given day onwards. Later periods keep their own rates.
+   */
+  #setProvisionRatesFrom(dateKey, rates) {
+    const current = this.#getPeriodAt(dateKey);
+    const updated = current.withRates(rates);
+    if (updated.hasSameRates(current)) {
+      return false;
+    }
+
+    const others = this.#provisionHistory.filter((period) => period.validFrom !== dateKey);
+    this.#provisionHistory = this.#normalizeProvisionHistory([
+      ...others,
+      updated.withValidFrom(dateKey),
+    ]);
+    return true;
   }
 
   #validateId(id) {
@@ -138,20 +191,48 @@ export class HierarchyNode {
     return this.#phone;
   }
 
+  // Flat rate getters return the rates effective today
   get bankProvision() {
-    return this.#bankProvision;
+    return this.#getPeriodAt(ProvisionRatePeriod.todayKey()).bankProvision;
   }
 
   get realEstateProvision() {
-    return this.#realEstateProvision;
+    return this.#getPeriodAt(ProvisionRatePeriod.todayKey()).realEstateProvision;
   }
 
   get insuranceProvision() {
-    return this.#insuranceProvision;
+    return this.#getPeriodAt(ProvisionRatePeriod.todayKey()).insuranceProvision;
   }
 
   get totalProvision() {
-    return this.#bankProvision + this.#realEstateProvision + this.#insuranceProvision;
+    return this.bankProvision + this.realEstateProvision + this.insuranceProvision;
+  }
+
+  get provisionHistory() {
+    return [...this.#provisionHistory];
+  }
+
+  /**
+   * Rate changes that have been scheduled but are not effective yet
+   */
+  get scheduledProvisionChanges() {
+    const today = ProvisionRatePeriod.todayKey();
+    return this.#provisionHistory.filter((period) => !period.isEffectiveOn(today));
+  }
+
+  /**
+   * Get the provision rates that applied on a given day
+   * @param {Date|string|null} date - Defaults to today
+   * @returns {{bankProvision: number, realEstateProvision: number, insuranceProvision: number}}
+   */
+  getProvisionRatesAt(date = null) {
+    const dateKey = date ? ProvisionRatePeriod.toDateKey(date) : ProvisionRatePeriod.todayKey();
+    const period = this.#getPeriodAt(dateKey);
+    return {
+      bankProvision: period.bankProvision,
+      realEstateProvision: period.realEstateProvision,
+      insuranceProvision: period.insuranceProvision,
+    };
   }
 
   get isRoot() {
@@ -268,20 +349,85 @@ export class HierarchyNode {
   }
 
   updateBankProvision(value) {
-    this.#bankProvision = this.#validateProvision(value);
-    this.#metadata = this.#metadata.withUpdatedTimestamp();
+    if (this.#setProvisionRatesFrom(ProvisionRatePeriod.todayKey(), { bankProvision: value })) {
+      this.#metadata = this.#metadata.withUpdatedTimestamp();
+    }
     return this;
   }
 
   updateRealEstateProvision(value) {
-    this.#realEstateProvision = this.#validateProvision(value);
-    this.#metadata = this.#metadata.withUpdatedTimestamp();
+    if (this.#setProvisionRatesFrom(ProvisionRatePeriod.todayKey(), { realEstateProvision: value })) {
+      this.#metadata = this.#metadata.withUpdatedTimestamp();
+    }
     return this;
   }
 
   updateInsuranceProvision(value) {
-    this.#insuranceProvision = this.#validateProvision(value);
-    this.#metadata = this.#metadata.withUpdatedTimestamp();
+    if (this.#setProvisionRatesFrom(ProvisionRatePeriod.todayKey(), { insuranceProvision: value })) {
+      this.#metadata = this.#metadata.withUpdatedTimestamp();
+    }
+    return this;
+  }
+
+  /**
+   * Schedule new rates from a future day onwards (e.g. a promotion on the 1st of next month)
+   * @param {Object} change - { validFrom, bankProvision, realEstateProvision, insuranceProvision }
+   */
+  scheduleProvisionChange({ validFrom, ...rates }) {
+    if (!validFrom) {
+      throw new ValidationError('A scheduled provision change requires a validFrom date', 'validFrom');
+    }
+    const dateKey = ProvisionRatePeriod.toDateKey(validFrom);
+    if (dateKey <= ProvisionRatePeriod.todayKey()) {
+      throw new ValidationError('Scheduled provision changes must start in the future', 'validFrom');
+    }
+
+    if (this.#setProvisionRatesFrom(dateKey, rates)) {
+      this.#metadata = this.#metadata.withUpdatedTimestamp();
+    }
+    return this;
+  }
+
+  removeScheduledProvisionChange(validFrom) {
+    const dateKey = ProvisionRatePeriod.toDateKey(validFrom);
+    if (dateKey <= ProvisionRatePeriod.todayKey()) {
+      throw new ValidationError('Only future provision changes can be removed', 'validFrom');
+    }
+
+    const remaining = this.#provisionHistory.filter((period) => period.validFrom !== dateKey);
+    if (remaining.length !== this.#provisionHistory.length) {
+      this.#provisionHistory = this.#normalizeProvisionHistory(remaining);
+      this.#metadata = this.#metadata.withUpdatedTimestamp();
+    }
+    return this;
+  }
+
+  /**
+   * Replace all future periods with the given list of scheduled changes
+   */
+  replaceScheduledProvisionChanges(changes = []) {
+    const today = ProvisionRatePeriod.todayKey();
+    for (const period of this.scheduledProvisionChanges) {
+      this.removeScheduledProvisionChange(period.validFrom);
+    }
+    const sorted = changes
+      .map((change) => (change instanceof ProvisionRatePeriod ? change : ProvisionRatePeriod.fromJSON(change)))
+      .filter((change) => change.validFrom && change.validFrom > today)
+      .sort((a, b) => (a.validFrom < b.validFrom ? -1 : 1));
+    for (const change of sorted) {
+      this.scheduleProvisionChange(change.toJSON());
+    }
+    return this;
+  }
+
+  /**
+   * Restore a complete rate history (e.g. rollback after a failed save)
+   */
+  restoreProvisionHistory(periods) {
+    if (!Array.isArray(periods) || periods.length === 0) {
+      throw new ValidationError('Provision history must contain at least one period', 'provisionHistory');
+    }
+    this.#provisionHistory = this.#normalizeProvisionHistory(periods);
     return this;
   }
 
@@ -300,9 +446,7 @@ export class HierarchyNode {
       order: this.#order,
       email: this.#email,
       phone: this.#phone,
-      bankProvision: this.#bankProvision,
-      realEstateProvision: this.#realEstateProvision,
-      insuranceProvision: this.#insuranceProvision,
+      provisionHistory: this.#provisionHistory,
     });
   }
 
@@ -321,9 +465,11 @@ export class HierarchyNode {
       order: this.#order,
       email: this.#email,
       phone: this.#phone,
-      bankProvision: this.#bankProvision,
-      realEstateProvision: this.#realEstateProvision,
-      insuranceProvision: this.#insuranceProvision,
+      // Flat rates are kept for readers that don't know the rate history (current rates)
+      bankProvision: this.bankProvision,
+      realEstateProvision: this.realEstateProvision,
+      insuranceProvision: this.insuranceProvision,
+      provisionHistory: this.#provisionHistory.map((period) => period.toJSON()),
     };
   }
 
@@ -345,6 +491,7 @@ export class HierarchyNode {
       bankProvision: json.bankProvision ?? 0,
       realEstateProvision: json.realEstateProvision ?? 0,
       insuranceProvision: json.insuranceProvision ?? 0,
+      provisionHistory: json.provisionHistory ?? null,
     });
   }
 
@@ -299,6 +299,11 @@ export class HierarchyTree {
   updateNode(nodeId, updates) {
     const node = this.getNode(nodeId);
 
+    // Full history replacement first (rollback), then today's rates, then scheduled changes
+    if (updates.provisionHistory !== undefined) {
+      node.restoreProvisionHistory(updates.provisionHistory);
+    }
+
     if (updates.name !== undefined) {
       node.updateName(updates.name);
     }
@@ -326,6 +331,9 @@ export class HierarchyTree {
     if (updates.insuranceProvision !== undefined) {
       node.updateInsuranceProvision(updates.insuranceProvision);
     }
+    if (updates.scheduledProvisionChanges !== undefined) {
+      node.replaceScheduledProvisionChanges(updates.scheduledProvisionChanges);
+    }
 
     this.#metadata = this.#metadata.withUpdatedTimestamp();
 
@@ -138,9 +138,7 @@ export class HierarchyService {
       type: node.type,
       email: node.email,
       phone: node.phone,
-      bankProvision: node.bankProvision,
-      realEstateProvision: node.realEstateProvision,
-      insuranceProvision: node.insuranceProvision,
+      provisionHistory: node.provisionHistory,
     };
 
     // Apply updates
@@ -0,0 +1,127 @@
+/**
+ * Value Object: ProvisionRatePeriod
+ * Provision rates of a hierarchy node that apply from a given date onwards
+ * (until the next period of the node's rate history starts)
+ */
+
+import { ValidationError } from '../../../../core/errors/index.js';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class ProvisionRatePeriod {
+  #validFrom;
+  #bankProvision;
+  #realEstateProvision;
+  #insuranceProvision;
+
+  /**
+   * @param {Object} params
+   * @param {string|Date|null} params.validFrom - First day the rates apply (null = since the beginning)
+   */
+  constructor({
+    validFrom = null,
+    bankProvision = 0,
+    realEstateProvision = 0,
+    insuranceProvision = 0,
+  } = {}) {
+    this.#validFrom = validFrom === null ? null : ProvisionRatePeriod.toDateKey(validFrom);
+    this.#bankProvision = this.#validateProvision(bankProvision);
+    this.#realEstateProvision = this.#validateProvision(realEstateProvision);
+    this.#insuranceProvision = this.#validateProvision(insuranceProvision);
+    Object.freeze(this);
+  }
+
+  #validateProvision(value) {
+    const num = parseFloat(value) || 0;
+    return Math.max(0, Math.min(100, num));
+  }
+
+  get validFrom() {
+    return this.#validFrom;
+  }
+
+  get bankProvision() {
+    return this.#bankProvision;
+  }
+
+  get realEstateProvision() {
+    return this.#realEstateProvision;
+  }
+
+  get insuranceProvision() {
+    return this.#insuranceProvision;
+  }
+
+  /**
+   * Check if the period has started on the given day (YYYY-MM-DD)
+   */
+  isEffectiveOn(dateKey) {
+    return this.#validFrom === null || this.#validFrom <= dateKey;
+  }
+
+  hasSameRates(other) {
+    if (!(other instanceof ProvisionRatePeriod)) {
+      return false;
+    }
+    return (
+      this.#bankProvision === other.bankProvision &&
+      this.#realEstateProvision === other.realEstateProvision &&
+      this.#insuranceProvision === other.insuranceProvision
+    );
+  }
+
+  withRates(rates = {}) {
+    return new ProvisionRatePeriod({
+      validFrom: this.#validFrom,
+      bankProvision: rates.bankProvision ?? this.#bankProvision,
+      realEstateProvision: rates.realEstateProvision ?? this.#realEstateProvision,
+      insuranceProvision: rates.insuranceProvision ?? this.#insuranceProvision,
+    });
+  }
+
+  withValidFrom(validFrom) {
+    return new ProvisionRatePeriod({
+      validFrom,
+      bankProvision: this.#bankProvision,
+      realEstateProvision: this.#realEstateProvision,
+      insuranceProvision: this.#insuranceProvision,
+    });
+  }
+
+  toJSON() {
+    return {
+      validFrom: this.#validFrom,
+      bankProvision: this.#bankProvision,
+      realEstateProvision: this.#realEstateProvision,
+      insuranceProvision: this.#insuranceProvision,
+    };
+  }
+
+  static fromJSON(json) {
+    return new ProvisionRatePeriod(json);
+  }
+
+  /**
+   * Normalize a date to a local calendar day key (YYYY-MM-DD).
+   * Day keys sort lexicographically, so periods can be compared as strings.
+   */
+  static toDateKey(date) {
+    if (typeof date === 'string' && DATE_KEY_PATTERN.test(date)) {
+      return date;
+    }
+
+    const parsed = date instanceof Date ? date : new Date(date);
+    if (isNaN(parsed.getTime())) {
+      throw new ValidationError('Invalid validFrom date for provision rates', 'validFrom');
+    }
+
+    const year = parsed.getFullYear();
+    const month = String(parsed.getMonth() + 1).padStart(2, '0');
+    const day = String(parsed.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  static todayKey() {
+    return ProvisionRatePeriod.toDateKey(new Date());
+  }
+}
@@ -5,3 +5,4 @@
 export * from './NodePosition.js';
 export * from './NodeMetadata.js';
 export * from './NodeType.js';
+export * from './ProvisionRatePeriod.js';
@@ -3,7 +3,8 @@
  * Form for editing node properties
  */
 
-import { createElement } from '../../../../../core/utils/index.js';
+import { createElement, clearElement, formatDate } from '../../../../../core/utils/index.js';
+import { ProvisionRatePeriod } from '../../../domain/value-objects/ProvisionRatePeriod.js';
 import { Input } from '../atoms/Input.js';
 import { Button } from '../atoms/Button.js';
 import { Icon } from '../atoms/Icon.js';
@@ -21,9 +22,17 @@ export class NodeEditor {
   #bankProvisionInput;
   #realEstateProvisionInput;
   #insuranceProvisionInput;
+  #scheduledChanges;
+  #timelineList;
+  #scheduleDateInput;
+  #scheduleBankInput;
+  #scheduleRealEstateInput;
+  #scheduleInsuranceInput;
 
   constructor(node, props = {}) {
     this.#node = node;
+    // Pending future rate changes, applied to the node on save
+    this.#scheduledChanges = (node?.scheduledProvisionChanges || []).map((period) => period.toJSON());
     this.#props = {
       onSave: props.onSave || null,
       onCancel: props.onCancel || null,
@@ -143,6 +152,9 @@ export class NodeEditor {
       ]),
     ]);
 
+    // Rate timeline (existing nodes only - new nodes start with a single open period)
+    const timelineSection = this.#node ? this.#renderTimelineSection() : null;
+
     // Unified action bar
     const deleteButton = this.#node && !this.#node.isRoot
       ? new Button({
@@ -191,10 +203,142 @@ export class NodeEditor {
       basicSection,
       contactSection,
       provisionSection,
+      timelineSection,
       actionsBar,
+    ].filter(Boolean));
+  }
+
+  #renderTimelineSection() {
+    this.#timelineList = createElement('div', { className: 'provision-timeline' });
+    this.#renderTimeline();
+
+    // Pre-fill the schedule form with today's rates and the 1st of next month
+    const now = new Date();
+    const firstOfNextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+    this.#scheduleDateInput = new Input({
+      label: 'Gültig ab',
+      value: ProvisionRatePeriod.toDateKey(firstOfNextMonth),
+      type: 'date',
+    });
+
+    this.#scheduleBankInput = new Input({
+      label: 'Bank',
+      value: this.#node.bankProvision.toString(),
+      type: 'number',
+    });
+
+    this.#scheduleRealEstateInput = new Input({
+      label: 'Immobilien',
+      value: this.#node.realEstateProvision.toString(),
+      type: 'number',
+    });
+
+    this.#scheduleInsuranceInput = new Input({
+      label: 'Versicherung',
+      value: this.#node.insuranceProvision.toString(),
+      type: 'number',
+    });
+
+    return createElement('div', { className: 'editor-section-group' }, [
+      createElement('h4', { className: 'editor-section-title' }, ['Provisionsverlauf']),
+      this.#timelineList,
+      this.#scheduleDateInput.element,
+      createElement('div', { className: 'editor-row-3' }, [
+        this.#scheduleBankInput.element,
+        this.#scheduleRealEstateInput.element,
+        this.#scheduleInsuranceInput.element,
+      ]),
+      new Button({
+        label: 'Änderung planen',
+        variant: 'secondary',
+        size: 'sm',
+        icon: new Icon({ name: 'plus', size: 14 }),
+        onClick: () => this.#handleScheduleChange(),
+      }).element,
     ]);
   }
 
+  #renderTimeline() {
+    clearElement(this.#timelineList);
+
+    const today = ProvisionRatePeriod.todayKey();
+    const pastAndCurrent = this.#node.provisionHistory
+      .filter((period) => period.isEffectiveOn(today))
+      .map((period) => period.toJSON());
+    const periods = [...pastAndCurrent, ...this.#scheduledChanges];
+
+    periods.forEach((period, index) => {
+      const isScheduled = period.validFrom !== null && period.validFrom > today;
+      const isCurrent = index === pastAndCurrent.length - 1;
+
+      const status = isScheduled ? 'geplant' : (isCurrent ? 'aktuell' : null);
+      const removeButton = isScheduled
+        ? new Button({
+            variant: 'ghost',
+            size: 'sm',
+            icon: new Icon({ name: 'delete', size: 14 }),
+            title: 'Geplante Änderung entfernen',
+            onClick: () => this.#handleRemoveScheduledChange(period.validFrom),
+          }).element
+        : null;
+
+      this.#timelineList.appendChild(
+        createElement('div', {
+          className: `provision-timeline-item ${isScheduled ? 'provision-timeline-item--scheduled' : ''}`,
+        }, [
+          createElement('div', { className: 'provision-timeline-date' }, [
+            this.#formatValidFrom(period.validFrom),
+            status ? createElement('span', { className: 'provision-timeline-status' }, [status]) : null,
+          ].filter(Boolean)),
+          createElement('div', { className: 'provision-timeline-rates' }, [
+            `Bank ${period.bankProvision}% · Immobilien ${period.realEstateProvision}% · Versicherung ${period.insuranceProvision}%`,
+          ]),
+          removeButton,
+        ].filter(Boolean)),
+      );
+    });
+  }
+
+  #formatValidFrom(validFrom) {
+    if (validFrom === null) return 'Seit Beginn';
+    // Parse as local date - a bare YYYY-MM-DD string would be read as UTC
+    return `Ab ${formatDate(new Date(`${validFrom}T00:00:00`))}`;
+  }
+
+  #handleScheduleChange() {
+    const validFrom = this.#scheduleDateInput.value;
+    this.#scheduleDateInput.setError(null);
+
+    if (!validFrom) {
+      this.#scheduleDateInput.setError('Datum ist erforderlich');
+      return;
+    }
+    if (validFrom <= ProvisionRatePeriod.todayKey()) {
+      this.#scheduleDateInput.setError('Geplante Änderungen müssen in der Zukunft liegen');
+      return;
+    }
+
+    const change = new ProvisionRatePeriod({
+      validFrom,
+      bankProvision: this.#scheduleBankInput.value,
+      realEstateProvision: this.#scheduleRealEstateInput.value,
+      insuranceProvision: this.#scheduleInsuranceInput.value,
+    }).toJSON();
+
+    this.#scheduledChanges = [
+      ...this.#scheduledChanges.filter((existing) => existing.validFrom !== validFrom),
+      change,
+    ].sort((a, b) => (a.validFrom < b.validFrom ? -1 : 1));
+
+    this.#renderTimeline();
+  }
+
+  #handleRemoveScheduledChange(validFrom) {
+    this.#scheduledChanges = this.#scheduledChanges.filter((change) => change.validFrom !== validFrom);
+    this.#renderTimeline();
+  }
+
   #handleSave() {
     const name = this.#nameInput.value.trim();
     const email = this.#emailInput.value.trim();
@@ -237,6 +381,10 @@ export class NodeEditor {
       insuranceProvision: parseFloat(this.#insuranceProvisionInput.value) || 0,
     };
 
+    if (!isNewNode) {
+      data.scheduledProvisionChanges = [...this.#scheduledChanges];
+    }
+
     // Add password for new nodes
     if (isNewNode && this.#passwordInput) {
       data.password = this.#passwordInput.value;
@@ -264,5 +412,10 @@ export class NodeEditor {
     this.#realEstateProvisionInput.value = this.#node?.realEstateProvision?.toString() || '0';
     this.#insuranceProvisionInput.value = this.#node?.insuranceProvision?.toString() || '0';
     this.#nameInput.setError(null);
+
+    if (this.#node) {
+      this.#scheduledChanges = this.#node.scheduledProvisionChanges.map((period) => period.toJSON());
+      this.#renderTimeline();
+    }
   }
 }
@@ -1,10 +1,12 @@
 /**
  * Molecule: OrgCard
- * Organization chart card with revenue and provision display
+ * Organization chart card with revenue and provision display and the
+ * progress towards the node's current sales target
  */
 
 import { createElement } from '../../../../../core/utils/index.js';
 import { Icon } from '../atoms/Icon.js';
+import { TargetProgressBar } from '../../../../sales-targets/presentation/components/molecules/TargetProgressBar.js';
 
 export class OrgCard {
   #element;
@@ -43,6 +45,24 @@ export class OrgCard {
   }
 
   #renderRevenueInfo() {
+    const revenueInfo = this.#renderRevenueFigures();
+    const targetProgress = this.#renderTargetProgress();
+    if (targetProgress) {
+      revenueInfo.appendChild(targetProgress);
+    }
+    return revenueInfo;
+  }
+
+  /**
+   * First of the node's current targets (SalesTargetService sorts monthly
+   * targets first), as revenueData.targetProgress
+   */
+  #renderTargetProgress() {
+    const [progress] = this.#props.revenueData?.targetProgress || [];
+    return progress ? new TargetProgressBar({ progress, compact: true }).element : null;
+  }
+
+  #renderRevenueFigures() {
     const data = this.#props.revenueData;
     const isRoot = this.#props.isRoot;
 
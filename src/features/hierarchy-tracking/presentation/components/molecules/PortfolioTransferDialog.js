@@ -0,0 +1,285 @@
+/**
+ * Molecule: PortfolioTransferDialog
+ * Shown when an employee with revenue is removed: pick a successor, the part
+ * of the portfolio that moves and whether open entries get the successor's
+ * provision rates. Skipping keeps all entries with the former employee,
+ * cancelling keeps the employee.
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Button } from '../atoms/Button.js';
+import { Icon } from '../atoms/Icon.js';
+import {
+  PortfolioTransferService,
+  PORTFOLIO_TRANSFER_SCOPES,
+  PORTFOLIO_TRANSFER_SCOPE_LABELS,
+} from '../../../../revenue-tracking/domain/services/PortfolioTransferService.js';
+
+export class PortfolioTransferDialog {
+  #element;
+  #props;
+  #selectedSuccessorId = null;
+  #scope = PORTFOLIO_TRANSFER_SCOPES.ALL;
+  #resnapshotCheckbox;
+  #listContainer;
+  #summaryContainer;
+  #footer;
+  #confirmButton;
+  #errorText;
+
+  /**
+   * @param {Object} props
+   * @param {HierarchyNode} props.node - Leaving employee
+   * @param {HierarchyTree} props.tree
+   * @param {{entries: RevenueEntry[], templates: RecurringRevenueTemplate[]}} props.portfolio
+   * @param {Function} props.onConfirm - async ({ successorId, scope, resnapshot }) => transfer result
+   * @param {Function} props.onClose - Called once the dialog is done with the transfer result,
+   *   null if skipped, { cancelled: true } if the deletion was cancelled
+   */
+  constructor(props = {}) {
+    this.#props = {
+      node: props.node,
+      tree: props.tree,
+      portfolio: props.portfolio || { entries: [], templates: [] },
+      onConfirm: props.onConfirm || null,
+      onClose: props.onClose || null,
+    };
+    this.#element = this.#render();
+  }
+
+  #render() {
+    const overlay = createElement('div', {
+      className: 'dialog-overlay move-employee-dialog-overlay',
+    });
+
+    const { entries, templates } = this.#props.portfolio;
+    const dialogContent = createElement('div', {
+      className: 'dialog-content move-employee-dialog portfolio-transfer-dialog',
+    }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, ['Bestand übertragen']),
+        createElement('p', { className: 'dialog-subtitle' }, [
+          `${this.#props.node.name} — ${entries.length} Umsätze, ${templates.length} wiederkehrende Verträge`,
+        ]),
+      ]),
+      this.#renderBody(),
+      this.#renderFooter(),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    return overlay;
+  }
+
+  #renderBody() {
+    this.#listContainer = createElement('div', { className: 'move-target-list' });
+    this.#renderSuccessorList();
+
+    this.#resnapshotCheckbox = createElement('input', { type: 'checkbox' });
+    this.#summaryContainer = createElement('div', { className: 'move-confirmation-summary hidden' });
+    this.#errorText = createElement('p', { className: 'portfolio-transfer-error' });
+
+    return createElement('div', { className: 'move-employee-body' }, [
+      createElement('h3', { className: 'portfolio-transfer-heading' }, ['Nachfolger']),
+      this.#listContainer,
+      createElement('h3', { className: 'portfolio-transfer-heading' }, ['Umfang']),
+      this.#renderScopeOptions(),
+      createElement('label', { className: 'portfolio-transfer-option' }, [
+        this.#resnapshotCheckbox,
+        createElement('span', {}, [
+          'Offene Umsätze mit den Provisionssätzen des Nachfolgers neu berechnen. ',
+          'Abgerechnete Umsätze behalten immer ihre bisherigen Sätze.',
+        ]),
+      ]),
+      this.#summaryContainer,
+      this.#errorText,
+    ]);
+  }
+
+  #renderSuccessorList() {
+    const { node, tree } = this.#props;
+
+    tree.traverse((treeNode, depth) => {
+      const isDisabled = treeNode.id === node.id || treeNode.id === tree.rootId;
+
+      const item = createElement('div', {
+        className: `move-target-item${isDisabled ? ' disabled' : ''}`,
+        style: `padding-left: ${depth * 20 + 12}px`,
+      }, [
+        new Icon({ name: 'user', size: 16 }).element,
+        createElement('span', { className: 'move-target-name' }, [treeNode.name]),
+        treeNode.id === node.id
+          ? createElement('span', { className: 'move-target-badge' }, ['(scheidet aus)'])
+          : null,
+      ].filter(Boolean));
+
+      if (!isDisabled) {
+        item.addEventListener('click', () => this.#selectSuccessor(treeNode.id, item));
+      }
+
+      this.#listContainer.appendChild(item);
+    });
+  }
+
+  #renderScopeOptions() {
+    const { entries } = this.#props.portfolio;
+
+    return createElement('div', { className: 'portfolio-transfer-scopes' },
+      Object.values(PORTFOLIO_TRANSFER_SCOPES).map((scope) => {
+        const count = entries.filter((e) => PortfolioTransferService.matchesScope(e, scope)).length;
+        const radio = createElement('input', {
+          type: 'radio',
+          name: 'portfolio-transfer-scope',
+          value: scope,
+          checked: scope === this.#scope,
+        });
+        radio.addEventListener('change', () => {
+          this.#scope = scope;
+          this.#updateSummary();
+        });
+
+        return createElement('label', { className: 'portfolio-transfer-option' }, [
+          radio,
+          createElement('span', {}, [`${PORTFOLIO_TRANSFER_SCOPE_LABELS[scope]} (${count})`]),
+        ]);
+      }),
+    );
+  }
+
+  #selectSuccessor(successorId, itemElement) {
+    this.#listContainer.querySelector('.move-target-item.selected')?.classList.remove('selected');
+    itemElement.classList.add('selected');
+
+    this.#selectedSuccessorId = successorId;
+    this.#confirmButton.element.disabled = false;
+    this.#updateSummary();
+  }
+
+  #updateSummary() {
+    if (!this.#selectedSuccessorId) return;
+
+    const { node, tree, portfolio } = this.#props;
+    const moving = portfolio.entries.filter((e) => PortfolioTransferService.matchesScope(e, this.#scope)).length;
+    const staying = portfolio.entries.length - moving;
+
+    this.#summaryContainer.classList.remove('hidden');
+    this.#summaryContainer.replaceChildren(
+      createElement('div', { className: 'move-summary-content' }, [
+        createElement('span', { className: 'move-summary-value' }, [node.name]),
+        createElement('span', { className: 'move-summary-arrow' }, ['→']),
+        createElement('span', { className: 'move-summary-value' }, [tree.getNode(this.#selectedSuccessorId).name]),
+      ]),
+      createElement('p', { className: 'portfolio-transfer-note' }, [
+        `${moving} Umsätze und ${portfolio.templates.length} wiederkehrende Verträge werden übertragen.`,
+        staying > 0 ? ` ${staying} Umsätze bleiben beim ausgeschiedenen Mitarbeiter.` : '',
+      ]),
+    );
+  }
+
+  #renderFooter() {
+    this.#confirmButton = new Button({
+      label: 'Übertragen',
+      variant: 'primary',
+      onClick: () => this.#handleConfirm(),
+    });
+    // Disabled until a successor is selected
+    this.#confirmButton.element.disabled = true;
+
+    this.#footer = createElement('div', { className: 'move-employee-actions' }, [
+      new Button({
+        label: 'Abbrechen',
+        variant: 'ghost',
+        onClick: () => this.#close({ cancelled: true }),
+      }).element,
+      new Button({
+        label: 'Nicht übertragen',
+        variant: 'ghost',
+        onClick: () => this.#close(),
+      }).element,
+      this.#confirmButton.element,
+    ]);
+    return this.#footer;
+  }
+
+  async #handleConfirm() {
+    if (!this.#selectedSuccessorId) return;
+
+    this.#confirmButton.element.disabled = true;
+    this.#errorText.textContent = '';
+
+    try {
+      const result = await this.#props.onConfirm?.({
+        successorId: this.#selectedSuccessorId,
+        scope: this.#scope,
+        resnapshot: this.#resnapshotCheckbox.checked,
+      });
+
+      if (result?.failed?.length > 0 || result?.skipped?.length > 0) {
+        this.#showOutcome(result);
+        return;
+      }
+      this.#close(result);
+    } catch (error) {
+      this.#errorText.textContent = error.message;
+      this.#confirmButton.element.disabled = false;
+    }
+  }
+
+  /**
+   * Entries in closed months stay with the former employee. Entries that
+   * failed to move keep the employee from being deleted.
+   */
+  #showOutcome({ skipped = [], failed = [] }) {
+    const listOf = (items) => createElement('ul', {}, items.map((item) => (
+      createElement('li', {}, [`${item.customerName}: ${item.message}`])
+    )));
+
+    const sections = [];
+    if (skipped.length > 0) {
+      sections.push(
+        createElement('p', { className: 'portfolio-transfer-note' }, [
+          'Folgende Umsätze liegen in abgeschlossenen Monaten und bleiben beim ausgeschiedenen Mitarbeiter:',
+        ]),
+        listOf(skipped),
+      );
+    }
+    if (failed.length > 0) {
+      sections.push(
+        createElement('p', { className: 'portfolio-transfer-note' }, [
+          'Folgende Umsätze konnten nicht übertragen werden. Der Mitarbeiter wird daher nicht gelöscht:',
+        ]),
+        listOf(failed),
+      );
+    }
+    this.#summaryContainer.replaceChildren(...sections);
+    this.#footer.replaceChildren(
+      new Button({ label: 'Weiter', variant: 'primary', onClick: () => this.#close({ skipped, failed }) }).element,
+    );
+  }
+
+  #close(result = null) {
+    this.hide();
+    this.#props.onClose?.(result);
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -490,7 +490,14 @@ export class Sidebar {
             // Show loading overlay (covers everything)
             this.#showLoadingOverlay('Mitarbeiter wird gelöscht...');
 
-            await this.#deleteEmployeeCompletely(deleteData);
+            const deleted = await this.#deleteEmployeeCompletely(deleteData);
+            if (!deleted) {
+              // Transfer cancelled or incomplete - node and account stay
+              this.#hideLoadingOverlay();
+              this.setMode('view');
+              this.show();
+              return;
+            }
 
             // Wait for real-time update EVENT (event-driven!)
             Logger.log('⏳ Waiting for organigramm to update after delete...');
@@ -540,41 +547,30 @@ export class Sidebar {
     }
   }
 
+  /**
+   * Revenue is not deleted - HierarchyScreen's onDelete runs the portfolio
+   * transfer, removes the node and only then deletes the Auth account and
+   * user document.
+   * @returns {Promise<boolean>} Whether the employee was deleted
+   */
   async #deleteEmployeeCompletely(deleteData) {
-    const { uid, email, nodeId } = deleteData;
-
-    Logger.log('Step 1: Delete all revenue entries...');
-    // Note: Revenue deletion should be handled by HierarchyScreen
-    // via onDelete callback which cascades to all related data
-
-    Logger.log('Step 2: Delete via Cloud Function...');
-    // Call Cloud Function to delete Firebase Auth User + Firestore User Document
-    const { getFunctions, httpsCallable } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js');
-    const { firebaseApp } = await import('../../../../../core/firebase/index.js');
-
-    const functions = getFunctions(firebaseApp.app);
-    const deleteEmployee = httpsCallable(functions, 'deleteEmployeeAccount');
-
-    try {
-      await deleteEmployee({ email });
-      Logger.log('✓ Firebase Auth User + User Document deleted');
-    } catch (error) {
-      Logger.warn('Cloud function delete failed (may not exist):', error);
-      // Continue with client-side deletion
-    }
+    const { nodeId } = deleteData;
 
-    Logger.log('Step 3: Delete HierarchyNode...');
     Logger.log('  Calling onDelete with nodeId:', nodeId, 'skipConfirmation: TRUE');
-    // Call HierarchyScreen onDelete to handle node + revenue entries deletion
     // Pass true to skip confirmation (already confirmed in Wizard)
-    if (this.#props.onDelete) {
-      this.#props.onDelete(nodeId, true);
-      Logger.log('  onDelete callback executed with skipConfirmation=true');
-    } else {
+    if (!this.#props.onDelete) {
       Logger.error('  ❌ onDelete callback is null!');
+      return false;
+    }
+
+    const result = await this.#props.onDelete(nodeId, true);
+    if (!result?.deleted) {
+      Logger.log('Employee not deleted (portfolio transfer cancelled or incomplete)');
+      return false;
     }
 
     Logger.log('✅ Employee account deleted completely');
+    return true;
   }
 
   #waitForTreeUpdate(timeoutMs = 5000) {
@@ -19,6 +19,8 @@ import { HierarchyNode } from '../../domain/entities/HierarchyNode.js';
 import { NODE_TYPES } from '../../domain/value-objects/NodeType.js';
 import { AddEmployeeWizard } from '../../../user-profile/presentation/components/AddEmployeeWizard.js';
 import { MoveEmployeeDialog } from '../components/molecules/MoveEmployeeDialog.js';
+import { PortfolioTransferDialog } from '../components/molecules/PortfolioTransferDialog.js';
+import { CareerPromotionDialog } from '../../../career-promotion/presentation/components/molecules/CareerPromotionDialog.js';
 import { Logger } from './../../../../core/utils/logger.js';
 
 export class HierarchyScreen {
@@ -27,6 +29,9 @@ export class HierarchyScreen {
   #hierarchyService;
   #revenueService;
   #profileService;
+  #portfolioTransferService;
+  #salesTargetService;
+  #careerPromotionService;
   #state;
   #orgView;
   #orgSearch;
@@ -44,11 +49,14 @@ export class HierarchyScreen {
   #closeUserMenuHandler = null;
   #revenueUpdateTimer = null;
 
-  constructor(container, hierarchyService, revenueService = null, profileService = null) {
+  constructor(container, hierarchyService, revenueService = null, profileService = null, portfolioTransferService = null, salesTargetService = null, careerPromotionService = null) {
     this.#container = typeof container === 'string' ? getElement(container) : container;
     this.#hierarchyService = hierarchyService;
     this.#revenueService = revenueService;
     this.#profileService = profileService;
+    this.#portfolioTransferService = portfolioTransferService;
+    this.#salesTargetService = salesTargetService;
+    this.#careerPromotionService = careerPromotionService;
     this.#state = new HierarchyState();
     this.#currentTreeId = null;
     this.#updateTimeout = null;
@@ -211,12 +219,32 @@ export class HierarchyScreen {
           className: 'user-menu-item',
           onclick: () => this.#showChangePasswordDialog(),
         }, ['Passwort ändern']),
+        createElement('button', {
+          className: 'user-menu-item',
+          onclick: () => window.navigateToCustomers(),
+        }, ['Kunden']),
+        createElement('button', {
+          className: 'user-menu-item',
+          onclick: () => window.navigateToContracts(),
+        }, ['Verträge']),
+        createElement('button', {
+          className: 'user-menu-item',
+          onclick: () => window.navigateToBillingArchive(),
+        }, ['Abrechnungsarchiv']),
+        isAdmin ? createElement('button', {
+          className: 'user-menu-item',
+          onclick: () => window.navigateToSimulator(this.#currentTreeId),
+        }, ['Provisionssimulator']) : null,
+        isAdmin && this.#careerPromotionService ? createElement('button', {
+          className: 'user-menu-item',
+          onclick: () => this.#showCareerPromotionDialog(),
+        }, ['Karrierestufen']) : null,
         createElement('div', { className: 'user-menu-divider' }),
         createElement('button', {
           className: 'user-menu-item user-menu-logout',
           onclick: () => this.#handleLogout(),
         }, ['Abmelden']),
-      ]),
+      ].filter(Boolean)),
     ]);
 
     return createElement('header', { className: 'app-header' }, [
@@ -406,6 +434,19 @@ export class HierarchyScreen {
     return { valid: true };
   }
 
+  #showCareerPromotionDialog() {
+    this.#element.querySelector('.user-menu').classList.remove('open');
+
+    const dialog = new CareerPromotionDialog({
+      treeId: this.#currentTreeId,
+      careerPromotionService: this.#careerPromotionService,
+      approvedBy: authService.getCurrentUser()?.uid || null,
+      // New rates are part of the node's history, so the cards need the fresh tree
+      onPromoted: () => this.#refreshTree(),
+    });
+    dialog.show();
+  }
+
   async #handleLogout() {
     const confirmed = window.confirm('Möchten Sie sich wirklich abmelden?');
     if (confirmed) {
@@ -466,19 +507,36 @@ export class HierarchyScreen {
     }
   }
 
-async #handleNodeDelete(nodeId, skipConfirmation = false) {
+  /**
+   * Transfer the portfolio, remove the node and only then delete the account.
+   * @returns {Promise<{deleted: boolean, transfer: Object|null}>}
+   */
+  async #handleNodeDelete(nodeId, skipConfirmation = false) {
     Logger.log('🗑️ #handleNodeDelete called - skipConfirmation:', skipConfirmation);
 
     const tree = this.#state.currentTree;
     if (!tree || !tree.hasNode(nodeId)) {
       Logger.warn('⚠ Node not found in local tree');
-      return;
+      return { deleted: false, transfer: null };
     }
 
     const node = tree.getNode(nodeId);
     const hasEmail = node.email && node.email.trim() !== '';
+    let transfer = null;
 
     try {
+      // Revenue is never deleted with the employee: it is handed over to a
+      // successor or stays with the former employee for historic billing
+      transfer = await this.#offerPortfolioTransfer(node, tree);
+      if (transfer?.cancelled) {
+        Logger.log('Portfolio transfer cancelled - employee is kept');
+        return { deleted: false, transfer };
+      }
+      if (transfer?.failed?.length > 0) {
+        alert(`${transfer.failed.length} Umsätze von ${node.name} konnten nicht übertragen werden. Der Mitarbeiter wird nicht gelöscht.`);
+        return { deleted: false, transfer };
+      }
+
       // Delete node from tree (service now checks backend existence)
       await this.#hierarchyService.removeNode(this.#currentTreeId, nodeId);
 
@@ -486,17 +544,7 @@ async #handleNodeDelete(nodeId, skipConfirmation = false) {
       if (hasEmail) {
         Logger.log(`🗑️ Deleting all data for employee: ${node.email}`);
 
-        // 1. Delete revenue entries
-        if (this.#revenueService) {
-          try {
-            await this.#deleteEmployeeRevenueEntries(nodeId);
-            Logger.log('✓ Revenue entries deleted');
-          } catch (error) {
-            Logger.warn('⚠ Failed to delete revenue entries:', error);
-          }
-        }
-
-        // 2. Delete tracking events for this node
+        // 1. Delete tracking events for this node
         try {
           await this.#deleteEmployeeTrackingEvents(nodeId);
           Logger.log('✓ Tracking events deleted');
@@ -504,7 +552,7 @@ async #handleNodeDelete(nodeId, skipConfirmation = false) {
           Logger.warn('⚠ Failed to delete tracking events:', error);
         }
 
-        // 3. Delete Firebase Auth account via Cloud Function
+        // 2. Delete Firebase Auth account via Cloud Function
         try {
           const result = await authService.deleteEmployeeAccount(node.email);
           if (result.success) {
@@ -522,6 +570,7 @@ async #handleNodeDelete(nodeId, skipConfirmation = false) {
 
       // Real-time listener will handle UI update
       Logger.log('✓ Employee deleted successfully');
+      return { deleted: true, transfer };
     } catch (error) {
       Logger.error('Failed to delete node:', error);
       this.#state.setError(error.message);
@@ -533,22 +582,44 @@ async #handleNodeDelete(nodeId, skipConfirmation = false) {
       if (shouldReload) {
         window.location.reload();
       }
+      return { deleted: false, transfer };
     }
   }
 
-async #deleteEmployeeRevenueEntries(employeeId) {
-    try {
-      const entries = await this.#revenueService.getEntriesByEmployee(employeeId);
-
-      for (const entry of entries) {
-        await this.#revenueService.deleteEntry(entry.id);
-      }
-
-      Logger.log(`✓ Deleted ${entries.length} revenue entries for employee ${employeeId}`);
-    } catch (error) {
-      Logger.error('Failed to delete revenue entries:', error);
-      throw error;
-    }
+  /**
+   * Let the admin transfer the portfolio of a leaving employee (Bestandsübertragung).
+   * Resolves with the transfer result once the dialog is done, null if the
+   * transfer was skipped (all entries stay unchanged) and { cancelled: true }
+   * if the admin cancelled the deletion.
+   */
+  async #offerPortfolioTransfer(node, tree) {
+    if (!this.#portfolioTransferService) return null;
+
+    const portfolio = await this.#portfolioTransferService.getPortfolio(node.id);
+    if (portfolio.entries.length === 0 && portfolio.templates.length === 0) return null;
+
+    return new Promise((resolve) => {
+      const dialog = new PortfolioTransferDialog({
+        node,
+        tree,
+        portfolio,
+        onConfirm: ({ successorId, scope, resnapshot }) => {
+          const successor = tree.getNode(successorId);
+          const user = authService.getCurrentUser();
+          return this.#portfolioTransferService.transferPortfolio(
+            { id: node.id, name: node.name },
+            { id: successor.id, name: successor.name },
+            {
+              scope,
+              resnapshot,
+              actor: { id: user?.uid || null, name: user?.displayName || user?.email || null },
+            },
+          );
+        },
+        onClose: resolve,
+      });
+      dialog.show();
+    });
   }
 
   async #deleteEmployeeTrackingEvents(nodeId) {
@@ -1213,6 +1284,7 @@ async #refreshTree(forceResubscribe = false) {
           now.getMonth(),
           now.getFullYear(),
         );
+        await this.#attachTargetProgress(revenueDataMap);
       }
 
       // Load GF profiles for organigramm enrichment
@@ -1343,6 +1415,23 @@ async #handleTreeUpdate(updatedTree) {
     }, 300);  // 300ms debounce delay for better batching
   }
 
+  /**
+   * Add each node's current target progress to its revenue data, the cards
+   * render both from the same map
+   */
+  async #attachTargetProgress(revenueDataMap) {
+    if (!this.#salesTargetService) return;
+
+    try {
+      const progressByNode = await this.#salesTargetService.getProgressForTree(this.#currentTreeId);
+      for (const [nodeId, targetProgress] of progressByNode) {
+        revenueDataMap.set(nodeId, { ...(revenueDataMap.get(nodeId) || {}), targetProgress });
+      }
+    } catch (error) {
+      Logger.warn('Failed to load sales target progress:', error);
+    }
+  }
+
   async #reloadRevenueData({ render = true } = {}) {
     try {
       let revenueDataMap = new Map();
@@ -1353,6 +1442,7 @@ async #handleTreeUpdate(updatedTree) {
           now.getMonth(),
           now.getFullYear(),
         );
+        await this.#attachTargetProgress(revenueDataMap);
       }
 
       this.#orgView.setRevenueDataMap(revenueDataMap, { render });
@@ -7,6 +7,8 @@ import { generateUUID } from '../../../../core/utils/index.js';
 import { ValidationError } from '../../../../core/errors/index.js';
 import { ProvisionType } from '../value-objects/ProvisionType.js';
 import { CatalogStatus, CATALOG_STATUS_TYPES } from '../value-objects/CatalogStatus.js';
+import { StornoreserveRule } from '../value-objects/StornoreserveRule.js';
+import { ApprovalRule } from '../value-objects/ApprovalRule.js';
 import { NodeMetadata } from '../../../hierarchy-tracking/domain/value-objects/NodeMetadata.js';
 
 export class CategoryDefinition {
@@ -15,9 +17,12 @@ export class CategoryDefinition {
   #displayName;
   #provisionType;
   #requiresPropertyAddress;
+  #requiresAttachment;
   #order;
   #status;
   #metadata;
+  #stornoreserve; // StornoreserveRule | null
+  #approvalRule; // ApprovalRule | null
 
   constructor({
     id = null,
@@ -25,9 +30,12 @@ export class CategoryDefinition {
     displayName,
     provisionType,
     requiresPropertyAddress = false,
+    requiresAttachment = false,
     order = 0,
     status = CATALOG_STATUS_TYPES.ACTIVE,
     metadata = null,
+    stornoreserve = null,
+    approvalRule = null,
   }) {
     this.#id = id || `category_${type}`;
     this.#validateType(type);
@@ -38,9 +46,24 @@ export class CategoryDefinition {
     this.#displayName = displayName;
     this.#provisionType = provisionType instanceof ProvisionType ? provisionType : new ProvisionType(provisionType);
     this.#requiresPropertyAddress = Boolean(requiresPropertyAddress);
+    this.#requiresAttachment = Boolean(requiresAttachment);
     this.#order = order;
     this.#status = status instanceof CatalogStatus ? status : new CatalogStatus(status);
     this.#metadata = metadata instanceof NodeMetadata ? metadata : new NodeMetadata(metadata || {});
+    this.#stornoreserve = this.#normalizeStornoreserve(stornoreserve);
+    this.#approvalRule = this.#normalizeApprovalRule(approvalRule);
+  }
+
+  #normalizeStornoreserve(rule) {
+    if (!rule) return null;
+    const normalized = rule instanceof StornoreserveRule ? rule : StornoreserveRule.fromJSON(rule);
+    return normalized.isEmpty ? null : normalized;
+  }
+
+  #normalizeApprovalRule(rule) {
+    if (!rule) return null;
+    const normalized = rule instanceof ApprovalRule ? rule : ApprovalRule.fromJSON(rule);
+    return normalized.isEmpty ? null : normalized;
   }
 
   #validateType(type) {
@@ -100,6 +123,11 @@ export class CategoryDefinition {
     return this.#requiresPropertyAddress;
   }
 
+  /** Entries need at least one document before they can leave SUBMITTED */
+  get requiresAttachment() {
+    return this.#requiresAttachment;
+  }
+
   get order() {
     return this.#order;
   }
@@ -112,6 +140,22 @@ export class CategoryDefinition {
     return this.#metadata;
   }
 
+  get stornoreserve() {
+    return this.#stornoreserve;
+  }
+
+  get hasStornoreserve() {
+    return this.#stornoreserve !== null;
+  }
+
+  get approvalRule() {
+    return this.#approvalRule;
+  }
+
+  get hasApprovalRule() {
+    return this.#approvalRule !== null;
+  }
+
   get isActive() {
     return this.#status.isActive;
   }
@@ -140,6 +184,12 @@ export class CategoryDefinition {
     return this;
   }
 
+  updateRequiresAttachment(requiresAttachment) {
+    this.#requiresAttachment = Boolean(requiresAttachment);
+    this.#metadata = this.#metadata.withUpdatedTimestamp();
+    return this;
+  }
+
   updateOrder(order) {
     this.#validateOrder(order);
     this.#order = order;
@@ -147,6 +197,24 @@ export class CategoryDefinition {
     return this;
   }
 
+  /**
+   * Set or clear (null) the cancellation reserve for all products of the category
+   */
+  updateStornoreserve(rule) {
+    this.#stornoreserve = this.#normalizeStornoreserve(rule);
+    this.#metadata = this.#metadata.withUpdatedTimestamp();
+    return this;
+  }
+
+  /**
+   * Set or clear (null) the four-eyes rule for entries of the category
+   */
+  updateApprovalRule(rule) {
+    this.#approvalRule = this.#normalizeApprovalRule(rule);
+    this.#metadata = this.#metadata.withUpdatedTimestamp();
+    return this;
+  }
+
   activate() {
     this.#status = this.#status.activate();
     this.#metadata = this.#metadata.withUpdatedTimestamp();
@@ -168,8 +236,11 @@ export class CategoryDefinition {
       displayName: this.#displayName,
       provisionType: this.#provisionType.toJSON(),
       requiresPropertyAddress: this.#requiresPropertyAddress,
+      requiresAttachment: this.#requiresAttachment,
       order: this.#order,
       status: this.#status.toJSON(),
+      stornoreserve: this.#stornoreserve?.toJSON() ?? null,
+      approvalRule: this.#approvalRule?.toJSON() ?? null,
       createdAt: this.#metadata.createdAt,
       updatedAt: this.#metadata.updatedAt,
     };
@@ -182,8 +253,11 @@ export class CategoryDefinition {
       displayName: json.displayName,
       provisionType: json.provisionType,
       requiresPropertyAddress: json.requiresPropertyAddress ?? false,
+      requiresAttachment: json.requiresAttachment ?? false,
       order: json.order ?? 0,
       status: json.status ?? CATALOG_STATUS_TYPES.ACTIVE,
+      stornoreserve: json.stornoreserve ?? null,
+      approvalRule: json.approvalRule ?? null,
       metadata: {
         createdAt: json.createdAt,
         updatedAt: json.updatedAt,
@@ -6,6 +6,8 @@
 import { generateUUID } from '../../../../core/utils/index.js';
 import { ValidationError } from '../../../../core/errors/index.js';
 import { CatalogStatus, CATALOG_STATUS_TYPES } from '../value-objects/CatalogStatus.js';
+import { ProvisionRateOverride } from '../value-objects/ProvisionRateOverride.js';
+import { StornoreserveRule } from '../value-objects/StornoreserveRule.js';
 import { NodeMetadata } from '../../../hierarchy-tracking/domain/value-objects/NodeMetadata.js';
 
 export class ProductDefinition {
@@ -16,6 +18,8 @@ export class ProductDefinition {
   #isVatExempt;
   #status;
   #metadata;
+  #provisionOverride; // ProvisionRateOverride | null
+  #stornoreserve; // StornoreserveRule | null - overrides the category's reserve
 
   constructor({
     id = null,
@@ -25,6 +29,8 @@ export class ProductDefinition {
     isVatExempt = false,
     status = CATALOG_STATUS_TYPES.ACTIVE,
     metadata = null,
+    provisionOverride = null,
+    stornoreserve = null,
   }) {
     this.#id = id || generateUUID();
     this.#validateCategoryType(categoryType);
@@ -37,6 +43,22 @@ export class ProductDefinition {
     this.#isVatExempt = Boolean(isVatExempt);
     this.#status = status instanceof CatalogStatus ? status : new CatalogStatus(status);
     this.#metadata = metadata instanceof NodeMetadata ? metadata : new NodeMetadata(metadata || {});
+    this.#provisionOverride = this.#normalizeProvisionOverride(provisionOverride);
+    this.#stornoreserve = this.#normalizeStornoreserve(stornoreserve);
+  }
+
+  #normalizeProvisionOverride(override) {
+    if (!override) return null;
+    const normalized = override instanceof ProvisionRateOverride
+      ? override
+      : ProvisionRateOverride.fromJSON(override);
+    return normalized.isEmpty ? null : normalized;
+  }
+
+  #normalizeStornoreserve(rule) {
+    if (!rule) return null;
+    const normalized = rule instanceof StornoreserveRule ? rule : StornoreserveRule.fromJSON(rule);
+    return normalized.isEmpty ? null : normalized;
   }
 
   #validateCategoryType(categoryType) {
@@ -90,6 +112,22 @@ export class ProductDefinition {
     return this.#metadata;
   }
 
+  get provisionOverride() {
+    return this.#provisionOverride;
+  }
+
+  get hasProvisionOverride() {
+    return this.#provisionOverride !== null;
+  }
+
+  get stornoreserve() {
+    return this.#stornoreserve;
+  }
+
+  get hasStornoreserve() {
+    return this.#stornoreserve !== null;
+  }
+
   get isActive() {
     return this.#status.isActive;
   }
@@ -126,6 +164,24 @@ export class ProductDefinition {
     return this;
   }
 
+  /**
+   * Set or clear (null) the product-specific provision rate
+   */
+  updateProvisionOverride(override) {
+    this.#provisionOverride = this.#normalizeProvisionOverride(override);
+    this.#metadata = this.#metadata.withUpdatedTimestamp();
+    return this;
+  }
+
+  /**
+   * Set or clear (null) the product-specific cancellation reserve
+   */
+  updateStornoreserve(rule) {
+    this.#stornoreserve = this.#normalizeStornoreserve(rule);
+    this.#metadata = this.#metadata.withUpdatedTimestamp();
+    return this;
+  }
+
   activate() {
     this.#status = this.#status.activate();
     this.#metadata = this.#metadata.withUpdatedTimestamp();
@@ -148,6 +204,8 @@ export class ProductDefinition {
       order: this.#order,
       isVatExempt: this.#isVatExempt,
       status: this.#status.toJSON(),
+      provisionOverride: this.#provisionOverride?.toJSON() ?? null,
+      stornoreserve: this.#stornoreserve?.toJSON() ?? null,
       createdAt: this.#metadata.createdAt,
       updatedAt: this.#metadata.updatedAt,
     };
@@ -161,6 +219,8 @@ export class ProductDefinition {
       order: json.order ?? 0,
       isVatExempt: json.isVatExempt ?? false,
       status: json.status ?? CATALOG_STATUS_TYPES.ACTIVE,
+      provisionOverride: json.provisionOverride ?? null,
+      stornoreserve: json.stornoreserve ?? null,
       metadata: {
         createdAt: json.createdAt,
         updatedAt: json.updatedAt,
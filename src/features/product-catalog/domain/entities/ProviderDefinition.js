@@ -6,6 +6,7 @@
 import { generateUUID } from '../../../../core/utils/index.js';
 import { ValidationError } from '../../../../core/errors/index.js';
 import { CatalogStatus, CATALOG_STATUS_TYPES } from '../value-objects/CatalogStatus.js';
+import { ProvisionRateOverride } from '../value-objects/ProvisionRateOverride.js';
 import { NodeMetadata } from '../../../hierarchy-tracking/domain/value-objects/NodeMetadata.js';
 
 export class ProviderDefinition {
@@ -15,6 +16,7 @@ export class ProviderDefinition {
   #order;
   #status;
   #metadata;
+  #provisionOverride; // ProvisionRateOverride | null
 
   constructor({
     id = null,
@@ -23,6 +25,7 @@ export class ProviderDefinition {
     order = 0,
     status = CATALOG_STATUS_TYPES.ACTIVE,
     metadata = null,
+    provisionOverride = null,
   }) {
     this.#id = id || generateUUID();
     this.#validateProductId(productId);
@@ -34,6 +37,15 @@ export class ProviderDefinition {
     this.#order = order;
     this.#status = status instanceof CatalogStatus ? status : new CatalogStatus(status);
     this.#metadata = metadata instanceof NodeMetadata ? metadata : new NodeMetadata(metadata || {});
+    this.#provisionOverride = this.#normalizeProvisionOverride(provisionOverride);
+  }
+
+  #normalizeProvisionOverride(override) {
+    if (!override) return null;
+    const normalized = override instanceof ProvisionRateOverride
+      ? override
+      : ProvisionRateOverride.fromJSON(override);
+    return normalized.isEmpty ? null : normalized;
   }
 
   #validateProductId(productId) {
@@ -83,6 +95,14 @@ export class ProviderDefinition {
     return this.#metadata;
   }
 
+  get provisionOverride() {
+    return this.#provisionOverride;
+  }
+
+  get hasProvisionOverride() {
+    return this.#provisionOverride !== null;
+  }
+
   get isActive() {
     return this.#status.isActive;
   }
@@ -113,6 +133,15 @@ export class ProviderDefinition {
     return this;
   }
 
+  /**
+   * Set or clear (null) the provider-specific provision rate
+   */
+  updateProvisionOverride(override) {
+    this.#provisionOverride = this.#normalizeProvisionOverride(override);
+    this.#metadata = this.#metadata.withUpdatedTimestamp();
+    return this;
+  }
+
   activate() {
     this.#status = this.#status.activate();
     this.#metadata = this.#metadata.withUpdatedTimestamp();
@@ -134,6 +163,7 @@ export class ProviderDefinition {
       name: this.#name,
       order: this.#order,
       status: this.#status.toJSON(),
+      provisionOverride: this.#provisionOverride?.toJSON() ?? null,
       createdAt: this.#metadata.createdAt,
       updatedAt: this.#metadata.updatedAt,
     };
@@ -146,6 +176,7 @@ export class ProviderDefinition {
       name: json.name,
       order: json.order ?? 0,
       status: json.status ?? CATALOG_STATUS_TYPES.ACTIVE,
+      provisionOverride: json.provisionOverride ?? null,
       metadata: {
         createdAt: json.createdAt,
         updatedAt: json.updatedAt,
@@ -46,10 +46,22 @@ export class CatalogService {
       category.updateRequiresPropertyAddress(categoryData.requiresPropertyAddress);
     }
 
+    if (categoryData.requiresAttachment !== undefined) {
+      category.updateRequiresAttachment(categoryData.requiresAttachment);
+    }
+
     if (categoryData.order !== undefined) {
       category.updateOrder(categoryData.order);
     }
 
+    if (categoryData.stornoreserve !== undefined) {
+      category.updateStornoreserve(categoryData.stornoreserve);
+    }
+
+    if (categoryData.approvalRule !== undefined) {
+      category.updateApprovalRule(categoryData.approvalRule);
+    }
+
     await this.#catalogRepository.saveCategory(category);
     Logger.log(`✓ Category created: ${category.displayName} (${category.type})`);
 
@@ -75,10 +87,22 @@ export class CatalogService {
       category.updateRequiresPropertyAddress(updates.requiresPropertyAddress);
     }
 
+    if (updates.requiresAttachment !== undefined) {
+      category.updateRequiresAttachment(updates.requiresAttachment);
+    }
+
     if (updates.order !== undefined) {
       category.updateOrder(updates.order);
     }
 
+    if (updates.stornoreserve !== undefined) {
+      category.updateStornoreserve(updates.stornoreserve);
+    }
+
+    if (updates.approvalRule !== undefined) {
+      category.updateApprovalRule(updates.approvalRule);
+    }
+
     await this.#catalogRepository.saveCategory(category);
     Logger.log(`✓ Category updated: ${category.displayName}`);
 
@@ -187,6 +211,14 @@ export class CatalogService {
       product.updateIsVatExempt(productData.isVatExempt);
     }
 
+    if (productData.provisionOverride !== undefined) {
+      product.updateProvisionOverride(productData.provisionOverride);
+    }
+
+    if (productData.stornoreserve !== undefined) {
+      product.updateStornoreserve(productData.stornoreserve);
+    }
+
     await this.#catalogRepository.saveProduct(product);
     Logger.log(`✓ Product created: ${product.name} in category ${categoryType} (VAT exempt: ${product.isVatExempt})`);
 
@@ -229,6 +261,14 @@ export class CatalogService {
       product.updateIsVatExempt(updates.isVatExempt);
     }
 
+    if (updates.provisionOverride !== undefined) {
+      product.updateProvisionOverride(updates.provisionOverride);
+    }
+
+    if (updates.stornoreserve !== undefined) {
+      product.updateStornoreserve(updates.stornoreserve);
+    }
+
     await this.#catalogRepository.saveProduct(product);
     Logger.log(`✓ Product updated: ${product.name} (category: ${product.categoryType}, VAT exempt: ${product.isVatExempt})`);
 
@@ -329,6 +369,10 @@ export class CatalogService {
       provider.updateOrder(providerData.order);
     }
 
+    if (providerData.provisionOverride !== undefined) {
+      provider.updateProvisionOverride(providerData.provisionOverride);
+    }
+
     await this.#catalogRepository.saveProvider(provider);
     Logger.log(`✓ Provider created: ${provider.name} for product ${product.name}`);
 
@@ -367,6 +411,10 @@ export class CatalogService {
       provider.updateOrder(updates.order);
     }
 
+    if (updates.provisionOverride !== undefined) {
+      provider.updateProvisionOverride(updates.provisionOverride);
+    }
+
     await this.#catalogRepository.saveProvider(provider);
 
     // Get product for logging
@@ -444,6 +492,110 @@ export class CatalogService {
     return await this.#catalogRepository.findAllProviders(includeInactive);
   }
 
+  // ========================================
+  // PROVISION RATE OVERRIDES
+  // ========================================
+
+  /**
+   * Find the most specific provision rate override for a product/provider selection.
+   * Provider overrides win over product overrides; inactive catalog entries still
+   * apply so that entries for discontinued products keep their rates.
+   *
+   * @param {Object} selection - { categoryType, productId, productName, providerName }
+   * @returns {Promise<Object|null>} { source, catalogId, name, override } or null
+   */
+  async findProvisionOverride({ categoryType, productId = null, productName = null, providerName = null }) {
+    // Hardcoded fallback products use their name as id - only real ids are looked up
+    let product = productId && productId !== productName
+      ? await this.#catalogRepository.findProductById(productId)
+      : null;
+    if (!product && productName && categoryType) {
+      product = await this.#catalogRepository.findProductByNameInCategory(categoryType, productName);
+    }
+    if (!product) {
+      return null;
+    }
+
+    if (providerName) {
+      const provider = await this.#catalogRepository.findProviderByNameInProduct(product.id, providerName);
+      if (provider?.hasProvisionOverride) {
+        return {
+          source: 'provider',
+          catalogId: provider.id,
+          name: `${product.name} / ${provider.name}`,
+          override: provider.provisionOverride,
+        };
+      }
+    }
+
+    if (product.hasProvisionOverride) {
+      return {
+        source: 'product',
+        catalogId: product.id,
+        name: product.name,
+        override: product.provisionOverride,
+      };
+    }
+
+    return null;
+  }
+
+  // ========================================
+  // STORNORESERVE
+  // ========================================
+
+  /**
+   * Find the cancellation reserve that applies to a product selection.
+   * A product-specific reserve wins over the reserve of its category.
+   *
+   * @param {Object} selection - { categoryType, productId, productName }
+   * @returns {Promise<Object|null>} { source, catalogId, name, rule } or null
+   */
+  async findStornoreserveRule({ categoryType, productId = null, productName = null }) {
+    let product = productId && productId !== productName
+      ? await this.#catalogRepository.findProductById(productId)
+      : null;
+    if (!product && productName && categoryType) {
+      product = await this.#catalogRepository.findProductByNameInCategory(categoryType, productName);
+    }
+
+    if (product?.hasStornoreserve) {
+      return {
+        source: 'product',
+        catalogId: product.id,
+        name: product.name,
+        rule: product.stornoreserve,
+      };
+    }
+
+    const category = categoryType
+      ? await this.#catalogRepository.findCategoryByType(categoryType)
+      : null;
+    if (category?.hasStornoreserve) {
+      return {
+        source: 'category',
+        catalogId: category.id,
+        name: category.displayName,
+        rule: category.stornoreserve,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Four-eyes rule of a category (null = one approver is enough)
+   *
+   * @param {string} categoryType
+   * @returns {Promise<ApprovalRule|null>}
+   */
+  async findApprovalRule(categoryType) {
+    const category = categoryType
+      ? await this.#catalogRepository.findCategoryByType(categoryType)
+      : null;
+    return category?.approvalRule ?? null;
+  }
+
   // ========================================
   // VALIDATION HELPERS
   // ========================================
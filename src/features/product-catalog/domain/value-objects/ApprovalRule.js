@@ -0,0 +1,63 @@
+/**
+ * Value Object: ApprovalRule
+ * Four-eyes rule of a category: approving an entry (Überwiesen/Provisioniert)
+ * needs a second admin, either always or from a gross amount threshold on
+ */
+
+import { ValidationError } from '../../../../core/errors/index.js';
+
+export class ApprovalRule {
+  #alwaysRequired;
+  #amountThreshold;
+
+  constructor({ alwaysRequired = false, amountThreshold = null } = {}) {
+    this.#alwaysRequired = Boolean(alwaysRequired);
+    this.#amountThreshold = this.#validateThreshold(amountThreshold);
+    Object.freeze(this);
+  }
+
+  #validateThreshold(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+    const num = parseFloat(value);
+    if (isNaN(num) || num < 0) {
+      throw new ValidationError('Schwellenwert muss eine positive Zahl sein', 'amountThreshold');
+    }
+    return num;
+  }
+
+  get alwaysRequired() {
+    return this.#alwaysRequired;
+  }
+
+  get amountThreshold() {
+    return this.#amountThreshold;
+  }
+
+  get isEmpty() {
+    return !this.#alwaysRequired && this.#amountThreshold === null;
+  }
+
+  /**
+   * Whether an entry with the given gross amount needs a second approver
+   */
+  requiresSecondApproval(amount) {
+    if (this.#alwaysRequired) {
+      return true;
+    }
+    return this.#amountThreshold !== null && Math.abs(amount || 0) >= this.#amountThreshold;
+  }
+
+  toJSON() {
+    return {
+      alwaysRequired: this.#alwaysRequired,
+      amountThreshold: this.#amountThreshold,
+    };
+  }
+
+  static fromJSON(json) {
+    if (!json) return null;
+    return new ApprovalRule(json);
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Value Object: ProvisionRateOverride
+ * Product- or provider-specific provision rate that replaces the employee's
+ * rate for the provision type (e.g. Gewerbekredit pays more than Baufinanzierung)
+ *
+ * - absolute: the employee earns exactly the configured rate
+ * - delta:    the configured percentage points are added to the employee's rate
+ *
+ * A default value applies to all career levels; per-level values take precedence.
+ */
+
+import { ValidationError } from '../../../../core/errors/index.js';
+
+export const PROVISION_OVERRIDE_MODES = {
+  ABSOLUTE: 'absolute',
+  DELTA: 'delta',
+};
+
+export class ProvisionRateOverride {
+  #mode;
+  #value;
+  #levelValues;
+
+  constructor({ mode = PROVISION_OVERRIDE_MODES.ABSOLUTE, value = null, levelValues = {} } = {}) {
+    if (!Object.values(PROVISION_OVERRIDE_MODES).includes(mode)) {
+      throw new ValidationError(`Invalid provision override mode: ${mode}`, 'mode');
+    }
+
+    this.#mode = mode;
+    this.#value = this.#validateValue(value);
+    this.#levelValues = {};
+
+    for (const [level, levelValue] of Object.entries(levelValues || {})) {
+      const validated = this.#validateValue(levelValue);
+      if (validated !== null) {
+        this.#levelValues[level] = validated;
+      }
+    }
+    Object.freeze(this.#levelValues);
+    Object.freeze(this);
+  }
+
+  #validateValue(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const num = parseFloat(value);
+    if (isNaN(num)) {
+      throw new ValidationError('Provision override must be a number', 'value');
+    }
+
+    // Absolute rates are percentages, deltas may reduce the base rate
+    const min = this.#mode === PROVISION_OVERRIDE_MODES.DELTA ? -100 : 0;
+    return Math.max(min, Math.min(100, num));
+  }
+
+  get mode() {
+    return this.#mode;
+  }
+
+  get value() {
+    return this.#value;
+  }
+
+  get levelValues() {
+    return { ...this.#levelValues };
+  }
+
+  get isAbsolute() {
+    return this.#mode === PROVISION_OVERRIDE_MODES.ABSOLUTE;
+  }
+
+  get isDelta() {
+    return this.#mode === PROVISION_OVERRIDE_MODES.DELTA;
+  }
+
+  get isEmpty() {
+    return this.#value === null && Object.keys(this.#levelValues).length === 0;
+  }
+
+  /**
+   * Configured value for a career level (falls back to the default value)
+   * @param {number|null} careerLevel
+   * @returns {number|null} Null if the override doesn't apply to this level
+   */
+  getValueForLevel(careerLevel = null) {
+    if (careerLevel !== null && careerLevel !== undefined && this.#levelValues[careerLevel] !== undefined) {
+      return this.#levelValues[careerLevel];
+    }
+    return this.#value;
+  }
+
+  /**
+   * Resolve the employee's rate with this override applied
+   * @param {number} baseRate - Employee's rate for the provision type
+   * @param {number|null} careerLevel - Employee's career level (1-10)
+   * @returns {number|null} Effective rate, or null if the override doesn't apply
+   */
+  resolve(baseRate, careerLevel = null) {
+    const value = this.getValueForLevel(careerLevel);
+    if (value === null) {
+      return null;
+    }
+
+    const rate = this.isDelta ? (baseRate || 0) + value : value;
+    return Math.max(0, Math.min(100, rate));
+  }
+
+  toJSON() {
+    return {
+      mode: this.#mode,
+      value: this.#value,
+      levelValues: { ...this.#levelValues },
+    };
+  }
+
+  static fromJSON(json) {
+    if (!json) return null;
+    return new ProvisionRateOverride(json);
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Value Object: StornoreserveRule
+ * Cancellation reserve configured on a category or product: a share of every
+ * recipient's provision is withheld and only paid out once the liability
+ * period (Stornohaftungszeit) of the contract has passed
+ */
+
+import { ValidationError } from '../../../../core/errors/index.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+
+const MAX_LIABILITY_MONTHS = 120;
+
+export class StornoreserveRule {
+  #percentage;
+  #liabilityMonths;
+
+  constructor({ percentage = 0, liabilityMonths = 0 } = {}) {
+    this.#percentage = this.#validatePercentage(percentage);
+    this.#liabilityMonths = this.#validateLiabilityMonths(liabilityMonths);
+    Object.freeze(this);
+  }
+
+  #validatePercentage(value) {
+    const num = parseFloat(value);
+    if (isNaN(num)) {
+      throw new ValidationError('Stornoreserve percentage must be a number', 'percentage');
+    }
+    return Math.max(0, Math.min(100, num));
+  }
+
+  #validateLiabilityMonths(value) {
+    const num = parseInt(value, 10);
+    if (isNaN(num) || num < 0 || num > MAX_LIABILITY_MONTHS) {
+      throw new ValidationError(
+        `Haftungszeit muss zwischen 0 und ${MAX_LIABILITY_MONTHS} Monaten liegen`,
+        'liabilityMonths'
+      );
+    }
+    return num;
+  }
+
+  get percentage() {
+    return this.#percentage;
+  }
+
+  get liabilityMonths() {
+    return this.#liabilityMonths;
+  }
+
+  get isEmpty() {
+    return this.#percentage === 0;
+  }
+
+  /**
+   * Amount withheld from a provision payout
+   */
+  calculateReserve(provisionAmount) {
+    return roundCurrency((provisionAmount || 0) * (this.#percentage / 100));
+  }
+
+  /**
+   * Day the reserve for a contract starting on the given date is released
+   */
+  getReleaseDate(contractDate) {
+    const releaseDate = new Date(contractDate);
+    releaseDate.setHours(0, 0, 0, 0);
+    releaseDate.setMonth(releaseDate.getMonth() + this.#liabilityMonths);
+    return releaseDate;
+  }
+
+  toJSON() {
+    return {
+      percentage: this.#percentage,
+      liabilityMonths: this.#liabilityMonths,
+    };
+  }
+
+  static fromJSON(json) {
+    if (!json) return null;
+    return new StornoreserveRule(json);
+  }
+}
@@ -4,3 +4,6 @@
 
 export { ProvisionType, PROVISION_TYPES } from './ProvisionType.js';
 export { CatalogStatus, CATALOG_STATUS_TYPES } from './CatalogStatus.js';
+export { ProvisionRateOverride, PROVISION_OVERRIDE_MODES } from './ProvisionRateOverride.js';
+export { StornoreserveRule } from './StornoreserveRule.js';
+export { ApprovalRule } from './ApprovalRule.js';
@@ -0,0 +1,93 @@
+/**
+ * Molecule: ApprovalRuleFields
+ * Form section for the four-eyes rule of a category
+ * (second approver always or from a gross amount threshold on)
+ */
+
+import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
+import { createElement } from '../../../../../core/utils/dom.js';
+
+export class ApprovalRuleFields {
+  #rule;
+  #element;
+  #alwaysRequiredCheckbox;
+  #thresholdInput;
+
+  /**
+   * @param {ApprovalRule|null} rule - Current rule of the category
+   */
+  constructor(rule = null) {
+    this.#rule = rule;
+    this.#element = this.#render();
+  }
+
+  get element() {
+    return this.#element;
+  }
+
+  #render() {
+    const checkboxProps = {
+      type: 'checkbox',
+      id: 'approval-always-required',
+      className: 'editor-checkbox',
+    };
+    if (this.#rule?.alwaysRequired === true) {
+      checkboxProps.checked = true;
+    }
+    this.#alwaysRequiredCheckbox = createElement('input', checkboxProps);
+
+    this.#thresholdInput = new Input({
+      label: 'Ab Bruttobetrag (EUR)',
+      type: 'number',
+      placeholder: 'z.B. 10000',
+      value: this.#rule?.amountThreshold?.toString() || '',
+    });
+
+    return createElement('div', { className: 'editor-section-group' }, [
+      createElement('h4', { className: 'editor-section-title' }, ['Vier-Augen-Freigabe']),
+      createElement('div', { className: 'editor-field' }, [
+        createElement('label', { className: 'editor-checkbox-label', for: 'approval-always-required' }, [
+          this.#alwaysRequiredCheckbox,
+          createElement('span', {}, ['Jede Freigabe benötigt einen zweiten Administrator']),
+        ]),
+      ]),
+      this.#thresholdInput.element,
+      createElement('p', { className: 'editor-help-text' }, [
+        'Umsätze dieser Kategorie werden erst nach Bestätigung durch einen zweiten Administrator '
+          + 'als überwiesen oder provisioniert markiert.',
+      ]),
+    ]);
+  }
+
+  #parseThreshold() {
+    const raw = this.#thresholdInput.value.trim();
+    return raw === '' ? null : Number(raw);
+  }
+
+  /**
+   * Validate the entered values
+   * @returns {boolean}
+   */
+  validate() {
+    const threshold = this.#parseThreshold();
+    if (threshold !== null && (isNaN(threshold) || threshold < 0)) {
+      this.#thresholdInput.setError('Positiven Betrag angeben');
+      return false;
+    }
+    this.#thresholdInput.setError(null);
+    return true;
+  }
+
+  /**
+   * Rule data for the catalog service (null = no second approver needed)
+   */
+  get value() {
+    const alwaysRequired = this.#alwaysRequiredCheckbox.checked;
+    const amountThreshold = this.#parseThreshold();
+    if (!alwaysRequired && amountThreshold === null) {
+      return null;
+    }
+
+    return { alwaysRequired, amountThreshold };
+  }
+}
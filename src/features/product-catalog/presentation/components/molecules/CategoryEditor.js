@@ -7,6 +7,8 @@ import { Input } from '../../../../hierarchy-tracking/presentation/components/at
 import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
 import { PROVISION_TYPES } from '../../../domain/value-objects/ProvisionType.js';
 import { createElement } from '../../../../../core/utils/dom.js';
+import { StornoreserveFields } from './StornoreserveFields.js';
+import { ApprovalRuleFields } from './ApprovalRuleFields.js';
 
 export class CategoryEditor {
   #category;
@@ -18,7 +20,10 @@ export class CategoryEditor {
   #provisionTypeSelectElement;
   #requiresPropertyAddressCheckbox;
   #requiresPropertyAddressCheckboxElement;
+  #requiresAttachmentCheckboxElement;
   #orderInput;
+  #stornoreserveFields;
+  #approvalRuleFields;
 
   constructor(category = null, props = {}) {
     this.#category = category;
@@ -83,8 +88,16 @@ export class CategoryEditor {
     const optionsSection = createElement('div', { className: 'editor-section-group' }, [
       createElement('h4', { className: 'editor-section-title' }, ['Optionen']),
       this.#requiresPropertyAddressCheckbox,
+      this.#createRequiresAttachmentCheckbox(),
     ]);
 
+    this.#stornoreserveFields = new StornoreserveFields(this.#category?.stornoreserve || null, {
+      helpText: 'Anteil der Provision, der bis zum Ende der Haftungszeit einbehalten wird. '
+        + 'Produkte können einen eigenen Wert festlegen.',
+    });
+
+    this.#approvalRuleFields = new ApprovalRuleFields(this.#category?.approvalRule || null);
+
     // Action Bar
     const actionsBar = this.#createActionsBar(isEditMode);
 
@@ -93,7 +106,7 @@ export class CategoryEditor {
       {
         className: `category-editor ${this.#props.className || ''}`,
       },
-      [basicSection, provisionSection, optionsSection, actionsBar]
+      [basicSection, provisionSection, this.#stornoreserveFields.element, this.#approvalRuleFields.element, optionsSection, actionsBar]
     );
   }
 
@@ -163,6 +176,26 @@ export class CategoryEditor {
     return createElement('div', { className: 'editor-field' }, [label]);
   }
 
+  #createRequiresAttachmentCheckbox() {
+    const checkboxProps = {
+      type: 'checkbox',
+      id: 'requires-attachment',
+      className: 'editor-checkbox',
+    };
+    if (this.#category?.requiresAttachment === true) {
+      checkboxProps.checked = true;
+    }
+
+    this.#requiresAttachmentCheckboxElement = createElement('input', checkboxProps);
+
+    const label = createElement('label', { className: 'editor-checkbox-label', for: 'requires-attachment' }, [
+      this.#requiresAttachmentCheckboxElement,
+      createElement('span', {}, ['Beleg erforderlich (Freigabe erst mit hochgeladenem Dokument)']),
+    ]);
+
+    return createElement('div', { className: 'editor-field' }, [label]);
+  }
+
   #createActionsBar(isEditMode) {
     const cancelButton = new Button({
       label: 'Abbrechen',
@@ -198,6 +231,14 @@ export class CategoryEditor {
       this.#displayNameInput.setError(null);
     }
 
+    if (!this.#stornoreserveFields.validate()) {
+      isValid = false;
+    }
+
+    if (!this.#approvalRuleFields.validate()) {
+      isValid = false;
+    }
+
     return isValid;
   }
 
@@ -234,7 +275,10 @@ export class CategoryEditor {
       type: this.#category?.type || this.#generateTypeFromDisplayName(displayName),
       provisionType: this.#provisionTypeSelectElement.value,
       requiresPropertyAddress: this.#requiresPropertyAddressCheckboxElement.checked,
+      requiresAttachment: this.#requiresAttachmentCheckboxElement.checked,
       order: 0, // Alphabetic sorting - order field not used
+      stornoreserve: this.#stornoreserveFields.value,
+      approvalRule: this.#approvalRuleFields.value,
     };
 
     if (this.#props.onSave) {
@@ -6,6 +6,8 @@
 import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
 import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
 import { createElement } from '../../../../../core/utils/dom.js';
+import { ProvisionOverrideFields } from './ProvisionOverrideFields.js';
+import { StornoreserveFields } from './StornoreserveFields.js';
 
 export class ProductEditor {
   #product;
@@ -17,6 +19,8 @@ export class ProductEditor {
   #categorySelectElement;
   #orderInput;
   #vatExemptCheckbox;
+  #provisionOverrideFields;
+  #stornoreserveFields;
 
   constructor(product = null, categoryType = null, categories = [], props = {}) {
     this.#product = product;
@@ -63,6 +67,16 @@ export class ProductEditor {
       vatExemptField,
     ]);
 
+    // Provision Override Section
+    this.#provisionOverrideFields = new ProvisionOverrideFields(this.#product?.provisionOverride || null, {
+      idPrefix: 'product-provision-override',
+      helpText: 'Gilt für alle Produktgeber dieses Produkts, sofern der Produktgeber keinen eigenen Satz hat.',
+    });
+
+    this.#stornoreserveFields = new StornoreserveFields(this.#product?.stornoreserve || null, {
+      helpText: 'Leer lassen, um die Stornoreserve der Kategorie zu verwenden.',
+    });
+
     // Action Bar
     const actionsBar = this.#createActionsBar(isEditMode);
 
@@ -71,7 +85,7 @@ export class ProductEditor {
       {
         className: `product-editor ${this.#props.className || ''}`,
       },
-      [basicSection, actionsBar]
+      [basicSection, this.#provisionOverrideFields.element, this.#stornoreserveFields.element, actionsBar]
     );
   }
 
@@ -172,6 +186,14 @@ export class ProductEditor {
       this.#nameInput.setError(null);
     }
 
+    if (!this.#provisionOverrideFields.validate()) {
+      isValid = false;
+    }
+
+    if (!this.#stornoreserveFields.validate()) {
+      isValid = false;
+    }
+
     return isValid;
   }
 
@@ -185,6 +207,8 @@ export class ProductEditor {
       categoryType: this.#categorySelectElement.value,
       order: 0,
       isVatExempt: this.#vatExemptCheckbox.checked,
+      provisionOverride: this.#provisionOverrideFields.value,
+      stornoreserve: this.#stornoreserveFields.value,
     };
 
     if (this.#props.onSave) {
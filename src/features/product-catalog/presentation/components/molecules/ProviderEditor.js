@@ -6,6 +6,7 @@
 import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
 import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
 import { createElement } from '../../../../../core/utils/dom.js';
+import { ProvisionOverrideFields } from './ProvisionOverrideFields.js';
 import { Logger } from './../../../../../core/utils/logger.js';
 
 export class ProviderEditor {
@@ -20,6 +21,7 @@ export class ProviderEditor {
   #categorySelectElement;
   #productSelectElement;
   #orderInput;
+  #provisionOverrideFields;
 
   constructor(provider = null, product = null, props = {}) {
     this.#provider = provider;
@@ -67,6 +69,12 @@ export class ProviderEditor {
       this.#nameInput.element,
     ]);
 
+    // Provision Override Section (takes precedence over the product's rate)
+    this.#provisionOverrideFields = new ProvisionOverrideFields(this.#provider?.provisionOverride || null, {
+      idPrefix: 'provider-provision-override',
+      helpText: 'Hat Vorrang vor dem Provisionssatz des Produkts.',
+    });
+
     // Action Bar
     const actionsBar = this.#createActionsBar(isEditMode);
 
@@ -75,7 +83,7 @@ export class ProviderEditor {
       {
         className: `provider-editor ${this.#props.className || ''}`,
       },
-      [basicSection, actionsBar]
+      [basicSection, this.#provisionOverrideFields.element, actionsBar]
     );
   }
 
@@ -193,6 +201,10 @@ export class ProviderEditor {
       this.#nameInput.setError(null);
     }
 
+    if (!this.#provisionOverrideFields.validate()) {
+      isValid = false;
+    }
+
     return isValid;
   }
 
@@ -212,6 +224,7 @@ export class ProviderEditor {
       name: this.#nameInput.value.trim(),
       productId: selectedProductId,
       order: 0,
+      provisionOverride: this.#provisionOverrideFields.value,
     };
 
     if (this.#props.onSave) {
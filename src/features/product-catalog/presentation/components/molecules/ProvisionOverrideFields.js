@@ -0,0 +1,168 @@
+/**
+ * Molecule: ProvisionOverrideFields
+ * Form section for product/provider-specific provision rates
+ * (absolute or delta, optionally per career level)
+ */
+
+import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
+import { createElement } from '../../../../../core/utils/dom.js';
+import { PROVISION_OVERRIDE_MODES } from '../../../domain/value-objects/ProvisionRateOverride.js';
+import { CAREER_LEVELS } from '../../../../user-profile/domain/value-objects/CareerLevel.js';
+
+const NO_OVERRIDE = 'none';
+
+const MODE_LABELS = {
+  [NO_OVERRIDE]: 'Keine (Provision des Mitarbeiters)',
+  [PROVISION_OVERRIDE_MODES.ABSOLUTE]: 'Fester Satz (%)',
+  [PROVISION_OVERRIDE_MODES.DELTA]: 'Auf-/Abschlag (Prozentpunkte)',
+};
+
+export class ProvisionOverrideFields {
+  #override;
+  #idPrefix;
+  #element;
+  #modeSelect;
+  #valueInput;
+  #levelInputs; // Map<level, Input>
+  #detailsContainer;
+
+  /**
+   * @param {ProvisionRateOverride|null} override - Current override of the product/provider
+   * @param {Object} props - { idPrefix, helpText }
+   */
+  constructor(override = null, props = {}) {
+    this.#override = override;
+    this.#idPrefix = props.idPrefix || 'provision-override';
+    this.#levelInputs = new Map();
+    this.#element = this.#render(props.helpText);
+  }
+
+  get element() {
+    return this.#element;
+  }
+
+  #render(helpText) {
+    const selectId = `${this.#idPrefix}-mode`;
+    const currentMode = this.#override?.mode || NO_OVERRIDE;
+
+    this.#modeSelect = createElement(
+      'select',
+      {
+        className: 'editor-select',
+        id: selectId,
+        onChange: () => this.#updateVisibility(),
+      },
+      Object.entries(MODE_LABELS).map(([mode, label]) => {
+        const option = createElement('option', { value: mode }, [label]);
+        if (mode === currentMode) {
+          option.selected = true;
+        }
+        return option;
+      })
+    );
+
+    this.#valueInput = new Input({
+      label: 'Alle Karrierestufen',
+      type: 'number',
+      placeholder: '-',
+      value: this.#override?.value?.toString() || '',
+    });
+
+    // One optional value per career level - empty fields use the default value
+    const levelFields = Object.values(CAREER_LEVELS).map(({ rankName, level }) => {
+      const levelValue = this.#override?.levelValues?.[level];
+      const input = new Input({
+        label: `${rankName} (Stufe ${level})`,
+        type: 'number',
+        placeholder: '-',
+        value: levelValue !== undefined ? levelValue.toString() : '',
+      });
+      this.#levelInputs.set(level, input);
+      return input.element;
+    });
+
+    this.#detailsContainer = createElement('div', { className: 'provision-override-details' }, [
+      this.#valueInput.element,
+      createElement('p', { className: 'editor-help-text' }, [
+        'Optional je Karrierestufe abweichend (leer = Wert für alle Stufen):',
+      ]),
+      createElement('div', { className: 'editor-row-2' }, levelFields),
+    ]);
+
+    const section = createElement('div', { className: 'editor-section-group' }, [
+      createElement('h4', { className: 'editor-section-title' }, ['Provisionssatz']),
+      createElement('div', { className: 'editor-field' }, [
+        createElement('label', { className: 'editor-label', for: selectId }, ['Abweichende Provision']),
+        this.#modeSelect,
+      ]),
+      helpText ? createElement('p', { className: 'editor-help-text' }, [helpText]) : null,
+      this.#detailsContainer,
+    ].filter(Boolean));
+
+    this.#updateVisibility();
+    return section;
+  }
+
+  #updateVisibility() {
+    this.#detailsContainer.style.display = this.#modeSelect.value === NO_OVERRIDE ? 'none' : '';
+  }
+
+  #parse(input) {
+    const raw = input.value.trim();
+    return raw === '' ? null : parseFloat(raw);
+  }
+
+  /**
+   * Validate the entered values
+   * @returns {boolean}
+   */
+  validate() {
+    if (this.#modeSelect.value === NO_OVERRIDE) {
+      return true;
+    }
+
+    let isValid = true;
+    const inputs = [this.#valueInput, ...this.#levelInputs.values()];
+    for (const input of inputs) {
+      const value = this.#parse(input);
+      if (value !== null && isNaN(value)) {
+        input.setError('Ungültige Zahl');
+        isValid = false;
+      } else {
+        input.setError(null);
+      }
+    }
+
+    const hasAnyValue = inputs.some((input) => this.#parse(input) !== null);
+    if (isValid && !hasAnyValue) {
+      this.#valueInput.setError('Bitte mindestens einen Wert angeben');
+      isValid = false;
+    }
+
+    return isValid;
+  }
+
+  /**
+   * Override data for the catalog service (null = no override)
+   */
+  get value() {
+    const mode = this.#modeSelect.value;
+    if (mode === NO_OVERRIDE) {
+      return null;
+    }
+
+    const levelValues = {};
+    for (const [level, input] of this.#levelInputs) {
+      const value = this.#parse(input);
+      if (value !== null) {
+        levelValues[level] = value;
+      }
+    }
+
+    return {
+      mode,
+      value: this.#parse(this.#valueInput),
+      levelValues,
+    };
+  }
+}
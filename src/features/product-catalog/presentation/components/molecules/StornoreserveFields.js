@@ -0,0 +1,102 @@
+/**
+ * Molecule: StornoreserveFields
+ * Form section for the cancellation reserve of a category/product
+ * (withheld percentage and liability period in months)
+ */
+
+import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
+import { createElement } from '../../../../../core/utils/dom.js';
+
+export class StornoreserveFields {
+  #rule;
+  #element;
+  #percentageInput;
+  #liabilityMonthsInput;
+
+  /**
+   * @param {StornoreserveRule|null} rule - Current reserve of the category/product
+   * @param {Object} props - { helpText }
+   */
+  constructor(rule = null, props = {}) {
+    this.#rule = rule;
+    this.#element = this.#render(props.helpText);
+  }
+
+  get element() {
+    return this.#element;
+  }
+
+  #render(helpText) {
+    this.#percentageInput = new Input({
+      label: 'Einbehalt (%)',
+      type: 'number',
+      placeholder: '0',
+      value: this.#rule?.percentage?.toString() || '',
+    });
+
+    this.#liabilityMonthsInput = new Input({
+      label: 'Haftungszeit (Monate)',
+      type: 'number',
+      placeholder: 'z.B. 60',
+      value: this.#rule?.liabilityMonths?.toString() || '',
+    });
+
+    return createElement('div', { className: 'editor-section-group' }, [
+      createElement('h4', { className: 'editor-section-title' }, ['Stornoreserve']),
+      createElement('div', { className: 'editor-row-2' }, [
+        this.#percentageInput.element,
+        this.#liabilityMonthsInput.element,
+      ]),
+      helpText ? createElement('p', { className: 'editor-help-text' }, [helpText]) : null,
+    ].filter(Boolean));
+  }
+
+  #parse(input) {
+    const raw = input.value.trim();
+    return raw === '' ? null : Number(raw);
+  }
+
+  /**
+   * Validate the entered values
+   * @returns {boolean}
+   */
+  validate() {
+    let isValid = true;
+    const percentage = this.#parse(this.#percentageInput);
+    const liabilityMonths = this.#parse(this.#liabilityMonthsInput);
+
+    if (percentage !== null && (isNaN(percentage) || percentage < 0 || percentage > 100)) {
+      this.#percentageInput.setError('Wert zwischen 0 und 100 angeben');
+      isValid = false;
+    } else {
+      this.#percentageInput.setError(null);
+    }
+
+    if (liabilityMonths !== null && (!Number.isInteger(liabilityMonths) || liabilityMonths < 0 || liabilityMonths > 120)) {
+      this.#liabilityMonthsInput.setError('Ganze Monate zwischen 0 und 120 angeben');
+      isValid = false;
+    } else if (percentage && liabilityMonths === null) {
+      this.#liabilityMonthsInput.setError('Haftungszeit ist erforderlich');
+      isValid = false;
+    } else {
+      this.#liabilityMonthsInput.setError(null);
+    }
+
+    return isValid;
+  }
+
+  /**
+   * Reserve data for the catalog service (null = no reserve)
+   */
+  get value() {
+    const percentage = this.#parse(this.#percentageInput);
+    if (!percentage) {
+      return null;
+    }
+
+    return {
+      percentage,
+      liabilityMonths: this.#parse(this.#liabilityMonthsInput) ?? 0,
+    };
+  }
+}
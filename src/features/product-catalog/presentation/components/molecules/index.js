@@ -5,3 +5,6 @@
 export { CategoryEditor } from './CategoryEditor.js';
 export { ProductEditor } from './ProductEditor.js';
 export { ProviderEditor } from './ProviderEditor.js';
+export { ProvisionOverrideFields } from './ProvisionOverrideFields.js';
+export { StornoreserveFields } from './StornoreserveFields.js';
+export { ApprovalRuleFields } from './ApprovalRuleFields.js';
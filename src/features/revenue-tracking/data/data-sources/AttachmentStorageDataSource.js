@@ -0,0 +1,58 @@
+/**
+ * Data Source: AttachmentStorageDataSource
+ * Handles the files of revenue entry attachments in Firebase Cloud Storage
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+
+export class AttachmentStorageDataSource {
+  async #importStorageHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js');
+  }
+
+  async upload(storagePath, file, customMetadata = {}) {
+    try {
+      const storage = await firebaseApp.getStorage();
+      const { ref, uploadBytes } = await this.#importStorageHelpers();
+
+      await uploadBytes(ref(storage, storagePath), file, {
+        contentType: file.type,
+        customMetadata,
+      });
+
+      Logger.log(`✓ Attachment uploaded: ${storagePath}`);
+    } catch (error) {
+      throw new StorageError(`Failed to upload attachment: ${error.message}`);
+    }
+  }
+
+  async getDownloadUrl(storagePath) {
+    try {
+      const storage = await firebaseApp.getStorage();
+      const { ref, getDownloadURL } = await this.#importStorageHelpers();
+
+      return await getDownloadURL(ref(storage, storagePath));
+    } catch (error) {
+      throw new StorageError(`Failed to load attachment: ${error.message}`);
+    }
+  }
+
+  async delete(storagePath) {
+    try {
+      const storage = await firebaseApp.getStorage();
+      const { ref, deleteObject } = await this.#importStorageHelpers();
+
+      await deleteObject(ref(storage, storagePath));
+      Logger.log(`✓ Attachment deleted: ${storagePath}`);
+    } catch (error) {
+      // Already gone (e.g. deleted in the console) - the reference can still be removed
+      if (error.code === 'storage/object-not-found') {
+        Logger.warn(`Attachment file not found: ${storagePath}`);
+        return;
+      }
+      throw new StorageError(`Failed to delete attachment: ${error.message}`);
+    }
+  }
+}
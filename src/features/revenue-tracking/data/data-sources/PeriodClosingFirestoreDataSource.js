@@ -0,0 +1,50 @@
+/**
+ * Data Source: PeriodClosingFirestoreDataSource
+ * Handles persistence of the closing state of months (Monatsabschluss) to Firebase Firestore
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+
+export class PeriodClosingFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findAll() {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, getDocs } = await this.#importFirestoreHelpers();
+
+      const querySnapshot = await getDocs(collection(firestore, FIRESTORE_COLLECTIONS.PERIOD_CLOSINGS));
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load period closings: ${error.message}`);
+    }
+  }
+
+  async save(closingData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      await setDoc(doc(firestore, FIRESTORE_COLLECTIONS.PERIOD_CLOSINGS, closingData.id), closingData);
+
+      Logger.log(`✓ Period closing saved: ${closingData.id}`);
+      return closingData;
+    } catch (error) {
+      throw new StorageError(`Failed to save period closing: ${error.message}`);
+    }
+  }
+}
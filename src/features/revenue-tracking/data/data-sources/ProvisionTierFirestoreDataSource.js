@@ -0,0 +1,63 @@
+/**
+ * Data Source: ProvisionTierFirestoreDataSource
+ * Handles persistence of tier tables (Staffelprovision) to Firebase Firestore
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+
+export class ProvisionTierFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findAll() {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, getDocs } = await this.#importFirestoreHelpers();
+
+      const querySnapshot = await getDocs(collection(firestore, FIRESTORE_COLLECTIONS.PROVISION_TIERS));
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load provision tier tables: ${error.message}`);
+    }
+  }
+
+  async save(tableData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      await setDoc(doc(firestore, FIRESTORE_COLLECTIONS.PROVISION_TIERS, tableData.id), tableData);
+
+      Logger.log(`✓ Provision tier table saved: ${tableData.id}`);
+      return tableData;
+    } catch (error) {
+      throw new StorageError(`Failed to save provision tier table: ${error.message}`);
+    }
+  }
+
+  async delete(tableId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, deleteDoc } = await this.#importFirestoreHelpers();
+
+      await deleteDoc(doc(firestore, FIRESTORE_COLLECTIONS.PROVISION_TIERS, tableId));
+
+      Logger.log(`✓ Provision tier table deleted: ${tableId}`);
+    } catch (error) {
+      throw new StorageError(`Failed to delete provision tier table: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Data Source: RecurringRevenueFirestoreDataSource
+ * Handles persistence of recurring revenue templates to Firebase Firestore
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+
+export class RecurringRevenueFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findByEmployeeId(employeeId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, getDocs } = await this.#importFirestoreHelpers();
+
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.RECURRING_REVENUE_TEMPLATES),
+        where('employeeId', '==', employeeId)
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load recurring revenue templates: ${error.message}`);
+    }
+  }
+
+  async findById(templateId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, getDoc } = await this.#importFirestoreHelpers();
+
+      const docSnap = await getDoc(doc(firestore, FIRESTORE_COLLECTIONS.RECURRING_REVENUE_TEMPLATES, templateId));
+      return docSnap.exists() ? docSnap.data() : null;
+    } catch (error) {
+      throw new StorageError(`Failed to load recurring revenue template: ${error.message}`);
+    }
+  }
+
+  async findAll() {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, getDocs } = await this.#importFirestoreHelpers();
+
+      const querySnapshot = await getDocs(
+        collection(firestore, FIRESTORE_COLLECTIONS.RECURRING_REVENUE_TEMPLATES)
+      );
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load recurring revenue templates: ${error.message}`);
+    }
+  }
+
+  async save(templateData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      const docRef = doc(firestore, FIRESTORE_COLLECTIONS.RECURRING_REVENUE_TEMPLATES, templateData.id);
+      await setDoc(docRef, templateData);
+
+      Logger.log(`✓ Recurring revenue template saved: ${templateData.id}`);
+      return templateData;
+    } catch (error) {
+      throw new StorageError(`Failed to save recurring revenue template: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Data Source: RevenueAuditFirestoreDataSource
+ * Handles persistence of revenue audit events to Firebase Firestore
+ * (one document per changed field, never updated or deleted)
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+
+export class RevenueAuditFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async saveAll(eventsData) {
+    if (eventsData.length === 0) return eventsData;
+
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, writeBatch } = await this.#importFirestoreHelpers();
+
+      const BATCH_LIMIT = 500;
+      for (let i = 0; i < eventsData.length; i += BATCH_LIMIT) {
+        const chunk = eventsData.slice(i, i + BATCH_LIMIT);
+        const batch = writeBatch(firestore);
+
+        for (const event of chunk) {
+          batch.set(doc(firestore, FIRESTORE_COLLECTIONS.REVENUE_AUDIT_LOG, event.id), event);
+        }
+
+        await batch.commit();
+      }
+
+      return eventsData;
+    } catch (error) {
+      throw new StorageError(`Failed to save audit events: ${error.message}`);
+    }
+  }
+
+  async findByEntryId(entryId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, getDocs } = await this.#importFirestoreHelpers();
+
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.REVENUE_AUDIT_LOG),
+        where('entryId', '==', entryId)
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load audit events: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {string} fromIso - ISO timestamp (inclusive)
+   * @param {string} toIso - ISO timestamp (inclusive)
+   */
+  async findByPeriod(fromIso, toIso) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, orderBy, getDocs } = await this.#importFirestoreHelpers();
+
+      // ISO strings sort chronologically, so the range needs no composite index
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.REVENUE_AUDIT_LOG),
+        where('changedAt', '>=', fromIso),
+        where('changedAt', '<=', toIso),
+        orderBy('changedAt', 'desc')
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load audit events: ${error.message}`);
+    }
+  }
+}
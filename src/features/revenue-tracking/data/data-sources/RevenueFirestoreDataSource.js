@@ -52,6 +52,40 @@ export class RevenueFirestoreDataSource {
     }
   }
 
+  async findByCustomerId(customerId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, getDocs } = await this.#importFirestoreHelpers();
+
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.REVENUE_ENTRIES),
+        where('customerId', '==', customerId)
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load revenue entries of customer: ${error.message}`);
+    }
+  }
+
+  async findByContractId(contractId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, getDocs } = await this.#importFirestoreHelpers();
+
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.REVENUE_ENTRIES),
+        where('contractId', '==', contractId)
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load revenue entries of contract: ${error.message}`);
+    }
+  }
+
   async findById(entryId) {
     try {
       const firestore = this.#getFirestore();
@@ -281,19 +315,24 @@ export class RevenueFirestoreDataSource {
       if (!updates || updates.length === 0) return;
 
       const firestore = this.#getFirestore();
-      const { doc, writeBatch, serverTimestamp } = await this.#importFirestoreHelpers();
+      const { doc, writeBatch, serverTimestamp, arrayUnion } = await this.#importFirestoreHelpers();
 
       const BATCH_LIMIT = 500;
       for (let i = 0; i < updates.length; i += BATCH_LIMIT) {
         const chunk = updates.slice(i, i + BATCH_LIMIT);
         const batch = writeBatch(firestore);
 
-        for (const { entryId, status } of chunk) {
+        for (const { entryId, status, transition } of chunk) {
           const docRef = doc(firestore, FIRESTORE_COLLECTIONS.REVENUE_ENTRIES, entryId);
-          batch.update(docRef, {
+          const data = {
             status,
             updatedAt: serverTimestamp(),
-          });
+          };
+          if (transition) {
+            data.statusHistory = arrayUnion(transition);
+            data.pendingApproval = null;
+          }
+          batch.update(docRef, data);
         }
 
         await batch.commit();
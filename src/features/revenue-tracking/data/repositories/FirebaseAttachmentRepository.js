@@ -0,0 +1,27 @@
+/**
+ * Repository Implementation: FirebaseAttachmentRepository
+ * Implements IAttachmentRepository using Firebase Cloud Storage
+ */
+
+import { IAttachmentRepository } from '../../domain/repositories/IAttachmentRepository.js';
+
+export class FirebaseAttachmentRepository extends IAttachmentRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async upload(storagePath, file, metadata = {}) {
+    await this.#dataSource.upload(storagePath, file, metadata);
+  }
+
+  async getDownloadUrl(storagePath) {
+    return await this.#dataSource.getDownloadUrl(storagePath);
+  }
+
+  async delete(storagePath) {
+    await this.#dataSource.delete(storagePath);
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Repository Implementation: FirebasePeriodClosingRepository
+ * Implements IPeriodClosingRepository using Firebase Firestore
+ */
+
+import { IPeriodClosingRepository } from '../../domain/repositories/IPeriodClosingRepository.js';
+import { PeriodClosing } from '../../domain/entities/PeriodClosing.js';
+
+export class FirebasePeriodClosingRepository extends IPeriodClosingRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async findAll() {
+    const data = await this.#dataSource.findAll();
+    return data.map((json) => PeriodClosing.fromJSON(json));
+  }
+
+  async save(closing) {
+    await this.#dataSource.save(closing.toJSON());
+    return closing;
+  }
+}
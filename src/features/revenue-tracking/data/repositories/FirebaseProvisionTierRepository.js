@@ -0,0 +1,30 @@
+/**
+ * Repository Implementation: FirebaseProvisionTierRepository
+ * Implements IProvisionTierRepository using Firebase Firestore
+ */
+
+import { IProvisionTierRepository } from '../../domain/repositories/IProvisionTierRepository.js';
+import { ProvisionTierTable } from '../../domain/entities/ProvisionTierTable.js';
+
+export class FirebaseProvisionTierRepository extends IProvisionTierRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async findAll() {
+    const data = await this.#dataSource.findAll();
+    return data.map((json) => ProvisionTierTable.fromJSON(json));
+  }
+
+  async save(table) {
+    await this.#dataSource.save(table.toJSON());
+    return table;
+  }
+
+  async delete(tableId) {
+    await this.#dataSource.delete(tableId);
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Repository Implementation: FirebaseRecurringRevenueRepository
+ * Implements IRecurringRevenueRepository using Firebase Firestore
+ */
+
+import { IRecurringRevenueRepository } from '../../domain/repositories/IRecurringRevenueRepository.js';
+import { RecurringRevenueTemplate } from '../../domain/entities/RecurringRevenueTemplate.js';
+
+export class FirebaseRecurringRevenueRepository extends IRecurringRevenueRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async findByEmployeeId(employeeId) {
+    const data = await this.#dataSource.findByEmployeeId(employeeId);
+    return data.map((json) => RecurringRevenueTemplate.fromJSON(json));
+  }
+
+  async findById(templateId) {
+    const data = await this.#dataSource.findById(templateId);
+    return data ? RecurringRevenueTemplate.fromJSON(data) : null;
+  }
+
+  async findAll() {
+    const data = await this.#dataSource.findAll();
+    return data.map((json) => RecurringRevenueTemplate.fromJSON(json));
+  }
+
+  async save(template) {
+    await this.#dataSource.save(template.toJSON());
+    return template;
+  }
+}
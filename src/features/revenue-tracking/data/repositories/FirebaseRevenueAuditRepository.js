@@ -0,0 +1,31 @@
+/**
+ * Repository Implementation: FirebaseRevenueAuditRepository
+ * Implements IRevenueAuditRepository using Firebase Firestore
+ */
+
+import { IRevenueAuditRepository } from '../../domain/repositories/IRevenueAuditRepository.js';
+import { RevenueAuditEvent } from '../../domain/value-objects/RevenueAuditEvent.js';
+
+export class FirebaseRevenueAuditRepository extends IRevenueAuditRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async saveAll(events) {
+    await this.#dataSource.saveAll(events.map((e) => e.toJSON()));
+    return events;
+  }
+
+  async findByEntryId(entryId) {
+    const data = await this.#dataSource.findByEntryId(entryId);
+    return data.map((json) => RevenueAuditEvent.fromJSON(json));
+  }
+
+  async findByPeriod(from, to) {
+    const data = await this.#dataSource.findByPeriod(from.toISOString(), to.toISOString());
+    return data.map((json) => RevenueAuditEvent.fromJSON(json));
+  }
+}
@@ -56,6 +56,16 @@ export class FirebaseRevenueRepository extends IRevenueRepository {
     return data.map((item) => RevenueEntry.fromJSON(item));
   }
 
+  async findByCustomerId(customerId) {
+    const data = await this.#dataSource.findByCustomerId(customerId);
+    return data.map((item) => RevenueEntry.fromJSON(item));
+  }
+
+  async findByContractId(contractId) {
+    const data = await this.#dataSource.findByContractId(contractId);
+    return data.map((item) => RevenueEntry.fromJSON(item));
+  }
+
   async batchUpdateStatus(updates) {
     await this.#dataSource.batchUpdateStatus(updates);
   }
@@ -51,10 +51,14 @@ export class LocalRevenueRepository extends IRevenueRepository {
   }
 
   async batchUpdateStatus(updates) {
-    for (const { entryId, status } of updates) {
+    for (const { entryId, status, transition } of updates) {
       const data = await this.#dataSource.findById(entryId);
       if (data) {
         data.status = status;
+        if (transition) {
+          data.statusHistory = [...(data.statusHistory || []), transition];
+          data.pendingApproval = null;
+        }
         data.updatedAt = new Date().toISOString();
         await this.#dataSource.update(data);
       }
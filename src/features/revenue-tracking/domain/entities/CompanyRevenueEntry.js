@@ -18,6 +18,7 @@ export class CompanyRevenueEntry {
   #companyProvisionPercentage;
   #companyProvisionAmount;
   #ownerProvisionAmount;
+  #provisionPercentages; // Map<nodeId, number> - rate used per path level
 
   constructor({
     id = null,
@@ -31,6 +32,7 @@ export class CompanyRevenueEntry {
     companyProvisionPercentage,
     companyProvisionAmount,
     ownerProvisionAmount,
+    provisionPercentages = null,
   }) {
     this.#id = id || generateUUID();
     this.#originalEntry = originalEntry;
@@ -43,6 +45,7 @@ export class CompanyRevenueEntry {
     this.#companyProvisionPercentage = companyProvisionPercentage;
     this.#companyProvisionAmount = companyProvisionAmount;
     this.#ownerProvisionAmount = ownerProvisionAmount;
+    this.#provisionPercentages = new Map(provisionPercentages || []);
   }
 
   /**
@@ -78,9 +81,33 @@ export class CompanyRevenueEntry {
     }
 
     let ownerProvision, directSubProvision, highestProvision;
+    let provisionPercentages = null;
 
-    // PRIORITY: Use snapshots if available
-    if (entry.hasProvisionSnapshot) {
+    // PRIORITY 1: Full path snapshot - every level is read from the entry (immutable).
+    // The cascade path is rebuilt from the snapshot so it shows the chain that was
+    // in place when the entry was created.
+    if (entry.hasHierarchyPathSnapshot) {
+      const snapshotLevels = entry.hierarchyPathSnapshot.filter((level) => level.id !== company.id);
+      hierarchyPath = [company, ...snapshotLevels];
+
+      ownerProvision = entry.ownerProvisionSnapshot;
+      provisionPercentages = new Map();
+      highestProvision = 0;
+
+      for (const level of snapshotLevels) {
+        const provision = entry.getSnapshotProvisionRate(level.id) ?? 0;
+        provisionPercentages.set(level.id, provision);
+        if (provision > highestProvision) {
+          highestProvision = provision;
+        }
+      }
+
+      directSubProvision = snapshotLevels.length > 0
+        ? provisionPercentages.get(snapshotLevels[0].id)
+        : undefined;
+    }
+    // PRIORITY 2: Owner snapshot only (entries captured before full-path snapshots)
+    else if (entry.hasProvisionSnapshot) {
       ownerProvision = entry.ownerProvisionSnapshot;
 
       // For highest provision, use owner's snapshot (simplification - could iterate hierarchy snapshots)
@@ -89,15 +116,17 @@ export class CompanyRevenueEntry {
     // FALLBACK: Dynamic calculation for legacy entries
     else {
       const provisionType = entry.provisionType;
+      // Resolve every level's rate as of the entry date
+      const entryDate = entry.entryDate;
 
       // Get owner's provision based on provisionType or category
       ownerProvision = provisionType
-        ? this.#getProvisionForType(entryOwner, provisionType)
-        : this.#getProvisionForCategory(entryOwner, entry.category.type);
+        ? this.#getProvisionForType(entryOwner, provisionType, entryDate)
+        : this.#getProvisionForCategory(entryOwner, entry.category.type, entryDate);
 
       directSubProvision = provisionType
-        ? this.#getProvisionForType(directSubordinate, provisionType)
-        : this.#getProvisionForCategory(directSubordinate, entry.category.type);
+        ? this.#getProvisionForType(directSubordinate, provisionType, entryDate)
+        : this.#getProvisionForCategory(directSubordinate, entry.category.type, entryDate);
 
       // Find the HIGHEST provision percentage in the entire hierarchy path
       // (excluding the company itself)
@@ -105,8 +134,8 @@ export class CompanyRevenueEntry {
       for (const employee of hierarchyPath) {
         if (employee.id !== company.id) {
           const provision = provisionType
-            ? this.#getProvisionForType(employee, provisionType)
-            : this.#getProvisionForCategory(employee, entry.category.type);
+            ? this.#getProvisionForType(employee, provisionType, entryDate)
+            : this.#getProvisionForCategory(employee, entry.category.type, entryDate);
           if (provision > highestProvision) {
             highestProvision = provision;
           }
@@ -141,21 +170,24 @@ export class CompanyRevenueEntry {
       companyProvisionPercentage: companyProvision,
       companyProvisionAmount: companyAmount,
       ownerProvisionAmount: ownerAmount,
+      provisionPercentages,
     });
   }
 
   /**
    * Get provision percentage for employee based on provisionType
    * provisionType is one of: 'bank', 'insurance', 'realEstate'
+   * (rate history as of the given date, flat rates for plain objects)
    */
-  static #getProvisionForType(employee, provisionType) {
+  static #getProvisionForType(employee, provisionType, date = null) {
+    const rates = employee.getProvisionRatesAt?.(date) ?? employee;
     switch (provisionType) {
       case 'bank':
-        return employee.bankProvision || 0;
+        return rates.bankProvision || 0;
       case 'insurance':
-        return employee.insuranceProvision || 0;
+        return rates.insuranceProvision || 0;
       case 'realEstate':
-        return employee.realEstateProvision || 0;
+        return rates.realEstateProvision || 0;
       default:
         return 0;
     }
@@ -164,17 +196,18 @@ export class CompanyRevenueEntry {
   /**
    * Get provision percentage for employee based on category (legacy support)
    */
-  static #getProvisionForCategory(employee, categoryType) {
+  static #getProvisionForCategory(employee, categoryType, date = null) {
+    const rates = employee.getProvisionRatesAt?.(date) ?? employee;
     switch (categoryType) {
       case 'bank':
-        return employee.bankProvision || 0;
+        return rates.bankProvision || 0;
       case 'insurance':
-        return employee.insuranceProvision || 0;
+        return rates.insuranceProvision || 0;
       case 'realEstate':
       case 'propertyManagement':
-        return employee.realEstateProvision || 0;
+        return rates.realEstateProvision || 0;
       case 'energyContracts':
-        return employee.bankProvision || 0; // Default to bank for energy
+        return rates.bankProvision || 0; // Default to bank for energy
       default:
         return 0;
     }
@@ -195,6 +228,15 @@ export class CompanyRevenueEntry {
   get ownerProvisionAmount() { return this.#ownerProvisionAmount; }
   get employeeProvisionPercentage() { return this.#highestProvisionPercentageInPath; } // Alias
 
+  /**
+   * Rate used for a hierarchy level in this calculation (from the entry's path snapshot).
+   * @param {string} nodeId
+   * @returns {number|null} Null if the rate was not snapshotted (legacy entries)
+   */
+  getProvisionPercentageFor(nodeId) {
+    return this.#provisionPercentages.has(nodeId) ? this.#provisionPercentages.get(nodeId) : null;
+  }
+
   /**
    * Check if company gets provision from this entry
    */
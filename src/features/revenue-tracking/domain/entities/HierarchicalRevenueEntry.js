@@ -81,15 +81,18 @@ export class HierarchicalRevenueEntry {
   /**
    * Get employee's provision rate based on provisionType
    * provisionType is one of: 'bank', 'insurance', 'realEstate'
+   * Uses the rates that applied on the given date (rate history), falling back
+   * to the flat rates for plain objects like Geschaeftsfuehrer configs
    */
-  static #getProvisionForType(employee, provisionType) {
+  static #getProvisionForType(employee, provisionType, date = null) {
+    const rates = employee.getProvisionRatesAt?.(date) ?? employee;
     switch (provisionType) {
       case 'bank':
-        return employee.bankProvision || 0;
+        return rates.bankProvision || 0;
       case 'insurance':
-        return employee.insuranceProvision || 0;
+        return rates.insuranceProvision || 0;
       case 'realEstate':
-        return employee.realEstateProvision || 0;
+        return rates.realEstateProvision || 0;
       default:
         // Fallback: try to infer from provisionType string
         // or return 0 if unknown
@@ -101,45 +104,83 @@ export class HierarchicalRevenueEntry {
    * Legacy method for backward compatibility with old entries
    * that don't have explicit provisionType
    */
-  static #getProvisionForCategory(employee, categoryType) {
+  static #getProvisionForCategory(employee, categoryType, date = null) {
+    const rates = employee.getProvisionRatesAt?.(date) ?? employee;
     switch (categoryType) {
       case REVENUE_CATEGORY_TYPES.BANK:
-        return employee.bankProvision || 0;
+        return rates.bankProvision || 0;
       case REVENUE_CATEGORY_TYPES.INSURANCE:
-        return employee.insuranceProvision || 0;
+        return rates.insuranceProvision || 0;
       case REVENUE_CATEGORY_TYPES.REAL_ESTATE:
       case REVENUE_CATEGORY_TYPES.PROPERTY_MANAGEMENT:
-        return employee.realEstateProvision || 0;
+        return rates.realEstateProvision || 0;
       case REVENUE_CATEGORY_TYPES.ENERGY_CONTRACTS:
-        return employee.bankProvision || 0; // Default to bank for energy
+        return rates.bankProvision || 0; // Default to bank for energy
       default:
         return 0;
     }
   }
 
+  /**
+   * Highest snapshotted rate strictly between the manager and the owner (owner included).
+   * The manager only earns the delta above this level (differential cascade).
+   */
+  static #getSnapshotBaselineBelowManager(entry, managerId, ownerProvision) {
+    const path = entry.hierarchyPathSnapshot;
+    const managerIndex = path.findIndex((level) => level.id === managerId);
+    let baseline = ownerProvision;
+
+    for (let i = managerIndex + 1; i < path.length; i++) {
+      const rate = entry.getSnapshotProvisionRate(path[i].id) ?? 0;
+      if (rate > baseline) {
+        baseline = rate;
+      }
+    }
+
+    return baseline;
+  }
+
   static calculate({ entry, owner, manager, hierarchyLevel }) {
     let ownerProvision, managerProvision;
+    let baselineProvision = null;
 
-    // PRIORITY 1: Use provision snapshots if available (immutable, point-in-time values)
+    // PRIORITY 1: Full path snapshot - every level is read from the entry (immutable)
+    if (entry.hasHierarchyPathSnapshot) {
+      ownerProvision = entry.ownerProvisionSnapshot;
+      // Managers not part of the snapshot path were not in the chain at creation time
+      managerProvision = entry.getSnapshotProvisionRate(manager.id) ?? 0;
+      if (managerProvision > 0) {
+        baselineProvision = this.#getSnapshotBaselineBelowManager(entry, manager.id, ownerProvision);
+      }
+    }
+    // PRIORITY 2: Owner/manager snapshots only (entries captured before full-path snapshots)
     // This ensures that provision calculations remain consistent even if hierarchy provisions change
-    if (entry.hasProvisionSnapshot) {
+    else if (entry.hasProvisionSnapshot) {
       ownerProvision = entry.ownerProvisionSnapshot;
       managerProvision = entry.managerProvisionSnapshot || 0; // May be null if no manager at creation
     }
     // FALLBACK: Dynamic calculation for legacy entries without snapshots
     else {
       const provisionType = entry.provisionType;
+      // Rates effective on the entry date (not today) so late entries use the old rates
+      const entryDate = entry.entryDate;
 
       if (provisionType) {
-        ownerProvision = this.#getProvisionForType(owner, provisionType);
-        managerProvision = this.#getProvisionForType(manager, provisionType);
+        ownerProvision = this.#getProvisionForType(owner, provisionType, entryDate);
+        managerProvision = this.#getProvisionForType(manager, provisionType, entryDate);
       } else {
         // Legacy fallback for entries without provisionType
-        ownerProvision = this.#getProvisionForCategory(owner, entry.category.type);
-        managerProvision = this.#getProvisionForCategory(manager, entry.category.type);
+        ownerProvision = this.#getProvisionForCategory(owner, entry.category.type, entryDate);
+        managerProvision = this.#getProvisionForCategory(manager, entry.category.type, entryDate);
       }
     }
 
+    // Reversals of entries without a path snapshot only charge the managers billed
+    // for the original - the current chain may not be the one the entry was booked in
+    if (entry.isReclaimableFromManager?.(manager.id) === false) {
+      managerProvision = 0;
+    }
+
     // Calculate provision amounts
     // Tip provider provision is deducted from OWNER, not from company
     // The tip provider's share comes from the owner's provision
@@ -147,8 +188,9 @@ export class HierarchicalRevenueEntry {
     const tipProviderPercentage = Math.min(entry.totalTipProviderPercentage, ownerProvision);
     const ownerEffectiveProvision = ownerProvision - tipProviderPercentage;
 
-    // Manager delta is based on owner's BASE provision (for correct cascade)
-    const provisionDifference = managerProvision - ownerProvision;
+    // Manager delta is based on owner's BASE provision (for correct cascade),
+    // or on the highest snapshotted level between owner and manager
+    const provisionDifference = managerProvision - (baselineProvision ?? ownerProvision);
     const baseAmount = entry.grossAmount || entry.provisionAmount;
     const managerAmount =
       provisionDifference > 0
@@ -0,0 +1,129 @@
+/**
+ * Entity: PeriodClosing (Monatsabschluss)
+ * Closing state of one calendar month. Entries dated in a closed month can
+ * no longer be created, edited or deleted; corrections are booked as
+ * adjustment entries in the next open month. Every close and reopen is
+ * kept in the history, a reopen needs a reason.
+ */
+
+import { ValidationError } from '../../../../core/errors/index.js';
+
+export const PERIOD_CLOSING_ACTIONS = {
+  CLOSED: 'closed',
+  REOPENED: 'reopened',
+};
+
+const MONTH_NAMES = [
+  'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+  'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember',
+];
+
+export class PeriodClosing {
+  #year;
+  #month;
+  #closed;
+  #history;
+
+  /**
+   * @param {Object} params
+   * @param {number} params.year
+   * @param {number} params.month - 0-11
+   * @param {boolean} params.closed
+   * @param {Array<{action: string, at: Date|string, by: string|null, byName: string|null, reason: string}>} params.history
+   */
+  constructor({ year, month, closed = false, history = [] }) {
+    if (!Number.isInteger(year) || !Number.isInteger(month) || month < 0 || month > 11) {
+      throw new ValidationError('Monat ist ungültig', 'month');
+    }
+
+    this.#year = year;
+    this.#month = month;
+    this.#closed = Boolean(closed);
+    this.#history = history.map((event) => ({
+      action: event.action,
+      at: new Date(event.at),
+      by: event.by ?? null,
+      byName: event.byName ?? null,
+      reason: event.reason ?? '',
+    }));
+  }
+
+  /**
+   * Document id of the month an entry date falls into ("2026-03"), in local time
+   */
+  static keyFor(date) {
+    const day = new Date(date);
+    return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  static forMonth(year, month) {
+    return new PeriodClosing({ year, month });
+  }
+
+  get id() { return `${this.#year}-${String(this.#month + 1).padStart(2, '0')}`; }
+  get year() { return this.#year; }
+  get month() { return this.#month; }
+  get isClosed() { return this.#closed; }
+  get history() { return this.#history.map((event) => ({ ...event })); }
+
+  get displayName() {
+    return `${MONTH_NAMES[this.#month]} ${this.#year}`;
+  }
+
+  get lastEvent() {
+    return this.#history.length > 0 ? { ...this.#history[this.#history.length - 1] } : null;
+  }
+
+  /**
+   * @param {{id: string, name: string}|null} actor
+   */
+  close(actor = null) {
+    if (this.#closed) {
+      throw new ValidationError(`${this.displayName} ist bereits abgeschlossen`, 'month');
+    }
+    this.#closed = true;
+    this.#record(PERIOD_CLOSING_ACTIONS.CLOSED, actor, '');
+    return this;
+  }
+
+  reopen(reason, actor = null) {
+    if (!this.#closed) {
+      throw new ValidationError(`${this.displayName} ist nicht abgeschlossen`, 'month');
+    }
+    if (!reason?.trim()) {
+      throw new ValidationError('Für das Wiedereröffnen ist eine Begründung erforderlich', 'reason');
+    }
+    this.#closed = false;
+    this.#record(PERIOD_CLOSING_ACTIONS.REOPENED, actor, reason.trim());
+    return this;
+  }
+
+  #record(action, actor, reason) {
+    this.#history.push({
+      action,
+      at: new Date(),
+      by: actor?.id ?? null,
+      byName: actor?.name ?? null,
+      reason,
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      year: this.#year,
+      month: this.#month,
+      closed: this.#closed,
+      history: this.#history.map((event) => ({ ...event, at: event.at.toISOString() })),
+    };
+  }
+
+  static fromJSON(json) {
+    return new PeriodClosing({
+      year: json.year,
+      month: json.month,
+      closed: json.closed,
+      history: json.history || [],
+    });
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * Entity: ProvisionTierTable (Staffelprovision)
+ * Owner rates that rise with the volume an employee has written in the
+ * calendar year, e.g. 40 % up to 50.000 € and 50 % above. A table belongs
+ * to one employee or to a career level and covers one provision type or
+ * all of them. Each tier applies to the part of the volume inside it, so
+ * an entry crossing a threshold gets a blended rate.
+ */
+
+import { generateUUID } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { CAREER_LEVELS } from '../../../user-profile/domain/value-objects/CareerLevel.js';
+
+export const TIER_TABLE_SCOPES = {
+  EMPLOYEE: 'employee',
+  CAREER_LEVEL: 'careerLevel',
+};
+
+const PROVISION_TYPE_NAMES = {
+  bank: 'Bank',
+  insurance: 'Versicherung',
+  realEstate: 'Immobilien',
+};
+
+const formatEuro = (value) => new Intl.NumberFormat('de-DE', {
+  style: 'currency',
+  currency: 'EUR',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0,
+}).format(value);
+
+export class ProvisionTierTable {
+  #id;
+  #scope;
+  #nodeId;
+  #levelKey;
+  #provisionType;
+  #tiers;
+  #yearEndTrueUp;
+  #createdBy;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * @param {Object} params
+   * @param {string} params.scope - TIER_TABLE_SCOPES
+   * @param {string|null} params.nodeId - Employee (scope employee)
+   * @param {string|null} params.levelKey - Key of CAREER_LEVELS (scope careerLevel)
+   * @param {string|null} params.provisionType - bank | insurance | realEstate, null for all types
+   * @param {Array<{from: number, rate: number}>} params.tiers - Volume in EUR from which the rate (percent) applies; the first tier starts at 0
+   * @param {boolean} params.yearEndTrueUp - Offer a correction entry when back-dated entries shift the tiers
+   */
+  constructor({
+    id = null,
+    scope = TIER_TABLE_SCOPES.EMPLOYEE,
+    nodeId = null,
+    levelKey = null,
+    provisionType = null,
+    tiers = [],
+    yearEndTrueUp = false,
+    createdBy = null,
+    createdAt = null,
+    updatedAt = null,
+  }) {
+    if (!Object.values(TIER_TABLE_SCOPES).includes(scope)) {
+      throw new ValidationError('Geltungsbereich ist ungültig', 'scope');
+    }
+    if (scope === TIER_TABLE_SCOPES.EMPLOYEE && !nodeId) {
+      throw new ValidationError('Mitarbeiter ist erforderlich', 'nodeId');
+    }
+    if (scope === TIER_TABLE_SCOPES.CAREER_LEVEL && !CAREER_LEVELS[levelKey]) {
+      throw new ValidationError('Karrierestufe ist ungültig', 'levelKey');
+    }
+    if (provisionType && !PROVISION_TYPE_NAMES[provisionType]) {
+      throw new ValidationError('Provisionsart ist ungültig', 'provisionType');
+    }
+
+    this.#id = id || generateUUID();
+    this.#scope = scope;
+    this.#nodeId = scope === TIER_TABLE_SCOPES.EMPLOYEE ? nodeId : null;
+    this.#levelKey = scope === TIER_TABLE_SCOPES.CAREER_LEVEL ? levelKey : null;
+    this.#provisionType = provisionType || null;
+    this.#tiers = this.#validateTiers(tiers);
+    this.#yearEndTrueUp = Boolean(yearEndTrueUp);
+    this.#createdBy = createdBy;
+    this.#createdAt = createdAt ? new Date(createdAt) : new Date();
+    this.#updatedAt = updatedAt ? new Date(updatedAt) : new Date();
+  }
+
+  #validateTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length < 2) {
+      throw new ValidationError('Eine Staffel braucht mindestens zwei Stufen', 'tiers');
+    }
+
+    const sorted = tiers
+      .map((tier) => ({ from: Number(tier.from), rate: Number(tier.rate) }))
+      .sort((a, b) => a.from - b.from);
+
+    if (sorted[0].from !== 0) {
+      throw new ValidationError('Die erste Stufe muss bei 0 € beginnen', 'tiers');
+    }
+    for (const [index, tier] of sorted.entries()) {
+      if (!Number.isFinite(tier.from) || (index > 0 && tier.from <= sorted[index - 1].from)) {
+        throw new ValidationError('Die Schwellen der Stufen müssen aufsteigend und verschieden sein', 'tiers');
+      }
+      if (!Number.isFinite(tier.rate) || tier.rate < 0 || tier.rate > 100) {
+        throw new ValidationError('Provisionssätze müssen zwischen 0 und 100 liegen', 'tiers');
+      }
+    }
+
+    return Object.freeze(sorted.map((tier) => Object.freeze(tier)));
+  }
+
+  get id() { return this.#id; }
+  get scope() { return this.#scope; }
+  get nodeId() { return this.#nodeId; }
+  get levelKey() { return this.#levelKey; }
+  get provisionType() { return this.#provisionType; }
+  get tiers() { return this.#tiers.map((tier) => ({ ...tier })); }
+  get yearEndTrueUp() { return this.#yearEndTrueUp; }
+  get createdBy() { return this.#createdBy; }
+  get createdAt() { return this.#createdAt; }
+  get updatedAt() { return this.#updatedAt; }
+
+  get isEmployeeTable() {
+    return this.#scope === TIER_TABLE_SCOPES.EMPLOYEE;
+  }
+
+  get provisionTypeDisplayName() {
+    return this.#provisionType ? PROVISION_TYPE_NAMES[this.#provisionType] : 'Alle Provisionsarten';
+  }
+
+  get scopeDisplayName() {
+    return this.isEmployeeTable ? 'Mitarbeiter' : CAREER_LEVELS[this.#levelKey].rankName;
+  }
+
+  /**
+   * "40 % bis 50.000 €, 50 % darüber"
+   */
+  get summary() {
+    return this.#tiers.map((tier, index) => {
+      const next = this.#tiers[index + 1];
+      return next ? `${tier.rate} % bis ${formatEuro(next.from)}` : `${tier.rate} % darüber`;
+    }).join(', ');
+  }
+
+  appliesTo(provisionType) {
+    return this.#provisionType === null || this.#provisionType === provisionType;
+  }
+
+  /**
+   * Rate of the tier the given year-to-date volume falls into
+   */
+  rateAt(volume) {
+    let rate = this.#tiers[0].rate;
+    for (const tier of this.#tiers) {
+      if (volume >= tier.from) {
+        rate = tier.rate;
+      }
+    }
+    return rate;
+  }
+
+  /**
+   * Rate for an entry of the given amount when the year so far adds up to
+   * volumeBefore. The part of the amount in each tier gets that tier's rate.
+   */
+  rateFor(volumeBefore, amount) {
+    const start = Math.max(0, volumeBefore);
+    if (!(amount > 0)) {
+      return this.rateAt(start);
+    }
+
+    const end = start + amount;
+    let weighted = 0;
+    for (const [index, tier] of this.#tiers.entries()) {
+      const upper = this.#tiers[index + 1]?.from ?? Infinity;
+      const covered = Math.min(end, upper) - Math.max(start, tier.from);
+      if (covered > 0) {
+        weighted += covered * tier.rate;
+      }
+    }
+    return Math.round((weighted / amount) * 10000) / 10000;
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      scope: this.#scope,
+      nodeId: this.#nodeId,
+      levelKey: this.#levelKey,
+      provisionType: this.#provisionType,
+      tiers: this.tiers,
+      yearEndTrueUp: this.#yearEndTrueUp,
+      createdBy: this.#createdBy,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString(),
+    };
+  }
+
+  static fromJSON(json) {
+    return new ProvisionTierTable(json);
+  }
+}
@@ -0,0 +1,328 @@
+/**
+ * Entity: RecurringRevenueTemplate
+ * Recurring fee of a property management or energy contract. The template
+ * holds the data of the revenue entry to create and the schedule; one
+ * RevenueEntry is generated per due period. Periods falling into a pause
+ * are skipped, and no periods are generated after the end date or the
+ * termination of the contract.
+ */
+
+import { generateUUID, roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { REVENUE_CATEGORY_TYPES } from '../value-objects/RevenueCategory.js';
+import { RecurrenceInterval } from '../value-objects/RecurrenceInterval.js';
+
+export const RECURRING_TEMPLATE_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  ENDED: 'ended',
+  TERMINATED: 'terminated',
+};
+
+const STATUS_DISPLAY_NAMES = {
+  [RECURRING_TEMPLATE_STATUS.ACTIVE]: 'Aktiv',
+  [RECURRING_TEMPLATE_STATUS.PAUSED]: 'Pausiert',
+  [RECURRING_TEMPLATE_STATUS.ENDED]: 'Abgelaufen',
+  [RECURRING_TEMPLATE_STATUS.TERMINATED]: 'Gekündigt',
+};
+
+const RECURRING_CATEGORIES = [
+  REVENUE_CATEGORY_TYPES.PROPERTY_MANAGEMENT,
+  REVENUE_CATEGORY_TYPES.ENERGY_CONTRACTS,
+];
+
+// Entry fields copied from the template into every generated entry
+const ENTRY_TEMPLATE_FIELDS = [
+  'customerId',
+  'customerName',
+  'customerAddress',
+  'category',
+  'provisionType',
+  'product',
+  'productProvider',
+  'propertyAddress',
+  'contractNumber',
+  'provisionAmount',
+  'notes',
+  'hasVAT',
+  'vatRate',
+  'manualBilling',
+  'tipProviders',
+];
+
+export class RecurringRevenueTemplate {
+  #id;
+  #employeeId;
+  #entryTemplate;
+  #interval;
+  #startDate;
+  #endDate;
+  #pauses;
+  #terminatedAt;
+  #lastGeneratedDate;
+  #createdBy;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * @param {Object} params
+   * @param {Object} params.entryTemplate - RevenueEntry data (customer, product, provider, amount, ...)
+   * @param {string} params.interval - RECURRENCE_INTERVAL_TYPES value
+   * @param {Date} params.startDate - Date of the first period; later periods fall on the same day
+   * @param {Date|null} params.endDate - Last possible period (null = open-ended)
+   * @param {Array<{from: Date, to: Date|null}>} params.pauses - Open pause has no end
+   * @param {Date|null} params.lastGeneratedDate - Latest period an entry was generated for
+   */
+  constructor({
+    id = null,
+    employeeId,
+    entryTemplate,
+    interval,
+    startDate,
+    endDate = null,
+    pauses = [],
+    terminatedAt = null,
+    lastGeneratedDate = null,
+    createdBy = null,
+    createdAt = null,
+    updatedAt = null,
+  }) {
+    if (!employeeId) {
+      throw new ValidationError('Recurring revenue template requires an employee', 'employeeId');
+    }
+    if (!entryTemplate?.customerName || !entryTemplate?.category) {
+      throw new ValidationError('Kunde und Kategorie sind erforderlich', 'entryTemplate');
+    }
+    const amount = Number(entryTemplate.provisionAmount);
+    if (isNaN(amount) || amount <= 0) {
+      throw new ValidationError('Betrag muss größer als 0 sein', 'provisionAmount');
+    }
+    if (!startDate) {
+      throw new ValidationError('Beginn ist erforderlich', 'startDate');
+    }
+    if (endDate && new Date(endDate) < new Date(startDate)) {
+      throw new ValidationError('Ende muss nach dem Beginn liegen', 'endDate');
+    }
+
+    this.#id = id || generateUUID();
+    this.#employeeId = employeeId;
+    this.#entryTemplate = { ...entryTemplate, provisionAmount: roundCurrency(amount) };
+    this.#interval = interval instanceof RecurrenceInterval ? interval : new RecurrenceInterval(interval);
+    this.#startDate = this.#toDay(startDate);
+    this.#endDate = endDate ? this.#toDay(endDate) : null;
+    this.#pauses = pauses.map((p) => ({
+      from: this.#toDay(p.from),
+      to: p.to ? this.#toDay(p.to) : null,
+    }));
+    this.#terminatedAt = terminatedAt ? this.#toDay(terminatedAt) : null;
+    this.#lastGeneratedDate = lastGeneratedDate ? this.#toDay(lastGeneratedDate) : null;
+    this.#createdBy = createdBy;
+    this.#createdAt = createdAt ? new Date(createdAt) : new Date();
+    this.#updatedAt = updatedAt ? new Date(updatedAt) : new Date();
+  }
+
+  #toDay(date) {
+    const d = new Date(date);
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  }
+
+  get id() { return this.#id; }
+  get employeeId() { return this.#employeeId; }
+  get entryTemplate() { return { ...this.#entryTemplate }; }
+  get interval() { return this.#interval; }
+  get startDate() { return this.#startDate; }
+  get endDate() { return this.#endDate; }
+  get pauses() { return this.#pauses.map((p) => ({ ...p })); }
+  get terminatedAt() { return this.#terminatedAt; }
+  get lastGeneratedDate() { return this.#lastGeneratedDate; }
+  get createdBy() { return this.#createdBy; }
+  get createdAt() { return this.#createdAt; }
+  get updatedAt() { return this.#updatedAt; }
+
+  get customerId() { return this.#entryTemplate.customerId || null; }
+  get customerName() { return this.#entryTemplate.customerName; }
+  get contractNumber() { return this.#entryTemplate.contractNumber || ''; }
+  get category() { return this.#entryTemplate.category; }
+  get provisionAmount() { return this.#entryTemplate.provisionAmount; }
+
+  get isTerminated() {
+    return this.#terminatedAt !== null;
+  }
+
+  get isPaused() {
+    return !this.isTerminated && this.#pauses.some((p) => p.to === null);
+  }
+
+  getStatus(asOf = new Date()) {
+    if (this.isTerminated) return RECURRING_TEMPLATE_STATUS.TERMINATED;
+    if (this.#endDate && this.#toDay(asOf) > this.#endDate) return RECURRING_TEMPLATE_STATUS.ENDED;
+    if (this.isPaused) return RECURRING_TEMPLATE_STATUS.PAUSED;
+    return RECURRING_TEMPLATE_STATUS.ACTIVE;
+  }
+
+  getStatusDisplayName(asOf = new Date()) {
+    return STATUS_DISPLAY_NAMES[this.getStatus(asOf)];
+  }
+
+  /**
+   * Period dates up to asOf that still need an entry, oldest first
+   * @param {Date} asOf
+   * @returns {Date[]}
+   */
+  getDuePeriods(asOf = new Date()) {
+    const limit = [this.#toDay(asOf), this.#endDate, this.#terminatedAt]
+      .filter(Boolean)
+      .reduce((min, date) => (date < min ? date : min));
+
+    const periods = [];
+    for (let index = 0; ; index++) {
+      const periodDate = this.#getPeriodDate(index);
+      if (periodDate > limit) break;
+      if (this.#lastGeneratedDate && periodDate <= this.#lastGeneratedDate) continue;
+      if (this.#isInPause(periodDate)) continue;
+      periods.push(periodDate);
+    }
+    return periods;
+  }
+
+  /**
+   * Next period that will create an entry (null if the template has ended)
+   */
+  getNextPeriodDate(asOf = new Date()) {
+    if (this.isTerminated || this.isPaused) {
+      return null;
+    }
+    const day = this.#toDay(asOf);
+    for (let index = 0; ; index++) {
+      const periodDate = this.#getPeriodDate(index);
+      if (this.#endDate && periodDate > this.#endDate) return null;
+      if (periodDate > day && !this.#isInPause(periodDate)) return periodDate;
+    }
+  }
+
+  /**
+   * Key of a period, unique per template (used as the entry's source reference)
+   */
+  getPeriodKey(periodDate) {
+    return `${periodDate.getFullYear()}-${String(periodDate.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  #getPeriodDate(index) {
+    const monthOffset = index * this.#interval.months;
+    const year = this.#startDate.getFullYear();
+    const month = this.#startDate.getMonth() + monthOffset;
+    // Clamp the day so a template starting on the 31st falls on the last day of shorter months
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(this.#startDate.getDate(), lastDay));
+  }
+
+  #isInPause(date) {
+    return this.#pauses.some((p) => date >= p.from && (p.to === null || date < p.to));
+  }
+
+  pause(date = new Date()) {
+    if (this.isTerminated) {
+      throw new ValidationError('Gekündigte Verträge können nicht pausiert werden', 'status');
+    }
+    if (this.isPaused) {
+      return this;
+    }
+    this.#pauses.push({ from: this.#toDay(date), to: null });
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  resume(date = new Date()) {
+    const openPause = this.#pauses.find((p) => p.to === null);
+    if (!openPause) {
+      return this;
+    }
+    const resumeDay = this.#toDay(date);
+    openPause.to = resumeDay < openPause.from ? openPause.from : resumeDay;
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  terminate(date = new Date()) {
+    if (this.isTerminated) {
+      return this;
+    }
+    this.#terminatedAt = this.#toDay(date);
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  /**
+   * Hand the contract over to a successor; future periods are generated for them
+   */
+  transferTo(employeeId) {
+    if (!employeeId) {
+      throw new ValidationError('Recurring revenue template requires an employee', 'employeeId');
+    }
+    this.#employeeId = employeeId;
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  markGenerated(periodDate) {
+    const day = this.#toDay(periodDate);
+    if (!this.#lastGeneratedDate || day > this.#lastGeneratedDate) {
+      this.#lastGeneratedDate = day;
+      this.#updatedAt = new Date();
+    }
+    return this;
+  }
+
+  static supportsCategory(categoryType) {
+    return RECURRING_CATEGORIES.includes(categoryType);
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      employeeId: this.#employeeId,
+      entryTemplate: JSON.parse(JSON.stringify(this.#entryTemplate)),
+      interval: this.#interval.toJSON(),
+      startDate: this.#startDate.toISOString(),
+      endDate: this.#endDate ? this.#endDate.toISOString() : null,
+      pauses: this.#pauses.map((p) => ({
+        from: p.from.toISOString(),
+        to: p.to ? p.to.toISOString() : null,
+      })),
+      terminatedAt: this.#terminatedAt ? this.#terminatedAt.toISOString() : null,
+      lastGeneratedDate: this.#lastGeneratedDate ? this.#lastGeneratedDate.toISOString() : null,
+      createdBy: this.#createdBy,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString(),
+    };
+  }
+
+  static fromJSON(json) {
+    return new RecurringRevenueTemplate(json);
+  }
+
+  /**
+   * Create a template from the data entered in the revenue dialog
+   * @param {string} employeeId
+   * @param {Object} entryData - Revenue entry form data
+   * @param {Object} schedule - { interval, startDate, endDate }
+   * @param {string|null} createdBy
+   */
+  static create(employeeId, entryData, { interval, startDate, endDate = null }, createdBy = null) {
+    const entryTemplate = {};
+    for (const field of ENTRY_TEMPLATE_FIELDS) {
+      if (entryData[field] !== undefined) {
+        entryTemplate[field] = entryData[field];
+      }
+    }
+
+    return new RecurringRevenueTemplate({
+      employeeId,
+      entryTemplate,
+      interval,
+      startDate,
+      endDate,
+      createdBy,
+    });
+  }
+}
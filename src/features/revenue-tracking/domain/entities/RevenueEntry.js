@@ -13,11 +13,15 @@ import { Product } from '../value-objects/Product.js';
 import { ProductProvider } from '../value-objects/ProductProvider.js';
 import { CustomerAddress } from '../value-objects/CustomerAddress.js';
 import { TipProviderAllocation } from '../value-objects/TipProviderAllocation.js';
+import { StatusTransition, STATUS_TRANSITION_TYPES } from '../value-objects/StatusTransition.js';
+import { EntryAttachment } from '../value-objects/EntryAttachment.js';
+import { PeriodClosing } from './PeriodClosing.js';
 
 export class RevenueEntry {
   #id;
   #employeeId;
   #customerNumber;
+  #customerId; // Customer master data record (null for entries recorded before)
   #customerName;
   #customerAddress;
   #category;
@@ -26,6 +30,7 @@ export class RevenueEntry {
   #productProvider;
   #propertyAddress;
   #contractNumber;
+  #contractId; // Contract the posting belongs to (null without contract number)
   #provisionAmount;
   #notes;
   #status;
@@ -47,11 +52,16 @@ export class RevenueEntry {
   #billedTipProviderIds;
   #billedHierarchyManagerIds;
   #reversalOfEntryId;
+  #reclaimableManagerIds; // string[] | null - managers a reversal may charge (null = snapshot path)
+  #statusHistory; // Array<StatusTransition>
+  #pendingApproval; // { toStatus, requestedBy, requestedByName, requestedAt, comment } | null
+  #attachments; // Array<EntryAttachment>
 
   constructor({
     id = null,
     employeeId,
     customerNumber,
+    customerId = null,
     customerName,
     customerAddress = null,
     category,
@@ -60,6 +70,7 @@ export class RevenueEntry {
     productProvider,
     propertyAddress = null,
     contractNumber,
+    contractId = null,
     provisionAmount,
     notes = '',
     status = null,
@@ -88,10 +99,17 @@ export class RevenueEntry {
     billedHierarchyManagerIds = [],
     // Clawback (Rueckforderung): optional reference to the reversed original entry
     reversalOfEntryId = null,
+    reclaimableManagerIds = null,
+    // Status timeline and open four-eyes approval
+    statusHistory = [],
+    pendingApproval = null,
+    // Document references (files in Cloud Storage)
+    attachments = [],
   }) {
     this.#id = id || generateUUID();
     this.#employeeId = employeeId;
     this.#customerNumber = customerNumber;
+    this.#customerId = customerId ?? null;
     this.#customerName = customerName;
     this.#customerAddress =
       customerAddress instanceof CustomerAddress
@@ -110,6 +128,7 @@ export class RevenueEntry {
         : ProductProvider.fromJSON(productProvider);
     this.#propertyAddress = propertyAddress;
     this.#contractNumber = contractNumber;
+    this.#contractId = contractId ?? null;
     this.#provisionAmount = this.#validateProvisionAmount(provisionAmount);
     this.#notes = notes;
     this.#status =
@@ -157,6 +176,13 @@ export class RevenueEntry {
     // Clawback reference (nullable). A negative provisionAmount marks this entry
     // as a Rueckforderung; the reference optionally links it to the original entry.
     this.#reversalOfEntryId = reversalOfEntryId ?? null;
+    this.#reclaimableManagerIds = Array.isArray(reclaimableManagerIds) ? [...reclaimableManagerIds] : null;
+
+    this.#statusHistory = Array.isArray(statusHistory)
+      ? statusHistory.map((t) => (t instanceof StatusTransition ? t : StatusTransition.fromJSON(t)))
+      : [];
+    this.#pendingApproval = pendingApproval ? { ...pendingApproval } : null;
+    this.#attachments = this.#buildAttachments(attachments);
 
     if (this.#isExtraordinary && (!this.#extraordinaryGfId || !this.#extraordinaryGfName)) {
       throw new ValidationError(
@@ -166,6 +192,11 @@ export class RevenueEntry {
     }
   }
 
+  #buildAttachments(attachments) {
+    if (!Array.isArray(attachments)) return [];
+    return attachments.map((a) => (a instanceof EntryAttachment ? a : EntryAttachment.fromJSON(a)));
+  }
+
   /**
    * Build tip providers array from either new format or legacy single fields
    */
@@ -269,6 +300,7 @@ export class RevenueEntry {
   get id() { return this.#id; }
   get employeeId() { return this.#employeeId; }
   get customerNumber() { return this.#customerNumber; }
+  get customerId() { return this.#customerId; }
   get customerName() { return this.#customerName; }
   get customerAddress() { return this.#customerAddress; }
   get category() { return this.#category; }
@@ -277,12 +309,18 @@ export class RevenueEntry {
   get productProvider() { return this.#productProvider; }
   get propertyAddress() { return this.#propertyAddress; }
   get contractNumber() { return this.#contractNumber; }
+  get contractId() { return this.#contractId; }
   get provisionAmount() { return this.#provisionAmount; }
   get notes() { return this.#notes; }
   get status() { return this.#status; }
   get createdAt() { return this.#createdAt; }
   get updatedAt() { return this.#updatedAt; }
   get entryDate() { return this.#entryDate; }
+
+  /**
+   * Month of the entry date ("2026-03"), checked against closed months
+   */
+  get entryMonth() { return PeriodClosing.keyFor(this.#entryDate); }
   get ownerProvisionSnapshot() { return this.#ownerProvisionSnapshot; }
   get managerProvisionSnapshot() { return this.#managerProvisionSnapshot; }
   get hierarchySnapshot() { return this.#hierarchySnapshot; }
@@ -291,17 +329,338 @@ export class RevenueEntry {
     return this.#ownerProvisionSnapshot !== null && this.#ownerProvisionSnapshot !== undefined;
   }
 
+  /**
+   * Catalog rule that determined the snapshotted rates
+   * ({ source: 'provisionType' } or a product/provider override), null for older entries
+   */
+  get provisionRuleSnapshot() {
+    const rule = this.#hierarchySnapshot?.provisionRule;
+    return rule ? { ...rule } : null;
+  }
+
+  /**
+   * Tier of the Staffelprovision the owner's rate came from
+   * ({ tableId, year, volumeBefore, rate }), null if the type rate applied
+   */
+  get provisionTierSnapshot() {
+    const tier = this.#hierarchySnapshot?.provisionTier;
+    return tier ? { ...tier } : null;
+  }
+
+  /**
+   * Provision correction booked without a customer deal (tier true-up,
+   * team bonus): it pays out, but is no revenue of its own
+   */
+  get isProvisionAdjustment() {
+    return this.#hierarchySnapshot?.provisionRule?.source === 'adjustment';
+  }
+
+  /**
+   * Snapshotted hierarchy path (company → owner) with per-type rates per level.
+   * Null for entries captured before full-path snapshots were introduced.
+   */
+  get hierarchyPathSnapshot() {
+    const path = this.#hierarchySnapshot?.path;
+    if (!Array.isArray(path) || path.length === 0) {
+      return null;
+    }
+    return path.map((level) => ({ ...level }));
+  }
+
+  get hasHierarchyPathSnapshot() {
+    return this.hasProvisionSnapshot && this.hierarchyPathSnapshot !== null;
+  }
+
+  /**
+   * Get the snapshotted provision rate of a hierarchy level for this entry's provisionType.
+   * The owner always resolves to ownerProvisionSnapshot (source of truth for the owner's rate).
+   * A product/provider override captured for the level takes precedence over the type rates.
+   * @param {string} nodeId
+   * @returns {number|null} Rate in percent, or null if the node is not part of the snapshot
+   */
+  getSnapshotProvisionRate(nodeId) {
+    if (!this.hasProvisionSnapshot) return null;
+    if (nodeId === this.#employeeId) return this.#ownerProvisionSnapshot;
+
+    const level = this.hierarchyPathSnapshot?.find((l) => l.id === nodeId);
+    if (!level) return null;
+
+    if (typeof level.appliedProvision === 'number') {
+      return level.appliedProvision;
+    }
+
+    // Entries of legacy categories carry the inferred type only in the snapshot
+    switch (this.#provisionType || this.#hierarchySnapshot?.provisionType) {
+      case 'bank':
+        return level.bankProvision || 0;
+      case 'insurance':
+        return level.insuranceProvision || 0;
+      case 'realEstate':
+        return level.realEstateProvision || 0;
+      default:
+        return 0;
+    }
+  }
+
   // === Clawback (Rueckforderung) ===
 
   /** Optional reference to the original entry this clawback reverses (nullable) */
   get reversalOfEntryId() { return this.#reversalOfEntryId; }
 
+  /**
+   * Managers a reversal of a legacy entry (no hierarchy path snapshot) may be charged:
+   * those billed for the original. Null when the snapshot path defines the chain.
+   */
+  get reclaimableManagerIds() {
+    return this.#reclaimableManagerIds ? [...this.#reclaimableManagerIds] : null;
+  }
+
+  /** Whether the cascade may book a line of this entry for the given manager */
+  isReclaimableFromManager(managerId) {
+    return this.#reclaimableManagerIds === null || this.#reclaimableManagerIds.includes(managerId);
+  }
+
   /** Derived entry kind (revenue | clawback) based on the amount's sign */
   get entryKind() { return EntryKind.fromAmount(this.#provisionAmount); }
 
   /** Whether this entry is a clawback (negative amount) */
   get isClawback() { return this.#provisionAmount < 0; }
 
+  /**
+   * Build the clawback that reverses this entry's provision (fully or pro rata).
+   * The reversal carries the same provision snapshots and tip providers, so the
+   * cascade books a matching negative line for the owner, every manager of the
+   * snapshot and every tip provider. Recipients that were never billed for this
+   * entry are pre-marked as billed on the reversal - they have nothing to repay.
+   * Entries without a path snapshot do not record their chain, so their reversal
+   * is restricted to the managers billed for the original, not today's chain.
+   *
+   * @param {Object} params
+   * @param {number} params.ratio - Share of the provision to reclaim (0-1)
+   * @param {Date} params.reversalDate - Entry date of the reversal (cancellation date)
+   * @param {string} params.notes
+   * @returns {RevenueEntry}
+   */
+  createReversal({ ratio = 1, reversalDate = new Date(), notes = '' } = {}) {
+    if (this.isClawback) {
+      throw new ValidationError('A clawback cannot be reversed', 'reversalOfEntryId');
+    }
+
+    const share = Math.max(0, Math.min(1, ratio));
+    const unbilledTipProviderIds = this.tipProviderIds
+      .filter((id) => !this.isBilledForTipProvider(id));
+    const unbilledManagerIds = (this.hierarchyPathSnapshot || [])
+      .map((level) => level.id)
+      .filter((id) => id !== this.#employeeId && !this.isBilledForHierarchyManager(id));
+    const reclaimableManagerIds = this.hasHierarchyPathSnapshot ? null : this.billedHierarchyManagerIds;
+
+    return new RevenueEntry({
+      employeeId: this.#employeeId,
+      customerNumber: this.#customerNumber,
+      customerId: this.#customerId,
+      customerName: this.#customerName,
+      customerAddress: this.#customerAddress,
+      category: this.#category,
+      provisionType: this.#provisionType,
+      product: this.#product,
+      productProvider: this.#productProvider,
+      propertyAddress: this.#propertyAddress,
+      contractNumber: this.#contractNumber,
+      contractId: this.#contractId,
+      provisionAmount: -roundCurrency(this.#provisionAmount * share),
+      notes,
+      // Approved right away so the next billing run picks it up
+      status: REVENUE_STATUS_TYPES.TRANSFERRED,
+      entryDate: reversalDate,
+      ownerProvisionSnapshot: this.#ownerProvisionSnapshot,
+      managerProvisionSnapshot: this.#managerProvisionSnapshot,
+      hierarchySnapshot: this.#hierarchySnapshot,
+      tipProviders: this.#tipProviders,
+      hasVAT: this.#hasVAT,
+      vatRate: this.#vatRate,
+      manualBilling: this.#manualBilling,
+      billedTipProviderIds: unbilledTipProviderIds,
+      billedHierarchyManagerIds: unbilledManagerIds,
+      reversalOfEntryId: this.#id,
+      reclaimableManagerIds,
+    });
+  }
+
+  // === Status Workflow ===
+
+  /** Recorded status transitions, oldest first (empty for entries before the timeline existed) */
+  get statusHistory() {
+    return [...this.#statusHistory];
+  }
+
+  /** Approval waiting for a second admin, or null */
+  get pendingApproval() {
+    return this.#pendingApproval ? { ...this.#pendingApproval } : null;
+  }
+
+  get hasPendingApproval() {
+    return this.#pendingApproval !== null;
+  }
+
+  /**
+   * Change the status and record the transition in the timeline.
+   * Any open approval request is settled by the change.
+   *
+   * @param {string} newStatus
+   * @param {Object} options
+   * @param {Object|null} options.actor - { id, name } of the user making the change
+   * @param {string} options.comment
+   * @param {Object|null} options.approvedBy - { id, name } of the first approver (four-eyes)
+   * @returns {RevenueEntry}
+   */
+  changeStatus(newStatus, { actor = null, comment = '', approvedBy = null } = {}) {
+    const fromStatus = this.#status.type;
+    this.update({ status: newStatus });
+    this.#pendingApproval = null;
+    this.#statusHistory.push(new StatusTransition({
+      fromStatus,
+      toStatus: this.#status.type,
+      changedBy: actor?.id ?? null,
+      changedByName: actor?.name ?? null,
+      comment,
+      approvedBy,
+    }));
+    return this;
+  }
+
+  /**
+   * Record the first approval of a status change that needs a second approver.
+   * The status itself stays unchanged until the approval is confirmed.
+   *
+   * @param {string} targetStatus
+   * @param {Object} options - { actor: { id, name }, comment }
+   * @returns {RevenueEntry}
+   */
+  requestApproval(targetStatus, { actor, comment = '' }) {
+    const transition = new StatusTransition({
+      type: STATUS_TRANSITION_TYPES.APPROVAL_REQUESTED,
+      fromStatus: this.#status.type,
+      toStatus: targetStatus,
+      changedBy: actor?.id ?? null,
+      changedByName: actor?.name ?? null,
+      comment,
+    });
+
+    this.#pendingApproval = {
+      toStatus: targetStatus,
+      requestedBy: transition.changedBy,
+      requestedByName: transition.changedByName,
+      requestedAt: transition.changedAt.toISOString(),
+      comment: transition.comment,
+    };
+    this.#statusHistory.push(transition);
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  // === Attachments ===
+
+  get attachments() {
+    return [...this.#attachments];
+  }
+
+  get hasAttachments() {
+    return this.#attachments.length > 0;
+  }
+
+  // === Reassignment ===
+
+  /**
+   * Move the entry to another employee. The caller captures fresh provision
+   * snapshots for the new owner; billing marks belonged to the old hierarchy
+   * and are cleared.
+   *
+   * @param {string} employeeId
+   * @param {Object} params
+   * @param {number} params.customerNumber - Next customer number of the new owner
+   * @param {number|null} params.ownerProvisionSnapshot
+   * @param {number|null} params.managerProvisionSnapshot
+   * @param {Object|null} params.hierarchySnapshot
+   */
+  reassign(employeeId, { customerNumber, ownerProvisionSnapshot, managerProvisionSnapshot, hierarchySnapshot }) {
+    if (!employeeId) {
+      throw new ValidationError('Employee ID is required', 'employeeId');
+    }
+    if (!this.#status.isSubmitted && !this.#status.isTransferred) {
+      throw new ValidationError(
+        'Nur eingereichte oder überwiesene Umsätze können umgehängt werden',
+        'status',
+      );
+    }
+    this.#validateTipProviders(this.#tipProviders, employeeId);
+
+    this.#employeeId = employeeId;
+    this.#customerNumber = customerNumber;
+    this.#ownerProvisionSnapshot = ownerProvisionSnapshot ?? null;
+    this.#managerProvisionSnapshot = managerProvisionSnapshot ?? null;
+    this.#hierarchySnapshot = hierarchySnapshot ?? null;
+    this.#billedTipProviderIds = [];
+    this.#billedHierarchyManagerIds = [];
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  /**
+   * Hand the entry over to a successor (Bestandsübertragung when an employee
+   * leaves). Unlike reassign() this works in every status and keeps status
+   * history and billing marks, so past settlements are not billed twice.
+   * Snapshots are only replaced when the caller passes new ones.
+   *
+   * @param {string} employeeId - Successor
+   * @param {Object} params
+   * @param {number} params.customerNumber - Customer number at the successor
+   * @param {Object|null} params.snapshots - { ownerProvisionSnapshot, managerProvisionSnapshot, hierarchySnapshot }
+   */
+  transferTo(employeeId, { customerNumber, snapshots = null }) {
+    if (!employeeId) {
+      throw new ValidationError('Employee ID is required', 'employeeId');
+    }
+    this.#validateTipProviders(this.#tipProviders, employeeId);
+
+    this.#employeeId = employeeId;
+    this.#customerNumber = customerNumber;
+    if (snapshots) {
+      this.#ownerProvisionSnapshot = snapshots.ownerProvisionSnapshot ?? null;
+      this.#managerProvisionSnapshot = snapshots.managerProvisionSnapshot ?? null;
+      this.#hierarchySnapshot = snapshots.hierarchySnapshot ?? null;
+    }
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  /**
+   * Link the entry to a customer master data record; the entry takes over
+   * the customer's number
+   */
+  linkCustomer(customerId, customerNumber) {
+    if (!customerId) {
+      throw new ValidationError('Customer ID is required', 'customerId');
+    }
+    this.#customerId = customerId;
+    this.#customerNumber = customerNumber;
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  /**
+   * Attach the entry to its contract; null detaches it (contract number removed)
+   */
+  linkContract(contractId) {
+    this.#contractId = contractId ?? null;
+    this.#updatedAt = new Date();
+    return this;
+  }
+
+  /** True once any tip provider or manager has been billed for this entry */
+  get hasBillingHistory() {
+    return this.#billedTipProviderIds.length > 0 || this.#billedHierarchyManagerIds.length > 0;
+  }
+
   // === Multi-Tip-Provider Getters ===
 
   /** Defensive copy of the tip providers array */
@@ -555,6 +914,10 @@ export class RevenueEntry {
       this.#validateTipProviders(this.#tipProviders, this.#employeeId);
     }
 
+    if (updates.attachments !== undefined) {
+      this.#attachments = this.#buildAttachments(updates.attachments);
+    }
+
     // Manual billing override
     if (updates.manualBilling !== undefined) {
       this.#manualBilling = Boolean(updates.manualBilling);
@@ -593,6 +956,7 @@ export class RevenueEntry {
       id: this.#id,
       employeeId: this.#employeeId,
       customerNumber: this.#customerNumber,
+      customerId: this.#customerId,
       customerName: this.#customerName,
       customerAddress: this.#customerAddress.toJSON(),
       category: this.#category.type,
@@ -601,10 +965,13 @@ export class RevenueEntry {
       productProvider: this.#productProvider.toJSON(),
       propertyAddress: this.#propertyAddress,
       contractNumber: this.#contractNumber,
+      contractId: this.#contractId,
       provisionAmount: this.#provisionAmount,
       notes: this.#notes,
       status: this.#status.toJSON(),
       entryDate: this.#entryDate.toISOString(),
+      // Local month of entryDate, lets firestore.rules find the closing of the month
+      entryMonth: this.entryMonth,
       createdAt: this.#createdAt.toISOString(),
       updatedAt: this.#updatedAt.toISOString(),
       // Provision snapshots for immutability
@@ -637,6 +1004,11 @@ export class RevenueEntry {
       // Clawback (Rueckforderung)
       entryKind: this.entryKind.toJSON(),
       reversalOfEntryId: this.#reversalOfEntryId,
+      reclaimableManagerIds: this.#reclaimableManagerIds,
+      // Status timeline (four-eyes approval)
+      statusHistory: this.#statusHistory.map((t) => t.toJSON()),
+      pendingApproval: this.#pendingApproval,
+      attachments: this.#attachments.map((a) => a.toJSON()),
     };
   }
 
@@ -651,6 +1023,7 @@ export class RevenueEntry {
       id: json.id,
       employeeId: json.employeeId,
       customerNumber: json.customerNumber,
+      customerId: json.customerId || null,
       customerName: json.customerName,
       customerAddress: json.customerAddress
         ? CustomerAddress.fromJSON(json.customerAddress)
@@ -661,6 +1034,7 @@ export class RevenueEntry {
       productProvider: json.productProvider,
       propertyAddress: json.propertyAddress,
       contractNumber: json.contractNumber,
+      contractId: json.contractId || null,
       provisionAmount: json.provisionAmount,
       notes: json.notes,
       status: json.status,
@@ -694,6 +1068,11 @@ export class RevenueEntry {
       billedHierarchyManagerIds: json.billedHierarchyManagerIds ?? [],
       // Clawback reference (default null; entryKind is derived, not read back)
       reversalOfEntryId: json.reversalOfEntryId ?? null,
+      reclaimableManagerIds: json.reclaimableManagerIds ?? null,
+      // Status timeline (default empty for entries created before the workflow)
+      statusHistory: json.statusHistory ?? [],
+      pendingApproval: json.pendingApproval ?? null,
+      attachments: json.attachments ?? [],
     });
   }
 }
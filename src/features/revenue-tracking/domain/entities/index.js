@@ -5,3 +5,6 @@
 
 export { RevenueEntry } from './RevenueEntry.js';
 export { HierarchicalRevenueEntry } from './HierarchicalRevenueEntry.js';
+export { RecurringRevenueTemplate, RECURRING_TEMPLATE_STATUS } from './RecurringRevenueTemplate.js';
+export { ProvisionTierTable, TIER_TABLE_SCOPES } from './ProvisionTierTable.js';
+export { PeriodClosing, PERIOD_CLOSING_ACTIONS } from './PeriodClosing.js';
@@ -0,0 +1,18 @@
+/**
+ * Repository Interface: IAttachmentRepository
+ * Defines the contract for storing the files of entry attachments
+ */
+
+export class IAttachmentRepository {
+  async upload(storagePath, file, metadata) {
+    throw new Error('Method not implemented');
+  }
+
+  async getDownloadUrl(storagePath) {
+    throw new Error('Method not implemented');
+  }
+
+  async delete(storagePath) {
+    throw new Error('Method not implemented');
+  }
+}
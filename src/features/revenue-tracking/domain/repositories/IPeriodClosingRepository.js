@@ -0,0 +1,14 @@
+/**
+ * Repository Interface: IPeriodClosingRepository
+ * Defines the contract for persisting the closing state of months
+ */
+
+export class IPeriodClosingRepository {
+  async findAll() {
+    throw new Error('Method not implemented');
+  }
+
+  async save(closing) {
+    throw new Error('Method not implemented');
+  }
+}
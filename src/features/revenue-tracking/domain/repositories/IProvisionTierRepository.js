@@ -0,0 +1,18 @@
+/**
+ * Repository Interface: IProvisionTierRepository
+ * Defines the contract for tier table (Staffelprovision) persistence
+ */
+
+export class IProvisionTierRepository {
+  async findAll() {
+    throw new Error('Method not implemented');
+  }
+
+  async save(table) {
+    throw new Error('Method not implemented');
+  }
+
+  async delete(tableId) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Repository Interface: IRecurringRevenueRepository
+ * Defines the contract for recurring revenue template persistence
+ */
+
+export class IRecurringRevenueRepository {
+  async findByEmployeeId(employeeId) {
+    throw new Error('Method not implemented');
+  }
+
+  async findById(templateId) {
+    throw new Error('Method not implemented');
+  }
+
+  async findAll() {
+    throw new Error('Method not implemented');
+  }
+
+  async save(template) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Repository Interface: IRevenueAuditRepository
+ * Append-only store for the change history of revenue entries
+ */
+
+export class IRevenueAuditRepository {
+  async saveAll(events) {
+    throw new Error('Method not implemented');
+  }
+
+  async findByEntryId(entryId) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * @param {Date} from
+   * @param {Date} to
+   */
+  async findByPeriod(from, to) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -36,6 +36,14 @@ export class IRevenueRepository {
     throw new Error('Method not implemented');
   }
 
+  async findByCustomerId(customerId) {
+    throw new Error('Method not implemented');
+  }
+
+  async findByContractId(contractId) {
+    throw new Error('Method not implemented');
+  }
+
   async batchUpdateStatus(updates) {
     throw new Error('Method not implemented');
   }
@@ -4,3 +4,8 @@
  */
 
 export { IRevenueRepository } from './IRevenueRepository.js';
+export { IRecurringRevenueRepository } from './IRecurringRevenueRepository.js';
+export { IAttachmentRepository } from './IAttachmentRepository.js';
+export { IRevenueAuditRepository } from './IRevenueAuditRepository.js';
+export { IProvisionTierRepository } from './IProvisionTierRepository.js';
+export { IPeriodClosingRepository } from './IPeriodClosingRepository.js';
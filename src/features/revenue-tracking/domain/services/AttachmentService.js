@@ -0,0 +1,107 @@
+/**
+ * Domain Service: AttachmentService
+ * Uploads documents for revenue entries and keeps the references on the entry.
+ * Files live under revenue_attachments/{entryId}/ so storage.rules can apply
+ * the visibility of the entry itself.
+ */
+
+import { generateUUID } from '../../../../core/utils/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { STORAGE_PATHS } from '../../../../core/config/firebase.config.js';
+import { EntryAttachment } from '../value-objects/EntryAttachment.js';
+
+export class AttachmentService {
+  #attachmentRepository;
+  #revenueService;
+
+  constructor(attachmentRepository, revenueService) {
+    this.#attachmentRepository = attachmentRepository;
+    this.#revenueService = revenueService;
+  }
+
+  /**
+   * @param {string} entryId
+   * @param {File} file - PDF or image, max. 10 MB
+   * @param {Object|null} actor - { id, name } of the uploading user
+   * @returns {Promise<RevenueEntry>} The entry with the new attachment
+   */
+  async uploadAttachment(entryId, file, actor = null) {
+    EntryAttachment.validateFile(file);
+
+    const entry = await this.#getEntry(entryId);
+    const attachmentId = generateUUID();
+    const attachment = new EntryAttachment({
+      id: attachmentId,
+      fileName: file.name,
+      contentType: file.type,
+      size: file.size,
+      storagePath: `${STORAGE_PATHS.REVENUE_ATTACHMENTS}/${entryId}/${attachmentId}-${this.#sanitizeFileName(file.name)}`,
+      uploadedBy: actor?.id ?? null,
+      uploadedByName: actor?.name ?? null,
+    });
+
+    await this.#attachmentRepository.upload(attachment.storagePath, file, {
+      entryId,
+      uploadedBy: attachment.uploadedBy || '',
+    });
+
+    const updated = await this.#revenueService.updateEntry(entryId, {
+      attachments: [...entry.attachments, attachment],
+    });
+    Logger.log(`Attachment ${attachment.fileName} added to entry ${entryId}`);
+    return updated;
+  }
+
+  async getDownloadUrl(attachment) {
+    return await this.#attachmentRepository.getDownloadUrl(attachment.storagePath);
+  }
+
+  /**
+   * Remove an attachment. Only possible while the entry is still submitted,
+   * afterwards the documents are kept as evidence.
+   */
+  async deleteAttachment(entryId, attachmentId) {
+    const entry = await this.#getEntry(entryId);
+    if (!entry.status.isSubmitted) {
+      throw new ValidationError(
+        'Belege können nur entfernt werden, solange der Umsatz eingereicht ist',
+        'status',
+      );
+    }
+
+    const attachment = entry.attachments.find((a) => a.id === attachmentId);
+    if (!attachment) {
+      throw new ValidationError(`Attachment not found: ${attachmentId}`, 'attachmentId');
+    }
+
+    await this.#attachmentRepository.delete(attachment.storagePath);
+    return await this.#revenueService.updateEntry(entryId, {
+      attachments: entry.attachments.filter((a) => a.id !== attachmentId),
+    });
+  }
+
+  /**
+   * Delete the files of an entry that is being deleted
+   */
+  async deleteAllForEntry(entry) {
+    for (const attachment of entry.attachments) {
+      await this.#attachmentRepository.delete(attachment.storagePath);
+    }
+  }
+
+  #sanitizeFileName(fileName) {
+    return fileName
+      .replace(/[^a-zA-Z0-9._-]+/g, '_')
+      .replace(/_+/g, '_')
+      .slice(-100);
+  }
+
+  async #getEntry(entryId) {
+    const entry = await this.#revenueService.getEntryById(entryId);
+    if (!entry) {
+      throw new ValidationError(`Revenue entry not found: ${entryId}`, 'entryId');
+    }
+    return entry;
+  }
+}
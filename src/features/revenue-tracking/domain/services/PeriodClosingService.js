@@ -0,0 +1,117 @@
+/**
+ * Domain Service: PeriodClosingService
+ * Closes and reopens months (Monatsabschluss) and answers whether an entry
+ * date lies in a closed month. RevenueService asks it before entries are
+ * created, edited or deleted; firestore.rules enforce the same lock.
+ */
+
+import { Logger } from './../../../../core/utils/logger.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { PeriodClosing } from '../entities/PeriodClosing.js';
+
+export class PeriodClosingService {
+  #repository;
+  #authService;
+  #closingsCache = null;
+
+  constructor(periodClosingRepository, authService = null) {
+    this.#repository = periodClosingRepository;
+    this.#authService = authService;
+  }
+
+  /**
+   * All months that were ever closed, newest first
+   * @returns {Promise<PeriodClosing[]>}
+   */
+  async getClosings() {
+    const closings = await this.#loadClosings();
+    return [...closings].sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Closing state of a month, an open one without history if it was never closed
+   */
+  async getClosing(year, month) {
+    const id = PeriodClosing.forMonth(year, month).id;
+    const closings = await this.#loadClosings();
+    return closings.find((closing) => closing.id === id) ?? PeriodClosing.forMonth(year, month);
+  }
+
+  async isClosed(date) {
+    const key = PeriodClosing.keyFor(date);
+    const closings = await this.#loadClosings();
+    return closings.some((closing) => closing.id === key && closing.isClosed);
+  }
+
+  /**
+   * @throws {ValidationError} if the date lies in a closed month
+   */
+  async assertOpen(date) {
+    if (await this.isClosed(date)) {
+      const day = new Date(date);
+      const { displayName } = PeriodClosing.forMonth(day.getFullYear(), day.getMonth());
+      throw new ValidationError(
+        `${displayName} ist abgeschlossen. Korrekturen bitte als Ausgleichsbuchung im nächsten offenen Monat erfassen.`,
+        'entryDate',
+      );
+    }
+  }
+
+  /**
+   * The date itself if its month is open, otherwise the first day of the
+   * next open month
+   */
+  async nextOpenDate(date) {
+    const closedKeys = new Set((await this.#loadClosings())
+      .filter((closing) => closing.isClosed)
+      .map((closing) => closing.id));
+
+    let day = new Date(date);
+    while (closedKeys.has(PeriodClosing.keyFor(day))) {
+      day = new Date(day.getFullYear(), day.getMonth() + 1, 1);
+    }
+    return day;
+  }
+
+  /**
+   * @param {number} year
+   * @param {number} month - 0-11
+   * @param {{id: string, name: string}|null} actor - Defaults to the signed-in user
+   */
+  async closeMonth(year, month, actor = null) {
+    const closing = (await this.getClosing(year, month)).close(this.#resolveActor(actor));
+    this.#closingsCache = null;
+    await this.#repository.save(closing);
+    Logger.log(`✓ Period closed: ${closing.id}`);
+    return closing;
+  }
+
+  async reopenMonth(year, month, reason, actor = null) {
+    const closing = (await this.getClosing(year, month)).reopen(reason, this.#resolveActor(actor));
+    this.#closingsCache = null;
+    await this.#repository.save(closing);
+    Logger.warn(`Period reopened: ${closing.id} - ${closing.lastEvent.reason}`);
+    return closing;
+  }
+
+  /**
+   * Closings are cached, since every entry write asks for its month.
+   * Months closed on another client are still refused by firestore.rules.
+   */
+  async #loadClosings() {
+    if (!this.#closingsCache) {
+      this.#closingsCache = await this.#repository.findAll();
+    }
+    return this.#closingsCache;
+  }
+
+  #resolveActor(actor) {
+    if (actor?.id) return actor;
+
+    const user = this.#authService?.getCurrentUser();
+    return {
+      id: user?.uid ?? null,
+      name: user?.displayName || user?.email || null,
+    };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Domain Service: PortfolioTransferService
+ * Offboarding of an employee (Bestandsübertragung): hands revenue entries and
+ * recurring contracts over to a successor instead of deleting them.
+ * Entries that are not transferred stay with the former employee, so their
+ * history and billing remain untouched either way.
+ */
+
+import { Logger } from './../../../../core/utils/logger.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { RECURRING_REVENUE_SOURCE } from './RecurringRevenueService.js';
+
+export const PORTFOLIO_TRANSFER_SCOPES = {
+  ALL: 'all',
+  OPEN: 'open',
+  RECURRING: 'recurring',
+};
+
+export const PORTFOLIO_TRANSFER_SCOPE_LABELS = {
+  [PORTFOLIO_TRANSFER_SCOPES.ALL]: 'Gesamter Bestand',
+  [PORTFOLIO_TRANSFER_SCOPES.OPEN]: 'Nur offene Umsätze',
+  [PORTFOLIO_TRANSFER_SCOPES.RECURRING]: 'Nur wiederkehrende Umsätze',
+};
+
+export class PortfolioTransferService {
+  #revenueService;
+  #recurringRevenueService;
+  #customerService;
+
+  constructor(revenueService, recurringRevenueService = null, customerService = null) {
+    this.#revenueService = revenueService;
+    this.#recurringRevenueService = recurringRevenueService;
+    this.#customerService = customerService;
+  }
+
+  /**
+   * Whether an entry belongs to the chosen scope. Clawbacks never move:
+   * they reclaim provision that was paid to the former employee.
+   *
+   * @param {RevenueEntry} entry
+   * @param {string} scope - PORTFOLIO_TRANSFER_SCOPES value
+   */
+  static matchesScope(entry, scope) {
+    if (entry.isClawback) return false;
+
+    switch (scope) {
+      case PORTFOLIO_TRANSFER_SCOPES.ALL:
+        return true;
+      case PORTFOLIO_TRANSFER_SCOPES.OPEN:
+        return entry.status.isSubmitted || entry.status.isTransferred;
+      case PORTFOLIO_TRANSFER_SCOPES.RECURRING:
+        return entry.source === RECURRING_REVENUE_SOURCE;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Everything the employee owns, for the transfer dialog
+   * @returns {Promise<{entries: RevenueEntry[], templates: RecurringRevenueTemplate[]}>}
+   */
+  async getPortfolio(employeeId) {
+    const [entries, templates] = await Promise.all([
+      this.#revenueService.getEntriesByEmployee(employeeId),
+      this.#recurringRevenueService?.getTemplatesByEmployee(employeeId) ?? [],
+    ]);
+    return { entries, templates };
+  }
+
+  /**
+   * Recurring contracts always move with the portfolio: their future periods
+   * must not be generated for an employee who has left. The whole portfolio
+   * hands over all customers; a partial one only those whose entries or
+   * contracts moved. Entries in closed months stay with the former employee
+   * and are reported as skipped.
+   *
+   * @param {{id: string, name: string}} fromEmployee
+   * @param {{id: string, name: string}} toEmployee - Successor
+   * @param {Object} options
+   * @param {string} options.scope - PORTFOLIO_TRANSFER_SCOPES value
+   * @param {boolean} options.resnapshot - Capture the successor's rates for open entries
+   * @param {Object|null} options.actor - { id, name }
+   * @returns {Promise<{transferred: RevenueEntry[], skipped: Array, failed: Array, templates: number, customers: number, remaining: number}>}
+   */
+  async transferPortfolio(fromEmployee, toEmployee, { scope = PORTFOLIO_TRANSFER_SCOPES.ALL, resnapshot = false, actor = null } = {}) {
+    if (!toEmployee?.id || toEmployee.id === fromEmployee.id) {
+      throw new ValidationError('Bitte einen anderen Mitarbeiter als Nachfolger wählen', 'successor');
+    }
+    if (!Object.values(PORTFOLIO_TRANSFER_SCOPES).includes(scope)) {
+      throw new ValidationError(`Invalid transfer scope: ${scope}`, 'scope');
+    }
+
+    const entries = await this.#revenueService.getEntriesByEmployee(fromEmployee.id);
+    const selected = entries.filter((entry) => PortfolioTransferService.matchesScope(entry, scope));
+
+    const { transferred, skipped, failed } = await this.#revenueService.transferEntries(
+      selected.map((entry) => entry.id),
+      toEmployee.id,
+      {
+        resnapshot,
+        actor,
+        comment: `Bestandsübertragung von ${fromEmployee.name} an ${toEmployee.name}`,
+      },
+    );
+
+    const templates = this.#recurringRevenueService
+      ? await this.#recurringRevenueService.transferTemplates(fromEmployee.id, toEmployee.id)
+      : [];
+
+    const customerIds = scope === PORTFOLIO_TRANSFER_SCOPES.ALL
+      ? null
+      : [...new Set([...transferred, ...templates].map((item) => item.customerId).filter(Boolean))];
+    const customers = this.#customerService
+      ? await this.#customerService.reassignAdvisor(fromEmployee.id, toEmployee.id, { customerIds })
+      : [];
+
+    Logger.log(`Portfolio of ${fromEmployee.name} transferred to ${toEmployee.name}: ${transferred.length} entries, ${templates.length} contracts`);
+    return {
+      transferred,
+      skipped,
+      failed,
+      templates: templates.length,
+      customers: customers.length,
+      remaining: entries.length - transferred.length,
+    };
+  }
+}
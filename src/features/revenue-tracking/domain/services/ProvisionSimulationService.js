@@ -0,0 +1,259 @@
+/**
+ * Domain Service: ProvisionSimulationService
+ * What-if calculations of the provision cascade. Nothing is persisted:
+ * draft entries are built by RevenueService with the snapshots they would
+ * get today and split with the same cascade entities as real entries.
+ */
+
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+import { APP_CONFIG } from '../../../../core/config/index.js';
+import {
+  isGeschaeftsfuehrerId,
+  buildGeschaeftsfuehrerNode,
+} from '../../../../core/config/geschaeftsfuehrer.config.js';
+import { CompanyRevenueEntry } from '../entities/CompanyRevenueEntry.js';
+import { HierarchicalRevenueEntry } from '../entities/HierarchicalRevenueEntry.js';
+
+export const SIMULATION_ROLES = {
+  OWNER: 'owner',
+  TIP_PROVIDER: 'tipProvider',
+  MANAGER: 'manager',
+  COMPANY: 'company',
+};
+
+export class ProvisionSimulationService {
+  #revenueService;
+  #hierarchyService;
+
+  constructor(revenueService, hierarchyService) {
+    this.#revenueService = revenueService;
+    this.#hierarchyService = hierarchyService;
+  }
+
+  /**
+   * Payout split of a hypothetical entry
+   *
+   * @param {Object} params
+   * @param {string} params.employeeId - Owner of the entry
+   * @param {Object} params.entryData - Entry data as for RevenueService.addEntry
+   * @param {HierarchyScenario|null} params.scenario - Optional hierarchy change
+   * @returns {Promise<Object>} { entry, netAmount, vatAmount, grossAmount, recipients, totalDistributed }
+   */
+  async simulate({ employeeId, entryData, scenario = null }) {
+    const tree = await this.#getMainTree();
+    if (scenario) {
+      scenario.applyTo(tree); // Validates the scenario before any snapshot is captured
+    }
+
+    const entry = await this.#revenueService.buildDraftEntry(employeeId, entryData, scenario);
+    return this.#calculateCascade(entry, tree);
+  }
+
+  /**
+   * Compare the cascade of a past period with and without a hierarchy change.
+   * Affected are the entries of the changed node and its team; both variants
+   * are recalculated with the rates valid on each entry date, so the
+   * difference only reflects the scenario.
+   *
+   * @param {Object} params
+   * @param {HierarchyScenario} params.scenario
+   * @param {Date} params.startDate
+   * @param {Date} params.endDate
+   * @returns {Promise<Object>} { entryCount, recipients: [{ id, name, role, before, after, difference }], totals }
+   */
+  async compareScenario({ scenario, startDate, endDate }) {
+    const tree = await this.#getMainTree();
+    scenario.applyTo(tree);
+
+    const ownerIds = [scenario.nodeId, ...tree.getDescendants(scenario.nodeId).map((node) => node.id)];
+    const entries = [];
+    for (const ownerId of ownerIds) {
+      const ownerEntries = await this.#revenueService.getEntriesByEmployee(ownerId);
+      entries.push(...ownerEntries.filter((entry) => this.#isRelevantForComparison(entry, startDate, endDate)));
+    }
+
+    const recipients = new Map();
+    const addShares = (result, key) => {
+      for (const recipient of result.recipients) {
+        if (!recipients.has(recipient.id)) {
+          recipients.set(recipient.id, {
+            id: recipient.id,
+            name: recipient.name,
+            role: recipient.role,
+            before: 0,
+            after: 0,
+          });
+        }
+        const row = recipients.get(recipient.id);
+        row[key] = roundCurrency(row[key] + recipient.gross);
+      }
+    };
+
+    for (const entry of entries) {
+      const entryData = this.#toEntryData(entry);
+      addShares(await this.simulate({ employeeId: entry.employeeId, entryData }), 'before');
+      addShares(await this.simulate({ employeeId: entry.employeeId, entryData, scenario }), 'after');
+    }
+
+    const rows = [...recipients.values()]
+      .map((row) => ({ ...row, difference: roundCurrency(row.after - row.before) }))
+      .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+
+    Logger.log(`Provision scenario for ${scenario.nodeId}: ${entries.length} entries compared`);
+
+    return {
+      entryCount: entries.length,
+      recipients: rows,
+      totals: {
+        before: roundCurrency(rows.reduce((sum, row) => sum + row.before, 0)),
+        after: roundCurrency(rows.reduce((sum, row) => sum + row.after, 0)),
+      },
+    };
+  }
+
+  async #getMainTree() {
+    const tree = await this.#hierarchyService.getTree(APP_CONFIG.mainTreeId);
+    if (tree) return tree;
+
+    const allTrees = await this.#hierarchyService.getAllTrees();
+    if (allTrees.length === 0) {
+      throw new ValidationError('Keine Hierarchie vorhanden', 'treeId');
+    }
+    return allTrees[0];
+  }
+
+  #isRelevantForComparison(entry, startDate, endDate) {
+    if (entry.isExtraordinary || entry.status.isCancelled || entry.status.isRejected) {
+      return false;
+    }
+    const entryDate = new Date(entry.entryDate);
+    return entryDate >= startDate && entryDate <= endDate;
+  }
+
+  /**
+   * Entry data of a persisted entry without its snapshots, so the draft
+   * captures them again
+   */
+  #toEntryData(entry) {
+    const {
+      id,
+      ownerProvisionSnapshot,
+      managerProvisionSnapshot,
+      hierarchySnapshot,
+      ...entryData
+    } = entry.toJSON();
+    return entryData;
+  }
+
+  #calculateCascade(entry, tree) {
+    const company = tree.getNode(tree.rootId);
+    const owner = this.#resolveOwner(entry.employeeId, tree);
+
+    if (!entry.hasHierarchyPathSnapshot && owner.id !== company.id) {
+      throw new ValidationError('Provisionssätze konnten nicht ermittelt werden', 'employeeId');
+    }
+
+    // The path is rebuilt from the draft's snapshot (includes scenario changes)
+    const companyEntry = CompanyRevenueEntry.calculate({
+      entry,
+      entryOwner: owner,
+      directSubordinate: owner,
+      company,
+      hierarchyPath: [company, owner],
+    });
+
+    const baseAmount = entry.grossAmount || entry.provisionAmount;
+    const toPercentage = (amount) => (baseAmount ? roundCurrency((amount / baseAmount) * 100) : 0);
+    const recipients = [];
+
+    if (owner.id !== company.id) {
+      recipients.push(this.#toRecipient(entry, {
+        id: owner.id,
+        name: owner.name,
+        role: SIMULATION_ROLES.OWNER,
+        amount: companyEntry.ownerProvisionAmount,
+        percentage: toPercentage(companyEntry.ownerProvisionAmount),
+      }));
+    }
+
+    for (const tipProvider of entry.tipProviders) {
+      recipients.push(this.#toRecipient(entry, {
+        id: tipProvider.id,
+        name: tipProvider.name || 'Tippgeber',
+        role: SIMULATION_ROLES.TIP_PROVIDER,
+        amount: tipProvider.calculateAmount(baseAmount),
+        percentage: tipProvider.provisionPercentage,
+      }));
+    }
+
+    // Managers between owner and company, nearest first
+    const path = companyEntry.hierarchyPath;
+    for (let i = path.length - 2; i > 0; i--) {
+      const manager = path[i];
+      const managerEntry = HierarchicalRevenueEntry.calculate({
+        entry,
+        owner,
+        manager,
+        hierarchyLevel: path.length - 1 - i,
+      });
+      if (!managerEntry.hasManagerProvision) continue;
+
+      recipients.push(this.#toRecipient(entry, {
+        id: manager.id,
+        name: manager.name,
+        role: SIMULATION_ROLES.MANAGER,
+        amount: managerEntry.managerProvisionAmount,
+        percentage: toPercentage(managerEntry.managerProvisionAmount),
+      }));
+    }
+
+    recipients.push(this.#toRecipient(entry, {
+      id: company.id,
+      name: company.name,
+      role: SIMULATION_ROLES.COMPANY,
+      amount: companyEntry.companyProvisionAmount,
+      percentage: companyEntry.companyProvisionPercentage,
+    }));
+
+    return {
+      entry,
+      netAmount: entry.netAmount,
+      vatAmount: entry.vatAmount,
+      grossAmount: entry.grossAmount,
+      recipients,
+      totalDistributed: roundCurrency(recipients.reduce((sum, r) => sum + r.gross, 0)),
+    };
+  }
+
+  #resolveOwner(employeeId, tree) {
+    if (isGeschaeftsfuehrerId(employeeId)) {
+      return buildGeschaeftsfuehrerNode(employeeId);
+    }
+    if (!tree.hasNode(employeeId)) {
+      throw new ValidationError(`Mitarbeiter ${employeeId} nicht in der Hierarchie`, 'employeeId');
+    }
+    return tree.getNode(employeeId);
+  }
+
+  /**
+   * Shares are calculated on the gross amount; the VAT part of a share is
+   * proportional to the VAT contained in the entry
+   */
+  #toRecipient(entry, { id, name, role, amount, percentage }) {
+    const net = entry.hasVAT && entry.grossAmount
+      ? roundCurrency(amount * (entry.netAmount / entry.grossAmount))
+      : amount;
+
+    return {
+      id,
+      name,
+      role,
+      percentage,
+      net,
+      vat: roundCurrency(amount - net),
+      gross: amount,
+    };
+  }
+}
@@ -0,0 +1,368 @@
+/**
+ * Domain Service: ProvisionTierService
+ * Manages the tier tables of the Staffelprovision, resolves an employee's
+ * tier rate against the net volume written so far in the calendar year, and
+ * calculates the year-end true-up when back-dated or cancelled entries have
+ * shifted the tiers after the rates were snapshotted. The managers above are
+ * paid the difference to the owner's rate, so their shares are corrected too.
+ */
+
+import { Logger } from './../../../../core/utils/logger.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { ProvisionTierTable } from '../entities/ProvisionTierTable.js';
+import { RevenueEntry } from '../entities/RevenueEntry.js';
+import { HierarchicalRevenueEntry } from '../entities/HierarchicalRevenueEntry.js';
+
+export const TIER_TRUE_UP_SOURCE = 'tier_true_up';
+// Counter-booking of a true-up for a manager of the owner's path
+export const TIER_TRUE_UP_CASCADE_SOURCE = 'tier_true_up_cascade';
+
+const byPostingOrder = (a, b) => a.entryDate - b.entryDate || a.createdAt - b.createdAt;
+
+export class ProvisionTierService {
+  #repository;
+  #revenueService;
+  #profileService;
+
+  constructor(tierTableRepository, revenueService, profileService = null) {
+    this.#repository = tierTableRepository;
+    this.#revenueService = revenueService;
+    this.#profileService = profileService;
+  }
+
+  /**
+   * Tables that can apply to an employee: their own ones first, then the
+   * ones of their career level
+   * @returns {Promise<{levelKey: string|null, tables: ProvisionTierTable[]}>}
+   */
+  async getTablesForEmployee(employeeId) {
+    const [tables, levelKey] = await Promise.all([this.#repository.findAll(), this.#getLevelKey(employeeId)]);
+    const relevant = tables.filter((table) =>
+      (table.isEmployeeTable && table.nodeId === employeeId) ||
+      (!table.isEmployeeTable && table.levelKey === levelKey),
+    );
+    return {
+      levelKey,
+      tables: relevant.sort((a, b) =>
+        Number(b.isEmployeeTable) - Number(a.isEmployeeTable) ||
+        String(a.provisionType || '').localeCompare(String(b.provisionType || '')),
+      ),
+    };
+  }
+
+  async createTable(params, createdBy = null) {
+    const table = new ProvisionTierTable({ ...params, createdBy });
+    await this.#repository.save(table);
+    Logger.log(`Provision tier table created (${table.scope}): ${table.summary}`);
+    return table;
+  }
+
+  async deleteTable(tableId) {
+    await this.#repository.delete(tableId);
+    Logger.log(`Provision tier table deleted: ${tableId}`);
+  }
+
+  /**
+   * The table that sets the employee's rate for a provision type. An
+   * employee table beats one of the career level, a table for the type
+   * beats one for all types.
+   * @returns {Promise<ProvisionTierTable|null>}
+   */
+  async findTable(employeeId, provisionType) {
+    const { tables } = await this.getTablesForEmployee(employeeId);
+    const matching = tables.filter((table) => table.appliesTo(provisionType));
+    return matching.find((table) => table.provisionType === provisionType) ?? matching[0] ?? null;
+  }
+
+  /**
+   * @typedef {Object} TierSnapshot
+   * @property {string} tableId
+   * @property {number} year
+   * @property {number} volumeBefore - Net volume of the year before the entry
+   * @property {number} rate - Owner rate in percent for the entry
+   */
+
+  /**
+   * Tier rate for an entry that is being created (or re-snapshotted).
+   * Entries dated earlier, or on the same day and recorded earlier, form the
+   * volume before it.
+   *
+   * @param {string} employeeId
+   * @param {Object} entryData - Entry data incl. provisionAmount and entryDate (id for existing entries)
+   * @param {string} provisionType
+   * @returns {Promise<TierSnapshot|null>} null if no tier table applies
+   */
+  async resolveTier(employeeId, entryData, provisionType) {
+    const table = await this.findTable(employeeId, provisionType);
+    if (!table) return null;
+
+    const position = {
+      id: entryData.id ?? null,
+      entryDate: entryData.entryDate ? new Date(entryData.entryDate) : new Date(),
+      createdAt: entryData.createdAt ? new Date(entryData.createdAt) : new Date(),
+    };
+    const year = position.entryDate.getFullYear();
+    const entries = await this.#revenueService.getEntriesByEmployee(employeeId);
+    const volumeBefore = roundCurrency(this.#countedEntries(entries, table, year)
+      .filter((entry) => entry.id !== position.id && byPostingOrder(entry, position) < 0)
+      .reduce((sum, entry) => sum + entry.provisionAmount, 0));
+
+    const amount = Number(entryData.provisionAmount) || 0;
+    return { tableId: table.id, year, volumeBefore, rate: table.rateFor(volumeBefore, amount) };
+  }
+
+  /**
+   * @typedef {Object} TrueUpLine
+   * @property {RevenueEntry} entry
+   * @property {number} bookedRate - Tier rate snapshotted on the entry
+   * @property {number} correctRate - Tier rate with the year's final order of entries
+   * @property {number} delta - Owner provision to add (negative: to reclaim)
+   * @property {Array<{managerId: string, managerName: string, delta: number}>} managerDeltas - Change of the managers' differential shares
+   */
+
+  /**
+   * @typedef {Object} TrueUpManager
+   * @property {string} managerId
+   * @property {string} managerName
+   * @property {number} total - Sum of the manager's deltas
+   * @property {number} alreadyBooked - Earlier counter-bookings for the manager
+   * @property {number} open - Still to book for the manager
+   */
+
+  /**
+   * @typedef {Object} TrueUp
+   * @property {ProvisionTierTable} table
+   * @property {string} provisionType
+   * @property {number} year
+   * @property {TrueUpLine[]} lines - Entries whose tier rate changed
+   * @property {number} total - Sum of all deltas
+   * @property {number} alreadyBooked - Sum of earlier true-up entries for the same table, type and year
+   * @property {number} open - Still to book
+   * @property {TrueUpManager[]} managers - Counter-bookings of the managers in the owner's path
+   */
+
+  /**
+   * Year-end true-up of an employee. Only tables with the true-up option
+   * take part, and only entries whose owner rate came from the tier (no
+   * product or provider override). The table is applied as it stands today.
+   * A changed owner rate shifts the differential shares of the managers in
+   * the entry's snapshotted path by the opposite amount; those are
+   * returned per manager so the cascade total stays unchanged.
+   *
+   * @returns {Promise<TrueUp[]>}
+   */
+  async calculateTrueUp(employeeId, year) {
+    const [{ tables }, entries] = await Promise.all([
+      this.getTablesForEmployee(employeeId),
+      this.#revenueService.getEntriesByEmployee(employeeId),
+    ]);
+
+    const trueUps = new Map();
+    const managerNames = new Map();
+    const getTrueUp = (key, table, provisionType) => {
+      if (!trueUps.has(key)) {
+        trueUps.set(key, { table, provisionType, year, lines: [], total: 0, managerTotals: new Map() });
+      }
+      return trueUps.get(key);
+    };
+
+    for (const table of tables.filter((candidate) => candidate.yearEndTrueUp)) {
+      let volume = 0;
+      for (const entry of this.#countedEntries(entries, table, year).sort(byPostingOrder)) {
+        const correctRate = table.rateFor(volume, entry.provisionAmount);
+        volume += entry.provisionAmount;
+
+        const tier = entry.provisionTierSnapshot;
+        if (tier?.tableId !== table.id || entry.provisionRuleSnapshot?.source !== 'provisionType') continue;
+
+        // Managers of every tier entry, so earlier counter-bookings are found even
+        // when no entry is re-tiered any more
+        for (const level of ProvisionTierService.#managerLevels(entry)) {
+          managerNames.set(level.id, level.name);
+        }
+
+        // Owner provision is paid on the gross amount, like on the organigramm cards
+        const base = entry.grossAmount || entry.provisionAmount;
+        const delta = roundCurrency(base * (correctRate - tier.rate) / 100);
+        if (delta === 0) continue;
+
+        const managerDeltas = ProvisionTierService.#managerDeltas(entry, correctRate);
+        const trueUp = getTrueUp(`${table.id}:${year}:${entry.provisionType}`, table, entry.provisionType);
+        trueUp.lines.push({ entry, bookedRate: tier.rate, correctRate, delta, managerDeltas });
+        trueUp.total = roundCurrency(trueUp.total + delta);
+        for (const { managerId, delta: managerDelta } of managerDeltas) {
+          trueUp.managerTotals.set(managerId, roundCurrency((trueUp.managerTotals.get(managerId) ?? 0) + managerDelta));
+        }
+      }
+    }
+
+    // A later run only books what earlier true-ups have not covered yet
+    const booked = new Map();
+    for (const entry of entries.filter((candidate) => candidate.source === TIER_TRUE_UP_SOURCE)) {
+      const [tableId, bookedYear, provisionType] = entry.sourceReference.split(':');
+      const table = tables.find((candidate) => candidate.id === tableId);
+      if (!table || Number(bookedYear) !== year) continue;
+
+      const key = entry.sourceReference;
+      booked.set(key, roundCurrency((booked.get(key) ?? 0) + entry.provisionAmount));
+      getTrueUp(key, table, provisionType);
+    }
+
+    const managerBooked = await this.#getBookedCounterBookings(employeeId, [...managerNames.keys()]);
+
+    return [...trueUps.entries()].map(([key, { managerTotals, ...trueUp }]) => {
+      const alreadyBooked = booked.get(key) ?? 0;
+      const bookedByManager = managerBooked.get(key) ?? new Map();
+      const managers = [...new Set([...managerTotals.keys(), ...bookedByManager.keys()])]
+        .map((managerId) => {
+          const total = managerTotals.get(managerId) ?? 0;
+          const managerAlreadyBooked = bookedByManager.get(managerId) ?? 0;
+          return {
+            managerId,
+            managerName: managerNames.get(managerId) ?? managerId,
+            total,
+            alreadyBooked: managerAlreadyBooked,
+            open: roundCurrency(total - managerAlreadyBooked),
+          };
+        })
+        .filter((manager) => manager.total !== 0 || manager.alreadyBooked !== 0);
+      return { ...trueUp, alreadyBooked, open: roundCurrency(trueUp.total - alreadyBooked), managers };
+    }).filter((trueUp) =>
+      trueUp.lines.length > 0 || trueUp.open !== 0 || trueUp.managers.some((manager) => manager.open !== 0),
+    );
+  }
+
+  /**
+   * Book the open true-up amounts as adjustment entries of the owner and
+   * the matching counter-bookings of the managers above
+   * @returns {Promise<RevenueEntry[]>}
+   */
+  async bookTrueUp(employeeId, year, { employeeName = null, actor = null } = {}) {
+    const trueUps = await this.calculateTrueUp(employeeId, year);
+
+    // Booked at year end, or today while the year is still running
+    const yearEnd = new Date(year, 11, 31);
+    const entryDate = yearEnd < new Date() ? yearEnd : new Date();
+
+    const created = [];
+    for (const trueUp of trueUps) {
+      const sourceReference = `${trueUp.table.id}:${year}:${trueUp.provisionType}`;
+      if (trueUp.open !== 0) {
+        const entry = await this.#revenueService.addProvisionAdjustment(employeeId, {
+          employeeName,
+          provisionType: trueUp.provisionType,
+          amount: trueUp.open,
+          entryDate,
+          notes: `Staffelausgleich ${year} (${trueUp.table.summary}): ${trueUp.lines.length} Einträge neu eingestuft`,
+          source: TIER_TRUE_UP_SOURCE,
+          sourceReference,
+          actor,
+        });
+        created.push(entry);
+      }
+
+      for (const manager of trueUp.managers.filter((candidate) => candidate.open !== 0)) {
+        const entry = await this.#revenueService.addProvisionAdjustment(manager.managerId, {
+          employeeName: manager.managerName,
+          provisionType: trueUp.provisionType,
+          amount: manager.open,
+          entryDate,
+          notes: `Staffelausgleich ${year} von ${employeeName || employeeId}: Differenzprovision angepasst`,
+          source: TIER_TRUE_UP_CASCADE_SOURCE,
+          sourceReference: `${sourceReference}:${employeeId}`,
+          actor,
+        });
+        created.push(entry);
+      }
+    }
+
+    Logger.log(`Tier true-up ${year} for ${employeeId}: ${created.length} adjustment entries`);
+    return created;
+  }
+
+  /**
+   * Net volume that counts towards the tiers: the year's active entries of
+   * the table's provision types. Clawbacks are left out because the
+   * cancelled original already drops out; adjustments such as earlier
+   * true-ups are no volume.
+   */
+  #countedEntries(entries, table, year) {
+    return entries.filter((entry) =>
+      entry.entryDate.getFullYear() === year &&
+      !entry.status.isRejected &&
+      !entry.status.isCancelled &&
+      !entry.isClawback &&
+      !entry.isProvisionAdjustment &&
+      table.appliesTo(entry.provisionType),
+    );
+  }
+
+  /**
+   * Managers in the entry's snapshotted path, without the company (root,
+   * which keeps the remainder) and the owner
+   */
+  static #managerLevels(entry) {
+    const path = entry.hierarchyPathSnapshot || [];
+    return path.slice(1).filter((level) => level.id !== entry.employeeId);
+  }
+
+  /**
+   * Change of each manager's differential share when the owner's rate is
+   * corrected, calculated with the same cascade as the billing
+   * @returns {Array<{managerId: string, managerName: string, delta: number}>}
+   */
+  static #managerDeltas(entry, correctRate) {
+    const levels = ProvisionTierService.#managerLevels(entry);
+    if (levels.length === 0) return [];
+
+    const corrected = RevenueEntry.fromJSON({ ...entry.toJSON(), ownerProvisionSnapshot: correctRate });
+    const owner = { id: entry.employeeId };
+    const shareOf = (candidate, manager) =>
+      HierarchicalRevenueEntry.calculate({ entry: candidate, owner, manager, hierarchyLevel: 0 }).managerProvisionAmount;
+
+    return levels
+      .map((level) => ({
+        managerId: level.id,
+        managerName: level.name,
+        delta: roundCurrency(shareOf(corrected, level) - shareOf(entry, level)),
+      }))
+      .filter((shift) => shift.delta !== 0);
+  }
+
+  /**
+   * Counter-bookings already made for the owner's true-ups
+   * @returns {Promise<Map<string, Map<string, number>>>} true-up key → manager → amount
+   */
+  async #getBookedCounterBookings(employeeId, managerIds) {
+    const booked = new Map();
+    const entriesByManager = await Promise.all(
+      managerIds.map((managerId) => this.#revenueService.getEntriesByEmployee(managerId)),
+    );
+
+    managerIds.forEach((managerId, i) => {
+      for (const entry of entriesByManager[i]) {
+        if (entry.source !== TIER_TRUE_UP_CASCADE_SOURCE) continue;
+        const [tableId, bookedYear, provisionType, ownerId] = entry.sourceReference.split(':');
+        if (ownerId !== employeeId) continue;
+
+        const key = `${tableId}:${bookedYear}:${provisionType}`;
+        if (!booked.has(key)) booked.set(key, new Map());
+        const byManager = booked.get(key);
+        byManager.set(managerId, roundCurrency((byManager.get(managerId) ?? 0) + entry.provisionAmount));
+      }
+    });
+    return booked;
+  }
+
+  async #getLevelKey(employeeId) {
+    if (!this.#profileService) return null;
+
+    try {
+      const users = await this.#profileService.getAllUsers();
+      return users.find((user) => user.linkedNodeId === employeeId)?.careerLevel.levelKey ?? null;
+    } catch (error) {
+      Logger.warn('Failed to load career level for provision tiers:', error);
+      return null;
+    }
+  }
+}
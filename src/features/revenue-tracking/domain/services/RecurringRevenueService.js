@@ -0,0 +1,206 @@
+/**
+ * Domain Service: RecurringRevenueService
+ * Manages recurring revenue templates and generates the revenue entries
+ * of their due periods
+ */
+
+import { Logger } from './../../../../core/utils/logger.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { RecurringRevenueTemplate } from '../entities/RecurringRevenueTemplate.js';
+
+export const RECURRING_REVENUE_SOURCE = 'recurring';
+
+export class RecurringRevenueService {
+  #repository;
+  #revenueService;
+  #periodClosingService = null;
+
+  constructor(templateRepository, revenueService) {
+    this.#repository = templateRepository;
+    this.#revenueService = revenueService;
+  }
+
+  /**
+   * Set PeriodClosingService dependency (Monatsabschluss). With it periods
+   * due in a closed month are booked on the first day of the next open month.
+   */
+  setPeriodClosingService(periodClosingService) {
+    this.#periodClosingService = periodClosingService;
+  }
+
+  /**
+   * All templates of an employee, oldest first
+   */
+  async getTemplatesByEmployee(employeeId) {
+    const templates = await this.#repository.findByEmployeeId(employeeId);
+    return templates.sort((a, b) => a.startDate - b.startDate);
+  }
+
+  /**
+   * Contracts of a customer master data record, oldest first
+   */
+  async getTemplatesByCustomer(customerId) {
+    const templates = await this.#repository.findAll();
+    return templates
+      .filter((template) => template.customerId === customerId)
+      .sort((a, b) => a.startDate - b.startDate);
+  }
+
+  /**
+   * @param {string} employeeId
+   * @param {Object} entryData - Revenue entry data as collected by AddRevenueDialog
+   * @param {Object} schedule - { interval, startDate, endDate }
+   * @param {string|null} createdBy
+   */
+  async createTemplate(employeeId, entryData, schedule, createdBy = null) {
+    if (!RecurringRevenueTemplate.supportsCategory(entryData.category)) {
+      throw new ValidationError(
+        'Wiederkehrende Umsätze sind nur für Hausverwaltung und Energieverträge möglich',
+        'category',
+      );
+    }
+
+    // Link the contract to the customer, so all its periods share one customer record
+    const customer = await this.#revenueService.resolveCustomer(employeeId, entryData);
+    const template = RecurringRevenueTemplate.create(
+      employeeId,
+      { ...entryData, customerId: customer?.id ?? entryData.customerId ?? null },
+      schedule,
+      createdBy,
+    );
+    await this.#repository.save(template);
+    Logger.log(`Recurring revenue template created for ${employeeId}: ${template.customerName} (${template.interval.type})`);
+    return template;
+  }
+
+  async pauseTemplate(templateId, date = new Date()) {
+    return await this.#updateTemplate(templateId, (template) => template.pause(date));
+  }
+
+  async resumeTemplate(templateId, date = new Date()) {
+    return await this.#updateTemplate(templateId, (template) => template.resume(date));
+  }
+
+  async terminateTemplate(templateId, date = new Date()) {
+    return await this.#updateTemplate(templateId, (template) => template.terminate(date));
+  }
+
+  /**
+   * Move all templates of an employee to a successor (Bestandsübertragung)
+   * @returns {Promise<RecurringRevenueTemplate[]>} The transferred templates
+   */
+  async transferTemplates(fromEmployeeId, toEmployeeId) {
+    const templates = await this.#repository.findByEmployeeId(fromEmployeeId);
+    for (const template of templates) {
+      template.transferTo(toEmployeeId);
+      await this.#repository.save(template);
+    }
+    Logger.log(`Recurring revenue templates transferred from ${fromEmployeeId} to ${toEmployeeId}: ${templates.length}`);
+    return templates;
+  }
+
+  async #updateTemplate(templateId, change) {
+    const template = await this.#repository.findById(templateId);
+    if (!template) {
+      throw new ValidationError(`Recurring revenue template not found: ${templateId}`, 'templateId');
+    }
+    change(template);
+    await this.#repository.save(template);
+    return template;
+  }
+
+  /**
+   * Create the revenue entries of all due periods of an employee's templates.
+   * Every entry goes through RevenueService.addEntry, so provision snapshots
+   * are captured for the period's date. Entries already generated for a
+   * period (matched via sourceReference) are not created again. A period
+   * in a closed month is booked in the next open month. A template that
+   * fails is logged and left for the next run; the others still generate.
+   *
+   * @param {string} employeeId
+   * @param {Date} asOf
+   * @returns {Promise<RevenueEntry[]>} The generated entries
+   */
+  async generateDueEntries(employeeId, asOf = new Date()) {
+    const templates = await this.#repository.findByEmployeeId(employeeId);
+    return await this.#generateForTemplates(employeeId, templates, asOf);
+  }
+
+  /**
+   * Generate due entries for all employees (company view)
+   * @returns {Promise<RevenueEntry[]>}
+   */
+  async generateAllDueEntries(asOf = new Date()) {
+    const templates = await this.#repository.findAll();
+    const byEmployee = new Map();
+    for (const template of templates) {
+      if (!byEmployee.has(template.employeeId)) {
+        byEmployee.set(template.employeeId, []);
+      }
+      byEmployee.get(template.employeeId).push(template);
+    }
+
+    const generated = [];
+    for (const [employeeId, employeeTemplates] of byEmployee) {
+      try {
+        generated.push(...await this.#generateForTemplates(employeeId, employeeTemplates, asOf));
+      } catch (error) {
+        Logger.error(`Recurring revenues for ${employeeId} could not be generated:`, error);
+      }
+    }
+    return generated;
+  }
+
+  async #generateForTemplates(employeeId, templates, asOf) {
+    const dueTemplates = templates.filter((t) => t.getDuePeriods(asOf).length > 0);
+    if (dueTemplates.length === 0) {
+      return [];
+    }
+
+    const existingEntries = await this.#revenueService.getEntriesByEmployee(employeeId);
+    const existingReferences = new Set(
+      existingEntries
+        .filter((entry) => entry.source === RECURRING_REVENUE_SOURCE)
+        .map((entry) => entry.sourceReference),
+    );
+
+    const generated = [];
+    for (const template of dueTemplates) {
+      try {
+        for (const periodDate of template.getDuePeriods(asOf)) {
+          const sourceReference = `${template.id}:${template.getPeriodKey(periodDate)}`;
+          if (!existingReferences.has(sourceReference)) {
+            const entryDate = await this.#bookingDate(periodDate);
+            const entry = await this.#revenueService.addEntry(employeeId, {
+              ...template.entryTemplate,
+              entryDate: entryDate.toISOString(),
+              notes: this.#buildNotes(template, periodDate),
+              source: RECURRING_REVENUE_SOURCE,
+              sourceReference,
+            });
+            generated.push(entry);
+          }
+          template.markGenerated(periodDate);
+        }
+        await this.#repository.save(template);
+      } catch (error) {
+        // Entries of this run are matched via sourceReference on the next one
+        Logger.error(`Recurring revenue template ${template.id} (${template.customerName}) failed:`, error);
+      }
+    }
+
+    Logger.log(`Recurring revenues for ${employeeId}: ${generated.length} entries generated`);
+    return generated;
+  }
+
+  async #bookingDate(periodDate) {
+    return this.#periodClosingService ? await this.#periodClosingService.nextOpenDate(periodDate) : periodDate;
+  }
+
+  #buildNotes(template, periodDate) {
+    const period = periodDate.toLocaleDateString('de-DE', { month: '2-digit', year: 'numeric' });
+    const label = `Wiederkehrender Umsatz (${template.interval.displayName}) – ${period}`;
+    const notes = template.entryTemplate.notes;
+    return notes ? `${notes} · ${label}` : label;
+  }
+}
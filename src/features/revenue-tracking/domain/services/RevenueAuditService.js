@@ -0,0 +1,149 @@
+/**
+ * Domain Service: RevenueAuditService
+ * Writes the field-level change history of revenue entries and answers
+ * queries on it (per entry, or across all entries for bookkeeping).
+ *
+ * Recording never fails the business operation: the entry change is already
+ * persisted when the trail is written, so write errors are only logged.
+ */
+
+import { Logger } from './../../../../core/utils/logger.js';
+import { RevenueAuditEvent, AUDIT_ACTIONS, AUDITED_FIELDS } from '../value-objects/RevenueAuditEvent.js';
+
+export class RevenueAuditService {
+  #auditRepository;
+  #authService;
+
+  constructor(auditRepository, authService = null) {
+    this.#auditRepository = auditRepository;
+    this.#authService = authService;
+  }
+
+  /**
+   * @param {RevenueEntry} entry - The newly saved entry
+   * @param {Object} options - { actor: { id, name }, comment }
+   */
+  async recordCreated(entry, { actor = null, comment = '' } = {}) {
+    await this.#save([
+      this.#createEvent(entry.toJSON(), { action: AUDIT_ACTIONS.CREATED, actor, comment }),
+    ]);
+  }
+
+  /**
+   * Record every audited field that differs between the snapshots
+   *
+   * @param {Array<{before: Object, after: Object}>} changes - toJSON() of each entry before and after
+   * @param {Object} options
+   * @param {string} options.action - AUDIT_ACTIONS value, UPDATED by default
+   * @param {Object|null} options.actor - { id, name }, defaults to the signed-in user
+   * @param {string} options.comment
+   */
+  async recordChanges(changes, { action = AUDIT_ACTIONS.UPDATED, actor = null, comment = '' } = {}) {
+    const events = [];
+    for (const { before, after } of changes) {
+      for (const field of Object.keys(AUDITED_FIELDS)) {
+        const oldValue = RevenueAuditEvent.formatValue(field, before[field]);
+        const newValue = RevenueAuditEvent.formatValue(field, after[field]);
+        if (oldValue === newValue) continue;
+
+        events.push(this.#createEvent(after, { action, field, oldValue, newValue, actor, comment }));
+      }
+    }
+    await this.#save(events);
+  }
+
+  /**
+   * @param {RevenueEntry[]} entries
+   * @param {string} field - 'billedTipProviderIds' or 'billedHierarchyManagerIds'
+   * @param {string} recipientId
+   * @param {boolean} marked - true when marked as billed, false when taken back
+   */
+  async recordBilledFlag(entries, field, recipientId, marked, { actor = null } = {}) {
+    const action = marked ? AUDIT_ACTIONS.BILLED_MARKED : AUDIT_ACTIONS.BILLED_UNMARKED;
+    await this.#save(entries.map((entry) => this.#createEvent(entry.toJSON(), {
+      action,
+      field,
+      oldValue: marked ? null : recipientId,
+      newValue: marked ? recipientId : null,
+      actor,
+    })));
+  }
+
+  async recordDeleted(entry, { actor = null } = {}) {
+    await this.#save([
+      this.#createEvent(entry.toJSON(), { action: AUDIT_ACTIONS.DELETED, actor }),
+    ]);
+  }
+
+  /**
+   * @returns {Promise<RevenueAuditEvent[]>} Oldest first
+   */
+  async getEntryHistory(entryId) {
+    const events = await this.#auditRepository.findByEntryId(entryId);
+    return events.sort((a, b) => a.changedAt - b.changedAt);
+  }
+
+  /**
+   * Change log across all entries, newest first
+   *
+   * @param {Object} filter
+   * @param {Date} filter.from
+   * @param {Date} filter.to
+   * @param {string|null} filter.field - Only changes of this field
+   * @param {string|null} filter.action - Only this AUDIT_ACTIONS value
+   * @param {string} filter.query - Matches customer, user, entry id and values
+   * @returns {Promise<RevenueAuditEvent[]>}
+   */
+  async findEvents({ from, to, field = null, action = null, query = '' } = {}) {
+    const events = await this.#auditRepository.findByPeriod(from, to);
+    const needle = query.trim().toLowerCase();
+
+    return events
+      .filter((event) => !field || event.field === field)
+      .filter((event) => !action || event.action === action)
+      .filter((event) => !needle || [
+        event.customerName,
+        event.changedByName,
+        event.entryId,
+        event.oldValue,
+        event.newValue,
+        event.comment,
+      ].some((value) => value !== null && String(value).toLowerCase().includes(needle)))
+      .sort((a, b) => b.changedAt - a.changedAt);
+  }
+
+  #createEvent(entryJson, { action, field = null, oldValue = null, newValue = null, actor = null, comment = '' }) {
+    const resolvedActor = this.#resolveActor(actor);
+    return new RevenueAuditEvent({
+      entryId: entryJson.id,
+      employeeId: entryJson.employeeId,
+      customerName: entryJson.customerName,
+      action,
+      field,
+      oldValue,
+      newValue,
+      comment,
+      changedBy: resolvedActor.id,
+      changedByName: resolvedActor.name,
+    });
+  }
+
+  #resolveActor(actor) {
+    if (actor?.id) return actor;
+
+    const user = this.#authService?.getCurrentUser();
+    return {
+      id: user?.uid ?? null,
+      name: user?.displayName || user?.email || null,
+    };
+  }
+
+  async #save(events) {
+    if (events.length === 0) return;
+    try {
+      await this.#auditRepository.saveAll(events);
+    } catch (error) {
+      Logger.error(`Failed to write ${events.length} audit events:`, error);
+    }
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Domain Service: RevenueCsvExportService
+ * Exports a selection of revenue entries as CSV for Excel
+ * (semicolon separated, German number format, UTF-8 with BOM)
+ */
+
+import { Logger } from '../../../../core/utils/logger.js';
+
+const COLUMNS = [
+  { label: 'ID', value: (e) => e.id },
+  { label: 'Mitarbeiter', value: (e) => e.hierarchySnapshot?.ownerName || e.employeeId },
+  { label: 'Kd-Nr.', value: (e) => e.customerNumber },
+  { label: 'Datum', value: (e) => new Date(e.entryDate).toLocaleDateString('de-DE') },
+  { label: 'Kunde', value: (e) => e.customerName },
+  { label: 'Anschrift', value: (e) => e.customerAddress?.formatted },
+  { label: 'Kategorie', value: (e) => e.category?.displayName },
+  { label: 'Produkt', value: (e) => e.product?.name },
+  { label: 'Produktgeber', value: (e) => e.providerDisplayText },
+  { label: 'Vertragsnr.', value: (e) => e.contractNumber },
+  { label: 'Netto', value: (e) => e.netAmount, number: true },
+  { label: 'USt', value: (e) => e.vatAmount, number: true },
+  { label: 'Brutto', value: (e) => e.grossAmount, number: true },
+  { label: 'Tippgeber', value: (e) => (e.tipProviders || []).map((tp) => `${tp.name} (${tp.provisionPercentage}%)`).join(', ') },
+  { label: 'Status', value: (e) => e.status?.displayName },
+  { label: 'Notizen', value: (e) => e.notes },
+];
+
+export class RevenueCsvExportService {
+  /**
+   * @param {RevenueEntry[]} entries
+   * @returns {string}
+   */
+  toCsv(entries) {
+    const lines = [
+      COLUMNS.map((col) => this.#escape(col.label)).join(';'),
+      ...entries.map((entry) => COLUMNS.map((col) => this.#formatCell(col, entry)).join(';')),
+    ];
+    return lines.join('\r\n');
+  }
+
+  /**
+   * @param {RevenueEntry[]} entries
+   * @param {string} fileName
+   */
+  download(entries, fileName) {
+    const blob = new Blob(['\uFEFF', this.toCsv(entries)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    Logger.log(`CSV export with ${entries.length} entries: ${fileName}`);
+  }
+
+  #formatCell(col, entry) {
+    const value = col.value(entry);
+    if (value === null || value === undefined) return '';
+    if (col.number) {
+      return Number(value).toFixed(2).replace('.', ',');
+    }
+    return this.#escape(String(value));
+  }
+
+  #escape(text) {
+    if (/[";\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+}
@@ -6,8 +6,13 @@
 import { RevenueEntry } from '../entities/RevenueEntry.js';
 import { HierarchicalRevenueEntry } from '../entities/HierarchicalRevenueEntry.js';
 import { CompanyRevenueEntry } from '../entities/CompanyRevenueEntry.js';
+import { PeriodClosing } from '../entities/PeriodClosing.js';
 import { REVENUE_STATUS_TYPES } from '../value-objects/RevenueStatus.js';
+import { StatusTransition } from '../value-objects/StatusTransition.js';
+import { AUDIT_ACTIONS } from '../value-objects/RevenueAuditEvent.js';
 import { Logger } from './../../../../core/utils/logger.js';
+import { ValidationError, NotFoundError } from '../../../../core/errors/index.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
 import {
   GESCHAEFTSFUEHRER_IDS,
   isGeschaeftsfuehrerId,
@@ -15,10 +20,28 @@ import {
   buildGeschaeftsfuehrerNode,
 } from '../../../../core/config/geschaeftsfuehrer.config.js';
 
+// Moving an entry into one of these from any other status (submitted, but
+// also rejected or cancelled) approves it; subject to the category's
+// four-eyes and document rules
+const APPROVAL_STATUSES = [REVENUE_STATUS_TYPES.TRANSFERRED, REVENUE_STATUS_TYPES.PROVISIONED];
+
+// Fields that may still change once the entry's month is closed: status
+// workflow, billing markers, contract link and receipts. Keep in sync with
+// firestore.rules (onlyClosedPeriodFieldsChanged).
+const CLOSED_PERIOD_UPDATABLE_FIELDS = [
+  'status', 'billedTipProviderIds', 'billedHierarchyManagerIds', 'contractId', 'attachments',
+];
+
 export class RevenueService {
   #revenueRepository;
   #hierarchyService;
   #catalogService;
+  #profileService;
+  #auditService = null;
+  #customerService = null;
+  #contractService = null;
+  #provisionTierService = null;
+  #periodClosingService = null;
 
   constructor(revenueRepository, hierarchyService, catalogService = null) {
     this.#revenueRepository = revenueRepository;
@@ -26,6 +49,87 @@ export class RevenueService {
     this.#catalogService = catalogService;
   }
 
+  /**
+   * Set ProfileService dependency (career levels for product provision overrides).
+   * The profile service is created after the revenue service during startup.
+   */
+  setProfileService(profileService) {
+    this.#profileService = profileService;
+  }
+
+  /**
+   * Set RevenueAuditService dependency (field-level change history).
+   * Without it changes are not recorded.
+   */
+  setAuditService(auditService) {
+    this.#auditService = auditService;
+  }
+
+  /**
+   * Set CustomerService dependency (customer master data). With it new entries
+   * are linked to a customer and take the customer's number; without it
+   * customers are numbered per employee.
+   */
+  setCustomerService(customerService) {
+    this.#customerService = customerService;
+  }
+
+  /**
+   * Set ContractService dependency. With it every entry that has a contract
+   * number is attached to its contract, including stornos, follow-up
+   * provisions and the clawbacks created on cancellation.
+   */
+  setContractService(contractService) {
+    this.#contractService = contractService;
+  }
+
+  /**
+   * Set ProvisionTierService dependency (Staffelprovision). With it the
+   * owner's rate comes from the tier table that applies to the employee's
+   * volume of the year instead of the node's type rate.
+   */
+  setProvisionTierService(provisionTierService) {
+    this.#provisionTierService = provisionTierService;
+  }
+
+  /**
+   * Set PeriodClosingService dependency (Monatsabschluss). With it entries
+   * dated in a closed month can no longer be created, edited or deleted.
+   */
+  setPeriodClosingService(periodClosingService) {
+    this.#periodClosingService = periodClosingService;
+  }
+
+  async #assertPeriodOpen(date) {
+    await this.#periodClosingService?.assertOpen(date);
+  }
+
+  async #isPeriodClosed(date) {
+    return this.#periodClosingService ? await this.#periodClosingService.isClosed(date) : false;
+  }
+
+  /**
+   * Date a correction is booked on: the month of the date if it is open,
+   * otherwise the next open month
+   */
+  async #openBookingDate(date) {
+    return this.#periodClosingService ? await this.#periodClosingService.nextOpenDate(date) : date;
+  }
+
+  /**
+   * Change history of one entry, oldest first
+   */
+  async getEntryChangeLog(entryId) {
+    return this.#auditService ? await this.#auditService.getEntryHistory(entryId) : [];
+  }
+
+  /**
+   * Change history across all entries (bookkeeping), see RevenueAuditService.findEvents
+   */
+  async getChangeLog(filter) {
+    return this.#auditService ? await this.#auditService.findEvents(filter) : [];
+  }
+
   async getEntriesByEmployee(employeeId) {
     return await this.#revenueRepository.findByEmployeeId(employeeId);
   }
@@ -34,50 +138,710 @@ export class RevenueService {
     return await this.#revenueRepository.findById(entryId);
   }
 
+  async getEntriesByCustomer(customerId) {
+    return await this.#revenueRepository.findByCustomerId(customerId);
+  }
+
+  async getEntriesByContract(contractId) {
+    return await this.#revenueRepository.findByContractId(contractId);
+  }
+
+  async getAllEntries() {
+    return await this.#revenueRepository.findAll();
+  }
+
+  /**
+   * Customer master data record for entry data, see CustomerService.resolveForEntry
+   * @returns {Promise<Customer|null>} null without customer master data
+   */
+  async resolveCustomer(employeeId, entryData) {
+    return (await this.#customerService?.resolveForEntry(employeeId, entryData)) ?? null;
+  }
+
   async addEntry(employeeId, entryData) {
-    const customerNumber = await this.#revenueRepository.getNextCustomerNumber(
-      employeeId,
-    );
+    await this.#assertPeriodOpen(entryData.entryDate ?? new Date());
+    const customer = await this.resolveCustomer(employeeId, entryData);
+    const customerNumber = customer
+      ? customer.customerNumber
+      : await this.#revenueRepository.getNextCustomerNumber(employeeId);
 
     // Capture provision snapshots from hierarchy at creation time
     const snapshots = await this.#captureProvisionSnapshots(employeeId, entryData);
 
+    const contract = await this.#contractService?.resolveForEntry({
+      ...entryData,
+      customerId: customer?.id ?? null,
+    });
+
     const entry = new RevenueEntry({
       ...entryData,
       employeeId,
       customerNumber,
+      customerId: customer?.id ?? null,
+      contractId: contract?.id ?? null,
       ...snapshots, // Add provision snapshots
     });
 
     await this.#revenueRepository.save(entry);
+    await this.#auditService?.recordCreated(entry);
+    return entry;
+  }
+
+  /**
+   * Build an unsaved entry with the provision snapshots it would get if it were
+   * added now. Used by the provision simulator; an optional scenario captures the
+   * snapshots against a hypothetical hierarchy (changed rates or manager).
+   *
+   * @param {string} employeeId
+   * @param {Object} entryData - Same shape as for addEntry
+   * @param {HierarchyScenario|null} scenario
+   * @returns {Promise<RevenueEntry>}
+   */
+  async buildDraftEntry(employeeId, entryData, scenario = null) {
+    const snapshots = await this.#captureProvisionSnapshots(employeeId, entryData, scenario);
+
+    return new RevenueEntry({
+      ...entryData,
+      id: null,
+      employeeId,
+      customerNumber: 0,
+      ...snapshots,
+    });
+  }
+
+  /**
+   * Book a correction of the owner's provision that is not tied to a
+   * customer (e.g. the year-end true-up of the Staffelprovision). The whole
+   * amount goes to the owner: the snapshot holds the owner alone at 100 %,
+   * so managers and the company get no share. Negative amounts reclaim
+   * provision like a clawback. An entry date in a closed month moves to the
+   * first day of the next open month.
+   *
+   * @param {string} employeeId
+   * @param {Object} params
+   * @param {string|null} params.provisionType - bank | insurance | realEstate
+   * @param {string} params.category - Category shown for the entry, defaults to the provision type
+   * @param {string} params.label - Stands in for customer and product
+   * @param {number} params.amount - Owner provision in EUR
+   * @param {Object|null} params.actor - { id, name } for the change log, defaults to the signed-in user
+   * @returns {Promise<RevenueEntry>}
+   */
+  async addProvisionAdjustment(employeeId, {
+    employeeName = null,
+    provisionType,
+    category = provisionType,
+    label = 'Provisionsausgleich',
+    amount,
+    entryDate = new Date(),
+    notes = '',
+    source = null,
+    sourceReference = null,
+    actor = null,
+  }) {
+    if (!Number.isFinite(amount) || amount === 0) {
+      throw new ValidationError('Ausgleichsbetrag muss ungleich 0 sein', 'amount');
+    }
+
+    const entry = new RevenueEntry({
+      employeeId,
+      customerNumber: 0,
+      customerName: label,
+      category,
+      provisionType,
+      product: { name: label, category },
+      productProvider: { name: '-', category },
+      contractNumber: '',
+      provisionAmount: roundCurrency(amount),
+      notes,
+      // Approved right away so the next billing run picks it up
+      status: REVENUE_STATUS_TYPES.TRANSFERRED,
+      entryDate: await this.#openBookingDate(entryDate),
+      ownerProvisionSnapshot: 100,
+      managerProvisionSnapshot: null,
+      hierarchySnapshot: {
+        ownerId: employeeId,
+        ownerName: employeeName,
+        managerId: null,
+        managerName: null,
+        provisionType,
+        provisionRule: { source: 'adjustment', provisionType },
+        path: [{ id: employeeId, name: employeeName, appliedProvision: 100 }],
+        capturedAt: new Date().toISOString(),
+      },
+      source,
+      sourceReference,
+    });
+
+    await this.#revenueRepository.save(entry);
+    await this.#auditService?.recordCreated(entry, { actor, comment: notes });
+    Logger.log(`✓ Provision adjustment booked for ${employeeId}: ${entry.provisionAmount}`);
     return entry;
   }
 
   async updateEntry(entryId, updates) {
     const entry = await this.#revenueRepository.findById(entryId);
+    const changesContent = Object.keys(updates)
+      .some((field) => field !== 'id' && !CLOSED_PERIOD_UPDATABLE_FIELDS.includes(field));
+    if (changesContent) {
+      await this.#assertPeriodOpen(entry.entryDate);
+      if (updates.entryDate) {
+        await this.#assertPeriodOpen(updates.entryDate);
+      }
+    }
+    const wasProvisioned = entry.status.isProvisioned;
+    const before = entry.toJSON();
     entry.update(updates);
+    await this.#syncCustomerLink(entry, updates);
+    await this.#syncContractLink(entry, updates);
     await this.#revenueRepository.update(entry);
+    await this.#auditService?.recordChanges([{ before, after: entry.toJSON() }]);
+
+    if (wasProvisioned && entry.status.isCancelled) {
+      await this.#createCancellationClawback(entry);
+    }
     return entry;
   }
 
-  async updateEntryStatus(entryId, newStatus) {
+  /**
+   * Link an edited entry to the customer chosen in the dialog. Entries recorded
+   * before the customer master data existed are linked once their customer
+   * name is edited.
+   */
+  async #syncCustomerLink(entry, updates) {
+    if (!this.#customerService) return;
+
+    // customerId null means the link was removed in the dialog: match by name again
+    const customerChanged = updates.customerId !== undefined && updates.customerId !== entry.customerId;
+    const linkLegacyEntry = !entry.customerId && updates.customerName !== undefined;
+    if (!customerChanged && !linkLegacyEntry) return;
+
+    const customer = await this.resolveCustomer(entry.employeeId, {
+      customerId: updates.customerId || null,
+      customerName: entry.customerName,
+      customerAddress: entry.customerAddress.toJSON(),
+    });
+    entry.linkCustomer(customer.id, customer.customerNumber);
+  }
+
+  /**
+   * Move an edited entry to the contract matching its new contract number or
+   * provider
+   */
+  async #syncContractLink(entry, updates) {
+    if (!this.#contractService) return;
+    if (updates.contractNumber === undefined && updates.productProvider === undefined && entry.contractId) return;
+
+    const contract = await this.#contractService.resolveForEntry(this.#contractData(entry));
+    if ((contract?.id ?? null) !== entry.contractId) {
+      entry.linkContract(contract?.id ?? null);
+    }
+  }
+
+  #contractData(entry) {
+    return {
+      contractNumber: entry.contractNumber,
+      productProvider: entry.productProvider,
+      product: entry.product,
+      category: entry.category.type,
+      customerId: entry.customerId,
+      customerName: entry.customerName,
+    };
+  }
+
+  /**
+   * Attach entries recorded before contracts existed to their contract
+   * @returns {Promise<number>} Number of linked entries
+   */
+  async assignContracts() {
+    if (!this.#contractService) return 0;
+
+    const entries = await this.#revenueRepository.findAll();
+    let linked = 0;
+    for (const entry of entries) {
+      if (entry.contractId || !entry.contractNumber) continue;
+      const contract = await this.#contractService.resolveForEntry(this.#contractData(entry));
+      if (!contract) continue;
+      entry.linkContract(contract.id);
+      await this.#revenueRepository.update(entry);
+      linked += 1;
+    }
+
+    Logger.log(`Linked ${linked} entries to their contracts`);
+    return linked;
+  }
+
+  /**
+   * Change the status of an entry and record the transition in its timeline.
+   * A rejection needs a reason. When the category's four-eyes rule applies to
+   * an approval (Überwiesen/Provisioniert), the first admin only requests it;
+   * the status changes once a different admin confirms the same target status.
+   *
+   * @param {string} entryId
+   * @param {string} newStatus
+   * @param {Object} options
+   * @param {Object|null} options.actor - { id, name } of the current user
+   * @param {string} options.comment - Optional comment, reason for rejections
+   * @returns {Promise<RevenueEntry>}
+   */
+  async updateEntryStatus(entryId, newStatus, { actor = null, comment = '' } = {}) {
+    if (newStatus === REVENUE_STATUS_TYPES.REJECTED && !comment?.trim()) {
+      throw new ValidationError('Für die Ablehnung ist eine Begründung erforderlich', 'comment');
+    }
+
     const entry = await this.#revenueRepository.findById(entryId);
-    entry.update({ status: newStatus });
+    const wasProvisioned = entry.status.isProvisioned;
+    const before = entry.toJSON();
+    await this.#assertRequiredAttachments(entry, newStatus);
+
+    if (await this.#requiresSecondApproval(entry, newStatus)) {
+      const pending = entry.pendingApproval;
+      if (!pending || pending.toStatus !== newStatus) {
+        entry.requestApproval(newStatus, { actor, comment });
+        await this.#revenueRepository.update(entry);
+        await this.#auditService?.recordChanges([{ before, after: entry.toJSON() }], {
+          action: AUDIT_ACTIONS.APPROVAL_REQUESTED,
+          actor,
+          comment,
+        });
+        Logger.log(`Approval of entry ${entryId} (${newStatus}) requested, waiting for second approver`);
+        return entry;
+      }
+      if (!actor?.id || pending.requestedBy === actor.id) {
+        throw new ValidationError(
+          'Die zweite Freigabe muss durch einen anderen Administrator erfolgen',
+          'actor',
+        );
+      }
+      entry.changeStatus(newStatus, {
+        actor,
+        comment,
+        approvedBy: { id: pending.requestedBy, name: pending.requestedByName },
+      });
+    } else {
+      entry.changeStatus(newStatus, { actor, comment });
+    }
     await this.#revenueRepository.update(entry);
+    await this.#auditService?.recordChanges([{ before, after: entry.toJSON() }], {
+      action: AUDIT_ACTIONS.STATUS_CHANGED,
+      actor,
+      comment,
+    });
+
+    if (wasProvisioned && entry.status.isCancelled) {
+      await this.#createCancellationClawback(entry);
+    }
     return entry;
   }
 
-  async batchUpdateEntryStatus(entryIds, newStatus) {
+  /**
+   * Whether moving the entry to newStatus approves it. Only the step from
+   * TRANSFERRED to PROVISIONED (billing) is not an approval.
+   */
+  #isApproval(entry, newStatus) {
+    return APPROVAL_STATUSES.includes(newStatus) && !APPROVAL_STATUSES.includes(entry.status.type);
+  }
+
+  /**
+   * Whether moving the entry to newStatus needs the confirmation of a second admin
+   */
+  async #requiresSecondApproval(entry, newStatus) {
+    if (!this.#isApproval(entry, newStatus) || !this.#catalogService) {
+      return false;
+    }
+    const rule = await this.#catalogService.findApprovalRule(entry.category.type);
+    return rule?.requiresSecondApproval(entry.grossAmount) ?? false;
+  }
+
+  /**
+   * Categories can demand a document (contract, statement) before an entry is approved
+   */
+  async #assertRequiredAttachments(entry, newStatus) {
+    if (!this.#isApproval(entry, newStatus) || entry.hasAttachments || !this.#catalogService) {
+      return;
+    }
+
+    let category;
+    try {
+      category = await this.#catalogService.getCategoryByType(entry.category.type);
+    } catch (error) {
+      if (error instanceof NotFoundError) return; // Legacy category without catalog definition
+      throw error;
+    }
+
+    if (category.requiresAttachment) {
+      throw new ValidationError(
+        `Für ${category.displayName} muss vor der Freigabe ein Beleg hochgeladen werden`,
+        'attachments',
+      );
+    }
+  }
+
+  /**
+   * Set the status of several entries at once, in one write. Applies no
+   * approval rules - callers only pass transitions the workflow allows
+   * without them. The transition is appended to every entry's timeline.
+   *
+   * @param {string[]} entryIds
+   * @param {string} newStatus
+   * @param {Object} options - { actor: { id, name }, comment }
+   */
+  async #batchUpdateEntryStatus(entryIds, newStatus, { actor = null, comment = '' } = {}) {
     if (!entryIds || entryIds.length === 0) return;
 
     if (!Object.values(REVENUE_STATUS_TYPES).includes(newStatus)) {
       throw new Error(`Invalid status: ${newStatus}`);
     }
 
-    const updates = entryIds.map(entryId => ({ entryId, status: newStatus }));
+    // Previous state is needed for the change history and to find entries
+    // that were already paid out before they get cancelled
+    let entries = [];
+    if (this.#auditService || newStatus === REVENUE_STATUS_TYPES.CANCELLED) {
+      entries = (await Promise.all(entryIds.map((id) => this.#revenueRepository.findById(id)))).filter(Boolean);
+    }
+    const provisionedEntries = newStatus === REVENUE_STATUS_TYPES.CANCELLED
+      ? entries.filter((entry) => entry.status.isProvisioned)
+      : [];
+
+    const transition = new StatusTransition({
+      toStatus: newStatus,
+      changedBy: actor?.id ?? null,
+      changedByName: actor?.name ?? null,
+      comment,
+    }).toJSON();
+    const updates = entryIds.map(entryId => ({ entryId, status: newStatus, transition }));
     await this.#revenueRepository.batchUpdateStatus(updates);
 
     Logger.log(`Batch updated ${updates.length} entries to status: ${newStatus}`);
+
+    await this.#auditService?.recordChanges(
+      entries.map((entry) => {
+        const before = entry.toJSON();
+        return { before, after: { ...before, status: newStatus, pendingApproval: null } };
+      }),
+      { action: AUDIT_ACTIONS.STATUS_CHANGED, actor, comment },
+    );
+
+    for (const entry of provisionedEntries) {
+      await this.#createCancellationClawback(entry);
+    }
+  }
+
+  /**
+   * Billing finalization: TRANSFERRED → PROVISIONED. This step is not an
+   * approval, so it needs no second approver or document. Entries in any
+   * other status are left unchanged.
+   *
+   * @param {string[]} entryIds
+   * @param {Object} options - { actor: { id, name }, comment }
+   * @returns {Promise<number>} Number of entries marked as provisioned
+   */
+  async markEntriesAsProvisioned(entryIds, { actor = null, comment = '' } = {}) {
+    const entries = (await Promise.all(entryIds.map((id) => this.#revenueRepository.findById(id)))).filter(Boolean);
+    const transferred = entries.filter((entry) => entry.status.isTransferred);
+    if (transferred.length < entries.length) {
+      Logger.warn(`${entries.length - transferred.length} entries are not transferred and stay unchanged`);
+    }
+
+    await this.#batchUpdateEntryStatus(
+      transferred.map((entry) => entry.id),
+      REVENUE_STATUS_TYPES.PROVISIONED,
+      { actor, comment },
+    );
+    return transferred.length;
+  }
+
+  /**
+   * Status change for a selection of entries (bulk action). Entries without
+   * approval rules go through #batchUpdateEntryStatus in one write; entries whose
+   * category needs a second approval or a document take the single-entry
+   * workflow, so a bulk approval never bypasses those rules.
+   *
+   * @param {string[]} entryIds
+   * @param {string} newStatus
+   * @param {Object} options - { actor: { id, name }, comment }
+   * @returns {Promise<{updated: number, pendingApproval: number, failed: Array<{entryId: string, customerName: string, message: string}>}>}
+   */
+  async bulkUpdateEntryStatus(entryIds, newStatus, { actor = null, comment = '' } = {}) {
+    if (newStatus === REVENUE_STATUS_TYPES.REJECTED && !comment?.trim()) {
+      throw new ValidationError('Für die Ablehnung ist eine Begründung erforderlich', 'comment');
+    }
+
+    const entries = (await Promise.all(entryIds.map((id) => this.#revenueRepository.findById(id)))).filter(Boolean);
+    const direct = [];
+    const individual = [];
+    for (const entry of entries) {
+      if (entry.status.type === newStatus) continue;
+      const needsWorkflow = this.#isApproval(entry, newStatus) &&
+        (await this.#requiresSecondApproval(entry, newStatus) || !entry.hasAttachments);
+      (needsWorkflow ? individual : direct).push(entry);
+    }
+
+    const result = { updated: 0, pendingApproval: 0, failed: [] };
+
+    if (direct.length > 0) {
+      await this.#batchUpdateEntryStatus(direct.map((e) => e.id), newStatus, { actor, comment });
+      result.updated += direct.length;
+    }
+
+    for (const entry of individual) {
+      try {
+        const updated = await this.updateEntryStatus(entry.id, newStatus, { actor, comment });
+        if (updated.status.type === newStatus) {
+          result.updated++;
+        } else {
+          result.pendingApproval++;
+        }
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        result.failed.push({ entryId: entry.id, customerName: entry.customerName, message: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Mark entries as billed for every recipient of their cascade: all tip
+   * providers and all managers of the hierarchy snapshot (bulk action)
+   *
+   * @param {string[]} entryIds
+   * @returns {Promise<number>} Number of recipient marks set
+   */
+  async markEntriesAsBilled(entryIds) {
+    const entries = (await Promise.all(entryIds.map((id) => this.#revenueRepository.findById(id)))).filter(Boolean);
+    const tipProviderEntries = new Map();
+    const managerEntries = new Map();
+
+    const collect = (map, recipientId, entryId) => {
+      if (!map.has(recipientId)) map.set(recipientId, []);
+      map.get(recipientId).push(entryId);
+    };
+
+    for (const entry of entries) {
+      entry.tipProviderIds
+        .filter((id) => !entry.isBilledForTipProvider(id))
+        .forEach((id) => collect(tipProviderEntries, id, entry.id));
+      (entry.hierarchyPathSnapshot || [])
+        .map((level) => level.id)
+        .filter((id) => id !== entry.employeeId && !entry.isBilledForHierarchyManager(id))
+        .forEach((id) => collect(managerEntries, id, entry.id));
+    }
+
+    let marks = 0;
+    for (const [tipProviderId, ids] of tipProviderEntries) {
+      await this.markEntriesAsBilledForTipProvider(ids, tipProviderId);
+      marks += ids.length;
+    }
+    for (const [managerId, ids] of managerEntries) {
+      await this.markEntriesAsBilledForHierarchyManager(ids, managerId);
+      marks += ids.length;
+    }
+    return marks;
+  }
+
+  /**
+   * Move entries to another employee with freshly captured provision snapshots
+   * and a new customer number of that employee. Provisioned, rejected and
+   * cancelled entries are skipped, their payout is already settled.
+   *
+   * @param {string[]} entryIds
+   * @param {string} employeeId - New owner
+   * @param {Object} options - { actor: { id, name } }
+   * @returns {Promise<{reassigned: RevenueEntry[], failed: Array<{entryId: string, customerName: string, message: string}>}>}
+   */
+  async reassignEntries(entryIds, employeeId, { actor = null } = {}) {
+    const result = { reassigned: [], failed: [] };
+
+    for (const entryId of entryIds) {
+      const entry = await this.#revenueRepository.findById(entryId);
+      if (!entry || entry.employeeId === employeeId) continue;
+
+      try {
+        await this.#assertPeriodOpen(entry.entryDate);
+        const before = entry.toJSON();
+        const snapshots = await this.#captureProvisionSnapshots(employeeId, before);
+        // Master data numbers are company-wide and stay with the customer
+        const customerNumber = entry.customerId
+          ? entry.customerNumber
+          : await this.#revenueRepository.getNextCustomerNumber(employeeId);
+        entry.reassign(employeeId, { customerNumber, ...snapshots });
+
+        await this.#revenueRepository.update(entry);
+        await this.#auditService?.recordChanges([{ before, after: entry.toJSON() }], {
+          action: AUDIT_ACTIONS.REASSIGNED,
+          actor,
+        });
+        result.reassigned.push(entry);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        result.failed.push({ entryId, customerName: entry.customerName, message: error.message });
+      }
+    }
+
+    Logger.log(`Reassigned ${result.reassigned.length} entries to employee: ${employeeId}`);
+    return result;
+  }
+
+  /**
+   * Portfolio transfer (Bestandsübertragung) to a successor. Entries of one
+   * customer share a customer number, so every customer without master data
+   * gets one new number at the successor. With resnapshot, only open entries that nobody has been
+   * billed for get the successor's provision snapshots; settled entries keep
+   * theirs so past payouts can still be reproduced.
+   * Entries dated in a closed month are skipped and stay with the former
+   * employee, like entries outside the chosen scope.
+   *
+   * @param {string[]} entryIds
+   * @param {string} employeeId - Successor
+   * @param {Object} options - { resnapshot, actor: { id, name }, comment }
+   * @returns {Promise<{transferred: RevenueEntry[], skipped: Array<{entryId: string, customerName: string, message: string}>, failed: Array<{entryId: string, customerName: string, message: string}>}>}
+   */
+  async transferEntries(entryIds, employeeId, { resnapshot = false, actor = null, comment = '' } = {}) {
+    const result = { transferred: [], skipped: [], failed: [] };
+    const customerNumbers = new Map();
+
+    for (const entryId of entryIds) {
+      const entry = await this.#revenueRepository.findById(entryId);
+      if (!entry || entry.employeeId === employeeId) continue;
+
+      if (await this.#isPeriodClosed(entry.entryDate)) {
+        const day = new Date(entry.entryDate);
+        const { displayName } = PeriodClosing.forMonth(day.getFullYear(), day.getMonth());
+        result.skipped.push({ entryId, customerName: entry.customerName, message: `${displayName} ist abgeschlossen` });
+        continue;
+      }
+
+      try {
+        const before = entry.toJSON();
+        if (!entry.customerId && !customerNumbers.has(entry.customerNumber)) {
+          customerNumbers.set(entry.customerNumber, await this.#revenueRepository.getNextCustomerNumber(employeeId));
+        }
+        const customerNumber = entry.customerId ? entry.customerNumber : customerNumbers.get(entry.customerNumber);
+
+        const isOpen = (entry.status.isSubmitted || entry.status.isTransferred) && !entry.hasBillingHistory;
+        const snapshots = resnapshot && isOpen
+          ? await this.#captureProvisionSnapshots(employeeId, before)
+          : null;
+        entry.transferTo(employeeId, { customerNumber, snapshots });
+
+        await this.#revenueRepository.update(entry);
+        await this.#auditService?.recordChanges([{ before, after: entry.toJSON() }], {
+          action: AUDIT_ACTIONS.PORTFOLIO_TRANSFERRED,
+          actor,
+          comment,
+        });
+        result.transferred.push(entry);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        result.failed.push({ entryId, customerName: entry.customerName, message: error.message });
+      }
+    }
+
+    Logger.log(`Portfolio transfer: ${result.transferred.length} entries to employee: ${employeeId}, ${result.skipped.length} in closed months skipped`);
+    return result;
+  }
+
+  /**
+   * Reclaim the provision of a cancelled entry that was already paid out.
+   * Creates one reversal entry (linked via reversalOfEntryId) that the next billing
+   * run books as a negative line for the owner, each snapshot manager and each
+   * tip provider. The amount is pro-rated by the unexpired part of the liability
+   * period (Stornohaftungszeit) configured in the catalog.
+   *
+   * @returns {Promise<RevenueEntry|null>} The reversal, or null if nothing is reclaimed
+   */
+  async #createCancellationClawback(entry, cancelledAt = new Date()) {
+    if (entry.isClawback || entry.isExtraordinary) {
+      return null;
+    }
+
+    const existingEntries = await this.#revenueRepository.findByEmployeeId(entry.employeeId);
+    if (existingEntries.some((e) => e.reversalOfEntryId === entry.id)) {
+      Logger.log(`Clawback for entry ${entry.id} already exists - skipped`);
+      return null;
+    }
+
+    const { ratio, elapsedMonths, liabilityMonths } = await this.#getClawbackProRata(entry, cancelledAt);
+    if (ratio <= 0) {
+      Logger.log(`Liability period of entry ${entry.id} has ended - no clawback`);
+      return null;
+    }
+
+    const percentage = Math.round(ratio * 10000) / 100;
+    const notes = liabilityMonths
+      ? `Automatische Rückforderung (Storno) zu Vertrag ${entry.contractNumber}: ` +
+        `${elapsedMonths} von ${liabilityMonths} Monaten Haftungszeit verstrichen, ${percentage}% der Provision`
+      : `Automatische Rückforderung (Storno) zu Vertrag ${entry.contractNumber}`;
+
+    // The liability runs until the cancellation; the clawback is booked in an open month
+    const reversalDate = await this.#openBookingDate(cancelledAt);
+    const reversal = entry.createReversal({ ratio, reversalDate, notes });
+    if (!entry.hasHierarchyPathSnapshot) {
+      Logger.warn(
+        `Entry ${entry.id} has no hierarchy path snapshot - clawback only charges ` +
+        `the managers billed for it: ${reversal.reclaimableManagerIds.join(', ') || 'none'}`,
+      );
+    }
+    await this.#revenueRepository.save(reversal);
+    await this.#auditService?.recordCreated(reversal, { comment: `Rückforderung zu Eintrag ${entry.id}` });
+
+    Logger.log(`✓ Clawback created for entry ${entry.id}: ${reversal.provisionAmount} (${percentage}%)`);
+    return reversal;
+  }
+
+  /**
+   * Provision of an entry that would be reclaimed if it were cancelled at the
+   * given date (open Stornohaftung). Only paid-out entries carry a liability.
+   *
+   * @returns {Promise<{amount: number, endsAt: Date|null}>} endsAt is null without a liability period
+   */
+  async getClawbackExposure(entry, at = new Date()) {
+    if (!entry.status.isProvisioned || entry.isClawback || entry.isExtraordinary) {
+      return { amount: 0, endsAt: null };
+    }
+
+    const { ratio, liabilityMonths } = await this.#getClawbackProRata(entry, at);
+    let endsAt = null;
+    if (liabilityMonths) {
+      endsAt = new Date(entry.entryDate);
+      endsAt.setMonth(endsAt.getMonth() + liabilityMonths);
+    }
+    return { amount: roundCurrency(entry.provisionAmount * ratio), endsAt };
+  }
+
+  /**
+   * Share of a cancelled entry's provision that has to be paid back.
+   * Without a configured liability period the full provision is reclaimed.
+   */
+  async #getClawbackProRata(entry, cancelledAt) {
+    let liabilityMonths = 0;
+    if (this.#catalogService) {
+      try {
+        const match = await this.#catalogService.findStornoreserveRule({
+          categoryType: entry.category?.type || entry.category,
+          productName: entry.product?.name || null,
+        });
+        liabilityMonths = match?.rule.liabilityMonths ?? 0;
+      } catch (error) {
+        Logger.warn('Failed to resolve liability period, reclaiming full provision:', error);
+      }
+    }
+
+    const start = new Date(entry.entryDate);
+    let elapsedMonths = (cancelledAt.getFullYear() - start.getFullYear()) * 12 +
+      (cancelledAt.getMonth() - start.getMonth());
+    // Only completed months count
+    if (cancelledAt.getDate() < start.getDate()) {
+      elapsedMonths -= 1;
+    }
+    elapsedMonths = Math.max(0, elapsedMonths);
+
+    if (!liabilityMonths) {
+      return { ratio: 1, elapsedMonths, liabilityMonths: null };
+    }
+
+    const ratio = Math.max(0, (liabilityMonths - elapsedMonths) / liabilityMonths);
+    return { ratio, elapsedMonths, liabilityMonths };
   }
 
   async markEntriesAsBilledForTipProvider(entryIds, tipProviderId) {
@@ -85,6 +849,7 @@ export class RevenueService {
     await this.#revenueRepository.batchAddBilledRecipient(
       entryIds, 'billedTipProviderIds', tipProviderId,
     );
+    await this.#recordBilledFlag(entryIds, 'billedTipProviderIds', tipProviderId, true);
     Logger.log(`Marked ${entryIds.length} entries as billed for tip provider: ${tipProviderId}`);
   }
 
@@ -93,6 +858,7 @@ export class RevenueService {
     await this.#revenueRepository.batchAddBilledRecipient(
       entryIds, 'billedHierarchyManagerIds', managerId,
     );
+    await this.#recordBilledFlag(entryIds, 'billedHierarchyManagerIds', managerId, true);
     Logger.log(`Marked ${entryIds.length} entries as billed for hierarchy manager: ${managerId}`);
   }
 
@@ -100,6 +866,7 @@ export class RevenueService {
     await this.#revenueRepository.batchRemoveBilledRecipient(
       [entryId], 'billedTipProviderIds', tipProviderId,
     );
+    await this.#recordBilledFlag([entryId], 'billedTipProviderIds', tipProviderId, false);
     Logger.log(`Unmarked entry ${entryId} as billed for tip provider: ${tipProviderId}`);
   }
 
@@ -107,11 +874,25 @@ export class RevenueService {
     await this.#revenueRepository.batchRemoveBilledRecipient(
       [entryId], 'billedHierarchyManagerIds', managerId,
     );
+    await this.#recordBilledFlag([entryId], 'billedHierarchyManagerIds', managerId, false);
     Logger.log(`Unmarked entry ${entryId} as billed for hierarchy manager: ${managerId}`);
   }
 
+  async #recordBilledFlag(entryIds, field, recipientId, marked) {
+    if (!this.#auditService) return;
+    const entries = await Promise.all(entryIds.map((id) => this.#revenueRepository.findById(id)));
+    await this.#auditService.recordBilledFlag(entries.filter(Boolean), field, recipientId, marked);
+  }
+
   async deleteEntry(entryId) {
+    const entry = await this.#revenueRepository.findById(entryId);
+    if (entry) {
+      await this.#assertPeriodOpen(entry.entryDate);
+    }
     await this.#revenueRepository.delete(entryId);
+    if (entry && this.#auditService) {
+      await this.#auditService.recordDeleted(entry);
+    }
   }
 
   async searchEntries(query) {
@@ -293,7 +1074,7 @@ export class RevenueService {
    * Capture provision snapshots from hierarchy at entry creation time
    * This ensures immutable provision calculations even if hierarchy provisions change later
    */
-  async #captureProvisionSnapshots(employeeId, entryData) {
+  async #captureProvisionSnapshots(employeeId, entryData, scenario = null) {
     Logger.log('📸 Capturing provision snapshots for employee:', employeeId);
 
     try {
@@ -301,12 +1082,19 @@ export class RevenueService {
       const provisionType = entryData.provisionType || this.#inferProvisionType(entryData.category);
       Logger.log('   Provision type:', provisionType);
 
+      // Rates are resolved on the entry date, so late entries for past months use the
+      // rates that applied back then instead of a promotion that came afterwards
+      const entryDate = entryData.entryDate || null;
+
       // Check if employee is a Geschäftsführer (not in tree, hardcoded data)
       if (this.#isGeschaeftsfuehrer(employeeId)) {
         const gfData = this.#getGeschaeftsfuehrerData(employeeId);
         Logger.log('   ✓ Geschäftsführer detected:', gfData.name);
 
-        const ownerProvision = this.#getProvisionRateByType(gfData, provisionType);
+        const provisionRule = await this.#findProvisionRule(entryData);
+        const baseProvision = this.#getProvisionRateByType(gfData, provisionType);
+        // Geschäftsführer have no career level in the profile data - only default override values apply
+        const ownerProvision = this.#applyProvisionRule(provisionRule, baseProvision, null);
 
         Logger.log('   📊 Snapshot values (Geschäftsführer):');
         Logger.log('      Owner provision:', ownerProvision + '%');
@@ -317,6 +1105,10 @@ export class RevenueService {
           ownerName: gfData.name,
           managerId: null,
           managerName: 'Geschäftsführung',
+          provisionType,
+          provisionRule: this.#toProvisionRuleSnapshot(provisionRule, provisionType, null),
+          // Geschäftsführer are not part of the tree: the path only holds the GF itself
+          path: [this.#toPathLevelSnapshot(gfData, null, provisionRule ? ownerProvision : null)],
           capturedAt: new Date().toISOString(),
           isGeschaeftsfuehrer: true,
         };
@@ -353,6 +1145,11 @@ export class RevenueService {
 
       Logger.log('   ✓ Tree loaded:', tree.name);
 
+      if (scenario) {
+        tree = scenario.applyTo(tree);
+        Logger.log('   Simulation scenario applied for node:', scenario.nodeId);
+      }
+
       // Get owner (employee) node - use hasNode to check first to avoid exception
       if (!tree.hasNode(employeeId)) {
         Logger.warn(`❌ Employee node ${employeeId} not found in tree - entry will use dynamic calculation`);
@@ -370,13 +1167,41 @@ export class RevenueService {
       const manager = owner.parentId ? tree.getNode(owner.parentId) : null;
       Logger.log('   Manager:', manager ? manager.name : 'none');
 
+      // Product/provider specific rates replace the type rate of every employee in the path
+      const provisionRule = await this.#findProvisionRule(entryData);
+      const careerLevels = provisionRule ? await this.#getCareerLevelsByNodeId() : new Map();
+      // A tier table replaces the owner's type rate; catalog overrides still apply on top
+      const tier = await this.#resolveProvisionTier(owner.id, entryData, provisionType);
+      const getAppliedProvision = (node) => {
+        const baseProvision = tier && node.id === owner.id
+          ? tier.rate
+          : this.#getProvisionRateByType(node, provisionType, entryDate);
+        // The company (root) always keeps its own rate
+        return node.isRoot
+          ? baseProvision
+          : this.#applyProvisionRule(provisionRule, baseProvision, careerLevels.get(node.id) ?? null);
+      };
+
       // Get provision rates at this point in time
-      const ownerProvision = this.#getProvisionRateByType(owner, provisionType);
-      const managerProvision = manager ? this.#getProvisionRateByType(manager, provisionType) : null;
+      const ownerProvision = getAppliedProvision(owner);
+      const managerProvision = manager ? getAppliedProvision(manager) : null;
 
       Logger.log('   📊 Snapshot values:');
       Logger.log('      Owner provision:', ownerProvision + '%');
       Logger.log('      Manager provision:', managerProvision ? managerProvision + '%' : 'null');
+      if (tier) {
+        Logger.log('      Tier volume before entry:', tier.volumeBefore);
+      }
+
+      // Freeze the complete ancestor chain (company → owner) with all per-type rates,
+      // so every cascade level above the direct manager is immutable as well
+      const path = this.#getHierarchyPath(tree, owner.id, tree.rootId)
+        .map((node) => this.#toPathLevelSnapshot(
+          node,
+          entryDate,
+          provisionRule || (tier && node.id === owner.id) ? getAppliedProvision(node) : null,
+        ));
+      Logger.log('   Path levels:', path.length);
 
       // Create hierarchy snapshot for audit trail
       const hierarchySnapshot = {
@@ -384,8 +1209,14 @@ export class RevenueService {
         ownerName: owner.name,
         managerId: manager?.id || null,
         managerName: manager?.name || null,
+        provisionType,
+        provisionRule: this.#toProvisionRuleSnapshot(provisionRule, provisionType, careerLevels.get(owner.id) ?? null),
+        path,
         capturedAt: new Date().toISOString(),
       };
+      if (tier) {
+        hierarchySnapshot.provisionTier = tier;
+      }
 
       const snapshots = {
         ownerProvisionSnapshot: ownerProvision,
@@ -406,6 +1237,125 @@ export class RevenueService {
     }
   }
 
+  /**
+   * Tier of the Staffelprovision for the owner, see ProvisionTierService.resolveTier
+   * @returns {Promise<Object|null>} null without a tier table (type rate applies)
+   */
+  async #resolveProvisionTier(employeeId, entryData, provisionType) {
+    if (!this.#provisionTierService) return null;
+
+    try {
+      return await this.#provisionTierService.resolveTier(employeeId, entryData, provisionType);
+    } catch (error) {
+      Logger.warn('Failed to resolve provision tier, using provision type rate:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Build one level of the snapshotted hierarchy path.
+   * Keeps the node's property names so snapshot levels can be used like nodes
+   * by the cascade calculations.
+   */
+  #toPathLevelSnapshot(node, date = null, appliedProvision = null) {
+    const rates = node.getProvisionRatesAt?.(date) ?? node;
+    const level = {
+      id: node.id,
+      name: node.name,
+      bankProvision: rates.bankProvision || 0,
+      insuranceProvision: rates.insuranceProvision || 0,
+      realEstateProvision: rates.realEstateProvision || 0,
+    };
+
+    // Rate after a product/provider override - takes precedence over the type rates
+    if (appliedProvision !== null) {
+      level.appliedProvision = appliedProvision;
+    }
+
+    return level;
+  }
+
+  /**
+   * Find the most specific catalog rule (provider > product) for the entry's selection
+   * @returns {Promise<Object|null>} Null if the provision type rate applies
+   */
+  async #findProvisionRule(entryData) {
+    if (!this.#catalogService) return null;
+
+    try {
+      return await this.#catalogService.findProvisionOverride({
+        categoryType: entryData.category?.type || entryData.category,
+        productId: entryData.product?.id || null,
+        productName: entryData.product?.name || null,
+        providerName: entryData.productProvider?.name || null,
+      });
+    } catch (error) {
+      Logger.warn('Failed to resolve provision override, using provision type rate:', error);
+      return null;
+    }
+  }
+
+  #applyProvisionRule(rule, baseProvision, careerLevel) {
+    if (!rule) return baseProvision;
+    return rule.override.resolve(baseProvision, careerLevel) ?? baseProvision;
+  }
+
+  /**
+   * Career level per linked hierarchy node (from user profiles)
+   * @returns {Promise<Map<string, number>>}
+   */
+  async #getCareerLevelsByNodeId() {
+    const levels = new Map();
+    if (!this.#profileService) return levels;
+
+    try {
+      const users = await this.#profileService.getAllUsers();
+      for (const user of users) {
+        if (user.linkedNodeId && user.careerLevel) {
+          levels.set(user.linkedNodeId, user.careerLevel.level);
+        }
+      }
+    } catch (error) {
+      Logger.warn('Failed to load career levels for provision overrides:', error);
+    }
+
+    return levels;
+  }
+
+  /**
+   * Audit record of the rule that determined the rates of an entry
+   */
+  #toProvisionRuleSnapshot(rule, provisionType, ownerCareerLevel) {
+    if (!rule) {
+      return { source: 'provisionType', provisionType };
+    }
+
+    return {
+      source: rule.source,
+      catalogId: rule.catalogId,
+      name: rule.name,
+      ...rule.override.toJSON(),
+      ownerCareerLevel,
+    };
+  }
+
+  /**
+   * Resolve an employee's rate for a product/provider selection
+   * (most specific catalog rule applied on top of the provision type rate)
+   *
+   * @param {string} employeeId - Hierarchy node id of the employee
+   * @param {number} baseProvision - Employee's rate for the provision type
+   * @param {Object} selection - { category, product: { id, name }, productProvider: { name } }
+   * @returns {Promise<number>}
+   */
+  async resolveProvisionRate(employeeId, baseProvision, selection) {
+    const rule = await this.#findProvisionRule(selection);
+    if (!rule) return baseProvision;
+
+    const careerLevels = await this.#getCareerLevelsByNodeId();
+    return this.#applyProvisionRule(rule, baseProvision, careerLevels.get(employeeId) ?? null);
+  }
+
   /**
    * Infer provisionType from category type for backward compatibility
    */
@@ -607,6 +1557,16 @@ export class RevenueService {
     return revenueDataMap;
   }
 
+  /**
+   * Owner's provision of an entry in EUR, as shown on the organigramm cards
+   * @param {RevenueEntry} entry
+   * @param {Object|null} employee - Owner node (only needed for entries without snapshot)
+   */
+  getOwnerProvisionAmount(entry, employee = null) {
+    const entryRevenue = entry.grossAmount || entry.provisionAmount || 0;
+    return entryRevenue * (this.#getEmployeeProvisionRateForEntry(employee, entry) / 100);
+  }
+
   /**
    * Get employee's provision rate for an entry
    * PRIORITY: Uses provision snapshot if available (immutable)
@@ -625,10 +1585,10 @@ export class RevenueService {
       // Use provisionType if available (new entries with dynamic categories)
       const provisionType = entry.provisionType;
       if (provisionType) {
-        baseProvision = this.#getProvisionRateByType(employee, provisionType);
+        baseProvision = this.#getProvisionRateByType(employee, provisionType, entry.entryDate);
       } else {
         // Fallback to category type for legacy entries
-        baseProvision = this.#getProvisionRateByCategory(employee, entry.category?.type);
+        baseProvision = this.#getProvisionRateByCategory(employee, entry.category?.type, entry.entryDate);
       }
     }
 
@@ -643,15 +1603,17 @@ export class RevenueService {
   /**
    * Get employee's provision rate by provisionType
    * provisionType is one of: 'bank', 'insurance', 'realEstate'
+   * Tree nodes resolve their rate history at the given date (default: today)
    */
-  #getProvisionRateByType(employee, provisionType) {
+  #getProvisionRateByType(employee, provisionType, date = null) {
+    const rates = employee.getProvisionRatesAt?.(date) ?? employee;
     switch (provisionType) {
       case 'bank':
-        return employee.bankProvision || 0;
+        return rates.bankProvision || 0;
       case 'insurance':
-        return employee.insuranceProvision || 0;
+        return rates.insuranceProvision || 0;
       case 'realEstate':
-        return employee.realEstateProvision || 0;
+        return rates.realEstateProvision || 0;
       default:
         return 0;
     }
@@ -660,19 +1622,20 @@ export class RevenueService {
   /**
    * Get employee's provision rate for a category (legacy support)
    */
-  #getProvisionRateByCategory(employee, categoryType) {
+  #getProvisionRateByCategory(employee, categoryType, date = null) {
     if (!employee) return 0;
 
+    const rates = employee.getProvisionRatesAt?.(date) ?? employee;
     switch (categoryType) {
       case 'bank':
-        return employee.bankProvision || 0;
+        return rates.bankProvision || 0;
       case 'insurance':
-        return employee.insuranceProvision || 0;
+        return rates.insuranceProvision || 0;
       case 'realEstate':
       case 'propertyManagement':
-        return employee.realEstateProvision || 0;
+        return rates.realEstateProvision || 0;
       case 'energyContracts':
-        return employee.bankProvision || 0; // Default to bank for energy
+        return rates.bankProvision || 0; // Default to bank for energy
       default:
         return 0;
     }
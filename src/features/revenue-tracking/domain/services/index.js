@@ -4,3 +4,11 @@
  */
 
 export { RevenueService } from './RevenueService.js';
+export { RecurringRevenueService, RECURRING_REVENUE_SOURCE } from './RecurringRevenueService.js';
+export { ProvisionSimulationService, SIMULATION_ROLES } from './ProvisionSimulationService.js';
+export { ProvisionTierService, TIER_TRUE_UP_SOURCE } from './ProvisionTierService.js';
+export { PeriodClosingService } from './PeriodClosingService.js';
+export { AttachmentService } from './AttachmentService.js';
+export { RevenueAuditService } from './RevenueAuditService.js';
+export { RevenueCsvExportService } from './RevenueCsvExportService.js';
+export { PortfolioTransferService, PORTFOLIO_TRANSFER_SCOPES, PORTFOLIO_TRANSFER_SCOPE_LABELS } from './PortfolioTransferService.js';
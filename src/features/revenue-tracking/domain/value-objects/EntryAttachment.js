@@ -0,0 +1,113 @@
+/**
+ * Value Object: EntryAttachment
+ * Metadata of a document attached to a revenue entry (contract, provider
+ * statement, loan approval). The file itself lives in Cloud Storage under
+ * storagePath; the entry only keeps this reference.
+ */
+
+import { generateUUID } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+
+export const ATTACHMENT_CONTENT_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/heic',
+];
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10 MB, also enforced in storage.rules
+
+export class EntryAttachment {
+  #id;
+  #fileName;
+  #contentType;
+  #size;
+  #storagePath;
+  #uploadedBy;
+  #uploadedByName;
+  #uploadedAt;
+
+  constructor({
+    id = null,
+    fileName,
+    contentType,
+    size,
+    storagePath,
+    uploadedBy = null,
+    uploadedByName = null,
+    uploadedAt = null,
+  }) {
+    if (!fileName || !storagePath) {
+      throw new ValidationError('Attachment requires fileName and storagePath', 'fileName');
+    }
+
+    this.#id = id || generateUUID();
+    this.#fileName = fileName;
+    this.#contentType = contentType || 'application/octet-stream';
+    this.#size = Number(size) || 0;
+    this.#storagePath = storagePath;
+    this.#uploadedBy = uploadedBy;
+    this.#uploadedByName = uploadedByName;
+    this.#uploadedAt = uploadedAt ? new Date(uploadedAt) : new Date();
+    Object.freeze(this);
+  }
+
+  get id() { return this.#id; }
+  get fileName() { return this.#fileName; }
+  get contentType() { return this.#contentType; }
+  get size() { return this.#size; }
+  get storagePath() { return this.#storagePath; }
+  get uploadedBy() { return this.#uploadedBy; }
+  get uploadedByName() { return this.#uploadedByName; }
+  get uploadedAt() { return this.#uploadedAt; }
+
+  get isPdf() {
+    return this.#contentType === 'application/pdf';
+  }
+
+  get isImage() {
+    return this.#contentType.startsWith('image/');
+  }
+
+  get sizeDisplay() {
+    if (this.#size < 1024 * 1024) {
+      return `${Math.max(1, Math.round(this.#size / 1024))} KB`;
+    }
+    return `${(this.#size / (1024 * 1024)).toFixed(1).replace('.', ',')} MB`;
+  }
+
+  /**
+   * Check a file picked by the user before it is uploaded
+   * @param {File} file
+   * @throws {ValidationError}
+   */
+  static validateFile(file) {
+    if (!file) {
+      throw new ValidationError('Keine Datei ausgewählt', 'file');
+    }
+    if (!ATTACHMENT_CONTENT_TYPES.includes(file.type)) {
+      throw new ValidationError('Nur PDF- und Bilddateien sind erlaubt', 'file');
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      throw new ValidationError('Die Datei ist größer als 10 MB', 'file');
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      fileName: this.#fileName,
+      contentType: this.#contentType,
+      size: this.#size,
+      storagePath: this.#storagePath,
+      uploadedBy: this.#uploadedBy,
+      uploadedByName: this.#uploadedByName,
+      uploadedAt: this.#uploadedAt.toISOString(),
+    };
+  }
+
+  static fromJSON(json) {
+    return new EntryAttachment(json);
+  }
+}
@@ -2,7 +2,8 @@
  * Value Object: EntryKind
  * Distinguishes a normal revenue entry from a clawback (Rueckforderung).
  *
- * A clawback represents a manually reclaimed provision and is stored as a
+ * A clawback represents a reclaimed provision - entered manually or generated
+ * when a provisioned entry is cancelled - and is stored as a
  * RevenueEntry with a negative provisionAmount. The kind is therefore derived
  * from the amount's sign and can never desynchronize from the stored value.
  */
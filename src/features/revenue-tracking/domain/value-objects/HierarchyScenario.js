@@ -0,0 +1,118 @@
+/**
+ * Value Object: HierarchyScenario
+ * Hypothetical change of one hierarchy node for what-if simulations:
+ * different provision rates and/or a different manager. Applied to a tree
+ * it yields a read-only view in which the node carries the changed values,
+ * the persisted tree is never modified.
+ */
+
+import { ValidationError } from '../../../../core/errors/index.js';
+
+const RATE_FIELDS = ['bankProvision', 'insuranceProvision', 'realEstateProvision'];
+
+export class HierarchyScenario {
+  #nodeId;
+  #provisionRates;
+  #managerId;
+
+  /**
+   * @param {Object} params
+   * @param {string} params.nodeId - Node the change applies to
+   * @param {Object} [params.provisionRates] - e.g. { bankProvision: 45 }, omitted types keep their rate
+   * @param {string|null} [params.managerId] - New parent node (null = unchanged)
+   */
+  constructor({ nodeId, provisionRates = {}, managerId = null }) {
+    if (!nodeId) {
+      throw new ValidationError('Mitarbeiter für die Simulation fehlt', 'nodeId');
+    }
+
+    const rates = {};
+    for (const field of RATE_FIELDS) {
+      const value = provisionRates[field];
+      if (value === undefined || value === null || value === '') continue;
+      const rate = Number(value);
+      if (isNaN(rate) || rate < 0 || rate > 100) {
+        throw new ValidationError('Provisionssatz muss zwischen 0 und 100 liegen', field);
+      }
+      rates[field] = rate;
+    }
+
+    if (managerId && managerId === nodeId) {
+      throw new ValidationError('Mitarbeiter kann nicht sich selbst unterstellt werden', 'managerId');
+    }
+    if (Object.keys(rates).length === 0 && !managerId) {
+      throw new ValidationError('Neuen Satz oder neuen Manager angeben', 'nodeId');
+    }
+
+    this.#nodeId = nodeId;
+    this.#provisionRates = rates;
+    this.#managerId = managerId || null;
+    Object.freeze(this);
+  }
+
+  get nodeId() { return this.#nodeId; }
+  get provisionRates() { return { ...this.#provisionRates }; }
+  get managerId() { return this.#managerId; }
+
+  get changesRates() {
+    return Object.keys(this.#provisionRates).length > 0;
+  }
+
+  get changesManager() {
+    return this.#managerId !== null;
+  }
+
+  /**
+   * Read-only tree view with the scenario applied. Exposes the subset of the
+   * HierarchyTree API used by the provision snapshot capture.
+   * @param {HierarchyTree} tree
+   */
+  applyTo(tree) {
+    if (!tree.hasNode(this.#nodeId)) {
+      throw new ValidationError(`Node ${this.#nodeId} not found in tree`, 'nodeId');
+    }
+    if (this.#managerId) {
+      if (!tree.hasNode(this.#managerId)) {
+        throw new ValidationError(`Node ${this.#managerId} not found in tree`, 'managerId');
+      }
+      if (this.#isDescendant(tree, this.#managerId)) {
+        throw new ValidationError('Neuer Manager darf nicht im eigenen Team liegen', 'managerId');
+      }
+    }
+
+    const node = tree.getNode(this.#nodeId);
+    const rates = this.#provisionRates;
+    const scenarioNode = {
+      id: node.id,
+      name: node.name,
+      isRoot: node.isRoot,
+      parentId: this.#managerId || node.parentId,
+      getProvisionRatesAt: (date) => ({ ...node.getProvisionRatesAt(date), ...rates }),
+    };
+
+    return {
+      id: tree.id,
+      name: tree.name,
+      rootId: tree.rootId,
+      hasNode: (id) => tree.hasNode(id),
+      getNode: (id) => (id === this.#nodeId ? scenarioNode : tree.getNode(id)),
+    };
+  }
+
+  #isDescendant(tree, candidateId) {
+    let currentId = candidateId;
+    while (currentId) {
+      if (currentId === this.#nodeId) return true;
+      currentId = tree.getNode(currentId)?.parentId ?? null;
+    }
+    return false;
+  }
+
+  toJSON() {
+    return {
+      nodeId: this.#nodeId,
+      provisionRates: { ...this.#provisionRates },
+      managerId: this.#managerId,
+    };
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Value Object: RecurrenceInterval
+ * Billing interval of a recurring revenue template
+ */
+
+export const RECURRENCE_INTERVAL_TYPES = {
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+};
+
+const INTERVAL_DISPLAY_NAMES = {
+  [RECURRENCE_INTERVAL_TYPES.MONTHLY]: 'monatlich',
+  [RECURRENCE_INTERVAL_TYPES.YEARLY]: 'jährlich',
+};
+
+const INTERVAL_MONTHS = {
+  [RECURRENCE_INTERVAL_TYPES.MONTHLY]: 1,
+  [RECURRENCE_INTERVAL_TYPES.YEARLY]: 12,
+};
+
+export class RecurrenceInterval {
+  #type;
+
+  constructor(type = RECURRENCE_INTERVAL_TYPES.MONTHLY) {
+    if (!Object.values(RECURRENCE_INTERVAL_TYPES).includes(type)) {
+      throw new Error(`Invalid recurrence interval: ${type}`);
+    }
+    this.#type = type;
+  }
+
+  get type() {
+    return this.#type;
+  }
+
+  get displayName() {
+    return INTERVAL_DISPLAY_NAMES[this.#type];
+  }
+
+  get months() {
+    return INTERVAL_MONTHS[this.#type];
+  }
+
+  static get allIntervals() {
+    return Object.values(RECURRENCE_INTERVAL_TYPES).map(
+      (type) => new RecurrenceInterval(type),
+    );
+  }
+
+  toJSON() {
+    return this.#type;
+  }
+
+  static fromJSON(json) {
+    return new RecurrenceInterval(json);
+  }
+
+  equals(other) {
+    return other instanceof RecurrenceInterval && this.#type === other.type;
+  }
+
+  toString() {
+    return this.displayName;
+  }
+}
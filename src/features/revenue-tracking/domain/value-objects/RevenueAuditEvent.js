@@ -0,0 +1,178 @@
+/**
+ * Value Object: RevenueAuditEvent
+ * One immutable line of the change history of a revenue entry: which field
+ * changed from which value to which value, by whom and when.
+ * Values are stored as display-ready scalars so the trail stays readable
+ * even after the entry itself has been changed again or deleted.
+ */
+
+import { generateUUID } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+
+export const AUDIT_ACTIONS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  STATUS_CHANGED: 'statusChanged',
+  APPROVAL_REQUESTED: 'approvalRequested',
+  BILLED_MARKED: 'billedMarked',
+  BILLED_UNMARKED: 'billedUnmarked',
+  REASSIGNED: 'reassigned',
+  PORTFOLIO_TRANSFERRED: 'portfolioTransferred',
+  DELETED: 'deleted',
+};
+
+export const AUDIT_ACTION_LABELS = {
+  [AUDIT_ACTIONS.CREATED]: 'Erfasst',
+  [AUDIT_ACTIONS.UPDATED]: 'Geändert',
+  [AUDIT_ACTIONS.STATUS_CHANGED]: 'Status geändert',
+  [AUDIT_ACTIONS.APPROVAL_REQUESTED]: 'Freigabe angefordert',
+  [AUDIT_ACTIONS.BILLED_MARKED]: 'Als abgerechnet markiert',
+  [AUDIT_ACTIONS.BILLED_UNMARKED]: 'Abrechnung zurückgenommen',
+  [AUDIT_ACTIONS.REASSIGNED]: 'Umgehängt',
+  [AUDIT_ACTIONS.PORTFOLIO_TRANSFERRED]: 'Bestandsübertragung',
+  [AUDIT_ACTIONS.DELETED]: 'Gelöscht',
+};
+
+/**
+ * Fields of RevenueEntry.toJSON() that are compared on every update,
+ * with their label and how the raw value is reduced to a scalar
+ */
+export const AUDITED_FIELDS = {
+  employeeId: { label: 'Mitarbeiter-ID' },
+  customerNumber: { label: 'Kundennummer' },
+  customerName: { label: 'Kunde' },
+  customerAddress: {
+    label: 'Kundenadresse',
+    format: (a) => (a
+      ? [[a.street, a.houseNumber], [a.postalCode, a.city]]
+        .map((part) => part.filter(Boolean).join(' '))
+        .filter(Boolean)
+        .join(', ')
+      : null),
+  },
+  category: { label: 'Kategorie' },
+  provisionType: { label: 'Provisionsart' },
+  product: { label: 'Produkt', format: (p) => p?.name ?? null },
+  productProvider: { label: 'Produktgeber', format: (p) => p?.name ?? null },
+  propertyAddress: { label: 'Objektadresse' },
+  contractNumber: { label: 'Vertragsnummer' },
+  provisionAmount: { label: 'Provisionsbetrag' },
+  entryDate: { label: 'Datum', format: (d) => (d ? String(d).slice(0, 10) : null) },
+  notes: { label: 'Notizen' },
+  status: { label: 'Status' },
+  tipProviders: {
+    label: 'Tippgeber',
+    format: (tps) => (tps || []).map((tp) => `${tp.name} (${tp.provisionPercentage}%)`).join('; '),
+  },
+  hasVAT: { label: 'Umsatzsteuer' },
+  vatRate: { label: 'USt-Satz' },
+  manualBilling: { label: 'Manuelle Abrechnung', format: (m) => (m ? JSON.stringify(m) : null) },
+  billedTipProviderIds: { label: 'Abgerechnet (Tippgeber)', format: (ids) => (ids || []).join(', ') },
+  billedHierarchyManagerIds: { label: 'Abgerechnet (Führungskraft)', format: (ids) => (ids || []).join(', ') },
+  attachments: { label: 'Belege', format: (list) => (list || []).map((a) => a.fileName).join(', ') },
+  pendingApproval: { label: 'Zweite Freigabe', format: (p) => p?.toStatus ?? null },
+  hierarchySnapshot: { label: 'Zugeordneter Mitarbeiter', format: (h) => h?.ownerName ?? null },
+  ownerProvisionSnapshot: { label: 'Provisionssatz Mitarbeiter' },
+};
+
+export class RevenueAuditEvent {
+  #id;
+  #entryId;
+  #employeeId;
+  #customerName;
+  #action;
+  #field;
+  #oldValue;
+  #newValue;
+  #comment;
+  #changedBy;
+  #changedByName;
+  #changedAt;
+
+  constructor({
+    id = null,
+    entryId,
+    employeeId = null,
+    customerName = null,
+    action,
+    field = null,
+    oldValue = null,
+    newValue = null,
+    comment = '',
+    changedBy = null,
+    changedByName = null,
+    changedAt = null,
+  }) {
+    if (!entryId) {
+      throw new ValidationError('Audit event requires an entry', 'entryId');
+    }
+    if (!Object.values(AUDIT_ACTIONS).includes(action)) {
+      throw new ValidationError(`Invalid audit action: ${action}`, 'action');
+    }
+
+    this.#id = id || generateUUID();
+    this.#entryId = entryId;
+    this.#employeeId = employeeId;
+    this.#customerName = customerName;
+    this.#action = action;
+    this.#field = field;
+    this.#oldValue = oldValue ?? null;
+    this.#newValue = newValue ?? null;
+    this.#comment = comment || '';
+    this.#changedBy = changedBy;
+    this.#changedByName = changedByName;
+    this.#changedAt = changedAt ? new Date(changedAt) : new Date();
+    Object.freeze(this);
+  }
+
+  get id() { return this.#id; }
+  get entryId() { return this.#entryId; }
+  get employeeId() { return this.#employeeId; }
+  get customerName() { return this.#customerName; }
+  get action() { return this.#action; }
+  get field() { return this.#field; }
+  get oldValue() { return this.#oldValue; }
+  get newValue() { return this.#newValue; }
+  get comment() { return this.#comment; }
+  get changedBy() { return this.#changedBy; }
+  get changedByName() { return this.#changedByName; }
+  get changedAt() { return this.#changedAt; }
+
+  get actionLabel() {
+    return AUDIT_ACTION_LABELS[this.#action];
+  }
+
+  get fieldLabel() {
+    return this.#field ? (AUDITED_FIELDS[this.#field]?.label ?? this.#field) : '';
+  }
+
+  /**
+   * Reduce a raw toJSON() value of an audited field to the stored scalar
+   */
+  static formatValue(field, value) {
+    const format = AUDITED_FIELDS[field]?.format;
+    const formatted = format ? format(value) : value;
+    return formatted === '' || formatted === undefined ? null : formatted;
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      entryId: this.#entryId,
+      employeeId: this.#employeeId,
+      customerName: this.#customerName,
+      action: this.#action,
+      field: this.#field,
+      oldValue: this.#oldValue,
+      newValue: this.#newValue,
+      comment: this.#comment,
+      changedBy: this.#changedBy,
+      changedByName: this.#changedByName,
+      changedAt: this.#changedAt.toISOString(),
+    };
+  }
+
+  static fromJSON(json) {
+    return new RevenueAuditEvent(json);
+  }
+}
@@ -21,6 +21,8 @@ const CATEGORY_DISPLAY_NAMES = {
   [REVENUE_CATEGORY_TYPES.REAL_ESTATE]: 'Immobilien',
   [REVENUE_CATEGORY_TYPES.PROPERTY_MANAGEMENT]: 'Hausverwaltung',
   [REVENUE_CATEGORY_TYPES.ENERGY_CONTRACTS]: 'Energieverträge',
+  // Booked by the team bonus run, not selectable in the revenue form
+  teamBonus: 'Teambonus',
 };
 
 export class RevenueCategory {
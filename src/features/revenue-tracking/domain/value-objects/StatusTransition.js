@@ -0,0 +1,87 @@
+/**
+ * Value Object: StatusTransition
+ * One step in the status timeline of a revenue entry: who moved the entry
+ * from which status to which, when, and why. Approval requests of the
+ * four-eyes workflow are recorded as well; they do not change the status.
+ */
+
+import { ValidationError } from '../../../../core/errors/index.js';
+import { REVENUE_STATUS_TYPES } from './RevenueStatus.js';
+
+export const STATUS_TRANSITION_TYPES = {
+  CHANGE: 'change',
+  APPROVAL_REQUESTED: 'approvalRequested',
+};
+
+export class StatusTransition {
+  #type;
+  #fromStatus;
+  #toStatus;
+  #changedBy;
+  #changedByName;
+  #changedAt;
+  #comment;
+  #approvedBy; // First approver of a four-eyes change (null otherwise)
+
+  constructor({
+    type = STATUS_TRANSITION_TYPES.CHANGE,
+    fromStatus = null,
+    toStatus,
+    changedBy = null,
+    changedByName = null,
+    changedAt = null,
+    comment = '',
+    approvedBy = null,
+  }) {
+    if (!Object.values(STATUS_TRANSITION_TYPES).includes(type)) {
+      throw new ValidationError(`Invalid status transition type: ${type}`, 'type');
+    }
+    if (!Object.values(REVENUE_STATUS_TYPES).includes(toStatus)) {
+      throw new ValidationError(`Invalid status: ${toStatus}`, 'toStatus');
+    }
+
+    this.#type = type;
+    this.#fromStatus = fromStatus;
+    this.#toStatus = toStatus;
+    this.#changedBy = changedBy;
+    this.#changedByName = changedByName;
+    this.#changedAt = changedAt ? new Date(changedAt) : new Date();
+    this.#comment = (comment || '').trim();
+    this.#approvedBy = approvedBy ? { ...approvedBy } : null;
+    Object.freeze(this);
+  }
+
+  get type() { return this.#type; }
+  get fromStatus() { return this.#fromStatus; }
+  get toStatus() { return this.#toStatus; }
+  get changedBy() { return this.#changedBy; }
+  get changedByName() { return this.#changedByName; }
+  get changedAt() { return this.#changedAt; }
+  get comment() { return this.#comment; }
+  get approvedBy() { return this.#approvedBy ? { ...this.#approvedBy } : null; }
+
+  get isApprovalRequest() {
+    return this.#type === STATUS_TRANSITION_TYPES.APPROVAL_REQUESTED;
+  }
+
+  get isSecondApproval() {
+    return this.#approvedBy !== null;
+  }
+
+  toJSON() {
+    return {
+      type: this.#type,
+      fromStatus: this.#fromStatus,
+      toStatus: this.#toStatus,
+      changedBy: this.#changedBy,
+      changedByName: this.#changedByName,
+      changedAt: this.#changedAt.toISOString(),
+      comment: this.#comment,
+      approvedBy: this.#approvedBy,
+    };
+  }
+
+  static fromJSON(json) {
+    return new StatusTransition(json);
+  }
+}
@@ -10,3 +10,8 @@ export { Product } from './Product.js';
 export { ProductProvider } from './ProductProvider.js';
 export { CustomerAddress } from './CustomerAddress.js';
 export { TipProviderAllocation } from './TipProviderAllocation.js';
+export { RecurrenceInterval, RECURRENCE_INTERVAL_TYPES } from './RecurrenceInterval.js';
+export { HierarchyScenario } from './HierarchyScenario.js';
+export { StatusTransition, STATUS_TRANSITION_TYPES } from './StatusTransition.js';
+export { EntryAttachment, ATTACHMENT_CONTENT_TYPES, MAX_ATTACHMENT_SIZE } from './EntryAttachment.js';
+export { RevenueAuditEvent, AUDIT_ACTIONS, AUDIT_ACTION_LABELS, AUDITED_FIELDS } from './RevenueAuditEvent.js';
@@ -1,7 +1,8 @@
 /**
  * Molecule: AddRevenueDialog
  * Dialog for adding new revenue entries
- * Supports multiple tip providers (Tippgeber) per entry.
+ * Supports multiple tip providers (Tippgeber) per entry. With a customer
+ * service, existing customers matching the typed customer are offered.
  */
 
 import { createElement, roundCurrency } from '../../../../../core/utils/index.js';
@@ -14,7 +15,10 @@ import {
 } from '../../../domain/value-objects/RevenueCategory.js';
 import { Product } from '../../../domain/value-objects/Product.js';
 import { ProductProvider } from '../../../domain/value-objects/ProductProvider.js';
+import { RecurrenceInterval } from '../../../domain/value-objects/RecurrenceInterval.js';
+import { RecurringRevenueTemplate } from '../../../domain/entities/RecurringRevenueTemplate.js';
 import { Logger } from './../../../../../core/utils/logger.js';
+import { CustomerDuplicateHint } from '../../../../customer-management/presentation/components/molecules/CustomerDuplicateHint.js';
 import {
   GESCHAEFTSFUEHRER_IDS,
   isGeschaeftsfuehrerId,
@@ -30,6 +34,7 @@ export class AddRevenueDialog {
   #isEditMode;
   #revenueService;
   #hierarchyService;
+  #customerService; // Customer master data (duplicate detection), optional
   #isLoading; // Loading state for smooth transitions
   #companyMode; // Company mode: allows selecting target employee
 
@@ -40,6 +45,9 @@ export class AddRevenueDialog {
   #houseNumberInput;
   #postalCodeInput;
   #cityInput;
+  #duplicateHint;
+  #duplicateLookupTimer = null;
+  #selectedCustomer = null; // Customer of the master data the entry is linked to
   #categorySelect;
   #productSelect;
   #providerSelect;
@@ -58,6 +66,12 @@ export class AddRevenueDialog {
   #extraordinaryEmployeeSelect;
   #extraordinarySection;
 
+  // Recurring revenue (property management, energy contracts) — new entries only
+  #recurringCheckbox;
+  #recurringIntervalSelect;
+  #recurringEndInput;
+  #recurringSection;
+
   // Multi-tip-provider state
   #tipProviderRows = []; // Array of { id, selectEl, provisionInput, removeBtn }
   #tipProviderContainer; // DOM container for tip provider rows
@@ -75,6 +89,7 @@ export class AddRevenueDialog {
     this.#isEditMode = !!this.#entry;
     this.#revenueService = props.revenueService || null;
     this.#hierarchyService = props.hierarchyService || null;
+    this.#customerService = props.customerService || null;
     this.#isLoading = true; // Start in loading state
     this.#companyMode = props.companyMode || false;
 
@@ -166,6 +181,11 @@ export class AddRevenueDialog {
     this.#postalCodeInput.setValue(addr.postalCode || '');
     this.#cityInput.setValue(addr.city || '');
 
+    if (this.#entry.customerId && this.#customerService) {
+      this.#selectedCustomer = await this.#customerService.getCustomer(this.#entry.customerId);
+      this.#duplicateHint.update({ linkedCustomer: this.#selectedCustomer });
+    }
+
     const categoryType = this.#entry.category?.type || REVENUE_CATEGORY_TYPES.BANK;
     this.#categorySelect.value = categoryType;
     await this.#onCategoryChange(categoryType);
@@ -352,10 +372,20 @@ export class AddRevenueDialog {
   #renderRealForm() {
     const today = new Date().toISOString().split('T')[0];
     this.#dateInput = new Input({ label: 'Datum', type: 'date', value: today, required: true });
-    this.#customerNameInput = new Input({ label: 'Kundenname', placeholder: 'Max Mustermann', required: true });
-    this.#streetInput = new Input({ label: 'Strasse', placeholder: 'Musterstrasse' });
+    const onCustomerInput = () => this.#scheduleDuplicateLookup();
+    this.#customerNameInput = new Input({
+      label: 'Kundenname',
+      placeholder: 'Max Mustermann',
+      required: true,
+      onChange: onCustomerInput,
+    });
+    this.#streetInput = new Input({ label: 'Strasse', placeholder: 'Musterstrasse', onChange: onCustomerInput });
     this.#houseNumberInput = new Input({ label: 'Hausnr.', placeholder: '123' });
-    this.#postalCodeInput = new Input({ label: 'PLZ', placeholder: '12345' });
+    this.#postalCodeInput = new Input({ label: 'PLZ', placeholder: '12345', onChange: onCustomerInput });
+    this.#duplicateHint = new CustomerDuplicateHint({
+      onSelect: (customer) => this.#selectCustomer(customer),
+      onUnlink: () => this.#unlinkCustomer(),
+    });
     this.#cityInput = new Input({ label: 'Stadt', placeholder: 'Musterstadt' });
 
     this.#categorySelect = createElement('select', {
@@ -402,6 +432,21 @@ export class AddRevenueDialog {
       className: 'input-field',
     }, [createElement('option', { value: '' }, ['Ziel-Mitarbeiter auswählen...'])]);
 
+    this.#recurringCheckbox = createElement('input', {
+      type: 'checkbox',
+      id: 'revenue-recurring-checkbox',
+      className: 'vat-checkbox-input',
+      onchange: (e) => this.#onRecurringChange(e.target.checked),
+    });
+
+    this.#recurringIntervalSelect = createElement('select', {
+      className: 'input-field',
+    }, RecurrenceInterval.allIntervals.map((interval) =>
+      createElement('option', { value: interval.type }, [interval.displayName]),
+    ));
+
+    this.#recurringEndInput = new Input({ label: 'Vertragsende (optional)', type: 'date' });
+
     this.#notesInput = new Input({ label: 'Notizen', placeholder: 'Optionale Notizen...' });
 
     this.#employeeSelect = createElement('select', {
@@ -522,6 +567,32 @@ export class AddRevenueDialog {
       extraordinaryEmployeeWrapper,
     ]);
 
+    const recurringOptions = createElement('div', { className: 'dialog-form-row recurring-options hidden' }, [
+      createElement('div', { className: 'dialog-form-col-1' }, [
+        createElement('div', { className: 'input-wrapper' }, [
+          createElement('label', { className: 'input-label' }, ['Intervall']),
+          this.#recurringIntervalSelect,
+        ]),
+      ]),
+      createElement('div', { className: 'dialog-form-col-1' }, [this.#recurringEndInput.element]),
+    ]);
+
+    // Shown for recurring categories only (see #onCategoryChange)
+    this.#recurringSection = createElement('div', { className: 'recurring-section hidden' }, [
+      createElement('div', { className: 'vat-checkbox-wrapper' }, [
+        createElement('label', {
+          className: 'vat-checkbox-label',
+          htmlFor: 'revenue-recurring-checkbox',
+        }, [
+          this.#recurringCheckbox,
+          createElement('span', { className: 'vat-checkbox-text' }, [
+            'Wiederkehrender Umsatz \u2014 ab dem Datum automatisch je Periode erfassen',
+          ]),
+        ]),
+      ]),
+      recurringOptions,
+    ]);
+
     const employeeSelectorWrapper = createElement('div', {
       className: `input-wrapper employee-selector-wrapper ${this.#companyMode ? '' : 'hidden'}`,
     }, [
@@ -551,6 +622,7 @@ export class AddRevenueDialog {
       createElement('div', { className: 'dialog-form' }, [
         employeeSelectorWrapper,
         this.#customerNameInput.element,
+        this.#duplicateHint.element,
         addressRow,
         cityRow,
         selectionRow,
@@ -558,6 +630,7 @@ export class AddRevenueDialog {
         dateAndContractRow,
         vatCheckboxWrapper,
         manualBillingWrapper,
+        this.#recurringSection,
         this.#extraordinarySection,
         tipProviderSection,
         this.#notesInput.element,
@@ -568,6 +641,54 @@ export class AddRevenueDialog {
     return formContainer;
   }
 
+  // === Customer Master Data ===
+
+  /**
+   * Look for existing customers while the customer is typed. Debounced, and
+   * skipped once the entry is linked to a customer.
+   */
+  #scheduleDuplicateLookup() {
+    if (!this.#customerService || this.#selectedCustomer) return;
+
+    clearTimeout(this.#duplicateLookupTimer);
+    this.#duplicateLookupTimer = setTimeout(async () => {
+      try {
+        const matches = await this.#customerService.findDuplicates({
+          name: this.#customerNameInput.value,
+          address: {
+            street: this.#streetInput.value.trim(),
+            postalCode: this.#postalCodeInput.value.trim(),
+          },
+        });
+        if (!this.#selectedCustomer) {
+          this.#duplicateHint.update({ matches });
+        }
+      } catch (error) {
+        Logger.warn('Duplicate lookup failed:', error);
+      }
+    }, 300);
+  }
+
+  #selectCustomer(customer) {
+    clearTimeout(this.#duplicateLookupTimer);
+    this.#selectedCustomer = customer;
+
+    this.#customerNameInput.setValue(customer.name);
+    if (!customer.address.isEmpty) {
+      this.#streetInput.setValue(customer.address.street);
+      this.#houseNumberInput.setValue(customer.address.houseNumber);
+      this.#postalCodeInput.setValue(customer.address.postalCode);
+      this.#cityInput.setValue(customer.address.city);
+    }
+    this.#duplicateHint.update({ linkedCustomer: customer });
+  }
+
+  #unlinkCustomer() {
+    this.#selectedCustomer = null;
+    this.#duplicateHint.update();
+    this.#scheduleDuplicateLookup();
+  }
+
   // === Multi-Tip-Provider Row Management ===
 
   /**
@@ -887,7 +1008,8 @@ export class AddRevenueDialog {
       // Geschaeftsfuehrer are not in the tree but have configured provisions
       if (isGeschaeftsfuehrerId(employeeId)) {
         const gfConfig = getGeschaeftsfuehrerConfig(employeeId);
-        return gfConfig.defaultProvisions[provisionType] || 90;
+        const gfProvision = gfConfig.defaultProvisions[provisionType] || 90;
+        return await this.#applyProvisionRule(employeeId, gfProvision, categoryType);
       }
 
       const owner = tree.getNode(employeeId);
@@ -896,18 +1018,41 @@ export class AddRevenueDialog {
       // Root node (company) always has 100% provision
       if (owner.isRoot) return 100;
 
+      // Validate against the rates effective on the chosen entry date
+      const rates = owner.getProvisionRatesAt(this.#dateInput.value || null);
+      let baseProvision;
       switch (provisionType) {
-        case 'bank': return owner.bankProvision || 0;
-        case 'insurance': return owner.insuranceProvision || 0;
-        case 'realEstate': return owner.realEstateProvision || 0;
-        default: return 0;
+        case 'bank': baseProvision = rates.bankProvision || 0; break;
+        case 'insurance': baseProvision = rates.insuranceProvision || 0; break;
+        case 'realEstate': baseProvision = rates.realEstateProvision || 0; break;
+        default: baseProvision = 0;
       }
+
+      return await this.#applyProvisionRule(employeeId, baseProvision, categoryType);
     } catch (error) {
       Logger.error('Failed to get owner provision:', error);
       return 100;
     }
   }
 
+  /**
+   * Apply the most specific product/provider rate of the current selection
+   * (same rule RevenueService uses for the entry snapshot)
+   */
+  async #applyProvisionRule(employeeId, baseProvision, categoryType) {
+    if (!this.#revenueService?.resolveProvisionRate) return baseProvision;
+
+    const selectedProductOption = this.#productSelect.querySelector('option:checked');
+    return await this.#revenueService.resolveProvisionRate(employeeId, baseProvision, {
+      category: categoryType,
+      product: {
+        id: selectedProductOption?.dataset.productId || this.#productSelect.value,
+        name: selectedProductOption?.dataset.productName || this.#productSelect.value,
+      },
+      productProvider: { name: this.#providerSelect.value },
+    });
+  }
+
   #inferProvisionType(categoryType) {
     const CATEGORY_TO_PROVISION = {
       bank: 'bank',
@@ -951,6 +1096,17 @@ export class AddRevenueDialog {
       const shouldHaveVAT = this.#shouldCategoryHaveVATByDefault(categoryType);
       this.#vatCheckbox.checked = shouldHaveVAT;
     }
+
+    const supportsRecurrence = !this.#isEditMode && RecurringRevenueTemplate.supportsCategory(categoryType);
+    this.#recurringSection.classList.toggle('hidden', !supportsRecurrence);
+    if (!supportsRecurrence) {
+      this.#recurringCheckbox.checked = false;
+      this.#onRecurringChange(false);
+    }
+  }
+
+  #onRecurringChange(isChecked) {
+    this.#recurringSection.querySelector('.recurring-options').classList.toggle('hidden', !isChecked);
   }
 
   #shouldCategoryHaveVATByDefault(categoryType) {
@@ -1386,6 +1542,10 @@ export class AddRevenueDialog {
       tipProviders,
     };
 
+    if (this.#customerService) {
+      data.customerId = this.#selectedCustomer?.id ?? null;
+    }
+
     if (this.#isEditMode && this.#entry) {
       data.id = this.#entry.id;
     }
@@ -1405,6 +1565,22 @@ export class AddRevenueDialog {
       data.employeeId = targetEmployeeId;
     }
 
+    const isRecurringActive = this.#recurringCheckbox.checked &&
+      !this.#recurringSection.classList.contains('hidden') &&
+      !isExtraordinaryActive;
+    if (isRecurringActive) {
+      const endDate = this.#recurringEndInput.value;
+      if (endDate && endDate < entryDate) {
+        this.#recurringEndInput.setError('Vertragsende muss nach dem Datum liegen');
+        return;
+      }
+      data.recurrence = {
+        interval: this.#recurringIntervalSelect.value,
+        startDate: data.entryDate,
+        endDate: endDate ? new Date(endDate).toISOString() : null,
+      };
+    }
+
     this.#props.onSave?.(data);
   }
 
@@ -1429,6 +1605,7 @@ export class AddRevenueDialog {
   }
 
   remove() {
+    clearTimeout(this.#duplicateLookupTimer);
     this.#closeTrackingModeInfo?.();
     this.#element.remove();
   }
@@ -0,0 +1,60 @@
+/**
+ * Molecule: BulkActionBar
+ * Toolbar shown while revenue entries are selected: selection count with
+ * totals and the available bulk actions
+ */
+
+import { createElement, roundCurrency } from '../../../../../core/utils/index.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+
+export const BULK_ACTIONS = {
+  STATUS: 'status',
+  MARK_BILLED: 'markBilled',
+  REASSIGN: 'reassign',
+  DELETE: 'delete',
+  EXPORT: 'export',
+};
+
+export class BulkActionBar {
+  #element;
+
+  /**
+   * @param {Object} props
+   * @param {RevenueEntry[]} props.entries - Selected entries
+   * @param {boolean} props.isAdmin - Status, billing and reassignment are admin actions
+   * @param {boolean} props.canDelete
+   * @param {Function} props.onAction - (action, entries) => void
+   * @param {Function} props.onClear
+   */
+  constructor(props = {}) {
+    this.#element = this.#render(props);
+  }
+
+  #render({ entries = [], isAdmin = false, canDelete = false, onAction, onClear }) {
+    const total = roundCurrency(entries.reduce((sum, e) => sum + e.grossAmount, 0));
+    const action = (label, type, variant = 'outline') => new Button({
+      label,
+      variant,
+      size: 'sm',
+      onClick: () => onAction?.(type, entries),
+    }).element;
+
+    return createElement('div', { className: 'bulk-action-bar' }, [
+      createElement('span', { className: 'bulk-action-summary' }, [
+        `${entries.length} ausgewählt · ${total.toLocaleString('de-DE', { style: 'currency', currency: 'EUR' })}`,
+      ]),
+      createElement('div', { className: 'bulk-action-buttons' }, [
+        isAdmin ? action('Status ändern', BULK_ACTIONS.STATUS) : null,
+        isAdmin ? action('Als abgerechnet markieren', BULK_ACTIONS.MARK_BILLED) : null,
+        isAdmin ? action('Umhängen', BULK_ACTIONS.REASSIGN) : null,
+        action('Exportieren', BULK_ACTIONS.EXPORT),
+        canDelete ? action('Löschen', BULK_ACTIONS.DELETE, 'danger') : null,
+        new Button({ label: 'Auswahl aufheben', variant: 'ghost', size: 'sm', onClick: () => onClear?.() }).element,
+      ].filter(Boolean)),
+    ]);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * Molecule: BulkActionDialog
+ * Confirmation summary of a bulk action on selected revenue entries:
+ * count, net and gross totals, current status breakdown, the entries that
+ * will be skipped, and the inputs the action needs (target status, comment,
+ * new employee). Problems reported by the action are listed afterwards.
+ */
+
+import { createElement, roundCurrency } from '../../../../../core/utils/index.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
+import { RevenueStatus, REVENUE_STATUS_TYPES } from '../../../domain/value-objects/RevenueStatus.js';
+import { BULK_ACTIONS } from './BulkActionBar.js';
+
+const ACTION_CONFIG = {
+  [BULK_ACTIONS.STATUS]: { title: 'Status ändern', confirmLabel: 'Status ändern' },
+  [BULK_ACTIONS.MARK_BILLED]: {
+    title: 'Als abgerechnet markieren',
+    confirmLabel: 'Markieren',
+    note: 'Alle Tippgeber und Führungskräfte der ausgewählten Umsätze werden als abgerechnet markiert '
+      + 'und erscheinen in keiner weiteren Abrechnung.',
+  },
+  [BULK_ACTIONS.REASSIGN]: {
+    title: 'Umsätze umhängen',
+    confirmLabel: 'Umhängen',
+    note: 'Die Provisionssätze werden für den neuen Mitarbeiter neu aus der Struktur übernommen.',
+  },
+  [BULK_ACTIONS.DELETE]: {
+    title: 'Umsätze löschen',
+    confirmLabel: 'Endgültig löschen',
+    note: 'Gelöschte Umsätze und ihre Belege können nicht wiederhergestellt werden.',
+  },
+};
+
+export class BulkActionDialog {
+  #element;
+  #props;
+  #body;
+  #statusSelect = null;
+  #employeeSelect = null;
+  #commentInput = null;
+  #errorText;
+  #confirmButton;
+
+  /**
+   * @param {Object} props
+   * @param {string} props.action - BULK_ACTIONS value
+   * @param {RevenueEntry[]} props.entries
+   * @param {Array<{id: string, name: string}>} props.employees - Targets for reassignment
+   * @param {Function} props.onConfirm - async ({ status, comment, employeeId }) => string[] problems
+   */
+  constructor(props = {}) {
+    this.#props = {
+      action: props.action,
+      entries: props.entries || [],
+      employees: props.employees || [],
+      onConfirm: props.onConfirm || null,
+    };
+    this.#element = this.#render();
+  }
+
+  /** Entries the action will not touch, with the reason shown in the summary */
+  #getSkipped() {
+    const { action, entries } = this.#props;
+    if (action === BULK_ACTIONS.DELETE) {
+      return { count: entries.filter((e) => !e.status.isSubmitted).length, reason: 'nicht mehr eingereicht' };
+    }
+    if (action === BULK_ACTIONS.REASSIGN) {
+      return {
+        count: entries.filter((e) => !e.status.isSubmitted && !e.status.isTransferred).length,
+        reason: 'bereits provisioniert, abgelehnt oder storniert',
+      };
+    }
+    return { count: 0, reason: '' };
+  }
+
+  #render() {
+    const config = ACTION_CONFIG[this.#props.action];
+    const overlay = createElement('div', { className: 'dialog-overlay billing-export-dialog-overlay' });
+
+    this.#errorText = createElement('p', { className: 'bulk-action-error' });
+    this.#confirmButton = new Button({
+      label: config.confirmLabel,
+      variant: this.#props.action === BULK_ACTIONS.DELETE ? 'danger' : 'primary',
+      onClick: () => this.#handleConfirm(),
+    });
+
+    this.#body = createElement('div', { className: 'dialog-body-scroll billing-export-body' }, [
+      this.#renderSummary(),
+      config.note ? createElement('p', { className: 'billing-export-note' }, [config.note]) : null,
+      ...this.#renderInputs(),
+      this.#errorText,
+    ].filter(Boolean));
+
+    const dialogContent = createElement('div', { className: 'dialog-content billing-export-dialog bulk-action-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, [config.title]),
+        createElement('p', { className: 'dialog-subtitle' }, [`${this.#props.entries.length} Umsätze ausgewählt`]),
+      ]),
+      this.#body,
+      createElement('div', { className: 'dialog-actions billing-export-actions' }, [
+        new Button({ label: 'Abbrechen', variant: 'ghost', onClick: () => this.hide() }).element,
+        this.#confirmButton.element,
+      ]),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.hide();
+      }
+    });
+
+    return overlay;
+  }
+
+  #renderSummary() {
+    const { entries } = this.#props;
+    const net = roundCurrency(entries.reduce((sum, e) => sum + e.netAmount, 0));
+    const gross = roundCurrency(entries.reduce((sum, e) => sum + e.grossAmount, 0));
+
+    const byStatus = new Map();
+    for (const entry of entries) {
+      byStatus.set(entry.status.displayName, (byStatus.get(entry.status.displayName) || 0) + 1);
+    }
+
+    const skipped = this.#getSkipped();
+    const row = (label, value) => createElement('tr', {}, [
+      createElement('td', {}, [label]),
+      createElement('td', { className: 'text-right' }, [value]),
+    ]);
+
+    return createElement('table', { className: 'bulk-action-summary-table' }, [
+      createElement('tbody', {}, [
+        row('Anzahl', String(entries.length)),
+        row('Summe netto', this.#formatCurrency(net)),
+        row('Summe brutto', this.#formatCurrency(gross)),
+        ...[...byStatus].map(([status, count]) => row(`davon ${status}`, String(count))),
+        skipped.count > 0 ? row(`Übersprungen (${skipped.reason})`, String(skipped.count)) : null,
+      ].filter(Boolean)),
+    ]);
+  }
+
+  #renderInputs() {
+    const { action, employees } = this.#props;
+
+    if (action === BULK_ACTIONS.STATUS) {
+      this.#statusSelect = createElement('select', {
+        className: 'bulk-action-select',
+        onchange: () => this.#updateCommentLabel(),
+      }, Object.values(REVENUE_STATUS_TYPES).map((type) =>
+        createElement('option', { value: type }, [new RevenueStatus(type).displayName])
+      ));
+      this.#commentInput = new Input({ label: 'Kommentar (optional)' });
+
+      return [
+        createElement('label', { className: 'input-label' }, ['Neuer Status']),
+        this.#statusSelect,
+        this.#commentInput.element,
+      ];
+    }
+
+    if (action === BULK_ACTIONS.REASSIGN) {
+      this.#employeeSelect = createElement('select', { className: 'bulk-action-select' }, [
+        createElement('option', { value: '' }, ['Mitarbeiter wählen...']),
+        ...employees.map((employee) => createElement('option', { value: employee.id }, [employee.name])),
+      ]);
+
+      return [
+        createElement('label', { className: 'input-label' }, ['Neuer Mitarbeiter']),
+        this.#employeeSelect,
+      ];
+    }
+
+    return [];
+  }
+
+  #updateCommentLabel() {
+    const label = this.#commentInput.element.querySelector('.input-label');
+    if (label) {
+      label.textContent = this.#statusSelect.value === REVENUE_STATUS_TYPES.REJECTED
+        ? 'Begründung *'
+        : 'Kommentar (optional)';
+    }
+  }
+
+  async #handleConfirm() {
+    const params = {
+      status: this.#statusSelect?.value ?? null,
+      comment: this.#commentInput?.value.trim() ?? '',
+      employeeId: this.#employeeSelect?.value || null,
+    };
+
+    if (params.status === REVENUE_STATUS_TYPES.REJECTED && !params.comment) {
+      this.#commentInput.setError('Begründung ist erforderlich');
+      return;
+    }
+    if (this.#props.action === BULK_ACTIONS.REASSIGN && !params.employeeId) {
+      this.#errorText.textContent = 'Bitte einen Mitarbeiter wählen';
+      return;
+    }
+    this.#errorText.textContent = '';
+
+    this.#confirmButton.element.disabled = true;
+    try {
+      const problems = (await this.#props.onConfirm?.(params)) || [];
+      if (problems.length === 0) {
+        this.hide();
+        return;
+      }
+      this.#showProblems(problems);
+    } catch (error) {
+      this.#errorText.textContent = error.message;
+      this.#confirmButton.element.disabled = false;
+    }
+  }
+
+  /** Part of the selection failed: list the reasons, the action itself is done */
+  #showProblems(problems) {
+    this.#body.replaceChildren(
+      createElement('p', { className: 'billing-export-note' }, ['Die Aktion wurde ausgeführt. Nicht alle Umsätze konnten verarbeitet werden:']),
+      createElement('ul', { className: 'bulk-action-problems' }, problems.map((text) => createElement('li', {}, [text]))),
+    );
+    this.#confirmButton.element.remove();
+  }
+
+  #formatCurrency(amount) {
+    return amount.toLocaleString('de-DE', { style: 'currency', currency: 'EUR' });
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Molecule: ChangeLogTable
+ * Table of revenue audit events (field, old and new value, user, time).
+ * Shared by the per-entry history dialog and the bookkeeping change log.
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { RevenueStatus } from '../../../domain/value-objects/RevenueStatus.js';
+
+export class ChangeLogTable {
+  #element;
+  #events;
+  #showEntry;
+
+  /**
+   * @param {Object} props
+   * @param {RevenueAuditEvent[]} props.events
+   * @param {boolean} props.showEntry - Add a column with the customer of the entry
+   */
+  constructor(props = {}) {
+    this.#events = props.events || [];
+    this.#showEntry = props.showEntry || false;
+    this.#element = this.#render();
+  }
+
+  #render() {
+    if (this.#events.length === 0) {
+      return createElement('p', { className: 'change-log-empty' }, ['Keine Änderungen protokolliert']);
+    }
+
+    const headers = [
+      'Zeitpunkt',
+      this.#showEntry ? 'Eintrag' : null,
+      'Benutzer',
+      'Aktion',
+      'Feld',
+      'Alt',
+      'Neu',
+    ].filter(Boolean);
+
+    return createElement('table', { className: 'change-log-table' }, [
+      createElement('thead', {}, [
+        createElement('tr', {}, headers.map((label) => createElement('th', {}, [label]))),
+      ]),
+      createElement('tbody', {}, this.#events.map((event) => this.#renderRow(event))),
+    ]);
+  }
+
+  #renderRow(event) {
+    return createElement('tr', { className: `change-log-row change-log-row--${event.action}` }, [
+      createElement('td', { className: 'change-log-date' }, [event.changedAt.toLocaleString('de-DE')]),
+      this.#showEntry
+        ? createElement('td', { className: 'change-log-entry', title: event.entryId }, [event.customerName || event.entryId])
+        : null,
+      createElement('td', {}, [event.changedByName || 'System']),
+      createElement('td', {}, [
+        event.actionLabel,
+        event.comment ? createElement('div', { className: 'change-log-comment' }, [event.comment]) : null,
+      ].filter(Boolean)),
+      createElement('td', {}, [event.fieldLabel]),
+      createElement('td', { className: 'change-log-old' }, [this.#formatValue(event.field, event.oldValue)]),
+      createElement('td', { className: 'change-log-new' }, [this.#formatValue(event.field, event.newValue)]),
+    ].filter(Boolean));
+  }
+
+  #formatValue(field, value) {
+    if (value === null || value === undefined) return '–';
+    if (typeof value === 'boolean') return value ? 'Ja' : 'Nein';
+    if (typeof value === 'number') return value.toLocaleString('de-DE', { maximumFractionDigits: 2 });
+    if (field === 'status' || field === 'pendingApproval') {
+      try {
+        return new RevenueStatus(value).displayName;
+      } catch {
+        return value;
+      }
+    }
+    return String(value);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
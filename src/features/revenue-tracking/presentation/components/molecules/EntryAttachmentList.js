@@ -0,0 +1,170 @@
+/**
+ * Molecule: EntryAttachmentList
+ * Documents of a revenue entry with upload, download and removal.
+ * Used in the expanded company row and in the attachments dialog.
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Logger } from '../../../../../core/utils/logger.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { ATTACHMENT_CONTENT_TYPES } from '../../../domain/value-objects/EntryAttachment.js';
+
+export class EntryAttachmentList {
+  #element;
+  #props;
+  #entry;
+  #fileInput;
+  #message;
+
+  /**
+   * @param {Object} props
+   * @param {RevenueEntry} props.entry
+   * @param {AttachmentService} props.attachmentService
+   * @param {boolean} props.canEdit - Upload/remove allowed for the current user
+   * @param {Object|null} props.actor - { id, name } of the current user
+   * @param {Function} props.onChange - (updatedEntry) => void
+   */
+  constructor(props = {}) {
+    this.#props = {
+      attachmentService: props.attachmentService,
+      canEdit: props.canEdit ?? false,
+      actor: props.actor || null,
+      onChange: props.onChange || null,
+    };
+    this.#entry = props.entry;
+    this.#element = createElement('div', { className: 'entry-attachments' });
+    this.#renderContent();
+  }
+
+  #renderContent() {
+    this.#message = createElement('p', { className: 'entry-attachments-message' });
+
+    const header = createElement('div', { className: 'entry-attachments-header' }, [
+      createElement('span', { className: 'entry-attachments-title' }, [
+        `Belege (${this.#entry.attachments.length})`,
+      ]),
+      this.#props.canEdit ? this.#renderUploadButton() : null,
+    ].filter(Boolean));
+
+    const items = this.#entry.attachments.map((attachment) => this.#renderAttachment(attachment));
+
+    this.#element.replaceChildren(
+      header,
+      items.length > 0
+        ? createElement('ul', { className: 'entry-attachments-list' }, items)
+        : createElement('p', { className: 'entry-attachments-empty' }, ['Keine Belege hochgeladen']),
+      this.#message,
+    );
+  }
+
+  #renderUploadButton() {
+    this.#fileInput = createElement('input', {
+      type: 'file',
+      accept: ATTACHMENT_CONTENT_TYPES.join(','),
+      className: 'entry-attachments-input',
+      style: { display: 'none' },
+      onchange: (e) => this.#handleUpload(e.target.files[0]),
+    });
+
+    return createElement('div', {}, [
+      this.#fileInput,
+      new Button({
+        label: 'Beleg hochladen',
+        variant: 'outline',
+        size: 'sm',
+        onClick: () => this.#fileInput.click(),
+      }).element,
+    ]);
+  }
+
+  #renderAttachment(attachment) {
+    const canDelete = this.#props.canEdit && this.#entry.status.isSubmitted;
+    const uploaded = [
+      attachment.uploadedAt.toLocaleDateString('de-DE'),
+      attachment.uploadedByName,
+    ].filter(Boolean).join(' · ');
+
+    return createElement('li', { className: 'entry-attachments-item' }, [
+      createElement('button', {
+        type: 'button',
+        className: 'entry-attachments-link',
+        title: 'Beleg öffnen',
+        onclick: (e) => {
+          e.stopPropagation();
+          this.#handleOpen(attachment);
+        },
+      }, [`${attachment.isPdf ? '📄' : '🖼'} ${attachment.fileName}`]),
+      createElement('span', { className: 'entry-attachments-meta' }, [`${attachment.sizeDisplay} · ${uploaded}`]),
+      canDelete
+        ? createElement('button', {
+          type: 'button',
+          className: 'entry-attachments-remove',
+          title: 'Beleg entfernen',
+          onclick: (e) => {
+            e.stopPropagation();
+            this.#handleDelete(attachment);
+          },
+        }, ['×'])
+        : null,
+    ].filter(Boolean));
+  }
+
+  async #handleOpen(attachment) {
+    // Open the window synchronously, otherwise popup blockers reject it
+    const win = window.open('', '_blank');
+    try {
+      const url = await this.#props.attachmentService.getDownloadUrl(attachment);
+      if (win) {
+        win.location.href = url;
+      } else {
+        window.location.href = url;
+      }
+    } catch (error) {
+      win?.close();
+      Logger.error('Failed to open attachment:', error);
+      this.#showMessage(`Beleg konnte nicht geöffnet werden: ${error.message}`);
+    }
+  }
+
+  async #handleUpload(file) {
+    if (!file) return;
+
+    this.#showMessage(`${file.name} wird hochgeladen...`, false);
+    try {
+      const entry = await this.#props.attachmentService.uploadAttachment(this.#entry.id, file, this.#props.actor);
+      this.#update(entry);
+    } catch (error) {
+      Logger.error('Failed to upload attachment:', error);
+      this.#showMessage(error.message);
+    } finally {
+      if (this.#fileInput) this.#fileInput.value = '';
+    }
+  }
+
+  async #handleDelete(attachment) {
+    if (!window.confirm(`Beleg "${attachment.fileName}" entfernen?`)) return;
+
+    try {
+      const entry = await this.#props.attachmentService.deleteAttachment(this.#entry.id, attachment.id);
+      this.#update(entry);
+    } catch (error) {
+      Logger.error('Failed to delete attachment:', error);
+      this.#showMessage(error.message);
+    }
+  }
+
+  #update(entry) {
+    this.#entry = entry;
+    this.#renderContent();
+    this.#props.onChange?.(entry);
+  }
+
+  #showMessage(text, isError = true) {
+    this.#message.textContent = text;
+    this.#message.classList.toggle('entry-attachments-message--error', isError);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Molecule: EntryAttachmentsDialog
+ * Dialog around EntryAttachmentList for the revenue table, which has no
+ * expandable rows
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { EntryAttachmentList } from './EntryAttachmentList.js';
+
+export class EntryAttachmentsDialog {
+  #element;
+  #props;
+  #latestEntry = null;
+
+  /**
+   * @param {Object} props - EntryAttachmentList props plus onClose(updatedEntry|null)
+   */
+  constructor(props = {}) {
+    this.#props = props;
+    this.#element = this.#render();
+  }
+
+  #render() {
+    const overlay = createElement('div', { className: 'dialog-overlay billing-export-dialog-overlay' });
+    const { entry } = this.#props;
+
+    const list = new EntryAttachmentList({
+      ...this.#props,
+      onChange: (updatedEntry) => {
+        this.#latestEntry = updatedEntry;
+      },
+    });
+
+    const dialogContent = createElement('div', { className: 'dialog-content billing-export-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, ['Belege']),
+        createElement('p', { className: 'dialog-subtitle' }, [
+          `${entry.customerName}${entry.contractNumber ? ` (${entry.contractNumber})` : ''}`,
+        ]),
+      ]),
+      createElement('div', { className: 'dialog-body-scroll billing-export-body' }, [
+        createElement('p', { className: 'billing-export-note' }, ['PDF oder Bild, max. 10 MB pro Datei.']),
+        list.element,
+      ]),
+      createElement('div', { className: 'dialog-actions billing-export-actions' }, [
+        new Button({ label: 'Schließen', variant: 'ghost', onClick: () => this.hide() }).element,
+      ]),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.hide();
+      }
+    });
+
+    return overlay;
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+    this.#props.onClose?.(this.#latestEntry);
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Molecule: PeriodClosingDialog
+ * Monatsabschluss (admins): the past twelve months with their closing state,
+ * closing a month and reopening it with a mandatory reason
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Logger } from '../../../../../core/utils/logger.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { PeriodClosing, PERIOD_CLOSING_ACTIONS } from '../../../domain/entities/PeriodClosing.js';
+
+const MONTHS_SHOWN = 12;
+
+const formatDate = (date) => new Intl.DateTimeFormat('de-DE', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+}).format(date);
+
+export class PeriodClosingDialog {
+  #element;
+  #props;
+  #listContainer;
+
+  /**
+   * @param {Object} props
+   * @param {PeriodClosingService} props.periodClosingService
+   * @param {Function} props.onChange - Called after a month was closed or reopened
+   */
+  constructor(props = {}) {
+    this.#props = {
+      periodClosingService: props.periodClosingService,
+      onChange: props.onChange || null,
+    };
+
+    this.#element = this.#render();
+    this.#loadClosings();
+  }
+
+  #render() {
+    const overlay = createElement('div', { className: 'dialog-overlay period-closing-dialog-overlay' });
+
+    this.#listContainer = createElement('div', { className: 'period-closing-list' }, [
+      createElement('p', { className: 'period-closing-note' }, ['Monate werden geladen...']),
+    ]);
+
+    const dialogContent = createElement('div', { className: 'dialog-content period-closing-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, ['Monatsabschluss']),
+      ]),
+      createElement('div', { className: 'dialog-body-scroll period-closing-body' }, [
+        createElement('p', { className: 'period-closing-note' }, [
+          'In abgeschlossenen Monaten können Umsätze weder erfasst noch bearbeitet oder gelöscht werden. ' +
+          'Statuswechsel und Abrechnung bleiben möglich, Korrekturen werden als Ausgleichsbuchung im nächsten offenen Monat erfasst.',
+        ]),
+        this.#listContainer,
+      ]),
+      createElement('div', { className: 'dialog-actions' }, [
+        new Button({ label: 'Schließen', variant: 'ghost', onClick: () => this.hide() }).element,
+      ]),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.hide();
+      }
+    });
+
+    return overlay;
+  }
+
+  async #loadClosings() {
+    try {
+      const closings = await this.#props.periodClosingService.getClosings();
+      this.#listContainer.replaceChildren(...this.#renderMonths(closings));
+    } catch (error) {
+      Logger.error('Failed to load period closings:', error);
+      this.#listContainer.replaceChildren(
+        createElement('p', { className: 'period-closing-note' }, [`Fehler: ${error.message}`]),
+      );
+    }
+  }
+
+  /**
+   * The running month first, then the eleven before it
+   */
+  #renderMonths(closings) {
+    const byId = new Map(closings.map((closing) => [closing.id, closing]));
+    const now = new Date();
+
+    return Array.from({ length: MONTHS_SHOWN }, (_, offset) => {
+      const day = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+      const month = PeriodClosing.forMonth(day.getFullYear(), day.getMonth());
+      return this.#renderMonth(byId.get(month.id) ?? month, offset === 0);
+    });
+  }
+
+  #renderMonth(closing, isRunning) {
+    let action;
+    if (closing.isClosed) {
+      action = new Button({
+        label: 'Wieder öffnen',
+        variant: 'ghost',
+        size: 'sm',
+        onClick: () => this.#handleReopen(closing),
+      }).element;
+    } else if (isRunning) {
+      action = createElement('span', { className: 'period-closing-item-details' }, ['Laufender Monat']);
+    } else {
+      action = new Button({
+        label: 'Abschließen',
+        variant: 'outline',
+        size: 'sm',
+        onClick: () => this.#handleClose(closing),
+      }).element;
+    }
+
+    return createElement('div', {
+      className: `period-closing-item${closing.isClosed ? ' period-closing-item--closed' : ''}`,
+    }, [
+      createElement('div', { className: 'period-closing-item-info' }, [
+        createElement('span', { className: 'period-closing-item-title' }, [
+          `${closing.displayName} · ${closing.isClosed ? 'Abgeschlossen' : 'Offen'}`,
+        ]),
+        ...this.#describeLastEvent(closing),
+      ]),
+      action,
+    ]);
+  }
+
+  #describeLastEvent(closing) {
+    const event = closing.lastEvent;
+    if (!event) return [];
+
+    const verb = event.action === PERIOD_CLOSING_ACTIONS.REOPENED ? 'Wieder geöffnet' : 'Abgeschlossen';
+    const by = event.byName ? ` von ${event.byName}` : '';
+    const reason = event.reason ? ` · Grund: ${event.reason}` : '';
+    return [
+      createElement('span', { className: 'period-closing-item-details' }, [
+        `${verb} am ${formatDate(event.at)}${by}${reason}`,
+      ]),
+    ];
+  }
+
+  async #handleClose(closing) {
+    if (!window.confirm(`${closing.displayName} abschließen?\n\nUmsätze dieses Monats sind danach gesperrt.`)) {
+      return;
+    }
+
+    try {
+      await this.#props.periodClosingService.closeMonth(closing.year, closing.month);
+      await this.#afterChange();
+    } catch (error) {
+      Logger.error('Failed to close period:', error);
+      alert(`Abschluss fehlgeschlagen: ${error.message}`);
+    }
+  }
+
+  async #handleReopen(closing) {
+    const reason = window.prompt(`Begründung für das Wiedereröffnen von ${closing.displayName}:`);
+    if (reason === null) {
+      return;
+    }
+
+    try {
+      await this.#props.periodClosingService.reopenMonth(closing.year, closing.month, reason);
+      await this.#afterChange();
+    } catch (error) {
+      Logger.error('Failed to reopen period:', error);
+      alert(`Wiedereröffnen fehlgeschlagen: ${error.message}`);
+    }
+  }
+
+  async #afterChange() {
+    await this.#loadClosings();
+    if (this.#props.onChange) {
+      this.#props.onChange();
+    }
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
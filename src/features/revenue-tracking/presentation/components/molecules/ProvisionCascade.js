@@ -31,7 +31,7 @@ export class ProvisionCascade {
     // Start with the entry owner (employee who made the sale)
     const entryOwner = this.#entry.entryOwner;
     const originalEntry = this.#entry.originalEntry;
-    const ownerBaseProvision = this.#getProvisionForCategory(entryOwner, categoryType);
+    const ownerBaseProvision = this.#getProvisionForLevel(entryOwner, categoryType);
 
     // Tip provider provision is deducted from owner's share
     const tipProviderPercentage = originalEntry.totalTipProviderPercentage;
@@ -80,7 +80,7 @@ export class ProvisionCascade {
 
     for (let i = hierarchyPath.length - 2; i > 0; i--) {
       const manager = hierarchyPath[i];
-      const managerProvision = this.#getProvisionForCategory(manager, categoryType);
+      const managerProvision = this.#getProvisionForLevel(manager, categoryType);
       const effectiveProvision = Math.max(0, managerProvision - previousProvision);
       const managerAmount = baseAmount * (effectiveProvision / 100);
 
@@ -240,15 +240,28 @@ export class ProvisionCascade {
     ]);
   }
 
+  /**
+   * Rate of a cascade level: snapshotted rate from the calculation if available,
+   * otherwise the node's rate on the entry date (legacy entries)
+   */
+  #getProvisionForLevel(employee, categoryType) {
+    const snapshotProvision = this.#entry.getProvisionPercentageFor?.(employee.id);
+    if (snapshotProvision !== null && snapshotProvision !== undefined) {
+      return snapshotProvision;
+    }
+    return this.#getProvisionForCategory(employee, categoryType);
+  }
+
   #getProvisionForCategory(employee, categoryType) {
+    const rates = employee.getProvisionRatesAt?.(this.#entry.originalEntry.entryDate) ?? employee;
     switch (categoryType) {
       case 'bank':
-        return employee.bankProvision || 0;
+        return rates.bankProvision || 0;
       case 'insurance':
-        return employee.insuranceProvision || 0;
+        return rates.insuranceProvision || 0;
       case 'realEstate':
       case 'propertyManagement':
-        return employee.realEstateProvision || 0;
+        return rates.realEstateProvision || 0;
       case 'energyContracts':
         return 0;
       default:
@@ -0,0 +1,390 @@
+/**
+ * Molecule: ProvisionTierDialog
+ * Staffelprovision of one employee (admins): the tier tables that apply,
+ * a form for a new table of the employee or their career level, and the
+ * year-end true-up with preview and booking
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Logger } from '../../../../../core/utils/logger.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { TIER_TABLE_SCOPES } from '../../../domain/entities/ProvisionTierTable.js';
+import { CAREER_LEVELS } from '../../../../user-profile/domain/value-objects/CareerLevel.js';
+
+const PROVISION_TYPE_OPTIONS = [
+  ['', 'Alle Provisionsarten'],
+  ['bank', 'Bank'],
+  ['insurance', 'Versicherung'],
+  ['realEstate', 'Immobilien'],
+];
+
+const formatCurrency = (value) => new Intl.NumberFormat('de-DE', {
+  style: 'currency',
+  currency: 'EUR',
+}).format(value);
+
+const formatRate = (rate) => `${rate.toLocaleString('de-DE', { maximumFractionDigits: 2 })} %`;
+
+export class ProvisionTierDialog {
+  #element;
+  #props;
+  #levelKey = null;
+  #tablesContainer;
+  #trueUpContainer;
+  #scopeSelect;
+  #typeSelect;
+  #tierRows;
+  #trueUpCheckbox;
+  #yearInput;
+  #saveButton;
+
+  /**
+   * @param {Object} props
+   * @param {string} props.employeeId
+   * @param {string} props.employeeName
+   * @param {ProvisionTierService} props.provisionTierService
+   * @param {string} props.createdBy - UID recorded on new tables
+   * @param {Function} props.onBooked - Called after true-up entries were booked
+   */
+  constructor(props = {}) {
+    this.#props = {
+      employeeId: props.employeeId,
+      employeeName: props.employeeName || 'Mitarbeiter',
+      provisionTierService: props.provisionTierService,
+      createdBy: props.createdBy || null,
+      onBooked: props.onBooked || null,
+    };
+
+    this.#element = this.#render();
+    this.#loadTables();
+  }
+
+  #render() {
+    const overlay = createElement('div', { className: 'dialog-overlay provision-tier-dialog-overlay' });
+
+    this.#tablesContainer = createElement('div', { className: 'provision-tier-list' }, [
+      createElement('p', { className: 'provision-tier-note' }, ['Staffeln werden geladen...']),
+    ]);
+    this.#trueUpContainer = createElement('div', { className: 'provision-tier-list' });
+
+    const dialogContent = createElement('div', { className: 'dialog-content provision-tier-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, ['Staffelprovision']),
+        createElement('p', { className: 'dialog-subtitle' }, [this.#props.employeeName]),
+      ]),
+      createElement('div', { className: 'dialog-body-scroll provision-tier-body' }, [
+        createElement('div', { className: 'provision-tier-section' }, [
+          createElement('h3', { className: 'provision-tier-section-title' }, ['Gültige Staffeln']),
+          createElement('p', { className: 'provision-tier-note' }, [
+            'Der Satz richtet sich nach dem Netto-Umsatz des Kalenderjahres. Eine Staffel des Mitarbeiters ' +
+            'geht der seiner Karrierestufe vor, eine Staffel für die Provisionsart der für alle Arten.',
+          ]),
+          this.#tablesContainer,
+        ]),
+        this.#renderForm(),
+        this.#renderTrueUp(),
+      ]),
+      createElement('div', { className: 'dialog-actions' }, [
+        new Button({ label: 'Schließen', variant: 'ghost', onClick: () => this.hide() }).element,
+      ]),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.hide();
+      }
+    });
+
+    return overlay;
+  }
+
+  #select(label, options) {
+    const select = createElement('select', { className: 'input-field' },
+      options.map(([value, text]) => createElement('option', { value }, [text])),
+    );
+    const wrapper = createElement('div', { className: 'input-wrapper' }, [
+      createElement('label', { className: 'input-label' }, [label]),
+      select,
+    ]);
+    return { select, wrapper };
+  }
+
+  #renderForm() {
+    const scope = this.#select('Geltungsbereich', [[TIER_TABLE_SCOPES.EMPLOYEE, 'Nur dieser Mitarbeiter']]);
+    const type = this.#select('Provisionsart', PROVISION_TYPE_OPTIONS);
+    this.#scopeSelect = scope.select;
+    this.#typeSelect = type.select;
+
+    this.#tierRows = createElement('div', { className: 'provision-tier-rows' });
+    this.#addTierRow(0, '');
+    this.#addTierRow('', '');
+
+    this.#trueUpCheckbox = createElement('input', { type: 'checkbox' });
+    this.#saveButton = new Button({
+      label: 'Staffel anlegen',
+      variant: 'primary',
+      onClick: () => this.#handleSave(),
+    });
+
+    return createElement('div', { className: 'provision-tier-section' }, [
+      createElement('h3', { className: 'provision-tier-section-title' }, ['Neue Staffel']),
+      createElement('div', { className: 'provision-tier-form' }, [scope.wrapper, type.wrapper]),
+      createElement('div', { className: 'provision-tier-row provision-tier-row--header' }, [
+        createElement('span', {}, ['Ab Jahresumsatz (€)']),
+        createElement('span', {}, ['Satz (%)']),
+        createElement('span', {}, []),
+      ]),
+      this.#tierRows,
+      createElement('div', { className: 'provision-tier-form-actions' }, [
+        new Button({ label: '+ Stufe', variant: 'ghost', size: 'sm', onClick: () => this.#addTierRow('', '') }).element,
+        createElement('label', { className: 'provision-tier-checkbox' }, [
+          this.#trueUpCheckbox,
+          'Jahresausgleich, wenn nachgebuchte Einträge die Stufen verschieben',
+        ]),
+      ]),
+      createElement('div', { className: 'provision-tier-form-actions' }, [this.#saveButton.element]),
+    ]);
+  }
+
+  #addTierRow(from, rate) {
+    const isFirst = this.#tierRows.children.length === 0;
+    // The first tier always starts at 0 €
+    const fromInput = createElement('input', {
+      type: 'number', className: 'input-field', min: '0', step: '1000', value: String(from), disabled: isFirst,
+    });
+    const rateInput = createElement('input', {
+      type: 'number', className: 'input-field', min: '0', max: '100', step: '0.1', value: String(rate),
+    });
+
+    const row = createElement('div', { className: 'provision-tier-row' }, [fromInput, rateInput]);
+    row.appendChild(isFirst
+      ? createElement('span', {}, [])
+      : new Button({ label: 'Entfernen', variant: 'ghost', size: 'sm', onClick: () => row.remove() }).element);
+    this.#tierRows.appendChild(row);
+  }
+
+  #readTiers() {
+    // Empty fields must not turn into 0, the table rejects them instead
+    const read = (input) => (input.value === '' ? NaN : Number(input.value));
+    return [...this.#tierRows.children].map((row) => {
+      const [fromInput, rateInput] = row.querySelectorAll('input');
+      return { from: read(fromInput), rate: read(rateInput) };
+    });
+  }
+
+  #renderTrueUp() {
+    this.#yearInput = createElement('input', {
+      type: 'number', className: 'input-field provision-tier-year', value: String(new Date().getFullYear()),
+    });
+    this.#yearInput.addEventListener('change', () => this.#loadTrueUp());
+
+    return createElement('div', { className: 'provision-tier-section' }, [
+      createElement('h3', { className: 'provision-tier-section-title' }, ['Jahresausgleich']),
+      createElement('div', { className: 'provision-tier-form-actions' }, [
+        createElement('label', { className: 'input-label' }, ['Jahr']),
+        this.#yearInput,
+      ]),
+      this.#trueUpContainer,
+    ]);
+  }
+
+  async #loadTables() {
+    try {
+      const { levelKey, tables } = await this.#props.provisionTierService.getTablesForEmployee(this.#props.employeeId);
+      this.#levelKey = levelKey;
+      this.#updateScopeOptions();
+      this.#tablesContainer.replaceChildren(...this.#renderTables(tables));
+    } catch (error) {
+      Logger.error('Failed to load provision tier tables:', error);
+      this.#tablesContainer.replaceChildren(
+        createElement('p', { className: 'provision-tier-note' }, [`Fehler: ${error.message}`]),
+      );
+    }
+    await this.#loadTrueUp();
+  }
+
+  #updateScopeOptions() {
+    const levelOption = this.#scopeSelect.querySelector(`option[value="${TIER_TABLE_SCOPES.CAREER_LEVEL}"]`);
+    if (levelOption || !CAREER_LEVELS[this.#levelKey]) return;
+
+    this.#scopeSelect.appendChild(createElement('option', { value: TIER_TABLE_SCOPES.CAREER_LEVEL }, [
+      `Alle ${CAREER_LEVELS[this.#levelKey].rankName}`,
+    ]));
+  }
+
+  #renderTables(tables) {
+    if (tables.length === 0) {
+      return [createElement('p', { className: 'provision-tier-note' }, [
+        'Keine Staffel - es gelten die Provisionssätze aus dem Organigramm.',
+      ])];
+    }
+
+    return tables.map((table) =>
+      createElement('div', { className: 'provision-tier-item' }, [
+        createElement('div', { className: 'provision-tier-item-info' }, [
+          createElement('span', { className: 'provision-tier-item-title' }, [table.summary]),
+          createElement('span', { className: 'provision-tier-item-details' }, [
+            `${table.scopeDisplayName} · ${table.provisionTypeDisplayName}` +
+            (table.yearEndTrueUp ? ' · mit Jahresausgleich' : ''),
+          ]),
+        ]),
+        new Button({
+          label: 'Entfernen',
+          variant: 'ghost',
+          size: 'sm',
+          onClick: () => this.#handleDelete(table),
+        }).element,
+      ]),
+    );
+  }
+
+  async #loadTrueUp() {
+    const year = Number(this.#yearInput.value);
+    try {
+      const trueUps = await this.#props.provisionTierService.calculateTrueUp(this.#props.employeeId, year);
+      this.#trueUpContainer.replaceChildren(...this.#renderTrueUps(trueUps, year));
+    } catch (error) {
+      Logger.error('Failed to calculate tier true-up:', error);
+      this.#trueUpContainer.replaceChildren(
+        createElement('p', { className: 'provision-tier-note' }, [`Fehler: ${error.message}`]),
+      );
+    }
+  }
+
+  #renderTrueUps(trueUps, year) {
+    if (trueUps.length === 0) {
+      return [createElement('p', { className: 'provision-tier-note' }, [
+        `Für ${year} ist kein Ausgleich nötig.`,
+      ])];
+    }
+
+    const items = trueUps.map((trueUp) =>
+      createElement('div', { className: 'provision-tier-item provision-tier-item--stacked' }, [
+        createElement('div', { className: 'provision-tier-item-info' }, [
+          createElement('span', { className: 'provision-tier-item-title' }, [
+            `${trueUp.table.provisionTypeDisplayName}: ${trueUp.table.summary}`,
+          ]),
+          createElement('span', { className: 'provision-tier-item-details' }, [
+            `Differenz ${formatCurrency(trueUp.total)} · bereits gebucht ${formatCurrency(trueUp.alreadyBooked)} · ` +
+            `offen ${formatCurrency(trueUp.open)}`,
+          ]),
+        ]),
+        ...trueUp.lines.map((line) =>
+          createElement('div', { className: 'provision-tier-line' }, [
+            createElement('span', {}, [
+              `${line.entry.entryDate.toLocaleDateString('de-DE')} · ${line.entry.customerName}`,
+            ]),
+            createElement('span', {}, [`${formatRate(line.bookedRate)} → ${formatRate(line.correctRate)}`]),
+            createElement('span', { className: 'provision-tier-line-amount' }, [formatCurrency(line.delta)]),
+          ]),
+        ),
+        // Managers above are paid the difference to the owner's rate and give it back (or get more)
+        ...trueUp.managers.map((manager) =>
+          createElement('div', { className: 'provision-tier-line' }, [
+            createElement('span', {}, [`Führungskraft ${manager.managerName}`]),
+            createElement('span', {}, [`bereits gebucht ${formatCurrency(manager.alreadyBooked)}`]),
+            createElement('span', { className: 'provision-tier-line-amount' }, [formatCurrency(manager.open)]),
+          ]),
+        ),
+      ]),
+    );
+
+    const open = trueUps.reduce((sum, trueUp) => sum + trueUp.open, 0);
+    const hasOpen = (trueUp) => trueUp.open !== 0 || trueUp.managers.some((manager) => manager.open !== 0);
+    if (!trueUps.some(hasOpen)) {
+      return items;
+    }
+
+    const bookButton = new Button({
+      label: `Ausgleich buchen (${formatCurrency(open)})`,
+      variant: 'primary',
+      onClick: () => this.#handleBook(year, bookButton),
+    });
+    return [...items, createElement('div', { className: 'provision-tier-form-actions' }, [bookButton.element])];
+  }
+
+  async #handleSave() {
+    const scope = this.#scopeSelect.value;
+
+    this.#saveButton.element.disabled = true;
+    try {
+      await this.#props.provisionTierService.createTable({
+        scope,
+        nodeId: this.#props.employeeId,
+        levelKey: this.#levelKey,
+        provisionType: this.#typeSelect.value || null,
+        tiers: this.#readTiers(),
+        yearEndTrueUp: this.#trueUpCheckbox.checked,
+      }, this.#props.createdBy);
+
+      this.#tierRows.replaceChildren();
+      this.#addTierRow(0, '');
+      this.#addTierRow('', '');
+      await this.#loadTables();
+    } catch (error) {
+      Logger.error('Failed to create provision tier table:', error);
+      alert(`Speichern fehlgeschlagen: ${error.message}`);
+    } finally {
+      this.#saveButton.element.disabled = false;
+    }
+  }
+
+  async #handleDelete(table) {
+    const affects = table.isEmployeeTable ? 'diesen Mitarbeiter' : `alle ${table.scopeDisplayName}`;
+    if (!window.confirm(`Staffel "${table.summary}" für ${affects} entfernen?\n\nBereits erfasste Einträge behalten ihren Satz.`)) {
+      return;
+    }
+
+    try {
+      await this.#props.provisionTierService.deleteTable(table.id);
+      await this.#loadTables();
+    } catch (error) {
+      Logger.error('Failed to delete provision tier table:', error);
+      alert(`Entfernen fehlgeschlagen: ${error.message}`);
+    }
+  }
+
+  async #handleBook(year, button) {
+    if (!window.confirm(`Staffelausgleich ${year} für ${this.#props.employeeName} als Provisionsausgleich buchen?\n\nDie Anteile der Führungskräfte werden gegengebucht.`)) {
+      return;
+    }
+
+    button.element.disabled = true;
+    try {
+      const entries = await this.#props.provisionTierService.bookTrueUp(this.#props.employeeId, year, {
+        employeeName: this.#props.employeeName,
+      });
+      await this.#loadTrueUp();
+      if (this.#props.onBooked) {
+        this.#props.onBooked(entries);
+      }
+    } catch (error) {
+      Logger.error('Failed to book tier true-up:', error);
+      alert(`Buchen fehlgeschlagen: ${error.message}`);
+      button.element.disabled = false;
+    }
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
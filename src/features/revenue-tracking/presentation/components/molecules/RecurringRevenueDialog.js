@@ -0,0 +1,222 @@
+/**
+ * Molecule: RecurringRevenueDialog
+ * Lists the recurring revenue templates of an employee and lets them be
+ * paused, resumed or terminated; due entries can be generated on demand
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Logger } from '../../../../../core/utils/logger.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { RevenueCategory } from '../../../domain/value-objects/RevenueCategory.js';
+import { RECURRING_TEMPLATE_STATUS } from '../../../domain/entities/RecurringRevenueTemplate.js';
+
+export class RecurringRevenueDialog {
+  #element;
+  #props;
+  #listContainer;
+  #generateButton;
+  #hasChanges = false;
+
+  constructor(props = {}) {
+    this.#props = {
+      employeeId: props.employeeId,
+      employeeName: props.employeeName || 'Mitarbeiter',
+      recurringRevenueService: props.recurringRevenueService,
+      canEdit: props.canEdit ?? true,
+      onClose: props.onClose || null,
+    };
+
+    this.#element = this.#render();
+    this.#loadTemplates();
+  }
+
+  #render() {
+    const overlay = createElement('div', { className: 'dialog-overlay billing-export-dialog-overlay' });
+
+    this.#listContainer = createElement('div', { className: 'recurring-revenue-list' }, [
+      createElement('p', { className: 'billing-export-note' }, ['Vorlagen werden geladen...']),
+    ]);
+
+    const dialogContent = createElement('div', { className: 'dialog-content billing-export-dialog recurring-revenue-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, ['Wiederkehrende Umsätze']),
+        createElement('p', { className: 'dialog-subtitle' }, [`Vertriebspartner: ${this.#props.employeeName}`]),
+      ]),
+      createElement('div', { className: 'dialog-body-scroll billing-export-body' }, [
+        createElement('p', { className: 'billing-export-note' }, [
+          'Neue Vorlagen werden über "Neuer Umsatz" mit der Option "Wiederkehrender Umsatz" angelegt.',
+        ]),
+        this.#listContainer,
+      ]),
+      this.#renderFooter(),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.hide();
+      }
+    });
+
+    return overlay;
+  }
+
+  #renderFooter() {
+    const buttons = [new Button({ label: 'Schließen', variant: 'ghost', onClick: () => this.hide() }).element];
+
+    if (this.#props.canEdit) {
+      this.#generateButton = new Button({
+        label: 'Fällige Umsätze erzeugen',
+        variant: 'primary',
+        onClick: () => this.#handleGenerate(),
+      });
+      buttons.push(this.#generateButton.element);
+    }
+
+    return createElement('div', { className: 'dialog-actions billing-export-actions' }, buttons);
+  }
+
+  async #loadTemplates() {
+    try {
+      const templates = await this.#props.recurringRevenueService.getTemplatesByEmployee(this.#props.employeeId);
+      this.#listContainer.replaceChildren(...this.#renderTemplates(templates));
+    } catch (error) {
+      Logger.error('Failed to load recurring revenue templates:', error);
+      this.#listContainer.replaceChildren(
+        createElement('p', { className: 'billing-export-note' }, [`Fehler: ${error.message}`]),
+      );
+    }
+  }
+
+  #renderTemplates(templates) {
+    if (templates.length === 0) {
+      return [createElement('p', { className: 'billing-export-note' }, ['Keine wiederkehrenden Umsätze vorhanden.'])];
+    }
+
+    return templates.map((template) => {
+      const status = template.getStatus();
+      const nextDate = template.getNextPeriodDate();
+      const schedule = [
+        `${this.#formatCurrency(template.provisionAmount)} ${template.interval.displayName}`,
+        `ab ${this.#formatDate(template.startDate)}`,
+        template.endDate ? `bis ${this.#formatDate(template.endDate)}` : null,
+        template.terminatedAt ? `gekündigt zum ${this.#formatDate(template.terminatedAt)}` : null,
+        nextDate ? `nächste Fälligkeit ${this.#formatDate(nextDate)}` : null,
+      ].filter(Boolean).join(' · ');
+
+      return createElement('div', { className: 'recurring-revenue-item' }, [
+        createElement('div', { className: 'recurring-revenue-title' }, [
+          `${template.customerName}${template.contractNumber ? ` (${template.contractNumber})` : ''}`,
+          createElement('span', { className: `recurring-revenue-status recurring-revenue-status--${status}` }, [
+            template.getStatusDisplayName(),
+          ]),
+        ]),
+        createElement('div', { className: 'recurring-revenue-details' }, [
+          `${RevenueCategory.fromString(template.category).displayName} · ${schedule}`,
+        ]),
+        this.#props.canEdit ? this.#renderActions(template, status) : null,
+      ].filter(Boolean));
+    });
+  }
+
+  #renderActions(template, status) {
+    const actions = [];
+
+    if (status === RECURRING_TEMPLATE_STATUS.ACTIVE) {
+      actions.push(new Button({
+        label: 'Pausieren',
+        variant: 'ghost',
+        size: 'sm',
+        onClick: () => this.#runAction(() => this.#props.recurringRevenueService.pauseTemplate(template.id)),
+      }).element);
+    }
+    if (status === RECURRING_TEMPLATE_STATUS.PAUSED) {
+      actions.push(new Button({
+        label: 'Fortsetzen',
+        variant: 'ghost',
+        size: 'sm',
+        onClick: () => this.#runAction(() => this.#props.recurringRevenueService.resumeTemplate(template.id)),
+      }).element);
+    }
+    if (status === RECURRING_TEMPLATE_STATUS.ACTIVE || status === RECURRING_TEMPLATE_STATUS.PAUSED) {
+      actions.push(new Button({
+        label: 'Kündigen',
+        variant: 'ghost',
+        size: 'sm',
+        onClick: () => this.#handleTerminate(template),
+      }).element);
+    }
+
+    return actions.length > 0
+      ? createElement('div', { className: 'recurring-revenue-actions' }, actions)
+      : null;
+  }
+
+  async #handleTerminate(template) {
+    const confirmed = window.confirm(
+      `Vertrag "${template.customerName}" zum heutigen Tag kündigen? Danach werden keine Umsätze mehr erzeugt.`,
+    );
+    if (!confirmed) return;
+
+    await this.#runAction(() => this.#props.recurringRevenueService.terminateTemplate(template.id));
+  }
+
+  async #handleGenerate() {
+    this.#generateButton.element.disabled = true;
+    try {
+      const entries = await this.#props.recurringRevenueService.generateDueEntries(this.#props.employeeId);
+      this.#hasChanges = this.#hasChanges || entries.length > 0;
+      alert(entries.length > 0
+        ? `${entries.length} Umsatz/Umsätze erzeugt.`
+        : 'Keine fälligen Umsätze vorhanden.');
+      await this.#loadTemplates();
+    } catch (error) {
+      Logger.error('Failed to generate recurring revenues:', error);
+      alert(`Erzeugen fehlgeschlagen: ${error.message}`);
+    } finally {
+      this.#generateButton.element.disabled = false;
+    }
+  }
+
+  async #runAction(action) {
+    try {
+      await action();
+      this.#hasChanges = true;
+      await this.#loadTemplates();
+    } catch (error) {
+      Logger.error('Failed to update recurring revenue template:', error);
+      alert(`Speichern fehlgeschlagen: ${error.message}`);
+    }
+  }
+
+  #formatDate(date) {
+    return date.toLocaleDateString('de-DE');
+  }
+
+  #formatCurrency(amount) {
+    return new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR' }).format(amount);
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+    this.#props.onClose?.(this.#hasChanges);
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Molecule: StatusChangeDialog
+ * Confirms a status change of a revenue entry with an optional comment
+ * (a reason is required for rejections) and shows an open four-eyes approval
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
+import { RevenueStatus, REVENUE_STATUS_TYPES } from '../../../domain/value-objects/RevenueStatus.js';
+
+export class StatusChangeDialog {
+  #element;
+  #props;
+  #commentInput;
+  #confirmButton;
+
+  /**
+   * @param {Object} props
+   * @param {RevenueEntry} props.entry
+   * @param {string} props.newStatus
+   * @param {Function} props.onConfirm - async (comment) => void, errors are shown in the dialog
+   * @param {Function} props.onCancel
+   */
+  constructor(props = {}) {
+    this.#props = {
+      entry: props.entry,
+      newStatus: props.newStatus,
+      onConfirm: props.onConfirm || null,
+      onCancel: props.onCancel || null,
+    };
+
+    this.#element = this.#render();
+  }
+
+  get #requiresReason() {
+    return this.#props.newStatus === REVENUE_STATUS_TYPES.REJECTED;
+  }
+
+  get #confirmsPendingApproval() {
+    return this.#props.entry.pendingApproval?.toStatus === this.#props.newStatus;
+  }
+
+  #render() {
+    const { entry, newStatus } = this.#props;
+    const overlay = createElement('div', { className: 'dialog-overlay billing-export-dialog-overlay' });
+
+    this.#commentInput = new Input({
+      label: this.#requiresReason ? 'Begründung *' : 'Kommentar (optional)',
+      placeholder: this.#requiresReason ? 'Warum wird der Umsatz abgelehnt?' : '',
+    });
+
+    const fromLabel = entry.status.displayName;
+    const toLabel = new RevenueStatus(newStatus).displayName;
+
+    this.#confirmButton = new Button({
+      label: this.#confirmsPendingApproval ? 'Freigabe bestätigen' : 'Status ändern',
+      variant: this.#requiresReason ? 'danger' : 'primary',
+      onClick: () => this.#handleConfirm(),
+    });
+
+    const dialogContent = createElement('div', { className: 'dialog-content billing-export-dialog status-change-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, ['Status ändern']),
+        createElement('p', { className: 'dialog-subtitle' }, [
+          `${entry.customerName}: ${fromLabel} → ${toLabel}`,
+        ]),
+      ]),
+      createElement('div', { className: 'dialog-body-scroll billing-export-body' }, [
+        this.#renderPendingApproval(),
+        this.#commentInput.element,
+      ].filter(Boolean)),
+      createElement('div', { className: 'dialog-actions billing-export-actions' }, [
+        new Button({ label: 'Abbrechen', variant: 'ghost', onClick: () => this.#handleCancel() }).element,
+        this.#confirmButton.element,
+      ]),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.#handleCancel();
+      }
+    });
+
+    return overlay;
+  }
+
+  #renderPendingApproval() {
+    const pending = this.#props.entry.pendingApproval;
+    if (!pending) return null;
+
+    const requestedAt = new Date(pending.requestedAt).toLocaleString('de-DE');
+    const target = new RevenueStatus(pending.toStatus).displayName;
+    const text = this.#confirmsPendingApproval
+      ? `${pending.requestedByName || 'Ein Administrator'} hat am ${requestedAt} die Freigabe angefordert. `
+        + 'Mit der zweiten Freigabe wird der Status geändert.'
+      : `Offene Freigabe "${target}" von ${pending.requestedByName || 'einem Administrator'} (${requestedAt}) `
+        + 'wird durch diese Änderung ersetzt.';
+
+    return createElement('p', { className: 'billing-export-note status-change-pending' }, [
+      text,
+      pending.comment ? ` Kommentar: "${pending.comment}"` : '',
+    ]);
+  }
+
+  async #handleConfirm() {
+    const comment = this.#commentInput.value.trim();
+    if (this.#requiresReason && !comment) {
+      this.#commentInput.setError('Begründung ist erforderlich');
+      return;
+    }
+    this.#commentInput.setError(null);
+
+    this.#confirmButton.element.disabled = true;
+    try {
+      await this.#props.onConfirm?.(comment);
+      this.hide();
+    } catch (error) {
+      this.#commentInput.setError(error.message);
+      this.#confirmButton.element.disabled = false;
+    }
+  }
+
+  #handleCancel() {
+    this.#props.onCancel?.();
+    this.hide();
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Molecule: StatusTimelineDialog
+ * Status history of a revenue entry: creation, every status change with
+ * user, time and comment, and an approval still waiting for a second admin.
+ * Below the timeline the field-level change log of the entry is listed.
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { RevenueStatus } from '../../../domain/value-objects/RevenueStatus.js';
+import { ChangeLogTable } from './ChangeLogTable.js';
+
+export class StatusTimelineDialog {
+  #element;
+  #entry;
+  #changeLog;
+
+  /**
+   * @param {RevenueEntry} entry
+   * @param {RevenueAuditEvent[]} changeLog - Audit events of the entry, oldest first
+   */
+  constructor(entry, changeLog = []) {
+    this.#entry = entry;
+    this.#changeLog = changeLog;
+    this.#element = this.#render();
+  }
+
+  #render() {
+    const overlay = createElement('div', { className: 'dialog-overlay billing-export-dialog-overlay' });
+
+    const dialogContent = createElement('div', { className: 'dialog-content billing-export-dialog status-timeline-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, ['Verlauf']),
+        createElement('p', { className: 'dialog-subtitle' }, [
+          `${this.#entry.customerName}${this.#entry.contractNumber ? ` (${this.#entry.contractNumber})` : ''}`,
+        ]),
+      ]),
+      createElement('div', { className: 'dialog-body-scroll billing-export-body' }, [
+        createElement('ol', { className: 'status-timeline' }, this.#renderItems()),
+        createElement('h3', { className: 'change-log-heading' }, ['Änderungsprotokoll']),
+        new ChangeLogTable({ events: this.#changeLog }).element,
+      ]),
+      createElement('div', { className: 'dialog-actions billing-export-actions' }, [
+        new Button({ label: 'Schließen', variant: 'ghost', onClick: () => this.hide() }).element,
+      ]),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.hide();
+      }
+    });
+
+    return overlay;
+  }
+
+  #renderItems() {
+    const history = this.#entry.statusHistory;
+    const items = [
+      this.#renderItem({
+        status: 'submitted',
+        title: 'Erfasst',
+        date: this.#entry.createdAt,
+      }),
+    ];
+
+    for (const transition of history) {
+      const target = new RevenueStatus(transition.toStatus).displayName;
+      const title = transition.isApprovalRequest
+        ? `Freigabe "${target}" angefordert`
+        : transition.isSecondApproval
+          ? `${target} (zweite Freigabe, angefordert von ${transition.approvedBy.name || 'unbekannt'})`
+          : target;
+
+      items.push(this.#renderItem({
+        status: transition.isApprovalRequest ? 'pending' : transition.toStatus,
+        title,
+        date: transition.changedAt,
+        user: transition.changedByName,
+        comment: transition.comment,
+      }));
+    }
+
+    // Entries from before the timeline only know their current status
+    if (history.length === 0 && !this.#entry.status.isSubmitted) {
+      items.push(this.#renderItem({
+        status: this.#entry.status.type,
+        title: this.#entry.status.displayName,
+        date: this.#entry.updatedAt,
+        comment: 'Änderung vor Einführung des Statusverlaufs',
+      }));
+    }
+
+    if (this.#entry.hasPendingApproval) {
+      items.push(createElement('li', { className: 'status-timeline-item status-timeline-item--open' }, [
+        createElement('div', { className: 'status-timeline-title' }, ['Wartet auf zweite Freigabe']),
+      ]));
+    }
+
+    return items;
+  }
+
+  #renderItem({ status, title, date, user = null, comment = '' }) {
+    return createElement('li', { className: `status-timeline-item status-timeline-item--${status}` }, [
+      createElement('div', { className: 'status-timeline-title' }, [title]),
+      createElement('div', { className: 'status-timeline-meta' }, [
+        [date ? new Date(date).toLocaleString('de-DE') : null, user].filter(Boolean).join(' · '),
+      ]),
+      comment ? createElement('div', { className: 'status-timeline-comment' }, [comment]) : null,
+    ].filter(Boolean));
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
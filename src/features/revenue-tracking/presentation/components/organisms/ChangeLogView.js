@@ -0,0 +1,126 @@
+/**
+ * Organism: ChangeLogView
+ * Change history across all revenue entries for the bookkeeping team,
+ * filterable by field, action and a free-text search within the period
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Logger } from '../../../../../core/utils/logger.js';
+import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
+import { ChangeLogTable } from '../molecules/ChangeLogTable.js';
+import { AUDITED_FIELDS, AUDIT_ACTION_LABELS } from '../../../domain/value-objects/RevenueAuditEvent.js';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+export class ChangeLogView {
+  #element;
+  #props;
+  #filter = { field: null, action: null, query: '' };
+  #resultContainer;
+  #searchTimer = null;
+  #loadSequence = 0;
+
+  /**
+   * @param {Object} props
+   * @param {RevenueService} props.revenueService
+   * @param {Date} props.startDate
+   * @param {Date} props.endDate
+   */
+  constructor(props = {}) {
+    this.#props = {
+      revenueService: props.revenueService,
+      startDate: props.startDate,
+      endDate: props.endDate,
+    };
+
+    this.#resultContainer = createElement('div', { className: 'change-log-results' });
+    this.#element = createElement('div', { className: 'change-log-view' }, [
+      this.#renderFilters(),
+      this.#resultContainer,
+    ]);
+
+    this.#load();
+  }
+
+  get element() {
+    return this.#element;
+  }
+
+  #renderFilters() {
+    const fieldSelect = createElement('select', {
+      className: 'change-log-select',
+      onchange: (e) => this.#applyFilter({ field: e.target.value || null }),
+    }, [
+      createElement('option', { value: '' }, ['Alle Felder']),
+      ...Object.entries(AUDITED_FIELDS).map(([field, config]) =>
+        createElement('option', { value: field }, [config.label])
+      ),
+    ]);
+
+    const actionSelect = createElement('select', {
+      className: 'change-log-select',
+      onchange: (e) => this.#applyFilter({ action: e.target.value || null }),
+    }, [
+      createElement('option', { value: '' }, ['Alle Aktionen']),
+      ...Object.entries(AUDIT_ACTION_LABELS).map(([action, label]) =>
+        createElement('option', { value: action }, [label])
+      ),
+    ]);
+
+    const searchInput = new Input({
+      placeholder: 'Kunde, Benutzer oder Wert suchen...',
+      onChange: (value) => {
+        clearTimeout(this.#searchTimer);
+        this.#searchTimer = setTimeout(() => this.#applyFilter({ query: value }), SEARCH_DEBOUNCE_MS);
+      },
+    });
+
+    return createElement('div', { className: 'change-log-filters' }, [
+      createElement('h2', { className: 'change-log-title' }, ['Änderungsprotokoll']),
+      fieldSelect,
+      actionSelect,
+      searchInput.element,
+    ]);
+  }
+
+  #applyFilter(changes) {
+    this.#filter = { ...this.#filter, ...changes };
+    this.#load();
+  }
+
+  async #load() {
+    // Ignore responses of queries that were overtaken by a newer filter
+    const sequence = ++this.#loadSequence;
+    this.#resultContainer.replaceChildren(
+      createElement('div', { className: 'revenue-loading' }, [
+        createElement('div', { className: 'loading-spinner' }),
+        createElement('p', {}, ['Änderungen werden geladen...']),
+      ]),
+    );
+
+    const to = new Date(this.#props.endDate);
+    to.setHours(23, 59, 59, 999);
+
+    try {
+      const events = await this.#props.revenueService.getChangeLog({
+        from: this.#props.startDate,
+        to,
+        ...this.#filter,
+      });
+      if (sequence !== this.#loadSequence) return;
+
+      this.#resultContainer.replaceChildren(
+        createElement('p', { className: 'change-log-count' }, [`${events.length} Änderungen im Zeitraum`]),
+        new ChangeLogTable({ events, showEntry: true }).element,
+      );
+    } catch (error) {
+      if (sequence !== this.#loadSequence) return;
+      Logger.error('Failed to load change log:', error);
+      this.#resultContainer.replaceChildren(
+        createElement('div', { className: 'revenue-error' }, [
+          createElement('p', {}, [`Fehler: ${error.message}`]),
+        ]),
+      );
+    }
+  }
+}
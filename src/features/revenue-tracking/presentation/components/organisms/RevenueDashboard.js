@@ -5,6 +5,8 @@
 
 import { createElement } from '../../../../../core/utils/index.js';
 import { REVENUE_STATUS_TYPES } from '../../../domain/value-objects/RevenueStatus.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { TargetProgressBar } from '../../../../sales-targets/presentation/components/molecules/TargetProgressBar.js';
 
 const CATEGORY_CONFIG = {
   bank: { label: 'Bank', color: '#3b82f6' },
@@ -36,13 +38,22 @@ export class RevenueDashboard {
   #mode;
   #startDate;
   #endDate;
-
+  #targets;
+  #onManageTargets;
+
+  /**
+   * @param {Object} props
+   * @param {Object|null} props.targets - SalesTargetService overview of the employee's current targets
+   * @param {Function|null} props.onManageTargets - Opens the target dialog (admins)
+   */
   constructor(props = {}) {
     this.#entries = props.entries || [];
     this.#employee = props.employee || null;
     this.#mode = props.mode || 'own'; // 'own' or 'team'
     this.#startDate = props.startDate || null;
     this.#endDate = props.endDate || null;
+    this.#targets = props.targets || null;
+    this.#onManageTargets = props.onManageTargets || null;
     this.#element = this.#render();
   }
 
@@ -214,7 +225,8 @@ export class RevenueDashboard {
 
     const sections = [
       this.#renderHeader(stats),
-    ];
+      this.#renderTargetSection(),
+    ].filter(Boolean);
 
     // In team and company mode, show member breakdown before categories
     if ((this.#mode === 'team' || this.#mode === 'company') && stats.teamMembers.length > 0) {
@@ -353,6 +365,72 @@ export class RevenueDashboard {
     ]);
   }
 
+  /**
+   * Sales targets: own targets in own mode; in team and company mode the
+   * team targets and the rollup of the direct reports' targets
+   */
+  #renderTargetSection() {
+    if (this.#mode === 'tipProvider') return null;
+
+    const isTeamMode = this.#mode === 'team' || this.#mode === 'company';
+    const targets = this.#targets || { personal: [], teamTargets: [], members: [], totals: [] };
+    const ownTargets = isTeamMode ? targets.teamTargets : targets.personal;
+    const rollup = isTeamMode ? targets.totals : [];
+    const targetCount = ownTargets.length + rollup.length;
+
+    if (targetCount === 0 && !this.#onManageTargets) return null;
+
+    const manageButton = this.#onManageTargets
+      ? new Button({ label: 'Ziele verwalten', variant: 'outline', size: 'sm', onClick: () => this.#onManageTargets() }).element
+      : null;
+
+    const children = [
+      createElement('div', { className: 'db-section-header' }, [
+        createElement('h3', { className: 'db-section-title' }, ['Zielerreichung']),
+        createElement('span', { className: 'db-section-badge' }, [
+          `${targetCount} ${targetCount === 1 ? 'Ziel' : 'Ziele'}`,
+        ]),
+        manageButton,
+      ].filter(Boolean)),
+    ];
+
+    if (targetCount === 0) {
+      children.push(createElement('div', { className: 'db-empty' }, ['Für den aktuellen Zeitraum sind keine Ziele vereinbart']));
+    }
+
+    if (ownTargets.length > 0) {
+      children.push(createElement('div', { className: 'db-target-grid' },
+        ownTargets.map((progress) => new TargetProgressBar({ progress }).element),
+      ));
+    }
+
+    if (rollup.length > 0) {
+      children.push(
+        createElement('h4', { className: 'db-target-subtitle' }, ['Summe der Einzelziele']),
+        createElement('div', { className: 'db-target-grid' },
+          rollup.map((total) => new TargetProgressBar({
+            progress: total,
+            label: `${TargetProgressBar.describe(total)} · ${total.memberCount} MA`,
+          }).element),
+        ),
+        createElement('div', { className: 'db-target-members' },
+          targets.members.map(({ node, progress }) => createElement('div', { className: 'db-target-member' }, [
+            createElement('div', { className: 'db-target-member-name' }, [node.name]),
+            createElement('div', { className: 'db-target-member-bars' },
+              progress.map((item) => new TargetProgressBar({
+                progress: item,
+                label: TargetProgressBar.describe(item.target),
+                compact: true,
+              }).element),
+            ),
+          ])),
+        ),
+      );
+    }
+
+    return createElement('div', { className: 'db-targets' }, children);
+  }
+
   #renderTeamMemberSection(stats) {
     const totalProvision = stats.provision || 1;
     const sectionTitle = this.#mode === 'company' ? 'Mitarbeiter-Übersicht' : 'Team-Mitglieder';
@@ -569,8 +647,9 @@ export class RevenueDashboard {
     return this.#element;
   }
 
-  update(entries, employee, mode) {
+  update(entries, employee, mode, targets = this.#targets) {
     this.#entries = entries;
+    this.#targets = targets;
     this.#employee = employee;
     this.#mode = mode || this.#mode;
     const newElement = this.#render();
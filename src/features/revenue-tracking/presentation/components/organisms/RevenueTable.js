@@ -35,16 +35,22 @@ export class RevenueTable {
   #props;
   #sortColumn = null;
   #sortDirection = null; // 'asc', 'desc', or null
+  #selectedIds = new Set();
 
   constructor(props = {}) {
     this.#entries = props.entries || [];
     this.#originalEntries = [...this.#entries];
     this.#employee = props.employee || null;
+    this.#selectedIds = new Set(props.selectedIds || []);
     this.#props = {
       onEdit: props.onEdit || null,
       onDelete: props.onDelete || null,
       onStatusChange: props.onStatusChange || null,
+      onShowHistory: props.onShowHistory || null,
+      onShowAttachments: props.onShowAttachments || null,
+      onSelectionChange: props.onSelectionChange || null,
       isAdmin: props.isAdmin || false,
+      selectable: props.selectable || false,
       className: props.className || '',
     };
 
@@ -111,6 +117,10 @@ export class RevenueTable {
       return th;
     });
 
+    if (this.#props.selectable) {
+      headerCells.unshift(this.#renderSelectAllCell());
+    }
+
     return createElement('thead', { className: 'revenue-table-head' }, [
       createElement('tr', {}, headerCells),
     ]);
@@ -242,10 +252,81 @@ export class RevenueTable {
       this.#renderActionsCell(entry),
     ];
 
-    const rowClassName = `revenue-table-row${isExcluded ? ' row-rejected' : ''}`;
+    if (this.#props.selectable) {
+      cells.unshift(this.#renderSelectCell(entry));
+    }
+
+    const isSelected = this.#selectedIds.has(entry.id);
+    const rowClassName = `revenue-table-row${isExcluded ? ' row-rejected' : ''}${isSelected ? ' row-selected' : ''}`;
     return createElement('tr', { className: rowClassName, 'data-entry-id': entry.id }, cells);
   }
 
+  // === Selection ===
+
+  #renderSelectAllCell() {
+    const allSelected = this.#entries.length > 0 && this.#entries.every((e) => this.#selectedIds.has(e.id));
+    const checkbox = createElement('input', {
+      type: 'checkbox',
+      className: 'revenue-select-checkbox revenue-select-all',
+      title: 'Alle auswählen',
+      checked: allSelected,
+    });
+    checkbox.addEventListener('change', () => {
+      this.#selectedIds = checkbox.checked ? new Set(this.#entries.map((e) => e.id)) : new Set();
+      this.#syncSelection();
+    });
+
+    return createElement('th', { className: 'revenue-table-th th-select' }, [checkbox]);
+  }
+
+  #renderSelectCell(entry) {
+    const checkbox = createElement('input', {
+      type: 'checkbox',
+      className: 'revenue-select-checkbox',
+      checked: this.#selectedIds.has(entry.id),
+    });
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        this.#selectedIds.add(entry.id);
+      } else {
+        this.#selectedIds.delete(entry.id);
+      }
+      this.#syncSelection();
+    });
+
+    return createElement('td', { className: 'td-select' }, [checkbox]);
+  }
+
+  /**
+   * Reflect the selection in the DOM without rebuilding the table and notify the parent
+   */
+  #syncSelection() {
+    this.#element.querySelectorAll('tr[data-entry-id]').forEach((row) => {
+      const isSelected = this.#selectedIds.has(row.dataset.entryId);
+      row.classList.toggle('row-selected', isSelected);
+      const checkbox = row.querySelector('.revenue-select-checkbox');
+      if (checkbox) checkbox.checked = isSelected;
+    });
+
+    const selectAll = this.#element.querySelector('.revenue-select-all');
+    if (selectAll) {
+      selectAll.checked = this.#entries.length > 0 && this.#selectedIds.size === this.#entries.length;
+      selectAll.indeterminate = this.#selectedIds.size > 0 && this.#selectedIds.size < this.#entries.length;
+    }
+
+    this.#props.onSelectionChange?.(this.selectedEntries);
+  }
+
+  get selectedEntries() {
+    return this.#entries.filter((e) => this.#selectedIds.has(e.id));
+  }
+
+  clearSelection() {
+    if (this.#selectedIds.size === 0) return;
+    this.#selectedIds = new Set();
+    this.#syncSelection();
+  }
+
   #renderIdCell(id) {
     const shortId = id.substring(0, 8);
     return createElement('td', { className: 'revenue-table-td' }, [
@@ -397,7 +478,8 @@ export class RevenueTable {
       if (this.#props.isAdmin) {
         return createElement('td', { className: 'revenue-table-td td-status' }, [
           this.#createStatusDropdown(entry, status),
-        ]);
+          this.#renderPendingApprovalBadge(entry),
+        ].filter(Boolean));
       }
 
       // Employee: dropdown only for SUBMITTED entries
@@ -416,6 +498,16 @@ export class RevenueTable {
     ]);
   }
 
+  #renderPendingApprovalBadge(entry) {
+    const pending = entry.pendingApproval;
+    if (!pending) return null;
+
+    return createElement('span', {
+      className: 'status-pending-approval',
+      title: `Freigabe angefordert von ${pending.requestedByName || 'unbekannt'} – wartet auf zweiten Administrator`,
+    }, ['2. Freigabe offen']);
+  }
+
   #createStatusDropdown(entry, currentStatus) {
     const statusOptions = this.#props.isAdmin
       ? [
@@ -552,15 +644,20 @@ export class RevenueTable {
     // Only allow editing/deleting if status is still SUBMITTED
     const isEditable = entry.status?.type === REVENUE_STATUS_TYPES.SUBMITTED;
 
+    const historyBtn = this.#createHistoryButton(entry);
+    const attachmentsBtn = this.#createAttachmentsButton(entry);
+
     if (!isEditable) {
       // Show lock icon when entry is locked by Trialog
       return createElement('td', { className: 'revenue-table-td' }, [
         createElement('div', { className: 'action-buttons' }, [
+          historyBtn,
+          attachmentsBtn,
           createElement('span', {
             className: 'action-locked',
             title: 'Dieser Eintrag wurde von Trialog bearbeitet und kann nicht mehr geändert werden',
           }, ['🔒']),
-        ]),
+        ].filter(Boolean)),
       ]);
     }
 
@@ -595,10 +692,52 @@ export class RevenueTable {
     });
 
     return createElement('td', { className: 'revenue-table-td' }, [
-      createElement('div', { className: 'action-buttons' }, [editBtn, deleteBtn]),
+      createElement('div', { className: 'action-buttons' }, [historyBtn, attachmentsBtn, editBtn, deleteBtn].filter(Boolean)),
     ]);
   }
 
+  #createHistoryButton(entry) {
+    if (!this.#props.onShowHistory) return null;
+
+    const historyIcon = new Icon({ name: 'history', size: 16 });
+    const historyBtn = createElement('button', {
+      className: 'action-btn action-btn-history',
+      type: 'button',
+      title: 'Verlauf',
+    }, [historyIcon.element]);
+
+    historyBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.#props.onShowHistory(entry);
+    });
+
+    return historyBtn;
+  }
+
+  #createAttachmentsButton(entry) {
+    if (!this.#props.onShowAttachments) return null;
+
+    const count = entry.attachments?.length || 0;
+    const attachmentsIcon = new Icon({ name: 'file', size: 16 });
+    const attachmentsBtn = createElement('button', {
+      className: `action-btn action-btn-attachments${count > 0 ? ' has-attachments' : ''}`,
+      type: 'button',
+      title: count > 0 ? `Belege (${count})` : 'Belege',
+    }, [
+      attachmentsIcon.element,
+      count > 0 ? createElement('span', { className: 'action-btn-count' }, [String(count)]) : null,
+    ].filter(Boolean));
+
+    attachmentsBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.#props.onShowAttachments(entry);
+    });
+
+    return attachmentsBtn;
+  }
+
   #getEmployeeProvision(entry) {
     let baseProvision = 0;
 
@@ -608,16 +747,17 @@ export class RevenueTable {
     }
     // FALLBACK: Dynamic calculation for legacy entries without snapshots
     else if (this.#employee) {
+      const rates = this.#employee.getProvisionRatesAt?.(entry.entryDate) ?? this.#employee;
       switch (entry.category.type) {
         case 'bank':
-          baseProvision = this.#employee.bankProvision;
+          baseProvision = rates.bankProvision;
           break;
         case 'insurance':
-          baseProvision = this.#employee.insuranceProvision;
+          baseProvision = rates.insuranceProvision;
           break;
         case 'realEstate':
         case 'propertyManagement':
-          baseProvision = this.#employee.realEstateProvision;
+          baseProvision = rates.realEstateProvision;
           break;
         default:
           baseProvision = 0;
@@ -685,6 +825,9 @@ export class RevenueTable {
   setEntries(entries) {
     this.#entries = entries;
     this.#originalEntries = [...entries];
+    // Drop selected ids that are no longer listed
+    const ids = new Set(entries.map((e) => e.id));
+    this.#selectedIds = new Set([...this.#selectedIds].filter((id) => ids.has(id)));
     this.#applySorting();
     this.#rerender();
   }
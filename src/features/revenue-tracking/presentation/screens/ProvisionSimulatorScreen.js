@@ -0,0 +1,565 @@
+/**
+ * Screen: ProvisionSimulatorScreen
+ * What-if simulator for the provision cascade (admin only).
+ * "Geschäft simulieren" splits a hypothetical deal between all recipients,
+ * "Was wäre wenn" compares a past period before and after a rate change or
+ * a move to another manager. Nothing is saved.
+ */
+
+import { createElement, clearElement, getElement } from '../../../../core/utils/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+import { Button } from '../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { Input } from '../../../hierarchy-tracking/presentation/components/atoms/Input.js';
+import { APP_CONFIG } from '../../../../core/config/index.js';
+import {
+  GESCHAEFTSFUEHRER_IDS,
+  getGeschaeftsfuehrerConfig,
+} from '../../../../core/config/geschaeftsfuehrer.config.js';
+import { RevenueCategory } from '../../domain/value-objects/RevenueCategory.js';
+import { HierarchyScenario } from '../../domain/value-objects/HierarchyScenario.js';
+import { SIMULATION_ROLES } from '../../domain/services/ProvisionSimulationService.js';
+
+const ROLE_LABELS = {
+  [SIMULATION_ROLES.OWNER]: 'Erfasser',
+  [SIMULATION_ROLES.TIP_PROVIDER]: 'Tippgeber',
+  [SIMULATION_ROLES.MANAGER]: 'Manager',
+  [SIMULATION_ROLES.COMPANY]: 'Unternehmen',
+};
+
+const RATE_FIELDS = [
+  { key: 'bankProvision', label: 'Bank (%)' },
+  { key: 'insuranceProvision', label: 'Versicherung (%)' },
+  { key: 'realEstateProvision', label: 'Immobilien (%)' },
+];
+
+export class ProvisionSimulatorScreen {
+  #element;
+  #container;
+  #simulationService;
+  #revenueService;
+  #hierarchyService;
+  #treeId;
+  #tree = null;
+  #mode = 'deal'; // 'deal' or 'scenario'
+
+  // Deal form
+  #dealEmployeeSelect;
+  #categorySelect;
+  #productSelect;
+  #providerSelect;
+  #grossAmountInput;
+  #vatCheckbox;
+  #dateInput;
+  #tipProviderRows = [];
+  #tipProviderContainer;
+  #dealResult;
+
+  // Scenario form
+  #scenarioNodeSelect;
+  #rateInputs = {};
+  #managerSelect;
+  #startMonthInput;
+  #endMonthInput;
+  #scenarioResult;
+  #compareButton;
+
+  constructor(container, simulationService, revenueService, hierarchyService, treeId = null) {
+    this.#container = typeof container === 'string' ? getElement(container) : container;
+    this.#simulationService = simulationService;
+    this.#revenueService = revenueService;
+    this.#hierarchyService = hierarchyService;
+    this.#treeId = treeId || APP_CONFIG.mainTreeId;
+  }
+
+  #render() {
+    const content = createElement('div', { className: 'simulator-content' }, [
+      this.#mode === 'deal' ? this.#renderDealMode() : this.#renderScenarioMode(),
+    ]);
+
+    return createElement('div', { className: 'revenue-screen simulator-screen' }, [
+      this.#createHeader(),
+      this.#createModeToggle(),
+      content,
+    ]);
+  }
+
+  #createHeader() {
+    const backButton = createElement('button', {
+      className: 'btn-back-to-org',
+      onclick: () => {
+        window.location.hash = '';
+      },
+      'aria-label': 'Zurück zum Organigramm',
+    }, [
+      createElement('svg', {
+        width: '20',
+        height: '20',
+        viewBox: '0 0 20 20',
+        fill: 'none',
+        stroke: 'currentColor',
+        'stroke-width': '2.5',
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+        style: 'display: block;',
+      }, [
+        createElement('path', { d: 'M13 5L7 10L13 15' }),
+      ]),
+    ]);
+
+    return createElement('header', { className: 'revenue-header' }, [
+      createElement('div', { className: 'header-left' }, [
+        backButton,
+        createElement('div', { className: 'header-title-group header-title-group--inline' }, [
+          createElement('h1', { className: 'header-title' }, ['Provisionssimulator']),
+          createElement('span', { className: 'header-separator' }, ['·']),
+          createElement('span', { className: 'header-employee-name' }, ['Keine Daten werden gespeichert']),
+        ]),
+      ]),
+    ]);
+  }
+
+  #createModeToggle() {
+    const modes = [
+      { key: 'deal', label: 'Geschäft simulieren' },
+      { key: 'scenario', label: 'Was wäre wenn' },
+    ];
+
+    return createElement('div', { className: 'revenue-toolbar' }, [
+      createElement('div', { className: 'view-toggle' }, modes.map((mode) =>
+        createElement('button', {
+          className: `view-toggle-btn ${this.#mode === mode.key ? 'active' : ''}`,
+          onclick: () => this.#setMode(mode.key),
+        }, [mode.label]),
+      )),
+    ]);
+  }
+
+  #setMode(mode) {
+    if (this.#mode === mode) return;
+    this.#mode = mode;
+    this.#tipProviderRows = [];
+    this.#rerender();
+  }
+
+  #rerender() {
+    const element = this.#render();
+    this.#element.replaceWith(element);
+    this.#element = element;
+  }
+
+  // === Deal mode ===
+
+  #renderDealMode() {
+    this.#dealEmployeeSelect = this.#createPersonSelect({ includeRoot: true, includeGf: true });
+    this.#categorySelect = createElement('select', {
+      className: 'input-field',
+      onchange: (e) => this.#onCategoryChange(e.target.value),
+    });
+    this.#productSelect = createElement('select', {
+      className: 'input-field',
+      onchange: () => this.#onProductChange(),
+    });
+    this.#providerSelect = createElement('select', { className: 'input-field' });
+    this.#grossAmountInput = new Input({ label: 'Bruttobetrag (EUR)', type: 'number', placeholder: '0.00' });
+    this.#dateInput = new Input({ label: 'Datum', type: 'date', value: new Date().toISOString().split('T')[0] });
+    this.#vatCheckbox = createElement('input', {
+      type: 'checkbox',
+      id: 'simulator-vat-checkbox',
+      className: 'vat-checkbox-input',
+    });
+    this.#tipProviderContainer = createElement('div', { className: 'tip-provider-rows' });
+    this.#dealResult = createElement('div', { className: 'simulator-result' });
+
+    this.#populateCategories();
+
+    return createElement('div', { className: 'simulator-panel' }, [
+      createElement('div', { className: 'simulator-form' }, [
+        this.#labelled('Mitarbeiter', this.#dealEmployeeSelect),
+        this.#labelled('Kategorie', this.#categorySelect),
+        this.#labelled('Produkt', this.#productSelect),
+        this.#labelled('Produktgeber', this.#providerSelect),
+        this.#grossAmountInput.element,
+        this.#dateInput.element,
+      ]),
+      createElement('div', { className: 'vat-checkbox-wrapper' }, [
+        createElement('label', { className: 'vat-checkbox-label', htmlFor: 'simulator-vat-checkbox' }, [
+          this.#vatCheckbox,
+          createElement('span', { className: 'vat-checkbox-text' }, ['Betrag enthält Umsatzsteuer (19%)']),
+        ]),
+      ]),
+      createElement('div', { className: 'tip-provider-section' }, [
+        createElement('div', { className: 'tip-provider-section-header' }, [
+          createElement('label', { className: 'input-label' }, ['Tippgeber']),
+          createElement('span', { className: 'tip-provider-section-hint' }, ['optional']),
+        ]),
+        this.#tipProviderContainer,
+        createElement('button', {
+          type: 'button',
+          className: 'btn-add-tip-provider',
+          onclick: () => this.#addTipProviderRow(),
+        }, ['+ Tippgeber hinzufügen']),
+      ]),
+      createElement('div', { className: 'simulator-actions' }, [
+        new Button({ label: 'Berechnen', variant: 'primary', onClick: () => this.#handleSimulate() }).element,
+      ]),
+      this.#dealResult,
+    ]);
+  }
+
+  async #populateCategories() {
+    try {
+      const categories = await this.#revenueService.getAvailableCategories();
+      this.#categorySelect.replaceChildren(...categories.map((category) =>
+        createElement('option', { value: category.type || category }, [category.displayName || category.toString()]),
+      ));
+      await this.#onCategoryChange(this.#categorySelect.value);
+    } catch (error) {
+      Logger.error('Failed to load categories for simulator:', error);
+    }
+  }
+
+  async #onCategoryChange(categoryType) {
+    if (!categoryType) return;
+
+    let products = [];
+    try {
+      products = await this.#revenueService.getProductsForCategory(categoryType);
+    } catch (error) {
+      Logger.warn('Failed to load products for simulator:', error);
+    }
+
+    this.#productSelect.replaceChildren(...products.map((product) => {
+      const name = product.name || product;
+      const option = createElement('option', { value: product.id || name }, [name]);
+      option.dataset.productName = name;
+      return option;
+    }));
+    this.#vatCheckbox.checked = ['realEstate', 'propertyManagement'].includes(categoryType);
+    await this.#onProductChange();
+  }
+
+  async #onProductChange() {
+    const productOption = this.#productSelect.selectedOptions[0];
+    // Fallback products have no catalog id (id equals the name)
+    const productId = productOption && productOption.value !== productOption.dataset.productName
+      ? productOption.value
+      : null;
+    let providers = [];
+    try {
+      providers = productId
+        ? await this.#revenueService.getProvidersForProduct(productId)
+        : await this.#revenueService.getProvidersForCategory(this.#categorySelect.value);
+    } catch (error) {
+      Logger.warn('Failed to load providers for simulator:', error);
+    }
+
+    this.#providerSelect.replaceChildren(
+      createElement('option', { value: '' }, ['–']),
+      ...providers.map((provider) => {
+        const name = provider.name || provider;
+        return createElement('option', { value: name }, [name]);
+      }),
+    );
+  }
+
+  #addTipProviderRow() {
+    const select = this.#createPersonSelect({ includeRoot: false, includeGf: true });
+    const percentageInput = new Input({ type: 'number', placeholder: 'Provision %' });
+    const row = createElement('div', { className: 'simulator-tip-provider-row' }, [
+      select,
+      percentageInput.element,
+      createElement('button', {
+        type: 'button',
+        className: 'btn-remove-tip-provider',
+        onclick: () => {
+          this.#tipProviderRows = this.#tipProviderRows.filter((r) => r.row !== row);
+          row.remove();
+        },
+      }, ['×']),
+    ]);
+    this.#tipProviderRows.push({ row, select, percentageInput });
+    this.#tipProviderContainer.appendChild(row);
+  }
+
+  async #handleSimulate() {
+    const grossAmount = parseFloat(this.#grossAmountInput.value);
+    if (!grossAmount || isNaN(grossAmount)) {
+      this.#grossAmountInput.setError('Betrag angeben');
+      return;
+    }
+    this.#grossAmountInput.setError(null);
+
+    const hasVAT = this.#vatCheckbox.checked;
+    const vatRate = 19;
+    const categoryType = this.#categorySelect.value;
+    const productOption = this.#productSelect.selectedOptions[0];
+    const tipProviders = this.#tipProviderRows
+      .filter(({ select, percentageInput }) => select.value && parseFloat(percentageInput.value) > 0)
+      .map(({ select, percentageInput }) => ({
+        id: select.value,
+        name: select.selectedOptions[0]?.textContent || select.value,
+        provisionPercentage: parseFloat(percentageInput.value),
+      }));
+
+    const entryData = {
+      customerName: 'Simulation',
+      category: categoryType,
+      product: {
+        id: productOption?.value || null,
+        name: productOption?.dataset.productName || productOption?.value || '',
+        category: categoryType,
+      },
+      productProvider: {
+        name: this.#providerSelect.value || 'N/A',
+        category: categoryType,
+      },
+      contractNumber: 'SIMULATION',
+      provisionAmount: hasVAT ? Math.round((grossAmount / (1 + vatRate / 100)) * 100) / 100 : grossAmount,
+      hasVAT,
+      vatRate,
+      tipProviders,
+      entryDate: new Date(this.#dateInput.value || Date.now()).toISOString(),
+    };
+
+    this.#dealResult.replaceChildren(createElement('p', { className: 'simulator-note' }, ['Berechnung läuft...']));
+    try {
+      const result = await this.#simulationService.simulate({
+        employeeId: this.#dealEmployeeSelect.value,
+        entryData,
+      });
+      this.#dealResult.replaceChildren(this.#renderDealResult(result));
+    } catch (error) {
+      Logger.error('Provision simulation failed:', error);
+      this.#dealResult.replaceChildren(
+        createElement('p', { className: 'simulator-note simulator-error' }, [`Fehler: ${error.message}`]),
+      );
+    }
+  }
+
+  #renderDealResult(result) {
+    const rows = result.recipients.map((recipient) =>
+      createElement('tr', { className: `simulator-row simulator-row--${recipient.role}` }, [
+        createElement('td', {}, [recipient.name]),
+        createElement('td', {}, [ROLE_LABELS[recipient.role]]),
+        createElement('td', { className: 'simulator-number' }, [`${recipient.percentage.toLocaleString('de-DE')} %`]),
+        createElement('td', { className: 'simulator-number' }, [this.#formatCurrency(recipient.net)]),
+        createElement('td', { className: 'simulator-number' }, [this.#formatCurrency(recipient.vat)]),
+        createElement('td', { className: 'simulator-number' }, [this.#formatCurrency(recipient.gross)]),
+      ]),
+    );
+
+    const sum = (key) => result.recipients.reduce((total, r) => total + r[key], 0);
+
+    return createElement('table', { className: 'simulator-table' }, [
+      createElement('thead', {}, [
+        createElement('tr', {}, ['Empfänger', 'Rolle', 'Anteil', 'Netto', 'USt', 'Brutto'].map((label) =>
+          createElement('th', {}, [label]),
+        )),
+      ]),
+      createElement('tbody', {}, rows),
+      createElement('tfoot', {}, [
+        createElement('tr', {}, [
+          createElement('td', { colSpan: 3 }, [
+            `Umsatz ${this.#formatCurrency(result.grossAmount)} (${RevenueCategory.fromString(result.entry.category.type).displayName})`,
+          ]),
+          createElement('td', { className: 'simulator-number' }, [this.#formatCurrency(sum('net'))]),
+          createElement('td', { className: 'simulator-number' }, [this.#formatCurrency(sum('vat'))]),
+          createElement('td', { className: 'simulator-number' }, [this.#formatCurrency(result.totalDistributed)]),
+        ]),
+      ]),
+    ]);
+  }
+
+  // === Scenario mode ===
+
+  #renderScenarioMode() {
+    const now = new Date();
+    const toMonthValue = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+
+    this.#scenarioNodeSelect = this.#createPersonSelect({
+      includeRoot: false,
+      includeGf: false,
+      onChange: () => this.#updateRatePlaceholders(),
+    });
+    this.#managerSelect = this.#createPersonSelect({ includeRoot: true, includeGf: false, emptyLabel: 'Unverändert' });
+    this.#rateInputs = {};
+    for (const field of RATE_FIELDS) {
+      this.#rateInputs[field.key] = new Input({ label: field.label, type: 'number' });
+    }
+    this.#startMonthInput = new Input({ label: 'Von (Monat)', type: 'month', value: toMonthValue(lastMonth) });
+    this.#endMonthInput = new Input({ label: 'Bis (Monat)', type: 'month', value: toMonthValue(lastMonth) });
+    this.#scenarioResult = createElement('div', { className: 'simulator-result' });
+    this.#compareButton = new Button({ label: 'Vergleichen', variant: 'primary', onClick: () => this.#handleCompare() });
+
+    this.#updateRatePlaceholders();
+
+    return createElement('div', { className: 'simulator-panel' }, [
+      createElement('p', { className: 'simulator-note' }, [
+        'Die Umsätze des Mitarbeiters und seines Teams im Zeitraum werden mit und ohne Änderung ' +
+        'neu berechnet (Sätze zum jeweiligen Erfassungsdatum). Leere Satzfelder bleiben unverändert.',
+      ]),
+      createElement('div', { className: 'simulator-form' }, [
+        this.#labelled('Mitarbeiter', this.#scenarioNodeSelect),
+        this.#labelled('Neuer Manager', this.#managerSelect),
+        ...RATE_FIELDS.map((field) => this.#rateInputs[field.key].element),
+        this.#startMonthInput.element,
+        this.#endMonthInput.element,
+      ]),
+      createElement('div', { className: 'simulator-actions' }, [this.#compareButton.element]),
+      this.#scenarioResult,
+    ]);
+  }
+
+  #updateRatePlaceholders() {
+    const nodeId = this.#scenarioNodeSelect?.value;
+    if (!nodeId || !this.#tree?.hasNode(nodeId)) return;
+
+    const rates = this.#tree.getNode(nodeId).getProvisionRatesAt();
+    for (const field of RATE_FIELDS) {
+      const input = this.#rateInputs[field.key];
+      input.clear();
+      input.element.querySelector('input').placeholder = `aktuell ${rates[field.key] || 0}`;
+    }
+  }
+
+  async #handleCompare() {
+    const start = this.#startMonthInput.value;
+    const end = this.#endMonthInput.value;
+    if (!start || !end || end < start) {
+      this.#endMonthInput.setError('Zeitraum prüfen');
+      return;
+    }
+    this.#endMonthInput.setError(null);
+
+    let scenario;
+    try {
+      const provisionRates = {};
+      for (const field of RATE_FIELDS) {
+        provisionRates[field.key] = this.#rateInputs[field.key].value;
+      }
+      scenario = new HierarchyScenario({
+        nodeId: this.#scenarioNodeSelect.value,
+        provisionRates,
+        managerId: this.#managerSelect.value || null,
+      });
+    } catch (error) {
+      this.#scenarioResult.replaceChildren(
+        createElement('p', { className: 'simulator-note simulator-error' }, [error.message]),
+      );
+      return;
+    }
+
+    const [startYear, startMonth] = start.split('-').map(Number);
+    const [endYear, endMonth] = end.split('-').map(Number);
+
+    this.#compareButton.element.disabled = true;
+    this.#scenarioResult.replaceChildren(createElement('p', { className: 'simulator-note' }, ['Berechnung läuft...']));
+    try {
+      const comparison = await this.#simulationService.compareScenario({
+        scenario,
+        startDate: new Date(startYear, startMonth - 1, 1),
+        endDate: new Date(endYear, endMonth, 0, 23, 59, 59),
+      });
+      this.#scenarioResult.replaceChildren(this.#renderComparison(comparison));
+    } catch (error) {
+      Logger.error('Provision scenario comparison failed:', error);
+      this.#scenarioResult.replaceChildren(
+        createElement('p', { className: 'simulator-note simulator-error' }, [`Fehler: ${error.message}`]),
+      );
+    } finally {
+      this.#compareButton.element.disabled = false;
+    }
+  }
+
+  #renderComparison(comparison) {
+    if (comparison.entryCount === 0) {
+      return createElement('p', { className: 'simulator-note' }, ['Keine Umsätze im gewählten Zeitraum.']);
+    }
+
+    const rows = comparison.recipients.map((row) =>
+      createElement('tr', { className: `simulator-row simulator-row--${row.role}` }, [
+        createElement('td', {}, [row.name]),
+        createElement('td', { className: 'simulator-number' }, [this.#formatCurrency(row.before)]),
+        createElement('td', { className: 'simulator-number' }, [this.#formatCurrency(row.after)]),
+        createElement('td', {
+          className: `simulator-number ${row.difference > 0 ? 'simulator-positive' : row.difference < 0 ? 'simulator-negative' : ''}`,
+        }, [this.#formatCurrency(row.difference)]),
+      ]),
+    );
+
+    return createElement('div', {}, [
+      createElement('p', { className: 'simulator-note' }, [`${comparison.entryCount} Umsätze verglichen`]),
+      createElement('table', { className: 'simulator-table' }, [
+        createElement('thead', {}, [
+          createElement('tr', {}, ['Empfänger', 'Vorher', 'Nachher', 'Differenz'].map((label) =>
+            createElement('th', {}, [label]),
+          )),
+        ]),
+        createElement('tbody', {}, rows),
+        createElement('tfoot', {}, [
+          createElement('tr', {}, [
+            createElement('td', {}, ['Summe (brutto)']),
+            createElement('td', { className: 'simulator-number' }, [this.#formatCurrency(comparison.totals.before)]),
+            createElement('td', { className: 'simulator-number' }, [this.#formatCurrency(comparison.totals.after)]),
+            createElement('td', {}, []),
+          ]),
+        ]),
+      ]),
+    ]);
+  }
+
+  // === Helpers ===
+
+  #createPersonSelect({ includeRoot, includeGf, emptyLabel = null, onChange = null }) {
+    const nodes = this.#tree ? this.#tree.getAllNodes() : [];
+    const persons = nodes
+      .filter((node) => includeRoot || !node.isRoot)
+      .map((node) => ({ id: node.id, name: node.name }));
+
+    if (includeGf) {
+      for (const gfId of GESCHAEFTSFUEHRER_IDS) {
+        const gfConfig = getGeschaeftsfuehrerConfig(gfId);
+        persons.push({ id: gfConfig.id, name: gfConfig.name });
+      }
+    }
+    persons.sort((a, b) => a.name.localeCompare(b.name));
+
+    const options = persons.map((person) => createElement('option', { value: person.id }, [person.name]));
+    if (emptyLabel) {
+      options.unshift(createElement('option', { value: '' }, [emptyLabel]));
+    }
+
+    return createElement('select', {
+      className: 'input-field',
+      onchange: onChange ? () => onChange() : null,
+    }, options);
+  }
+
+  #labelled(label, control) {
+    return createElement('div', { className: 'input-wrapper' }, [
+      createElement('label', { className: 'input-label' }, [label]),
+      control,
+    ]);
+  }
+
+  #formatCurrency(amount) {
+    return new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR' }).format(amount);
+  }
+
+  async mount() {
+    clearElement(this.#container);
+    try {
+      this.#tree = await this.#hierarchyService.getTree(this.#treeId);
+    } catch (error) {
+      Logger.warn('Failed to load tree for simulator:', error);
+      this.#tree = null;
+    }
+    this.#element = this.#render();
+    this.#container.appendChild(this.#element);
+  }
+
+  unmount() {
+    clearElement(this.#container);
+  }
+}
@@ -10,16 +10,29 @@ import { RevenueTable } from '../components/organisms/RevenueTable.js';
 import { RevenueDashboard } from '../components/organisms/RevenueDashboard.js';
 import { TopRankingsView } from '../components/organisms/TopRankingsView.js';
 import { CancellationAnalysisView } from '../components/organisms/CancellationAnalysisView.js';
+import { ChangeLogView } from '../components/organisms/ChangeLogView.js';
 import { AddRevenueDialog } from '../components/molecules/AddRevenueDialog.js';
+import { RecurringRevenueDialog } from '../components/molecules/RecurringRevenueDialog.js';
+import { ProvisionTierDialog } from '../components/molecules/ProvisionTierDialog.js';
+import { PeriodClosingDialog } from '../components/molecules/PeriodClosingDialog.js';
+import { TeamBonusDialog } from '../../../team-bonus/presentation/components/molecules/TeamBonusDialog.js';
+import { StatusChangeDialog } from '../components/molecules/StatusChangeDialog.js';
+import { StatusTimelineDialog } from '../components/molecules/StatusTimelineDialog.js';
 import { ProvisionCascade } from '../components/molecules/ProvisionCascade.js';
+import { EntryAttachmentList } from '../components/molecules/EntryAttachmentList.js';
+import { EntryAttachmentsDialog } from '../components/molecules/EntryAttachmentsDialog.js';
 import { DateRangePicker } from '../components/molecules/DateRangePicker.js';
+import { BulkActionBar, BULK_ACTIONS } from '../components/molecules/BulkActionBar.js';
+import { BulkActionDialog } from '../components/molecules/BulkActionDialog.js';
 import { Button } from '../../../hierarchy-tracking/presentation/components/atoms/Button.js';
 import { Icon } from '../../../hierarchy-tracking/presentation/components/atoms/Icon.js';
 import { SearchBar } from '../../../hierarchy-tracking/presentation/components/molecules/SearchBar.js';
 import { REVENUE_STATUS_TYPES } from '../../domain/value-objects/RevenueStatus.js';
+import { RevenueCsvExportService } from '../../domain/services/RevenueCsvExportService.js';
 import { Logger } from './../../../../core/utils/logger.js';
 import { createWIFOImportButton } from '../../../wifo-import/WIFOImportIntegration.js';
-import { BillingExportDialog } from '../../../billing-export/presentation/index.js';
+import { BillingExportDialog, AdvanceAgreementDialog, LedgerView } from '../../../billing-export/presentation/index.js';
+import { SalesTargetDialog } from '../../../sales-targets/presentation/components/molecules/SalesTargetDialog.js';
 import { isGeschaeftsfuehrerId, buildGeschaeftsfuehrerNode } from '../../../../core/config/geschaeftsfuehrer.config.js';
 
 const MONTH_NAMES = [
@@ -29,6 +42,7 @@ const MONTH_NAMES = [
 
 // Column configuration for company table sorting
 const COMPANY_COLUMNS = [
+  { key: 'select', label: '', sortable: false, className: 'th-select' },
   { key: 'expand', label: '', sortable: false, className: 'th-expand' },
   { key: 'employee', label: 'Mitarbeiter', sortable: true },
   { key: 'customer', label: 'Kunde', sortable: true },
@@ -46,6 +60,18 @@ export class RevenueScreen {
   #revenueService;
   #hierarchyService;
   #profileService;
+  #stornoreserveService;
+  #ledgerService;
+  #advanceService;
+  #recurringRevenueService;
+  #attachmentService;
+  #customerService;
+  #salesTargetService;
+  #provisionTierService;
+  #teamBonusService;
+  #periodClosingService;
+  #billingArchiveService;
+  #targetOverview = null;
   #state;
   #employee;
   #employeeId;
@@ -61,17 +87,31 @@ export class RevenueScreen {
   #closingEntries = new Set();
   #companySortColumn = null;
   #companySortDirection = null; // 'asc', 'desc', or null
-  #viewMode = 'table'; // 'table', 'dashboard', 'rankings', 'cancellation'
+  #viewMode = 'table'; // 'table', 'dashboard', 'rankings', 'cancellation', 'ledger', 'changelog'
   #isAnimating = false;
   #revenueUpdateTimer = null;
   #lastRenderFingerprint = null;
   #isVatExempt = false;
+  #selectedEntryIds = new Set();
+  #selectableEntries = [];
+  #bulkActionSlot = null;
 
-  constructor(container, revenueService, hierarchyService, employeeId, treeId, profileService = null) {
+  constructor(container, revenueService, hierarchyService, employeeId, treeId, profileService = null, stornoreserveService = null, ledgerService = null, advanceService = null, recurringRevenueService = null, attachmentService = null, customerService = null, salesTargetService = null, provisionTierService = null, teamBonusService = null, periodClosingService = null, billingArchiveService = null) {
     this.#container = typeof container === 'string' ? getElement(container) : container;
     this.#revenueService = revenueService;
     this.#hierarchyService = hierarchyService;
     this.#profileService = profileService;
+    this.#stornoreserveService = stornoreserveService;
+    this.#ledgerService = ledgerService;
+    this.#advanceService = advanceService;
+    this.#recurringRevenueService = recurringRevenueService;
+    this.#attachmentService = attachmentService;
+    this.#customerService = customerService;
+    this.#salesTargetService = salesTargetService;
+    this.#provisionTierService = provisionTierService;
+    this.#teamBonusService = teamBonusService;
+    this.#periodClosingService = periodClosingService;
+    this.#billingArchiveService = billingArchiveService;
     this.#employeeId = employeeId;
     this.#treeId = treeId;
     this.#state = new RevenueState();
@@ -225,6 +265,16 @@ createElement('svg', {
       rightGroup.push(wifoImportBtn);
     }
 
+    // Monatsabschluss applies to all employees, so it lives in the company view
+    if (this.#isCompanyView && authService.isAdmin() && this.#periodClosingService) {
+      const closingBtn = new Button({
+        label: 'Monatsabschluss',
+        variant: 'outline',
+        onClick: () => this.#showPeriodClosingDialog(),
+      });
+      rightGroup.push(closingBtn.element);
+    }
+
     // Billing export button for admins viewing a specific employee (not company view)
     if (!this.#isCompanyView && authService.isAdmin()) {
       const billingBtn = new Button({
@@ -234,6 +284,44 @@ createElement('svg', {
         onClick: () => this.#showBillingExportDialog(this.#employeeId, this.#employee?.name),
       });
       rightGroup.push(billingBtn.element);
+
+      if (this.#advanceService) {
+        const advanceBtn = new Button({
+          label: 'Vorschuss',
+          variant: 'outline',
+          onClick: () => this.#showAdvanceAgreementDialog(),
+        });
+        rightGroup.push(advanceBtn.element);
+      }
+
+      if (this.#provisionTierService && !this.#employee?.isGeschaeftsfuehrer) {
+        const tierBtn = new Button({
+          label: 'Staffel',
+          variant: 'outline',
+          onClick: () => this.#showProvisionTierDialog(),
+        });
+        rightGroup.push(tierBtn.element);
+      }
+
+      // Team bonus only makes sense for leaders with a subtree
+      if (this.#teamBonusService && !this.#employee?.isGeschaeftsfuehrer && this.#employee?.childCount > 0) {
+        const teamBonusBtn = new Button({
+          label: 'Teambonus',
+          variant: 'outline',
+          onClick: () => this.#showTeamBonusDialog(),
+        });
+        rightGroup.push(teamBonusBtn.element);
+      }
+    }
+
+    // Recurring revenue templates of the employee (property management, energy contracts)
+    if (!this.#isCompanyView && canEdit && this.#recurringRevenueService) {
+      const recurringBtn = new Button({
+        label: 'Wiederkehrend',
+        variant: 'outline',
+        onClick: () => this.#showRecurringRevenueDialog(),
+      });
+      rightGroup.push(recurringBtn.element);
     }
 
     // Add button: employee view -> direct add, company view -> add with employee selector
@@ -284,6 +372,24 @@ createElement('svg', {
         'data-view-mode': 'cancellation',
         onclick: () => this.#setViewMode('cancellation'),
       }, ['Qualität']));
+
+      // Change log across all entries (bookkeeping)
+      if (authService.isAdmin()) {
+        buttons.push(createElement('button', {
+          className: `view-toggle-btn ${this.#viewMode === 'changelog' ? 'active' : ''}`,
+          'data-view-mode': 'changelog',
+          onclick: () => this.#setViewMode('changelog'),
+        }, ['Protokoll']));
+      }
+    }
+
+    // Ledger button (employee view, admins and the employee themself)
+    if (this.#canViewLedger()) {
+      buttons.push(createElement('button', {
+        className: `view-toggle-btn ${this.#viewMode === 'ledger' ? 'active' : ''}`,
+        'data-view-mode': 'ledger',
+        onclick: () => this.#setViewMode('ledger'),
+      }, ['Provisionskonto']));
     }
 
     return createElement('div', { className: 'view-toggle' }, buttons);
@@ -372,6 +478,7 @@ createElement('svg', {
   #onDateRangeChange(range) {
     this.#startDate = range.startDate;
     this.#endDate = range.endDate;
+    this.#selectedEntryIds = new Set();
 
     // Animate content change
     const content = this.#element.querySelector('.revenue-content');
@@ -487,6 +594,7 @@ createElement('svg', {
   #switchTab(tab) {
     if (this.#activeTab === tab || this.#isAnimating) return;
     this.#lastRenderFingerprint = null;
+    this.#selectedEntryIds = new Set();
 
     this.#isAnimating = true;
 
@@ -614,6 +722,9 @@ createElement('svg', {
           this.#state.setExtraordinaryEntries(extraordinaryEntries);
         }
       }
+
+      // Before the batch ends: the dashboard renders with the entries
+      await this.#loadTargetOverview();
     } catch (error) {
       Logger.error('Failed to load revenue data:', error);
       this.#state.setError(error.message);
@@ -729,6 +840,11 @@ createElement('svg', {
   }
 
   #renderOwnRevenues() {
+    // Provision ledger is per employee and independent of the tab's entries
+    if (this.#viewMode === 'ledger') {
+      return createElement('div', { className: 'revenue-own' }, [this.#renderLedgerView()]);
+    }
+
     const state = this.#state.getState();
     let entries = state.searchQuery ? this.#state.filteredEntries : state.entries;
 
@@ -743,6 +859,8 @@ createElement('svg', {
         mode: 'own',
         startDate: this.#startDate,
         endDate: this.#endDate,
+        targets: this.#targetOverview,
+        onManageTargets: this.#getManageTargetsHandler(),
       });
 
       return createElement('div', { className: 'revenue-own' }, [
@@ -790,19 +908,32 @@ createElement('svg', {
       entries,
       employee: this.#employee,
       isAdmin: authService.isAdmin(),
+      selectable: canEdit,
+      selectedIds: this.#selectedEntryIds,
+      onSelectionChange: (selected) => {
+        this.#selectedEntryIds = new Set(selected.map((e) => e.id));
+        this.#updateBulkActionBar();
+      },
       onEdit: canEdit ? (entry) => this.#handleEdit(entry) : null,
       onDelete: canEdit ? (entry) => this.#handleDelete(entry) : null,
       onStatusChange: canEdit ? (entryId, newStatus) => this.#handleStatusChange(entryId, newStatus) : null,
+      onShowHistory: (entry) => this.#showEntryHistory(entry),
+      onShowAttachments: this.#attachmentService ? (entry) => this.#showAttachmentsDialog(entry, canEdit) : null,
     });
 
     return createElement('div', { className: 'revenue-own' }, [
       periodHeader,
       statsBar,
+      canEdit ? this.#renderBulkActionSlot(entries) : null,
       this.#revenueTable.element,
-    ]);
+    ].filter(Boolean));
   }
 
   #renderTeamRevenues() {
+    if (this.#viewMode === 'ledger') {
+      return createElement('div', { className: 'revenue-team' }, [this.#renderLedgerView()]);
+    }
+
     const state = this.#state.getState();
     let entries = state.hierarchicalEntries;
 
@@ -817,6 +948,8 @@ createElement('svg', {
         mode: 'team',
         startDate: this.#startDate,
         endDate: this.#endDate,
+        targets: this.#targetOverview,
+        onManageTargets: this.#getManageTargetsHandler(),
       });
 
       return createElement('div', { className: 'revenue-team' }, [
@@ -889,6 +1022,10 @@ createElement('svg', {
   }
 
   #renderTipProviderRevenues() {
+    if (this.#viewMode === 'ledger') {
+      return createElement('div', { className: 'revenue-tip-provider' }, [this.#renderLedgerView()]);
+    }
+
     const state = this.#state.getState();
     let entries = state.tipProviderEntries;
 
@@ -1112,6 +1249,7 @@ createElement('svg', {
       revenueService: this.#revenueService,
       profileService: this.#profileService,
       hierarchyService: this.#hierarchyService,
+      billingArchiveService: this.#billingArchiveService,
       isExtraordinary: true,
       onExportComplete: () => {
         this.#loadData();
@@ -1168,6 +1306,7 @@ createElement('svg', {
       entry,
       revenueService: this.#revenueService,
       hierarchyService: this.#hierarchyService,
+      customerService: this.#customerService,
       employeeId: this.#employeeId,
       onSave: async (data) => {
         try {
@@ -1214,6 +1353,20 @@ createElement('svg', {
       ]),
     ]);
 
+    // Change log lists changes made in the period, independent of entry dates
+    if (this.#viewMode === 'changelog') {
+      const changeLog = new ChangeLogView({
+        revenueService: this.#revenueService,
+        startDate: this.#startDate,
+        endDate: this.#endDate,
+      });
+
+      return createElement('div', { className: 'revenue-company' }, [
+        periodHeader,
+        changeLog.element,
+      ]);
+    }
+
     if (entries.length === 0) {
       return createElement('div', { className: 'revenue-company' }, [
         periodHeader,
@@ -1236,6 +1389,8 @@ createElement('svg', {
         mode: 'company',
         startDate: this.#startDate,
         endDate: this.#endDate,
+        targets: this.#targetOverview,
+        onManageTargets: this.#getManageTargetsHandler(),
       });
 
       return createElement('div', { className: 'revenue-company' }, [
@@ -1308,7 +1463,14 @@ createElement('svg', {
     });
 
     // Build sortable header
+    const canSelect = this.#canEditRevenue();
     const headerCells = COMPANY_COLUMNS.map((col) => {
+      if (col.key === 'select') {
+        return createElement('th', { className: col.className }, [
+          canSelect ? this.#createCompanySelectAllCheckbox(sortedEntries) : null,
+        ].filter(Boolean));
+      }
+
       const isActive = this.#companySortColumn === col.key;
       const classes = [];
       if (col.className) classes.push(col.className);
@@ -1343,8 +1505,9 @@ createElement('svg', {
     return createElement('div', { className: 'revenue-company' }, [
       periodHeader,
       statsBar,
+      canSelect ? this.#renderBulkActionSlot(sortedEntries.map((e) => e.originalEntry)) : null,
       createElement('div', { className: 'revenue-table-container' }, [table]),
-    ]);
+    ].filter(Boolean));
   }
 
   #renderSortIndicator(direction) {
@@ -1456,12 +1619,16 @@ createElement('svg', {
     const rowClasses = ['company-row'];
     if (isExpanded) rowClasses.push('row-expanded');
     if (isExcluded) rowClasses.push('row-rejected');
+    if (this.#selectedEntryIds.has(entry.originalEntry.id)) rowClasses.push('row-selected');
 
     // Main data row
     const mainRow = createElement('tr', {
       className: rowClasses.join(' '),
       'data-entry-id': entryId,
     }, [
+      createElement('td', { className: 'td-select' }, [
+        this.#canEditRevenue() ? this.#createCompanySelectCheckbox(entry.originalEntry) : null,
+      ].filter(Boolean)),
       createElement('td', { className: 'td-expand' }, [expandBtn]),
       createElement('td', { className: 'td-employee' }, [
         createElement('span', { className: 'employee-name' }, [employeeName]),
@@ -1474,7 +1641,12 @@ createElement('svg', {
       createElement('td', { className: 'text-left' }, [
         this.#formatCurrency(entry.companyProvisionAmount),
       ]),
-      createElement('td', { className: 'td-status' }, [statusDropdown]),
+      createElement('td', { className: 'td-status' }, [
+        statusDropdown,
+        entry.originalEntry.hasPendingApproval
+          ? createElement('span', { className: 'status-pending-approval' }, ['2. Freigabe offen'])
+          : null,
+      ].filter(Boolean)),
       this.#renderCompanyActionsCell(entry),
     ]);
 
@@ -1490,10 +1662,11 @@ createElement('svg', {
       if (isClosing) containerClasses.push('cascade-closing');
 
       cascadeRow = createElement('tr', { className: cascadeClasses.join(' ') }, [
-        createElement('td', { colspan: '9', className: 'cascade-cell' }, [
+        createElement('td', { colspan: '10', className: 'cascade-cell' }, [
           createElement('div', { className: containerClasses.join(' ') }, [
             cascade.element,
-          ]),
+            this.#renderCompanyAttachments(entry),
+          ].filter(Boolean)),
         ]),
       ]);
     }
@@ -1501,6 +1674,191 @@ createElement('svg', {
     return { mainRow, cascadeRow };
   }
 
+  // === Bulk Actions ===
+
+  /**
+   * Placeholder above the table that holds the BulkActionBar while entries are
+   * selected. Selection survives re-renders, but only visible entries count.
+   */
+  #renderBulkActionSlot(entries) {
+    this.#selectableEntries = entries;
+    this.#bulkActionSlot = createElement('div', { className: 'bulk-action-slot' });
+    this.#updateBulkActionBar();
+    return this.#bulkActionSlot;
+  }
+
+  #getSelectedEntries() {
+    return this.#selectableEntries.filter((e) => this.#selectedEntryIds.has(e.id));
+  }
+
+  #updateBulkActionBar() {
+    if (!this.#bulkActionSlot) return;
+
+    clearElement(this.#bulkActionSlot);
+    const selected = this.#getSelectedEntries();
+    if (selected.length === 0) return;
+
+    const bar = new BulkActionBar({
+      entries: selected,
+      isAdmin: authService.isAdmin(),
+      canDelete: this.#canEditRevenue(),
+      onAction: (action, entries) => this.#handleBulkAction(action, entries),
+      onClear: () => this.#clearSelection(),
+    });
+    this.#bulkActionSlot.appendChild(bar.element);
+  }
+
+  #clearSelection() {
+    this.#selectedEntryIds = new Set();
+    if (this.#activeTab === 'own' && this.#revenueTable) {
+      this.#revenueTable.clearSelection();
+    } else {
+      this.#syncCompanySelection();
+    }
+    this.#updateBulkActionBar();
+  }
+
+  #createCompanySelectAllCheckbox(companyEntries) {
+    const ids = companyEntries.map((e) => e.originalEntry.id);
+    const checkbox = createElement('input', {
+      type: 'checkbox',
+      className: 'revenue-select-checkbox revenue-select-all',
+      title: 'Alle auswählen',
+      checked: ids.length > 0 && ids.every((id) => this.#selectedEntryIds.has(id)),
+    });
+    checkbox.addEventListener('change', () => {
+      this.#selectedEntryIds = checkbox.checked ? new Set(ids) : new Set();
+      this.#syncCompanySelection();
+      this.#updateBulkActionBar();
+    });
+    return checkbox;
+  }
+
+  #createCompanySelectCheckbox(originalEntry) {
+    const checkbox = createElement('input', {
+      type: 'checkbox',
+      className: 'revenue-select-checkbox',
+      checked: this.#selectedEntryIds.has(originalEntry.id),
+      dataset: { revenueEntryId: originalEntry.id },
+      onclick: (e) => e.stopPropagation(),
+    });
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        this.#selectedEntryIds.add(originalEntry.id);
+      } else {
+        this.#selectedEntryIds.delete(originalEntry.id);
+      }
+      this.#syncCompanySelection();
+      this.#updateBulkActionBar();
+    });
+    return checkbox;
+  }
+
+  /**
+   * Company rows are keyed by the company entry id, so the checkbox carries
+   * the id of the underlying revenue entry
+   */
+  #syncCompanySelection() {
+    const table = this.#element?.querySelector('.company-table');
+    if (!table) return;
+
+    const checkboxes = table.querySelectorAll('tbody .revenue-select-checkbox');
+    checkboxes.forEach((checkbox) => {
+      const isSelected = this.#selectedEntryIds.has(checkbox.dataset.revenueEntryId);
+      checkbox.checked = isSelected;
+      checkbox.closest('tr')?.classList.toggle('row-selected', isSelected);
+    });
+
+    const selectAll = table.querySelector('.revenue-select-all');
+    if (selectAll) {
+      const selectedCount = this.#getSelectedEntries().length;
+      selectAll.checked = checkboxes.length > 0 && selectedCount === checkboxes.length;
+      selectAll.indeterminate = selectedCount > 0 && selectedCount < checkboxes.length;
+    }
+  }
+
+  async #handleBulkAction(action, entries) {
+    if (action === BULK_ACTIONS.EXPORT) {
+      const date = new Date().toISOString().slice(0, 10);
+      new RevenueCsvExportService().download(entries, `Umsaetze_${date}.csv`);
+      return;
+    }
+
+    const employees = action === BULK_ACTIONS.REASSIGN ? await this.#getReassignmentTargets() : [];
+
+    const dialog = new BulkActionDialog({
+      action,
+      entries,
+      employees,
+      onConfirm: async (params) => {
+        const problems = await this.#applyBulkAction(action, entries, params);
+        this.#clearSelection();
+        await this.#loadData({ silent: true });
+        return problems;
+      },
+    });
+    dialog.show();
+  }
+
+  /**
+   * @returns {Promise<string[]>} One line per entry that could not be processed
+   */
+  async #applyBulkAction(action, entries, { status, comment, employeeId }) {
+    const ids = entries.map((e) => e.id);
+    const describeFailures = (failed) => failed.map((f) => `${f.customerName}: ${f.message}`);
+
+    switch (action) {
+      case BULK_ACTIONS.STATUS: {
+        const result = await this.#revenueService.bulkUpdateEntryStatus(ids, status, {
+          actor: this.#getCurrentActor(),
+          comment,
+        });
+        const problems = describeFailures(result.failed);
+        if (result.pendingApproval > 0) {
+          problems.push(`${result.pendingApproval} Umsätze warten auf die zweite Freigabe`);
+        }
+        return problems;
+      }
+
+      case BULK_ACTIONS.MARK_BILLED:
+        await this.#revenueService.markEntriesAsBilled(ids);
+        return [];
+
+      case BULK_ACTIONS.REASSIGN: {
+        const result = await this.#revenueService.reassignEntries(ids, employeeId, {
+          actor: this.#getCurrentActor(),
+        });
+        return describeFailures(result.failed);
+      }
+
+      case BULK_ACTIONS.DELETE: {
+        const problems = [];
+        for (const entry of entries.filter((e) => e.status.isSubmitted)) {
+          try {
+            await this.#deleteEntryWithAttachments(entry);
+          } catch (error) {
+            Logger.error('Failed to delete entry in bulk action:', error);
+            problems.push(`${entry.customerName}: ${error.message}`);
+          }
+        }
+        return problems;
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  async #getReassignmentTargets() {
+    const tree = await this.#hierarchyService.getTree(this.#treeId);
+    if (!tree) return [];
+
+    return tree.getAllNodes()
+      .filter((node) => !node.isRoot)
+      .map((node) => ({ id: node.id, name: node.name }))
+      .sort((a, b) => a.name.localeCompare(b.name, 'de'));
+  }
+
   #createEmployeeExportButton(entry) {
     const employeeId = entry.entryOwner?.id || entry.originalEntry?.employeeId;
     const employeeName = entry.entryOwner?.name || entry.employee?.name || 'Mitarbeiter';
@@ -1589,10 +1947,11 @@ createElement('svg', {
         if (isExcluded) cascadeClasses.push('cascade-rejected');
 
         const cascadeRow = createElement('tr', { className: cascadeClasses.join(' ') }, [
-          createElement('td', { colspan: '9', className: 'cascade-cell' }, [
+          createElement('td', { colspan: '10', className: 'cascade-cell' }, [
             createElement('div', { className: 'cascade-container' }, [
               cascade.element,
-            ]),
+              this.#renderCompanyAttachments(entry),
+            ].filter(Boolean)),
           ]),
         ]);
 
@@ -1602,9 +1961,33 @@ createElement('svg', {
     }
   }
 
+  /**
+   * Ask for a comment (reason for rejections) before the status is changed.
+   * Errors of the workflow (missing reason, same admin confirming) stay in the dialog.
+   */
   async #handleStatusChange(entryId, newStatus) {
+    let entry;
     try {
-      const entry = await this.#revenueService.updateEntryStatus(entryId, newStatus);
+      entry = await this.#revenueService.getEntryById(entryId);
+    } catch (error) {
+      Logger.error('Failed to load entry for status change:', error);
+      return;
+    }
+
+    const dialog = new StatusChangeDialog({
+      entry,
+      newStatus,
+      onConfirm: (comment) => this.#applyStatusChange(entryId, newStatus, {
+        actor: this.#getCurrentActor(),
+        comment,
+      }),
+    });
+    dialog.show();
+  }
+
+  async #applyStatusChange(entryId, newStatus, options) {
+    try {
+      const entry = await this.#revenueService.updateEntryStatus(entryId, newStatus, options);
 
       if (this.#activeTab === 'own' && this.#revenueTable) {
         // Row-level DOM update — only status + actions cells are replaced
@@ -1619,10 +2002,52 @@ createElement('svg', {
       }
     } catch (error) {
       Logger.error('Failed to update status:', error);
-      await this.#loadData();
+      throw error;
     }
   }
 
+  #getCurrentActor() {
+    const user = authService.getCurrentUser();
+    return { id: user?.uid || null, name: user?.displayName || user?.email || null };
+  }
+
+  #renderCompanyAttachments(companyEntry) {
+    if (!this.#attachmentService || !companyEntry.originalEntry) return null;
+
+    return new EntryAttachmentList({
+      entry: companyEntry.originalEntry,
+      attachmentService: this.#attachmentService,
+      canEdit: this.#canEditRevenue(),
+      actor: this.#getCurrentActor(),
+      onChange: () => this.#loadData({ silent: true }),
+    }).element;
+  }
+
+  #showAttachmentsDialog(entry, canEdit) {
+    const dialog = new EntryAttachmentsDialog({
+      entry,
+      attachmentService: this.#attachmentService,
+      canEdit,
+      actor: this.#getCurrentActor(),
+      onClose: (updatedEntry) => {
+        if (updatedEntry) {
+          this.#state.updateEntry(updatedEntry);
+        }
+      },
+    });
+    dialog.show();
+  }
+
+  /**
+   * Stored files are not removed with the Firestore document, so delete them first
+   */
+  async #deleteEntryWithAttachments(entry) {
+    if (this.#attachmentService && entry.hasAttachments) {
+      await this.#attachmentService.deleteAllForEntry(entry);
+    }
+    await this.#revenueService.deleteEntry(entry.id);
+  }
+
   #createCompanyStatusDropdown(entry, currentStatus) {
     const statusOptions = [
       { value: REVENUE_STATUS_TYPES.SUBMITTED, label: 'Eingereicht' },
@@ -1882,9 +2307,23 @@ createElement('svg', {
     const status = companyEntry.originalEntry.status;
     const isEditable = status.type === REVENUE_STATUS_TYPES.SUBMITTED;
 
+    const historyIcon = new Icon({ name: 'history', size: 16 });
+    const historyBtn = createElement('button', {
+      className: 'action-btn action-btn-history',
+      type: 'button',
+      title: 'Verlauf',
+    }, [historyIcon.element]);
+
+    historyBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.#showEntryHistory(companyEntry.originalEntry);
+    });
+
     if (!isEditable) {
       return createElement('td', { className: 'td-actions' }, [
         createElement('div', { className: 'action-buttons' }, [
+          historyBtn,
           createElement('span', {
             className: 'action-locked',
             title: 'Dieser Eintrag wurde von Trialog bearbeitet und kann nicht mehr geändert werden',
@@ -1920,16 +2359,27 @@ createElement('svg', {
     });
 
     return createElement('td', { className: 'td-actions' }, [
-      createElement('div', { className: 'action-buttons' }, [editBtn, deleteBtn]),
+      createElement('div', { className: 'action-buttons' }, [historyBtn, editBtn, deleteBtn]),
     ]);
   }
 
+  async #showEntryHistory(entry) {
+    let changeLog = [];
+    try {
+      changeLog = await this.#revenueService.getEntryChangeLog(entry.id);
+    } catch (error) {
+      Logger.error('Failed to load change log:', error);
+    }
+    new StatusTimelineDialog(entry, changeLog).show();
+  }
+
   async #handleCompanyEdit(companyEntry) {
     const originalEntry = companyEntry.originalEntry;
     const dialog = new AddRevenueDialog({
       entry: originalEntry,
       revenueService: this.#revenueService,
       hierarchyService: this.#hierarchyService,
+      customerService: this.#customerService,
       companyMode: true,
       employeeId: this.#employeeId,
       onSave: async (data) => {
@@ -1956,7 +2406,7 @@ createElement('svg', {
     if (!confirmed) return;
 
     try {
-      await this.#revenueService.deleteEntry(originalEntry.id);
+      await this.#deleteEntryWithAttachments(originalEntry);
       await this.#loadData();
     } catch (error) {
       Logger.error('Failed to delete company entry:', error);
@@ -2123,22 +2573,23 @@ createElement('svg', {
     if (!this.#employee) return 0;
 
     return entries.reduce((sum, entry) => {
-      const provision = this.#getProvisionForCategory(entry.category.type);
+      const provision = this.#getProvisionForCategory(entry.category.type, entry.entryDate);
       return sum + (entry.grossAmount || entry.provisionAmount) * (provision / 100);
     }, 0);
   }
 
-  #getProvisionForCategory(categoryType) {
+  #getProvisionForCategory(categoryType, date = null) {
     if (!this.#employee) return 0;
 
+    const rates = this.#employee.getProvisionRatesAt?.(date) ?? this.#employee;
     switch (categoryType) {
       case 'bank':
-        return this.#employee.bankProvision;
+        return rates.bankProvision;
       case 'insurance':
-        return this.#employee.insuranceProvision;
+        return rates.insuranceProvision;
       case 'realEstate':
       case 'propertyManagement':
-        return this.#employee.realEstateProvision;
+        return rates.realEstateProvision;
       default:
         return 0;
     }
@@ -2148,11 +2599,17 @@ createElement('svg', {
     const dialog = new AddRevenueDialog({
       revenueService: this.#revenueService,
       hierarchyService: this.#hierarchyService,
+      customerService: this.#customerService,
       employeeId: this.#employeeId,
       onSave: async (data) => {
         try {
           // For extraordinary entries, employeeId is the target employee (not the GF)
           const effectiveEmployeeId = data.employeeId || this.#employeeId;
+          if (data.recurrence) {
+            await this.#createRecurringTemplate(effectiveEmployeeId, data);
+            dialog.remove();
+            return;
+          }
           const entry = await this.#revenueService.addEntry(effectiveEmployeeId, data);
           if (effectiveEmployeeId === this.#employeeId) {
             this.#state.addEntry(entry);
@@ -2164,6 +2621,7 @@ createElement('svg', {
           }
         } catch (error) {
           Logger.error('Failed to add entry:', error);
+          alert(`Speichern fehlgeschlagen: ${error.message}`);
         }
       },
       onCancel: () => dialog.remove(),
@@ -2176,16 +2634,22 @@ createElement('svg', {
     const dialog = new AddRevenueDialog({
       revenueService: this.#revenueService,
       hierarchyService: this.#hierarchyService,
+      customerService: this.#customerService,
       companyMode: true,
       employeeId: this.#employeeId,
       onSave: async (data) => {
         try {
           const targetEmployeeId = data.employeeId || this.#employeeId;
-          await this.#revenueService.addEntry(targetEmployeeId, data);
-          await this.#loadData();
+          if (data.recurrence) {
+            await this.#createRecurringTemplate(targetEmployeeId, data);
+          } else {
+            await this.#revenueService.addEntry(targetEmployeeId, data);
+            await this.#loadData();
+          }
           dialog.remove();
         } catch (error) {
           Logger.error('Failed to add company entry:', error);
+          alert(`Speichern fehlgeschlagen: ${error.message}`);
         }
       },
       onCancel: () => dialog.remove(),
@@ -2194,6 +2658,64 @@ createElement('svg', {
     dialog.show();
   }
 
+  /**
+   * Save a recurring revenue template and create the entries already due
+   * (including the first period when its date is not in the future).
+   * Once the template is saved, a failed generation is only reported: the
+   * next run creates the missing entries.
+   */
+  async #createRecurringTemplate(employeeId, data) {
+    const { recurrence, ...entryData } = data;
+    await this.#recurringRevenueService.createTemplate(
+      employeeId,
+      entryData,
+      recurrence,
+      authService.getCurrentUser()?.uid || null,
+    );
+    try {
+      await this.#recurringRevenueService.generateDueEntries(employeeId);
+    } catch (error) {
+      Logger.error('Failed to generate recurring revenue entries:', error);
+      alert(`Vertrag gespeichert, die fälligen Umsätze konnten aber nicht erzeugt werden: ${error.message}`);
+    }
+    await this.#loadData();
+  }
+
+  #showRecurringRevenueDialog() {
+    const dialog = new RecurringRevenueDialog({
+      employeeId: this.#employeeId,
+      employeeName: this.#employee?.name,
+      recurringRevenueService: this.#recurringRevenueService,
+      onClose: (hasChanges) => {
+        if (hasChanges) {
+          this.#loadData();
+        }
+      },
+    });
+    dialog.show();
+  }
+
+  /**
+   * Create the entries of due recurring revenue periods before the data is
+   * loaded: all employees in the company view (admins), otherwise the
+   * employee of this screen if the user may edit their revenue
+   */
+  async #generateRecurringEntries() {
+    if (!this.#recurringRevenueService || !this.#employee) return;
+
+    try {
+      if (this.#isCompanyView) {
+        if (authService.isAdmin()) {
+          await this.#recurringRevenueService.generateAllDueEntries();
+        }
+      } else if (this.#canEditRevenue()) {
+        await this.#recurringRevenueService.generateDueEntries(this.#employeeId);
+      }
+    } catch (error) {
+      Logger.warn('⚠ Failed to generate recurring revenue entries:', error);
+    }
+  }
+
   #showBillingExportDialog(employeeId, employeeName) {
     const user = authService.getCurrentUser();
 
@@ -2203,6 +2725,10 @@ createElement('svg', {
       revenueService: this.#revenueService,
       profileService: this.#profileService,
       hierarchyService: this.#hierarchyService,
+      stornoreserveService: this.#stornoreserveService,
+      ledgerService: this.#ledgerService,
+      advanceService: this.#advanceService,
+      billingArchiveService: this.#billingArchiveService,
       generatedBy: user?.uid || null,
       generatedByName: user?.email || null,
       initialYear: this.#startDate?.getFullYear() ?? null,
@@ -2224,6 +2750,7 @@ createElement('svg', {
       entry,
       revenueService: this.#revenueService,
       hierarchyService: this.#hierarchyService,
+      customerService: this.#customerService,
       employeeId: this.#employeeId,
       onSave: async (data) => {
         try {
@@ -2232,6 +2759,7 @@ createElement('svg', {
           dialog.remove();
         } catch (error) {
           Logger.error('Failed to update entry:', error);
+          alert(`Speichern fehlgeschlagen: ${error.message}`);
         }
       },
       onCancel: () => dialog.remove(),
@@ -2248,10 +2776,11 @@ createElement('svg', {
     if (!confirmed) return;
 
     try {
-      await this.#revenueService.deleteEntry(entry.id);
+      await this.#deleteEntryWithAttachments(entry);
       this.#state.removeEntry(entry.id);
     } catch (error) {
       Logger.error('Failed to delete entry:', error);
+      alert(`Löschen fehlgeschlagen: ${error.message}`);
     }
   }
 
@@ -2270,6 +2799,102 @@ createElement('svg', {
     return false;
   }
 
+  /**
+   * Current sales targets of the employee and their team. Targets are
+   * secondary on this screen, so a failure only hides them.
+   */
+  async #loadTargetOverview() {
+    if (!this.#salesTargetService) return;
+
+    try {
+      this.#targetOverview = await this.#salesTargetService.getOverview(this.#employeeId, this.#treeId);
+    } catch (error) {
+      Logger.warn('Failed to load sales targets:', error);
+      this.#targetOverview = null;
+    }
+  }
+
+  #getManageTargetsHandler() {
+    if (!this.#salesTargetService || !authService.isAdmin()) return null;
+    return () => this.#showSalesTargetDialog();
+  }
+
+  #showSalesTargetDialog() {
+    const dialog = new SalesTargetDialog({
+      nodeId: this.#employeeId,
+      nodeName: this.#employee?.name,
+      hasTeam: Boolean(this.#isCompanyView || this.#employee?.childCount > 0),
+      salesTargetService: this.#salesTargetService,
+      getCategories: () => this.#revenueService.getAvailableCategories(),
+      createdBy: authService.getCurrentUser()?.uid || null,
+      onSaved: async () => {
+        await this.#loadTargetOverview();
+        // Entries are unchanged, so the fingerprint would skip the render
+        this.#lastRenderFingerprint = null;
+        this.#renderContent();
+      },
+    });
+    dialog.show();
+  }
+
+  #showAdvanceAgreementDialog() {
+    const dialog = new AdvanceAgreementDialog({
+      employeeId: this.#employeeId,
+      employeeName: this.#employee?.name,
+      advanceService: this.#advanceService,
+      createdBy: authService.getCurrentUser()?.uid || null,
+    });
+    dialog.show();
+  }
+
+  #showProvisionTierDialog() {
+    const dialog = new ProvisionTierDialog({
+      employeeId: this.#employeeId,
+      employeeName: this.#employee?.name,
+      provisionTierService: this.#provisionTierService,
+      createdBy: authService.getCurrentUser()?.uid || null,
+      onBooked: () => this.#loadData(),
+    });
+    dialog.show();
+  }
+
+  #showTeamBonusDialog() {
+    const dialog = new TeamBonusDialog({
+      leaderId: this.#employeeId,
+      leaderName: this.#employee?.name,
+      treeId: this.#treeId,
+      teamBonusService: this.#teamBonusService,
+      createdBy: authService.getCurrentUser()?.uid || null,
+      onBooked: () => this.#loadData(),
+    });
+    dialog.show();
+  }
+
+  #showPeriodClosingDialog() {
+    const dialog = new PeriodClosingDialog({
+      periodClosingService: this.#periodClosingService,
+      onChange: () => this.#loadData(),
+    });
+    dialog.show();
+  }
+
+  #canViewLedger() {
+    return Boolean(this.#ledgerService) && !this.#isCompanyView && this.#canEditRevenue();
+  }
+
+  #renderLedgerView() {
+    const ledger = new LedgerView({
+      ledgerService: this.#ledgerService,
+      employeeId: this.#employeeId,
+      employeeName: this.#employee?.name,
+      startDate: this.#startDate,
+      endDate: this.#endDate,
+      canBook: authService.isAdmin(),
+      bookedBy: authService.getCurrentUser()?.uid || null,
+    });
+    return ledger.element;
+  }
+
   #navigateBack() {
     window.location.hash = '';
   }
@@ -2306,6 +2931,7 @@ createElement('svg', {
     clearElement(this.#container);
     await this.#init();
     this.#container.appendChild(this.#element);
+    await this.#generateRecurringEntries();
     await this.#loadData();
 
     // Set up real-time listener with debounce + relevance filtering
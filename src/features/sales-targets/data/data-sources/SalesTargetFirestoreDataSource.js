@@ -0,0 +1,80 @@
+/**
+ * Data Source: SalesTargetFirestoreDataSource
+ * Handles persistence of sales targets to Firebase Firestore
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+
+export class SalesTargetFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findAll() {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, getDocs } = await this.#importFirestoreHelpers();
+
+      const querySnapshot = await getDocs(collection(firestore, FIRESTORE_COLLECTIONS.SALES_TARGETS));
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load sales targets: ${error.message}`);
+    }
+  }
+
+  async findByNodeId(nodeId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, query, where, getDocs } = await this.#importFirestoreHelpers();
+
+      const q = query(
+        collection(firestore, FIRESTORE_COLLECTIONS.SALES_TARGETS),
+        where('nodeId', '==', nodeId)
+      );
+
+      const querySnapshot = await getDocs(q);
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load sales targets of employee: ${error.message}`);
+    }
+  }
+
+  async save(targetData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      await setDoc(doc(firestore, FIRESTORE_COLLECTIONS.SALES_TARGETS, targetData.id), targetData);
+
+      Logger.log(`✓ Sales target saved: ${targetData.id}`);
+      return targetData;
+    } catch (error) {
+      throw new StorageError(`Failed to save sales target: ${error.message}`);
+    }
+  }
+
+  async delete(targetId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, deleteDoc } = await this.#importFirestoreHelpers();
+
+      await deleteDoc(doc(firestore, FIRESTORE_COLLECTIONS.SALES_TARGETS, targetId));
+
+      Logger.log(`✓ Sales target deleted: ${targetId}`);
+    } catch (error) {
+      throw new StorageError(`Failed to delete sales target: ${error.message}`);
+    }
+  }
+}
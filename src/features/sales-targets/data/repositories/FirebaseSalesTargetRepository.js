@@ -0,0 +1,35 @@
+/**
+ * Repository Implementation: FirebaseSalesTargetRepository
+ * Implements ISalesTargetRepository using Firebase Firestore
+ */
+
+import { ISalesTargetRepository } from '../../domain/repositories/ISalesTargetRepository.js';
+import { SalesTarget } from '../../domain/entities/SalesTarget.js';
+
+export class FirebaseSalesTargetRepository extends ISalesTargetRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async findAll() {
+    const data = await this.#dataSource.findAll();
+    return data.map((json) => SalesTarget.fromJSON(json));
+  }
+
+  async findByNodeId(nodeId) {
+    const data = await this.#dataSource.findByNodeId(nodeId);
+    return data.map((json) => SalesTarget.fromJSON(json));
+  }
+
+  async save(target) {
+    await this.#dataSource.save(target.toJSON());
+    return target;
+  }
+
+  async delete(targetId) {
+    await this.#dataSource.delete(targetId);
+  }
+}
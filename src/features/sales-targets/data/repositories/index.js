@@ -0,0 +1,5 @@
+/**
+ * Repositories Barrel Export
+ */
+
+export { FirebaseSalesTargetRepository } from './FirebaseSalesTargetRepository.js';
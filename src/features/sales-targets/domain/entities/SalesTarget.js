@@ -0,0 +1,141 @@
+/**
+ * Entity: SalesTarget (Zielvereinbarung)
+ * Target for one node of the organigramm over a month or a year. An
+ * employee target counts the node's own postings, a team target the
+ * postings of the node and everyone below it.
+ */
+
+import { generateUUID } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { TargetPeriod } from '../value-objects/TargetPeriod.js';
+import { TargetMetric } from '../value-objects/TargetMetric.js';
+
+export const TARGET_SCOPES = {
+  EMPLOYEE: 'employee',
+  TEAM: 'team',
+};
+
+const SCOPE_DISPLAY_NAMES = {
+  [TARGET_SCOPES.EMPLOYEE]: 'Persönlich',
+  [TARGET_SCOPES.TEAM]: 'Team',
+};
+
+export class SalesTarget {
+  #id;
+  #nodeId;
+  #scope;
+  #period;
+  #metric;
+  #categoryType;
+  #targetValue;
+  #createdBy;
+  #createdAt;
+  #updatedAt;
+
+  /**
+   * @param {Object} params
+   * @param {string} params.nodeId - Employee (or team lead) the target is agreed with
+   * @param {string} params.scope - TARGET_SCOPES
+   * @param {TargetPeriod|Object} params.period
+   * @param {TargetMetric|string} params.metric
+   * @param {string|null} params.categoryType - Only postings of this category (null: all)
+   * @param {number} params.targetValue - EUR for revenue/provision, count for deals
+   */
+  constructor({
+    id = null,
+    nodeId,
+    scope = TARGET_SCOPES.EMPLOYEE,
+    period,
+    metric,
+    categoryType = null,
+    targetValue,
+    createdBy = null,
+    createdAt = null,
+    updatedAt = null,
+  }) {
+    if (!nodeId) {
+      throw new ValidationError('Mitarbeiter ist erforderlich', 'nodeId');
+    }
+    if (!Object.values(TARGET_SCOPES).includes(scope)) {
+      throw new ValidationError('Geltungsbereich ist ungültig', 'scope');
+    }
+    const value = Number(targetValue);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new ValidationError('Zielwert muss größer 0 sein', 'targetValue');
+    }
+
+    this.#id = id || generateUUID();
+    this.#nodeId = nodeId;
+    this.#scope = scope;
+    this.#period = period instanceof TargetPeriod ? period : TargetPeriod.fromJSON(period);
+    this.#metric = metric instanceof TargetMetric ? metric : new TargetMetric(metric);
+    this.#categoryType = categoryType || null;
+    this.#targetValue = value;
+    this.#createdBy = createdBy;
+    this.#createdAt = createdAt ? new Date(createdAt) : new Date();
+    this.#updatedAt = updatedAt ? new Date(updatedAt) : new Date();
+  }
+
+  get id() { return this.#id; }
+  get nodeId() { return this.#nodeId; }
+  get scope() { return this.#scope; }
+  get period() { return this.#period; }
+  get metric() { return this.#metric; }
+  get categoryType() { return this.#categoryType; }
+  get targetValue() { return this.#targetValue; }
+  get createdBy() { return this.#createdBy; }
+  get createdAt() { return this.#createdAt; }
+  get updatedAt() { return this.#updatedAt; }
+
+  get isTeamTarget() {
+    return this.#scope === TARGET_SCOPES.TEAM;
+  }
+
+  get scopeDisplayName() {
+    return SCOPE_DISPLAY_NAMES[this.#scope];
+  }
+
+  /**
+   * Targets with the same key measure the same thing and can be summed
+   * in a team rollup
+   */
+  get rollupKey() {
+    return `${this.#period.key}|${this.#metric.type}|${this.#categoryType || '*'}`;
+  }
+
+  /**
+   * Whether a posting of the given owner counts towards this target
+   * @param {RevenueEntry} entry
+   * @param {Set<string>} memberIds - Node ids covered by the target's scope
+   */
+  counts(entry, memberIds) {
+    if (!memberIds.has(entry.employeeId)) return false;
+    if (this.#categoryType && entry.category?.type !== this.#categoryType) return false;
+    return this.#period.containsDate(entry.entryDate);
+  }
+
+  toJSON() {
+    const period = this.#period.toJSON();
+    return {
+      id: this.#id,
+      nodeId: this.#nodeId,
+      scope: this.#scope,
+      periodType: period.type,
+      year: period.year,
+      month: period.month,
+      metric: this.#metric.type,
+      categoryType: this.#categoryType,
+      targetValue: this.#targetValue,
+      createdBy: this.#createdBy,
+      createdAt: this.#createdAt.toISOString(),
+      updatedAt: this.#updatedAt.toISOString(),
+    };
+  }
+
+  static fromJSON(json) {
+    return new SalesTarget({
+      ...json,
+      period: { type: json.periodType, year: json.year, month: json.month },
+    });
+  }
+}
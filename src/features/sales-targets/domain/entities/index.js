@@ -0,0 +1,5 @@
+/**
+ * Entities Barrel Export
+ */
+
+export { SalesTarget, TARGET_SCOPES } from './SalesTarget.js';
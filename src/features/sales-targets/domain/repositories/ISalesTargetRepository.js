@@ -0,0 +1,22 @@
+/**
+ * Repository Interface: ISalesTargetRepository
+ * Defines the contract for persisting sales targets (Zielvereinbarungen)
+ */
+
+export class ISalesTargetRepository {
+  async findAll() {
+    throw new Error('Method not implemented');
+  }
+
+  async findByNodeId(nodeId) {
+    throw new Error('Method not implemented');
+  }
+
+  async save(target) {
+    throw new Error('Method not implemented');
+  }
+
+  async delete(targetId) {
+    throw new Error('Method not implemented');
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Repositories Barrel Export
+ */
+
+export { ISalesTargetRepository } from './ISalesTargetRepository.js';
@@ -0,0 +1,225 @@
+/**
+ * Domain Service: SalesTargetService
+ * Manages sales targets and measures them against the revenue postings:
+ * attainment so far, the forecast at the current run rate and the rollup
+ * of a manager's team.
+ */
+
+import { Logger } from './../../../../core/utils/logger.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { SalesTarget } from '../entities/SalesTarget.js';
+import { TARGET_METRIC_TYPES } from '../value-objects/TargetMetric.js';
+
+export class SalesTargetService {
+  #repository;
+  #revenueService;
+  #hierarchyService;
+
+  constructor(salesTargetRepository, revenueService, hierarchyService) {
+    this.#repository = salesTargetRepository;
+    this.#revenueService = revenueService;
+    this.#hierarchyService = hierarchyService;
+  }
+
+  /**
+   * All targets agreed with a node, latest period first
+   */
+  async getTargetsForNode(nodeId) {
+    const targets = await this.#repository.findByNodeId(nodeId);
+    return targets.sort((a, b) =>
+      b.period.startDate - a.period.startDate ||
+      Number(a.period.isMonthly) - Number(b.period.isMonthly),
+    );
+  }
+
+  async createTarget(params) {
+    const target = new SalesTarget(params);
+    await this.#repository.save(target);
+    Logger.log(`Sales target created for ${target.nodeId}: ${target.metric.type} ${target.period.key}`);
+    return target;
+  }
+
+  async deleteTarget(targetId) {
+    await this.#repository.delete(targetId);
+    Logger.log(`Sales target deleted: ${targetId}`);
+  }
+
+  /**
+   * @typedef {Object} TargetProgress
+   * @property {SalesTarget} target
+   * @property {number} actual - Value reached so far
+   * @property {number|null} forecast - Value at the end of the period at the current run rate (null before the period starts)
+   * @property {number} attainment - actual / targetValue
+   * @property {number|null} forecastAttainment - forecast / targetValue
+   * @property {number} elapsedRatio - Share of the period that has passed (0..1)
+   */
+
+  /**
+   * Current progress of every node with targets, for the organigramm cards
+   * @returns {Promise<Map<string, TargetProgress[]>>}
+   */
+  async getProgressForTree(treeId, at = new Date()) {
+    const targets = (await this.#repository.findAll()).filter((target) => target.period.containsDate(at));
+    const progressByNode = new Map();
+    if (targets.length === 0) return progressByNode;
+
+    const { tree, entries } = await this.#loadPostings(treeId);
+    for (const target of targets) {
+      if (!progressByNode.has(target.nodeId)) {
+        progressByNode.set(target.nodeId, []);
+      }
+      progressByNode.get(target.nodeId).push(this.#measure(target, tree, entries, at));
+    }
+    for (const [nodeId, progress] of progressByNode) {
+      progressByNode.set(nodeId, this.#sortProgress(progress));
+    }
+    return progressByNode;
+  }
+
+  /**
+   * @typedef {Object} TargetRollup
+   * @property {TargetPeriod} period
+   * @property {TargetMetric} metric
+   * @property {string|null} categoryType
+   * @property {number} targetValue - Sum of the members' targets
+   * @property {number} actual
+   * @property {number|null} forecast
+   * @property {number} attainment
+   * @property {number|null} forecastAttainment
+   * @property {number} elapsedRatio
+   * @property {number} memberCount
+   */
+
+  /**
+   * @typedef {Object} TargetOverview
+   * @property {TargetProgress[]} personal - The node's targets on its own postings
+   * @property {TargetProgress[]} teamTargets - The node's targets on its whole subtree
+   * @property {Array<{node: Object, progress: TargetProgress[]}>} members - Direct reports with targets
+   * @property {TargetRollup[]} totals - Targets of the direct reports summed up
+   */
+
+  /**
+   * Current targets of a node and, for managers, the rollup of their team
+   *
+   * @param {string} nodeId
+   * @param {string} treeId
+   * @param {Date} at - Reference date (default: today)
+   * @returns {Promise<TargetOverview>}
+   */
+  async getOverview(nodeId, treeId, at = new Date()) {
+    const overview = { personal: [], teamTargets: [], members: [], totals: [] };
+    const current = (await this.#repository.findAll()).filter((target) => target.period.containsDate(at));
+    if (current.length === 0) return overview;
+
+    const { tree, entries } = await this.#loadPostings(treeId);
+    const measureAll = (targets) => this.#sortProgress(targets.map((target) => this.#measure(target, tree, entries, at)));
+
+    const own = current.filter((target) => target.nodeId === nodeId);
+    overview.personal = measureAll(own.filter((target) => !target.isTeamTarget));
+    overview.teamTargets = measureAll(own.filter((target) => target.isTeamTarget));
+
+    if (!tree?.hasNode(nodeId)) return overview;
+
+    const totalsByKey = new Map();
+    for (const node of tree.getChildren(nodeId)) {
+      const progress = measureAll(current.filter((target) => target.nodeId === node.id));
+      if (progress.length === 0) continue;
+      overview.members.push({ node, progress });
+
+      // A team target already contains the member's own postings
+      const rollupItems = new Map();
+      for (const item of progress) {
+        if (!rollupItems.has(item.target.rollupKey) || item.target.isTeamTarget) {
+          rollupItems.set(item.target.rollupKey, item);
+        }
+      }
+
+      for (const [key, item] of rollupItems) {
+        if (!totalsByKey.has(key)) {
+          totalsByKey.set(key, {
+            period: item.target.period,
+            metric: item.target.metric,
+            categoryType: item.target.categoryType,
+            targetValue: 0,
+            actual: 0,
+            forecast: null,
+            memberCount: 0,
+          });
+        }
+        const total = totalsByKey.get(key);
+        total.targetValue += item.target.targetValue;
+        total.actual += item.actual;
+        if (item.forecast !== null) total.forecast = (total.forecast ?? 0) + item.forecast;
+        total.memberCount++;
+      }
+    }
+
+    overview.members.sort((a, b) => a.node.name.localeCompare(b.node.name, 'de'));
+    overview.totals = this.#sortProgress([...totalsByKey.values()].map((total) => ({
+      ...total,
+      attainment: total.actual / total.targetValue,
+      forecastAttainment: total.forecast === null ? null : total.forecast / total.targetValue,
+      elapsedRatio: total.period.elapsedDays(at) / total.period.totalDays,
+    })), (total) => total);
+
+    return overview;
+  }
+
+  async #loadPostings(treeId) {
+    const [tree, allEntries] = await Promise.all([
+      this.#hierarchyService.getTree(treeId),
+      this.#revenueService.getAllEntries(),
+    ]);
+    // Same postings as the organigramm figures: rejected and cancelled ones do not count
+    const entries = allEntries.filter((entry) => !entry.status.isRejected && !entry.status.isCancelled);
+    return { tree, entries };
+  }
+
+  #memberIds(target, tree) {
+    const ids = new Set([target.nodeId]);
+    if (target.isTeamTarget && tree?.hasNode(target.nodeId)) {
+      for (const node of tree.getDescendants(target.nodeId)) {
+        ids.add(node.id);
+      }
+    }
+    return ids;
+  }
+
+  #measure(target, tree, entries, at) {
+    const memberIds = this.#memberIds(target, tree);
+    const counted = entries.filter((entry) => target.counts(entry, memberIds));
+    const getProvision = (entry) => this.#revenueService.getOwnerProvisionAmount(
+      entry,
+      tree?.hasNode(entry.employeeId) ? tree.getNode(entry.employeeId) : null,
+    );
+
+    const measured = target.metric.measure(counted, getProvision);
+    const actual = target.metric.isCount ? measured : roundCurrency(measured);
+
+    // Run rate: what has been reached per elapsed day, extended to the whole period
+    const { period } = target;
+    const elapsedDays = period.elapsedDays(at);
+    const forecast = elapsedDays > 0 ? actual * period.totalDays / elapsedDays : null;
+
+    return {
+      target,
+      actual,
+      forecast: forecast === null || target.metric.isCount ? forecast : roundCurrency(forecast),
+      attainment: actual / target.targetValue,
+      forecastAttainment: forecast === null ? null : forecast / target.targetValue,
+      elapsedRatio: elapsedDays / period.totalDays,
+    };
+  }
+
+  /** Monthly before annual targets, then by metric and category */
+  #sortProgress(items, getTarget = (item) => item.target) {
+    const metricOrder = Object.values(TARGET_METRIC_TYPES);
+    return items.sort((a, b) => {
+      const left = getTarget(a);
+      const right = getTarget(b);
+      return Number(right.period.isMonthly) - Number(left.period.isMonthly) ||
+        metricOrder.indexOf(left.metric.type) - metricOrder.indexOf(right.metric.type) ||
+        String(left.categoryType || '').localeCompare(String(right.categoryType || ''));
+    });
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Services Barrel Export
+ */
+
+export { SalesTargetService } from './SalesTargetService.js';
@@ -0,0 +1,83 @@
+/**
+ * Value Object: TargetMetric
+ * What a sales target measures. Revenue and provision follow the figures
+ * on the revenue screen: revenue is the gross amount of the postings,
+ * provision the owner's share after tip providers. Deals count postings,
+ * clawbacks are not deals. Provision adjustments (tier true-up, team bonus)
+ * only count as provision.
+ */
+
+import { ValidationError } from '../../../../core/errors/index.js';
+
+export const TARGET_METRIC_TYPES = {
+  REVENUE: 'revenue',
+  PROVISION: 'provision',
+  DEALS: 'deals',
+};
+
+const METRIC_DISPLAY_NAMES = {
+  [TARGET_METRIC_TYPES.REVENUE]: 'Umsatz',
+  [TARGET_METRIC_TYPES.PROVISION]: 'Provision',
+  [TARGET_METRIC_TYPES.DEALS]: 'Abschlüsse',
+};
+
+export class TargetMetric {
+  #type;
+
+  constructor(type) {
+    if (!Object.values(TARGET_METRIC_TYPES).includes(type)) {
+      throw new ValidationError('Kennzahl ist ungültig', 'metric');
+    }
+    this.#type = type;
+  }
+
+  get type() {
+    return this.#type;
+  }
+
+  get displayName() {
+    return METRIC_DISPLAY_NAMES[this.#type];
+  }
+
+  get isCount() {
+    return this.#type === TARGET_METRIC_TYPES.DEALS;
+  }
+
+  /**
+   * Value of the metric for a set of postings
+   * @param {RevenueEntry[]} entries - Postings counting towards the target
+   * @param {Function} getProvision - (entry) => owner's provision of the entry
+   */
+  measure(entries, getProvision) {
+    switch (this.#type) {
+      case TARGET_METRIC_TYPES.DEALS:
+        return entries.filter((entry) => !entry.isClawback && !entry.isProvisionAdjustment).length;
+      case TARGET_METRIC_TYPES.PROVISION:
+        return entries.reduce((sum, entry) => sum + getProvision(entry), 0);
+      default:
+        return entries
+          .filter((entry) => !entry.isProvisionAdjustment)
+          .reduce((sum, entry) => sum + (entry.grossAmount || entry.provisionAmount || 0), 0);
+    }
+  }
+
+  format(value) {
+    if (this.isCount) {
+      return `${Math.round(value)}`;
+    }
+    return new Intl.NumberFormat('de-DE', {
+      style: 'currency',
+      currency: 'EUR',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  }
+
+  toJSON() {
+    return this.#type;
+  }
+
+  toString() {
+    return this.displayName;
+  }
+}
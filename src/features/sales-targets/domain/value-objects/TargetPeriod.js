@@ -0,0 +1,110 @@
+/**
+ * Value Object: TargetPeriod
+ * Calendar month or year a sales target applies to. Months are 0-based
+ * like Date#getMonth.
+ */
+
+import { ValidationError } from '../../../../core/errors/index.js';
+
+export const TARGET_PERIOD_TYPES = {
+  MONTH: 'month',
+  YEAR: 'year',
+};
+
+const MONTH_NAMES = [
+  'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+  'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class TargetPeriod {
+  #type;
+  #year;
+  #month;
+
+  constructor({ type, year, month = null }) {
+    if (!Object.values(TARGET_PERIOD_TYPES).includes(type)) {
+      throw new ValidationError('Zeitraum muss Monat oder Jahr sein', 'periodType');
+    }
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      throw new ValidationError('Jahr ist ungültig', 'year');
+    }
+    if (type === TARGET_PERIOD_TYPES.MONTH && !(Number.isInteger(month) && month >= 0 && month <= 11)) {
+      throw new ValidationError('Monat ist ungültig', 'month');
+    }
+
+    this.#type = type;
+    this.#year = year;
+    this.#month = type === TARGET_PERIOD_TYPES.MONTH ? month : null;
+  }
+
+  static forMonth(year, month) {
+    return new TargetPeriod({ type: TARGET_PERIOD_TYPES.MONTH, year, month });
+  }
+
+  static forYear(year) {
+    return new TargetPeriod({ type: TARGET_PERIOD_TYPES.YEAR, year });
+  }
+
+  get type() { return this.#type; }
+  get year() { return this.#year; }
+  get month() { return this.#month; }
+
+  get isMonthly() {
+    return this.#type === TARGET_PERIOD_TYPES.MONTH;
+  }
+
+  get startDate() {
+    return new Date(this.#year, this.isMonthly ? this.#month : 0, 1);
+  }
+
+  /** Last millisecond of the period */
+  get endDate() {
+    return this.isMonthly
+      ? new Date(this.#year, this.#month + 1, 1, 0, 0, 0, -1)
+      : new Date(this.#year + 1, 0, 1, 0, 0, 0, -1);
+  }
+
+  get totalDays() {
+    return Math.round((this.endDate - this.startDate + 1) / DAY_MS);
+  }
+
+  /**
+   * Days of the period that have begun at the given date (today counts),
+   * 0 before the period and totalDays after it
+   */
+  elapsedDays(at = new Date()) {
+    const date = new Date(at);
+    if (date < this.startDate) return 0;
+    if (date > this.endDate) return this.totalDays;
+    const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    return Math.round((today - this.startDate) / DAY_MS) + 1;
+  }
+
+  containsDate(date) {
+    const d = new Date(date);
+    return d >= this.startDate && d <= this.endDate;
+  }
+
+  /** Stable key for grouping targets of the same period */
+  get key() {
+    return this.isMonthly ? `${this.#year}-${String(this.#month + 1).padStart(2, '0')}` : String(this.#year);
+  }
+
+  get displayName() {
+    return this.isMonthly ? `${MONTH_NAMES[this.#month]} ${this.#year}` : `Jahr ${this.#year}`;
+  }
+
+  equals(other) {
+    return other instanceof TargetPeriod && other.key === this.key;
+  }
+
+  toJSON() {
+    return { type: this.#type, year: this.#year, month: this.#month };
+  }
+
+  static fromJSON(json) {
+    return new TargetPeriod(json);
+  }
+}
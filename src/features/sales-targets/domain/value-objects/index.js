@@ -0,0 +1,6 @@
+/**
+ * Value Objects Barrel Export
+ */
+
+export { TargetPeriod, TARGET_PERIOD_TYPES } from './TargetPeriod.js';
+export { TargetMetric, TARGET_METRIC_TYPES } from './TargetMetric.js';
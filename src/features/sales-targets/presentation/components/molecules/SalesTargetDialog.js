@@ -0,0 +1,301 @@
+/**
+ * Molecule: SalesTargetDialog
+ * Targets agreed with one employee or team lead (admins): list with
+ * removal and a form for a new monthly or annual target
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Logger } from '../../../../../core/utils/logger.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { Input } from '../../../../hierarchy-tracking/presentation/components/atoms/Input.js';
+import { TARGET_SCOPES } from '../../../domain/entities/SalesTarget.js';
+import { TargetPeriod, TARGET_PERIOD_TYPES } from '../../../domain/value-objects/TargetPeriod.js';
+import { TargetMetric, TARGET_METRIC_TYPES } from '../../../domain/value-objects/TargetMetric.js';
+import { TargetProgressBar } from './TargetProgressBar.js';
+
+export class SalesTargetDialog {
+  #element;
+  #props;
+  #listContainer;
+  #scopeSelect;
+  #periodTypeSelect;
+  #metricSelect;
+  #categorySelect;
+  #monthInput;
+  #yearInput;
+  #valueInput;
+  #saveButton;
+
+  /**
+   * @param {Object} props
+   * @param {string} props.nodeId
+   * @param {string} props.nodeName
+   * @param {boolean} props.hasTeam - Offer team targets (node has subordinates)
+   * @param {SalesTargetService} props.salesTargetService
+   * @param {Function} props.getCategories - async () => categories with type and displayName
+   * @param {string} props.createdBy - UID recorded on new targets
+   * @param {Function} props.onSaved - Called after a target was added or removed
+   */
+  constructor(props = {}) {
+    this.#props = {
+      nodeId: props.nodeId,
+      nodeName: props.nodeName || 'Mitarbeiter',
+      hasTeam: props.hasTeam || false,
+      salesTargetService: props.salesTargetService,
+      getCategories: props.getCategories || (async () => []),
+      createdBy: props.createdBy || null,
+      onSaved: props.onSaved || null,
+    };
+
+    this.#element = this.#render();
+    this.#loadTargets();
+    this.#loadCategories();
+  }
+
+  #render() {
+    const overlay = createElement('div', { className: 'dialog-overlay sales-target-dialog-overlay' });
+
+    this.#listContainer = createElement('div', { className: 'sales-target-list' }, [
+      createElement('p', { className: 'sales-target-note' }, ['Ziele werden geladen...']),
+    ]);
+
+    const dialogContent = createElement('div', { className: 'dialog-content sales-target-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, ['Zielvereinbarungen']),
+        createElement('p', { className: 'dialog-subtitle' }, [this.#props.nodeName]),
+      ]),
+      createElement('div', { className: 'dialog-body-scroll sales-target-body' }, [
+        createElement('div', { className: 'sales-target-section' }, [
+          createElement('h3', { className: 'sales-target-section-title' }, ['Vereinbarte Ziele']),
+          this.#listContainer,
+        ]),
+        this.#renderForm(),
+      ]),
+      this.#renderFooter(),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.hide();
+      }
+    });
+
+    return overlay;
+  }
+
+  #select(label, options) {
+    const select = createElement('select', { className: 'input-field' },
+      options.map(([value, text]) => createElement('option', { value }, [text])),
+    );
+    const wrapper = createElement('div', { className: 'input-wrapper' }, [
+      createElement('label', { className: 'input-label' }, [label]),
+      select,
+    ]);
+    return { select, wrapper };
+  }
+
+  #renderForm() {
+    const now = new Date();
+
+    const scope = this.#select('Geltungsbereich', [
+      [TARGET_SCOPES.EMPLOYEE, 'Persönlich (eigene Umsätze)'],
+      ...(this.#props.hasTeam ? [[TARGET_SCOPES.TEAM, 'Team (inkl. aller Mitarbeiter darunter)']] : []),
+    ]);
+    const periodType = this.#select('Zeitraum', [
+      [TARGET_PERIOD_TYPES.MONTH, 'Monat'],
+      [TARGET_PERIOD_TYPES.YEAR, 'Jahr'],
+    ]);
+    const metric = this.#select('Kennzahl', Object.values(TARGET_METRIC_TYPES).map((type) => [
+      type, new TargetMetric(type).displayName,
+    ]));
+    const category = this.#select('Kategorie', [['', 'Alle Kategorien']]);
+
+    this.#scopeSelect = scope.select;
+    this.#periodTypeSelect = periodType.select;
+    this.#metricSelect = metric.select;
+    this.#categorySelect = category.select;
+
+    this.#monthInput = new Input({
+      label: 'Monat',
+      type: 'month',
+      value: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`,
+    });
+    this.#yearInput = new Input({ label: 'Jahr', type: 'number', value: String(now.getFullYear()) });
+    this.#valueInput = new Input({ label: 'Zielwert (€)', type: 'number', placeholder: 'z.B. 25000' });
+
+    const togglePeriodInputs = () => {
+      const isMonthly = this.#periodTypeSelect.value === TARGET_PERIOD_TYPES.MONTH;
+      this.#monthInput.element.style.display = isMonthly ? '' : 'none';
+      this.#yearInput.element.style.display = isMonthly ? 'none' : '';
+    };
+    this.#periodTypeSelect.addEventListener('change', togglePeriodInputs);
+    this.#metricSelect.addEventListener('change', () => {
+      const isCount = new TargetMetric(this.#metricSelect.value).isCount;
+      this.#valueInput.element.querySelector('.input-label').textContent = isCount ? 'Zielwert (Anzahl)' : 'Zielwert (€)';
+    });
+    togglePeriodInputs();
+
+    return createElement('div', { className: 'sales-target-section' }, [
+      createElement('h3', { className: 'sales-target-section-title' }, ['Neues Ziel']),
+      createElement('div', { className: 'sales-target-form' }, [
+        scope.wrapper,
+        periodType.wrapper,
+        this.#monthInput.element,
+        this.#yearInput.element,
+        metric.wrapper,
+        category.wrapper,
+        this.#valueInput.element,
+      ]),
+    ]);
+  }
+
+  #renderFooter() {
+    this.#saveButton = new Button({
+      label: 'Ziel anlegen',
+      variant: 'primary',
+      onClick: () => this.#handleSave(),
+    });
+
+    return createElement('div', { className: 'dialog-actions' }, [
+      new Button({ label: 'Schließen', variant: 'ghost', onClick: () => this.hide() }).element,
+      this.#saveButton.element,
+    ]);
+  }
+
+  async #loadCategories() {
+    try {
+      const categories = await this.#props.getCategories();
+      this.#categorySelect.append(...categories.map((category) =>
+        createElement('option', { value: category.type }, [category.displayName]),
+      ));
+    } catch (error) {
+      Logger.warn('Failed to load categories for sales targets:', error);
+    }
+  }
+
+  async #loadTargets() {
+    try {
+      const targets = await this.#props.salesTargetService.getTargetsForNode(this.#props.nodeId);
+      this.#listContainer.replaceChildren(...this.#renderTargets(targets));
+    } catch (error) {
+      Logger.error('Failed to load sales targets:', error);
+      this.#listContainer.replaceChildren(
+        createElement('p', { className: 'sales-target-note' }, [`Fehler: ${error.message}`]),
+      );
+    }
+  }
+
+  #renderTargets(targets) {
+    if (targets.length === 0) {
+      return [createElement('p', { className: 'sales-target-note' }, ['Noch keine Ziele vereinbart.'])];
+    }
+
+    return targets.map((target) =>
+      createElement('div', { className: 'sales-target-item' }, [
+        createElement('div', { className: 'sales-target-item-info' }, [
+          createElement('span', { className: 'sales-target-item-title' }, [TargetProgressBar.describe(target)]),
+          createElement('span', { className: 'sales-target-item-details' }, [
+            `${target.scopeDisplayName} · Ziel ${target.metric.format(target.targetValue)}`,
+          ]),
+        ]),
+        new Button({
+          label: 'Entfernen',
+          variant: 'ghost',
+          size: 'sm',
+          onClick: () => this.#handleDelete(target),
+        }).element,
+      ]),
+    );
+  }
+
+  #readPeriod() {
+    if (this.#periodTypeSelect.value === TARGET_PERIOD_TYPES.MONTH) {
+      const [year, month] = this.#monthInput.value.split('-').map(Number);
+      return TargetPeriod.forMonth(year, month - 1);
+    }
+    return TargetPeriod.forYear(Number(this.#yearInput.value));
+  }
+
+  async #handleSave() {
+    let period;
+    try {
+      period = this.#readPeriod();
+      this.#monthInput.setError(null);
+      this.#yearInput.setError(null);
+    } catch (error) {
+      const input = this.#periodTypeSelect.value === TARGET_PERIOD_TYPES.MONTH ? this.#monthInput : this.#yearInput;
+      input.setError(error.message);
+      return;
+    }
+
+    const targetValue = Number(this.#valueInput.value);
+    const isValueValid = targetValue > 0;
+    this.#valueInput.setError(isValueValid ? null : 'Zielwert größer 0 angeben');
+    if (!isValueValid) {
+      return;
+    }
+
+    this.#saveButton.element.disabled = true;
+    try {
+      await this.#props.salesTargetService.createTarget({
+        nodeId: this.#props.nodeId,
+        scope: this.#scopeSelect.value,
+        period,
+        metric: this.#metricSelect.value,
+        categoryType: this.#categorySelect.value || null,
+        targetValue,
+        createdBy: this.#props.createdBy,
+      });
+      this.#valueInput.clear();
+      await this.#loadTargets();
+      if (this.#props.onSaved) {
+        this.#props.onSaved();
+      }
+    } catch (error) {
+      Logger.error('Failed to create sales target:', error);
+      alert(`Speichern fehlgeschlagen: ${error.message}`);
+    } finally {
+      this.#saveButton.element.disabled = false;
+    }
+  }
+
+  async #handleDelete(target) {
+    if (!window.confirm(`Ziel "${TargetProgressBar.describe(target)}" entfernen?`)) {
+      return;
+    }
+
+    try {
+      await this.#props.salesTargetService.deleteTarget(target.id);
+      await this.#loadTargets();
+      if (this.#props.onSaved) {
+        this.#props.onSaved();
+      }
+    } catch (error) {
+      Logger.error('Failed to delete sales target:', error);
+      alert(`Entfernen fehlgeschlagen: ${error.message}`);
+    }
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Molecule: TargetProgressBar
+ * Attainment of one sales target as a bar, with a marker where the
+ * current run rate ends up at the end of the period
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { RevenueCategory } from '../../../../revenue-tracking/domain/value-objects/RevenueCategory.js';
+
+export class TargetProgressBar {
+  #element;
+  #props;
+
+  /**
+   * @param {Object} props
+   * @param {Object} props.progress - TargetProgress or TargetRollup from SalesTargetService
+   * @param {string} props.label - Defaults to metric, category and period of the target
+   * @param {boolean} props.compact - Single line for the organigramm cards
+   */
+  constructor(props = {}) {
+    this.#props = {
+      progress: props.progress,
+      label: props.label || null,
+      compact: props.compact || false,
+    };
+    this.#element = this.#render();
+  }
+
+  /**
+   * "Umsatz Versicherung · Oktober 2026"
+   * @param {{metric: TargetMetric, categoryType: string|null, period: TargetPeriod}} target
+   */
+  static describe(target, { withPeriod = true } = {}) {
+    const category = target.categoryType ? ` ${new RevenueCategory(target.categoryType).displayName}` : '';
+    const base = `${target.metric.displayName}${category}`;
+    return withPeriod ? `${base} · ${target.period.displayName}` : base;
+  }
+
+  #getTarget() {
+    // Rollups carry metric and period themselves
+    return this.#props.progress.target ?? this.#props.progress;
+  }
+
+  #getState() {
+    const { attainment, forecastAttainment } = this.#props.progress;
+    if (attainment >= 1) return 'reached';
+    if (forecastAttainment === null) return 'open';
+    return forecastAttainment >= 1 ? 'on-track' : 'behind';
+  }
+
+  #formatPercent(ratio) {
+    return `${Math.round(ratio * 100)} %`;
+  }
+
+  #renderTrack() {
+    const { attainment, forecastAttainment } = this.#props.progress;
+    const toWidth = (ratio) => `${Math.min(Math.max(ratio, 0), 1) * 100}%`;
+
+    return createElement('div', { className: 'target-progress-track' }, [
+      createElement('div', { className: 'target-progress-fill', style: `width: ${toWidth(attainment)}` }),
+      forecastAttainment !== null && forecastAttainment > attainment
+        ? createElement('div', {
+          className: 'target-progress-forecast',
+          style: `left: ${toWidth(forecastAttainment)}`,
+        })
+        : null,
+    ].filter(Boolean));
+  }
+
+  #render() {
+    const { progress, compact } = this.#props;
+    const target = this.#getTarget();
+    const { metric } = target;
+    const label = this.#props.label || TargetProgressBar.describe(target, { withPeriod: !compact });
+    const forecastText = progress.forecastAttainment === null
+      ? 'noch keine Prognose'
+      : `Prognose ${this.#formatPercent(progress.forecastAttainment)}`;
+    const className = `target-progress target-progress--${this.#getState()}${compact ? ' target-progress--compact' : ''}`;
+
+    if (compact) {
+      return createElement('div', {
+        className,
+        title: `${TargetProgressBar.describe(target)}: ${metric.format(progress.actual)} von ${metric.format(target.targetValue)} · ${forecastText}`,
+      }, [
+        createElement('div', { className: 'target-progress-header' }, [
+          createElement('span', { className: 'target-progress-label' }, [`Ziel ${label}`]),
+          createElement('span', { className: 'target-progress-percent' }, [this.#formatPercent(progress.attainment)]),
+        ]),
+        this.#renderTrack(),
+      ]);
+    }
+
+    return createElement('div', { className }, [
+      createElement('div', { className: 'target-progress-header' }, [
+        createElement('span', { className: 'target-progress-label' }, [label]),
+        createElement('span', { className: 'target-progress-value' }, [
+          `${metric.format(progress.actual)} / ${metric.format(target.targetValue)}`,
+        ]),
+      ]),
+      this.#renderTrack(),
+      createElement('div', { className: 'target-progress-footer' }, [
+        createElement('span', { className: 'target-progress-percent' }, [
+          `${this.#formatPercent(progress.attainment)} erreicht`,
+        ]),
+        createElement('span', { className: 'target-progress-forecast-text' }, [
+          progress.forecast === null ? forecastText : `${forecastText} (${metric.format(progress.forecast)})`,
+        ]),
+      ]),
+    ]);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
@@ -0,0 +1,6 @@
+/**
+ * Molecules Barrel Export
+ */
+
+export { TargetProgressBar } from './TargetProgressBar.js';
+export { SalesTargetDialog } from './SalesTargetDialog.js';
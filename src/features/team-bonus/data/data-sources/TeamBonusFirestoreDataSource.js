@@ -0,0 +1,63 @@
+/**
+ * Data Source: TeamBonusFirestoreDataSource
+ * Handles persistence of team bonus rules to Firebase Firestore
+ */
+
+import { firebaseApp } from '../../../../core/firebase/index.js';
+import { FIRESTORE_COLLECTIONS } from '../../../../core/config/firebase.config.js';
+import { StorageError } from '../../../../core/errors/index.js';
+import { Logger } from './../../../../core/utils/logger.js';
+
+export class TeamBonusFirestoreDataSource {
+  #firestore = null;
+
+  #getFirestore() {
+    if (!this.#firestore) {
+      this.#firestore = firebaseApp.firestore;
+    }
+    return this.#firestore;
+  }
+
+  async #importFirestoreHelpers() {
+    return await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+  }
+
+  async findAll() {
+    try {
+      const firestore = this.#getFirestore();
+      const { collection, getDocs } = await this.#importFirestoreHelpers();
+
+      const querySnapshot = await getDocs(collection(firestore, FIRESTORE_COLLECTIONS.TEAM_BONUS_RULES));
+      return querySnapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+      throw new StorageError(`Failed to load team bonus rules: ${error.message}`);
+    }
+  }
+
+  async save(ruleData) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, setDoc } = await this.#importFirestoreHelpers();
+
+      await setDoc(doc(firestore, FIRESTORE_COLLECTIONS.TEAM_BONUS_RULES, ruleData.id), ruleData);
+
+      Logger.log(`✓ Team bonus rule saved: ${ruleData.id}`);
+      return ruleData;
+    } catch (error) {
+      throw new StorageError(`Failed to save team bonus rule: ${error.message}`);
+    }
+  }
+
+  async delete(ruleId) {
+    try {
+      const firestore = this.#getFirestore();
+      const { doc, deleteDoc } = await this.#importFirestoreHelpers();
+
+      await deleteDoc(doc(firestore, FIRESTORE_COLLECTIONS.TEAM_BONUS_RULES, ruleId));
+
+      Logger.log(`✓ Team bonus rule deleted: ${ruleId}`);
+    } catch (error) {
+      throw new StorageError(`Failed to delete team bonus rule: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Repository Implementation: FirebaseTeamBonusRepository
+ * Implements ITeamBonusRepository using Firebase Firestore
+ */
+
+import { ITeamBonusRepository } from '../../domain/repositories/ITeamBonusRepository.js';
+import { TeamBonusRule } from '../../domain/entities/TeamBonusRule.js';
+
+export class FirebaseTeamBonusRepository extends ITeamBonusRepository {
+  #dataSource;
+
+  constructor(dataSource) {
+    super();
+    this.#dataSource = dataSource;
+  }
+
+  async findAll() {
+    const data = await this.#dataSource.findAll();
+    return data.map((json) => TeamBonusRule.fromJSON(json));
+  }
+
+  async save(rule) {
+    await this.#dataSource.save(rule.toJSON());
+    return rule;
+  }
+
+  async delete(ruleId) {
+    await this.#dataSource.delete(ruleId);
+  }
+}
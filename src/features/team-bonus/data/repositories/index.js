@@ -0,0 +1,5 @@
+/**
+ * Repositories Barrel Export
+ */
+
+export { FirebaseTeamBonusRepository } from './FirebaseTeamBonusRepository.js';
@@ -0,0 +1,162 @@
+/**
+ * Entity: TeamBonusRule (Teambonus)
+ * Overriding bonus for a leader on the volume of their subtree, e.g. an
+ * extra 2 % on all team revenue above 200.000 € per quarter. Only the part
+ * of the volume above the threshold earns the bonus.
+ */
+
+import { generateUUID } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { ReportPeriod } from '../../../billing-export/domain/value-objects/ReportPeriod.js';
+
+export const TEAM_BONUS_PERIODS = {
+  MONTH: 'month',
+  QUARTER: 'quarter',
+  YEAR: 'year',
+};
+
+const PERIOD_DISPLAY_NAMES = {
+  [TEAM_BONUS_PERIODS.MONTH]: 'Monat',
+  [TEAM_BONUS_PERIODS.QUARTER]: 'Quartal',
+  [TEAM_BONUS_PERIODS.YEAR]: 'Jahr',
+};
+
+const formatEuro = (value) => new Intl.NumberFormat('de-DE', {
+  style: 'currency',
+  currency: 'EUR',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0,
+}).format(value);
+
+export class TeamBonusRule {
+  #id;
+  #leaderId;
+  #periodType;
+  #threshold;
+  #rate;
+  #createdBy;
+  #createdAt;
+
+  /**
+   * @param {Object} params
+   * @param {string} params.leaderId - Hierarchy node of the leader
+   * @param {string} params.periodType - TEAM_BONUS_PERIODS
+   * @param {number} params.threshold - Team volume in EUR per period from which the bonus is paid
+   * @param {number} params.rate - Bonus in percent of the volume above the threshold
+   */
+  constructor({
+    id = null,
+    leaderId,
+    periodType = TEAM_BONUS_PERIODS.QUARTER,
+    threshold = 0,
+    rate,
+    createdBy = null,
+    createdAt = null,
+  }) {
+    if (!leaderId) {
+      throw new ValidationError('Führungskraft ist erforderlich', 'leaderId');
+    }
+    if (!PERIOD_DISPLAY_NAMES[periodType]) {
+      throw new ValidationError('Zeitraum ist ungültig', 'periodType');
+    }
+
+    const thresholdValue = Number(threshold || 0);
+    if (!Number.isFinite(thresholdValue) || thresholdValue < 0) {
+      throw new ValidationError('Schwelle darf nicht negativ sein', 'threshold');
+    }
+    const rateValue = Number(rate);
+    if (!Number.isFinite(rateValue) || rateValue <= 0 || rateValue > 100) {
+      throw new ValidationError('Bonussatz muss größer 0 und höchstens 100 sein', 'rate');
+    }
+
+    this.#id = id || generateUUID();
+    this.#leaderId = leaderId;
+    this.#periodType = periodType;
+    this.#threshold = thresholdValue;
+    this.#rate = rateValue;
+    this.#createdBy = createdBy;
+    this.#createdAt = createdAt ? new Date(createdAt) : new Date();
+  }
+
+  get id() { return this.#id; }
+  get leaderId() { return this.#leaderId; }
+  get periodType() { return this.#periodType; }
+  get threshold() { return this.#threshold; }
+  get rate() { return this.#rate; }
+  get createdBy() { return this.#createdBy; }
+  get createdAt() { return this.#createdAt; }
+
+  get periodDisplayName() {
+    return PERIOD_DISPLAY_NAMES[this.#periodType];
+  }
+
+  /**
+   * "2 % auf Teamumsatz über 200.000 € je Quartal"
+   */
+  get summary() {
+    return `${this.#rate} % auf Teamumsatz über ${formatEuro(this.#threshold)} je ${this.periodDisplayName}`;
+  }
+
+  /**
+   * Bonus period of the rule that contains the given date
+   * @returns {ReportPeriod}
+   */
+  periodContaining(date) {
+    const day = new Date(date);
+    switch (this.#periodType) {
+      case TEAM_BONUS_PERIODS.MONTH:
+        return ReportPeriod.forMonth(day.getFullYear(), day.getMonth());
+      case TEAM_BONUS_PERIODS.YEAR:
+        return ReportPeriod.forYear(day.getFullYear());
+      default:
+        return ReportPeriod.forQuarter(day.getFullYear(), Math.floor(day.getMonth() / 3) + 1);
+    }
+  }
+
+  /**
+   * Stable key of a period ("2026-Q3", "2026-09", "2026"), part of the
+   * reference of booked bonus entries
+   */
+  periodKey(period) {
+    const start = period.startDate;
+    switch (this.#periodType) {
+      case TEAM_BONUS_PERIODS.MONTH:
+        return `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+      case TEAM_BONUS_PERIODS.YEAR:
+        return `${start.getFullYear()}`;
+      default:
+        return `${start.getFullYear()}-Q${Math.floor(start.getMonth() / 3) + 1}`;
+    }
+  }
+
+  /**
+   * Bonus in EUR for a team volume of one period (not rounded)
+   */
+  calculateBonus(volume) {
+    return Math.max(0, volume - this.#threshold) * this.#rate / 100;
+  }
+
+  toJSON() {
+    return {
+      id: this.#id,
+      leaderId: this.#leaderId,
+      periodType: this.#periodType,
+      threshold: this.#threshold,
+      rate: this.#rate,
+      createdBy: this.#createdBy,
+      createdAt: this.#createdAt.toISOString(),
+    };
+  }
+
+  static fromJSON(json) {
+    return new TeamBonusRule({
+      id: json.id,
+      leaderId: json.leaderId,
+      periodType: json.periodType,
+      threshold: json.threshold,
+      rate: json.rate,
+      createdBy: json.createdBy || null,
+      createdAt: json.createdAt || null,
+    });
+  }
+}
@@ -0,0 +1,5 @@
+/**
+ * Entities Barrel Export
+ */
+
+export { TeamBonusRule, TEAM_BONUS_PERIODS } from './TeamBonusRule.js';
@@ -0,0 +1,18 @@
+/**
+ * Repository Interface: ITeamBonusRepository
+ * Defines the contract for team bonus rule persistence
+ */
+
+export class ITeamBonusRepository {
+  async findAll() {
+    throw new Error('Method not implemented');
+  }
+
+  async save(rule) {
+    throw new Error('Method not implemented');
+  }
+
+  async delete(ruleId) {
+    throw new Error('Method not implemented');
+  }
+}
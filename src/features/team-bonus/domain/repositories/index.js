@@ -0,0 +1,5 @@
+/**
+ * Repositories Barrel Export
+ */
+
+export { ITeamBonusRepository } from './ITeamBonusRepository.js';
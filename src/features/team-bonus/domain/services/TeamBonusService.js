@@ -0,0 +1,151 @@
+/**
+ * Domain Service: TeamBonusService
+ * Manages the team bonus rules of leaders, measures the volume of a
+ * leader's subtree per bonus period and books the bonus as a provision
+ * adjustment of the leader. Booked bonuses carry the rule and period in
+ * their reference, so a later run only books the difference, e.g. after
+ * a team entry has been cancelled.
+ */
+
+import { Logger } from './../../../../core/utils/logger.js';
+import { roundCurrency } from '../../../../core/utils/index.js';
+import { ValidationError } from '../../../../core/errors/index.js';
+import { TargetMetric, TARGET_METRIC_TYPES } from '../../../sales-targets/domain/value-objects/TargetMetric.js';
+import { TeamBonusRule } from '../entities/TeamBonusRule.js';
+
+export const TEAM_BONUS_SOURCE = 'team_bonus';
+
+const formatCurrency = (value) => new Intl.NumberFormat('de-DE', {
+  style: 'currency',
+  currency: 'EUR',
+}).format(value);
+
+export class TeamBonusService {
+  #repository;
+  #revenueService;
+
+  constructor(teamBonusRepository, revenueService) {
+    this.#repository = teamBonusRepository;
+    this.#revenueService = revenueService;
+  }
+
+  /**
+   * @returns {Promise<TeamBonusRule[]>}
+   */
+  async getRulesForLeader(leaderId) {
+    const rules = await this.#repository.findAll();
+    return rules
+      .filter((rule) => rule.leaderId === leaderId)
+      .sort((a, b) => a.threshold - b.threshold);
+  }
+
+  async createRule(params, createdBy = null) {
+    const rule = new TeamBonusRule({ ...params, createdBy });
+    await this.#repository.save(rule);
+    Logger.log(`Team bonus rule created for ${rule.leaderId}: ${rule.summary}`);
+    return rule;
+  }
+
+  async deleteRule(ruleId) {
+    await this.#repository.delete(ruleId);
+    Logger.log(`Team bonus rule deleted: ${ruleId}`);
+  }
+
+  /**
+   * @typedef {Object} TeamBonusEvaluation
+   * @property {TeamBonusRule} rule
+   * @property {ReportPeriod} period - Period of the rule containing the reference date
+   * @property {string} periodKey
+   * @property {number} volume - Team revenue of the period
+   * @property {number} entryCount - Team postings counted
+   * @property {number} bonus - Bonus earned on the volume
+   * @property {number} alreadyBooked - Bonus entries booked earlier for rule and period
+   * @property {number} open - Still to book (negative: to reclaim)
+   * @property {boolean} isClosed - The period has ended, only then the bonus can be booked
+   */
+
+  /**
+   * Evaluate all rules of a leader for the periods that contain the given
+   * date. The volume is the revenue of the subtree entries from
+   * getHierarchicalRevenues whose entry date falls into the period.
+   *
+   * @param {string} leaderId
+   * @param {string} treeId
+   * @param {Date} date - Reference date, e.g. the last day of the quarter
+   * @returns {Promise<TeamBonusEvaluation[]>}
+   */
+  async evaluate(leaderId, treeId, date = new Date()) {
+    const rules = await this.getRulesForLeader(leaderId);
+    if (rules.length === 0) return [];
+
+    const [hierarchicalEntries, ownEntries] = await Promise.all([
+      this.#revenueService.getHierarchicalRevenues(leaderId, treeId),
+      this.#revenueService.getEntriesByEmployee(leaderId),
+    ]);
+    const teamEntries = hierarchicalEntries
+      .map((hierarchicalEntry) => hierarchicalEntry.originalEntry)
+      .filter((entry) => !entry.status.isRejected && !entry.status.isCancelled);
+    const bookedEntries = ownEntries.filter((entry) => entry.source === TEAM_BONUS_SOURCE);
+    const revenue = new TargetMetric(TARGET_METRIC_TYPES.REVENUE);
+
+    return rules.map((rule) => {
+      const period = rule.periodContaining(date);
+      const periodKey = rule.periodKey(period);
+      const reference = `${rule.id}:${periodKey}`;
+
+      const entries = teamEntries.filter((entry) => period.containsDate(entry.entryDate));
+      const volume = roundCurrency(revenue.measure(entries));
+      const bonus = roundCurrency(rule.calculateBonus(volume));
+      const alreadyBooked = roundCurrency(bookedEntries
+        .filter((entry) => entry.sourceReference === reference)
+        .reduce((sum, entry) => sum + entry.provisionAmount, 0));
+
+      return {
+        rule,
+        period,
+        periodKey,
+        volume,
+        entryCount: entries.length,
+        bonus,
+        alreadyBooked,
+        open: roundCurrency(bonus - alreadyBooked),
+        isClosed: period.endDate < new Date(),
+      };
+    });
+  }
+
+  /**
+   * Book the open bonus of all rules whose period has ended as entries of
+   * the leader. They are dated on the last day of the period and show up
+   * in the team bonus section of the next billing report.
+   *
+   * @returns {Promise<RevenueEntry[]>}
+   */
+  async bookBonus(leaderId, treeId, date, { leaderName = null, actor = null } = {}) {
+    const evaluations = await this.evaluate(leaderId, treeId, date);
+    if (evaluations.length > 0 && evaluations.every((evaluation) => !evaluation.isClosed)) {
+      throw new ValidationError('Der Bonuszeitraum ist noch nicht abgeschlossen', 'date');
+    }
+
+    const created = [];
+    for (const evaluation of evaluations.filter((candidate) => candidate.isClosed && candidate.open !== 0)) {
+      const { rule, period, periodKey } = evaluation;
+      const entry = await this.#revenueService.addProvisionAdjustment(leaderId, {
+        employeeName: leaderName,
+        provisionType: null,
+        category: 'teamBonus',
+        label: `Teambonus ${period.displayName}`,
+        amount: evaluation.open,
+        entryDate: period.endDate,
+        notes: `${rule.summary}: Teamumsatz ${formatCurrency(evaluation.volume)} aus ${evaluation.entryCount} Einträgen`,
+        source: TEAM_BONUS_SOURCE,
+        sourceReference: `${rule.id}:${periodKey}`,
+        actor,
+      });
+      created.push(entry);
+    }
+
+    Logger.log(`Team bonus for ${leaderId}: ${created.length} entries booked`);
+    return created;
+  }
+}
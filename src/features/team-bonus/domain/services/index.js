@@ -0,0 +1,5 @@
+/**
+ * Services Barrel Export
+ */
+
+export { TeamBonusService, TEAM_BONUS_SOURCE } from './TeamBonusService.js';
@@ -0,0 +1,328 @@
+/**
+ * Molecule: TeamBonusDialog
+ * Team bonus of one leader (admins): the bonus rules, a form for a new
+ * rule, and the evaluation of the bonus periods around a reference date
+ * with booking of the open bonus
+ */
+
+import { createElement } from '../../../../../core/utils/index.js';
+import { Logger } from '../../../../../core/utils/logger.js';
+import { Button } from '../../../../hierarchy-tracking/presentation/components/atoms/Button.js';
+import { TEAM_BONUS_PERIODS } from '../../../domain/entities/TeamBonusRule.js';
+
+const PERIOD_OPTIONS = [
+  [TEAM_BONUS_PERIODS.QUARTER, 'Quartal'],
+  [TEAM_BONUS_PERIODS.MONTH, 'Monat'],
+  [TEAM_BONUS_PERIODS.YEAR, 'Jahr'],
+];
+
+const formatCurrency = (value) => new Intl.NumberFormat('de-DE', {
+  style: 'currency',
+  currency: 'EUR',
+}).format(value);
+
+const toDateInputValue = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+export class TeamBonusDialog {
+  #element;
+  #props;
+  #rulesContainer;
+  #evaluationContainer;
+  #periodSelect;
+  #thresholdInput;
+  #rateInput;
+  #dateInput;
+  #saveButton;
+
+  /**
+   * @param {Object} props
+   * @param {string} props.leaderId
+   * @param {string} props.leaderName
+   * @param {string} props.treeId - Tree the subtree is read from
+   * @param {TeamBonusService} props.teamBonusService
+   * @param {string} props.createdBy - UID recorded on new rules
+   * @param {Function} props.onBooked - Called after bonus entries were booked
+   */
+  constructor(props = {}) {
+    this.#props = {
+      leaderId: props.leaderId,
+      leaderName: props.leaderName || 'Führungskraft',
+      treeId: props.treeId,
+      teamBonusService: props.teamBonusService,
+      createdBy: props.createdBy || null,
+      onBooked: props.onBooked || null,
+    };
+
+    this.#element = this.#render();
+    this.#loadRules();
+  }
+
+  #render() {
+    const overlay = createElement('div', { className: 'dialog-overlay team-bonus-dialog-overlay' });
+
+    this.#rulesContainer = createElement('div', { className: 'team-bonus-list' }, [
+      createElement('p', { className: 'team-bonus-note' }, ['Regeln werden geladen...']),
+    ]);
+    this.#evaluationContainer = createElement('div', { className: 'team-bonus-list' });
+
+    const dialogContent = createElement('div', { className: 'dialog-content team-bonus-dialog' }, [
+      createElement('div', { className: 'dialog-header-fixed' }, [
+        createElement('h2', { className: 'dialog-title' }, ['Teambonus']),
+        createElement('p', { className: 'dialog-subtitle' }, [this.#props.leaderName]),
+      ]),
+      createElement('div', { className: 'dialog-body-scroll team-bonus-body' }, [
+        createElement('div', { className: 'team-bonus-section' }, [
+          createElement('h3', { className: 'team-bonus-section-title' }, ['Bonusregeln']),
+          createElement('p', { className: 'team-bonus-note' }, [
+            'Der Bonus wird auf den Umsatz der gesamten Struktur unterhalb der Führungskraft berechnet, ' +
+            'soweit er die Schwelle im Zeitraum übersteigt. Er erscheint als eigener Abschnitt in der Abrechnung.',
+          ]),
+          this.#rulesContainer,
+        ]),
+        this.#renderForm(),
+        this.#renderEvaluation(),
+      ]),
+      createElement('div', { className: 'dialog-actions' }, [
+        new Button({ label: 'Schließen', variant: 'ghost', onClick: () => this.hide() }).element,
+      ]),
+    ]);
+
+    overlay.appendChild(dialogContent);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.hide();
+      }
+    });
+
+    return overlay;
+  }
+
+  #field(label, input) {
+    return createElement('div', { className: 'input-wrapper' }, [
+      createElement('label', { className: 'input-label' }, [label]),
+      input,
+    ]);
+  }
+
+  #renderForm() {
+    this.#periodSelect = createElement('select', { className: 'input-field' },
+      PERIOD_OPTIONS.map(([value, text]) => createElement('option', { value }, [text])),
+    );
+    this.#thresholdInput = createElement('input', {
+      type: 'number', className: 'input-field', min: '0', step: '10000', placeholder: '200000',
+    });
+    this.#rateInput = createElement('input', {
+      type: 'number', className: 'input-field', min: '0', max: '100', step: '0.1', placeholder: '2',
+    });
+    this.#saveButton = new Button({
+      label: 'Regel anlegen',
+      variant: 'primary',
+      onClick: () => this.#handleSave(),
+    });
+
+    return createElement('div', { className: 'team-bonus-section' }, [
+      createElement('h3', { className: 'team-bonus-section-title' }, ['Neue Regel']),
+      createElement('div', { className: 'team-bonus-form' }, [
+        this.#field('Zeitraum', this.#periodSelect),
+        this.#field('Schwelle (€)', this.#thresholdInput),
+        this.#field('Bonus (%)', this.#rateInput),
+      ]),
+      createElement('div', { className: 'team-bonus-form-actions' }, [this.#saveButton.element]),
+    ]);
+  }
+
+  #renderEvaluation() {
+    // Default: the month that has just ended, which also closes a quarter or year at its end
+    const now = new Date();
+    this.#dateInput = createElement('input', {
+      type: 'date',
+      className: 'input-field team-bonus-date',
+      value: toDateInputValue(new Date(now.getFullYear(), now.getMonth(), 0)),
+    });
+    this.#dateInput.addEventListener('change', () => this.#loadEvaluation());
+
+    return createElement('div', { className: 'team-bonus-section' }, [
+      createElement('h3', { className: 'team-bonus-section-title' }, ['Auswertung']),
+      createElement('div', { className: 'team-bonus-form-actions' }, [
+        createElement('label', { className: 'input-label' }, ['Stichtag']),
+        this.#dateInput,
+      ]),
+      this.#evaluationContainer,
+    ]);
+  }
+
+  async #loadRules() {
+    try {
+      const rules = await this.#props.teamBonusService.getRulesForLeader(this.#props.leaderId);
+      this.#rulesContainer.replaceChildren(...this.#renderRules(rules));
+    } catch (error) {
+      Logger.error('Failed to load team bonus rules:', error);
+      this.#rulesContainer.replaceChildren(
+        createElement('p', { className: 'team-bonus-note' }, [`Fehler: ${error.message}`]),
+      );
+    }
+    await this.#loadEvaluation();
+  }
+
+  #renderRules(rules) {
+    if (rules.length === 0) {
+      return [createElement('p', { className: 'team-bonus-note' }, ['Für diese Führungskraft ist kein Teambonus vereinbart.'])];
+    }
+
+    return rules.map((rule) =>
+      createElement('div', { className: 'team-bonus-item' }, [
+        createElement('span', { className: 'team-bonus-item-title' }, [rule.summary]),
+        new Button({
+          label: 'Entfernen',
+          variant: 'ghost',
+          size: 'sm',
+          onClick: () => this.#handleDelete(rule),
+        }).element,
+      ]),
+    );
+  }
+
+  /**
+   * Reference date as a local date (the input yields UTC midnight)
+   */
+  #readDate() {
+    const value = this.#dateInput.valueAsDate;
+    return value ? new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()) : null;
+  }
+
+  async #loadEvaluation() {
+    const date = this.#readDate();
+    if (!date) return;
+
+    try {
+      const evaluations = await this.#props.teamBonusService.evaluate(this.#props.leaderId, this.#props.treeId, date);
+      this.#evaluationContainer.replaceChildren(...this.#renderEvaluations(evaluations));
+    } catch (error) {
+      Logger.error('Failed to evaluate team bonus:', error);
+      this.#evaluationContainer.replaceChildren(
+        createElement('p', { className: 'team-bonus-note' }, [`Fehler: ${error.message}`]),
+      );
+    }
+  }
+
+  #renderEvaluations(evaluations) {
+    if (evaluations.length === 0) {
+      return [];
+    }
+
+    const items = evaluations.map((evaluation) =>
+      createElement('div', { className: 'team-bonus-item team-bonus-item--stacked' }, [
+        createElement('span', { className: 'team-bonus-item-title' }, [
+          `${evaluation.period.displayName}: ${evaluation.rule.summary}` +
+          (evaluation.isClosed ? '' : ' (läuft noch)'),
+        ]),
+        createElement('span', { className: 'team-bonus-item-details' }, [
+          `Teamumsatz ${formatCurrency(evaluation.volume)} aus ${evaluation.entryCount} Einträgen · ` +
+          `Bonus ${formatCurrency(evaluation.bonus)} · bereits gebucht ${formatCurrency(evaluation.alreadyBooked)} · ` +
+          `offen ${formatCurrency(evaluation.open)}`,
+        ]),
+      ]),
+    );
+
+    const bookable = evaluations.filter((evaluation) => evaluation.isClosed && evaluation.open !== 0);
+    if (bookable.length === 0) {
+      return items;
+    }
+
+    const open = bookable.reduce((sum, evaluation) => sum + evaluation.open, 0);
+    const bookButton = new Button({
+      label: `Bonus buchen (${formatCurrency(open)})`,
+      variant: 'primary',
+      onClick: () => this.#handleBook(bookButton),
+    });
+    return [...items, createElement('div', { className: 'team-bonus-form-actions' }, [bookButton.element])];
+  }
+
+  async #handleSave() {
+    // Empty fields must not turn into 0, the rule rejects a missing rate instead
+    const read = (input) => (input.value === '' ? NaN : Number(input.value));
+
+    this.#saveButton.element.disabled = true;
+    try {
+      await this.#props.teamBonusService.createRule({
+        leaderId: this.#props.leaderId,
+        periodType: this.#periodSelect.value,
+        threshold: read(this.#thresholdInput),
+        rate: read(this.#rateInput),
+      }, this.#props.createdBy);
+
+      this.#thresholdInput.value = '';
+      this.#rateInput.value = '';
+      await this.#loadRules();
+    } catch (error) {
+      Logger.error('Failed to create team bonus rule:', error);
+      alert(`Speichern fehlgeschlagen: ${error.message}`);
+    } finally {
+      this.#saveButton.element.disabled = false;
+    }
+  }
+
+  async #handleDelete(rule) {
+    if (!window.confirm(`Teambonus "${rule.summary}" entfernen?\n\nBereits gebuchte Boni bleiben bestehen.`)) {
+      return;
+    }
+
+    try {
+      await this.#props.teamBonusService.deleteRule(rule.id);
+      await this.#loadRules();
+    } catch (error) {
+      Logger.error('Failed to delete team bonus rule:', error);
+      alert(`Entfernen fehlgeschlagen: ${error.message}`);
+    }
+  }
+
+  async #handleBook(button) {
+    if (!window.confirm(`Offenen Teambonus für ${this.#props.leaderName} buchen?`)) {
+      return;
+    }
+
+    button.element.disabled = true;
+    try {
+      const entries = await this.#props.teamBonusService.bookBonus(
+        this.#props.leaderId,
+        this.#props.treeId,
+        this.#readDate(),
+        { leaderName: this.#props.leaderName },
+      );
+      await this.#loadEvaluation();
+      if (this.#props.onBooked) {
+        this.#props.onBooked(entries);
+      }
+    } catch (error) {
+      Logger.error('Failed to book team bonus:', error);
+      alert(`Buchen fehlgeschlagen: ${error.message}`);
+      button.element.disabled = false;
+    }
+  }
+
+  show() {
+    document.body.appendChild(this.#element);
+
+    requestAnimationFrame(() => {
+      this.#element.classList.add('visible');
+    });
+  }
+
+  hide() {
+    this.#element.classList.remove('visible');
+
+    setTimeout(() => {
+      if (this.#element.parentNode) {
+        this.#element.parentNode.removeChild(this.#element);
+      }
+    }, 300);
+  }
+
+  get element() {
+    return this.#element;
+  }
+}
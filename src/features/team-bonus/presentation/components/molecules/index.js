@@ -0,0 +1,5 @@
+/**
+ * Molecules Barrel Export
+ */
+
+export { TeamBonusDialog } from './TeamBonusDialog.js';
@@ -34,22 +34,29 @@ export class BankInfo {
       throw new ValidationError('IBAN ungültig (Format: DE + 20 Ziffern)', 'iban');
     }
 
-    // Basic IBAN checksum validation (mod 97)
-    if (cleaned) {
-      const rearranged = cleaned.substring(4) + cleaned.substring(0, 4);
-      const numeric = rearranged.replace(/[A-Z]/g, (char) => (char.charCodeAt(0) - 55).toString());
-
-      // Convert to BigInt for large number mod calculation
-      const checksum = BigInt(numeric) % 97n;
-
-      if (checksum !== 1n) {
-        throw new ValidationError('IBAN Prüfsumme ungültig', 'iban');
-      }
+    if (cleaned && !BankInfo.hasValidIbanChecksum(cleaned)) {
+      throw new ValidationError('IBAN Prüfsumme ungültig', 'iban');
     }
 
     return cleaned;
   }
 
+  /**
+   * IBAN checksum validation (ISO 13616, mod 97) for any country
+   * @param {string} iban - With or without spaces
+   * @returns {boolean}
+   */
+  static hasValidIbanChecksum(iban) {
+    const cleaned = (iban || '').replace(/\s/g, '').toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(cleaned)) return false;
+
+    const rearranged = cleaned.substring(4) + cleaned.substring(0, 4);
+    const numeric = rearranged.replace(/[A-Z]/g, (char) => (char.charCodeAt(0) - 55).toString());
+
+    // Convert to BigInt for large number mod calculation
+    return BigInt(numeric) % 97n === 1n;
+  }
+
   #validateBIC(bic) {
     if (!bic) return '';
 
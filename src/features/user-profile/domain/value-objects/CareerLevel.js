@@ -56,6 +56,19 @@ export class CareerLevel {
     return this.#description;
   }
 
+  /**
+   * Key of the matching predefined level. The profile forms only store the
+   * rank name, so the name wins over the stored level number.
+   * @returns {string|null}
+   */
+  get levelKey() {
+    const entries = Object.entries(CAREER_LEVELS);
+    const byName = entries.find(([, preset]) => preset.rankName === this.#rankName);
+    if (byName) return byName[0];
+    const byLevel = entries.find(([, preset]) => preset.level === this.#level);
+    return byLevel ? byLevel[0] : null;
+  }
+
   toJSON() {
     return {
       rankName: this.#rankName,
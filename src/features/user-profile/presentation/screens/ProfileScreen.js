@@ -16,21 +16,25 @@ export class ProfileScreen {
   #profileService;
   #userId;
   #user;
+  #advanceService;
+  #advanceAgreements = [];
   #activeSection = 'personal';
   #isEditing = false;
 
-  constructor(container, profileService, userId) {
+  constructor(container, profileService, userId, advanceService = null) {
     this.#container = typeof container === 'string'
       ? document.querySelector(container)
       : container;
 
     this.#profileService = profileService;
     this.#userId = userId;
+    this.#advanceService = advanceService;
     this.#element = null;
   }
 
   async mount() {
     await this.#loadUserProfile();
+    await this.#loadAdvanceAgreements();
     this.#element = this.#render();
     this.#container.innerHTML = '';
     this.#container.appendChild(this.#element);
@@ -48,6 +52,21 @@ export class ProfileScreen {
     }
   }
 
+  async #loadAdvanceAgreements() {
+    const nodeId = this.#user?.linkedNodeId;
+    if (!this.#advanceService || !nodeId) {
+      this.#advanceAgreements = [];
+      return;
+    }
+
+    try {
+      this.#advanceAgreements = await this.#advanceService.getAgreements(nodeId);
+    } catch (error) {
+      Logger.error('Failed to load advance agreements:', error);
+      this.#advanceAgreements = [];
+    }
+  }
+
   #render() {
     const header = this.#renderHeader();
     const navigation = this.#renderNavigation();
@@ -101,6 +120,11 @@ export class ProfileScreen {
       { key: 'security', label: 'Sicherheit', icon: '🔒' },
     ];
 
+    // Advances only exist for some employees - hide the tab otherwise
+    if (this.#advanceAgreements.length > 0) {
+      sections.splice(sections.length - 1, 0, { key: 'advance', label: 'Vorschuss', icon: '💶' });
+    }
+
     const tabs = sections.map(section =>
       createElement('button', {
         className: `profile-nav-tab ${this.#activeSection === section.key ? 'active' : ''}`,
@@ -147,6 +171,9 @@ export class ProfileScreen {
       case 'career':
         sectionContent = this.#renderCareerSection();
         break;
+      case 'advance':
+        sectionContent = this.#renderAdvanceSection();
+        break;
       case 'security':
         sectionContent = this.#renderSecuritySection();
         break;
@@ -330,6 +357,32 @@ export class ProfileScreen {
     ]);
   }
 
+  #renderAdvanceSection() {
+    const formatCurrency = (amount) =>
+      new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'EUR' }).format(amount);
+    const formatMonth = (date) => date.toLocaleDateString('de-DE', { month: '2-digit', year: 'numeric' });
+    const outstanding = this.#advanceAgreements.reduce((sum, a) => sum + a.getOutstandingBalance(), 0);
+
+    const agreementBlocks = this.#advanceAgreements.map((agreement) =>
+      createElement('div', { className: 'section-content' }, [
+        this.#renderField('Zeitraum', `${formatMonth(agreement.startDate)} – ${formatMonth(agreement.endDate)}`),
+        this.#renderField('Monatlicher Vorschuss', formatCurrency(agreement.monthlyAmount)),
+        this.#renderField('Verrechnung', `max. ${agreement.maxOffsetPercentage}% der Provisionen`),
+        this.#renderField('Bisher ausgezahlt', formatCurrency(agreement.getDisbursedAmount())),
+        this.#renderField('Bereits verrechnet', formatCurrency(agreement.offsetAmount)),
+        this.#renderField('Offen', formatCurrency(agreement.getOutstandingBalance())),
+      ])
+    );
+
+    return createElement('div', { className: 'profile-section' }, [
+      createElement('h2', { className: 'section-title' }, ['Vorschuss']),
+      createElement('div', { className: 'section-content' }, [
+        this.#renderField('Offener Vorschusssaldo', formatCurrency(outstanding)),
+      ]),
+      ...agreementBlocks,
+    ]);
+  }
+
   #renderSecuritySection() {
     return createElement('div', { className: 'profile-section' }, [
       createElement('h2', { className: 'section-title' }, ['Sicherheit']),
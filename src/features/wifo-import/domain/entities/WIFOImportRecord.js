@@ -246,6 +246,19 @@ export class WIFOImportRecord {
     return this.#lauf;
   }
 
+  /**
+   * Identifies one posting: a contract appears in many runs (Abschluss,
+   * Bestandsprovision, Storno), the run number tells its lines apart
+   */
+  get postingReference() {
+    return WIFOImportRecord.buildPostingReference(this.#vertrag, this.#lauf);
+  }
+
+  static buildPostingReference(vertrag, lauf) {
+    if (!vertrag) return null;
+    return lauf ? `${vertrag}#${lauf}` : vertrag;
+  }
+
   get erstelldatum() {
     return this.#erstelldatum;
   }
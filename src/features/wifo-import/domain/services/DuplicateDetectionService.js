@@ -4,6 +4,7 @@
  */
 
 import { Logger } from '../../../../core/utils/logger.js';
+import { WIFOImportRecord } from '../entities/WIFOImportRecord.js';
 
 export class DuplicateDetectionService {
   #existingEntries;
@@ -91,10 +92,11 @@ export class DuplicateDetectionService {
       });
     }
 
-    // Check 1: Exact contract/vertrag match (highest confidence)
+    // Check 1: Exact posting match - same contract and run (highest confidence)
     const vertragId = record.vertrag || record.vertragId;
     if (vertragId) {
-      const sourceKey = this.#createSourceKey(vertragId, record.mappedEmployeeId);
+      const reference = WIFOImportRecord.buildPostingReference(vertragId, record.lauf);
+      const sourceKey = this.#createSourceKey(reference, record.mappedEmployeeId);
       const sourceMatches = this.#entryIndex.get(sourceKey);
 
       if (shouldLog) {
@@ -112,8 +114,10 @@ export class DuplicateDetectionService {
       }
     }
 
-    // Check 2: Contract number match
-    if (vertragId) {
+    // Check 2: Contract number match. With a run number another line of a known
+    // contract is a follow-up posting (Bestandsprovision, Storno), not a duplicate;
+    // lines imported before runs were stored are still caught by check 3.
+    if (vertragId && !record.lauf) {
       const contractKey = this.#createContractKey(vertragId, record.mappedEmployeeId);
       const contractMatches = this.#entryIndex.get(contractKey);
 
@@ -206,6 +210,7 @@ export class DuplicateDetectionService {
   #createRecordKey(record) {
     const parts = [
       record.vertrag || '',
+      record.lauf || '',
       record.datum ? this.#formatDate(record.datum) : '',
       record.netto !== null ? record.netto.toFixed(2) : '',
       (record.vermittlerName || '').toLowerCase().trim(),
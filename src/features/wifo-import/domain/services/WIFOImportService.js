@@ -364,6 +364,8 @@ export class WIFOImportService {
       customerName: this.#buildCustomerName(record),
       provisionAmount: nettoValue,
       contractNumber: record.vertrag || '',
+      // Provider's contract id, kept on the contract the entry is attached to
+      contractExternalId: record.vertragId,
       notes: this.#buildDescription(record),
       entryDate: record.datum || new Date(),
       status: autoStatus,
@@ -378,7 +380,7 @@ export class WIFOImportService {
       },
       // Source tracking for duplicate detection
       source: 'wifo_import',
-      sourceReference: record.vertrag,
+      sourceReference: record.postingReference,
       // Preserve original WIFO data as metadata in notes
       wifoMetadata: {
         sparte: record.sparte,
@@ -104,6 +104,7 @@ export class WIFOValidationService {
       const tempRecord = {
         vertrag: record.vertrag,
         vertragId: record.vertragId,
+        lauf: record.lauf,
         datum: record.datum,
         netto: record.netto,
         kundeName: record.kundeName,
@@ -18,7 +18,25 @@ import { RevenueFirestoreDataSource } from './features/revenue-tracking/data/dat
 import { LocalRevenueRepository } from './features/revenue-tracking/data/repositories/LocalRevenueRepository.js';
 import { FirebaseRevenueRepository } from './features/revenue-tracking/data/repositories/FirebaseRevenueRepository.js';
 import { RevenueService } from './features/revenue-tracking/domain/services/RevenueService.js';
+import { RevenueAuditFirestoreDataSource } from './features/revenue-tracking/data/data-sources/RevenueAuditFirestoreDataSource.js';
+import { FirebaseRevenueAuditRepository } from './features/revenue-tracking/data/repositories/FirebaseRevenueAuditRepository.js';
+import { RevenueAuditService } from './features/revenue-tracking/domain/services/RevenueAuditService.js';
+import { RecurringRevenueFirestoreDataSource } from './features/revenue-tracking/data/data-sources/RecurringRevenueFirestoreDataSource.js';
+import { FirebaseRecurringRevenueRepository } from './features/revenue-tracking/data/repositories/FirebaseRecurringRevenueRepository.js';
+import { RecurringRevenueService } from './features/revenue-tracking/domain/services/RecurringRevenueService.js';
+import { AttachmentStorageDataSource } from './features/revenue-tracking/data/data-sources/AttachmentStorageDataSource.js';
+import { FirebaseAttachmentRepository } from './features/revenue-tracking/data/repositories/FirebaseAttachmentRepository.js';
+import { AttachmentService } from './features/revenue-tracking/domain/services/AttachmentService.js';
+import { ProvisionSimulationService } from './features/revenue-tracking/domain/services/ProvisionSimulationService.js';
+import { ProvisionTierFirestoreDataSource } from './features/revenue-tracking/data/data-sources/ProvisionTierFirestoreDataSource.js';
+import { FirebaseProvisionTierRepository } from './features/revenue-tracking/data/repositories/FirebaseProvisionTierRepository.js';
+import { ProvisionTierService } from './features/revenue-tracking/domain/services/ProvisionTierService.js';
+import { PeriodClosingFirestoreDataSource } from './features/revenue-tracking/data/data-sources/PeriodClosingFirestoreDataSource.js';
+import { FirebasePeriodClosingRepository } from './features/revenue-tracking/data/repositories/FirebasePeriodClosingRepository.js';
+import { PeriodClosingService } from './features/revenue-tracking/domain/services/PeriodClosingService.js';
+import { PortfolioTransferService } from './features/revenue-tracking/domain/services/PortfolioTransferService.js';
 import { RevenueScreen } from './features/revenue-tracking/presentation/screens/RevenueScreen.js';
+import { ProvisionSimulatorScreen } from './features/revenue-tracking/presentation/screens/ProvisionSimulatorScreen.js';
 import { CatalogFirestoreDataSource } from './features/product-catalog/data/data-sources/CatalogFirestoreDataSource.js';
 import { FirebaseCatalogRepository } from './features/product-catalog/data/repositories/FirebaseCatalogRepository.js';
 import { CatalogService } from './features/product-catalog/domain/services/CatalogService.js';
@@ -26,8 +44,40 @@ import { MigrationService } from './features/product-catalog/domain/services/Mig
 import { CatalogManagementScreen } from './features/product-catalog/presentation/screens/CatalogManagementScreen.js';
 import { UserFirestoreDataSource } from './features/user-profile/data/data-sources/UserFirestoreDataSource.js';
 import { FirebaseUserRepository } from './features/user-profile/data/repositories/FirebaseUserRepository.js';
+import { StornoreserveFirestoreDataSource } from './features/billing-export/data/data-sources/StornoreserveFirestoreDataSource.js';
+import { FirebaseStornoreserveRepository } from './features/billing-export/data/repositories/FirebaseStornoreserveRepository.js';
+import { StornoreserveService } from './features/billing-export/domain/services/StornoreserveService.js';
+import { LedgerFirestoreDataSource } from './features/billing-export/data/data-sources/LedgerFirestoreDataSource.js';
+import { FirebaseLedgerRepository } from './features/billing-export/data/repositories/FirebaseLedgerRepository.js';
+import { LedgerService } from './features/billing-export/domain/services/LedgerService.js';
+import { AdvanceFirestoreDataSource } from './features/billing-export/data/data-sources/AdvanceFirestoreDataSource.js';
+import { FirebaseAdvanceRepository } from './features/billing-export/data/repositories/FirebaseAdvanceRepository.js';
+import { AdvanceService } from './features/billing-export/domain/services/AdvanceService.js';
+import { BillingArchiveFirestoreDataSource } from './features/billing-export/data/data-sources/BillingArchiveFirestoreDataSource.js';
+import { BillingReportPdfStorageDataSource } from './features/billing-export/data/data-sources/BillingReportPdfStorageDataSource.js';
+import { FirebaseBillingArchiveRepository } from './features/billing-export/data/repositories/FirebaseBillingArchiveRepository.js';
+import { BillingArchiveService } from './features/billing-export/domain/services/BillingArchiveService.js';
+import { SepaTransferService } from './features/billing-export/domain/services/SepaTransferService.js';
+import { BillingArchiveScreen } from './features/billing-export/presentation/screens/BillingArchiveScreen.js';
 import { ProfileService } from './features/user-profile/domain/services/ProfileService.js';
 import { ProfileScreen } from './features/user-profile/presentation/screens/ProfileScreen.js';
+import { CustomerFirestoreDataSource } from './features/customer-management/data/data-sources/CustomerFirestoreDataSource.js';
+import { FirebaseCustomerRepository } from './features/customer-management/data/repositories/FirebaseCustomerRepository.js';
+import { CustomerService } from './features/customer-management/domain/services/CustomerService.js';
+import { CustomerScreen } from './features/customer-management/presentation/screens/CustomerScreen.js';
+import { ContractFirestoreDataSource } from './features/contract-management/data/data-sources/ContractFirestoreDataSource.js';
+import { FirebaseContractRepository } from './features/contract-management/data/repositories/FirebaseContractRepository.js';
+import { ContractService } from './features/contract-management/domain/services/ContractService.js';
+import { ContractScreen } from './features/contract-management/presentation/screens/ContractScreen.js';
+import { SalesTargetFirestoreDataSource } from './features/sales-targets/data/data-sources/SalesTargetFirestoreDataSource.js';
+import { FirebaseSalesTargetRepository } from './features/sales-targets/data/repositories/FirebaseSalesTargetRepository.js';
+import { SalesTargetService } from './features/sales-targets/domain/services/SalesTargetService.js';
+import { CareerPromotionFirestoreDataSource } from './features/career-promotion/data/data-sources/CareerPromotionFirestoreDataSource.js';
+import { FirebaseCareerPromotionRepository } from './features/career-promotion/data/repositories/FirebaseCareerPromotionRepository.js';
+import { CareerPromotionService } from './features/career-promotion/domain/services/CareerPromotionService.js';
+import { TeamBonusFirestoreDataSource } from './features/team-bonus/data/data-sources/TeamBonusFirestoreDataSource.js';
+import { FirebaseTeamBonusRepository } from './features/team-bonus/data/repositories/FirebaseTeamBonusRepository.js';
+import { TeamBonusService } from './features/team-bonus/domain/services/TeamBonusService.js';
 import { APP_CONFIG } from './core/config/index.js';
 import { Logger } from './core/utils/logger.js';
 
@@ -36,6 +86,22 @@ class Application {
   #revenueService;
   #catalogService;
   #profileService;
+  #stornoreserveService;
+  #ledgerService;
+  #advanceService;
+  #billingArchiveService;
+  #sepaTransferService;
+  #recurringRevenueService;
+  #provisionSimulationService;
+  #provisionTierService;
+  #periodClosingService;
+  #portfolioTransferService;
+  #customerService;
+  #contractService;
+  #salesTargetService;
+  #careerPromotionService;
+  #teamBonusService;
+  #attachmentService;
   #currentScreen;
   #loginScreen;
   #currentTreeId;
@@ -179,6 +245,12 @@ class Application {
       this.#revenueService = new RevenueService(revenueRepository, this.#hierarchyService, this.#catalogService);
       Logger.log('✓ Revenue Service initialized with Firebase + CatalogService');
 
+      // Field-level change history of revenue entries
+      const revenueAuditDataSource = new RevenueAuditFirestoreDataSource();
+      const revenueAuditRepository = new FirebaseRevenueAuditRepository(revenueAuditDataSource);
+      this.#revenueService.setAuditService(new RevenueAuditService(revenueAuditRepository, authService));
+      Logger.log('✓ Revenue audit trail enabled');
+
       // Link CatalogService back to RevenueService (circular dependency resolution)
       this.#catalogService.setRevenueService(this.#revenueService);
       Logger.log('✓ Circular dependency resolved: CatalogService ↔ RevenueService');
@@ -189,6 +261,114 @@ class Application {
       this.#profileService = new ProfileService(userRepository);
       Logger.log('✓ Profile Service initialized with Firebase');
 
+      // Career levels are needed to resolve product-specific provision rates
+      this.#revenueService.setProfileService(this.#profileService);
+
+      // Initialize Stornoreserve Service (reserve rules come from the catalog)
+      const stornoreserveDataSource = new StornoreserveFirestoreDataSource();
+      const stornoreserveRepository = new FirebaseStornoreserveRepository(stornoreserveDataSource);
+      this.#stornoreserveService = new StornoreserveService(stornoreserveRepository, this.#catalogService);
+      Logger.log('✓ Stornoreserve Service initialized with Firebase');
+
+      // Initialize Ledger Service (Provisionskonto)
+      const ledgerDataSource = new LedgerFirestoreDataSource();
+      const ledgerRepository = new FirebaseLedgerRepository(ledgerDataSource);
+      this.#ledgerService = new LedgerService(ledgerRepository);
+      Logger.log('✓ Ledger Service initialized with Firebase');
+
+      // Initialize Advance Service (Vorschussvereinbarungen)
+      const advanceDataSource = new AdvanceFirestoreDataSource();
+      const advanceRepository = new FirebaseAdvanceRepository(advanceDataSource);
+      this.#advanceService = new AdvanceService(advanceRepository);
+      Logger.log('✓ Advance Service initialized with Firebase');
+
+      // Initialize Billing Archive Service (numbered reports and their PDFs)
+      const billingArchiveRepository = new FirebaseBillingArchiveRepository(
+        new BillingArchiveFirestoreDataSource(),
+        new BillingReportPdfStorageDataSource(),
+      );
+      this.#billingArchiveService = new BillingArchiveService(billingArchiveRepository);
+      Logger.log('✓ Billing Archive Service initialized with Firebase');
+
+      // SEPA transfer file for the payouts of archived reports (bank data from profiles)
+      this.#sepaTransferService = new SepaTransferService(this.#profileService);
+
+      // Initialize Recurring Revenue Service (Hausverwaltung, Energieverträge)
+      const recurringRevenueDataSource = new RecurringRevenueFirestoreDataSource();
+      const recurringRevenueRepository = new FirebaseRecurringRevenueRepository(recurringRevenueDataSource);
+      this.#recurringRevenueService = new RecurringRevenueService(recurringRevenueRepository, this.#revenueService);
+      Logger.log('✓ Recurring Revenue Service initialized with Firebase');
+
+      // Initialize Attachment Service (documents in Cloud Storage)
+      const attachmentDataSource = new AttachmentStorageDataSource();
+      const attachmentRepository = new FirebaseAttachmentRepository(attachmentDataSource);
+      this.#attachmentService = new AttachmentService(attachmentRepository, this.#revenueService);
+      Logger.log('✓ Attachment Service initialized with Firebase Storage');
+
+      // Initialize Provision Simulation Service (what-if calculations, no persistence)
+      this.#provisionSimulationService = new ProvisionSimulationService(this.#revenueService, this.#hierarchyService);
+      Logger.log('✓ Provision Simulation Service initialized');
+
+      // Initialize Provision Tier Service (Staffelprovision); owner rates of new entries follow the tiers
+      const provisionTierDataSource = new ProvisionTierFirestoreDataSource();
+      const provisionTierRepository = new FirebaseProvisionTierRepository(provisionTierDataSource);
+      this.#provisionTierService = new ProvisionTierService(provisionTierRepository, this.#revenueService, this.#profileService);
+      this.#revenueService.setProvisionTierService(this.#provisionTierService);
+      Logger.log('✓ Provision Tier Service initialized with Firebase');
+
+      // Initialize Period Closing Service (Monatsabschluss); entries of closed months are locked
+      const periodClosingDataSource = new PeriodClosingFirestoreDataSource();
+      const periodClosingRepository = new FirebasePeriodClosingRepository(periodClosingDataSource);
+      this.#periodClosingService = new PeriodClosingService(periodClosingRepository, authService);
+      this.#revenueService.setPeriodClosingService(this.#periodClosingService);
+      this.#recurringRevenueService.setPeriodClosingService(this.#periodClosingService);
+      Logger.log('✓ Period Closing Service initialized with Firebase');
+
+      // Initialize Customer Service (Kundenstamm); new revenue entries are linked to a customer
+      const customerDataSource = new CustomerFirestoreDataSource();
+      const customerRepository = new FirebaseCustomerRepository(customerDataSource);
+      this.#customerService = new CustomerService(customerRepository, this.#revenueService, this.#recurringRevenueService);
+      this.#revenueService.setCustomerService(this.#customerService);
+      Logger.log('✓ Customer Service initialized with Firebase');
+
+      // Initialize Contract Service; postings with a contract number are attached to their contract
+      const contractDataSource = new ContractFirestoreDataSource();
+      const contractRepository = new FirebaseContractRepository(contractDataSource);
+      this.#contractService = new ContractService(contractRepository, this.#revenueService);
+      this.#revenueService.setContractService(this.#contractService);
+      Logger.log('✓ Contract Service initialized with Firebase');
+
+      // Initialize Sales Target Service (Zielvereinbarungen, measured against revenue entries)
+      const salesTargetDataSource = new SalesTargetFirestoreDataSource();
+      const salesTargetRepository = new FirebaseSalesTargetRepository(salesTargetDataSource);
+      this.#salesTargetService = new SalesTargetService(salesTargetRepository, this.#revenueService, this.#hierarchyService);
+      Logger.log('✓ Sales Target Service initialized with Firebase');
+
+      // Initialize Career Promotion Service (criteria per career level, approved promotions)
+      const careerPromotionDataSource = new CareerPromotionFirestoreDataSource();
+      const careerPromotionRepository = new FirebaseCareerPromotionRepository(careerPromotionDataSource);
+      this.#careerPromotionService = new CareerPromotionService(
+        careerPromotionRepository,
+        this.#revenueService,
+        this.#hierarchyService,
+        this.#profileService,
+      );
+      Logger.log('✓ Career Promotion Service initialized with Firebase');
+
+      // Initialize Team Bonus Service (overriding bonus of leaders on their subtree volume)
+      const teamBonusDataSource = new TeamBonusFirestoreDataSource();
+      const teamBonusRepository = new FirebaseTeamBonusRepository(teamBonusDataSource);
+      this.#teamBonusService = new TeamBonusService(teamBonusRepository, this.#revenueService);
+      Logger.log('✓ Team Bonus Service initialized with Firebase');
+
+      // Initialize Portfolio Transfer Service (Bestandsübertragung when an employee leaves)
+      this.#portfolioTransferService = new PortfolioTransferService(
+        this.#revenueService,
+        this.#recurringRevenueService,
+        this.#customerService,
+      );
+      Logger.log('✓ Portfolio Transfer Service initialized');
+
       // Run automatic migration (only on first app start)
       await this.#runCatalogMigration();
 
@@ -329,6 +509,22 @@ class Application {
     window.navigateToProfile = () => {
       window.location.hash = 'profile';
     };
+
+    window.navigateToSimulator = (treeId) => {
+      window.location.hash = treeId ? `simulator/${treeId}` : 'simulator';
+    };
+
+    window.navigateToCustomers = (customerId = null) => {
+      window.location.hash = customerId ? `customers/${customerId}` : 'customers';
+    };
+
+    window.navigateToContracts = (contractId = null) => {
+      window.location.hash = contractId ? `contracts/${contractId}` : 'contracts';
+    };
+
+    window.navigateToBillingArchive = () => {
+      window.location.hash = 'billing-archive';
+    };
   }
 
   async #handleRoute() {
@@ -365,6 +561,14 @@ class Application {
       await this.#showCatalogScreen();
     } else if (parts[0] === 'profile') {
       await this.#showProfileScreen();
+    } else if (parts[0] === 'simulator') {
+      await this.#showSimulatorScreen(parts[1] || null);
+    } else if (parts[0] === 'customers') {
+      await this.#showCustomerScreen(parts[1] || null);
+    } else if (parts[0] === 'contracts') {
+      await this.#showContractScreen(parts[1] || null);
+    } else if (parts[0] === 'billing-archive') {
+      await this.#showBillingArchiveScreen();
     } else {
       await this.#showHierarchyScreen();
     }
@@ -407,7 +611,15 @@ class Application {
       return;
     }
 
-    this.#currentScreen = new HierarchyScreen('#app', this.#hierarchyService, this.#revenueService, this.#profileService);
+    this.#currentScreen = new HierarchyScreen(
+      '#app',
+      this.#hierarchyService,
+      this.#revenueService,
+      this.#profileService,
+      this.#portfolioTransferService,
+      this.#salesTargetService,
+      this.#careerPromotionService,
+    );
     await this.#currentScreen.mount();
   }
 
@@ -436,6 +648,17 @@ class Application {
       employeeId,
       treeId,
       this.#profileService,
+      this.#stornoreserveService,
+      this.#ledgerService,
+      this.#advanceService,
+      this.#recurringRevenueService,
+      this.#attachmentService,
+      this.#customerService,
+      this.#salesTargetService,
+      this.#provisionTierService,
+      this.#teamBonusService,
+      this.#periodClosingService,
+      this.#billingArchiveService,
     );
     await this.#currentScreen.mount();
   }
@@ -452,6 +675,73 @@ class Application {
     await this.#currentScreen.mount();
   }
 
+  async #showSimulatorScreen(treeId) {
+    // SECURITY: The simulator reveals the provision rates of all employees
+    if (!authService.isAdmin()) {
+      Logger.error('🔒 SECURITY: Access denied - Provision simulator requires admin role');
+      window.location.hash = '';
+      return;
+    }
+
+    this.#currentScreen = new ProvisionSimulatorScreen(
+      '#app',
+      this.#provisionSimulationService,
+      this.#revenueService,
+      this.#hierarchyService,
+      treeId || this.#currentTreeId,
+    );
+    await this.#currentScreen.mount();
+  }
+
+  async #showCustomerScreen(customerId) {
+    // SECURITY: Verify authentication (employees only see customers they advise)
+    if (!authService.isAuthenticated()) {
+      Logger.error('🔒 SECURITY: Not authenticated - redirecting to login');
+      window.location.hash = '';
+      return;
+    }
+
+    this.#currentScreen = new CustomerScreen(
+      '#app',
+      this.#customerService,
+      this.#hierarchyService,
+      customerId,
+      this.#currentTreeId,
+      this.#contractService,
+    );
+    await this.#currentScreen.mount();
+  }
+
+  async #showContractScreen(contractId) {
+    // SECURITY: Verify authentication (employees only see contracts they have postings on)
+    if (!authService.isAuthenticated()) {
+      Logger.error('🔒 SECURITY: Not authenticated - redirecting to login');
+      window.location.hash = '';
+      return;
+    }
+
+    this.#currentScreen = new ContractScreen(
+      '#app',
+      this.#contractService,
+      this.#hierarchyService,
+      contractId,
+      this.#currentTreeId,
+    );
+    await this.#currentScreen.mount();
+  }
+
+  async #showBillingArchiveScreen() {
+    // SECURITY: Verify authentication (employees only see their own reports)
+    if (!authService.isAuthenticated()) {
+      Logger.error('🔒 SECURITY: Not authenticated - redirecting to login');
+      window.location.hash = '';
+      return;
+    }
+
+    this.#currentScreen = new BillingArchiveScreen('#app', this.#billingArchiveService, this.#sepaTransferService);
+    await this.#currentScreen.mount();
+  }
+
   async #showProfileScreen() {
     // SECURITY: Verify authentication
     if (!authService.isAuthenticated()) {
@@ -461,7 +751,7 @@ class Application {
     }
 
     const currentUser = authService.getCurrentUser();
-    this.#currentScreen = new ProfileScreen('#app', this.#profileService, currentUser.uid);
+    this.#currentScreen = new ProfileScreen('#app', this.#profileService, currentUser.uid, this.#advanceService);
     await this.#currentScreen.mount();
   }
 
@@ -0,0 +1,138 @@
+/**
+ * Year-end tier true-up: the owner's correction must be matched by the
+ * managers above, so the cascade pays out the same total as before.
+ *
+ * Run: node --experimental-default-type=module --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Logger reads the hostname to decide whether to log
+globalThis.window = { location: { hostname: 'test' } };
+
+const { RevenueEntry } = await import('../../src/features/revenue-tracking/domain/entities/RevenueEntry.js');
+const { HierarchicalRevenueEntry } = await import('../../src/features/revenue-tracking/domain/entities/HierarchicalRevenueEntry.js');
+const { ProvisionTierTable } = await import('../../src/features/revenue-tracking/domain/entities/ProvisionTierTable.js');
+const { RevenueService } = await import('../../src/features/revenue-tracking/domain/services/RevenueService.js');
+const { ProvisionTierService } = await import('../../src/features/revenue-tracking/domain/services/ProvisionTierService.js');
+
+const YEAR = 2025;
+const PATH = [
+  { id: 'company', name: 'Firma', bankProvision: 90, insuranceProvision: 0, realEstateProvision: 0 },
+  { id: 'm2', name: 'Bereichsleiter', bankProvision: 70, insuranceProvision: 0, realEstateProvision: 0 },
+  { id: 'm1', name: 'Teamleiter', bankProvision: 60, insuranceProvision: 0, realEstateProvision: 0 },
+  { id: 'owner', name: 'Berater', bankProvision: 40, insuranceProvision: 0, realEstateProvision: 0 },
+];
+
+const table = new ProvisionTierTable({
+  id: 'tier-1',
+  nodeId: 'owner',
+  provisionType: 'bank',
+  tiers: [{ from: 0, rate: 40 }, { from: 1000, rate: 50 }],
+  yearEndTrueUp: true,
+});
+
+function tierEntry(id, entryDate, createdAt) {
+  return RevenueEntry.fromJSON({
+    id,
+    employeeId: 'owner',
+    customerNumber: 1,
+    customerName: `Kunde ${id}`,
+    category: 'bank',
+    provisionType: 'bank',
+    product: { name: 'Kredit', category: 'bank' },
+    productProvider: { name: 'Bank', category: 'bank' },
+    contractNumber: id,
+    provisionAmount: 1000,
+    status: 'transferred',
+    entryDate,
+    createdAt,
+    ownerProvisionSnapshot: 40,
+    managerProvisionSnapshot: 60,
+    hierarchySnapshot: {
+      ownerId: 'owner',
+      managerId: 'm1',
+      provisionType: 'bank',
+      provisionRule: { source: 'provisionType', provisionType: 'bank' },
+      // Both were booked with no volume before them
+      provisionTier: { tableId: table.id, year: YEAR, volumeBefore: 0, rate: 40 },
+      path: PATH.map((level) => (level.id === 'owner' ? { ...level, appliedProvision: 40 } : level)),
+    },
+  });
+}
+
+function createServices(entries) {
+  const repository = {
+    findByEmployeeId: async (employeeId) => entries.filter((entry) => entry.employeeId === employeeId),
+    save: async (entry) => { entries.push(entry); },
+  };
+  const revenueService = new RevenueService(repository, null);
+  const tierTableRepository = { findAll: async () => [table] };
+  return new ProvisionTierService(tierTableRepository, revenueService);
+}
+
+/**
+ * Amount every recipient is paid by the billing cascade of the entries
+ * (the company keeps the remainder and is not paid out)
+ */
+function payouts(entries) {
+  const paid = new Map();
+  const add = (id, amount) => paid.set(id, Math.round(((paid.get(id) ?? 0) + amount) * 100) / 100);
+
+  for (const entry of entries) {
+    const owner = { id: entry.employeeId };
+    add(entry.employeeId, HierarchicalRevenueEntry.calculate({ entry, owner, manager: owner, hierarchyLevel: 0 }).ownerProvisionAmount);
+    for (const manager of PATH.slice(1)) {
+      if (manager.id === entry.employeeId) continue;
+      add(manager.id, HierarchicalRevenueEntry.calculate({ entry, owner, manager, hierarchyLevel: 1 }).managerProvisionAmount);
+    }
+  }
+  return paid;
+}
+
+const total = (paid) => Math.round([...paid.values()].reduce((sum, amount) => sum + amount, 0) * 100) / 100;
+
+test('true-up books matching counter-bookings for the managers above', async () => {
+  // Booked in March first; the January entry was back-dated later and pushes it into the 50 % tier
+  const entries = [
+    tierEntry('march', `${YEAR}-03-01T10:00:00.000Z`, `${YEAR}-03-01T10:00:00.000Z`),
+    tierEntry('january', `${YEAR}-01-15T10:00:00.000Z`, `${YEAR}-04-01T10:00:00.000Z`),
+  ];
+  const service = createServices(entries);
+
+  const [trueUp] = await service.calculateTrueUp('owner', YEAR);
+  assert.equal(trueUp.open, 100);
+  assert.deepEqual(
+    trueUp.managers.map(({ managerId, open }) => ({ managerId, open })),
+    [{ managerId: 'm1', open: -100 }],
+  );
+
+  const before = payouts(entries);
+  const created = await service.bookTrueUp('owner', YEAR, { employeeName: 'Berater' });
+  assert.equal(created.length, 2);
+
+  const after = payouts(entries);
+  assert.equal(total(after), total(before));
+  assert.equal(after.get('owner'), before.get('owner') + 100);
+  assert.equal(after.get('m1'), before.get('m1') - 100);
+  assert.equal(after.get('m2'), before.get('m2'));
+
+  // A second run has nothing left to book
+  const rerun = await service.calculateTrueUp('owner', YEAR);
+  assert.ok(rerun.every((t) => t.open === 0 && t.managers.every((m) => m.open === 0)));
+});
+
+test('payouts after the true-up equal a cascade with the correct tier rate', async () => {
+  const entries = [
+    tierEntry('march', `${YEAR}-03-01T10:00:00.000Z`, `${YEAR}-03-01T10:00:00.000Z`),
+    tierEntry('january', `${YEAR}-01-15T10:00:00.000Z`, `${YEAR}-04-01T10:00:00.000Z`),
+  ];
+  await createServices(entries).bookTrueUp('owner', YEAR, { employeeName: 'Berater' });
+
+  const resnapshotted = [
+    RevenueEntry.fromJSON({ ...entries[0].toJSON(), ownerProvisionSnapshot: 50 }),
+    entries[1],
+  ];
+  assert.deepEqual(payouts(entries), payouts(resnapshotted));
+});